@@ -10,6 +10,7 @@
  * - Usage monitoring and analytics
  * - Alert logging and visualization
  * - Credential rotation and revocation
+ * - LLM provider health (circuit breaker state, error rates and latency)
  */
 
 import React, { useState, useEffect } from 'react';
@@ -166,6 +167,7 @@ const ApiManagementPanel = () => {
   const apiKeysQuery = query(apiKeysCollection, orderBy('provider'));
   const apiUsageCollection = collection(firestore, 'apiUsageLogs');
   const apiAlertsCollection = collection(firestore, 'apiAlerts');
+  const providerHealthQuery = query(collection(firestore, 'llmProviderHealth'), orderBy('key'));
   
   // Get alerts based on filter
   const alertsQuery = alertsFilter === 'all' 
@@ -181,6 +183,10 @@ const ApiManagementPanel = () => {
     idField: 'id',
   });
   
+  const { status: providerHealthStatus, data: providerHealth } = useFirestoreCollectionData(providerHealthQuery, {
+    idField: 'id',
+  });
+  
   // Get usage data based on time range
   const getTimeRangeFilter = () => {
     const now = new Date();
@@ -526,6 +532,26 @@ const ApiManagementPanel = () => {
     return new Date(timestamp.seconds * 1000).toLocaleString();
   };
   
+  // Map circuit breaker state to a status indicator
+  const getCircuitStatus = (state) => {
+    switch (state) {
+      case 'closed':
+        return 'active';
+      case 'half_open':
+        return 'warning';
+      case 'open':
+        return 'error';
+      default:
+        return 'unknown';
+    }
+  };
+  
+  // Format latency in milliseconds
+  const formatLatency = (ms) => {
+    if (ms === null || ms === undefined) return 'N/A';
+    return ms >= 1000 ? `${(ms / 1000).toFixed(1)}s` : `${ms}ms`;
+  };
+  
   // Check if user has permission to view this panel
   if (!hasAdminAccess) {
     return (
@@ -557,6 +583,7 @@ const ApiManagementPanel = () => {
           <Tab label="API Credentials" />
           <Tab label="Usage Analytics" />
           <Tab label="Alerts & Logs" />
+          <Tab label="Provider Health" />
         </Tabs>
         
         {/* API Credentials Tab */}
@@ -937,6 +964,73 @@ const ApiManagementPanel = () => {
             </Grid>
           )}
         </TabPanel>
+        
+        {/* Provider Health Tab */}
+        <TabPanel value={tabValue} index={3}>
+          <Typography variant="h6" gutterBottom>
+            LLM Provider Health
+          </Typography>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Circuit breaker state per provider and model. Open circuits receive no traffic until their cool-down
+            expires; requests are routed to the healthiest, cheapest provider suited to each task.
+          </Typography>
+          
+          {providerHealthStatus !== 'success' ? (
+            <Box sx={{ display: 'flex', justifyContent: 'center', p: 4 }}>
+              <CircularProgress />
+            </Box>
+          ) : providerHealth && providerHealth.length > 0 ? (
+            <Paper sx={{ p: 3 }}>
+              <Box sx={{ overflowX: 'auto' }}>
+                <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                  <thead>
+                    <tr>
+                      <th style={{ textAlign: 'left', padding: '8px', borderBottom: '1px solid #ddd' }}>Provider</th>
+                      <th style={{ textAlign: 'left', padding: '8px', borderBottom: '1px solid #ddd' }}>Model</th>
+                      <th style={{ textAlign: 'left', padding: '8px', borderBottom: '1px solid #ddd' }}>Circuit</th>
+                      <th style={{ textAlign: 'right', padding: '8px', borderBottom: '1px solid #ddd' }}>Error Rate</th>
+                      <th style={{ textAlign: 'right', padding: '8px', borderBottom: '1px solid #ddd' }}>Requests</th>
+                      <th style={{ textAlign: 'right', padding: '8px', borderBottom: '1px solid #ddd' }}>p50 Latency</th>
+                      <th style={{ textAlign: 'right', padding: '8px', borderBottom: '1px solid #ddd' }}>p95 Latency</th>
+                      <th style={{ textAlign: 'left', padding: '8px', borderBottom: '1px solid #ddd' }}>Last Error</th>
+                      <th style={{ textAlign: 'left', padding: '8px', borderBottom: '1px solid #ddd' }}>Next Probe</th>
+                      <th style={{ textAlign: 'left', padding: '8px', borderBottom: '1px solid #ddd' }}>Updated</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {providerHealth.map((circuit) => (
+                      <tr key={circuit.id}>
+                        <td style={{ padding: '8px', borderBottom: '1px solid #ddd' }}>{circuit.provider}</td>
+                        <td style={{ padding: '8px', borderBottom: '1px solid #ddd' }}>{circuit.model || 'N/A'}</td>
+                        <td style={{ padding: '8px', borderBottom: '1px solid #ddd' }}>
+                          <Box sx={{ display: 'flex', alignItems: 'center' }}>
+                            <StatusIndicator status={getCircuitStatus(circuit.state)} />
+                            {circuit.state ? circuit.state.replace('_', ' ') : 'unknown'}
+                          </Box>
+                        </td>
+                        <td style={{ textAlign: 'right', padding: '8px', borderBottom: '1px solid #ddd' }}>
+                          {`${Math.round((circuit.errorRate || 0) * 100)}%`}
+                        </td>
+                        <td style={{ textAlign: 'right', padding: '8px', borderBottom: '1px solid #ddd' }}>{circuit.requests || 0}</td>
+                        <td style={{ textAlign: 'right', padding: '8px', borderBottom: '1px solid #ddd' }}>{formatLatency(circuit.p50LatencyMs)}</td>
+                        <td style={{ textAlign: 'right', padding: '8px', borderBottom: '1px solid #ddd' }}>{formatLatency(circuit.p95LatencyMs)}</td>
+                        <td style={{ padding: '8px', borderBottom: '1px solid #ddd' }}>{circuit.lastError || 'N/A'}</td>
+                        <td style={{ padding: '8px', borderBottom: '1px solid #ddd' }}>
+                          {circuit.nextAttemptAt ? new Date(circuit.nextAttemptAt).toLocaleString() : 'N/A'}
+                        </td>
+                        <td style={{ padding: '8px', borderBottom: '1px solid #ddd' }}>{formatDate(circuit.updatedAt)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </Box>
+            </Paper>
+          ) : (
+            <Typography variant="body1" align="center" sx={{ p: 4 }}>
+              No provider health data yet. It appears once LLM requests have been made.
+            </Typography>
+          )}
+        </TabPanel>
       </Paper>
       
       {/* Edit API Dialog */}
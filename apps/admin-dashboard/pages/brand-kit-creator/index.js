@@ -159,7 +159,8 @@ const BrandKitCreator = () => {
       emotions: [],
       character: [],
       syntax: [],
-      language: []
+      language: [],
+      bannedWords: []
     },
     createdAt: null,
     updatedAt: null
@@ -248,7 +249,8 @@ const BrandKitCreator = () => {
             purpose: result.data.voice?.purpose || '',
             audience: result.data.voice?.audience || '',
             tone: result.data.voice?.tone || [],
-            character: result.data.voice?.character || []
+            character: result.data.voice?.character || [],
+            bannedWords: result.data.voice?.bannedWords || []
           }
         });
         
@@ -487,7 +489,8 @@ const BrandKitCreator = () => {
           emotions: [],
           character: [],
           syntax: [],
-          language: []
+          language: [],
+          bannedWords: []
         },
         createdAt: null,
         updatedAt: null
@@ -548,7 +551,8 @@ const BrandKitCreator = () => {
         emotions: brandKit.voice?.emotions || [],
         character: brandKit.voice?.character || [],
         syntax: brandKit.voice?.syntax || [],
-        language: brandKit.voice?.language || []
+        language: brandKit.voice?.language || [],
+        bannedWords: brandKit.voice?.bannedWords || []
       },
       createdAt: brandKit.createdAt,
       updatedAt: brandKit.updatedAt
@@ -577,7 +581,8 @@ const BrandKitCreator = () => {
         emotions: [],
         character: [],
         syntax: [],
-        language: []
+        language: [],
+        bannedWords: []
       },
       createdAt: null,
       updatedAt: null
@@ -1079,6 +1084,37 @@ const BrandKitCreator = () => {
                     />
                   </Box>
                 </Box>
+                
+                <Box sx={{ mt: 3 }}>
+                  <Typography variant="subtitle1" gutterBottom>
+                    Banned Words
+                  </Typography>
+                  <Typography variant="body2" color="text.secondary" paragraph>
+                    Words and phrases the brand never uses; influencer content containing them fails review
+                  </Typography>
+                  
+                  <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mb: 2 }}>
+                    {brandData.voice.bannedWords.map((word, index) => (
+                      <Chip 
+                        key={index}
+                        label={word}
+                        onDelete={() => handleArrayFieldChange('voice', 'bannedWords', word, 'remove')}
+                      />
+                    ))}
+                    
+                    <TextField
+                      size="small"
+                      placeholder="Add banned word..."
+                      onKeyDown={(e) => {
+                        if (e.key === 'Enter' && e.target.value) {
+                          handleArrayFieldChange('voice', 'bannedWords', e.target.value, 'add');
+                          e.target.value = '';
+                        }
+                      }}
+                      sx={{ minWidth: 150 }}
+                    />
+                  </Box>
+                </Box>
               </Grid>
             </Grid>
           </Box>
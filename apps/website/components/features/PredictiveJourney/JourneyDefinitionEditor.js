@@ -0,0 +1,443 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+
+const FUNCTIONS_URL = process.env.NEXT_PUBLIC_FUNCTIONS_URL;
+
+// Mirrors INTERACTION_TYPES in the predictive customer journey functions
+const interactionTypes = [
+  { id: 'email_open', label: 'Email Open' },
+  { id: 'email_click', label: 'Email Click' },
+  { id: 'website_visit', label: 'Website Visit' },
+  { id: 'page_view', label: 'Page View' },
+  { id: 'content_download', label: 'Content Download' },
+  { id: 'form_submission', label: 'Form Submission' },
+  { id: 'purchase', label: 'Purchase' },
+  { id: 'cart_abandonment', label: 'Cart Abandonment' },
+  { id: 'social_engagement', label: 'Social Engagement' },
+  { id: 'support_request', label: 'Support Request' },
+  { id: 'product_usage', label: 'Product Usage' },
+  { id: 'subscription_change', label: 'Subscription Change' }
+];
+
+const nodeTypes = [
+  { id: 'trigger', label: 'Trigger', color: 'bg-blue-100 text-blue-800 border-blue-300' },
+  { id: 'wait', label: 'Wait', color: 'bg-gray-100 text-gray-800 border-gray-300' },
+  { id: 'branch', label: 'Branch', color: 'bg-yellow-100 text-yellow-800 border-yellow-300' },
+  { id: 'action', label: 'Action', color: 'bg-purple-100 text-purple-800 border-purple-300' },
+  { id: 'goal', label: 'Goal', color: 'bg-green-100 text-green-800 border-green-300' },
+  { id: 'exit', label: 'Exit', color: 'bg-red-100 text-red-800 border-red-300' }
+];
+
+const sampleDefinition = {
+  name: 'Content Download Nurture',
+  nodes: [
+    { id: 'start', type: 'trigger', event: 'content_download', next: 'welcome' },
+    { id: 'welcome', type: 'action', campaignId: 'welcome-email', next: 'wait' },
+    { id: 'wait', type: 'wait', days: 2, next: 'clicked' },
+    { id: 'clicked', type: 'branch', conditions: [{ event: 'email_click', next: 'offer' }], otherwise: 'reminder', timeoutHours: 24 },
+    { id: 'offer', type: 'action', campaignId: 'demo-offer', next: 'done' },
+    { id: 'reminder', type: 'action', campaignId: 'reminder-email', next: 'done' },
+    { id: 'done', type: 'exit' },
+    { id: 'converted', type: 'goal', event: 'purchase' }
+  ]
+};
+
+const callFunction = async (name, body) => {
+  const response = await fetch(`${FUNCTIONS_URL}/${name}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  const data = await response.json();
+  if (!response.ok) {
+    const error = new Error(data.error || 'Request failed');
+    error.errors = data.errors || [];
+    throw error;
+  }
+  return data;
+};
+
+// Nodes in the order customers reach them, then goals and exits that listen for events
+const orderNodes = (nodes) => {
+  const byId = Object.fromEntries(nodes.map(node => [node.id, node]));
+  const ordered = [];
+  const queue = nodes.filter(node => node.type === 'trigger').map(node => node.id);
+  while (queue.length > 0) {
+    const id = queue.shift();
+    if (byId[id] && !ordered.includes(byId[id])) {
+      const node = byId[id];
+      ordered.push(node);
+      queue.push(...(node.type === 'branch'
+        ? [...(node.conditions || []).map(condition => condition.next), node.otherwise]
+        : [node.next]).filter(Boolean));
+    }
+  }
+  return [...ordered, ...nodes.filter(node => !ordered.includes(node))];
+};
+
+const describeNode = (node) => {
+  const eventLabel = (event) => (interactionTypes.find(type => type.id === event) || { label: event || '?' }).label;
+  switch (node.type) {
+    case 'trigger':
+      return `When: ${eventLabel(node.event)}`;
+    case 'wait':
+      return `Wait ${node.days ? `${node.days}d ` : ''}${node.hours ? `${node.hours}h` : ''}`.trim();
+    case 'branch':
+      return (node.conditions || []).map(condition => `${eventLabel(condition.event)} → ${condition.next || '?'}`).join(', ') +
+        ` · else → ${node.otherwise || '?'}`;
+    case 'action':
+      return `Run campaign ${node.campaignId || '?'}`;
+    case 'goal':
+      return `Converted on ${eventLabel(node.event)}`;
+    case 'exit':
+      return node.event ? `Leave on ${eventLabel(node.event)}` : 'End of journey';
+    default:
+      return node.type;
+  }
+};
+
+const JourneyDefinitionEditor = ({ userId, initialJourneyId = null, initialDefinition = sampleDefinition }) => {
+  const [definition, setDefinition] = useState(initialDefinition);
+  const [journeyId, setJourneyId] = useState(initialJourneyId);
+  const [selectedNodeId, setSelectedNodeId] = useState(initialDefinition.nodes[0] ? initialDefinition.nodes[0].id : null);
+  const [errors, setErrors] = useState([]);
+  const [status, setStatus] = useState(null);
+  const [metrics, setMetrics] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const selectedNode = definition.nodes.find(node => node.id === selectedNodeId);
+  const nodeIds = definition.nodes.map(node => node.id);
+  const canSync = !!FUNCTIONS_URL && !!userId;
+
+  const updateNode = (id, changes) => {
+    setDefinition({
+      ...definition,
+      nodes: definition.nodes.map(node => (node.id === id ? { ...node, ...changes } : node))
+    });
+  };
+
+  const addNode = (type) => {
+    let index = definition.nodes.length + 1;
+    while (nodeIds.includes(`${type}-${index}`)) {
+      index++;
+    }
+    const id = `${type}-${index}`;
+    const defaults = {
+      trigger: { event: 'form_submission' },
+      wait: { days: 1 },
+      branch: { conditions: [{ event: 'email_open', next: '' }], otherwise: '', timeoutHours: 24 },
+      action: { campaignId: '' },
+      goal: { event: 'purchase' },
+      exit: {}
+    };
+    setDefinition({ ...definition, nodes: [...definition.nodes, { id, type, ...defaults[type] }] });
+    setSelectedNodeId(id);
+  };
+
+  const removeNode = (id) => {
+    // Clear links to the removed node so validation points at the gaps
+    const unlink = value => (value === id ? '' : value);
+    setDefinition({
+      ...definition,
+      nodes: definition.nodes
+        .filter(node => node.id !== id)
+        .map(node => ({
+          ...node,
+          ...(node.next !== undefined ? { next: unlink(node.next) } : {}),
+          ...(node.otherwise !== undefined ? { otherwise: unlink(node.otherwise) } : {}),
+          ...(node.conditions ? { conditions: node.conditions.map(condition => ({ ...condition, next: unlink(condition.next) })) } : {})
+        }))
+    });
+    setSelectedNodeId(null);
+  };
+
+  const run = async (label, action) => {
+    setBusy(true);
+    setStatus(null);
+    try {
+      await action();
+    } catch (error) {
+      setErrors(error.errors || []);
+      setStatus({ type: 'error', message: `${label} failed: ${error.message}` });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const saveDraft = () => run('Save', async () => {
+    const saved = await callFunction('saveJourneyDefinition', { userId, journeyId, definition });
+    setJourneyId(saved.journeyId);
+    setErrors(saved.validation.errors);
+    setStatus({
+      type: saved.validation.valid ? 'success' : 'warning',
+      message: saved.validation.valid ? 'Draft saved' : 'Draft saved with validation errors'
+    });
+  });
+
+  const publish = () => run('Publish', async () => {
+    const saved = await callFunction('saveJourneyDefinition', { userId, journeyId, definition });
+    setJourneyId(saved.journeyId);
+    const published = await callFunction('publishJourneyDefinition', { journeyId: saved.journeyId });
+    setErrors([]);
+    setStatus({ type: 'success', message: `Published version ${published.version}` });
+  });
+
+  const loadMetrics = () => run('Loading metrics', async () => {
+    setMetrics(await callFunction('getJourneyMetrics', { journeyId }));
+  });
+
+  const nodeErrors = (id) => errors.filter(error => error.nodeId === id);
+
+  const inputClass = 'w-full rounded-lg border border-gray-300 px-3 py-2 text-sm focus:border-purple-500 focus:outline-none';
+  const nextSelect = (value, onChange) => (
+    <select value={value || ''} onChange={event => onChange(event.target.value)} className={inputClass}>
+      <option value="">Select next step</option>
+      {nodeIds.filter(id => id !== selectedNodeId).map(id => (
+        <option key={id} value={id}>{id}</option>
+      ))}
+    </select>
+  );
+  const eventSelect = (value, onChange, allowNone = false) => (
+    <select value={value || ''} onChange={event => onChange(event.target.value)} className={inputClass}>
+      {allowNone && <option value="">No event (end of path)</option>}
+      {interactionTypes.map(type => (
+        <option key={type.id} value={type.id}>{type.label}</option>
+      ))}
+    </select>
+  );
+
+  const statusClass = {
+    success: 'bg-green-50 text-green-800',
+    warning: 'bg-yellow-50 text-yellow-800',
+    error: 'bg-red-50 text-red-800'
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.5 }}
+    >
+      <div className="flex flex-wrap items-end justify-between gap-4 mb-6">
+        <div className="flex-1 min-w-[200px]">
+          <label className="block text-sm font-medium text-gray-700 mb-2">Journey Name</label>
+          <input
+            value={definition.name}
+            onChange={event => setDefinition({ ...definition, name: event.target.value })}
+            className={inputClass}
+          />
+        </div>
+        <div className="flex gap-2">
+          <button
+            onClick={saveDraft}
+            disabled={!canSync || busy}
+            className="bg-gray-100 hover:bg-gray-200 text-gray-800 py-2 px-4 rounded-lg text-sm font-medium transition-colors disabled:opacity-50"
+          >
+            Save Draft
+          </button>
+          <button
+            onClick={publish}
+            disabled={!canSync || busy}
+            className="bg-purple-600 hover:bg-purple-700 text-white py-2 px-4 rounded-lg text-sm font-medium transition-colors disabled:opacity-50"
+          >
+            Publish
+          </button>
+          <button
+            onClick={loadMetrics}
+            disabled={!canSync || busy || !journeyId}
+            className="bg-gray-100 hover:bg-gray-200 text-gray-800 py-2 px-4 rounded-lg text-sm font-medium transition-colors disabled:opacity-50"
+          >
+            Metrics
+          </button>
+        </div>
+      </div>
+
+      {!canSync && (
+        <p className="mb-4 text-sm text-gray-500">Sign in to save and publish journeys.</p>
+      )}
+
+      {status && (
+        <div className={`mb-4 rounded-lg px-4 py-3 text-sm ${statusClass[status.type]}`}>{status.message}</div>
+      )}
+
+      {metrics && (
+        <div className="mb-6 grid grid-cols-2 md:grid-cols-4 gap-4">
+          {[
+            { label: 'Enrolled', value: metrics.totals.enrolled },
+            { label: 'In Progress', value: metrics.totals.active + metrics.totals.waiting },
+            { label: 'Reached Goal', value: metrics.totals.completed },
+            { label: 'Goal Rate', value: `${Math.round(metrics.totals.goalRate * 100)}%` }
+          ].map(stat => (
+            <div key={stat.label} className="bg-gray-50 rounded-lg p-4">
+              <p className="text-sm text-gray-600">{stat.label}</p>
+              <p className="text-xl font-bold text-gray-900">{stat.value}</p>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div>
+          <div className="space-y-3">
+            {orderNodes(definition.nodes).map(node => {
+              const type = nodeTypes.find(nodeType => nodeType.id === node.type) || nodeTypes[0];
+              const nodeMetrics = metrics && metrics.nodes[node.id];
+              return (
+                <button
+                  key={node.id}
+                  onClick={() => setSelectedNodeId(node.id)}
+                  className={`w-full text-left p-3 rounded-lg border transition-all ${type.color} ${
+                    selectedNodeId === node.id ? 'ring-2 ring-purple-500' : ''
+                  } ${nodeErrors(node.id).length > 0 ? 'border-red-500' : ''}`}
+                >
+                  <div className="flex justify-between items-center">
+                    <span className="text-xs font-bold uppercase">{type.label}</span>
+                    <span className="text-xs">{node.id}</span>
+                  </div>
+                  <p className="mt-1 text-sm">{describeNode(node)}</p>
+                  {nodeMetrics && (
+                    <p className="mt-1 text-xs">
+                      {nodeMetrics.entered} entered · {nodeMetrics.current} here now · {Math.round(nodeMetrics.conversionRate * 100)}% converted
+                    </p>
+                  )}
+                </button>
+              );
+            })}
+          </div>
+
+          <div className="mt-4 flex flex-wrap gap-2">
+            {nodeTypes.map(type => (
+              <button
+                key={type.id}
+                onClick={() => addNode(type.id)}
+                className="py-1 px-3 rounded-full text-xs font-medium bg-gray-100 text-gray-800 hover:bg-gray-200 transition-colors"
+              >
+                + {type.label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div className="bg-gray-50 rounded-lg p-6">
+          {selectedNode ? (
+            <div className="space-y-4">
+              <div className="flex justify-between items-center">
+                <h4 className="text-lg font-medium text-gray-900">Edit {selectedNode.id}</h4>
+                <button onClick={() => removeNode(selectedNode.id)} className="text-sm text-red-600 hover:text-red-700">
+                  Remove
+                </button>
+              </div>
+
+              {(selectedNode.type === 'trigger' || selectedNode.type === 'goal') && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Event</label>
+                  {eventSelect(selectedNode.event, event => updateNode(selectedNode.id, { event }))}
+                </div>
+              )}
+
+              {selectedNode.type === 'exit' && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Leave the journey on</label>
+                  {eventSelect(selectedNode.event, event => updateNode(selectedNode.id, { event: event || undefined }), true)}
+                </div>
+              )}
+
+              {selectedNode.type === 'wait' && (
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Days</label>
+                    <input
+                      type="number"
+                      min="0"
+                      value={selectedNode.days || 0}
+                      onChange={event => updateNode(selectedNode.id, { days: Number(event.target.value) })}
+                      className={inputClass}
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Hours</label>
+                    <input
+                      type="number"
+                      min="0"
+                      value={selectedNode.hours || 0}
+                      onChange={event => updateNode(selectedNode.id, { hours: Number(event.target.value) })}
+                      className={inputClass}
+                    />
+                  </div>
+                </div>
+              )}
+
+              {selectedNode.type === 'action' && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Campaign ID</label>
+                  <input
+                    value={selectedNode.campaignId || ''}
+                    onChange={event => updateNode(selectedNode.id, { campaignId: event.target.value })}
+                    className={inputClass}
+                  />
+                </div>
+              )}
+
+              {selectedNode.type === 'branch' && (
+                <div className="space-y-3">
+                  {(selectedNode.conditions || []).map((condition, index) => {
+                    const updateCondition = changes => updateNode(selectedNode.id, {
+                      conditions: selectedNode.conditions.map((item, i) => (i === index ? { ...item, ...changes } : item))
+                    });
+                    return (
+                      <div key={index} className="grid grid-cols-2 gap-2">
+                        {eventSelect(condition.event, event => updateCondition({ event }))}
+                        {nextSelect(condition.next, next => updateCondition({ next }))}
+                      </div>
+                    );
+                  })}
+                  <button
+                    onClick={() => updateNode(selectedNode.id, {
+                      conditions: [...(selectedNode.conditions || []), { event: 'email_open', next: '' }]
+                    })}
+                    className="text-sm text-purple-600 hover:text-purple-700"
+                  >
+                    + Add condition
+                  </button>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Otherwise</label>
+                    {nextSelect(selectedNode.otherwise, otherwise => updateNode(selectedNode.id, { otherwise }))}
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Wait for a match (hours)</label>
+                    <input
+                      type="number"
+                      min="0"
+                      value={selectedNode.timeoutHours || 0}
+                      onChange={event => updateNode(selectedNode.id, { timeoutHours: Number(event.target.value) })}
+                      className={inputClass}
+                    />
+                  </div>
+                </div>
+              )}
+
+              {['trigger', 'wait', 'action'].includes(selectedNode.type) && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Next step</label>
+                  {nextSelect(selectedNode.next, next => updateNode(selectedNode.id, { next }))}
+                </div>
+              )}
+
+              {nodeErrors(selectedNode.id).map((error, index) => (
+                <p key={index} className="text-sm text-red-600">{error.message}</p>
+              ))}
+            </div>
+          ) : (
+            <p className="text-sm text-gray-600">Select a step to edit it, or add a new one.</p>
+          )}
+
+          {nodeErrors(null).map((error, index) => (
+            <p key={index} className="mt-2 text-sm text-red-600">{error.message}</p>
+          ))}
+        </div>
+      </div>
+    </motion.div>
+  );
+};
+
+export default JourneyDefinitionEditor;
@@ -1,9 +1,11 @@
 import React, { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
 import Link from 'next/link';
+import JourneyDefinitionEditor from './JourneyDefinitionEditor';
 
-const JourneyVisualizer = () => {
+const JourneyVisualizer = ({ userId, journeyId, definition }) => {
   const [isLoaded, setIsLoaded] = useState(false);
+  const [mode, setMode] = useState(definition ? 'builder' : 'overview');
   const [activeJourney, setActiveJourney] = useState('purchase');
   const [activeStage, setActiveStage] = useState(null);
 
@@ -152,10 +154,35 @@ const JourneyVisualizer = () => {
   return (
     <div className="bg-white rounded-xl shadow-xl overflow-hidden">
       <div className="bg-gradient-to-r from-purple-600 to-purple-800 px-6 py-4">
-        <h3 className="text-xl font-bold text-white">Predictive Customer Journey Orchestration</h3>
+        <div className="flex justify-between items-center">
+          <h3 className="text-xl font-bold text-white">Predictive Customer Journey Orchestration</h3>
+          <div className="flex gap-2">
+            {[
+              { id: 'overview', label: 'Stage Overview' },
+              { id: 'builder', label: 'Journey Builder' }
+            ].map(option => (
+              <button
+                key={option.id}
+                onClick={() => setMode(option.id)}
+                className={`py-1 px-3 rounded-lg text-sm font-medium transition-colors ${
+                  mode === option.id ? 'bg-white text-purple-800' : 'text-purple-100 hover:bg-purple-700'
+                }`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+        </div>
       </div>
       
       <div className="p-6">
+        {mode === 'builder' ? (
+          <JourneyDefinitionEditor
+            userId={userId}
+            initialJourneyId={journeyId}
+            {...(definition ? { initialDefinition: definition } : {})}
+          />
+        ) : (
         <motion.div
           initial="hidden"
           animate={isLoaded ? "visible" : "hidden"}
@@ -356,6 +383,7 @@ const JourneyVisualizer = () => {
             </div>
           </div>
         </motion.div>
+        )}
       </div>
     </div>
   );
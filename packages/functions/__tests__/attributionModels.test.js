@@ -0,0 +1,192 @@
+/**
+ * Unit tests for Markov chain and Shapley value attribution
+ */
+jest.mock('firebase-admin', () => require('./helpers/fakeFirestore').createFirebaseAdmin());
+
+jest.mock('firebase-functions', () => ({
+  config: jest.fn(() => ({})),
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn(), log: jest.fn() }
+}));
+
+jest.mock('../src/apis', () => ({ openai: {}, gemini: {} }));
+
+const admin = require('firebase-admin');
+const {
+  buildJourneyPaths,
+  markovRemovalEffects,
+  shapleyValues,
+  fitDataDrivenModel,
+  distributeCredit
+} = require('../src/utils/attributionModels');
+const {
+  ATTRIBUTION_MODELS,
+  attributeConversion,
+  recomputeAttribution,
+  generateAttributionReport
+} = require('../src/features/revenueAttributionAI');
+
+const repeat = (channels, converted, count) => Array.from({ length: count }, () => ({ channels, converted }));
+
+// Email alone converts 10%, search alone 30%, both together 50%, display never converts
+const PATHS = [
+  ...repeat(['email'], true, 10),
+  ...repeat(['email'], false, 90),
+  ...repeat(['paid_search'], true, 30),
+  ...repeat(['paid_search'], false, 70),
+  ...repeat(['email', 'paid_search'], true, 50),
+  ...repeat(['email', 'paid_search'], false, 50),
+  ...repeat(['display'], false, 100)
+];
+
+describe('Attribution Models', () => {
+  test('should split journeys into converting and non-converting paths', () => {
+    const day = 24 * 60 * 60 * 1000;
+    const at = days => new Date(Date.UTC(2024, 0, 1) + days * day);
+    const touchpoints = [
+      { customerId: 'a', channelType: 'email', timestamp: at(0) },
+      { customerId: 'a', channelType: 'paid_search', timestamp: at(2) },
+      { customerId: 'a', channelType: 'display', timestamp: at(5) },
+      { customerId: 'a', channelType: 'email', timestamp: at(8) },
+      { customerId: 'b', channelType: 'display', timestamp: at(1) },
+      { customerId: 'c', channelType: 'referral', timestamp: at(-200) },
+      { customerId: 'c', channelType: 'email', timestamp: at(3) }
+    ];
+    const conversions = [
+      { customerId: 'a', timestamp: at(3), value: 100 },
+      { customerId: 'a', timestamp: at(6), value: 50 },
+      { customerId: 'c', timestamp: at(4), value: 20 }
+    ];
+
+    expect(buildJourneyPaths(touchpoints, conversions)).toEqual([
+      { customerId: 'a', channels: ['email', 'paid_search'], converted: true, value: 100 },
+      { customerId: 'a', channels: ['display'], converted: true, value: 50 },
+      { customerId: 'a', channels: ['email'], converted: false, value: 0 },
+      { customerId: 'b', channels: ['display'], converted: false, value: 0 },
+      // The referral touch is outside the 90-day lookback
+      { customerId: 'c', channels: ['email'], converted: true, value: 20 }
+    ]);
+  });
+
+  test('should credit channels by their Markov removal effect', () => {
+    const result = markovRemovalEffects(PATHS);
+
+    expect(result.baseConversionProbability).toBeCloseTo(90 / 400, 6);
+    expect(result.removalEffects.email).toBeCloseTo(5 / 9, 6);
+    expect(result.removalEffects.paid_search).toBeCloseTo(8 / 9, 6);
+    expect(result.removalEffects.display).toBeCloseTo(0, 6);
+    expect(result.weights.paid_search).toBeCloseTo(8 / 13, 6);
+    expect(result.weights.email + result.weights.paid_search + result.weights.display).toBeCloseTo(1, 6);
+  });
+
+  test('should credit channels by their Shapley value', () => {
+    const result = shapleyValues(PATHS);
+
+    // email: 1/2 * v({email}) + 1/2 * (v({email, search}) - v({search})) = 0.05 + 0.1
+    expect(result.shapleyValues.email).toBeCloseTo(0.15, 6);
+    expect(result.shapleyValues.paid_search).toBeCloseTo(0.35, 6);
+    expect(result.shapleyValues.display).toBeCloseTo(0, 6);
+    expect(result.weights).toEqual({ paid_search: expect.closeTo(0.7, 6), email: expect.closeTo(0.3, 6), display: 0 });
+    expect(() => fitDataDrivenModel('last_click', PATHS)).toThrow('Unknown data-driven attribution model: last_click');
+  });
+
+  test('should split a conversion across its touchpoints by channel weight', () => {
+    const touchpoints = [{ channelType: 'email' }, { channelType: 'paid_search' }, { channelType: 'email' }];
+
+    expect(distributeCredit(touchpoints, { email: 0.4, paid_search: 0.6 })).toEqual([0.2, 0.6, 0.2]);
+    // Channels without weight fall back to an even split
+    expect(distributeCredit(touchpoints, { display: 1 })).toEqual([1 / 3, 1 / 3, 1 / 3]);
+  });
+
+  test('should attribute conversions with fitted models and recompute a date range', async () => {
+    const db = admin.firestore();
+    const day = 24 * 60 * 60 * 1000;
+    const start = new Date(Date.UTC(2024, 0, 1));
+    let touchpointId = 0;
+    let conversionId = 0;
+
+    PATHS.forEach((path, index) => {
+      const customerId = `customer-${index}`;
+      path.channels.forEach((channelType, position) => {
+        const id = `tp-${++touchpointId}`;
+        db.collections.customerTouchpoints = db.collections.customerTouchpoints || {};
+        db.collections.customerTouchpoints[id] = { userId: 'user-1', customerId, channelType, timestamp: new Date(start.getTime() + position * day) };
+      });
+      const journey = {
+        customerId,
+        touchpoints: path.channels.map((channelType, position) => ({
+          touchpointId: `${customerId}-${position}`,
+          channelType,
+          timestamp: new Date(start.getTime() + position * day)
+        })),
+        conversions: []
+      };
+      db.collections.customerJourneys = db.collections.customerJourneys || {};
+      db.collections.customerJourneys[customerId] = journey;
+      if (path.converted) {
+        const id = `conv-${++conversionId}`;
+        db.collections.customerConversions = db.collections.customerConversions || {};
+        db.collections.customerConversions[id] = {
+          userId: 'user-1',
+          customerId,
+          conversionType: 'purchase',
+          value: 100,
+          timestamp: new Date(start.getTime() + 5 * day)
+        };
+      }
+    });
+
+    const summary = await recomputeAttribution('user-1', {
+      startDate: start.toISOString(),
+      endDate: new Date(start.getTime() + 30 * day).toISOString()
+    });
+
+    expect(summary).toMatchObject({ conversionCount: 90, attributed: 180, failed: 0 });
+    expect(summary.models[ATTRIBUTION_MODELS.MARKOV_CHAIN]).toMatchObject({ pathCount: 400, conversionCount: 90 });
+    expect(summary.models[ATTRIBUTION_MODELS.SHAPLEY].weights.paid_search).toBeCloseTo(0.7, 6);
+
+    // A mixed journey is split by the fitted weights, and both models are kept
+    const mixed = Object.entries(db.collections.customerConversions)
+      .find(([, conversion]) => db.collections.customerJourneys[conversion.customerId].touchpoints.length === 2)[0];
+    const attribution = await attributeConversion(mixed, ATTRIBUTION_MODELS.SHAPLEY);
+
+    expect(attribution.touchpoints.map(touchpoint => touchpoint.attributionValue)).toEqual([
+      expect.closeTo(30, 6),
+      expect.closeTo(70, 6)
+    ]);
+    const stored = db.collections.conversionAttributions[mixed];
+    expect(Object.keys(stored.byModel).sort()).toEqual([ATTRIBUTION_MODELS.MARKOV_CHAIN, ATTRIBUTION_MODELS.SHAPLEY]);
+    expect(stored.byModel[ATTRIBUTION_MODELS.MARKOV_CHAIN][1].attributionCredit).toBeCloseTo(8 / 13, 6);
+  });
+
+  test('should attribute a report\'s missing conversions and refit models older than their lookback window', async () => {
+    const db = admin.firestore();
+    const day = 24 * 60 * 60 * 1000;
+    const start = new Date(Date.UTC(2024, 0, 1));
+    const stored = db.collections.attributionModels[`user-1_${ATTRIBUTION_MODELS.SHAPLEY}`];
+    const fitted = stored.fittedAt.getTime();
+
+    // A fresh model is reused as it is
+    const mixed = Object.keys(db.collections.customerConversions)[0];
+    await attributeConversion(mixed, ATTRIBUTION_MODELS.SHAPLEY);
+    expect(db.collections.attributionModels[`user-1_${ATTRIBUTION_MODELS.SHAPLEY}`].fittedAt.getTime()).toBe(fitted);
+
+    db.collections.attributionModels[`user-1_${ATTRIBUTION_MODELS.SHAPLEY}`].fittedAt = new Date(Date.now() - 91 * day);
+    Object.values(db.collections.conversionAttributions).forEach(attribution => {
+      delete attribution.byModel[ATTRIBUTION_MODELS.SHAPLEY];
+    });
+
+    const report = await generateAttributionReport('user-1', {
+      startDate: start.toISOString(),
+      endDate: new Date(start.getTime() + 30 * day).toISOString(),
+      model: ATTRIBUTION_MODELS.SHAPLEY
+    });
+
+    expect(report.userId).toBe('user-1');
+    const refitted = db.collections.attributionModels[`user-1_${ATTRIBUTION_MODELS.SHAPLEY}`];
+    expect(Date.now() - refitted.fittedAt.getTime()).toBeLessThan(day);
+    expect(new Date(refitted.endDate).getTime()).toBeGreaterThan(start.getTime() + 365 * day);
+    Object.values(db.collections.conversionAttributions).forEach(attribution => {
+      expect(attribution.byModel[ATTRIBUTION_MODELS.SHAPLEY]).toBeDefined();
+    });
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * Unit tests for influencer audience quality scoring
+ */
+jest.mock('firebase-admin', () => require('./helpers/fakeFirestore').createFirebaseAdmin());
+
+jest.mock('firebase-functions', () => ({
+  config: jest.fn(() => ({})),
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn(), log: jest.fn() }
+}));
+
+jest.mock('../src/apis', () => ({ openai: {}, gemini: {} }));
+
+const admin = require('firebase-admin');
+const {
+  AuthenticityRating,
+  AudienceQualityFlag,
+  detectFollowerGrowthAnomalies,
+  assessEngagementRate,
+  classifyComment,
+  analyzeCommentAuthenticity,
+  assessAudienceQuality,
+  getAuthenticityScore,
+  analyzeAudienceQuality
+} = require('../src/utils/audienceQuality');
+const { searchInfluencers, recommendInfluencers } = require('../src/features/integratedInfluencerMarketplace');
+
+const DAY = 24 * 60 * 60 * 1000;
+const START = Date.UTC(2024, 0, 1);
+
+// Daily snapshots growing about 0.5% a day, with optional jumps on given days
+const growthHistory = (days, jumps = {}) => {
+  let followerCount = 20000;
+  return Array.from({ length: days }, (_, day) => {
+    followerCount = Math.round(followerCount * 1.005) + (jumps[day] || 0);
+    return { followerCount, recordedAt: START + day * DAY };
+  });
+};
+
+const GENUINE_COMMENTS = [
+  'Where did you get that jacket? The colour is perfect for autumn',
+  'Tried this recipe last night and my kids loved it',
+  'Can you do a follow-up on the budget version?',
+  'The lighting in the second photo is stunning',
+  'I have been looking for a review like this for weeks',
+  'Does it work for oily skin too?',
+  'Your trip to Lisbon looks incredible, adding it to my list',
+  'Honest take, appreciate you mentioning the downsides',
+  'How long did the battery last for you?',
+  'Saved this for my next grocery run'
+];
+
+describe('Audience Quality', () => {
+  test('should flag follower spikes and drops against the influencer\'s own growth', () => {
+    const steady = detectFollowerGrowthAnomalies(growthHistory(30));
+    expect(steady).toMatchObject({ score: 100, anomalies: [], spikeShare: 0 });
+
+    const bought = detectFollowerGrowthAnomalies(growthHistory(30, { 20: 6000 }));
+    expect(bought.anomalies).toEqual([expect.objectContaining({ type: AudienceQualityFlag.FOLLOWER_SPIKE, gain: expect.any(Number) })]);
+    expect(bought.spikeShare).toBeGreaterThan(0.2);
+    expect(bought.score).toBeLessThan(60);
+
+    const purged = detectFollowerGrowthAnomalies(growthHistory(30, { 25: -3000 }));
+    expect(purged.anomalies.map(anomaly => anomaly.type)).toEqual([AudienceQualityFlag.FOLLOWER_DROP]);
+    expect(purged.score).toBe(85);
+
+    expect(detectFollowerGrowthAnomalies(growthHistory(3)).score).toBeNull();
+  });
+
+  test('should compare engagement with the normal range for the tier', () => {
+    expect(assessEngagementRate(0.04, 5000)).toMatchObject({ score: 100, tier: 'nano', flag: null });
+    expect(assessEngagementRate(0.06, 2000000)).toMatchObject({ score: 30, tier: 'mega', flag: AudienceQualityFlag.HIGH_ENGAGEMENT });
+    expect(assessEngagementRate(0.012, 30000)).toMatchObject({ score: 70, tier: 'micro', flag: AudienceQualityFlag.LOW_ENGAGEMENT });
+    expect(assessEngagementRate(0.003, 300000)).toMatchObject({ score: 30, tier: 'macro', flag: AudienceQualityFlag.LOW_ENGAGEMENT });
+    expect(assessEngagementRate(undefined, 300000).score).toBeNull();
+  });
+
+  test('should spot bot comments by content, repetition and author', () => {
+    expect(classifyComment('🔥🔥🔥')).toBe('emoji_only');
+    expect(classifyComment('Nice pic!!')).toBe('generic');
+    expect(classifyComment('Check out my profile for free followers')).toBe('promotional');
+    expect(classifyComment('Does it work for oily skin too?')).toBeNull();
+
+    expect(analyzeCommentAuthenticity(GENUINE_COMMENTS)).toMatchObject({ score: 100, sampleSize: 10, botShare: 0 });
+
+    const botted = analyzeCommentAuthenticity([
+      ...GENUINE_COMMENTS.slice(0, 4),
+      '😍😍', 'Great post', 'Amazing!', 'love this',
+      { text: 'Wow such inspiration today', authorId: 'bot-1' },
+      { text: 'Wow such inspiration today', authorId: 'bot-2' },
+      { text: 'Wow such inspiration today', authorId: 'bot-3' },
+      'DM us to collab, link in bio'
+    ]);
+    expect(botted.reasons).toEqual({ emoji_only: 1, generic: 3, duplicate: 3, promotional: 1 });
+    expect(botted.botShare).toBeCloseTo(8 / 12);
+    expect(botted.score).toBeLessThan(50);
+
+    expect(analyzeCommentAuthenticity(GENUINE_COMMENTS.slice(0, 5)).score).toBeNull();
+  });
+
+  test('should combine the available signals into one authenticity score', () => {
+    const clean = assessAudienceQuality({
+      followerCount: 25000,
+      engagementRate: 0.03,
+      followerHistory: growthHistory(30),
+      comments: GENUINE_COMMENTS
+    });
+    expect(clean).toMatchObject({ score: 100, rating: AuthenticityRating.HIGH, flags: [], signals: ['growth', 'engagement', 'comments'] });
+
+    const suspicious = assessAudienceQuality({
+      followerCount: 26000,
+      engagementRate: 0.005,
+      followerHistory: growthHistory(30, { 20: 6000 })
+    });
+    expect(suspicious.signals).toEqual(['growth', 'engagement']);
+    expect(suspicious.flags).toEqual([AudienceQualityFlag.FOLLOWER_SPIKE, AudienceQualityFlag.LOW_ENGAGEMENT]);
+    expect(suspicious.rating).toBe(AuthenticityRating.LOW);
+
+    expect(assessAudienceQuality({})).toMatchObject({ score: null, rating: AuthenticityRating.UNKNOWN });
+    expect(getAuthenticityScore({ engagementRate: 0.03, followerCount: 25000 })).toEqual({ score: 100, estimated: true });
+    expect(getAuthenticityScore({ engagementRate: 0.03, followerCount: 25000, audienceQuality: { score: 42 } }))
+      .toEqual({ score: 42, estimated: false });
+  });
+
+  test('should filter and rank search results and recommendations by authenticity', async () => {
+    const db = admin.firestore();
+    const now = Date.now();
+    db.collections.influencers = {
+      genuine: { status: 'active', name: 'Genuine', followerCount: 25000, engagementRate: 0.03 },
+      inflated: { status: 'active', name: 'Inflated', followerCount: 26000, engagementRate: 0.005 },
+      unscored: { status: 'active', name: 'Unscored', followerCount: 40000 },
+      analyzed: { status: 'active', name: 'Analyzed', followerCount: 60000, engagementRate: 0.02 }
+    };
+    db.collections.influencerFollowerHistory = Object.fromEntries(
+      growthHistory(30, { 20: 20000 }).map((snapshot, day) => [
+        `analyzed_${day}`,
+        { influencerId: 'analyzed', followerCount: snapshot.followerCount, recordedAt: now - (30 - day) * DAY }
+      ])
+    );
+
+    const analysis = await analyzeAudienceQuality('analyzed', db.collections.influencers.analyzed, [
+      { commentSamples: GENUINE_COMMENTS }
+    ]);
+    expect(analysis.flags).toEqual([AudienceQualityFlag.FOLLOWER_SPIKE]);
+    expect(db.collections.influencers.analyzed).toMatchObject({
+      authenticityScore: analysis.score,
+      audienceQuality: { score: analysis.score, rating: analysis.rating, flags: analysis.flags }
+    });
+
+    const ranked = await searchInfluencers({ sortBy: 'authenticityScore' });
+    expect(ranked.map(influencer => [influencer.id, influencer.authenticityScore, influencer.authenticityEstimated])).toEqual([
+      ['genuine', 100, true],
+      ['analyzed', analysis.score, false],
+      ['inflated', 30, true],
+      ['unscored', null, true]
+    ]);
+
+    const filtered = await searchInfluencers({ minAuthenticityScore: 60 });
+    expect(filtered.map(influencer => influencer.id)).toEqual(['genuine', 'analyzed']);
+
+    const recommendations = await recommendInfluencers({}, 5);
+    expect(recommendations.map(influencer => influencer.id)).toEqual(['genuine', 'analyzed']);
+    expect(recommendations[1].estimatedReach).toBe(Math.round(60000 * analysis.score / 100));
+    expect(recommendations[0].relevanceScore).toBeGreaterThan(recommendations[1].relevanceScore);
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Unit tests for multi-armed bandit traffic allocation
+ */
+jest.mock('firebase-admin', () => require('./helpers/fakeFirestore').createFirebaseAdmin());
+
+jest.mock('firebase-functions', () => ({
+  config: jest.fn(() => ({})),
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn(), log: jest.fn() }
+}));
+
+const {
+  AllocationStrategy,
+  createAllocation,
+  computePosteriors,
+  selectVariation,
+  allocationShares,
+  withArmMetrics,
+  recordArmMetric
+} = require('../src/utils/banditAllocation');
+const admin = require('firebase-admin');
+const { createRandom } = require('../src/utils/experimentation');
+const { ErrorTypes } = require('../src/utils/errorLogging');
+
+const variation = (id, views, clicks, conversions = 0) => ({ id, metrics: { views, clicks, conversions } });
+
+describe('Bandit Allocation', () => {
+  test('should derive Beta posteriors from variation metrics', () => {
+    const posteriors = computePosteriors([variation('a', 100, 10, 4), variation('b', 0, 0)]);
+
+    expect(posteriors.a).toEqual({ alpha: 11, beta: 91, mean: 11 / 102 });
+    expect(posteriors.b).toEqual({ alpha: 1, beta: 1, mean: 0.5 });
+    expect(computePosteriors([variation('a', 100, 10, 4)], 'conversion_rate').a).toMatchObject({ alpha: 5, beta: 7 });
+    // Successes recorded ahead of their trials are capped
+    expect(computePosteriors([variation('a', 2, 5)]).a).toMatchObject({ alpha: 3, beta: 1 });
+  });
+
+  test('should validate allocation settings', () => {
+    expect(createAllocation()).toMatchObject({ strategy: AllocationStrategy.THOMPSON_SAMPLING, epsilon: 0.1 });
+    expect(() => createAllocation({ strategy: 'round_robin' })).toThrow(expect.objectContaining({ type: ErrorTypes.VALIDATION_ERROR }));
+    expect(() => createAllocation({ strategy: AllocationStrategy.EPSILON_GREEDY, epsilon: 2 })).toThrow('Epsilon must be between 0 and 1');
+    expect(() => selectVariation([])).toThrow('Cannot allocate traffic without variations');
+  });
+
+  test('should shift Thompson sampling traffic towards the better variation', () => {
+    const variations = [variation('original', 1000, 50), variation('better', 1000, 80), variation('worse', 1000, 30)];
+
+    const shares = allocationShares(variations, { strategy: AllocationStrategy.THOMPSON_SAMPLING });
+    expect(shares.better).toBeGreaterThan(0.95);
+    expect(shares.worse).toBeLessThan(0.01);
+
+    // Without evidence every variation gets explored
+    const fresh = allocationShares([variation('a', 0, 0), variation('b', 0, 0)]);
+    expect(fresh.a).toBeGreaterThan(0.4);
+    expect(fresh.b).toBeGreaterThan(0.4);
+  });
+
+  test('should exploit the best mean and explore with probability epsilon', () => {
+    const variations = [variation('original', 1000, 50), variation('better', 1000, 80)];
+    const allocation = { strategy: AllocationStrategy.EPSILON_GREEDY, epsilon: 0.2 };
+
+    expect(selectVariation(variations, allocation, { random: () => 0.5 })).toEqual({
+      variationId: 'better',
+      strategy: AllocationStrategy.EPSILON_GREEDY,
+      explored: false
+    });
+    expect(selectVariation(variations, allocation, { random: () => 0.1 })).toMatchObject({ variationId: 'original', explored: true });
+    expect(allocationShares(variations, allocation)).toEqual({ original: 0.1, better: 0.9 });
+    expect(allocationShares(variations, { strategy: AllocationStrategy.STATIC })).toEqual({ original: 0.5, better: 0.5 });
+  });
+
+  test('should send fewer impressions to a losing variation than a static split', () => {
+    const random = createRandom(7);
+    const trueRates = { control: 0.04, challenger: 0.08 };
+    const variations = [variation('control', 0, 0), variation('challenger', 0, 0)];
+
+    for (let i = 0; i < 2000; i++) {
+      const { variationId } = selectVariation(variations, { strategy: AllocationStrategy.THOMPSON_SAMPLING }, { random });
+      const served = variations.find(v => v.id === variationId);
+      served.metrics.views++;
+      if (random() < trueRates[variationId]) {
+        served.metrics.clicks++;
+      }
+    }
+
+    expect(variations[0].metrics.views).toBeLessThan(700);
+    expect(variations[1].metrics.views).toBeGreaterThan(1300);
+  });
+
+  test('should count concurrent impressions on per-arm counters', async () => {
+    const db = admin.firestore();
+    db.collections.abTests = {
+      'test-1': { arms: [variation('original', 10, 1), variation('challenger', 0, 0)] }
+    };
+    const testRef = db.collection('abTests').doc('test-1');
+    const snapshot = (await testRef.get()).data();
+
+    // Every call works from the same stale read, as concurrent impressions do
+    await Promise.all([
+      recordArmMetric(testRef, snapshot, 'arms', 'challenger', 'views'),
+      recordArmMetric(testRef, snapshot, 'arms', 'challenger', 'views'),
+      recordArmMetric(testRef, snapshot, 'arms', 'original', 'views'),
+      recordArmMetric(testRef, snapshot, 'arms', 'challenger', 'clicks', 2)
+    ]);
+
+    const test = db.collections.abTests['test-1'];
+    expect(test.armMetrics).toEqual({ challenger: { views: 2, clicks: 2 }, original: { views: 1 } });
+    // The arms themselves are not rewritten
+    expect(test.arms).toEqual([variation('original', 10, 1), variation('challenger', 0, 0)]);
+    expect(withArmMetrics(test.arms, test.armMetrics).map(arm => arm.metrics)).toEqual([
+      { views: 11, clicks: 1, conversions: 0 },
+      { views: 2, clicks: 2, conversions: 0 }
+    ]);
+
+    await expect(recordArmMetric(testRef, snapshot, 'arms', 'missing', 'views')).rejects.toThrow('Variation with ID missing not found in test');
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * Unit tests for the constrained budget optimizer
+ */
+jest.mock('firebase-admin', () => require('./helpers/fakeFirestore').createFirebaseAdmin());
+
+jest.mock('firebase-functions', () => ({
+  config: jest.fn(() => ({})),
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn(), log: jest.fn() }
+}));
+
+jest.mock('../src/apis', () => ({
+  openai: { generateContent: jest.fn(() => Promise.resolve('{}')) },
+  gemini: {}
+}));
+
+const admin = require('firebase-admin');
+const {
+  periodResponse,
+  curvesFromObservedReturns,
+  optimizeBudget,
+  efficientFrontier
+} = require('../src/utils/budgetOptimizer');
+const { marginalResponse } = require('../src/utils/marketingMixModel');
+const { ErrorTypes } = require('../src/utils/errorLogging');
+const { generateBudgetRecommendations } = require('../src/features/revenueAttributionAI');
+
+const CURVES = {
+  search: { decay: 0, halfSaturation: 1000, shape: 1, coefficient: 100 },
+  social: { decay: 0, halfSaturation: 4000, shape: 1, coefficient: 100 }
+};
+
+describe('Budget Optimizer', () => {
+  test('should equalize marginal returns when unconstrained', () => {
+    const result = optimizeBudget(CURVES, 4000, { currentSpend: { search: 500, social: 3500 }, step: 10 });
+
+    expect(result.allocation.search + result.allocation.social).toBeCloseTo(4000, 6);
+    expect(marginalResponse(CURVES.search, result.allocation.search))
+      .toBeCloseTo(marginalResponse(CURVES.social, result.allocation.social), 3);
+    expect(result.response).toBeGreaterThan(result.currentResponse);
+    expect(result.changes.search).toBeCloseTo(result.allocation.search - 500, 6);
+  });
+
+  test('should respect min/max spend, the change step and the risk tolerance', () => {
+    const current = { search: 1000, social: 3000 };
+
+    const capped = optimizeBudget(CURVES, 4000, { currentSpend: current, maxSpend: { search: 1200 }, minSpend: { social: 2500 } });
+    expect(capped.allocation.search).toBeCloseTo(1200, 6);
+    expect(capped.binding.search).toBe('max');
+
+    // Spend only moves in whole $250 steps
+    const stepped = optimizeBudget(CURVES, 4000, { currentSpend: current, step: 250 });
+    expect(Math.abs(stepped.changes.search) % 250).toBeCloseTo(0, 6);
+    expect(Math.abs(stepped.changes.search)).toBeGreaterThan(0);
+
+    // A 10% risk tolerance keeps every channel within 10% of its current spend
+    const cautious = optimizeBudget(CURVES, 4000, { currentSpend: current, riskTolerance: 0.1, step: 10 });
+    expect(cautious.allocation.search).toBeLessThanOrEqual(1100 + 1e-6);
+    expect(cautious.allocation.social).toBeGreaterThanOrEqual(2700 - 1e-6);
+
+    expect(() => optimizeBudget(CURVES, 4000, { minSpend: { search: 3000, social: 3000 } }))
+      .toThrow(expect.objectContaining({ type: ErrorTypes.VALIDATION_ERROR }));
+    expect(() => optimizeBudget(CURVES, 4000, { maxSpend: { search: 1000, social: 1000 } }))
+      .toThrow('Budget cannot be split within the channel spend limits');
+  });
+
+  test('should spread spend over several weekly periods', () => {
+    expect(periodResponse(CURVES.search, 4000, 4)).toBeCloseTo(4 * 50, 6);
+
+    const weekly = optimizeBudget(CURVES, 1000, { step: 5 });
+    const monthly = optimizeBudget(CURVES, 4000, { step: 20, periods: 4 });
+    expect(monthly.allocation.search).toBeCloseTo(4 * weekly.allocation.search, 6);
+    expect(monthly.response).toBeCloseTo(4 * weekly.response, 6);
+  });
+
+  test('should trace an efficient frontier with falling returns per extra dollar', () => {
+    const frontier = efficientFrontier(CURVES, 4000, { frontierStep: 1000, minSpend: { social: 2500 } });
+
+    expect(frontier.map(point => point.budget)).toEqual([2000, 3000, 4000, 5000, 6000, 7000]);
+    expect(frontier[0]).toMatchObject({ feasible: false });
+    expect(frontier[1].incrementalResponse).toBeNull();
+
+    const feasible = frontier.filter(point => point.feasible);
+    for (let i = 1; i < feasible.length; i++) {
+      expect(feasible[i].response).toBeGreaterThan(feasible[i - 1].response);
+      expect(feasible[i].incrementalBudget).toBe(1000);
+    }
+    for (let i = 2; i < feasible.length; i++) {
+      expect(feasible[i].incrementalReturnPerDollar).toBeLessThan(feasible[i - 1].incrementalReturnPerDollar);
+    }
+  });
+
+  test('should recommend budgets from attribution and a fitted model', async () => {
+    const db = admin.firestore();
+    const observed = curvesFromObservedReturns(
+      { search: { weeklySpend: 500, weeklyResponse: 40 }, social: { weeklySpend: 0, weeklyResponse: 10 } },
+      { defaultWeeklySpend: 250 }
+    );
+    expect(observed.search).toEqual({ decay: 0, halfSaturation: 500, shape: 1, coefficient: 80 });
+    expect(observed.social.halfSaturation).toBe(250);
+
+    db.collections.attributionReports = {
+      report: {
+        userId: 'user-1',
+        startDate: '2024-01-01',
+        endDate: '2024-01-29',
+        totalConversions: 100,
+        totalValue: 10000,
+        channelAttribution: {
+          search: { totalValue: 8000, valuePercentage: 0.8, conversionCount: 80, touchpointCount: 100 },
+          social: { totalValue: 2000, valuePercentage: 0.2, conversionCount: 20, touchpointCount: 100 }
+        },
+        generatedAt: 1
+      }
+    };
+
+    const budgetParams = {
+      totalBudget: 8000,
+      startDate: '2024-02-01',
+      endDate: '2024-02-29',
+      currentSpend: { search: 2000, social: 6000 },
+      constraints: { minimumChange: 100, maxSpend: { search: 5000 } },
+      frontierStep: 2000
+    };
+
+    // Attribution only: search returns far more per dollar, so it gets more of the budget
+    const heuristic = await generateBudgetRecommendations('user-1', budgetParams);
+    expect(heuristic.optimization).toMatchObject({ method: 'constrained_response_curves', responseSource: 'attribution', objective: 'revenue' });
+    expect(heuristic.budgetAllocation.search.amount).toBeGreaterThan(2000);
+    expect(heuristic.budgetAllocation.search.amount).toBeLessThanOrEqual(5000);
+    expect(heuristic.budgetAllocation.search.change % 100).toBeCloseTo(0, 6);
+    expect(heuristic.optimization.incrementalResponse).toBeGreaterThan(0);
+    expect(heuristic.optimization.frontier.map(point => point.budget)).toEqual([4000, 6000, 8000, 10000, 12000, 14000]);
+
+    // A fitted conversions model is preferred and converted to revenue at the average order value
+    db.collections.marketingMixModels = {
+      model: {
+        userId: 'user-1',
+        modelType: 'adstock_saturation',
+        target: 'conversions',
+        fitQuality: { weeks: 4 },
+        channelSpend: { search: 4000, social: 4000 },
+        diminishingReturns: {
+          search: { model: { decay: 0, halfSaturation: 1000, shape: 1, coefficient: 10 } },
+          social: { model: { decay: 0, halfSaturation: 1000, shape: 1, coefficient: 10 } }
+        },
+        generatedAt: 1
+      }
+    };
+
+    const fitted = await generateBudgetRecommendations('user-1', { ...budgetParams, currentSpend: undefined });
+    expect(fitted.optimization).toMatchObject({ responseSource: 'marketing_mix_model', modelId: 'model' });
+    expect(fitted.budgetAllocation.search.currentAmount).toBeCloseTo(4000, 6);
+    expect(fitted.budgetAllocation.search.amount).toBeCloseTo(4000, 6);
+    expect(fitted.optimization.expectedResponse).toBeCloseTo(4 * 2 * 10 * 0.5 * 100, 6);
+
+    const infeasible = await generateBudgetRecommendations('user-1', {
+      ...budgetParams,
+      constraints: { minSpend: { search: 9000 } }
+    });
+    expect(infeasible.status).toBe('infeasible_constraints');
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * Unit tests for the circuit breaker and health-aware LLM provider routing
+ */
+jest.mock('firebase-admin', () => require('./helpers/fakeFirestore').createFirebaseAdmin());
+
+jest.mock('firebase-functions', () => ({
+  config: jest.fn(() => ({})),
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn(), log: jest.fn() }
+}));
+
+const {
+  CircuitState,
+  CircuitBreakerRegistry,
+  CircuitOpenError,
+  HEALTH_COLLECTION
+} = require('../src/utils/circuitBreaker');
+const { ProviderRouter, TaskType } = require('../src/utils/llm/providerRouter');
+const { executeWithRetry } = require('../src/utils/retryLogic');
+
+const serverError = () => Object.assign(new Error('upstream unavailable'), { response: { status: 503 } });
+
+describe('Circuit Breaker', () => {
+  let now;
+  let registry;
+
+  const createRegistry = (options = {}) => new CircuitBreakerRegistry({
+    minRequests: 4,
+    failureRateThreshold: 0.5,
+    openDurationMs: 1000,
+    maxOpenDurationMs: 3000,
+    persist: false,
+    now: () => now,
+    ...options
+  });
+
+  const fail = key => registry.execute(key, () => Promise.reject(serverError())).catch(error => error);
+  const succeed = (key, latencyMs = 0) => registry.execute(key, async () => {
+    now += latencyMs;
+    return 'ok';
+  });
+
+  beforeEach(() => {
+    now = 1000000;
+    registry = createRegistry();
+  });
+
+  test('should open once the error rate crosses the threshold and fail fast', async () => {
+    await succeed('openai:gpt-4-turbo');
+    await fail('openai:gpt-4-turbo');
+    await fail('openai:gpt-4-turbo');
+    expect(registry.getHealth('openai:gpt-4-turbo').state).toBe(CircuitState.CLOSED);
+
+    await fail('openai:gpt-4-turbo');
+    const health = registry.getHealth('openai:gpt-4-turbo');
+    expect(health).toMatchObject({ state: CircuitState.OPEN, requests: 4, failures: 3, errorRate: 0.75, lastError: 'upstream unavailable' });
+
+    const fn = jest.fn();
+    await expect(registry.execute('openai:gpt-4-turbo', fn)).rejects.toBeInstanceOf(CircuitOpenError);
+    expect(fn).not.toHaveBeenCalled();
+    // Other models are unaffected
+    expect(registry.isAvailable('openai:gpt-4o')).toBe(true);
+  });
+
+  test('should not count client errors against the circuit', async () => {
+    const badRequest = Object.assign(new Error('invalid request'), { response: { status: 400 } });
+    for (let i = 0; i < 5; i++) {
+      await registry.execute('gemini:gemini-pro', () => Promise.reject(badRequest)).catch(() => {});
+    }
+
+    expect(registry.getHealth('gemini:gemini-pro')).toMatchObject({ state: CircuitState.CLOSED, failures: 0 });
+  });
+
+  test('should probe after the cool-down and back off when the probe fails', async () => {
+    for (let i = 0; i < 4; i++) {
+      await fail('anthropic:claude');
+    }
+    expect(registry.getHealth('anthropic:claude').state).toBe(CircuitState.OPEN);
+
+    now += 1000;
+    expect(registry.getHealth('anthropic:claude').state).toBe(CircuitState.HALF_OPEN);
+
+    // Only one probe at a time
+    let releaseProbe;
+    const probe = registry.execute('anthropic:claude', () => new Promise((resolve, reject) => { releaseProbe = reject; }));
+    expect(registry.isAvailable('anthropic:claude')).toBe(false);
+    releaseProbe(serverError());
+    await probe.catch(() => {});
+
+    // Failed probe doubles the cool-down
+    const reopened = registry.getHealth('anthropic:claude');
+    expect(reopened.state).toBe(CircuitState.OPEN);
+    expect(new Date(reopened.nextAttemptAt).getTime() - now).toBe(2000);
+
+    now += 2000;
+    await succeed('anthropic:claude', 120);
+    expect(registry.getHealth('anthropic:claude')).toMatchObject({ state: CircuitState.CLOSED, errorRate: 0, consecutiveOpens: 0 });
+  });
+
+  test('should track rolling latency percentiles', async () => {
+    for (const latency of [100, 200, 300, 400, 1000]) {
+      await succeed('openai:gpt-4o', latency);
+    }
+
+    expect(registry.getHealth('openai:gpt-4o')).toMatchObject({ avgLatencyMs: 400, p50LatencyMs: 300, p95LatencyMs: 1000 });
+
+    // Outcomes age out of the window
+    now += registry.config.windowMs + 1;
+    expect(registry.getHealth('openai:gpt-4o').requests).toBe(0);
+  });
+
+  test('should persist snapshots and raise an alert when a circuit opens', async () => {
+    const writes = [];
+    const alerts = [];
+    registry = createRegistry({
+      persist: true,
+      db: {
+        collection: name => ({
+          doc: id => ({ set: data => { writes.push({ name, id, data }); return Promise.resolve(); } }),
+          add: data => { alerts.push({ name, data }); return Promise.resolve({ id: 'alert' }); }
+        })
+      }
+    });
+
+    for (let i = 0; i < 4; i++) {
+      await fail('openai:gpt-4-turbo');
+    }
+
+    const openSnapshot = writes.filter(write => write.data.state === CircuitState.OPEN).pop();
+    expect(openSnapshot).toMatchObject({ name: HEALTH_COLLECTION, id: 'openai:gpt-4-turbo', data: { provider: 'openai', model: 'gpt-4-turbo' } });
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0].data).toMatchObject({ severity: 'error', title: 'Circuit opened for openai:gpt-4-turbo', provider: 'openai' });
+  });
+
+  test('should stop retrying once the circuit opens', async () => {
+    registry = createRegistry({ minRequests: 2 });
+    const fn = jest.fn(() => Promise.reject(serverError()));
+
+    await expect(executeWithRetry(fn, {
+      maxRetries: 5,
+      baseDelay: 1,
+      maxDelay: 1,
+      circuitKey: 'openai:gpt-4-turbo',
+      circuitBreaker: registry
+    })).rejects.toBeInstanceOf(CircuitOpenError);
+    expect(fn).toHaveBeenCalledTimes(2);
+  });
+
+  test('should count a timed out probe as a failure and release it', async () => {
+    for (let i = 0; i < 4; i++) {
+      await fail('anthropic:claude');
+    }
+    now += 1000;
+
+    await expect(executeWithRetry(() => new Promise(() => {}), {
+      maxRetries: 0,
+      timeoutMs: 10,
+      circuitKey: 'anthropic:claude',
+      circuitBreaker: registry
+    })).rejects.toThrow('timed out');
+    expect(registry.getHealth('anthropic:claude')).toMatchObject({ state: CircuitState.OPEN, lastError: 'Operation timed out after 10ms' });
+
+    now += 2000;
+    expect(registry.isAvailable('anthropic:claude')).toBe(true);
+  });
+
+  describe('ProviderRouter', () => {
+    const candidates = [
+      { provider: 'openai', model: 'gpt-4-turbo' },
+      { provider: 'gemini', model: 'gemini-pro' },
+      { provider: 'anthropic', model: 'claude-3-opus-20240229' }
+    ];
+
+    test('should keep the preferred provider first while it is healthy', () => {
+      const router = new ProviderRouter({ registry });
+      const routes = router.route(candidates, { preferredProvider: 'openai' });
+
+      expect(routes.map(route => route.provider)).toEqual(['openai', 'gemini', 'anthropic']);
+      expect(routes[0].circuitKey).toBe('openai:gpt-4-turbo');
+    });
+
+    test('should demote degraded providers and skip open circuits', async () => {
+      const router = new ProviderRouter({ registry });
+      await succeed('openai:gpt-4-turbo');
+      await succeed('openai:gpt-4-turbo');
+      await fail('openai:gpt-4-turbo');
+
+      expect(router.route(candidates, { preferredProvider: 'openai' }).map(route => route.provider))
+        .toEqual(['gemini', 'anthropic', 'openai']);
+
+      await fail('openai:gpt-4-turbo');
+      expect(registry.getHealth('openai:gpt-4-turbo').state).toBe(CircuitState.OPEN);
+      expect(router.route(candidates, { preferredProvider: 'openai', taskType: TaskType.STRUCTURED_OUTPUT }).map(route => route.provider))
+        .toEqual(['gemini', 'anthropic']);
+    });
+
+    test('should fail fast when every circuit is open', async () => {
+      const router = new ProviderRouter({ registry });
+      for (let i = 0; i < 4; i++) {
+        await fail('openai:gpt-4-turbo');
+      }
+
+      expect(() => router.route([candidates[0]], { preferredProvider: 'openai' })).toThrow(CircuitOpenError);
+    });
+  });
+});
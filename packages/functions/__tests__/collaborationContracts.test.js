@@ -0,0 +1,240 @@
+/**
+ * Unit tests for collaboration contract terms and negotiation
+ */
+jest.mock('firebase-admin', () => require('./helpers/fakeFirestore').createFirebaseAdmin());
+
+jest.mock('firebase-functions', () => ({
+  config: jest.fn(() => ({ payments: { processor: 'local' } })),
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn(), log: jest.fn() }
+}));
+
+jest.mock('../src/apis', () => ({ openai: {}, gemini: {} }));
+
+const admin = require('firebase-admin');
+const {
+  NegotiationState,
+  NegotiationAction,
+  UsageRightsScope,
+  transitionNegotiation,
+  validateContractTerms,
+  diffTerms
+} = require('../src/utils/collaborationContracts');
+const { MilestoneStatus } = require('../src/utils/milestonePayments');
+const {
+  negotiateTerms,
+  respondToOffer,
+  expireNegotiations,
+  getCollaborationContract
+} = require('../src/features/integratedInfluencerMarketplace');
+
+const HOUR = 60 * 60 * 1000;
+
+const TERMS = {
+  deliverables: [
+    { format: 'reel', platform: 'Instagram', quantity: 2 },
+    { format: 'story', platform: 'instagram', quantity: 3, description: 'Swipe-up to <the> store' }
+  ],
+  deadlines: { contentSubmission: '2024-09-01', publication: '2024-09-10' },
+  usageRights: { scope: UsageRightsScope.ORGANIC, durationDays: 90 },
+  exclusivity: { windowDays: 30, categories: ['skincare'] },
+  fee: { amount: 1500, currency: 'USD' },
+  revisions: 2,
+  paymentSchedule: [
+    { type: 'deposit', percent: 20 },
+    { type: 'on_approval', percent: 80 }
+  ]
+};
+
+/**
+ * Seed a collaboration request between brand-1 and an influencer
+ */
+const seedRequest = (requestId, influencerId) => {
+  const db = admin.firestore();
+  db.collections.users = { 'brand-1': { companyName: 'Glow & Co', stripeCustomerId: 'cus_brand', defaultPaymentMethodId: 'pm_card_visa' } };
+  db.collections.influencers = { ...(db.collections.influencers || {}), [influencerId]: { name: 'Sam Rivera' } };
+  db.collections.influencerCampaigns = { 'camp-1': { brandId: 'brand-1', name: 'Autumn Launch' } };
+  db.collections.collaborationRequests = {
+    ...(db.collections.collaborationRequests || {}),
+    [requestId]: { campaignId: 'camp-1', brandId: 'brand-1', influencerId, status: 'pending' }
+  };
+};
+
+describe('Collaboration Contracts', () => {
+  test('should normalize valid terms and report every problem with invalid ones', () => {
+    const terms = validateContractTerms(TERMS);
+    expect(terms.deliverables[0]).toEqual({ format: 'reel', platform: 'instagram', quantity: 2, description: null });
+    expect(terms.deadlines).toEqual({ contentSubmission: '2024-09-01T00:00:00.000Z', publication: '2024-09-10T00:00:00.000Z' });
+    expect(terms.usageRights).toEqual({ scope: 'organic', durationDays: 90, territories: ['worldwide'] });
+    expect(terms.fee).toEqual({ amount: 1500, currency: 'usd' });
+
+    let error;
+    try {
+      validateContractTerms({
+        deliverables: [{ format: 'billboard', quantity: 0 }],
+        deadlines: { contentSubmission: '2024-09-10', publication: '2024-09-01' },
+        usageRights: { scope: UsageRightsScope.PAID },
+        fee: { amount: 0 },
+        revisions: 25
+      });
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error.message).toBe('Invalid contract terms');
+    expect(error.context.errors).toEqual([
+      'Deliverable 1 has an unknown format: billboard',
+      'Deliverable 1 needs a platform',
+      'Deliverable 1 needs a whole, positive quantity',
+      'The publication deadline cannot be before the content submission deadline',
+      'Usage rights need a duration in whole days',
+      'The fee must be a positive amount',
+      'Revisions must be a whole number from 0 to 10'
+    ]);
+
+    // The payment schedule has to be payable
+    expect(() => validateContractTerms({ ...TERMS, paymentSchedule: [{ type: 'deposit', amount: 100 }] }))
+      .toThrow('Invalid contract terms');
+  });
+
+  test('should only allow valid negotiation transitions and diff offers field by field', () => {
+    expect(transitionNegotiation(undefined, NegotiationAction.PROPOSE)).toBe(NegotiationState.PROPOSED);
+    expect(transitionNegotiation(NegotiationState.PROPOSED, NegotiationAction.COUNTER)).toBe(NegotiationState.COUNTERED);
+    expect(transitionNegotiation(NegotiationState.COUNTERED, NegotiationAction.ACCEPT)).toBe(NegotiationState.ACCEPTED);
+    expect(() => transitionNegotiation(undefined, NegotiationAction.ACCEPT)).toThrow('Cannot accept a negotiation that is not_started');
+    expect(() => transitionNegotiation(NegotiationState.ACCEPTED, NegotiationAction.COUNTER)).toThrow('Cannot counter a negotiation that is accepted');
+    expect(() => transitionNegotiation(NegotiationState.EXPIRED, NegotiationAction.ACCEPT)).toThrow();
+
+    const before = validateContractTerms(TERMS);
+    const after = validateContractTerms({
+      ...TERMS,
+      deliverables: [TERMS.deliverables[0]],
+      fee: { amount: 1800, currency: 'usd' },
+      exclusivity: null
+    });
+    expect(diffTerms(null, after)).toEqual([]);
+    expect(diffTerms(before, after)).toEqual(expect.arrayContaining([
+      { path: 'deliverables[1].format', from: 'story', to: null },
+      { path: 'exclusivity.windowDays', from: 30, to: null },
+      { path: 'fee.amount', from: 1500, to: 1800 }
+    ]));
+    expect(diffTerms(before, after)).toHaveLength(7);
+  });
+
+  test('should accept countered terms, generate the contract and authorize the agreed fee', async () => {
+    const db = admin.firestore();
+    seedRequest('req-1', 'inf-1');
+
+    const proposed = await negotiateTerms('req-1', { offeredBy: 'brand', terms: TERMS });
+    expect(proposed.negotiation).toMatchObject({ state: NegotiationState.PROPOSED, version: 1 });
+    expect(db.collections.influencerNotifications).toBeDefined();
+    await expect(negotiateTerms('req-1', { offeredBy: 'brand', terms: TERMS }))
+      .rejects.toThrow('Wait for the other party to respond before making another offer');
+
+    const countered = await negotiateTerms('req-1', {
+      offeredBy: 'influencer',
+      terms: { ...TERMS, fee: { amount: 2000, currency: 'usd' } },
+      message: 'Reels take longer to produce',
+      version: 1
+    });
+    expect(countered.negotiation).toMatchObject({ state: NegotiationState.COUNTERED, version: 2 });
+    expect(countered.negotiation.currentOffer.changes).toEqual([{ path: 'fee.amount', from: 1500, to: 2000 }]);
+    expect(Object.values(db.collections.brandNotifications)).toContainEqual(expect.objectContaining({
+      title: 'New Counter Offer',
+      message: expect.stringContaining('Changed: fee.amount')
+    }));
+
+    await expect(respondToOffer('req-1', { action: NegotiationAction.ACCEPT, respondedBy: 'influencer', version: 2 }))
+      .rejects.toThrow('Only the other party can respond to an offer');
+
+    const accepted = await respondToOffer('req-1', { action: NegotiationAction.ACCEPT, respondedBy: 'brand', version: 2 });
+    expect(accepted.status).toBe('accepted');
+    expect(accepted.negotiation).toMatchObject({ state: NegotiationState.ACCEPTED, contractId: 'req-1' });
+    expect(accepted.payments.summary).toMatchObject({ total: 200000, authorized: 160000, held: 40000 });
+    expect(db.collections.paymentMilestones['req-1_m0'].status).toBe(MilestoneStatus.CAPTURED);
+    expect(db.collections.collaborationRequests['req-1']).toMatchObject({ status: 'accepted', contractId: 'req-1' });
+    expect(db.collections.collaborationRequests['req-1'].negotiationHistory.map(entry => entry.action))
+      .toEqual(['propose', 'counter', 'accept']);
+
+    const contract = await getCollaborationContract('req-1');
+    expect(contract).toMatchObject({ offerVersion: 2, format: 'html', contentHash: expect.stringMatching(/^[0-9a-f]{64}$/) });
+    expect(contract.html).toContain('Brand: Glow &amp; Co');
+    expect(contract.html).toContain('Influencer: Sam Rivera');
+    expect(contract.html).toContain('2000.00 USD');
+    expect(contract.html).toContain('400.00 USD on signature');
+    expect(contract.html).toContain('Swipe-up to &lt;the&gt; store');
+    expect(contract.html).not.toContain('<the>');
+
+    await expect(negotiateTerms('req-1', { offeredBy: 'brand', terms: TERMS, version: 2 }))
+      .rejects.toThrow('Cannot counter a negotiation that is accepted');
+  });
+
+  test('should only accept or counter the offer version the party saw', async () => {
+    const db = admin.firestore();
+    seedRequest('req-5', 'inf-5');
+
+    await negotiateTerms('req-5', { offeredBy: 'brand', terms: TERMS });
+    await expect(negotiateTerms('req-5', { offeredBy: 'influencer', terms: TERMS }))
+      .rejects.toThrow('The offer version being answered is required');
+    await negotiateTerms('req-5', {
+      offeredBy: 'influencer',
+      terms: { ...TERMS, fee: { amount: 2500, currency: 'usd' } },
+      version: 1
+    });
+
+    // The brand accepts the version it saw before the influencer's counter landed
+    await expect(respondToOffer('req-5', { action: NegotiationAction.ACCEPT, respondedBy: 'brand', version: 1 }))
+      .rejects.toMatchObject({
+        message: 'This offer has changed; review the latest version before responding',
+        context: { version: 1, currentVersion: 2 }
+      });
+    await expect(respondToOffer('req-5', { action: NegotiationAction.ACCEPT, respondedBy: 'brand' }))
+      .rejects.toThrow('The offer version being answered is required');
+    await expect(negotiateTerms('req-5', { offeredBy: 'brand', terms: TERMS, version: 1 }))
+      .rejects.toThrow('This offer has changed');
+
+    expect(db.collections.collaborationRequests['req-5']).toMatchObject({
+      status: 'negotiating',
+      negotiation: { state: NegotiationState.COUNTERED, version: 2 }
+    });
+    expect(db.collections.collaborationContracts && db.collections.collaborationContracts['req-5']).toBeUndefined();
+    expect(db.collections.paymentMilestones && db.collections.paymentMilestones['req-5_m0']).toBeUndefined();
+  });
+
+  test('should decline the request when an offer is rejected', async () => {
+    const db = admin.firestore();
+    seedRequest('req-2', 'inf-2');
+
+    await negotiateTerms('req-2', { offeredBy: 'brand', terms: TERMS });
+    const rejected = await respondToOffer('req-2', { action: NegotiationAction.REJECT, respondedBy: 'influencer', version: 1, message: 'Fully booked' });
+    expect(rejected).toMatchObject({ status: 'declined', negotiation: { state: NegotiationState.REJECTED, contractId: null } });
+    expect(db.collections.collaborationContracts['req-2']).toBeUndefined();
+    expect(Object.values(db.collections.brandNotifications)).toContainEqual(expect.objectContaining({
+      title: 'Offer Rejected',
+      data: expect.objectContaining({ requestId: 'req-2' })
+    }));
+    await expect(respondToOffer('req-2', { action: NegotiationAction.ACCEPT, respondedBy: 'brand', version: 1 }))
+      .rejects.toThrow('Cannot accept a negotiation that is rejected');
+  });
+
+  test('should expire offers that were not answered before their deadline', async () => {
+    const db = admin.firestore();
+    seedRequest('req-3', 'inf-3');
+    seedRequest('req-4', 'inf-4');
+    const now = Date.now();
+
+    await negotiateTerms('req-3', { offeredBy: 'brand', terms: TERMS, expiresAt: now + HOUR });
+    await negotiateTerms('req-4', { offeredBy: 'brand', terms: TERMS, expiresAt: now + 5 * HOUR });
+    await expect(negotiateTerms('req-4', { offeredBy: 'influencer', terms: TERMS, expiresAt: now - HOUR, version: 1 }))
+      .rejects.toThrow('An offer must expire in the future');
+
+    expect(await expireNegotiations(now + 2 * HOUR)).toEqual(['req-3']);
+    expect(db.collections.collaborationRequests['req-3']).toMatchObject({ status: 'expired', negotiation: { state: NegotiationState.EXPIRED } });
+    expect(db.collections.collaborationRequests['req-4'].status).toBe('negotiating');
+
+    // An offer past its deadline expires when someone tries to answer it
+    db.collections.collaborationRequests['req-4'].negotiation.expiresAt = now - 1;
+    await expect(respondToOffer('req-4', { action: NegotiationAction.ACCEPT, respondedBy: 'influencer', version: 1 }))
+      .rejects.toThrow('This offer has expired');
+    expect(db.collections.collaborationRequests['req-4'].negotiation.state).toBe(NegotiationState.EXPIRED);
+    expect(db.collections.paymentMilestones['req-4_m0']).toBeUndefined();
+  });
+});
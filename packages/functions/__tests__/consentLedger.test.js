@@ -0,0 +1,239 @@
+/**
+ * Unit tests for the consent ledger and suppression list
+ */
+jest.mock('firebase-admin', () => require('./helpers/fakeFirestore').createFirebaseAdmin());
+
+jest.mock('firebase-functions', () => ({
+  config: jest.fn(() => ({
+    consent: { token_secret: 'test-secret', unsubscribe_url: 'https://example.com/unsubscribe' }
+  })),
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn(), log: jest.fn() }
+}));
+
+jest.mock('../src/apis', () => ({ openai: {}, gemini: {} }));
+
+const admin = require('firebase-admin');
+const {
+  ConsentStatus,
+  ConsentPurpose,
+  LegalBasis,
+  SuppressionListReason,
+  ConsentDenialReason,
+  evaluateSendPermission,
+  recordConsent,
+  addSuppression,
+  liftSuppression,
+  checkSendPermission,
+  createUnsubscribeToken,
+  verifyUnsubscribeToken,
+  buildUnsubscribeUrl,
+  unsubscribeWithToken,
+  exportConsentHistory
+} = require('../src/utils/consentLedger');
+const {
+  INTERACTION_TYPES,
+  saveJourneyDefinition,
+  publishJourneyDefinition,
+  processJourneyEvent
+} = require('../src/features/predictiveCustomerJourney');
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2024, 6, 1, 12);
+
+const entry = (channel, purpose, status, daysAgo, extra = {}) => ({
+  channel,
+  purpose,
+  status,
+  legalBasis: LegalBasis.CONSENT,
+  timestamp: NOW - daysAgo * DAY,
+  ...extra
+});
+
+describe('Consent Ledger', () => {
+  test('should let the latest covering consent entry decide', () => {
+    const entries = [
+      entry('*', ConsentPurpose.MARKETING, ConsentStatus.GRANTED, 30),
+      entry('sms', '*', ConsentStatus.WITHDRAWN, 10),
+      entry('email', ConsentPurpose.MARKETING, ConsentStatus.WITHDRAWN, 5),
+      entry('email', ConsentPurpose.MARKETING, ConsentStatus.GRANTED, 1, { id: 'latest' })
+    ];
+    const check = (channel, purpose, frameworks = []) => evaluateSendPermission({ channel, purpose }, { entries, frameworks }, NOW);
+
+    expect(check('email', ConsentPurpose.MARKETING)).toMatchObject({ allowed: true, legalBasis: LegalBasis.CONSENT, consentId: 'latest' });
+    expect(check('sms', ConsentPurpose.MARKETING)).toMatchObject({ allowed: false, reason: ConsentDenialReason.CONSENT_WITHDRAWN });
+    expect(check('push', ConsentPurpose.MARKETING).allowed).toBe(true);
+    expect(check('sms', ConsentPurpose.TRANSACTIONAL)).toMatchObject({ allowed: true, legalBasis: LegalBasis.CONTRACT });
+
+    // Without any record, opt-in frameworks refuse marketing while opt-out frameworks allow it
+    expect(check('email', ConsentPurpose.PRODUCT_UPDATES, ['can_spam'])).toMatchObject({ allowed: true, legalBasis: LegalBasis.LEGITIMATE_INTEREST });
+    expect(check('email', ConsentPurpose.PRODUCT_UPDATES, ['gdpr', 'can_spam'])).toMatchObject({ allowed: false, reason: ConsentDenialReason.NO_CONSENT });
+
+    // Implied consent lapses when it expires
+    const implied = [entry('email', ConsentPurpose.MARKETING, ConsentStatus.GRANTED, 800, { legalBasis: LegalBasis.IMPLIED_CONSENT, expiresAt: NOW - 70 * DAY })];
+    expect(evaluateSendPermission({ channel: 'email' }, { entries: implied, frameworks: ['casl'] }, NOW).reason).toBe(ConsentDenialReason.NO_CONSENT);
+  });
+
+  test('should block suppressed contacts and addresses until the suppression is lifted', async () => {
+    await recordConsent({
+      contactId: 'c1',
+      channel: '*',
+      purpose: ConsentPurpose.MARKETING,
+      status: ConsentStatus.GRANTED,
+      source: 'signup_form'
+    });
+    await addSuppression({ address: ' Jane@Example.com ', channel: 'email', reason: SuppressionListReason.SPAM_COMPLAINT, source: 'test' });
+
+    const emailCheck = await checkSendPermission('c1', { channel: 'email', address: 'jane@example.com' });
+    expect(emailCheck).toMatchObject({ allowed: false, reason: ConsentDenialReason.SUPPRESSED });
+    expect(emailCheck.suppression).toMatchObject({ reason: SuppressionListReason.SPAM_COMPLAINT, purpose: '*' });
+    expect((await checkSendPermission('c1', { channel: 'sms', address: '+15550100' })).allowed).toBe(true);
+
+    expect(await liftSuppression({ address: 'jane@example.com', channel: 'email', source: 'test' })).toBe(true);
+    expect(await liftSuppression({ address: 'jane@example.com', channel: 'email', source: 'test' })).toBe(false);
+    expect((await checkSendPermission('c1', { channel: 'email', address: 'jane@example.com' })).allowed).toBe(true);
+
+    await expect(recordConsent({ contactId: 'c1', channel: 'email', purpose: 'marketing', status: 'maybe', source: 'test' }))
+      .rejects.toThrow('Unknown consent status: maybe');
+    await expect(recordConsent({ channel: 'email', purpose: 'marketing', status: 'granted', source: 'test' }))
+      .rejects.toThrow('A contact ID or address is required');
+  });
+
+  test('should match phone suppressions whatever format the number is stored in', async () => {
+    // SMS STOP arrives in E.164; leads and customers often store national formats
+    await addSuppression({ address: '+15551234567', channel: 'sms', reason: SuppressionListReason.SMS_STOP, source: 'sms_inbound' });
+
+    for (const address of ['(555) 123-4567', '555.123.4567', '+1 555 123 4567']) {
+      expect(await checkSendPermission('c3', { channel: 'sms', address })).toMatchObject({
+        allowed: false,
+        reason: ConsentDenialReason.SUPPRESSED
+      });
+    }
+    expect((await checkSendPermission('c3', { channel: 'sms', address: '(555) 123-4568' })).allowed).toBe(true);
+  });
+
+  test('should withdraw consent through signed one-click unsubscribe tokens', async () => {
+    const token = createUnsubscribeToken({ contactId: 'c2', channel: 'email', purpose: ConsentPurpose.MARKETING, userId: 'user-1' });
+    expect(verifyUnsubscribeToken(token)).toMatchObject({ contactId: 'c2', channel: 'email', purpose: ConsentPurpose.MARKETING, userId: 'user-1' });
+
+    const [payload, signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ c: 'c3', ch: 'email', p: 'marketing' })).toString('base64url');
+    expect(() => verifyUnsubscribeToken(`${forged}.${signature}`)).toThrow('Invalid unsubscribe token');
+    expect(() => verifyUnsubscribeToken(`${payload}.${signature}`, 'other-secret')).toThrow('Invalid unsubscribe token');
+
+    const url = buildUnsubscribeUrl({ contactId: 'c2', channel: 'email', purpose: ConsentPurpose.MARKETING });
+    expect(url).toMatch(/^https:\/\/example\.com\/unsubscribe\?token=/);
+    expect(buildUnsubscribeUrl({ contactId: 'c2', channel: 'email', purpose: ConsentPurpose.TRANSACTIONAL })).toBeNull();
+
+    const withdrawal = await unsubscribeWithToken(token, { ipAddress: '203.0.113.9' });
+    expect(withdrawal).toMatchObject({
+      contactId: 'c2',
+      status: ConsentStatus.WITHDRAWN,
+      source: 'one_click_unsubscribe',
+      evidence: { ipAddress: '203.0.113.9' }
+    });
+    expect(await checkSendPermission('c2', { channel: 'email', userId: 'user-1' })).toMatchObject({
+      allowed: false,
+      reason: ConsentDenialReason.CONSENT_WITHDRAWN
+    });
+
+    // Messages sent to a bare address carry it in the token
+    const addressToken = createUnsubscribeToken({ address: ' Pat@Example.com ', channel: 'email', purpose: ConsentPurpose.MARKETING });
+    expect(verifyUnsubscribeToken(addressToken)).toMatchObject({ contactId: null, address: 'pat@example.com', channel: 'email' });
+    expect(verifyUnsubscribeToken(createUnsubscribeToken({ address: '(555) 123-4567', channel: 'push' })))
+      .toMatchObject({ address: '+15551234567', channel: 'push_notification' });
+    expect(buildUnsubscribeUrl({ address: 'pat@example.com', channel: 'email', purpose: ConsentPurpose.MARKETING })).toMatch(/token=/);
+
+    expect(await unsubscribeWithToken(addressToken)).toMatchObject({ contactId: null, address: 'pat@example.com', status: ConsentStatus.WITHDRAWN });
+    expect(await checkSendPermission('c5', { channel: 'email', address: 'pat@example.com' })).toMatchObject({
+      allowed: false,
+      reason: ConsentDenialReason.CONSENT_WITHDRAWN
+    });
+  });
+
+  test('should keep consent per account and suppressions across accounts', async () => {
+    const db = admin.firestore();
+    db.collections.client_configurations = { 'user-b': { complianceFrameworks: ['casl'] } };
+    await recordConsent({ contactId: 'c7', address: 'lee@example.com', channel: 'email', purpose: ConsentPurpose.MARKETING, status: ConsentStatus.WITHDRAWN, source: 'preference_center', userId: 'user-a' });
+    await recordConsent({ contactId: 'c7', channel: 'email', purpose: ConsentPurpose.MARKETING, status: ConsentStatus.GRANTED, source: 'signup_form', userId: 'user-c' });
+
+    expect(await checkSendPermission('c7', { channel: 'email', address: 'lee@example.com', userId: 'user-a' })).toMatchObject({
+      allowed: false,
+      reason: ConsentDenialReason.CONSENT_WITHDRAWN
+    });
+    // Another account's withdrawal or grant says nothing about this one
+    expect(await checkSendPermission('c7', { channel: 'email', address: 'lee@example.com', userId: 'user-c' })).toMatchObject({
+      allowed: true,
+      legalBasis: LegalBasis.CONSENT
+    });
+    expect(await checkSendPermission('c7', { channel: 'email', address: 'lee@example.com', userId: 'user-b' })).toMatchObject({
+      allowed: false,
+      reason: ConsentDenialReason.NO_CONSENT
+    });
+    expect(await checkSendPermission('c7', { channel: 'email', address: 'lee@example.com' })).toMatchObject({
+      allowed: true,
+      legalBasis: LegalBasis.LEGITIMATE_INTEREST
+    });
+
+    await addSuppression({ address: 'lee@example.com', channel: 'email', reason: SuppressionListReason.SPAM_COMPLAINT, source: 'test' });
+    expect(await checkSendPermission('c7', { channel: 'email', address: 'lee@example.com', userId: 'user-c' })).toMatchObject({
+      allowed: false,
+      reason: ConsentDenialReason.SUPPRESSED
+    });
+
+    const exportDoc = await exportConsentHistory('c7', { address: 'lee@example.com', userId: 'user-c', requestedBy: 'admin-1' });
+    expect(exportDoc.history.map(item => item.source)).toEqual(['signup_form']);
+    expect(exportDoc.suppressions).toHaveLength(1);
+  });
+
+  test('should export consent history and audit the export', async () => {
+    const db = admin.firestore();
+    await recordConsent({ contactId: 'c4', channel: 'sms', purpose: ConsentPurpose.MARKETING, status: ConsentStatus.WITHDRAWN, source: 'preference_center', timestamp: NOW });
+    await recordConsent({ contactId: 'c4', channel: 'sms', purpose: ConsentPurpose.MARKETING, status: ConsentStatus.GRANTED, source: 'signup_form', timestamp: NOW - DAY });
+    await addSuppression({ contactId: 'c4', reason: SuppressionListReason.MANUAL, source: 'support' });
+
+    const exportDoc = await exportConsentHistory('c4', { requestedBy: 'admin-1' });
+    expect(exportDoc.history.map(item => item.source)).toEqual(['signup_form', 'preference_center']);
+    expect(exportDoc.current['sms:marketing']).toMatchObject({ status: ConsentStatus.WITHDRAWN, source: 'preference_center', since: NOW });
+    expect(exportDoc.suppressions).toHaveLength(1);
+    expect(Object.values(db.collections.auditLogs)).toContainEqual(expect.objectContaining({
+      eventType: 'data_export',
+      actorId: 'admin-1',
+      resourceId: 'c4'
+    }));
+  });
+
+  test('should hold back journey sends without consent under opt-in frameworks', async () => {
+    const db = admin.firestore();
+    db.collections.settings = { complianceConfiguration: { activeFrameworks: ['gdpr'] } };
+    db.collections.contactPolicies = { default: { quietHours: {} } };
+    db.collections.customers = {
+      c5: { userId: 'user-5', email: 'c5@example.com' },
+      c6: { userId: 'user-5', email: 'c6@example.com' }
+    };
+    db.collections.campaigns = { welcome: { channelType: 'email', subject: 'Welcome', content: 'Hi {{firstName}}' } };
+    await recordConsent({ contactId: 'c6', channel: 'email', purpose: ConsentPurpose.MARKETING, status: ConsentStatus.GRANTED, source: 'signup_form' });
+
+    const { journeyId } = await saveJourneyDefinition('user-5', {
+      name: 'Welcome',
+      nodes: [
+        { id: 'start', type: 'trigger', event: INTERACTION_TYPES.FORM_SUBMISSION, next: 'welcome' },
+        { id: 'welcome', type: 'action', campaignId: 'welcome', next: 'done' },
+        { id: 'done', type: 'exit' }
+      ]
+    });
+    await publishJourneyDefinition(journeyId);
+
+    const refused = await processJourneyEvent('c5', { type: INTERACTION_TYPES.FORM_SUBMISSION, timestamp: Date.now() });
+    expect(refused.enrolled[0].actionResults[0].result).toMatchObject({ success: false, suppressionReason: ConsentDenialReason.NO_CONSENT });
+    expect(db.collections.emailTasks).toBeUndefined();
+
+    const sent = await processJourneyEvent('c6', { type: INTERACTION_TYPES.FORM_SUBMISSION, timestamp: Date.now() });
+    expect(sent.enrolled[0].actionResults[0].result).toMatchObject({ success: true, channelType: 'email' });
+    const [task] = Object.values(db.collections.emailTasks);
+    expect(task.unsubscribeUrl).toMatch(/token=/);
+    expect(task.headers).toEqual({
+      'List-Unsubscribe': `<${task.unsubscribeUrl}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    });
+  });
+});
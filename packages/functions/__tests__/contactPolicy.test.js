@@ -0,0 +1,211 @@
+/**
+ * Unit tests for the contact policy
+ */
+jest.mock('firebase-admin', () => require('./helpers/fakeFirestore').createFirebaseAdmin());
+
+jest.mock('firebase-functions', () => ({
+  config: jest.fn(() => ({})),
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn(), log: jest.fn() }
+}));
+
+jest.mock('../src/apis', () => ({ openai: {}, gemini: {} }));
+jest.mock('../src/features/semanticContentIntelligence', () => ({}));
+
+const admin = require('firebase-admin');
+const {
+  ContactPriority,
+  ContactDecision,
+  SuppressionReason,
+  resolveContactPolicy,
+  evaluateContactRequest,
+  requestContact
+} = require('../src/utils/contactPolicy');
+const {
+  INTERACTION_TYPES,
+  saveJourneyDefinition,
+  publishJourneyDefinition,
+  processJourneyEvent
+} = require('../src/features/predictiveCustomerJourney');
+const { processCampaignDeliveryTasks } = require('../src/features/omnichannelPersonalizationEngine');
+
+const HOUR = 60 * 60 * 1000;
+const NOON = Date.UTC(2024, 6, 1, 12);
+
+describe('Contact Policy', () => {
+  test('should defer sends in quiet hours to the end of the window in the customer time zone', () => {
+    const policy = resolveContactPolicy({}, { timezone: 'America/New_York' });
+
+    // 02:00 UTC is 22:00 in New York during daylight saving time
+    const lateEvening = Date.UTC(2024, 6, 1, 2);
+    const decision = evaluateContactRequest({ channel: 'email', sendAt: lateEvening }, [], policy, lateEvening);
+    expect(decision).toMatchObject({ status: ContactDecision.DEFERRED, reason: null, sendAt: Date.UTC(2024, 6, 1, 12) });
+
+    const critical = evaluateContactRequest(
+      { channel: 'sms', priority: ContactPriority.CRITICAL, sendAt: lateEvening },
+      [{ id: 'h1', channel: 'sms', status: ContactDecision.ALLOWED, sendAt: lateEvening - HOUR }],
+      policy,
+      lateEvening
+    );
+    expect(critical).toMatchObject({ status: ContactDecision.ALLOWED, sendAt: lateEvening });
+  });
+
+  test('should suppress sends over global and channel caps with the reason', () => {
+    const policy = resolveContactPolicy({ channelCaps: { sms: [{ limit: 1, windowHours: 168 }] } });
+    const sent = (id, channel, hoursAgo) => ({ id, channel, status: ContactDecision.ALLOWED, sendAt: NOON - hoursAgo * HOUR });
+
+    expect(evaluateContactRequest({ channel: 'sms', sendAt: NOON }, [sent('h1', 'email', 30)], policy, NOON))
+      .toMatchObject({ status: ContactDecision.ALLOWED, preemptIds: [] });
+
+    expect(evaluateContactRequest({ channel: 'sms', sendAt: NOON }, [sent('h1', 'sms', 48)], policy, NOON)).toMatchObject({
+      status: ContactDecision.SUPPRESSED,
+      reason: SuppressionReason.CHANNEL_CAP,
+      cap: { scope: 'channel', channel: 'sms', limit: 1, windowHours: 168 }
+    });
+
+    expect(evaluateContactRequest({ channel: 'email', sendAt: NOON }, [sent('h1', 'sms', 2)], policy, NOON))
+      .toMatchObject({ status: ContactDecision.SUPPRESSED, reason: SuppressionReason.GLOBAL_CAP });
+
+    // Suppressed and preempted contacts do not use up the cap
+    const skipped = [{ ...sent('h1', 'email', 2), status: ContactDecision.SUPPRESSED }, { ...sent('h2', 'email', 3), status: ContactDecision.PREEMPTED }];
+    expect(evaluateContactRequest({ channel: 'email', sendAt: NOON }, skipped, policy, NOON).status).toBe(ContactDecision.ALLOWED);
+  });
+
+  test('should apply customer caps on top of the account policy', () => {
+    const policy = resolveContactPolicy({}, {
+      caps: { channels: { push: [{ limit: 1, windowHours: 720 }] } },
+      quietHours: { start: '22:00', end: '07:00' }
+    });
+    expect(policy.customerChannelCaps.push_notification).toEqual([{ limit: 1, windowHours: 720, customer: true }]);
+    expect(policy.globalCaps).toHaveLength(2);
+
+    const history = [{ id: 'h1', channel: 'push', status: ContactDecision.ALLOWED, sendAt: NOON - 240 * HOUR }];
+    expect(evaluateContactRequest({ channel: 'push_notification', sendAt: NOON }, history, policy, NOON))
+      .toMatchObject({ status: ContactDecision.SUPPRESSED, reason: SuppressionReason.CUSTOMER_CAP });
+    expect(evaluateContactRequest({ channel: 'email', sendAt: NOON }, history, policy, NOON).status).toBe(ContactDecision.ALLOWED);
+  });
+
+  test('should let higher-priority messages take the place of scheduled lower-priority ones', async () => {
+    const db = admin.firestore();
+    const now = Date.now();
+    db.collections.contactPolicies = { default: { quietHours: {} } };
+    db.collections.emailTasks = { t1: { status: 'scheduled' } };
+    db.collections.contactLedger = {
+      newsletter: {
+        customerId: 'c1',
+        channel: 'email',
+        priority: ContactPriority.LOW,
+        status: ContactDecision.ALLOWED,
+        sendAt: now + 2 * HOUR,
+        task: { collection: 'emailTasks', id: 't1' }
+      }
+    };
+
+    const urgent = await requestContact('c1', { channel: 'sms', priority: ContactPriority.HIGH, source: 'test', recipient: {} });
+    expect(urgent).toMatchObject({ status: ContactDecision.ALLOWED, preempted: ['newsletter'] });
+    expect(db.collections.contactLedger.newsletter).toMatchObject({
+      status: ContactDecision.PREEMPTED,
+      suppressionReason: SuppressionReason.PREEMPTED,
+      preemptedBy: urgent.contactId
+    });
+    expect(db.collections.emailTasks.t1).toMatchObject({ status: 'cancelled', suppressionReason: SuppressionReason.PREEMPTED });
+
+    const routine = await requestContact('c1', { channel: 'email', recipient: {} });
+    expect(routine).toMatchObject({ status: ContactDecision.SUPPRESSED, reason: SuppressionReason.GLOBAL_CAP, preempted: [] });
+    expect(db.collections.contactLedger[routine.contactId]).toMatchObject({
+      customerId: 'c1',
+      status: ContactDecision.SUPPRESSED,
+      suppressionReason: SuppressionReason.GLOBAL_CAP,
+      cap: { scope: 'global', limit: 1, windowHours: 24 }
+    });
+
+    const receipt = await requestContact('c1', { channel: 'email', priority: ContactPriority.CRITICAL, recipient: {} });
+    expect(receipt.status).toBe(ContactDecision.ALLOWED);
+  });
+
+  test('should not allow two concurrent sends into the last slot under a cap', async () => {
+    const db = admin.firestore();
+    db.collections.contactPolicies = { default: { quietHours: {} } };
+
+    const results = await Promise.all([
+      requestContact('c3', { channel: 'email', recipient: {} }),
+      requestContact('c3', { channel: 'sms', recipient: {} })
+    ]);
+
+    expect(results.map(result => result.status).sort()).toEqual([ContactDecision.ALLOWED, ContactDecision.SUPPRESSED]);
+    expect(db.collections.contactCounters.c3).toMatchObject({ requests: 2, reserved: 1 });
+  });
+
+  test('should skip journey campaign sends that are over the cap', async () => {
+    const db = admin.firestore();
+    const now = Date.now();
+    db.collections.customers = { c2: { userId: 'user-9', phone: '+15550100' } };
+    db.collections.campaigns = { 'promo-sms': { channelType: 'sms', content: 'Hi {{firstName}}' } };
+    db.collections.contactLedger = {
+      earlier: { customerId: 'c2', channel: 'email', status: ContactDecision.ALLOWED, sendAt: now - HOUR }
+    };
+
+    const { journeyId } = await saveJourneyDefinition('user-9', {
+      name: 'Download follow-up',
+      nodes: [
+        { id: 'start', type: 'trigger', event: INTERACTION_TYPES.CONTENT_DOWNLOAD, next: 'promo' },
+        { id: 'promo', type: 'action', campaignId: 'promo-sms', next: 'done' },
+        { id: 'done', type: 'exit' }
+      ]
+    });
+    await publishJourneyDefinition(journeyId);
+
+    const result = await processJourneyEvent('c2', { type: INTERACTION_TYPES.CONTENT_DOWNLOAD, timestamp: now });
+    expect(result.enrolled[0].actionResults[0].result).toMatchObject({
+      success: false,
+      suppressed: true,
+      suppressionReason: SuppressionReason.GLOBAL_CAP
+    });
+    expect(db.collections.smsTasks).toBeUndefined();
+    expect(Object.values(db.collections.contactLedger)).toContainEqual(expect.objectContaining({
+      customerId: 'c2',
+      channel: 'sms',
+      source: 'predictive_journey',
+      status: ContactDecision.SUPPRESSED
+    }));
+  });
+
+  test('should check scheduled campaign deliveries against the contact policy', async () => {
+    const db = admin.firestore();
+    const now = Date.now();
+    db.collections.contactPolicies = { default: { quietHours: {} } };
+    db.collections.customers = { c4: { userId: 'user-9', phone: '+15550104' } };
+    db.collections.campaigns = { 'flash-sms': { channelType: 'sms', content: 'Sale today' } };
+    db.collections.contactLedger = {
+      recent: { customerId: 'c4', channel: 'email', status: ContactDecision.ALLOWED, sendAt: now - HOUR }
+    };
+    db.collections.campaignDeliveryTasks = {
+      d1: { customerId: 'c4', campaignId: 'flash-sms', status: 'pending', scheduledFor: new Date(now - 60000) }
+    };
+
+    const summary = await processCampaignDeliveryTasks(10);
+    expect(summary).toEqual({ processed: 1, success: 0, suppressed: 1, failed: 0 });
+    expect(db.collections.campaignDeliveryTasks.d1).toMatchObject({
+      status: 'suppressed',
+      suppressionReason: SuppressionReason.GLOBAL_CAP
+    });
+    expect(db.collections.smsTasks).toBeUndefined();
+  });
+
+  test('should deliver a scheduled campaign task once when runs overlap', async () => {
+    const db = admin.firestore();
+    db.collections.contactPolicies = { default: { quietHours: {} } };
+    db.collections.customers = { c5: { userId: 'user-9', phone: '+15550105' } };
+    db.collections.campaigns = { 'flash-sms': { channelType: 'sms', content: 'Sale today' } };
+    db.collections.campaignDeliveryTasks = {
+      d2: { customerId: 'c5', campaignId: 'flash-sms', status: 'pending', scheduledFor: new Date(Date.now() - 60000) }
+    };
+
+    const summaries = await Promise.all([processCampaignDeliveryTasks(10), processCampaignDeliveryTasks(10)]);
+
+    // The second run finds the task claimed instead of counting it against the customer's SMS cap
+    expect(summaries.reduce((total, summary) => total + summary.processed, 0)).toBe(1);
+    expect(summaries.reduce((total, summary) => total + summary.success, 0)).toBe(1);
+    expect(Object.values(db.collections.smsTasks || {})).toHaveLength(1);
+    expect(db.collections.campaignDeliveryTasks.d2).toMatchObject({ status: 'queued' });
+  });
+});
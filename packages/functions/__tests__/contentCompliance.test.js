@@ -0,0 +1,183 @@
+/**
+ * Unit tests for the influencer content compliance pre-review
+ */
+jest.mock('firebase-admin', () => require('./helpers/fakeFirestore').createFirebaseAdmin());
+
+jest.mock('firebase-functions', () => ({
+  config: jest.fn(() => ({})),
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn(), log: jest.fn() }
+}));
+
+jest.mock('../src/apis', () => ({ openai: { generateContent: jest.fn() }, gemini: {} }));
+
+jest.mock('../src/utils/imageColors', () => ({
+  extractImageColors: jest.fn(url => Promise.resolve(url.endsWith('.jpg') ? ['#fe5a20', '#fafafa'] : []))
+}));
+
+const admin = require('firebase-admin');
+const { openai } = require('../src/apis');
+const { extractImageColors } = require('../src/utils/imageColors');
+const {
+  CheckStatus,
+  ComplianceOutcome,
+  ComplianceCheck,
+  checkDisclosure,
+  checkBannedWords,
+  checkRequiredTags,
+  checkBrandColors,
+  moderationCheck,
+  summarizeChecklist
+} = require('../src/utils/contentCompliance');
+const {
+  submitCampaignContent,
+  reviewContentCompliance,
+  reviewCampaignContent
+} = require('../src/features/integratedInfluencerMarketplace');
+
+const statusOf = (review, id) => review.checks.find(check => check.id === id).status;
+
+describe('Content Compliance', () => {
+  test('should require a clear disclosure that is visible without expanding the caption', () => {
+    expect(checkDisclosure('#ad Loving my new running shoes from @stride')).toMatchObject({ status: CheckStatus.PASS, found: '#ad' });
+    expect(checkDisclosure('Paid partnership with Stride. New shoes!').status).toBe(CheckStatus.PASS);
+    expect(checkDisclosure('Big thanks to the team #StridePartner').status).toBe(CheckStatus.PASS);
+    expect(checkDisclosure('No caption disclosure', { platformDisclosure: true }).status).toBe(CheckStatus.PASS);
+
+    const buried = checkDisclosure(`${'Morning run along the river, legs feeling great. '.repeat(3)}#running #sponsored`);
+    expect(buried).toMatchObject({ status: CheckStatus.WARNING, found: '#sponsored' });
+
+    expect(checkDisclosure('Love these shoes #sp #running')).toMatchObject({
+      status: CheckStatus.FAIL,
+      details: expect.stringContaining('"#sp" is not a clear disclosure')
+    });
+    expect(checkDisclosure('Love these shoes #running').details).toMatch(/^No disclosure found/);
+    expect(checkDisclosure('Read my adventures #advice').status).toBe(CheckStatus.FAIL);
+  });
+
+  test('should check banned words, required hashtags and mentions', () => {
+    expect(checkBannedWords('The cheapest shoes around', ['cheap'])).toMatchObject({ status: CheckStatus.PASS });
+    expect(checkBannedWords('Cheap and cheerful! Best ever.', ['cheap', 'best ever', 'guaranteed']))
+      .toMatchObject({ status: CheckStatus.FAIL, found: ['cheap', 'best ever'] });
+    expect(checkBannedWords('Anything', []).status).toBe(CheckStatus.SKIPPED);
+
+    const caption = '#ad Race day with @Stride. #StrideRun #Marathon2024';
+    expect(checkRequiredTags(caption, ['striderun', '#marathon2024'], '#').status).toBe(CheckStatus.PASS);
+    expect(checkRequiredTags(caption, ['StrideRun', 'TeamStride'], '#'))
+      .toMatchObject({ id: ComplianceCheck.REQUIRED_HASHTAGS, status: CheckStatus.FAIL, missing: ['#TeamStride'] });
+    expect(checkRequiredTags(caption, ['@stride'], '@')).toMatchObject({ id: ComplianceCheck.REQUIRED_MENTIONS, status: CheckStatus.PASS });
+    expect(checkRequiredTags(caption, [], '@').status).toBe(CheckStatus.SKIPPED);
+  });
+
+  test('should compare content colors with the brand palette and summarize the checklist', () => {
+    expect(checkBrandColors(['#FF5A1F', '#ffffff'], ['#ff5522', '#1a1a1a'])).toMatchObject({ status: CheckStatus.PASS, matched: ['#FF5A1F'] });
+    expect(checkBrandColors(['#00ff00'], ['#ff5522']).status).toBe(CheckStatus.WARNING);
+    expect(checkBrandColors([], ['#ff5522']).status).toBe(CheckStatus.SKIPPED);
+
+    expect(moderationCheck({ approved: true, confidence: 0.9 }).status).toBe(CheckStatus.PASS);
+    expect(moderationCheck({ approved: false, reason: 'Content contains prohibited term: scam', confidence: 0.95 }).status).toBe(CheckStatus.FAIL);
+    expect(moderationCheck({ approved: false, reason: 'No moderation API available' }).status).toBe(CheckStatus.WARNING);
+
+    const pass = { status: CheckStatus.PASS };
+    expect(summarizeChecklist([pass, { status: CheckStatus.SKIPPED }]).outcome).toBe(ComplianceOutcome.PASSED);
+    expect(summarizeChecklist([pass, { status: CheckStatus.WARNING }]).outcome).toBe(ComplianceOutcome.NEEDS_ATTENTION);
+    expect(summarizeChecklist([{ status: CheckStatus.WARNING }, { status: CheckStatus.FAIL }]))
+      .toMatchObject({ outcome: ComplianceOutcome.FAILED, counts: { pass: 0, warning: 1, fail: 1, skipped: 0 } });
+  });
+
+  test('should attach a compliance checklist to new submissions', async () => {
+    const db = admin.firestore();
+    db.collections.apiCredentials = { moderation: { provider: 'content_moderation', isActive: true, key: 'test-key' } };
+    db.collections.brandKits = {
+      'kit-1': {
+        userId: 'brand-1',
+        name: 'Stride',
+        colors: ['#ff5522', '#1a1a1a'],
+        voice: { tone: ['Energetic', 'Encouraging'], bannedWords: ['cheap'] }
+      }
+    };
+    db.collections.influencerCampaigns = {
+      'camp-1': {
+        brandId: 'brand-1',
+        acceptedInfluencers: ['inf-1'],
+        brief: { summary: 'Spring running push', requiredHashtags: ['StrideRun'], requiredMentions: ['stride'] }
+      }
+    };
+    openai.generateContent.mockResolvedValue(JSON.stringify({ matchesTone: true, notes: 'Upbeat and motivating' }));
+
+    const submitted = await submitCampaignContent('camp-1', 'inf-1', {
+      contentUrl: 'https://example.com/post/1',
+      mediaUrls: ['https://cdn.example.com/post/1.jpg'],
+      caption: 'Cheap shoes that will not slow you down @stride'
+    });
+    expect(extractImageColors).toHaveBeenCalledWith('https://cdn.example.com/post/1.jpg');
+
+    const review = submitted.complianceReview;
+    expect(review).toMatchObject({ outcome: ComplianceOutcome.FAILED, brandKitId: 'kit-1' });
+    expect(statusOf(review, ComplianceCheck.FTC_DISCLOSURE)).toBe(CheckStatus.FAIL);
+    expect(statusOf(review, ComplianceCheck.BANNED_WORDS)).toBe(CheckStatus.FAIL);
+    expect(statusOf(review, ComplianceCheck.REQUIRED_HASHTAGS)).toBe(CheckStatus.FAIL);
+    expect(statusOf(review, ComplianceCheck.REQUIRED_MENTIONS)).toBe(CheckStatus.PASS);
+    expect(statusOf(review, ComplianceCheck.BRAND_COLORS)).toBe(CheckStatus.PASS);
+    expect(statusOf(review, ComplianceCheck.BRAND_TONE)).toBe(CheckStatus.PASS);
+    expect(statusOf(review, ComplianceCheck.CONTENT_MODERATION)).toBe(CheckStatus.PASS);
+    expect(db.collections.campaignContent[submitted.id].complianceReview).toEqual(review);
+    expect(Object.values(db.collections.brandNotifications)).toContainEqual(expect.objectContaining({
+      message: expect.stringContaining('compliance pre-review found 3 issue(s)'),
+      data: expect.objectContaining({ complianceOutcome: ComplianceOutcome.FAILED })
+    }));
+
+    // The tone check falls back to a manual look when the model cannot answer
+    openai.generateContent.mockRejectedValueOnce(new Error('timeout'));
+    const fallback = await reviewContentCompliance(submitted.id);
+    expect(fallback.checks.find(check => check.id === ComplianceCheck.BRAND_TONE))
+      .toMatchObject({ status: CheckStatus.WARNING, details: 'Tone could not be checked automatically' });
+  });
+
+  test('should only approve failed content with an override', async () => {
+    const db = admin.firestore();
+    const [contentId] = Object.keys(db.collections.campaignContent);
+
+    await expect(reviewCampaignContent(contentId, 'approved')).rejects.toMatchObject({
+      message: 'Content failed the compliance review; approve with an override to publish it anyway',
+      context: { failedChecks: expect.arrayContaining([expect.objectContaining({ id: ComplianceCheck.FTC_DISCLOSURE })]) }
+    });
+    expect(db.collections.campaignContent[contentId].status).toBe('pending_approval');
+
+    // Fixing the caption and re-running the review clears the way
+    db.collections.campaignContent[contentId].caption = '#ad Shoes that will not slow you down @stride #StrideRun';
+    const rerun = await reviewContentCompliance(contentId);
+    expect(rerun.outcome).toBe(ComplianceOutcome.PASSED);
+    expect((await reviewCampaignContent(contentId, 'approved')).status).toBe('approved');
+    expect(db.collections.campaignContent[contentId].complianceOverride).toBe(false);
+
+    // A reviewer can still approve failed content on purpose, and that is recorded
+    db.collections.campaignContent['content-2'] = {
+      campaignId: 'camp-1',
+      influencerId: 'inf-1',
+      status: 'pending_approval',
+      complianceReview: { outcome: ComplianceOutcome.FAILED, checks: [{ id: ComplianceCheck.BANNED_WORDS, status: CheckStatus.FAIL }] }
+    };
+    await reviewCampaignContent('content-2', 'approved', 'Legal signed off', { overrideCompliance: true });
+    expect(db.collections.campaignContent['content-2']).toMatchObject({ status: 'approved', complianceOverride: true });
+  });
+
+  test('should skip banned words and brand colors with a reason when there is nothing to check', async () => {
+    const db = admin.firestore();
+    db.collections.brandKits = { 'kit-2': { userId: 'brand-2', colors: ['#ff5522'], voice: { tone: [] } } };
+    db.collections.influencerCampaigns['camp-2'] = { brandId: 'brand-2', acceptedInfluencers: ['inf-2'] };
+
+    // Colors claimed by the submission are ignored when the media cannot be read
+    const submitted = await submitCampaignContent('camp-2', 'inf-2', {
+      contentUrl: 'https://example.com/post/2',
+      caption: '#ad Cheap and cheerful',
+      colors: ['#ff5522']
+    });
+
+    const checks = submitted.complianceReview.checks;
+    expect(checks.find(check => check.id === ComplianceCheck.BANNED_WORDS))
+      .toMatchObject({ status: CheckStatus.SKIPPED, details: 'The brand kit has no banned words' });
+    expect(checks.find(check => check.id === ComplianceCheck.BRAND_COLORS))
+      .toMatchObject({ status: CheckStatus.SKIPPED, details: 'No colors could be read from the content\'s media' });
+    expect(extractImageColors).toHaveBeenLastCalledWith('https://example.com/post/2');
+  });
+});
@@ -0,0 +1,238 @@
+/**
+ * Unit tests for email delivery adapters
+ */
+const net = require('net');
+const crypto = require('crypto');
+
+jest.mock('firebase-admin', () => {
+  const firestore = jest.fn(() => ({
+    collection: jest.fn(() => ({
+      add: jest.fn(() => Promise.resolve({ id: 'mock-id' })),
+      doc: jest.fn(() => ({
+        get: jest.fn(() => Promise.resolve({ exists: false })),
+        set: jest.fn(() => Promise.resolve()),
+        update: jest.fn(() => Promise.resolve())
+      }))
+    }))
+  }));
+  firestore.FieldValue = {
+    serverTimestamp: jest.fn(() => 'timestamp'),
+    arrayUnion: jest.fn((...values) => ({ arrayUnion: values }))
+  };
+  return { apps: [{}], initializeApp: jest.fn(), firestore };
+});
+
+jest.mock('firebase-functions', () => ({
+  config: jest.fn(() => ({})),
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn(), log: jest.fn() }
+}));
+
+jest.mock('../src/utils/llm', () => ({ AgentType: {} }));
+jest.mock('../src/utils/decisionFramework', () => ({ OperationMode: { DEFAULT: 'default', CLIENT: 'client' } }));
+
+const {
+  EmailDelivery,
+  SMTPTransport,
+  LocalEmailTransport,
+  buildMimeMessage,
+  parseEmailContent,
+  verifyEventWebhookSignature,
+  verifyWebhookToken
+} = require('../src/utils/emailDelivery');
+const { ContactStatus, ChannelType } = require('../src/utils/multiChannelWorkflows');
+
+/**
+ * Start a scripted SMTP server that records the commands it receives
+ */
+const startSMTPServer = (rcptReply = '250 OK') => {
+  const commands = [];
+  const server = net.createServer(socket => {
+    let inData = false;
+    let buffer = '';
+    socket.write('220 test.local ESMTP\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk.toString();
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            socket.write('250 Queued as ABC123\r\n');
+          }
+          continue;
+        }
+        commands.push(line);
+        if (line.startsWith('EHLO')) socket.write('250-test.local\r\n250 AUTH PLAIN\r\n');
+        else if (line.startsWith('AUTH')) socket.write('235 Authenticated\r\n');
+        else if (line.startsWith('MAIL')) socket.write('250 OK\r\n');
+        else if (line.startsWith('RCPT')) socket.write(`${rcptReply}\r\n`);
+        else if (line === 'DATA') { inData = true; socket.write('354 Go ahead\r\n'); }
+        else if (line === 'QUIT') { socket.write('221 Bye\r\n'); socket.end(); }
+      }
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, commands })));
+};
+
+describe('Email Delivery', () => {
+  describe('buildMimeMessage', () => {
+    test('should build a multipart message when text and html are given', () => {
+      const mime = buildMimeMessage({
+        from: 'sender@example.com',
+        to: 'lead@example.com',
+        subject: 'Hello',
+        text: 'Plain body',
+        html: '<p>HTML body</p>',
+        messageId: '<1@example.com>'
+      });
+
+      expect(mime).toContain('Message-ID: <1@example.com>');
+      expect(mime).toContain('Content-Type: multipart/alternative');
+      expect(mime).toContain(Buffer.from('Plain body').toString('base64'));
+    });
+  });
+
+  describe('parseEmailContent', () => {
+    test('should extract a leading subject line', () => {
+      expect(parseEmailContent('Subject: Quick demo?\n\nHi there', 'Fallback'))
+        .toEqual({ subject: 'Quick demo?', body: 'Hi there' });
+      expect(parseEmailContent('Hi there', 'Fallback')).toEqual({ subject: 'Fallback', body: 'Hi there' });
+    });
+  });
+
+  describe('SMTPTransport', () => {
+    test('should authenticate and submit the message', async () => {
+      const { server, commands } = await startSMTPServer();
+      const transport = new SMTPTransport({
+        host: '127.0.0.1',
+        port: server.address().port,
+        username: 'user',
+        password: 'secret'
+      });
+
+      const result = await transport.send({
+        from: 'sender@example.com',
+        to: 'lead@example.com',
+        subject: 'Hello',
+        text: 'Body',
+        messageId: '<2@example.com>'
+      });
+      server.close();
+
+      expect(result.providerMessageId).toBe('<2@example.com>');
+      expect(result.response).toContain('Queued');
+      expect(commands).toEqual(expect.arrayContaining([
+        'MAIL FROM:<sender@example.com>',
+        'RCPT TO:<lead@example.com>'
+      ]));
+      expect(commands.find(c => c.startsWith('AUTH PLAIN'))).toBeDefined();
+    });
+
+    test('should flag a rejected recipient as a permanent failure', async () => {
+      const { server } = await startSMTPServer('550 No such user');
+      const transport = new SMTPTransport({ host: '127.0.0.1', port: server.address().port });
+
+      await expect(transport.send({
+        from: 'sender@example.com',
+        to: 'missing@example.com',
+        messageId: '<3@example.com>'
+      })).rejects.toMatchObject({ permanent: true });
+      server.close();
+    });
+  });
+
+  describe('webhook verification', () => {
+    test('should verify signed event webhooks with the public key', () => {
+      const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+      const verificationKey = publicKey.export({ format: 'der', type: 'spki' }).toString('base64');
+      const rawBody = Buffer.from(JSON.stringify([{ event: 'delivered', sg_message_id: 'abc.filter' }]));
+      const timestamp = '1714557600';
+      const signature = crypto.sign('sha256', Buffer.concat([Buffer.from(timestamp), rawBody]), privateKey).toString('base64');
+
+      expect(verifyEventWebhookSignature(verificationKey, rawBody, signature, timestamp)).toBe(true);
+      expect(verifyEventWebhookSignature(publicKey.export({ format: 'pem', type: 'spki' }), rawBody, signature, timestamp)).toBe(true);
+      expect(verifyEventWebhookSignature(verificationKey, Buffer.from('[]'), signature, timestamp)).toBe(false);
+      expect(verifyEventWebhookSignature(verificationKey, rawBody, signature, '1714557601')).toBe(false);
+      expect(verifyEventWebhookSignature(verificationKey, rawBody, undefined, timestamp)).toBe(false);
+      expect(verifyEventWebhookSignature('not a key', rawBody, signature, timestamp)).toBe(false);
+    });
+
+    test('should only accept the configured webhook token', () => {
+      expect(verifyWebhookToken('secret', 'secret')).toBe(true);
+      expect(verifyWebhookToken('secret', 'guess')).toBe(false);
+      expect(verifyWebhookToken(undefined, undefined)).toBe(false);
+    });
+  });
+
+  describe('EmailDelivery', () => {
+    let transport;
+    let dataModels;
+    let emailDelivery;
+
+    beforeEach(() => {
+      transport = new LocalEmailTransport();
+      dataModels = {
+        createEngagement: jest.fn(data => Promise.resolve({ id: 'engagement-1', ...data })),
+        findEngagementByMessageId: jest.fn(),
+        updateEngagement: jest.fn(() => Promise.resolve({}))
+      };
+      emailDelivery = new EmailDelivery('test-context', 'default', null, { transport, dataModels });
+    });
+
+    test('should send through the transport and record the engagement', async () => {
+      const result = await emailDelivery.sendEmail({
+        leadId: 'lead-1',
+        to: 'lead@example.com',
+        subject: 'Hello',
+        text: 'Body'
+      });
+
+      expect(result.status).toBe(ContactStatus.SENT);
+      expect(result.engagementId).toBe('engagement-1');
+      expect(transport.mailbox).toHaveLength(1);
+      expect(dataModels.createEngagement).toHaveBeenCalledWith(expect.objectContaining({
+        leadId: 'lead-1',
+        channelType: ChannelType.EMAIL,
+        status: ContactStatus.SENT,
+        messageId: result.messageId
+      }));
+    });
+
+    test('should record a bounce without throwing', async () => {
+      const result = await emailDelivery.sendEmail({
+        leadId: 'lead-1',
+        to: 'nobody@bounce.test',
+        subject: 'Hello',
+        text: 'Body'
+      });
+
+      expect(result.status).toBe(ContactStatus.BOUNCED);
+      expect(result.failureReason).toContain('550');
+      expect(dataModels.createEngagement).toHaveBeenCalledWith(expect.objectContaining({
+        status: ContactStatus.BOUNCED
+      }));
+    });
+
+    test('should apply delivery receipts without regressing status', async () => {
+      await emailDelivery.sendEmail({ leadId: 'lead-1', to: 'lead@example.com', subject: 'Hi', text: 'Body' });
+      const [receipt] = transport.drainReceipts();
+
+      dataModels.findEngagementByMessageId.mockResolvedValueOnce({ id: 'engagement-1', status: ContactStatus.SENT });
+      const summary = await emailDelivery.processDeliveryReceipts([receipt, { event: 'unknown' }]);
+
+      expect(summary).toMatchObject({ received: 2, applied: 1, ignored: 1 });
+      expect(dataModels.updateEngagement).toHaveBeenCalledWith('engagement-1', expect.objectContaining({
+        status: ContactStatus.DELIVERED
+      }));
+
+      dataModels.findEngagementByMessageId.mockResolvedValueOnce({ id: 'engagement-1', status: ContactStatus.CLICKED });
+      await emailDelivery.processDeliveryReceipts({ ...receipt, event: 'open' });
+
+      expect(dataModels.updateEngagement).toHaveBeenLastCalledWith('engagement-1', expect.objectContaining({
+        status: ContactStatus.CLICKED
+      }));
+    });
+  });
+});
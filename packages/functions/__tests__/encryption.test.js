@@ -0,0 +1,181 @@
+/**
+ * Unit tests for in-process encryption and lead PII field encryption
+ */
+const crypto = require('crypto');
+
+const mockConfig = {};
+
+jest.mock('firebase-admin', () => {
+  const store = {};
+  let counter = 0;
+  const docRef = id => ({
+    id,
+    get: jest.fn(() => Promise.resolve({ exists: !!store[id], id, data: () => store[id] })),
+    update: jest.fn(data => { store[id] = { ...store[id], ...data }; return Promise.resolve(); })
+  });
+  const query = filters => ({
+    where: jest.fn((field, op, value) => query([...filters, [field, value]])),
+    limit: jest.fn(() => query(filters)),
+    get: jest.fn(() => {
+      const docs = Object.keys(store)
+        .filter(id => filters.every(([field, value]) => store[id][field] === value))
+        .map(id => ({ id, data: () => store[id] }));
+      return Promise.resolve({ docs, empty: docs.length === 0, forEach: callback => docs.forEach(callback) });
+    })
+  });
+  const firestore = jest.fn(() => ({
+    collection: jest.fn(name => ({
+      ...query([]),
+      doc: jest.fn(id => docRef(id)),
+      add: jest.fn(data => {
+        if (name !== 'leads') {
+          return Promise.resolve({ id: 'event-id' });
+        }
+        const id = `lead-${++counter}`;
+        store[id] = { ...data };
+        return Promise.resolve({ id });
+      })
+    }))
+  }));
+  firestore.FieldValue = { serverTimestamp: jest.fn(() => 'timestamp') };
+  return { apps: [{}], initializeApp: jest.fn(), firestore, __store: store };
+});
+
+jest.mock('firebase-functions', () => ({
+  config: jest.fn(() => mockConfig),
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn(), log: jest.fn() }
+}));
+
+jest.mock('../src/utils/llm', () => ({ AgentType: {} }));
+jest.mock('../src/utils/decisionFramework', () => ({ OperationMode: { DEFAULT: 'default', CLIENT: 'client' } }));
+jest.mock('../src/utils/leadQualification', () => ({ QualificationStatus: {} }));
+
+const admin = require('firebase-admin');
+const {
+  encryptText,
+  decryptText,
+  encryptValue,
+  decryptValue,
+  encryptFields,
+  decryptFields
+} = require('../src/apis/encryption');
+const { DataModels } = require('../src/utils/dataModels');
+
+const k1 = crypto.randomBytes(32).toString('base64');
+const k2 = crypto.randomBytes(32).toString('base64');
+
+describe('Encryption', () => {
+  beforeEach(() => {
+    mockConfig.encryption = {
+      field_keys: `k1:${k1}`,
+      active_field_key_id: 'k1',
+      index_key: crypto.randomBytes(32).toString('base64')
+    };
+  });
+
+  test('should round-trip text with a caller-supplied key', async () => {
+    const { encryptedText, keyId } = await encryptText({ text: 'hello world', encryption_key: 'passphrase' });
+
+    expect(encryptedText).not.toContain('hello');
+    expect(keyId).toMatch(/^fp-[0-9a-f]{16}$/);
+    expect(encryptedText.split('.')[1]).toBe(keyId);
+    await expect(decryptText({ text: encryptedText, encryption_key: 'passphrase' }))
+      .resolves.toEqual({ decryptedText: 'hello world', keyId });
+    await expect(decryptText({ text: encryptedText, encryption_key: 'other' }))
+      .rejects.toThrow('does not match');
+  });
+
+  test('should reject tampered ciphertexts', () => {
+    const value = encryptValue('secret', { context: 'leads.email' });
+    const parts = value.split('.');
+    const ciphertext = Buffer.from(parts[4], 'base64url');
+    ciphertext[0] ^= 1;
+    parts[4] = ciphertext.toString('base64url');
+
+    expect(() => decryptValue(parts.join('.'), { context: 'leads.email' })).toThrow('failed authentication');
+    expect(() => decryptValue(value, { context: 'leads.phone' })).toThrow('failed authentication');
+  });
+
+  test('should decrypt with retired keys after the active key changes', async () => {
+    const { encryptedText } = await encryptText({ text: 'rotate me' });
+    expect(encryptedText.startsWith('rs1.k1.')).toBe(true);
+
+    mockConfig.encryption.field_keys = `k1:${k1},k2:${k2}`;
+    mockConfig.encryption.active_field_key_id = 'k2';
+    expect((await encryptText({ text: 'new' })).keyId).toBe('k2');
+    expect((await decryptText({ text: encryptedText })).decryptedText).toBe('rotate me');
+  });
+
+  test('should refuse to encrypt without a configured key', async () => {
+    delete mockConfig.encryption;
+    await expect(encryptText({ text: 'x' })).rejects.toThrow('no active field key is configured');
+  });
+
+  test('should encrypt selected fields and add lookup hashes', () => {
+    const stored = encryptFields({ name: 'Ada', email: 'ada@example.com', phone: null }, ['email', 'phone'], { collection: 'leads' });
+
+    expect(stored.name).toBe('Ada');
+    expect(stored.email).not.toContain('ada');
+    expect(stored.emailHash).toMatch(/^[0-9a-f]{64}$/);
+    expect(stored.phone).toBeNull();
+    expect(stored.encryptedFields).toEqual(['email']);
+    expect(decryptFields(stored, ['email', 'phone'], { collection: 'leads' }).email).toBe('ada@example.com');
+  });
+
+  describe('DataModels', () => {
+    test('should store lead email and phone encrypted and read them back', async () => {
+      const dataModels = new DataModels('test-context');
+      const created = await dataModels.createLead({
+        name: 'Ada Lovelace',
+        company: 'Analytical Engines',
+        email: 'Ada@Example.com',
+        phone: '415-555-0123'
+      });
+
+      const stored = admin.__store[created.id];
+      expect(created.email).toBe('Ada@Example.com');
+      expect(JSON.stringify(stored)).not.toContain('Example.com');
+      expect(JSON.stringify(stored)).not.toContain('415-555-0123');
+      expect(stored.encryptedFields).toEqual(['email', 'phone']);
+
+      const lead = await dataModels.getLead(created.id);
+      expect(lead).toMatchObject({ email: 'Ada@Example.com', phone: '415-555-0123' });
+
+      const found = await dataModels.findLeads({ email: ' ada@example.com' });
+      expect(found.map(l => l.id)).toEqual([created.id]);
+      expect(found[0].phone).toBe('415-555-0123');
+
+      await dataModels.updateLead(created.id, { phone: '(415) 555-0199' });
+      expect(admin.__store[created.id].phone).not.toContain('555-0199');
+      expect((await dataModels.getLead(created.id)).phone).toBe('(415) 555-0199');
+      expect(await dataModels.findLeads({ phone: '4155550199' })).toHaveLength(1);
+    });
+
+    test('should still read leads stored before encryption was enabled', async () => {
+      admin.__store.legacy = { name: 'Legacy', company: 'Old Co', email: 'legacy@example.com', mode: 'default' };
+      const lead = await new DataModels('test-context').getLead('legacy');
+
+      expect(lead.email).toBe('legacy@example.com');
+    });
+
+    test('should require field encryption keys only for lead PII', async () => {
+      delete mockConfig.encryption;
+      const dataModels = new DataModels('test-context');
+
+      await expect(dataModels.findEngagementByMessageId(null, 'SM123')).resolves.toBeNull();
+      await expect(dataModels.createLead({ name: 'Ada', company: 'AE', email: 'ada@example.com' }))
+        .rejects.toMatchObject({
+          type: 'CONFIGURATION_ERROR',
+          message: expect.stringContaining('missing encryption.field_keys, encryption.active_field_key_id, encryption.index_key')
+        });
+    });
+
+    test('should match phone lookups across formats', async () => {
+      const dataModels = new DataModels('test-context');
+      const created = await dataModels.createLead({ name: 'Ada', company: 'AE', phone: '(555) 123-4567' });
+
+      const found = await dataModels.findLeads({ phone: '+1 555 123 4567' });
+      expect(found.map(l => l.id)).toContain(created.id);
+    });
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Unit tests for envelope encryption of provider API keys
+ */
+const crypto = require('crypto');
+
+jest.mock('firebase-admin', () => {
+  const store = {};
+  const docRef = (id) => ({
+    id,
+    get: jest.fn(() => Promise.resolve({ exists: !!store[id], id, data: () => store[id] })),
+    set: jest.fn(data => { store[id] = { ...data }; return Promise.resolve(); }),
+    update: jest.fn(data => { store[id] = { ...store[id], ...data }; return Promise.resolve(); })
+  });
+  let counter = 0;
+  const firestore = jest.fn(() => ({
+    collection: jest.fn(() => ({
+      doc: jest.fn(id => docRef(id || `provider-${++counter}`)),
+      add: jest.fn(() => Promise.resolve({ id: 'mock-id' })),
+      get: jest.fn(() => Promise.resolve({
+        docs: Object.keys(store).map(id => ({ id, data: () => store[id] }))
+      }))
+    }))
+  }));
+  firestore.FieldValue = { serverTimestamp: jest.fn(() => 'timestamp') };
+  return { apps: [{}], initializeApp: jest.fn(), firestore, __store: store };
+});
+
+jest.mock('firebase-functions', () => ({
+  config: jest.fn(() => ({})),
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn(), log: jest.fn() }
+}));
+
+const admin = require('firebase-admin');
+const { EnvelopeEncryption, parseMasterKeys } = require('../src/utils/envelopeEncryption');
+const { APIProviderManager, ProviderType } = require('../src/utils/apiProviderManager');
+
+const keyV1 = crypto.randomBytes(32);
+const keyV2 = crypto.randomBytes(32);
+
+describe('Envelope Encryption', () => {
+  test('should round-trip a secret and bind it to its context', () => {
+    const encryption = new EnvelopeEncryption({ masterKeys: { v1: keyV1 }, activeVersion: 'v1' });
+    const envelope = encryption.encrypt('sk-secret-value', 'apiCredentials/a');
+
+    expect(envelope.keyVersion).toBe('v1');
+    expect(JSON.stringify(envelope)).not.toContain('sk-secret-value');
+    expect(encryption.decrypt(envelope, 'apiCredentials/a')).toBe('sk-secret-value');
+    expect(() => encryption.decrypt(envelope, 'apiCredentials/b')).toThrow('Failed to decrypt envelope');
+  });
+
+  test('should re-wrap old envelopes without changing the ciphertext', () => {
+    const before = new EnvelopeEncryption({ masterKeys: { v1: keyV1 }, activeVersion: 'v1' });
+    const envelope = before.encrypt('sk-secret-value');
+
+    const during = new EnvelopeEncryption({ masterKeys: { v1: keyV1, v2: keyV2 }, activeVersion: 'v2' });
+    expect(during.decrypt(envelope)).toBe('sk-secret-value');
+    expect(during.needsRewrap(envelope)).toBe(true);
+
+    const rewrapped = during.rewrap(envelope);
+    expect(rewrapped.keyVersion).toBe('v2');
+    expect(rewrapped.ciphertext).toBe(envelope.ciphertext);
+
+    const after = new EnvelopeEncryption({ masterKeys: { v2: keyV2 }, activeVersion: 'v2' });
+    expect(after.decrypt(rewrapped)).toBe('sk-secret-value');
+    expect(() => after.decrypt(envelope)).toThrow('Master key version not available: v1');
+  });
+
+  test('should parse configured master keys and reject bad lengths', () => {
+    const keys = parseMasterKeys(`v1:${keyV1.toString('base64')}, v2:${keyV2.toString('base64')}`);
+    expect(Object.keys(keys)).toEqual(['v1', 'v2']);
+    expect(() => new EnvelopeEncryption({ masterKeys: { v1: Buffer.alloc(16) }, activeVersion: 'v1' }))
+      .toThrow('must be 32 bytes');
+  });
+
+  describe('APIProviderManager', () => {
+    const createManager = (encryption) => {
+      const manager = new APIProviderManager({ encryption });
+      manager.initialized = true;
+      manager.auditManager = { logAuditEvent: jest.fn(() => Promise.resolve()) };
+      return manager;
+    };
+
+    test('should store envelopes and keep rotated keys decryptable', async () => {
+      const v1 = new EnvelopeEncryption({ masterKeys: { v1: keyV1 }, activeVersion: 'v1' });
+      const manager = createManager(v1);
+
+      const created = await manager.createProvider({ name: 'OpenAI', type: ProviderType.LLM, key: 'sk-original' }, 'admin');
+      const stored = admin.__store[created.id];
+      expect(stored.key.ciphertext).toBeDefined();
+      expect(stored.keyVersion).toBe('v1');
+      expect(await manager.getAPIKey(created.id)).toBe('sk-original');
+
+      // Activate a new master key version and rotate the API key
+      manager.encryption = new EnvelopeEncryption({ masterKeys: { v1: keyV1, v2: keyV2 }, activeVersion: 'v2' });
+      await manager.rotateAPIKey(created.id, 'sk-rotated', 'admin');
+
+      expect(await manager.getAPIKey(created.id)).toBe('sk-rotated');
+      expect(admin.__store[created.id].previousKey.keyVersion).toBe('v2');
+      expect(manager.decryptAPIKey(created.id, admin.__store[created.id].previousKey)).toBe('sk-original');
+    });
+
+    test('should migrate legacy plaintext keys when re-wrapping', async () => {
+      admin.__store.legacy = { name: 'Legacy', type: ProviderType.EMAIL, key: 'plaintext-key', isActive: true };
+      const manager = createManager(new EnvelopeEncryption({ masterKeys: { v2: keyV2 }, activeVersion: 'v2' }));
+
+      const summary = await manager.rewrapProviderKeys('admin');
+
+      expect(summary.failed).toEqual([]);
+      expect(admin.__store.legacy.key.keyVersion).toBe('v2');
+      expect(await manager.getAPIKey('legacy')).toBe('plaintext-key');
+    });
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Unit tests for the A/B test statistics engine
+ */
+jest.mock('firebase-admin', () => require('./helpers/fakeFirestore').createFirebaseAdmin());
+
+jest.mock('firebase-functions', () => ({
+  config: jest.fn(() => ({})),
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn(), log: jest.fn() }
+}));
+
+const {
+  ExperimentOutcome,
+  normalCdf,
+  normalQuantile,
+  twoProportionZTest,
+  bayesianComparison,
+  requiredSampleSize,
+  createExperimentPlan,
+  alphaSpent,
+  analyzeExperiment
+} = require('../src/utils/experimentation');
+const { ErrorTypes } = require('../src/utils/errorLogging');
+
+const variations = (originalClicks, variationClicks, views) => [
+  { id: 'original', isOriginal: true, metrics: { views, clicks: originalClicks, conversions: 0 } },
+  { id: 'variation', isOriginal: false, metrics: { views, clicks: variationClicks, conversions: 0 } }
+];
+
+describe('Experimentation', () => {
+  test('should approximate the standard normal distribution', () => {
+    expect(normalCdf(0)).toBeCloseTo(0.5, 6);
+    expect(normalCdf(1.96)).toBeCloseTo(0.975, 4);
+    expect(normalQuantile(0.975)).toBeCloseTo(1.959964, 5);
+    expect(normalQuantile(0.01)).toBeCloseTo(-2.326348, 5);
+  });
+
+  test('should run a two-proportion z-test with a confidence interval', () => {
+    const result = twoProportionZTest({ successes: 200, trials: 4000 }, { successes: 260, trials: 4000 });
+
+    expect(result.difference).toBeCloseTo(0.015, 6);
+    expect(result.relativeLift).toBeCloseTo(0.3, 6);
+    expect(result.zScore).toBeCloseTo(2.88, 2);
+    expect(result.pValue).toBeCloseTo(0.004, 3);
+    expect(result.confidenceInterval.lower).toBeCloseTo(0.0048, 4);
+    expect(result.confidenceInterval.upper).toBeCloseTo(0.0252, 4);
+
+    expect(twoProportionZTest({ successes: 0, trials: 0 }, { successes: 3, trials: 10 })).toMatchObject({ pValue: 1, confidenceInterval: null });
+  });
+
+  test('should estimate the probability to beat the control reproducibly', () => {
+    const arms = [
+      { id: 'original', successes: 200, trials: 4000 },
+      { id: 'better', successes: 260, trials: 4000 },
+      { id: 'worse', successes: 190, trials: 4000 }
+    ];
+
+    const result = bayesianComparison(arms, { samples: 5000 });
+
+    expect(result.original.probabilityToBeatControl).toBeNull();
+    expect(result.better.probabilityToBeatControl).toBeGreaterThan(0.99);
+    expect(result.worse.probabilityToBeatControl).toBeLessThan(0.5);
+    expect(result.better.probabilityBest).toBeGreaterThan(0.99);
+    expect(result).toEqual(bayesianComparison(arms, { samples: 5000 }));
+  });
+
+  test('should size tests for the detectable effect and number of variants', () => {
+    expect(requiredSampleSize({ baselineRate: 0.05, minimumDetectableEffect: 0.2, alpha: 0.05, power: 0.8 })).toBe(8158);
+    expect(requiredSampleSize({ baselineRate: 0.05, minimumDetectableEffect: 0.2, comparisons: 2 })).toBeGreaterThan(8158);
+    expect(requiredSampleSize({ baselineRate: 0.05, minimumDetectableEffect: 0.4 })).toBeLessThan(8158 / 3);
+
+    expect(createExperimentPlan({ variantCount: 3, minimumDetectableEffect: 0.2 })).toMatchObject({
+      primaryMetric: 'click_rate',
+      comparisons: 2,
+      minSampleSizePerVariant: requiredSampleSize({ baselineRate: 0.05, minimumDetectableEffect: 0.2, comparisons: 2 })
+    });
+    expect(() => requiredSampleSize({ baselineRate: 0, minimumDetectableEffect: 0.2 })).toThrow(expect.objectContaining({ type: ErrorTypes.VALIDATION_ERROR }));
+    expect(() => createExperimentPlan({ primaryMetric: 'revenue' })).toThrow('Unknown experiment metric: revenue');
+  });
+
+  test('should spend alpha conservatively on early looks', () => {
+    expect(alphaSpent(0.05, 0)).toBe(0);
+    expect(alphaSpent(0.05, 0.25)).toBeLessThan(0.001);
+    expect(alphaSpent(0.05, 0.5)).toBeLessThan(0.01);
+    expect(alphaSpent(0.05, 1)).toBe(0.05);
+  });
+
+  test('should not declare a winner from an early peek', () => {
+    const plan = createExperimentPlan({ variantCount: 2 });
+
+    // p ~= 0.04 at a quarter of the planned sample would pass a naive 0.05 check
+    const early = analyzeExperiment(variations(100, 130, 2000), plan);
+    expect(early.variants[1].pValue).toBeLessThan(0.05);
+    expect(early).toMatchObject({ outcome: ExperimentOutcome.CONTINUE, winnerId: null });
+    expect(early.variants[1].significant).toBe(false);
+
+    // Forcing an undecided test ends it inconclusive rather than picking the best score
+    expect(analyzeExperiment(variations(100, 130, 2000), plan, { force: true })).toMatchObject({
+      outcome: ExperimentOutcome.INCONCLUSIVE,
+      winnerId: null
+    });
+  });
+
+  test('should declare winners only on significant differences', () => {
+    const plan = createExperimentPlan({ variantCount: 2 });
+
+    const winner = analyzeExperiment(variations(400, 470, 8200), plan);
+    expect(winner).toMatchObject({ outcome: ExperimentOutcome.WINNER, winnerId: 'variation', informationFraction: 1 });
+    expect(winner.variants[1].probabilityToBeatControl).toBeGreaterThan(0.95);
+
+    expect(analyzeExperiment(variations(470, 400, 8200), plan)).toMatchObject({ outcome: ExperimentOutcome.WINNER, winnerId: 'original' });
+    expect(analyzeExperiment(variations(400, 410, 8200), plan)).toMatchObject({ outcome: ExperimentOutcome.INCONCLUSIVE, winnerId: null });
+  });
+});
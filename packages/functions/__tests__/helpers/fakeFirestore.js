@@ -0,0 +1,235 @@
+/**
+ * In-memory Firestore stand-in for unit tests
+ *
+ * Use it as the firebase-admin mock:
+ *
+ *   jest.mock('firebase-admin', () => require('./helpers/fakeFirestore').createFirebaseAdmin());
+ *
+ * Documents live in `admin.firestore().collections[name][id]`, so tests can seed and
+ * inspect them directly. Writes follow Firestore's rules closely enough for the code
+ * under test: merge writes merge nested maps but replace arrays and dates, updates take
+ * dotted field paths, and the arrayUnion, increment and delete sentinels are applied.
+ * Server timestamps are stored as the string 'timestamp'. Transactions are optimistic
+ * like Firestore's: if a document read in the transaction was written before it commits,
+ * the function runs again.
+ */
+
+const SENTINEL = Symbol('fieldValue');
+
+const isMap = value => value !== null && typeof value === 'object' && !Array.isArray(value) &&
+  !(value instanceof Date) && !value[SENTINEL];
+
+/**
+ * Resolve a sentinel against the current field value
+ */
+const applySentinel = (current, value) => {
+  if (!value || !value[SENTINEL]) {
+    return value;
+  }
+  switch (value[SENTINEL]) {
+    case 'arrayUnion':
+      return [...(current || []), ...value.values.filter(item => !(current || []).includes(item))];
+    case 'arrayRemove':
+      return (current || []).filter(item => !value.values.includes(item));
+    case 'increment':
+      return (current || 0) + value.amount;
+    default:
+      return undefined;
+  }
+};
+
+/**
+ * Write fields into a document, merging nested maps
+ */
+const mergeFields = (target = {}, source = {}) => Object.keys(source).reduce((result, key) => {
+  const value = source[key];
+  if (isMap(value) && isMap(result[key])) {
+    return { ...result, [key]: mergeFields(result[key], value) };
+  }
+  const next = applySentinel(result[key], isMap(value) ? mergeFields({}, value) : value);
+  if (next === undefined) {
+    const { [key]: removed, ...rest } = result;
+    return rest;
+  }
+  return { ...result, [key]: next };
+}, { ...target });
+
+/**
+ * Apply an update, where keys may be dotted field paths
+ */
+const applyUpdate = (current = {}, data) => Object.keys(data).reduce((result, path) => {
+  const [field, ...rest] = path.split('.');
+  if (rest.length === 0) {
+    const next = applySentinel(result[field], isMap(data[path]) ? mergeFields({}, data[path]) : data[path]);
+    if (next === undefined) {
+      const { [field]: removed, ...others } = result;
+      return others;
+    }
+    return { ...result, [field]: next };
+  }
+  return { ...result, [field]: applyUpdate(isMap(result[field]) ? result[field] : {}, { [rest.join('.')]: data[path] }) };
+}, { ...current });
+
+const readField = (data, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+
+const compare = (a, b) => {
+  const left = a instanceof Date ? a.getTime() : a;
+  const right = b instanceof Date ? b.getTime() : b;
+  if (left === right) return 0;
+  return left < right ? -1 : 1;
+};
+
+const matches = (data, { field, op, value }) => {
+  const actual = readField(data, field);
+  switch (op) {
+    case '<': return actual !== undefined && compare(actual, value) < 0;
+    case '<=': return actual !== undefined && compare(actual, value) <= 0;
+    case '>': return actual !== undefined && compare(actual, value) > 0;
+    case '>=': return actual !== undefined && compare(actual, value) >= 0;
+    case '!=': return actual !== value;
+    case 'in': return value.includes(actual);
+    case 'array-contains': return Array.isArray(actual) && actual.includes(value);
+    default: return compare(actual, value) === 0;
+  }
+};
+
+/**
+ * Create an empty database
+ * @returns {Object} Firestore-like database with a `collections` map
+ */
+const createFirestore = () => {
+  const collections = {};
+  const getCollection = name => {
+    collections[name] = collections[name] || {};
+    return collections[name];
+  };
+  let nextId = 0;
+  // Write count per document path, for transaction conflict checks
+  const versions = {};
+  const touch = path => { versions[path] = (versions[path] || 0) + 1; };
+
+  const snapshot = (name, id) => ({
+    id,
+    ref: docRef(name, id),
+    exists: getCollection(name)[id] !== undefined,
+    data: () => getCollection(name)[id]
+  });
+
+  function docRef(name, id = `${name}-${++nextId}`) {
+    return {
+      id,
+      path: `${name}/${id}`,
+      get: () => Promise.resolve(snapshot(name, id)),
+      set: (data, options = {}) => {
+        getCollection(name)[id] = mergeFields(options.merge ? getCollection(name)[id] : {}, data);
+        touch(`${name}/${id}`);
+        return Promise.resolve();
+      },
+      update: data => {
+        if (getCollection(name)[id] === undefined) {
+          return Promise.reject(new Error(`No document to update: ${name}/${id}`));
+        }
+        getCollection(name)[id] = applyUpdate(getCollection(name)[id], data);
+        touch(`${name}/${id}`);
+        return Promise.resolve();
+      },
+      delete: () => {
+        delete getCollection(name)[id];
+        touch(`${name}/${id}`);
+        return Promise.resolve();
+      },
+      collection: sub => collection(`${name}/${id}/${sub}`)
+    };
+  }
+
+  const query = (name, filters = [], orders = [], limit = null) => ({
+    where: (field, op, value) => query(name, [...filters, { field, op, value }], orders, limit),
+    orderBy: (field, direction = 'asc') => query(name, filters, [...orders, { field, direction }], limit),
+    limit: count => query(name, filters, orders, count),
+    get: () => {
+      let docs = Object.keys(getCollection(name))
+        .filter(id => filters.every(filter => matches(getCollection(name)[id], filter)))
+        .map(id => snapshot(name, id));
+      if (orders.length > 0) {
+        docs.sort((a, b) => orders.reduce((result, { field, direction }) =>
+          result || compare(readField(a.data(), field), readField(b.data(), field)) * (direction === 'desc' ? -1 : 1), 0));
+      }
+      docs = docs.slice(0, limit === null ? docs.length : limit);
+      return Promise.resolve({ docs, size: docs.length, empty: docs.length === 0, forEach: fn => docs.forEach(fn) });
+    }
+  });
+
+  function collection(name) {
+    return {
+      ...query(name),
+      doc: id => docRef(name, id),
+      add: data => {
+        const ref = docRef(name);
+        return ref.set(data).then(() => ref);
+      }
+    };
+  }
+
+  // Batches and transactions queue their writes until commit, which applies them all at once
+  const writer = () => {
+    const writes = [];
+    const batch = {
+      set: (ref, data, options) => { writes.push(() => ref.set(data, options)); return batch; },
+      update: (ref, data) => { writes.push(() => ref.update(data)); return batch; },
+      delete: ref => { writes.push(() => ref.delete()); return batch; },
+      commit: () => Promise.all(writes.splice(0).map(write => write()))
+    };
+    return batch;
+  };
+
+  const runTransaction = async (fn, attempts = 5) => {
+    const transaction = writer();
+    const reads = {};
+    transaction.get = (ref) => {
+      if (ref.path) {
+        reads[ref.path] = versions[ref.path] || 0;
+      }
+      return ref.get();
+    };
+    const result = await fn(transaction);
+    const conflicted = Object.keys(reads).some(path => (versions[path] || 0) !== reads[path]);
+    if (conflicted) {
+      if (attempts <= 1) {
+        throw new Error('Transaction contention');
+      }
+      return runTransaction(fn, attempts - 1);
+    }
+    await transaction.commit();
+    return result;
+  };
+
+  return {
+    collections,
+    collection,
+    batch: writer,
+    runTransaction
+  };
+};
+
+/**
+ * Create a firebase-admin module backed by an in-memory database
+ * @returns {Object} Mock module
+ */
+const createFirebaseAdmin = () => {
+  const db = createFirestore();
+  const firestore = jest.fn(() => db);
+  firestore.FieldValue = {
+    serverTimestamp: jest.fn(() => 'timestamp'),
+    arrayUnion: jest.fn((...values) => ({ [SENTINEL]: 'arrayUnion', values })),
+    arrayRemove: jest.fn((...values) => ({ [SENTINEL]: 'arrayRemove', values })),
+    increment: jest.fn(amount => ({ [SENTINEL]: 'increment', amount })),
+    delete: jest.fn(() => ({ [SENTINEL]: 'delete' }))
+  };
+  firestore.Timestamp = class Timestamp {};
+  return { apps: [{}], initializeApp: jest.fn(), firestore };
+};
+
+module.exports = {
+  createFirestore,
+  createFirebaseAdmin
+};
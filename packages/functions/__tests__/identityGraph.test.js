@@ -0,0 +1,164 @@
+/**
+ * Unit tests for identity stitching and offline conversion import
+ */
+jest.mock('firebase-admin', () => require('./helpers/fakeFirestore').createFirebaseAdmin());
+
+jest.mock('firebase-functions', () => ({
+  config: jest.fn(() => ({})),
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn(), log: jest.fn() }
+}));
+
+jest.mock('../src/apis', () => ({ openai: {}, gemini: {} }));
+
+const admin = require('firebase-admin');
+const {
+  IdentifierTypes,
+  normalizeIdentifier,
+  sha256,
+  extractIdentifiers,
+  mergeJourneyRecords,
+  parseCsv,
+  parseOfflineConversions
+} = require('../src/utils/identityGraph');
+const {
+  ATTRIBUTION_MODELS,
+  CHANNEL_TYPES,
+  trackTouchpoint,
+  resolveCustomerIdentity,
+  importOfflineConversions
+} = require('../src/features/revenueAttributionAI');
+
+describe('Identity Graph', () => {
+  test('should normalize and hash identifiers', () => {
+    expect(normalizeIdentifier(IdentifierTypes.EMAIL, '  Jane.Doe@Example.COM ')).toBe('jane.doe@example.com');
+    expect(normalizeIdentifier(IdentifierTypes.EMAIL, 'not an email')).toBeNull();
+    expect(normalizeIdentifier(IdentifierTypes.PHONE, '(555) 123-4567')).toBe('+15551234567');
+    expect(normalizeIdentifier(IdentifierTypes.PHONE, '+44 20 7946 0958')).toBe('+442079460958');
+
+    const identifiers = extractIdentifiers({
+      anonymousId: 'anon-1',
+      email: 'JANE@example.com',
+      hashedEmail: sha256('jane@example.com')
+    });
+    // The raw and pre-hashed email are the same identifier, ordered before the anonymous ID
+    expect(identifiers).toEqual([
+      { type: IdentifierTypes.EMAIL, hash: sha256('jane@example.com') },
+      { type: IdentifierTypes.ANONYMOUS_ID, hash: sha256('anon-1') }
+    ]);
+    expect(() => extractIdentifiers({ hashedPhone: '12345' })).toThrow('hashedPhone must be a SHA-256 hex digest');
+  });
+
+  test('should merge journeys without duplicating events', () => {
+    const merged = mergeJourneyRecords([
+      { touchpoints: [{ touchpointId: 't2', timestamp: '2024-01-03' }], conversions: [{ conversionId: 'c1', timestamp: '2024-01-04' }] },
+      { touchpoints: [{ touchpointId: 't1', timestamp: '2024-01-01' }, { touchpointId: 't2', timestamp: '2024-01-03' }] }
+    ]);
+
+    expect(merged.touchpoints.map(touchpoint => touchpoint.touchpointId)).toEqual(['t1', 't2']);
+    expect(merged.conversions).toHaveLength(1);
+  });
+
+  test('should parse offline conversions from CSV and JSON', () => {
+    expect(parseCsv('email,note\r\na@example.com,"says ""hi"", twice"\n\n')).toEqual([
+      { email: 'a@example.com', note: 'says "hi", twice' }
+    ]);
+
+    const csv = [
+      'email,phone,value,timestamp,orderId',
+      'a@example.com,,120.50,2024-01-05T10:00:00Z,order-1',
+      ',,30,2024-01-05T10:00:00Z,order-2',
+      'b@example.com,,abc,2024-01-05T10:00:00Z,order-3',
+      ',555-123-4567,,yesterday,order-4'
+    ].join('\n');
+    const { conversions, errors } = parseOfflineConversions(csv);
+
+    expect(conversions).toHaveLength(1);
+    expect(conversions[0]).toMatchObject({ row: 2, value: 120.5, conversionType: 'purchase', orderId: 'order-1' });
+    expect(conversions[0].identifiers).toEqual([{ type: IdentifierTypes.EMAIL, hash: sha256('a@example.com') }]);
+    expect(errors).toEqual([
+      { row: 3, message: 'Row has no customer identifier' },
+      { row: 4, message: 'Row value is not a number' },
+      { row: 5, message: 'Row has no valid timestamp' }
+    ]);
+
+    const json = parseOfflineConversions([{ customerId: 'c1', timestamp: '2024-01-05', conversionType: 'signup' }]);
+    expect(json.conversions[0]).toMatchObject({ row: 1, value: 0, conversionType: 'signup', identity: { customerId: 'c1' } });
+    expect(() => parseOfflineConversions('x', { format: 'xml' })).toThrow('Unsupported import format: xml');
+  });
+
+  test('should stitch an anonymous visitor to a known customer and merge their history', async () => {
+    const db = admin.firestore();
+
+    const anonymous = await trackTouchpoint({
+      userId: 'user-1',
+      anonymousId: 'anon-1',
+      channelType: CHANNEL_TYPES.PAID_SEARCH,
+      timestamp: '2024-01-01T10:00:00Z'
+    });
+    expect(anonymous.customerId).toBe(`cust_${sha256(`user-1:${sha256('anon-1')}`).slice(0, 24)}`);
+
+    await trackTouchpoint({
+      userId: 'user-1',
+      customerId: 'crm-42',
+      email: 'Jane@example.com',
+      channelType: CHANNEL_TYPES.EMAIL,
+      timestamp: '2024-01-02T10:00:00Z'
+    });
+
+    // Signing in links the anonymous ID to the email, so both journeys become one
+    const resolved = await resolveCustomerIdentity('user-1', { anonymousId: 'anon-1', email: 'jane@EXAMPLE.com' });
+    expect(resolved).toMatchObject({ customerId: 'crm-42', mergedCustomerIds: [anonymous.customerId], created: false });
+
+    const journey = db.collections.customerJourneys['crm-42'];
+    expect(journey.touchpoints.map(touchpoint => touchpoint.channelType)).toEqual([CHANNEL_TYPES.PAID_SEARCH, CHANNEL_TYPES.EMAIL]);
+    expect(db.collections.customerJourneys[anonymous.customerId]).toMatchObject({ mergedInto: 'crm-42', touchpoints: [] });
+    expect(db.collections.customerTouchpoints[anonymous.id].customerId).toBe('crm-42');
+    expect(Object.values(db.collections.customerTouchpoints).some(touchpoint => 'email' in touchpoint)).toBe(false);
+
+    // Events still sent under the old ID follow the merge
+    expect((await resolveCustomerIdentity('user-1', { customerId: anonymous.customerId })).customerId).toBe('crm-42');
+  });
+
+  test('should import offline conversions idempotently and attribute them', async () => {
+    const db = admin.firestore();
+    // Algorithmic attribution falls back to linear without a language model
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const csv = [
+      'email,value,timestamp,orderId',
+      'jane@example.com,200,2024-01-03T10:00:00Z,order-1',
+      'new@example.com,50,2024-01-03T10:00:00Z,order-2',
+      ',10,2024-01-03T10:00:00Z,order-3'
+    ].join('\n');
+
+    const summary = await importOfflineConversions('user-1', csv, { format: 'csv' });
+    expect(summary).toMatchObject({ rowCount: 3, imported: 2, duplicates: 0, affectedCustomers: 2, attributed: 2, failedAttributions: 0 });
+    expect(summary.errors).toEqual([{ row: 4, message: 'Row has no customer identifier' }]);
+
+    const conversionId = `user-1_offline_${sha256('order-1')}`;
+    expect(db.collections.customerConversions[conversionId]).toMatchObject({
+      customerId: 'crm-42',
+      channelType: CHANNEL_TYPES.OFFLINE,
+      value: 200
+    });
+    // The merged online touchpoints before the sale get the credit
+    expect(db.collections.conversionAttributions[conversionId].byModel[ATTRIBUTION_MODELS.ALGORITHMIC]).toHaveLength(2);
+
+    const again = await importOfflineConversions('user-1', csv);
+    expect(again).toMatchObject({ imported: 0, duplicates: 2 });
+  });
+
+  test('should keep customers of different users apart', async () => {
+    const db = admin.firestore();
+
+    const first = await resolveCustomerIdentity('user-2', { email: 'jane@example.com' });
+    const second = await resolveCustomerIdentity('user-3', { email: 'jane@example.com' });
+    expect(first.created).toBe(true);
+    expect(second.created).toBe(true);
+    expect(second.customerId).not.toBe(first.customerId);
+
+    // Another user's customer ID is not followed or merged into
+    const crossed = await resolveCustomerIdentity('user-2', { customerId: 'crm-42', email: 'jane@example.com' });
+    expect(crossed).toMatchObject({ customerId: first.customerId, mergedCustomerIds: [] });
+    expect(db.collections.customerJourneys['crm-42'].userId).toBe('user-1');
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * Unit tests for image color extraction
+ */
+jest.mock('axios', () => ({ get: jest.fn() }));
+
+const axios = require('axios');
+// colorthief decodes images with sharp, so the fixture is encoded with it too
+const sharp = require('sharp');
+const { extractImageColors, IMAGE_FETCH_TIMEOUT_MS, MAX_IMAGE_BYTES } = require('../src/utils/imageColors');
+
+/**
+ * Encode a PNG whose top three quarters are one color and bottom quarter another
+ */
+const twoColorPng = (main, accent) => {
+  const width = 40;
+  const height = 40;
+  const pixels = Buffer.alloc(width * height * 3);
+  for (let i = 0; i < width * height; i++) {
+    pixels.set(i < width * height * 0.75 ? main : accent, i * 3);
+  }
+  return sharp(pixels, { raw: { width, height, channels: 3 } }).png().toBuffer();
+};
+
+const distance = (hex, rgb) => {
+  const value = parseInt(hex.slice(1), 16);
+  return Math.abs((value >> 16) - rgb[0]) + Math.abs(((value >> 8) & 255) - rgb[1]) + Math.abs((value & 255) - rgb[2]);
+};
+
+describe('Image Colors', () => {
+  beforeEach(() => {
+    axios.get.mockReset();
+  });
+
+  test('should return the dominant colors of an image, most dominant first', async () => {
+    axios.get.mockResolvedValue({ data: await twoColorPng([254, 90, 32], [20, 40, 200]) });
+
+    const colors = await extractImageColors('https://cdn.example.com/post.png', 2);
+
+    expect(colors).toHaveLength(2);
+    expect(colors.every(color => /^#[0-9a-f]{6}$/.test(color))).toBe(true);
+    expect(distance(colors[0], [254, 90, 32])).toBeLessThan(24);
+    expect(distance(colors[1], [20, 40, 200])).toBeLessThan(24);
+    expect(axios.get).toHaveBeenCalledWith('https://cdn.example.com/post.png', expect.objectContaining({
+      responseType: 'arraybuffer',
+      timeout: IMAGE_FETCH_TIMEOUT_MS,
+      maxContentLength: MAX_IMAGE_BYTES
+    }));
+  });
+
+  test('should return no colors when the image cannot be fetched or read', async () => {
+    axios.get.mockRejectedValueOnce(new Error('timeout of 10000ms exceeded'));
+    expect(await extractImageColors('https://cdn.example.com/slow.png')).toEqual([]);
+
+    axios.get.mockResolvedValueOnce({ data: Buffer.from('not an image') });
+    expect(await extractImageColors('https://cdn.example.com/page.html')).toEqual([]);
+  });
+});
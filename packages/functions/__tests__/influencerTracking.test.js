@@ -0,0 +1,228 @@
+/**
+ * Unit tests for influencer tracked links and promo codes
+ */
+jest.mock('firebase-admin', () => require('./helpers/fakeFirestore').createFirebaseAdmin());
+
+jest.mock('firebase-functions', () => ({
+  config: jest.fn(() => ({
+    payments: { processor: 'local' },
+    tracking: { short_link_base_url: 'https://go.example.com/' }
+  })),
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn(), log: jest.fn() }
+}));
+
+jest.mock('../src/apis', () => ({
+  openai: { generateContent: jest.fn(() => Promise.resolve('{"keyHighlights":[]}')) },
+  gemini: {}
+}));
+
+const admin = require('firebase-admin');
+const { ErrorTypes } = require('../src/utils/errorLogging');
+const {
+  generateShortCode,
+  normalizePromoCode,
+  promoPrefixFor,
+  generatePromoCode,
+  validateDestinationUrl,
+  buildTrackedDestination,
+  isBotUserAgent,
+  signOrderPayload,
+  rotateOrderSigningSecret,
+  verifyOrderSignature
+} = require('../src/utils/influencerTracking');
+const {
+  updateCollaborationRequestStatus,
+  setupInfluencerTracking,
+  handleTrackedLinkClick,
+  recordInfluencerOrder,
+  generateCampaignReport
+} = require('../src/features/integratedInfluencerMarketplace');
+
+const BROWSER = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 Mobile/15E148';
+
+describe('Influencer Tracking', () => {
+  beforeAll(() => {
+    const db = admin.firestore();
+    db.collections.users = { 'brand-1': { stripeCustomerId: 'cus_brand', defaultPaymentMethodId: 'pm_card_visa' } };
+    db.collections.influencers = {
+      'inf-1': { name: 'Jane Doe', handle: '@jane.doe' },
+      'inf-2': { name: 'Sam Lee' }
+    };
+    db.collections.influencerCampaigns = {
+      'camp-1': { brandId: 'brand-1', name: 'Spring launch', landingPageUrl: 'https://shop.example.com/spring?utm_source=ig' }
+    };
+    db.collections.collaborationRequests = {
+      'req-1': { campaignId: 'camp-1', brandId: 'brand-1', influencerId: 'inf-1', status: 'negotiating', compensation: 0 }
+    };
+  });
+
+  test('should generate short codes and readable promo codes', () => {
+    const codes = new Set(Array.from({ length: 50 }, () => generateShortCode()));
+    expect(codes.size).toBe(50);
+    codes.forEach(code => expect(code).toMatch(/^[0-9A-Za-z]{7}$/));
+
+    expect(promoPrefixFor({ handle: '@jane.doe' })).toBe('JANEDOE');
+    expect(promoPrefixFor({ name: 'Zoë Müller-Schmidt' })).toBe('ZOEMULLE');
+    expect(promoPrefixFor({})).toBe('CREATOR');
+    expect(generatePromoCode('jane')).toMatch(/^JANE[A-HJ-NP-Z2-9]{4}$/);
+    expect(normalizePromoCode(' jane ab12 ')).toBe('JANEAB12');
+
+    expect(isBotUserAgent(BROWSER)).toBe(false);
+    expect(isBotUserAgent('facebookexternalhit/1.1')).toBe(true);
+    expect(isBotUserAgent('')).toBe(true);
+  });
+
+  test('should only redirect to http destinations and keep the brand\'s own UTM parameters', () => {
+    const url = new URL(buildTrackedDestination('https://shop.example.com/spring?utm_source=ig', {
+      campaignId: 'camp-1',
+      influencerId: 'inf-1',
+      clickId: 'abc'
+    }));
+    expect(Object.fromEntries(url.searchParams)).toEqual({
+      utm_source: 'ig',
+      utm_medium: 'influencer',
+      utm_campaign: 'camp-1',
+      utm_content: 'inf-1',
+      rs_click: 'abc'
+    });
+
+    expect(validateDestinationUrl('https://shop.example.com')).toBe('https://shop.example.com/');
+    ['javascript:alert(1)', 'ftp://files.example.com', '/relative', undefined].forEach(destination => {
+      expect(() => validateDestinationUrl(destination)).toThrow(expect.objectContaining({ type: ErrorTypes.VALIDATION_ERROR }));
+    });
+  });
+
+  test('should give influencers a link and promo code when they accept, once', async () => {
+    const db = admin.firestore();
+
+    const accepted = await updateCollaborationRequestStatus('req-1', 'accepted');
+    expect(accepted.tracking.links).toEqual([expect.objectContaining({
+      campaignId: 'camp-1',
+      influencerId: 'inf-1',
+      brandId: 'brand-1',
+      destinationUrl: 'https://shop.example.com/spring?utm_source=ig',
+      shortUrl: `https://go.example.com/${accepted.tracking.links[0].code}`
+    })]);
+    expect(accepted.tracking.promoCodes).toEqual([expect.objectContaining({ code: expect.stringMatching(/^JANEDOE/) })]);
+
+    const again = await setupInfluencerTracking('camp-1', 'inf-1');
+    expect(again.links.map(link => link.code)).toEqual(accepted.tracking.links.map(link => link.code));
+    expect(again.promoCodes.map(promo => promo.code)).toEqual(accepted.tracking.promoCodes.map(promo => promo.code));
+    expect(Object.keys(db.collections.promoCodes)).toHaveLength(1);
+
+    const second = await setupInfluencerTracking('camp-1', 'inf-2', { discount: { percent: 15 } });
+    expect(second.promoCodes[0]).toMatchObject({ code: expect.stringMatching(/^SAMLEE/), discount: { percent: 15 } });
+    await expect(setupInfluencerTracking('camp-1', 'inf-2', { destinationUrl: 'javascript:alert(1)' }))
+      .rejects.toMatchObject({ type: ErrorTypes.VALIDATION_ERROR });
+  });
+
+  test('should log clicks and record them as influencer touchpoints', async () => {
+    const db = admin.firestore();
+    const [code] = Object.keys(db.collections.trackedLinks);
+
+    const click = await handleTrackedLinkClick(code, { userAgent: BROWSER, ipAddress: '203.0.113.7' });
+    expect(new URL(click.destinationUrl).searchParams.get('rs_click')).toBe(click.clickId);
+    expect(Object.values(db.collections.customerTouchpoints)).toEqual([expect.objectContaining({
+      userId: 'brand-1',
+      channelType: 'influencer',
+      source: 'tracked_link',
+      campaignId: 'camp-1',
+      influencerId: 'inf-1'
+    })]);
+
+    await handleTrackedLinkClick(code, { userAgent: 'Slackbot-LinkExpanding 1.0' });
+    expect(Object.keys(db.collections.customerTouchpoints)).toHaveLength(1);
+    expect(db.collections.trackedLinks[code]).toMatchObject({ clicks: 1, botClicks: 1 });
+
+    const logged = Object.values(db.collections.trackedLinkClicks);
+    expect(logged.map(entry => entry.isBot)).toEqual([false, true]);
+    expect(logged[0].ipHash).toMatch(/^[a-f0-9]{64}$/);
+    expect(JSON.stringify(logged)).not.toContain('203.0.113.7');
+
+    expect(await handleTrackedLinkClick('missing', { userAgent: BROWSER })).toBeNull();
+  });
+
+  test('should credit orders to influencers and report revenue per creator', async () => {
+    const db = admin.firestore();
+    const [clickEntry] = Object.values(db.collections.trackedLinkClicks);
+    const promoFor = influencerId => Object.values(db.collections.promoCodes).find(promo => promo.influencerId === influencerId).code;
+
+    // Clicked Jane's link, then bought
+    const clicked = await recordInfluencerOrder({ brandId: 'brand-1', orderId: 'o-1', value: 80, clickId: clickEntry.clickId }, { verified: true });
+    expect(clicked.credits).toEqual([expect.objectContaining({ influencerId: 'inf-1', revenue: 80 })]);
+
+    // Bought with Sam's code and no customer details
+    const coded = await recordInfluencerOrder({ brandId: 'brand-1', orderId: 'o-2', value: 50, promoCode: promoFor('inf-2').toLowerCase() }, { verified: true });
+    expect(coded.credits).toEqual([expect.objectContaining({ influencerId: 'inf-2', revenue: 50 })]);
+
+    // Clicked Jane's link, then used Sam's code: both get part of the sale
+    const shared = await recordInfluencerOrder({ brandId: 'brand-1', orderId: 'o-3', value: 100, clickId: clickEntry.clickId, promoCode: promoFor('inf-2') }, { verified: true });
+    expect(shared.credits.map(credit => credit.influencerId).sort()).toEqual(['inf-1', 'inf-2']);
+    expect(shared.credits.reduce((sum, credit) => sum + credit.revenue, 0)).toBeCloseTo(100);
+
+    // Orders are only counted once
+    const repeated = await recordInfluencerOrder({ brandId: 'brand-1', orderId: 'o-2', value: 50, promoCode: promoFor('inf-2') }, { verified: true });
+    expect(repeated.duplicate).toBe(true);
+    expect(db.collections.promoCodes[promoFor('inf-2')]).toMatchObject({ redemptions: 2, revenue: 150 });
+
+    await expect(recordInfluencerOrder({ brandId: 'brand-1', orderId: 'o-4', value: 10, promoCode: 'NOPE' }, { verified: true }))
+      .rejects.toMatchObject({ type: ErrorTypes.VALIDATION_ERROR });
+    await expect(recordInfluencerOrder({ brandId: 'brand-1', orderId: 'o-5', value: 10 }, { verified: true }))
+      .rejects.toMatchObject({ type: ErrorTypes.VALIDATION_ERROR });
+
+    const report = await generateCampaignReport('camp-1');
+    const byInfluencer = Object.fromEntries(report.revenue.byInfluencer.map(entry => [entry.influencerId, entry]));
+    expect(report.revenue.attributed).toBeCloseTo(230);
+    expect(report.revenue.promoCodeSales).toBe(150);
+    expect(byInfluencer['inf-1']).toMatchObject({ clicks: 1, conversions: 2, redemptions: 0 });
+    expect(byInfluencer['inf-2']).toMatchObject({ clicks: 0, conversions: 2, redemptions: 2, promoCodeSales: 150 });
+    expect(byInfluencer['inf-1'].revenue + byInfluencer['inf-2'].revenue).toBeCloseTo(230);
+    expect(report.performance.performanceByInfluencer['inf-1']).toMatchObject({ clicks: 1, conversions: 2 });
+  });
+
+  test('should only accept orders signed by the brand and keep unsigned ones out of payouts', async () => {
+    const db = admin.firestore();
+    const body = JSON.stringify({ brandId: 'brand-1', orderId: 'o-9', value: 500 });
+    const now = Date.UTC(2024, 4, 1);
+    const seconds = now / 1000;
+
+    await expect(verifyOrderSignature('brand-1', body, signOrderPayload('guess', body, seconds), now))
+      .rejects.toMatchObject({ type: ErrorTypes.AUTHENTICATION_ERROR });
+
+    const secret = await rotateOrderSigningSecret('brand-1');
+    await expect(verifyOrderSignature('brand-1', body, signOrderPayload(secret, body, seconds), now)).resolves.toBeUndefined();
+    await expect(verifyOrderSignature('brand-1', body.replace('500', '5000'), signOrderPayload(secret, body, seconds), now))
+      .rejects.toMatchObject({ type: ErrorTypes.AUTHENTICATION_ERROR });
+    await expect(verifyOrderSignature('brand-1', body, signOrderPayload(secret, body, seconds - 600), now))
+      .rejects.toMatchObject({ message: 'Order signature has expired' });
+    await expect(verifyOrderSignature('brand-2', body, signOrderPayload(secret, body, seconds), now))
+      .rejects.toMatchObject({ type: ErrorTypes.AUTHENTICATION_ERROR });
+    await expect(verifyOrderSignature('brand-1', body, undefined, now))
+      .rejects.toMatchObject({ message: 'Missing or malformed order signature' });
+
+    // An influencer posting orders with their own code gets no payable credit
+    const promo = Object.values(db.collections.promoCodes).find(code => code.influencerId === 'inf-2');
+    const before = { ...db.collections.promoCodes[promo.code] };
+    const forged = await recordInfluencerOrder({ brandId: 'brand-1', orderId: 'o-10', value: 10000, promoCode: promo.code });
+    expect(forged.verified).toBe(false);
+    expect(db.collections.promoCodes[promo.code]).toMatchObject({ redemptions: before.redemptions, revenue: before.revenue });
+
+    const report = await generateCampaignReport('camp-1');
+    expect(report.revenue.attributed).toBeCloseTo(230);
+    const sam = report.influencerSummary.find(influencer => influencer.id === 'inf-2');
+    expect(sam.tracking).toMatchObject({ conversions: 2, unverifiedConversions: 1, unverifiedRevenue: 10000 });
+  });
+
+  test('should credit concurrent deliveries of one order once', async () => {
+    const db = admin.firestore();
+    const promo = Object.values(db.collections.promoCodes).find(code => code.influencerId === 'inf-2');
+    const before = { ...db.collections.promoCodes[promo.code] };
+
+    const deliveries = await Promise.all([1, 2].map(() =>
+      recordInfluencerOrder({ brandId: 'brand-1', orderId: 'o-11', value: 20, promoCode: promo.code }, { verified: true })));
+
+    expect(deliveries.filter(result => result.duplicate)).toHaveLength(1);
+    expect(db.collections.promoCodes[promo.code]).toMatchObject({ redemptions: before.redemptions + 1, revenue: before.revenue + 20 });
+    expect(db.collections.influencerOrders['brand-1_o-11']).toMatchObject({ status: 'recorded', verified: true });
+  });
+});
@@ -0,0 +1,200 @@
+/**
+ * Unit tests for marketer-defined journeys
+ */
+jest.mock('firebase-admin', () => require('./helpers/fakeFirestore').createFirebaseAdmin());
+
+jest.mock('firebase-functions', () => ({
+  config: jest.fn(() => ({})),
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn(), log: jest.fn() }
+}));
+
+jest.mock('../src/apis', () => ({ openai: {}, gemini: {} }));
+
+const admin = require('firebase-admin');
+const {
+  EnrollmentStatus,
+  validateJourneyDefinition,
+  findEntryTriggers,
+  createEnrollment,
+  advanceEnrollment,
+  summarizeJourneyMetrics
+} = require('../src/utils/journeyDefinitions');
+const { ErrorTypes } = require('../src/utils/errorLogging');
+const {
+  INTERACTION_TYPES,
+  saveJourneyDefinition,
+  publishJourneyDefinition,
+  processJourneyEvent,
+  advanceWaitingEnrollments,
+  getJourneyMetrics
+} = require('../src/features/predictiveCustomerJourney');
+
+const HOUR = 60 * 60 * 1000;
+const START = Date.UTC(2024, 2, 1);
+
+// Nurture leads who download content; follow up with anyone who does not click within two days
+const NURTURE = {
+  name: 'Content nurture',
+  nodes: [
+    { id: 'start', type: 'trigger', event: INTERACTION_TYPES.CONTENT_DOWNLOAD, next: 'welcome' },
+    { id: 'welcome', type: 'action', campaignId: 'welcome-email', next: 'wait' },
+    { id: 'wait', type: 'wait', days: 1, next: 'clicked' },
+    {
+      id: 'clicked',
+      type: 'branch',
+      conditions: [{ event: INTERACTION_TYPES.EMAIL_CLICK, next: 'offer' }],
+      otherwise: 'reminder',
+      timeoutHours: 24
+    },
+    { id: 'offer', type: 'action', campaignId: 'offer-email', next: 'done' },
+    { id: 'reminder', type: 'action', campaignId: 'reminder-email', next: 'done' },
+    { id: 'done', type: 'exit' },
+    { id: 'bought', type: 'goal', event: INTERACTION_TYPES.PURCHASE },
+    { id: 'support', type: 'exit', event: INTERACTION_TYPES.SUPPORT_REQUEST }
+  ]
+};
+
+describe('Journey Definitions', () => {
+  test('should validate structure, references and event types', () => {
+    const eventTypes = Object.values(INTERACTION_TYPES);
+    expect(validateJourneyDefinition(NURTURE, { eventTypes })).toEqual({ valid: true, errors: [] });
+
+    const broken = validateJourneyDefinition({
+      name: 'Broken',
+      nodes: [
+        { id: 'start', type: 'trigger', event: 'tweet', next: 'missing' },
+        { id: 'orphan', type: 'action', campaignId: 'c1', next: 'loop' },
+        { id: 'loop', type: 'branch', conditions: [{ event: INTERACTION_TYPES.EMAIL_OPEN, next: 'orphan' }], otherwise: 'start' },
+        { id: 'pause', type: 'wait', hours: 0, next: 'orphan' }
+      ]
+    }, { eventTypes });
+
+    expect(broken.valid).toBe(false);
+    expect(broken.errors).toEqual(expect.arrayContaining([
+      { nodeId: 'start', message: 'Unknown interaction type: tweet' },
+      { nodeId: 'start', message: 'next points to missing node missing' },
+      { nodeId: 'loop', message: 'otherwise cannot point to trigger start' },
+      { nodeId: 'pause', message: 'wait node needs a positive duration in hours or days' },
+      { nodeId: 'orphan', message: 'Node cannot be reached from any trigger' },
+      { nodeId: 'orphan', message: 'Loop has no wait node' }
+    ]));
+    expect(validateJourneyDefinition({ name: 'Empty', nodes: [] }).errors).toEqual([
+      { nodeId: null, message: 'Journey must have at least one node' }
+    ]);
+  });
+
+  test('should advance through waits and branch on events', () => {
+    const at = hours => START + hours * HOUR;
+    const [trigger] = findEntryTriggers(NURTURE, { type: INTERACTION_TYPES.CONTENT_DOWNLOAD });
+    let step = advanceEnrollment(NURTURE, createEnrollment(NURTURE, trigger.id, at(0)), { now: at(0) });
+
+    expect(step.actions).toEqual([{ nodeId: 'welcome', campaignId: 'welcome-email' }]);
+    expect(step.enrollment).toMatchObject({ status: EnrollmentStatus.WAITING, currentNodeId: 'wait', waitUntil: at(24) });
+
+    // Too early: nothing moves
+    step = advanceEnrollment(NURTURE, step.enrollment, { now: at(10) });
+    expect(step.visited).toEqual([]);
+
+    // A click during the wait is remembered for the branch
+    step = advanceEnrollment(NURTURE, step.enrollment, { event: { type: INTERACTION_TYPES.EMAIL_CLICK, timestamp: at(12) } });
+    expect(step.enrollment.currentNodeId).toBe('wait');
+
+    step = advanceEnrollment(NURTURE, step.enrollment, { now: at(24) });
+    expect(step.visited).toEqual(['clicked', 'offer', 'done']);
+    expect(step.actions).toEqual([{ nodeId: 'offer', campaignId: 'offer-email' }]);
+    expect(step.enrollment).toMatchObject({ status: EnrollmentStatus.EXITED, exitNodeId: 'done', completedAt: at(24) });
+
+    // Without a click the branch waits out its timeout, then takes the otherwise path
+    let quiet = advanceEnrollment(NURTURE, createEnrollment(NURTURE, 'start', at(0)), { now: at(0) });
+    quiet = advanceEnrollment(NURTURE, quiet.enrollment, { now: at(30) });
+    expect(quiet.enrollment).toMatchObject({ status: EnrollmentStatus.WAITING, currentNodeId: 'clicked', waitUntil: at(54) });
+    quiet = advanceEnrollment(NURTURE, quiet.enrollment, { now: at(54) });
+    expect(quiet.actions).toEqual([{ nodeId: 'reminder', campaignId: 'reminder-email' }]);
+  });
+
+  test('should end enrollments on goal and exit events and summarize node metrics', () => {
+    const waiting = advanceEnrollment(NURTURE, createEnrollment(NURTURE, 'start', START), { now: START }).enrollment;
+
+    const converted = advanceEnrollment(NURTURE, waiting, { event: { type: INTERACTION_TYPES.PURCHASE }, now: START + HOUR });
+    expect(converted.enrollment).toMatchObject({ status: EnrollmentStatus.COMPLETED, goalId: 'bought' });
+    expect(converted.actions).toEqual([]);
+
+    const left = advanceEnrollment(NURTURE, waiting, { event: { type: INTERACTION_TYPES.SUPPORT_REQUEST }, now: START + HOUR });
+    expect(left.enrollment).toMatchObject({ status: EnrollmentStatus.EXITED, exitNodeId: 'support' });
+
+    // Finished enrollments ignore later events
+    expect(advanceEnrollment(NURTURE, converted.enrollment, { event: { type: INTERACTION_TYPES.SUPPORT_REQUEST } }).enrollment.status)
+      .toBe(EnrollmentStatus.COMPLETED);
+
+    const metrics = summarizeJourneyMetrics(NURTURE, [waiting, converted.enrollment, left.enrollment]);
+    expect(metrics.totals).toMatchObject({ enrolled: 3, waiting: 1, completed: 1, exited: 1 });
+    expect(metrics.totals.goalRate).toBeCloseTo(1 / 3, 9);
+    expect(metrics.nodes.welcome).toMatchObject({ entered: 3, goalsReached: 1 });
+    expect(metrics.nodes.wait.current).toBe(1);
+    expect(metrics.nodes.bought.entered).toBe(1);
+    expect(metrics.nodes.support.exited).toBe(1);
+    expect(metrics.nodes.offer.entered).toBe(0);
+  });
+
+  test('should keep drafts editable and publish immutable versions', async () => {
+    const db = admin.firestore();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const draft = await saveJourneyDefinition('user-1', { ...NURTURE, nodes: NURTURE.nodes.slice(0, 2) });
+    expect(draft.validation.valid).toBe(false);
+    await expect(publishJourneyDefinition(draft.journeyId)).rejects.toMatchObject({
+      type: ErrorTypes.VALIDATION_ERROR,
+      context: { errors: [{ nodeId: 'welcome', message: 'next points to missing node wait' }] }
+    });
+
+    await saveJourneyDefinition('user-1', NURTURE, draft.journeyId);
+    expect(await publishJourneyDefinition(draft.journeyId)).toMatchObject({ version: 1, status: 'published' });
+
+    // Editing after publishing only changes the draft until it is published again
+    await saveJourneyDefinition('user-1', { ...NURTURE, name: 'Content nurture v2' }, draft.journeyId);
+    expect(db.collections.journeyDefinitions[draft.journeyId]).toMatchObject({ publishedVersion: 1, hasUnpublishedChanges: true });
+    expect(db.collections.journeyDefinitionVersions[`${draft.journeyId}_v1`].definition.name).toBe('Content nurture');
+
+    expect(await publishJourneyDefinition(draft.journeyId)).toMatchObject({ version: 2 });
+    expect(db.collections.journeyDefinitionVersions[`${draft.journeyId}_v2`].definition.name).toBe('Content nurture v2');
+    await expect(saveJourneyDefinition('user-2', NURTURE, draft.journeyId)).rejects.toThrow('Failed to save journey definition');
+  });
+
+  test('should enroll on triggers, run actions and report metrics', async () => {
+    const db = admin.firestore();
+    const now = Date.now();
+    db.collections.customers = { c1: { userId: 'user-2', email: 'c1@example.com' } };
+    db.collections.campaigns = ['welcome-email', 'offer-email', 'reminder-email'].reduce((result, id) => ({
+      ...result,
+      [id]: { channelType: 'email', subject: id, content: 'Hi {{firstName}}' }
+    }), {});
+
+    const { journeyId } = await saveJourneyDefinition('user-2', NURTURE);
+    await publishJourneyDefinition(journeyId);
+
+    const entry = await processJourneyEvent('c1', { type: INTERACTION_TYPES.CONTENT_DOWNLOAD, timestamp: now - 30 * HOUR });
+    expect(entry.enrolled).toHaveLength(1);
+    expect(entry.enrolled[0]).toMatchObject({ journeyId, status: EnrollmentStatus.WAITING, currentNodeId: 'wait' });
+    expect(entry.enrolled[0].actionResults[0].result).toMatchObject({ success: true, channelType: 'email' });
+    expect(Object.values(db.collections.emailTasks)).toHaveLength(1);
+
+    // The same trigger does not enroll the customer twice
+    const repeat = await processJourneyEvent('c1', { type: INTERACTION_TYPES.CONTENT_DOWNLOAD, timestamp: now - 29 * HOUR });
+    expect(repeat.enrolled).toEqual([]);
+    expect(repeat.advanced).toHaveLength(1);
+
+    const click = await processJourneyEvent('c1', { type: INTERACTION_TYPES.EMAIL_CLICK, timestamp: now - 28 * HOUR });
+    expect(click.advanced[0].currentNodeId).toBe('wait');
+
+    const waits = await advanceWaitingEnrollments();
+    expect(waits).toMatchObject({ enrollmentsProcessed: 1, failedEnrollments: 0 });
+    expect(waits.results[0]).toMatchObject({ status: EnrollmentStatus.EXITED, visited: ['clicked', 'offer', 'done'] });
+    expect(Object.values(db.collections.journeyActionExecutions).map(execution => execution.nodeId)).toEqual(['welcome', 'offer']);
+
+    const metrics = await getJourneyMetrics(journeyId);
+    expect(metrics).toMatchObject({ journeyId, version: 1, totals: { enrolled: 1, exited: 1 } });
+    expect(metrics.nodes.offer.entered).toBe(1);
+    expect(metrics.nodes.reminder.entered).toBe(0);
+    expect(metrics.nodes.done.exited).toBe(1);
+  });
+});
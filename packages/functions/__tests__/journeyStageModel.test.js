@@ -0,0 +1,194 @@
+/**
+ * Unit tests for the learned journey stage model
+ */
+jest.mock('firebase-admin', () => require('./helpers/fakeFirestore').createFirebaseAdmin());
+
+jest.mock('firebase-functions', () => ({
+  config: jest.fn(() => ({})),
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn(), log: jest.fn() }
+}));
+
+jest.mock('../src/apis', () => ({ openai: {}, gemini: {} }));
+
+const admin = require('firebase-admin');
+const {
+  buildStageSpells,
+  fitJourneyStageModel,
+  predictStageOutlook,
+  dwellDaysInStage
+} = require('../src/utils/journeyStageModel');
+const { createRandom } = require('../src/utils/experimentation');
+const {
+  JOURNEY_STAGES,
+  TRANSITION_TYPES,
+  INTERACTION_TYPES,
+  fitJourneyStageModel: fitStoredModel,
+  analyzeCurrentJourneyStage,
+  detectJourneyTransitions
+} = require('../src/features/predictiveCustomerJourney');
+
+const DAY = 24 * 60 * 60 * 1000;
+const STAGES = Object.values(JOURNEY_STAGES);
+const NOW = Date.UTC(2024, 6, 1);
+
+/**
+ * Simulate customers in consideration who leave at constant competing rates per day
+ */
+const simulateHistory = (count, progressionRate, regressionRate, seed = 11) => {
+  const random = createRandom(seed);
+  const history = [];
+  const start = NOW - 120 * DAY;
+
+  for (let i = 0; i < count; i++) {
+    const customerId = `sim-${i}`;
+    const days = -Math.log(1 - random()) / (progressionRate + regressionRate);
+    history.push({ customerId, currentStage: JOURNEY_STAGES.CONSIDERATION, timestamp: new Date(start) });
+
+    if (days < 120) {
+      const progressed = random() < progressionRate / (progressionRate + regressionRate);
+      history.push({
+        customerId,
+        currentStage: progressed ? JOURNEY_STAGES.DECISION : JOURNEY_STAGES.AWARENESS,
+        timestamp: new Date(start + days * DAY)
+      });
+    } else {
+      history.push({ customerId, currentStage: JOURNEY_STAGES.CONSIDERATION, timestamp: new Date(NOW) });
+    }
+  }
+
+  return history;
+};
+
+describe('Journey Stage Model', () => {
+  test('should collapse stage snapshots into spells', () => {
+    const at = days => new Date(NOW + days * DAY);
+    const spells = buildStageSpells([
+      { customerId: 'a', currentStage: 'consideration', timestamp: at(3) },
+      { customerId: 'a', currentStage: 'awareness', timestamp: at(0) },
+      { customerId: 'a', currentStage: 'awareness', timestamp: at(1) },
+      { customerId: 'a', currentStage: 'consideration', timestamp: at(5) },
+      { customerId: 'a', currentStage: 'awareness', timestamp: at(6) },
+      { customerId: 'b', currentStage: 'decision', timestamp: at(2) }
+    ], { asOf: at(10) });
+
+    expect(spells.map(spell => [spell.customerId, spell.stage, spell.durationDays, spell.nextStage, spell.censored])).toEqual([
+      ['a', 'awareness', 3, 'consideration', false],
+      ['a', 'consideration', 3, 'awareness', false],
+      ['a', 'awareness', 4, null, true],
+      ['b', 'decision', 8, null, true]
+    ]);
+  });
+
+  test('should recover progression and regression hazards', () => {
+    const model = fitJourneyStageModel(simulateHistory(3000, 0.04, 0.02), STAGES);
+    const consideration = model.hazards[JOURNEY_STAGES.CONSIDERATION];
+
+    // Few simulated customers stay past 90 days, so only the well-populated buckets are checked
+    consideration.slice(0, 3).forEach(bucket => {
+      expect(bucket.progressionHazard).toBeCloseTo(0.04, 2);
+      expect(bucket.regressionHazard).toBeCloseTo(0.02, 2);
+    });
+    expect(model.transitions[JOURNEY_STAGES.CONSIDERATION][JOURNEY_STAGES.DECISION]).toBeGreaterThan(0.6);
+    expect(model.customerCount).toBe(3000);
+
+    const outlook = predictStageOutlook(model, JOURNEY_STAGES.CONSIDERATION, 0, { horizonDays: 30 });
+    expect(outlook.regressionProbability).toBeCloseTo((1 / 3) * (1 - Math.exp(-1.8)), 1);
+    expect(outlook.stayProbability + outlook.progressionProbability + outlook.regressionProbability).toBeCloseTo(1, 9);
+    expect(outlook.expectedDaysToNextStage).toBeGreaterThan(10);
+    expect(outlook.expectedDaysToNextStage).toBeLessThan(13);
+  });
+
+  test('should report calibrated regression probabilities', () => {
+    const model = fitJourneyStageModel(simulateHistory(3000, 0.04, 0.02), STAGES);
+
+    expect(model.calibration.samples).toBeGreaterThan(2000);
+    expect(model.calibration.brierScore).toBeLessThan(0.25);
+    model.calibration.bins.forEach(bin => {
+      expect(Math.abs(bin.predicted - bin.observed)).toBeLessThan(0.05);
+    });
+  });
+
+  test('should apply a calibration fitted on held-out customers to regression probabilities', () => {
+    // Half the customers regress fast and half slowly, so one constant hazard underpredicts
+    // early regression
+    const history = [
+      ...simulateHistory(1500, 0.02, 0.1, 5).map(entry => ({ ...entry, customerId: `fast-${entry.customerId}` })),
+      ...simulateHistory(1500, 0.02, 0.005, 6).map(entry => ({ ...entry, customerId: `slow-${entry.customerId}` }))
+    ];
+    const model = fitJourneyStageModel(history, STAGES, { durationBuckets: [0] });
+    const spells = buildStageSpells(history).filter(spell => spell.stage === JOURNEY_STAGES.CONSIDERATION);
+    const observed = spells.filter(spell => !spell.censored && spell.durationDays <= 30 &&
+      spell.nextStage === JOURNEY_STAGES.AWARENESS).length / spells.length;
+
+    expect(model.calibration).toMatchObject({ horizonDays: 30, folds: 5 });
+    model.calibration.mapping.slice(1).forEach((block, index) => {
+      expect(block.observed).toBeGreaterThan(model.calibration.mapping[index].observed);
+    });
+
+    const outlook = predictStageOutlook(model, JOURNEY_STAGES.CONSIDERATION, 0);
+    expect(Math.abs(outlook.rawRegressionProbability - observed)).toBeGreaterThan(0.05);
+    expect(outlook.regressionProbability).toBeCloseTo(observed, 2);
+    expect(outlook.stayProbability + outlook.progressionProbability + outlook.regressionProbability).toBeCloseTo(1, 9);
+    expect(outlook.nextStageProbabilities[JOURNEY_STAGES.AWARENESS]).toBeCloseTo(outlook.regressionProbability, 9);
+
+    // The mapping only holds for the horizon it was fitted on
+    const longer = predictStageOutlook(model, JOURNEY_STAGES.CONSIDERATION, 0, { horizonDays: 60 });
+    expect(longer.regressionProbability).toBe(longer.rawRegressionProbability);
+    expect(predictStageOutlook(model, JOURNEY_STAGES.AWARENESS, 0).regressionProbability).toBe(0);
+  });
+
+  test('should split outlook across next stages and respect stage order', () => {
+    const model = fitJourneyStageModel(simulateHistory(500, 0.04, 0.02), STAGES);
+
+    const awareness = predictStageOutlook(model, JOURNEY_STAGES.AWARENESS, 5);
+    expect(awareness.regressionProbability).toBe(0);
+    expect(awareness.churnHazard).toBe(0);
+
+    const outlook = predictStageOutlook(model, JOURNEY_STAGES.CONSIDERATION, 10);
+    const total = Object.values(outlook.nextStageProbabilities).reduce((sum, probability) => sum + probability, 0);
+    expect(total).toBeCloseTo(1, 9);
+    expect(outlook.nextStageProbabilities[JOURNEY_STAGES.AWARENESS]).toBeCloseTo(outlook.regressionProbability, 9);
+
+    expect(() => predictStageOutlook(model, 'loyalty', 0)).toThrow('Unknown journey stage: loyalty');
+    expect(dwellDaysInStage([
+      { currentStage: 'decision', timestamp: new Date(NOW - DAY) },
+      { currentStage: 'decision', timestamp: new Date(NOW - 4 * DAY) },
+      { currentStage: 'consideration', timestamp: new Date(NOW - 9 * DAY) }
+    ], 'decision', NOW)).toBe(4);
+    expect(dwellDaysInStage([], 'decision', NOW)).toBe(0);
+  });
+
+  test('should flag predicted regression for orchestration', async () => {
+    const db = admin.firestore();
+    const now = Date.now();
+    const recent = days => new Date(now - days * DAY);
+
+    db.collections.customerJourneyHistory = simulateHistory(500, 0.01, 0.05)
+      .map(entry => ({ ...entry, timestamp: new Date(entry.timestamp.getTime() - NOW + now) }))
+      .reduce((result, entry, index) => ({ ...result, [`history-${index}`]: entry }), {});
+    const model = await fitStoredModel();
+    expect(model.historyEntries).toBe(1000);
+    expect(db.collections.journeyStageModels.default.hazards[JOURNEY_STAGES.CONSIDERATION]).toHaveLength(4);
+
+    db.collections.customers = { c1: { status: 'active' } };
+    db.collections.customerInteractions = {
+      i1: { customerId: 'c1', type: INTERACTION_TYPES.CONTENT_DOWNLOAD, timestamp: recent(1) },
+      i2: { customerId: 'c1', type: INTERACTION_TYPES.CART_ABANDONMENT, timestamp: recent(2) }
+    };
+    db.collections.customerJourneyHistory.c1a = { customerId: 'c1', currentStage: JOURNEY_STAGES.CONSIDERATION, timestamp: recent(20) };
+    db.collections.customerJourneyHistory.c1b = { customerId: 'c1', currentStage: JOURNEY_STAGES.CONSIDERATION, timestamp: recent(10) };
+
+    const analysis = await analyzeCurrentJourneyStage('c1');
+    expect(analysis.currentStage).toBe(JOURNEY_STAGES.CONSIDERATION);
+    expect(analysis.prediction.dwellDays).toBeCloseTo(20, 3);
+    expect(analysis.prediction.regressionProbability).toBeGreaterThan(0.6);
+    expect(analysis.prediction.regressionRisk).toBe(true);
+
+    const detection = await detectJourneyTransitions('c1');
+    expect(detection.transitions).toContainEqual(expect.objectContaining({
+      type: TRANSITION_TYPES.PREDICTED_REGRESSION,
+      stage: JOURNEY_STAGES.CONSIDERATION,
+      horizonDays: 30
+    }));
+  });
+});
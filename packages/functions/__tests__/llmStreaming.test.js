@@ -0,0 +1,174 @@
+/**
+ * Unit tests for LLM streaming normalization and failover
+ */
+const { Readable } = require('stream');
+
+jest.mock('firebase-admin', () => require('./helpers/fakeFirestore').createFirebaseAdmin());
+
+jest.mock('firebase-functions', () => ({
+  config: jest.fn(() => ({})),
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn(), log: jest.fn() }
+}));
+
+const {
+  ChunkType,
+  parseSSEStream,
+  normalizeOpenAIStream,
+  normalizeAnthropicStream,
+  normalizeGeminiStream,
+  streamWithFailover,
+  writeSSEChunk
+} = require('../src/utils/llm/streaming');
+
+const collect = async iterable => {
+  const items = [];
+  for await (const item of iterable) {
+    items.push(item);
+  }
+  return items;
+};
+
+const fromArray = items => (async function* () {
+  for (const item of items) {
+    yield item;
+  }
+})();
+
+describe('LLM Streaming', () => {
+  test('should parse SSE events split across arbitrary byte boundaries', async () => {
+    const raw = 'event: a\ndata: {"x":1}\n\ndata: line1\r\ndata: line2\n\ndata: [DONE]\n\n';
+    const pieces = raw.match(/[\s\S]{1,7}/g).map(piece => Buffer.from(piece));
+
+    const events = await collect(parseSSEStream(Readable.from(pieces)));
+
+    expect(events).toEqual([
+      { event: 'a', data: '{"x":1}' },
+      { event: 'message', data: 'line1\nline2' },
+      { event: 'message', data: '[DONE]' }
+    ]);
+  });
+
+  test('should normalize the OpenAI stream format', async () => {
+    const lines = [
+      { choices: [{ delta: { role: 'assistant' } }] },
+      { choices: [{ delta: { content: 'Hel' } }] },
+      { choices: [{ delta: { content: 'lo' }, finish_reason: 'stop' }] },
+      { choices: [], usage: { prompt_tokens: 12, completion_tokens: 2 } }
+    ].map(payload => `data: ${JSON.stringify(payload)}\n\n`);
+    const stream = Readable.from([...lines, 'data: [DONE]\n\n']);
+
+    const events = await collect(normalizeOpenAIStream(stream));
+
+    expect(events).toEqual([
+      { text: 'Hel' },
+      { text: 'lo' },
+      { finishReason: 'stop' },
+      { usage: { promptTokens: 12, completionTokens: 2 } }
+    ]);
+    expect(stream.destroyed).toBe(true);
+  });
+
+  test('should normalize the Anthropic stream format', async () => {
+    const events = await collect(normalizeAnthropicStream(fromArray([
+      { type: 'message_start', message: { usage: { input_tokens: 20, output_tokens: 1 } } },
+      { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+      { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Hi' } },
+      { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 3 } },
+      { type: 'message_stop' }
+    ])));
+
+    expect(events).toEqual([
+      { usage: { promptTokens: 20 } },
+      { text: 'Hi' },
+      { usage: { completionTokens: 3 } },
+      { finishReason: 'end_turn' }
+    ]);
+  });
+
+  test('should normalize the Gemini stream format', async () => {
+    const events = await collect(normalizeGeminiStream({
+      stream: fromArray([
+        { text: () => 'Bon', candidates: [{}] },
+        {
+          text: () => 'jour',
+          candidates: [{ finishReason: 'STOP' }],
+          usageMetadata: { promptTokenCount: 5, candidatesTokenCount: 2, totalTokenCount: 7 }
+        }
+      ])
+    }));
+
+    expect(events).toEqual([
+      { text: 'Bon' },
+      { text: 'jour' },
+      { finishReason: 'stop' },
+      { usage: { promptTokens: 5, completionTokens: 2 } }
+    ]);
+  });
+
+  describe('streamWithFailover', () => {
+    test('should fail over when a provider errors before the first token and report usage', async () => {
+      const chunks = await collect(streamWithFailover([
+        { provider: 'openai', model: 'gpt', open: async () => { throw new Error('rate limited'); } },
+        {
+          provider: 'anthropic',
+          model: 'claude',
+          open: async () => fromArray([
+            { usage: { promptTokens: 10 } },
+            { text: 'Hello ' },
+            { text: 'world' },
+            { usage: { completionTokens: 2 } },
+            { finishReason: 'end_turn' }
+          ])
+        }
+      ]));
+
+      expect(chunks.map(c => c.type)).toEqual([ChunkType.DELTA, ChunkType.DELTA, ChunkType.DONE]);
+      expect(chunks[0]).toEqual({ type: ChunkType.DELTA, provider: 'anthropic', model: 'claude', index: 0, text: 'Hello ' });
+      expect(chunks[2]).toMatchObject({
+        text: 'Hello world',
+        finishReason: 'end_turn',
+        usage: { promptTokens: 10, completionTokens: 2, totalTokens: 12, estimated: false },
+        failedProviders: [{ provider: 'openai', error: 'rate limited' }]
+      });
+    });
+
+    test('should not fail over after output has started', async () => {
+      const backup = jest.fn();
+      const chunks = await collect(streamWithFailover([
+        {
+          provider: 'openai',
+          model: 'gpt',
+          open: async () => (async function* () {
+            yield { text: 'Partial' };
+            throw new Error('connection reset');
+          })()
+        },
+        { provider: 'gemini', model: 'gemini-pro', open: backup }
+      ]));
+
+      expect(backup).not.toHaveBeenCalled();
+      expect(chunks[chunks.length - 1]).toMatchObject({ type: ChunkType.ERROR, error: 'connection reset', text: 'Partial' });
+    });
+
+    test('should estimate usage when the provider does not report it', async () => {
+      const chunks = await collect(streamWithFailover([
+        { provider: 'gemini', model: 'gemini-pro', open: async () => fromArray([{ text: 'abcdefgh' }]) }
+      ], { promptText: 'abcd' }));
+
+      expect(chunks[1].usage).toEqual({ promptTokens: 1, completionTokens: 2, totalTokens: 3, estimated: true });
+    });
+
+    test('should throw when every provider fails before the first token', async () => {
+      await expect(collect(streamWithFailover([
+        { provider: 'openai', model: 'gpt', open: async () => { throw new Error('down'); } }
+      ]))).rejects.toThrow('All LLM providers failed to stream: openai (down)');
+    });
+  });
+
+  test('should write chunks as server-sent events', () => {
+    const res = { write: jest.fn() };
+    writeSSEChunk(res, { type: ChunkType.DELTA, text: 'Hi' });
+
+    expect(res.write).toHaveBeenCalledWith('event: delta\ndata: {"type":"delta","text":"Hi"}\n\n');
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Unit tests for the adstock and saturation marketing mix model
+ */
+jest.mock('firebase-admin', () => require('./helpers/fakeFirestore').createFirebaseAdmin());
+
+jest.mock('firebase-functions', () => ({
+  config: jest.fn(() => ({})),
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn(), log: jest.fn() }
+}));
+
+const {
+  geometricAdstock,
+  hillSaturation,
+  buildWeeklySeries,
+  fitMarketingMixModel,
+  weeklyResponse,
+  marginalResponse,
+  responseCurve,
+  allocateByMarginalReturn
+} = require('../src/utils/marketingMixModel');
+const { createRandom } = require('../src/utils/experimentation');
+
+/**
+ * Simulate 52 weeks where search responds immediately and display carries over strongly
+ */
+const simulateWeeks = () => {
+  const random = createRandom(3);
+  const search = [];
+  const display = [];
+  for (let t = 0; t < 52; t++) {
+    search.push(3000 + 4000 * random());
+    display.push(random() < 0.3 ? 0 : 2000 + 6000 * random());
+  }
+
+  const searchEffect = geometricAdstock(search, 0.2).map(value => hillSaturation(value, 6250, 1));
+  const displayEffect = geometricAdstock(display, 0.6).map(value => hillSaturation(value, 20000, 2.5));
+
+  return search.map((_, t) => ({
+    spend: { paid_search: search[t], display: display[t] },
+    target: 50 + 400 * searchEffect[t] + 300 * displayEffect[t] + (random() - 0.5) * 10
+  }));
+};
+
+describe('Marketing Mix Model', () => {
+  test('should carry spend over with geometric adstock and saturate with a Hill curve', () => {
+    expect(geometricAdstock([100, 0, 0, 50], 0.5)).toEqual([100, 50, 25, 62.5]);
+    expect(geometricAdstock([100, 0], 0)).toEqual([100, 0]);
+
+    expect(hillSaturation(0, 10, 2)).toBe(0);
+    expect(hillSaturation(10, 10, 2)).toBe(0.5);
+    expect(hillSaturation(1000, 10, 2)).toBeGreaterThan(0.99);
+  });
+
+  test('should bucket conversions into spend weeks', () => {
+    const weeks = buildWeeklySeries(
+      [
+        { weekStart: '2024-01-08', spend: { email: 200 } },
+        { weekStart: '2024-01-01', spend: { email: 100 } }
+      ],
+      [
+        { timestamp: '2024-01-02T10:00:00Z', value: 30 },
+        { timestamp: '2024-01-09T10:00:00Z', value: 20 },
+        { timestamp: '2024-01-10T10:00:00Z', value: 25 },
+        { timestamp: '2024-03-01T10:00:00Z', value: 99 }
+      ],
+      { target: 'revenue' }
+    );
+
+    expect(weeks.map(week => [week.spend.email, week.target])).toEqual([[100, 30], [200, 45]]);
+  });
+
+  test('should recover carry-over and report fit quality', () => {
+    const model = fitMarketingMixModel(simulateWeeks());
+
+    expect(model.channels.paid_search.decay).toBeCloseTo(0.2, 5);
+    expect(model.channels.display.decay).toBeCloseTo(0.6, 5);
+    expect(model.fit.r2).toBeGreaterThan(0.98);
+    expect(model.fit.mape).toBeLessThan(0.02);
+    expect(model.fit.weeks).toBe(52);
+    expect(model.channels.paid_search.contributionShare + model.channels.display.contributionShare).toBeCloseTo(1, 6);
+
+    expect(() => fitMarketingMixModel(simulateWeeks().slice(0, 5))).toThrow('at least 8 weeks');
+  });
+
+  test('should produce concave response curves with falling marginal returns', () => {
+    const model = fitMarketingMixModel(simulateWeeks());
+    const curve = responseCurve(model.channels.paid_search, { points: 5 });
+
+    expect(curve).toHaveLength(5);
+    expect(curve[0].response).toBe(0);
+    for (let i = 1; i < curve.length; i++) {
+      expect(curve[i].response).toBeGreaterThan(curve[i - 1].response);
+    }
+    expect(curve[4].marginalResponse).toBeLessThan(curve[1].marginalResponse);
+
+    // The analytic marginal matches a finite difference
+    const spend = 4000;
+    const numeric = (weeklyResponse(model.channels.paid_search, spend + 1) - weeklyResponse(model.channels.paid_search, spend - 1)) / 2;
+    expect(marginalResponse(model.channels.paid_search, spend)).toBeCloseTo(numeric, 6);
+  });
+
+  test('should allocate budget by marginal return within caps', () => {
+    const curves = {
+      search: { decay: 0, halfSaturation: 1000, shape: 1, coefficient: 100 },
+      social: { decay: 0, halfSaturation: 4000, shape: 1, coefficient: 100 }
+    };
+
+    const result = allocateByMarginalReturn(curves, 4000, { steps: 400 });
+    expect(result.allocation.search + result.allocation.social).toBeCloseTo(4000, 6);
+    // At the optimum the marginal returns are (nearly) equal
+    expect(marginalResponse(curves.search, result.allocation.search))
+      .toBeCloseTo(marginalResponse(curves.social, result.allocation.social), 3);
+
+    const capped = allocateByMarginalReturn(curves, 4000, { maxSpend: { search: 500 }, minSpend: { social: 100 } });
+    expect(capped.allocation.search).toBeCloseTo(500, 6);
+    expect(capped.allocation.social).toBeCloseTo(3500, 6);
+  });
+});
@@ -0,0 +1,359 @@
+/**
+ * Unit tests for influencer milestone payments
+ */
+jest.mock('firebase-admin', () => require('./helpers/fakeFirestore').createFirebaseAdmin());
+
+jest.mock('firebase-functions', () => ({
+  config: jest.fn(() => ({ payments: { processor: 'local' } })),
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn(), log: jest.fn() }
+}));
+
+jest.mock('../src/apis', () => ({ openai: {}, gemini: {} }));
+
+const admin = require('firebase-admin');
+const {
+  MilestoneType,
+  MilestoneStatus,
+  PaymentLedgerEntryType,
+  AUTHORIZATION_VALIDITY_MS,
+  buildMilestonesFromTerms,
+  getPaymentProcessor
+} = require('../src/utils/milestonePayments');
+const {
+  updateCollaborationRequestStatus,
+  reviewCampaignContent,
+  trackCampaignPerformance,
+  cancelInfluencerCampaign,
+  getCampaignPayments,
+  releaseHeldPayments
+} = require('../src/features/integratedInfluencerMarketplace');
+
+const TERMS = {
+  compensation: { amount: 1000, currency: 'USD' },
+  paymentSchedule: [
+    { type: MilestoneType.DEPOSIT, percent: 20 },
+    { type: MilestoneType.ON_APPROVAL, percent: 25 },
+    { type: MilestoneType.ON_APPROVAL, percent: 25 },
+    { type: MilestoneType.ON_PERFORMANCE, percent: 30, metric: 'clicks', target: 500 }
+  ]
+};
+
+/**
+ * Seed a campaign with one collaboration request from brand-1
+ */
+const seedCampaign = (campaignId, requestId, influencer, request = {}) => {
+  const db = admin.firestore();
+  db.collections.users = { 'brand-1': { stripeCustomerId: 'cus_brand', defaultPaymentMethodId: 'pm_card_visa' } };
+  db.collections.influencers = { ...(db.collections.influencers || {}), [influencer.id]: influencer };
+  db.collections.influencerCampaigns = { ...(db.collections.influencerCampaigns || {}), [campaignId]: { brandId: 'brand-1' } };
+  db.collections.collaborationRequests = {
+    ...(db.collections.collaborationRequests || {}),
+    [requestId]: { campaignId, brandId: 'brand-1', influencerId: influencer.id, status: 'negotiating', ...request }
+  };
+};
+
+/**
+ * Submit and approve a content item
+ */
+const approveContent = async (contentId, campaignId, influencerId) => {
+  admin.firestore().collections.campaignContent = {
+    ...(admin.firestore().collections.campaignContent || {}),
+    [contentId]: { campaignId, influencerId, status: 'pending_approval' }
+  };
+  return reviewCampaignContent(contentId, 'approved', 'Looks great');
+};
+
+describe('Milestone Payments', () => {
+  test('should turn agreed terms into milestones that add up to the compensation', () => {
+    const milestones = buildMilestonesFromTerms(TERMS);
+    expect(milestones.map(m => [m.type, m.amount, m.currency])).toEqual([
+      ['deposit', 20000, 'usd'],
+      ['on_approval', 25000, 'usd'],
+      ['on_approval', 25000, 'usd'],
+      ['on_performance', 30000, 'usd']
+    ]);
+    expect(milestones[3].condition).toEqual({ metric: 'clicks', target: 500 });
+
+    const thirds = buildMilestonesFromTerms({
+      compensation: 100,
+      paymentSchedule: [1, 2, 3].map(() => ({ type: MilestoneType.ON_APPROVAL, percent: 100 / 3 }))
+    });
+    expect(thirds.map(m => m.amount)).toEqual([3333, 3333, 3334]);
+    expect(buildMilestonesFromTerms({ compensation: 250 })).toEqual([expect.objectContaining({ type: MilestoneType.ON_APPROVAL, amount: 25000 })]);
+    expect(buildMilestonesFromTerms({ compensation: 0 })).toEqual([]);
+
+    expect(() => buildMilestonesFromTerms({ compensation: 100, paymentSchedule: [{ type: 'on_signature', percent: 100 }] }))
+      .toThrow('Unknown milestone type: on_signature');
+    expect(() => buildMilestonesFromTerms({ compensation: 100, paymentSchedule: [{ type: MilestoneType.ON_PERFORMANCE, percent: 100, metric: 'likes' }] }))
+      .toThrow('Performance milestones need a metric');
+    expect(() => buildMilestonesFromTerms({ compensation: 100, paymentSchedule: [{ type: MilestoneType.DEPOSIT, amount: 40 }] }))
+      .toThrow('Payment schedule does not add up to the compensation');
+  });
+
+  test('should authorize milestones on acceptance and pay the deposit out', async () => {
+    const db = admin.firestore();
+    seedCampaign('camp-1', 'req-1', { id: 'inf-1', stripeAccountId: 'acct_inf1' }, {
+      negotiation: { state: 'accepted', version: 2 },
+      counterOffer: { terms: TERMS },
+      agreedTerms: TERMS
+    });
+
+    const accepted = await updateCollaborationRequestStatus('req-1', 'accepted');
+    expect(accepted.payments.failed).toBe(0);
+    expect(accepted.payments.summary).toEqual(expect.objectContaining({ total: 100000, authorized: 80000, released: 20000 }));
+    expect(db.collections.paymentMilestones['req-1_m0']).toMatchObject({ status: MilestoneStatus.RELEASED, transferId: expect.stringMatching(/^tr_/) });
+
+    const processor = getPaymentProcessor();
+    expect(Object.values(processor.paymentIntents)).toHaveLength(4);
+    expect(processor.transfers).toEqual([expect.objectContaining({ amount: 20000, destination: 'acct_inf1', transfer_group: 'req-1' })]);
+
+    // Accepting again does not authorize twice
+    await updateCollaborationRequestStatus('req-1', 'accepted');
+    expect(Object.values(processor.paymentIntents)).toHaveLength(4);
+
+    // A declined card leaves the milestones failed and tells the brand
+    seedCampaign('camp-2', 'req-2', { id: 'inf-2' }, { compensation: 300, paymentMethodId: 'pm_card_chargeDeclined' });
+    const declined = await updateCollaborationRequestStatus('req-2', 'accepted');
+    expect(declined.payments.failed).toBe(1);
+    expect(Object.values(db.collections.brandNotifications)).toContainEqual(expect.objectContaining({
+      title: 'Payment Authorization Failed',
+      data: expect.objectContaining({ requestId: 'req-2' })
+    }));
+  });
+
+  test('should release one approval milestone per approved content', async () => {
+    const processor = getPaymentProcessor();
+
+    const first = await approveContent('content-1', 'camp-1', 'inf-1');
+    expect(first.payment).toMatchObject({ id: 'req-1_m1', status: MilestoneStatus.RELEASED, trigger: { contentId: 'content-1' } });
+
+    const repeated = await reviewCampaignContent('content-1', 'approved');
+    expect(repeated.payment).toBeNull();
+
+    const second = await approveContent('content-2', 'camp-1', 'inf-1');
+    expect(second.payment).toMatchObject({ id: 'req-1_m2', status: MilestoneStatus.RELEASED });
+
+    const third = await approveContent('content-3', 'camp-1', 'inf-1');
+    expect(third.payment).toBeNull();
+    expect(processor.transfers.map(transfer => transfer.amount)).toEqual([20000, 25000, 25000]);
+  });
+
+  test('should release performance milestones once the target is reached', async () => {
+    const db = admin.firestore();
+    const setClicks = clicks => {
+      db.collections.campaignContent['content-1'].performanceMetrics = { reach: 10000, likes: 800, clicks };
+    };
+
+    setClicks(200);
+    await trackCampaignPerformance('camp-1');
+    expect(db.collections.paymentMilestones['req-1_m3'].status).toBe(MilestoneStatus.AUTHORIZED);
+
+    setClicks(650);
+    await trackCampaignPerformance('camp-1');
+    expect(db.collections.paymentMilestones['req-1_m3']).toMatchObject({
+      status: MilestoneStatus.RELEASED,
+      trigger: { metric: 'clicks', value: 650 }
+    });
+  });
+
+  test('should void holds and refund unreleased funds when a campaign is cancelled', async () => {
+    const db = admin.firestore();
+    const processor = getPaymentProcessor();
+
+    // Without a payout account, approved milestones stay captured on the platform
+    seedCampaign('camp-3', 'req-3', { id: 'inf-3' }, {
+      agreedTerms: {
+        compensation: 600,
+        paymentSchedule: [
+          { type: MilestoneType.ON_APPROVAL, amount: 200 },
+          { type: MilestoneType.ON_APPROVAL, amount: 400 }
+        ]
+      }
+    });
+    await updateCollaborationRequestStatus('req-3', 'accepted');
+    const approval = await approveContent('content-4', 'camp-3', 'inf-3');
+    expect(approval.payment.status).toBe(MilestoneStatus.CAPTURED);
+
+    const cancelled = await cancelInfluencerCampaign('camp-3', 'brand_budget_cut');
+    expect(cancelled).toMatchObject({ status: 'cancelled', refunds: { voided: 40000, refunded: 20000, kept: 0 } });
+    expect(processor.refunds).toEqual([expect.objectContaining({ amount: 20000, payment_intent: approval.payment.paymentIntentId })]);
+    expect(db.collections.influencerCampaigns['camp-3'].status).toBe('cancelled');
+
+    const payments = await getCampaignPayments('camp-3');
+    expect(payments.summary).toEqual({ total: 60000, authorized: 0, held: 0, released: 0, voided: 40000, refunded: 20000, expired: 0, failed: 0 });
+    expect(payments.entries.map(entry => entry.type)).toEqual([
+      PaymentLedgerEntryType.AUTHORIZATION,
+      PaymentLedgerEntryType.AUTHORIZATION,
+      PaymentLedgerEntryType.CAPTURE,
+      PaymentLedgerEntryType.REFUND,
+      PaymentLedgerEntryType.VOID
+    ]);
+
+    // Money already paid out stays with the influencer
+    const kept = await cancelInfluencerCampaign('camp-1');
+    expect(kept.refunds).toEqual({ voided: 0, refunded: 0, kept: 100000, failed: 0 });
+  });
+
+  test('should renew stale holds before capture and expire those that cannot be renewed', async () => {
+    const db = admin.firestore();
+    const processor = getPaymentProcessor();
+    const makeStale = id => {
+      const milestone = db.collections.paymentMilestones[id];
+      milestone.authorizedAt = Date.now() - AUTHORIZATION_VALIDITY_MS - 1000;
+      processor.expireAuthorization(milestone.paymentIntentId);
+      return milestone.paymentIntentId;
+    };
+
+    seedCampaign('camp-4', 'req-4', { id: 'inf-4', stripeAccountId: 'acct_inf4' }, {
+      agreedTerms: {
+        compensation: 600,
+        paymentSchedule: [
+          { type: MilestoneType.ON_APPROVAL, amount: 300 },
+          { type: MilestoneType.ON_APPROVAL, amount: 300 }
+        ]
+      }
+    });
+    await updateCollaborationRequestStatus('req-4', 'accepted');
+
+    const lapsedIntentId = makeStale('req-4_m0');
+    const renewed = await approveContent('content-5', 'camp-4', 'inf-4');
+    expect(renewed.payment).toMatchObject({ status: MilestoneStatus.RELEASED, authorizationCount: 2 });
+    expect(renewed.payment.paymentIntentId).not.toBe(lapsedIntentId);
+    expect(processor.paymentIntents[renewed.payment.paymentIntentId]).toMatchObject({ status: 'succeeded', amount_received: 30000 });
+
+    // The brand's card no longer authorizes, so the second milestone expires
+    makeStale('req-4_m1');
+    db.collections.users['brand-1'].defaultPaymentMethodId = 'pm_card_chargeDeclined';
+    await approveContent('content-6', 'camp-4', 'inf-4');
+    expect(db.collections.paymentMilestones['req-4_m1']).toMatchObject({ status: MilestoneStatus.EXPIRED, failureReason: expect.stringContaining('declined') });
+
+    const payments = await getCampaignPayments('camp-4');
+    expect(payments.summary).toMatchObject({ released: 30000, expired: 30000 });
+    expect(payments.entries.filter(entry => entry.milestoneId === 'req-4_m1').map(entry => entry.type)).toEqual([
+      PaymentLedgerEntryType.AUTHORIZATION,
+      PaymentLedgerEntryType.FAILURE
+    ]);
+  });
+
+  test('should finish cancelling a campaign when some holds are already gone', async () => {
+    const db = admin.firestore();
+    const processor = getPaymentProcessor();
+
+    seedCampaign('camp-5', 'req-5', { id: 'inf-5' }, {
+      agreedTerms: {
+        compensation: 900,
+        paymentSchedule: [1, 2, 3].map(() => ({ type: MilestoneType.ON_APPROVAL, amount: 300 }))
+      }
+    });
+    await updateCollaborationRequestStatus('req-5', 'accepted');
+
+    // One hold lapsed at the card network, another is unknown to the processor
+    processor.expireAuthorization(db.collections.paymentMilestones['req-5_m0'].paymentIntentId);
+    delete processor.paymentIntents[db.collections.paymentMilestones['req-5_m1'].paymentIntentId];
+
+    const cancelled = await cancelInfluencerCampaign('camp-5');
+    expect(cancelled).toMatchObject({ status: 'cancelled', refunds: { voided: 60000, refunded: 0, kept: 0, failed: 30000 } });
+    expect(db.collections.influencerCampaigns['camp-5'].status).toBe('cancelled');
+    expect(db.collections.paymentMilestones['req-5_m0'].status).toBe(MilestoneStatus.VOIDED);
+    expect(db.collections.paymentMilestones['req-5_m1']).toMatchObject({
+      status: MilestoneStatus.AUTHORIZED,
+      cancellationError: expect.stringContaining('No such payment_intent')
+    });
+
+    const payments = await getCampaignPayments('camp-5');
+    expect(payments.entries.filter(entry => entry.milestoneId === 'req-5_m1').map(entry => entry.type)).toEqual([
+      PaymentLedgerEntryType.AUTHORIZATION,
+      PaymentLedgerEntryType.FAILURE
+    ]);
+  });
+
+  test('should keep an approval when its payment fails and pay held milestones out later', async () => {
+    const db = admin.firestore();
+    const processor = getPaymentProcessor();
+
+    seedCampaign('camp-6', 'req-6', { id: 'inf-6' }, {
+      agreedTerms: {
+        compensation: 400,
+        paymentSchedule: [
+          { type: MilestoneType.ON_APPROVAL, amount: 200 },
+          { type: MilestoneType.ON_APPROVAL, amount: 200 }
+        ]
+      }
+    });
+    await updateCollaborationRequestStatus('req-6', 'accepted');
+
+    jest.spyOn(processor, 'capturePayment').mockRejectedValueOnce(new Error('Failed to capture payment: processor unavailable'));
+    const failed = await approveContent('content-7', 'camp-6', 'inf-6');
+    expect(failed).toMatchObject({ status: 'approved', payment: null, paymentError: expect.stringContaining('processor unavailable') });
+    expect(db.collections.campaignContent['content-7']).toMatchObject({ status: 'approved', paymentError: expect.any(String) });
+    expect(db.collections.paymentMilestones['req-6_m0'].status).toBe(MilestoneStatus.AUTHORIZED);
+    expect(Object.values(db.collections.brandNotifications)).toContainEqual(expect.objectContaining({
+      title: 'Milestone Payment Failed',
+      data: expect.objectContaining({ contentId: 'content-7' })
+    }));
+
+    // Without a payout account the next approval is captured and held
+    const held = await approveContent('content-8', 'camp-6', 'inf-6');
+    expect(held.payment).toMatchObject({ id: 'req-6_m0', status: MilestoneStatus.CAPTURED });
+    expect(await releaseHeldPayments('inf-6')).toEqual({ processed: 1, released: 0, failed: 0 });
+
+    db.collections.influencers['inf-6'].stripeAccountId = 'acct_inf6';
+    expect(await releaseHeldPayments('inf-6')).toEqual({ processed: 1, released: 1, failed: 0 });
+    expect(db.collections.paymentMilestones['req-6_m0']).toMatchObject({ status: MilestoneStatus.RELEASED, trigger: { contentId: 'content-8' } });
+
+    const payments = await getCampaignPayments('camp-6');
+    expect(payments.entries.filter(entry => entry.milestoneId === 'req-6_m0').map(entry => entry.type)).toEqual([
+      PaymentLedgerEntryType.AUTHORIZATION,
+      PaymentLedgerEntryType.FAILURE,
+      PaymentLedgerEntryType.CAPTURE,
+      PaymentLedgerEntryType.TRANSFER
+    ]);
+  });
+
+  test('should only accept negotiated requests on the terms both parties agreed', async () => {
+    const db = admin.firestore();
+    const processor = getPaymentProcessor();
+    const intents = Object.keys(processor.paymentIntents).length;
+
+    // An open counter offer cannot be accepted by changing the request status
+    seedCampaign('camp-7', 'req-7', { id: 'inf-7' }, {
+      negotiation: { state: 'countered', version: 2 },
+      counterOffer: { offeredBy: 'influencer', terms: { compensation: 5000 } }
+    });
+    await expect(updateCollaborationRequestStatus('req-7', 'accepted'))
+      .rejects.toMatchObject({ message: expect.stringContaining('still open') });
+
+    seedCampaign('camp-8', 'req-8', { id: 'inf-8' }, {
+      negotiation: { state: 'expired', version: 2 },
+      counterOffer: { offeredBy: 'influencer', terms: { compensation: 5000 } }
+    });
+    await expect(updateCollaborationRequestStatus('req-8', 'accepted'))
+      .rejects.toMatchObject({ message: 'The negotiation is expired without agreed terms' });
+
+    expect(Object.keys(processor.paymentIntents)).toHaveLength(intents);
+    expect(db.collections.collaborationRequests['req-7'].status).toBe('negotiating');
+  });
+
+  test('should keep the acceptance when the deposit cannot be paid out and retry it', async () => {
+    const db = admin.firestore();
+    const processor = getPaymentProcessor();
+    seedCampaign('camp-9', 'req-9', { id: 'inf-9', stripeAccountId: 'acct_inf9' }, {
+      agreedTerms: {
+        compensation: 500,
+        paymentSchedule: [
+          { type: MilestoneType.DEPOSIT, amount: 100 },
+          { type: MilestoneType.ON_APPROVAL, amount: 400 }
+        ]
+      }
+    });
+
+    jest.spyOn(processor, 'createTransfer').mockRejectedValueOnce(new Error('Failed to create transfer: processor unavailable'));
+    const accepted = await updateCollaborationRequestStatus('req-9', 'accepted');
+    expect(accepted.status).toBe('accepted');
+    expect(db.collections.collaborationRequests['req-9'].status).toBe('accepted');
+    expect(accepted.payments.summary).toMatchObject({ total: 50000, held: 10000, authorized: 40000 });
+
+    const retried = await updateCollaborationRequestStatus('req-9', 'accepted');
+    expect(retried.payments.summary).toMatchObject({ released: 10000, authorized: 40000 });
+  });
+});
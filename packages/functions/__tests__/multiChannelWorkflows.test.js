@@ -0,0 +1,103 @@
+/**
+ * Unit tests for deferred multi-channel workflow steps
+ */
+jest.mock('firebase-admin', () => require('./helpers/fakeFirestore').createFirebaseAdmin());
+
+jest.mock('firebase-functions', () => ({
+  config: jest.fn(() => ({})),
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn(), log: jest.fn() }
+}));
+
+jest.mock('../src/utils/llm', () => ({ AgentType: {} }));
+jest.mock('../src/utils/decisionFramework', () => ({ OperationMode: { DEFAULT: 'default', CLIENT: 'client' } }));
+jest.mock('../src/utils/dataModels', () => ({ DataModels: jest.fn() }));
+
+const admin = require('firebase-admin');
+const { DataModels } = require('../src/utils/dataModels');
+const {
+  MultiChannelWorkflows,
+  ChannelType,
+  ContactStatus,
+  processDeferredWorkflowSteps
+} = require('../src/utils/multiChannelWorkflows');
+const { ContactDecision } = require('../src/utils/contactPolicy');
+const { ConsentStatus, ConsentDenialReason, recordConsent } = require('../src/utils/consentLedger');
+
+const LEAD = { id: 'lead-1', email: 'sam@example.com', phone: '+14155550123', timezone: 'UTC' };
+const STEP = { id: 'step_1', channel: ChannelType.EMAIL, template: 'intro_email' };
+
+describe('Multi-Channel Workflows', () => {
+  let getLead;
+
+  beforeEach(() => {
+    getLead = jest.fn(id => Promise.resolve(id === LEAD.id ? { ...LEAD, company: 'Current Co' } : null));
+    DataModels.mockImplementation(() => ({ getLead }));
+  });
+
+  test('should queue only the lead ID of a deferred step', async () => {
+    const db = admin.firestore();
+    db.collections['workflow_logs/ctx-1/workflows'] = { wf1: { steps: [STEP] } };
+    const workflows = new MultiChannelWorkflows('ctx-1', 'default', 'client-1');
+
+    const deferred = await workflows.deferWorkflowStep('wf1', 0, STEP, LEAD, { contactId: 'contact-1', sendAt: Date.now() + 60000 });
+
+    expect(deferred.result).toMatchObject({ status: ContactStatus.PENDING, contactId: 'contact-1' });
+    const task = db.collections.workflowStepTasks.wf1_0;
+    expect(task).toMatchObject({ leadId: 'lead-1', contactId: 'contact-1', clientId: 'client-1', status: 'scheduled' });
+    expect(task.leadData).toBeUndefined();
+  });
+
+  test('should reload the lead when a deferred step runs', async () => {
+    const db = admin.firestore();
+    db.collections.workflowStepTasks = {
+      queued: { contextId: 'ctx-1', mode: 'default', clientId: 'client-1', workflowId: 'wf1', stepIndex: 0, leadId: 'lead-1', contactId: 'contact-1', runAt: 0, status: 'scheduled' },
+      gone: { contextId: 'ctx-1', mode: 'default', clientId: 'client-1', workflowId: 'wf2', stepIndex: 0, leadId: 'lead-9', runAt: 0, status: 'scheduled' }
+    };
+    const execute = jest.spyOn(MultiChannelWorkflows.prototype, 'executeWorkflowStep')
+      .mockResolvedValue({ result: { status: ContactStatus.SENT } });
+
+    try {
+      expect(await processDeferredWorkflowSteps(Date.now())).toEqual({ processed: 1, failed: 1 });
+      expect(execute).toHaveBeenCalledTimes(1);
+      expect(execute).toHaveBeenCalledWith({
+        workflowId: 'wf1',
+        stepIndex: 0,
+        leadData: expect.objectContaining({ id: 'lead-1', company: 'Current Co' }),
+        contactId: 'contact-1'
+      });
+      expect(db.collections.workflowStepTasks.queued).toMatchObject({ status: 'completed' });
+      expect(db.collections.workflowStepTasks.gone).toMatchObject({ status: 'failed', error: 'Lead not found' });
+    } finally {
+      execute.mockRestore();
+    }
+  });
+
+  test('should check consent again when a deferred step comes due', async () => {
+    const db = admin.firestore();
+    db.collections.contactLedger = {
+      'contact-2': { customerId: 'lead-1', channel: 'email', status: ContactDecision.DEFERRED, sendAt: Date.now() },
+      'contact-3': { customerId: 'lead-3', channel: 'email', status: ContactDecision.DEFERRED, sendAt: Date.now() }
+    };
+    const workflows = new MultiChannelWorkflows('ctx-1', 'default', 'client-1');
+    workflows.testMode = false;
+
+    // The lead unsubscribed while the step waited
+    await recordConsent({ contactId: 'lead-1', channel: 'email', purpose: '*', status: ConsentStatus.WITHDRAWN, source: 'one_click_unsubscribe', userId: 'client-1' });
+
+    expect(await workflows.getStepContact('contact-2', STEP, LEAD)).toMatchObject({
+      contactId: 'contact-2',
+      status: ContactDecision.SUPPRESSED,
+      reason: ConsentDenialReason.CONSENT_WITHDRAWN
+    });
+    expect(db.collections.contactLedger['contact-2']).toMatchObject({
+      status: ContactDecision.SUPPRESSED,
+      suppressionReason: ConsentDenialReason.CONSENT_WITHDRAWN
+    });
+
+    // Without a change in consent the held decision stands
+    expect(await workflows.getStepContact('contact-3', STEP, { ...LEAD, id: 'lead-3', email: 'kim@example.com' })).toMatchObject({
+      contactId: 'contact-3',
+      status: ContactDecision.DEFERRED
+    });
+  });
+});
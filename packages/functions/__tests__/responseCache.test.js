@@ -0,0 +1,157 @@
+/**
+ * Unit tests for the LLM response cache
+ */
+jest.mock('firebase-admin', () => require('./helpers/fakeFirestore').createFirebaseAdmin());
+
+jest.mock('firebase-functions', () => ({
+  config: jest.fn(() => ({})),
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn(), log: jest.fn() }
+}));
+
+const {
+  LLMResponseCache,
+  CacheTTL,
+  CACHE_COLLECTION,
+  buildCacheKey
+} = require('../src/utils/llm/responseCache');
+const { localEmbed, localEmbedding } = require('../src/utils/llm/vectorMemory');
+const { createFirestore } = require('./helpers/fakeFirestore');
+
+describe('LLM Response Cache', () => {
+  let db;
+  let now;
+  let cache;
+
+  beforeEach(() => {
+    db = createFirestore();
+    now = Date.UTC(2024, 0, 1);
+    cache = new LLMResponseCache({ db, now: () => now });
+  });
+
+  const request = (prompt, extra = {}) => ({ prompt, model: 'openai:gpt-4-turbo', temperature: 0.3, feature: 'content_semantics', ...extra });
+
+  test('should key on tenant, normalized prompt and model settings', () => {
+    const base = buildCacheKey(request('Analyze   this\n  content'));
+
+    expect(buildCacheKey(request('  Analyze this content '))).toBe(base);
+    expect(buildCacheKey(request('Analyze this content', { model: 'gemini:gemini-pro' }))).not.toBe(base);
+    expect(buildCacheKey(request('Analyze this content', { temperature: 0.7 }))).not.toBe(base);
+    expect(buildCacheKey(request('Analyze this content', { systemPrompt: 'Be brief' }))).not.toBe(base);
+    expect(buildCacheKey(request('Analyze this content', { tenant: 'client-1' }))).not.toBe(base);
+    expect(buildCacheKey(request('Analyze this content', { maxTokens: 500 }))).not.toBe(base);
+    expect(buildCacheKey(request('Analyze this content', { responseFormat: 'json' }))).not.toBe(base);
+  });
+
+  test('should serve repeated prompts from cache and persist them', async () => {
+    const compute = jest.fn(() => Promise.resolve('{"topics":["pricing"]}'));
+
+    expect(await cache.getOrCompute(request('Analyze this content'), compute)).toBe('{"topics":["pricing"]}');
+    expect(await cache.getOrCompute(request('Analyze  this content'), compute)).toBe('{"topics":["pricing"]}');
+    expect(compute).toHaveBeenCalledTimes(1);
+
+    // A fresh process finds the entry in Firestore
+    const otherInstance = new LLMResponseCache({ db, now: () => now });
+    expect(await otherInstance.getOrCompute(request('Analyze this content'), compute)).toBe('{"topics":["pricing"]}');
+    expect(compute).toHaveBeenCalledTimes(1);
+    expect(Object.keys(db.collections[CACHE_COLLECTION])).toHaveLength(1);
+  });
+
+  test('should expire entries after the feature TTL', async () => {
+    const compute = jest.fn()
+      .mockResolvedValueOnce('first')
+      .mockResolvedValueOnce('second');
+
+    await cache.getOrCompute(request('Analyze this content'), compute);
+    now += CacheTTL.content_semantics + 1;
+
+    expect(await cache.getOrCompute(request('Analyze this content'), compute)).toBe('second');
+    expect(cache.getTTL('brand_voice_analysis')).toBe(7 * 24 * 3600000);
+    expect(cache.getTTL('unknown_feature')).toBe(CacheTTL.default);
+  });
+
+  test('should honor bypass and refresh flags', async () => {
+    const compute = jest.fn()
+      .mockResolvedValueOnce('first')
+      .mockResolvedValueOnce('bypassed')
+      .mockResolvedValueOnce('refreshed');
+
+    await cache.getOrCompute(request('Prompt'), compute);
+    expect(await cache.getOrCompute(request('Prompt'), compute, { bypass: true })).toBe('bypassed');
+    expect(await cache.getOrCompute(request('Prompt'), compute)).toBe('first');
+    expect(await cache.getOrCompute(request('Prompt'), compute, { refresh: true })).toBe('refreshed');
+    expect(await cache.getOrCompute(request('Prompt'), compute)).toBe('refreshed');
+  });
+
+  test('should match similar content semantically within one tenant and scope', async () => {
+    // Stands in for a hosted embedding model
+    const embed = jest.fn(text => Promise.resolve({ vector: localEmbedding(text), model: 'text-embedding-3-small' }));
+    const semanticCache = new LLMResponseCache({ db, now: () => now, embed });
+    const template = content => `Analyze the brand voice of this website and return JSON with tone, audience and purpose:\n"${content}"`;
+    const semanticRequest = (content, extra = {}) => request(template(content), { semanticText: content, tenant: 'client-1', ...extra });
+    const compute = jest.fn()
+      .mockResolvedValueOnce('analysis of acme')
+      .mockResolvedValueOnce('exact-only result')
+      .mockResolvedValueOnce('unrelated result')
+      .mockResolvedValueOnce('other tenant result');
+    const original = 'Acme Outdoor Gear: rugged tents, hiking boots and trail guides for families.';
+    const nearCopy = 'Acme Outdoor Gear: rugged tents, hiking boots, and trail guides for families!';
+
+    await semanticCache.getOrCompute(semanticRequest(original), compute, { semantic: true });
+    // Only the variable content is embedded, not the template around it
+    expect(embed).toHaveBeenCalledWith(original);
+
+    expect(await semanticCache.getOrCompute(semanticRequest(nearCopy), compute, { semantic: true })).toBe('analysis of acme');
+    expect(await semanticCache.getOrCompute(semanticRequest(nearCopy), compute)).toBe('exact-only result');
+    expect(await semanticCache.getOrCompute(semanticRequest('We hate our competitors'), compute, { semantic: true })).toBe('unrelated result');
+    expect(await semanticCache.getOrCompute(semanticRequest(nearCopy, { tenant: 'client-2' }), compute, { semantic: true }))
+      .toBe('other tenant result');
+    // Semantic matches never cross model settings
+    expect(await semanticCache.getOrCompute(semanticRequest(nearCopy, { temperature: 0.9 }), () => Promise.resolve('other temperature'), { semantic: true }))
+      .toBe('other temperature');
+  });
+
+  test('should only match exactly without a hosted embedding model', async () => {
+    const compute = jest.fn()
+      .mockResolvedValueOnce('We love our customers: positive')
+      .mockResolvedValueOnce('We hate our competitors: negative');
+    const semanticRequest = content => request(`Analyze the sentiment of: ${content}`, { semanticText: content, tenant: 'client-1' });
+
+    // No embedder configured
+    await cache.getOrCompute(semanticRequest('We love our customers'), compute, { semantic: true });
+    expect(await cache.getOrCompute(semanticRequest('We hate our competitors'), compute, { semantic: true }))
+      .toBe('We hate our competitors: negative');
+
+    // The local hashing embedder is not trusted for matching
+    const localCache = new LLMResponseCache({ db: createFirestore(), now: () => now, embed: localEmbed });
+    const localCompute = jest.fn()
+      .mockResolvedValueOnce('first')
+      .mockResolvedValueOnce('second');
+    await localCache.getOrCompute(semanticRequest('We love our customers'), localCompute, { semantic: true });
+    expect(await localCache.getOrCompute(semanticRequest('We love our customers!'), localCompute, { semantic: true })).toBe('second');
+  });
+
+  test('should share one call between concurrent identical requests', async () => {
+    let resolve;
+    const compute = jest.fn(() => new Promise(r => { resolve = r; }));
+
+    const first = cache.getOrCompute(request('Prompt'), compute);
+    const second = cache.getOrCompute(request('Prompt'), compute);
+    await new Promise(r => setImmediate(r));
+    resolve('shared');
+
+    expect(await Promise.all([first, second])).toEqual(['shared', 'shared']);
+    expect(compute).toHaveBeenCalledTimes(1);
+  });
+
+  test('should not cache failures and should report hit/miss metrics', async () => {
+    await expect(cache.getOrCompute(request('Prompt'), () => Promise.reject(new Error('provider down')))).rejects.toThrow('provider down');
+    await cache.getOrCompute(request('Prompt'), () => Promise.resolve('ok'));
+    await cache.getOrCompute(request('Prompt'), () => Promise.resolve('unused'));
+    await cache.getOrCompute(request('Prompt', { feature: 'brand_voice_analysis' }), () => Promise.resolve('x'), { bypass: true });
+
+    const metrics = cache.getMetrics();
+    expect(metrics.byFeature.content_semantics).toEqual({ hit: 1, semantic_hit: 0, miss: 2, bypass: 0, hitRate: 1 / 3 });
+    expect(metrics.totals).toMatchObject({ hit: 1, miss: 2, bypass: 1 });
+    expect(db.collections.llm_cache_metrics['2024-01-01']).toBeDefined();
+  });
+});
@@ -0,0 +1,261 @@
+/**
+ * Unit tests for SMS and voice dispatch
+ */
+jest.mock('firebase-admin', () => require('./helpers/fakeFirestore').createFirebaseAdmin());
+
+jest.mock('firebase-functions', () => ({
+  config: jest.fn(() => ({})),
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn(), log: jest.fn() }
+}));
+
+jest.mock('../src/utils/llm', () => ({ AgentType: {} }));
+jest.mock('../src/utils/decisionFramework', () => ({ OperationMode: { DEFAULT: 'default', CLIENT: 'client' } }));
+jest.mock('../src/utils/leadQualification', () => ({ QualificationStatus: {} }));
+
+const admin = require('firebase-admin');
+const {
+  SMSVoiceDispatch,
+  processDeferredDispatches,
+  TwilioTransport,
+  LocalTelephonyServer,
+  LocalTelephonyTransport,
+  computeTwilioSignature,
+  KeywordAction,
+  normalizePhoneNumber,
+  classifyKeyword,
+  checkQuietHours
+} = require('../src/utils/smsVoiceDispatch');
+const { ContactStatus, ChannelType } = require('../src/utils/multiChannelWorkflows');
+const { ConsentStatus, SuppressionListReason, addSuppression, recordConsent } = require('../src/utils/consentLedger');
+
+// Same rule as DataModels.isValidPhone
+const isValidPhone = phone => /^[+]?[(]?[0-9]{3}[)]?[-\s.]?[0-9]{3}[-\s.]?[0-9]{4,6}$/.test(phone);
+
+describe('SMS and Voice Dispatch', () => {
+  describe('normalizePhoneNumber', () => {
+    test('should normalize common formats to E.164', () => {
+      expect(normalizePhoneNumber('(415) 555-0123', isValidPhone)).toBe('+14155550123');
+      expect(normalizePhoneNumber('+1 (415) 555-0123', isValidPhone)).toBe('+14155550123');
+      expect(normalizePhoneNumber('+442079460958', isValidPhone)).toBe('+442079460958');
+      expect(normalizePhoneNumber('02079460958', isValidPhone, '44')).toBe('+442079460958');
+    });
+
+    test('should reject invalid numbers', () => {
+      expect(normalizePhoneNumber('12345', isValidPhone)).toBeNull();
+      expect(normalizePhoneNumber('not a phone', isValidPhone)).toBeNull();
+      expect(normalizePhoneNumber(null, isValidPhone)).toBeNull();
+    });
+  });
+
+  describe('classifyKeyword', () => {
+    test('should recognize opt-out, opt-in and help keywords', () => {
+      expect(classifyKeyword(' stop ')).toBe(KeywordAction.OPT_OUT);
+      expect(classifyKeyword('Unsubscribe')).toBe(KeywordAction.OPT_OUT);
+      expect(classifyKeyword('START')).toBe(KeywordAction.OPT_IN);
+      expect(classifyKeyword('help')).toBe(KeywordAction.HELP);
+      expect(classifyKeyword('stop sending me these please')).toBeNull();
+    });
+  });
+
+  describe('checkQuietHours', () => {
+    test('should detect quiet hours that wrap past midnight in the recipient time zone', () => {
+      // 03:30 UTC is 23:30 in New York (EDT)
+      const now = new Date('2024-06-01T03:30:00Z');
+      const result = checkQuietHours({ start: '21:00', end: '08:00' }, 'America/New_York', now);
+
+      expect(result.quiet).toBe(true);
+      expect(result.resumeAt.toISOString()).toBe('2024-06-01T12:00:00.000Z');
+      expect(checkQuietHours({ start: '21:00', end: '08:00' }, 'Europe/London', now).quiet).toBe(true);
+      expect(checkQuietHours({ start: '21:00', end: '08:00' }, 'Asia/Tokyo', now).quiet).toBe(false);
+    });
+  });
+
+  describe('webhook signatures', () => {
+    const url = 'https://mycompany.com/myapp.php?foo=1&bar=2';
+    const params = { CallSid: 'CA1234567890ABCDE', Caller: '+12349013030', Digits: '1234', From: '+12349013030', To: '+18005551212' };
+
+    test('should sign requests like the provider and reject anything else', async () => {
+      expect(computeTwilioSignature('12345', url, params)).toBe('0/KCTR6DLpKmkAf8muzZqo1nDgQ=');
+
+      const dispatch = new SMSVoiceDispatch('test-context', 'default', null, {
+        transport: new TwilioTransport({ accountSid: 'ACtest', authToken: '12345' })
+      });
+      await expect(dispatch.verifyWebhookSignature(url, params, '0/KCTR6DLpKmkAf8muzZqo1nDgQ=')).resolves.toBeUndefined();
+      await expect(dispatch.verifyWebhookSignature(url, { ...params, Digits: '9999' }, '0/KCTR6DLpKmkAf8muzZqo1nDgQ='))
+        .rejects.toMatchObject({ type: 'AUTHENTICATION_ERROR', message: 'Invalid webhook signature' });
+      await expect(dispatch.verifyWebhookSignature(url, params, undefined)).rejects.toMatchObject({ type: 'AUTHENTICATION_ERROR' });
+
+      // Without an auth token nothing is accepted
+      const unsigned = new SMSVoiceDispatch('test-context', 'default', null, { testMode: true, transport: new LocalTelephonyTransport() });
+      await expect(unsigned.verifyWebhookSignature(url, params, '0/KCTR6DLpKmkAf8muzZqo1nDgQ='))
+        .rejects.toMatchObject({ message: 'No auth token is configured to verify SMS webhooks' });
+    });
+  });
+
+  describe('with the local telephony server', () => {
+    let server;
+    let baseUrl;
+    let dataModels;
+    let dispatch;
+
+    beforeAll(async () => {
+      server = new LocalTelephonyServer({ accountSid: 'ACtest', authToken: 'token' });
+      baseUrl = await server.start();
+    });
+
+    afterAll(() => server.stop());
+
+    beforeEach(() => {
+      dataModels = {
+        createEngagement: jest.fn(data => Promise.resolve({ id: 'engagement-1', ...data })),
+        findEngagementByMessageId: jest.fn(),
+        updateEngagement: jest.fn(() => Promise.resolve({}))
+      };
+      dispatch = new SMSVoiceDispatch('test-context', 'default', null, {
+        transport: new TwilioTransport({ accountSid: 'ACtest', authToken: 'token', baseUrl }),
+        provider: { id: 'twilio-test', config: { fromNumber: '+15005550006', quietHours: null } },
+        dataModels
+      });
+    });
+
+    test('should send an SMS and record the engagement', async () => {
+      const result = await dispatch.sendSMS({
+        leadId: 'lead-1',
+        to: '(415) 555-0123',
+        body: 'Hi there',
+        respectQuietHours: false
+      });
+
+      expect(result.status).toBe(ContactStatus.PENDING);
+      expect(result.recipient).toBe('+14155550123');
+      expect(result.providerMessageId).toMatch(/^SM/);
+      expect(server.messages[server.messages.length - 1]).toMatchObject({ to: '+14155550123', body: 'Hi there' });
+      expect(dataModels.createEngagement).toHaveBeenCalledWith(expect.objectContaining({
+        channelType: ChannelType.SMS,
+        providerMessageId: result.providerMessageId
+      }));
+    });
+
+    test('should place a call with a TwiML script', async () => {
+      const result = await dispatch.placeCall({ leadId: 'lead-1', to: '+14155550123', script: 'Hello & welcome', respectQuietHours: false });
+
+      expect(result.channel).toBe(ChannelType.PHONE);
+      expect(server.calls[server.calls.length - 1].twiml).toContain('Hello &amp; welcome');
+    });
+
+    test('should apply delivery status callbacks', async () => {
+      const result = await dispatch.sendSMS({ leadId: 'lead-1', to: '+14155550123', body: 'Hi', respectQuietHours: false });
+      const callback = server.completeDelivery(result.providerMessageId, 'delivered');
+
+      dataModels.findEngagementByMessageId.mockResolvedValueOnce({ id: 'engagement-1', status: ContactStatus.PENDING });
+      const outcome = await dispatch.processStatusCallback(callback);
+
+      expect(outcome).toMatchObject({ applied: true, status: ContactStatus.DELIVERED });
+      expect(dataModels.findEngagementByMessageId).toHaveBeenCalledWith(null, result.providerMessageId);
+    });
+
+    test('should block messages to numbers that replied STOP', async () => {
+      const inbound = await dispatch.handleInboundMessage({ From: '+14155550199', Body: 'STOP' });
+      expect(inbound.action).toBe(KeywordAction.OPT_OUT);
+      expect(inbound.reply).toContain('unsubscribed');
+
+      const result = await dispatch.sendSMS({ leadId: 'lead-1', to: '4155550199', body: 'Hi', respectQuietHours: false });
+      expect(result.status).toBe(ContactStatus.BLOCKED);
+      expect(result.failureReason).toBe('opted_out');
+
+      await dispatch.handleInboundMessage({ From: '+14155550199', Body: 'start' });
+      const resumed = await dispatch.sendSMS({ leadId: 'lead-1', to: '4155550199', body: 'Hi', respectQuietHours: false });
+      expect(resumed.status).toBe(ContactStatus.PENDING);
+    });
+
+    test('should hold messages in quiet hours and send them when quiet hours end', async () => {
+      const db = admin.firestore();
+      const before = server.messages.length;
+      const held = await dispatch.sendSMS({
+        leadId: 'lead-1',
+        to: '+14155550123',
+        body: 'Good morning',
+        recipient: { timezone: 'UTC', quietHours: { start: '00:00', end: '23:59' } }
+      });
+
+      expect(held).toMatchObject({ status: ContactStatus.PENDING, failureReason: 'quiet_hours', engagementId: 'engagement-1' });
+      expect(server.messages).toHaveLength(before);
+      expect(db.collections.smsDispatchTasks[held.taskId]).toMatchObject({
+        kind: 'sms',
+        status: 'scheduled',
+        engagementId: 'engagement-1',
+        runAt: new Date(held.scheduledFor).getTime()
+      });
+
+      // Quiet hours are over once the task runs
+      db.collections.smsDispatchTasks[held.taskId].params.recipient = { timezone: 'UTC', quietHours: {} };
+      const summary = await processDeferredDispatches(Date.parse(held.scheduledFor), {
+        transport: dispatch.transport,
+        provider: dispatch.provider,
+        dataModels
+      });
+
+      expect(summary).toEqual({ processed: 1, sent: 1, rescheduled: 0, failed: 0 });
+      expect(server.messages[server.messages.length - 1]).toMatchObject({ to: '+14155550123', body: 'Good morning' });
+      expect(db.collections.smsDispatchTasks[held.taskId]).toMatchObject({ status: 'dispatched', dispatchStatus: ContactStatus.PENDING });
+      expect(dataModels.updateEngagement).toHaveBeenCalledWith('engagement-1', expect.objectContaining({ scheduledFor: null }));
+      expect(dataModels.createEngagement).toHaveBeenCalledTimes(1);
+    });
+
+    test('should check consent and suppressions again before sending a held message', async () => {
+      const db = admin.firestore();
+      const hold = to => dispatch.sendSMS({
+        leadId: 'lead-2',
+        to,
+        body: 'Offer',
+        recipient: { timezone: 'UTC', quietHours: { start: '00:00', end: '23:59' } }
+      });
+      const before = server.messages.length;
+      const suppressed = await hold('+14155550142');
+      const withdrawn = await hold('+14155550143');
+
+      // The recipients complained or withdrew consent while the messages were held
+      await addSuppression({ address: '+14155550142', channel: 'sms', reason: SuppressionListReason.SPAM_COMPLAINT, source: 'test' });
+      await recordConsent({ address: '+14155550143', channel: 'sms', purpose: '*', status: ConsentStatus.WITHDRAWN, source: 'preference_center' });
+      [suppressed, withdrawn].forEach(held => {
+        db.collections.smsDispatchTasks[held.taskId].params.recipient = { timezone: 'UTC', quietHours: {} };
+      });
+      await processDeferredDispatches(Date.parse(withdrawn.scheduledFor), { transport: dispatch.transport, provider: dispatch.provider, dataModels });
+
+      expect(server.messages).toHaveLength(before);
+      expect(db.collections.smsDispatchTasks[suppressed.taskId]).toMatchObject({ dispatchStatus: ContactStatus.BLOCKED, failureReason: 'suppressed' });
+      expect(db.collections.smsDispatchTasks[withdrawn.taskId]).toMatchObject({ dispatchStatus: ContactStatus.BLOCKED, failureReason: 'consent_withdrawn' });
+    });
+
+    test('should send a held message once when deferred runs overlap', async () => {
+      const db = admin.firestore();
+      const held = await dispatch.sendSMS({
+        leadId: 'lead-1',
+        to: '+14155550123',
+        body: 'Only once',
+        recipient: { timezone: 'UTC', quietHours: { start: '00:00', end: '23:59' } }
+      });
+      db.collections.smsDispatchTasks[held.taskId].params.recipient = { timezone: 'UTC', quietHours: {} };
+      const before = server.messages.length;
+
+      const options = { transport: dispatch.transport, provider: dispatch.provider, dataModels };
+      const summaries = await Promise.all([
+        processDeferredDispatches(Date.parse(held.scheduledFor), options),
+        processDeferredDispatches(Date.parse(held.scheduledFor), options)
+      ]);
+
+      expect(summaries.reduce((total, summary) => total + summary.sent, 0)).toBe(1);
+      expect(server.messages.slice(before).filter(message => message.body === 'Only once')).toHaveLength(1);
+      expect(db.collections.smsDispatchTasks[held.taskId]).toMatchObject({ status: 'dispatched' });
+    });
+
+    test('should fail invalid numbers without calling the provider', async () => {
+      const before = server.messages.length;
+      const result = await dispatch.sendSMS({ leadId: 'lead-1', to: '123', body: 'Hi' });
+
+      expect(result.status).toBe(ContactStatus.FAILED);
+      expect(result.failureReason).toBe('invalid_phone_number');
+      expect(server.messages).toHaveLength(before);
+    });
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * Unit tests for structured LLM output parsing, validation and repair
+ */
+jest.mock('firebase-admin', () => require('./helpers/fakeFirestore').createFirebaseAdmin());
+
+jest.mock('firebase-functions', () => ({
+  config: jest.fn(() => ({})),
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn(), log: jest.fn() }
+}));
+
+const {
+  StructuredOutputError,
+  validateSchema,
+  extractJson,
+  parseStructuredOutput,
+  mockFromSchema,
+  generateStructuredOutput
+} = require('../src/utils/llm/structuredOutput');
+const { ErrorTypes } = require('../src/utils/errorLogging');
+
+const SUGGESTIONS_SCHEMA = {
+  type: 'object',
+  required: ['suggestions'],
+  properties: {
+    suggestions: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['title', 'detail'],
+        properties: {
+          title: { type: 'string', minLength: 1 },
+          detail: { type: 'string' },
+          priority: { type: 'string', enum: ['high', 'low'] },
+          impact: { type: 'number', minimum: 0, maximum: 1 }
+        },
+        additionalProperties: false
+      }
+    }
+  }
+};
+
+describe('Structured Output', () => {
+  test('should report schema violations with their paths', () => {
+    expect(validateSchema({ suggestions: [{ title: 'A', detail: 'B', impact: 0.4 }] }, SUGGESTIONS_SCHEMA)).toEqual([]);
+
+    expect(validateSchema({
+      suggestions: [
+        { title: '', detail: 'B', priority: 'urgent' },
+        { detail: 3, impact: 2, extra: true }
+      ]
+    }, SUGGESTIONS_SCHEMA)).toEqual([
+      '$.suggestions[0].title should have at least 1 characters',
+      '$.suggestions[0].priority should be one of "high", "low"',
+      '$.suggestions[1].title is required',
+      '$.suggestions[1].detail should be string but was number',
+      '$.suggestions[1].impact should be <= 1',
+      '$.suggestions[1].extra is not allowed'
+    ]);
+    expect(validateSchema({ suggestions: [] }, SUGGESTIONS_SCHEMA)).toEqual(['$.suggestions should have at least 1 items']);
+    expect(validateSchema(1.5, { type: 'integer' })).toEqual(['$ should be integer but was number']);
+    expect(validateSchema(null, { type: ['string', 'null'] })).toEqual([]);
+  });
+
+  test('should extract JSON from code fences and surrounding prose', () => {
+    expect(extractJson('```json\n{"a": 1}\n```')).toEqual({ a: 1 });
+    expect(extractJson('Here you go: {"text": "curly } inside", "n": [1, 2]} Hope that helps {not json}')).toEqual({
+      text: 'curly } inside',
+      n: [1, 2]
+    });
+    expect(extractJson('[{"x": true}]')).toEqual([{ x: true }]);
+  });
+
+  test('should raise typed errors for unparseable and invalid responses', () => {
+    let parseError;
+    try {
+      extractJson('Sure! Here are five suggestions: 1. Improve the subject line');
+    } catch (error) {
+      parseError = error;
+    }
+    expect(parseError).toBeInstanceOf(StructuredOutputError);
+    expect(parseError.type).toBe(ErrorTypes.PARSING_ERROR);
+
+    let validationError;
+    try {
+      parseStructuredOutput('{"suggestions": "none"}', SUGGESTIONS_SCHEMA);
+    } catch (error) {
+      validationError = error;
+    }
+    expect(validationError.type).toBe(ErrorTypes.VALIDATION_ERROR);
+    expect(validationError.validationErrors).toEqual(['$.suggestions should be array but was string']);
+    expect(validationError.rawOutput).toBe('{"suggestions": "none"}');
+  });
+
+  test('should repair an invalid response with a retry prompt', async () => {
+    const generate = jest.fn()
+      .mockResolvedValueOnce('{"suggestions": [{"title": "Shorter subject"}]}')
+      .mockResolvedValueOnce('{"suggestions": [{"title": "Shorter subject", "detail": "Keep it under 40 characters"}]}');
+
+    const result = await generateStructuredOutput(generate, 'Suggest improvements', SUGGESTIONS_SCHEMA);
+
+    expect(result.suggestions[0].detail).toBe('Keep it under 40 characters');
+    expect(generate).toHaveBeenCalledTimes(2);
+    const repairPrompt = generate.mock.calls[1][0];
+    expect(repairPrompt).toContain('Suggest improvements');
+    expect(repairPrompt).toContain('$.suggestions[0].detail is required');
+  });
+
+  test('should throw once repair attempts are exhausted', async () => {
+    const generate = jest.fn(() => Promise.resolve('not json at all'));
+
+    await expect(generateStructuredOutput(generate, 'Prompt', SUGGESTIONS_SCHEMA, { maxRepairAttempts: 2 }))
+      .rejects.toMatchObject({ name: 'StructuredOutputError', type: ErrorTypes.PARSING_ERROR, attempts: 3 });
+    expect(generate).toHaveBeenCalledTimes(3);
+
+    // Provider errors are not retried as repairs
+    const failing = jest.fn(() => Promise.reject(new Error('All LLM providers failed')));
+    await expect(generateStructuredOutput(failing, 'Prompt', SUGGESTIONS_SCHEMA)).rejects.toThrow('All LLM providers failed');
+    expect(failing).toHaveBeenCalledTimes(1);
+  });
+
+  test('should build mock values that satisfy the schema', () => {
+    const schema = {
+      type: 'object',
+      required: ['variations', 'score'],
+      properties: {
+        variations: { type: 'array', minItems: 3, maxItems: 3, items: { type: 'string', minLength: 1 } },
+        score: { type: 'number', minimum: 0, maximum: 1 }
+      }
+    };
+
+    const value = mockFromSchema(schema);
+
+    expect(validateSchema(value, schema)).toEqual([]);
+    expect(value.variations).toHaveLength(3);
+  });
+});
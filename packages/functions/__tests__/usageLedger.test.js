@@ -0,0 +1,119 @@
+/**
+ * Unit tests for the LLM usage ledger
+ */
+jest.mock('firebase-admin', () => require('./helpers/fakeFirestore').createFirebaseAdmin());
+
+jest.mock('firebase-functions', () => ({
+  config: jest.fn(() => ({})),
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn(), log: jest.fn() }
+}));
+
+const {
+  UsageLedger,
+  DebitTarget,
+  DebitStatus,
+  LEDGER_COLLECTION,
+  computeCost
+} = require('../src/utils/llm/usageLedger');
+const { createFirestore } = require('./helpers/fakeFirestore');
+
+describe('LLM Usage Ledger', () => {
+  let db;
+  let trialManager;
+  let clock;
+
+  const createLedger = () => new UsageLedger({ db, trialManager, creditsPerUsd: 100, now: () => clock });
+
+  beforeEach(() => {
+    db = createFirestore();
+    clock = new Date('2024-05-01T10:00:00Z');
+    trialManager = {
+      checkAndUpdateTrialStatus: jest.fn(() => Promise.resolve({ hasTrial: false })),
+      recordCreditUsage: jest.fn(() => Promise.resolve({}))
+    };
+  });
+
+  test('should price calls from the price table', () => {
+    // 1,000 prompt + 500 completion tokens on gpt-4-turbo: (1000 * 10 + 500 * 30) / 1e6
+    expect(computeCost({ provider: 'openai', model: 'gpt-4-turbo', promptTokens: 1000, completionTokens: 500 })).toBeCloseTo(0.025);
+    // Unknown models fall back to the provider default
+    expect(computeCost({ provider: 'anthropic', model: 'claude-next', promptTokens: 1000000, completionTokens: 0 })).toBe(15);
+    expect(computeCost({ provider: 'unknown', model: 'x', promptTokens: 1000, completionTokens: 1000 })).toBe(0);
+  });
+
+  test('should record a ledger entry and debit trial credits', async () => {
+    trialManager.checkAndUpdateTrialStatus.mockResolvedValueOnce({ hasTrial: true });
+
+    const entry = await createLedger().recordUsage({
+      provider: 'openai',
+      model: 'gpt-4-turbo',
+      promptTokens: 1000,
+      completionTokens: 500,
+      latencyMs: 812.4,
+      contextId: 'ctx',
+      clientId: 'client-1',
+      userId: 'user-1',
+      feature: 'copilot'
+    });
+
+    expect(entry).toMatchObject({
+      totalTokens: 1500,
+      costUsd: 0.025,
+      credits: 2.5,
+      latencyMs: 812,
+      day: '2024-05-01',
+      debit: { target: DebitTarget.CREDITS, amount: 2.5, status: DebitStatus.DEBITED }
+    });
+    expect(trialManager.recordCreditUsage).toHaveBeenCalledWith('user-1', 2.5);
+    expect(Object.values(db.collections[LEDGER_COLLECTION])).toHaveLength(1);
+  });
+
+  test('should debit the token balance when the user has no trial', async () => {
+    db.collections.users = { 'user-2': { tokens: 50 } };
+
+    const entry = await createLedger().recordUsage({
+      provider: 'anthropic',
+      model: 'claude-3-opus-20240229',
+      promptTokens: 2000,
+      completionTokens: 1000,
+      userId: 'user-2',
+      feature: 'content'
+    });
+
+    expect(entry.debit).toMatchObject({ target: DebitTarget.TOKEN_BALANCE, status: DebitStatus.DEBITED, amount: 10.5 });
+    expect(db.collections.users['user-2'].tokens).toBe(39.5);
+    expect(Object.values(db.collections.tokenUsage)[0]).toMatchObject({ userId: 'user-2', amount: 10.5, feature: 'llm:content' });
+  });
+
+  test('should not charge failed calls and should never throw', async () => {
+    const failed = await createLedger().recordUsage({ provider: 'gemini', model: 'gemini-pro', success: false, error: 'timeout', userId: 'user-1' });
+    expect(failed).toMatchObject({ costUsd: 0, success: false, debit: { status: DebitStatus.SKIPPED } });
+
+    trialManager.checkAndUpdateTrialStatus.mockRejectedValueOnce(new Error('firestore down'));
+    const undebited = await createLedger().recordUsage({ provider: 'openai', model: 'gpt-4o', promptTokens: 10, completionTokens: 10, userId: 'user-1' });
+    expect(undebited.debit).toMatchObject({ status: DebitStatus.FAILED, error: 'firestore down' });
+  });
+
+  test('should aggregate usage by tenant, feature and day', async () => {
+    const ledger = createLedger();
+    const call = (clientId, feature, promptTokens) => ledger.recordUsage({
+      provider: 'openai', model: 'gpt-4-turbo', promptTokens, completionTokens: 0, latencyMs: 100, clientId, feature
+    });
+
+    await call('client-1', 'copilot', 1000);
+    await call('client-1', 'copilot', 3000);
+    await call('client-2', 'content', 1000);
+    clock = new Date('2024-05-02T10:00:00Z');
+    await call('client-1', 'copilot', 2000);
+
+    const byDay = await ledger.aggregateUsage({ clientId: 'client-1' }, ['feature', 'day']);
+    expect(byDay.groups).toEqual([
+      expect.objectContaining({ key: { feature: 'copilot', day: '2024-05-01' }, calls: 2, promptTokens: 4000, costUsd: 0.04, avgLatencyMs: 100 }),
+      expect.objectContaining({ key: { feature: 'copilot', day: '2024-05-02' }, calls: 1, costUsd: 0.02 })
+    ]);
+    expect(byDay.totals).toMatchObject({ calls: 3, costUsd: 0.06, credits: 6 });
+
+    const firstDay = await ledger.aggregateUsage({ startDay: '2024-05-01', endDay: '2024-05-01' }, ['clientId']);
+    expect(firstDay.groups.map(group => group.key.clientId)).toEqual(['client-1', 'client-2']);
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * Unit tests for the agent vector memory store
+ */
+jest.mock('firebase-admin', () => require('./helpers/fakeFirestore').createFirebaseAdmin());
+
+jest.mock('firebase-functions', () => ({
+  config: jest.fn(() => ({})),
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn(), log: jest.fn() }
+}));
+
+const {
+  VectorMemoryStore,
+  LOCAL_EMBEDDING_MODEL,
+  localEmbedding,
+  cosineSimilarity,
+  extractiveSummary
+} = require('../src/utils/llm/vectorMemory');
+
+/**
+ * In-memory stand-in for a Firestore collection
+ */
+const createCollection = (initialDocs = {}) => {
+  const docs = { ...initialDocs };
+  let counter = 0;
+  return {
+    docs,
+    add: jest.fn(data => {
+      const id = `doc-${++counter}`;
+      docs[id] = { ...data };
+      return Promise.resolve({ id });
+    }),
+    get: jest.fn(() => Promise.resolve({
+      docs: Object.keys(docs).map(id => ({ id, data: () => docs[id] }))
+    })),
+    doc: jest.fn(id => ({
+      update: jest.fn(data => { docs[id] = { ...docs[id], ...data }; return Promise.resolve(); }),
+      delete: jest.fn(() => { delete docs[id]; return Promise.resolve(); })
+    }))
+  };
+};
+
+const HOUR = 3600000;
+
+describe('Vector Memory', () => {
+  test('local embeddings should be deterministic and reflect shared vocabulary', () => {
+    const a = localEmbedding('Quarterly pricing negotiation with Acme');
+    const b = localEmbedding('Acme asked about pricing for next quarter');
+    const c = localEmbedding('Holiday social media calendar');
+
+    expect(localEmbedding('Quarterly pricing negotiation with Acme')).toEqual(a);
+    expect(cosineSimilarity(a, a)).toBeCloseTo(1);
+    expect(cosineSimilarity(a, b)).toBeGreaterThan(cosineSimilarity(a, c));
+  });
+
+  test('should find relevant messages anywhere in the history, not just recent ones', async () => {
+    let now = Date.UTC(2024, 0, 1);
+    const store = new VectorMemoryStore(createCollection(), { now: () => now });
+
+    await store.addEntry({ role: 'user', content: 'The client budget for the Acme webinar campaign is 40k USD' });
+    for (let i = 0; i < 60; i++) {
+      now += HOUR;
+      await store.addEntry({ role: 'assistant', content: `Drafted social post number ${i} about spring fashion trends` });
+    }
+
+    const results = await store.search('What budget did Acme give for the webinar?', 3);
+    expect(results[0].content).toContain('40k USD');
+    expect(results[0].embedding).toBeUndefined();
+    expect(results[0].similarity).toBeGreaterThan(results[1].similarity);
+  });
+
+  test('should prefer recent entries when similarity is equal', async () => {
+    const now = Date.UTC(2024, 6, 1);
+    const collection = createCollection({
+      old: { role: 'user', content: 'Launch date moved to Friday', createdAtMs: now - 30 * 24 * HOUR },
+      recent: { role: 'user', content: 'Launch date moved to Friday', createdAtMs: now - HOUR }
+    });
+    const store = new VectorMemoryStore(collection, { now: () => now });
+
+    const results = await store.search('launch date', 2);
+
+    expect(results.map(r => r.id)).toEqual(['recent', 'old']);
+    // Entries stored without embeddings get one computed and saved
+    expect(collection.docs.old.embeddingModel).toBe(LOCAL_EMBEDDING_MODEL);
+  });
+
+  test('should compare entries only with a query embedded in their own model and never rewrite them', async () => {
+    const now = Date.UTC(2024, 6, 1);
+    // Different hosted models: the same text gets unrelated vectors in each
+    const hostedVector = (text, model) => localEmbedding(`${model} ${text}`);
+    const collection = createCollection({
+      webinar: {
+        role: 'user',
+        content: 'Acme budget for the webinar is 40k USD',
+        embedding: hostedVector('Acme budget for the webinar is 40k USD', 'openai:small'),
+        embeddingModel: 'openai:small',
+        createdAtMs: now - HOUR
+      },
+      social: {
+        role: 'user',
+        content: 'Spring fashion social post drafted',
+        embedding: hostedVector('Spring fashion social post drafted', 'gemini:text'),
+        embeddingModel: 'gemini:text',
+        createdAtMs: now - HOUR
+      },
+      retired: {
+        role: 'user',
+        content: 'Acme webinar budget approved by finance',
+        embedding: [1, 0, 0],
+        embeddingModel: 'retired:v0',
+        createdAtMs: now - HOUR
+      }
+    });
+    // The primary provider has failed over to Gemini; the retired model is gone
+    const embed = jest.fn((text, model) => {
+      const used = model === 'openai:small' ? model : 'gemini:text';
+      return Promise.resolve({ vector: hostedVector(text, used), model: used });
+    });
+    const store = new VectorMemoryStore(collection, { embed, now: () => now });
+
+    const results = await store.search('Acme webinar budget', 3);
+
+    expect(results.map(r => r.id)).toEqual(['webinar', 'retired', 'social']);
+    expect(results[0].similarity).toBeCloseTo(cosineSimilarity(
+      hostedVector('Acme webinar budget', 'openai:small'),
+      hostedVector('Acme budget for the webinar is 40k USD', 'openai:small')
+    ));
+    // One embedding of the query per stored model, and no writes from the search
+    expect(embed.mock.calls.map(call => call[1])).toEqual([undefined, 'openai:small', 'retired:v0']);
+    expect(collection.doc).not.toHaveBeenCalled();
+    expect(collection.docs.webinar.embeddingModel).toBe('openai:small');
+    expect(collection.docs.retired.embedding).toEqual([1, 0, 0]);
+
+    await store.search('Spring fashion', 1);
+    expect(embed).toHaveBeenCalledTimes(6);
+  });
+
+  test('should fold the oldest entries into a summary when the store grows large', async () => {
+    let now = Date.UTC(2024, 0, 1);
+    const collection = createCollection();
+    const summarize = jest.fn(messages => Promise.resolve(`Summary of ${messages.length} messages about Acme renewal`));
+    const store = new VectorMemoryStore(collection, {
+      now: () => now,
+      summarize,
+      summarizeThreshold: 10,
+      summarizeBatchSize: 6
+    });
+
+    for (let i = 0; i < 11; i++) {
+      now += HOUR;
+      await store.addEntry({ role: 'user', content: `Acme renewal note ${i}` });
+    }
+
+    expect(summarize).toHaveBeenCalledTimes(1);
+    expect(store.entries.size).toBe(6);
+    expect(Object.keys(collection.docs)).toHaveLength(6);
+
+    const summary = Object.values(collection.docs).find(doc => doc.role === 'summary');
+    expect(summary).toMatchObject({ summarizedCount: 6, content: 'Summary of 6 messages about Acme renewal' });
+
+    const results = await store.search('Acme renewal summary', 1);
+    expect(results[0].role).toBe('summary');
+  });
+
+  test('should keep entries in-process when Firestore is unavailable', async () => {
+    const collection = {
+      add: jest.fn(() => Promise.reject(new Error('unavailable'))),
+      get: jest.fn(() => Promise.reject(new Error('unavailable')))
+    };
+    const store = new VectorMemoryStore(collection);
+
+    await store.addEntry({ role: 'user', content: 'Prefers email over phone calls' });
+    const results = await store.search('contact preference email', 1);
+
+    expect(results[0].id).toMatch(/^local-/);
+    expect(results[0].content).toBe('Prefers email over phone calls');
+  });
+
+  test('extractive summary should keep the most central sentences in order', async () => {
+    const summary = await extractiveSummary([
+      { role: 'user', content: 'Acme wants a pricing proposal. Acme pricing must include onboarding.' },
+      { role: 'assistant', content: 'Noted. The weather is nice. Acme pricing proposal drafted with onboarding.' }
+    ], 2);
+
+    expect(summary.split('\n')).toHaveLength(2);
+    expect(summary).toContain('Acme');
+    expect(summary).not.toContain('weather');
+  });
+});
@@ -5,6 +5,7 @@
 const functions = require('firebase-functions');
 const cors = require('cors')({ origin: true });
 const { openai, elevenlabs, gemini, stripe, tiktok } = require('./apis');
+const { getUsageLedger } = require('./utils/llm/usageLedger');
 
 /**
  * Generate content using OpenAI API
@@ -411,3 +412,338 @@ exports.getTikTokVideoInsights = functions.https.onRequest((req, res) => {
     }
   });
 });
+
+/**
+ * Receive email delivery receipts (SendGrid-style event webhook)
+ */
+exports.emailDeliveryWebhook = functions.https.onRequest((req, res) => {
+  cors(req, res, async () => {
+    try {
+      // Check if request method is POST
+      if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+      }
+
+      const {
+        EmailDelivery,
+        EVENT_WEBHOOK_SIGNATURE_HEADER,
+        EVENT_WEBHOOK_TIMESTAMP_HEADER,
+        verifyEventWebhookSignature,
+        verifyWebhookToken
+      } = require('./utils/emailDelivery');
+
+      // Prefer SendGrid's signed event webhook; the shared token is for providers that cannot sign.
+      // Receipts change consent, so nothing is accepted until one of them is configured.
+      const emailConfig = functions.config().email || {};
+      if (emailConfig.webhook_public_key) {
+        const signed = verifyEventWebhookSignature(
+          emailConfig.webhook_public_key,
+          req.rawBody,
+          req.get(EVENT_WEBHOOK_SIGNATURE_HEADER),
+          req.get(EVENT_WEBHOOK_TIMESTAMP_HEADER)
+        );
+        if (!signed) {
+          return res.status(401).json({ error: 'Invalid webhook signature' });
+        }
+      } else if (emailConfig.webhook_token) {
+        if (!verifyWebhookToken(emailConfig.webhook_token, req.query.token)) {
+          return res.status(401).json({ error: 'Invalid webhook token' });
+        }
+      } else {
+        console.error('Email delivery webhook rejected: set email.webhook_public_key or email.webhook_token');
+        return res.status(503).json({ error: 'Webhook verification is not configured' });
+      }
+
+      // Validate parameters
+      if (!req.body) {
+        return res.status(400).json({ error: 'Missing delivery events' });
+      }
+
+      // Apply receipts to engagement records
+      const emailDelivery = new EmailDelivery('email-delivery-webhook');
+      const summary = await emailDelivery.processDeliveryReceipts(req.body);
+
+      // Return processing summary
+      return res.status(200).json(summary);
+    } catch (error) {
+      console.error('Error processing email delivery receipts:', error);
+      return res.status(500).json({ error: error.message });
+    }
+  });
+});
+
+/**
+ * Full URL a webhook was posted to, as the provider signed it
+ * @param {Object} req - HTTP request
+ * @returns {string} Request URL
+ */
+const getWebhookUrl = (req) => `https://${req.get('host')}${req.originalUrl}`;
+
+/**
+ * Receive SMS and call status callbacks (Twilio-compatible)
+ */
+exports.smsStatusCallback = functions.https.onRequest(async (req, res) => {
+  try {
+    // Check if request method is POST
+    if (req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    // Only the provider may post callbacks, so the signature is checked before anything else
+    const { SMSVoiceDispatch } = require('./utils/smsVoiceDispatch');
+    const dispatch = new SMSVoiceDispatch('sms-status-callback');
+    await dispatch.verifyWebhookSignature(getWebhookUrl(req), req.body || {}, req.get('X-Twilio-Signature'));
+
+    // Apply the status to the engagement record
+    const outcome = await dispatch.processStatusCallback(req.body || {});
+
+    return res.status(200).json(outcome);
+  } catch (error) {
+    const { ErrorTypes } = require('./utils/errorLogging');
+    if (error.type === ErrorTypes.AUTHENTICATION_ERROR) {
+      return res.status(403).json({ error: error.message });
+    }
+    console.error('Error processing SMS status callback:', error);
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Receive inbound SMS (Twilio-compatible) and answer opt-out/help keywords
+ */
+exports.smsInboundWebhook = functions.https.onRequest(async (req, res) => {
+  try {
+    // Check if request method is POST
+    if (req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    // Opt-out keywords change consent, so only signed provider requests are accepted
+    const { SMSVoiceDispatch, buildMessagingTwiml } = require('./utils/smsVoiceDispatch');
+    const dispatch = new SMSVoiceDispatch('sms-inbound-webhook');
+    await dispatch.verifyWebhookSignature(getWebhookUrl(req), req.body || {}, req.get('X-Twilio-Signature'));
+
+    const { reply } = await dispatch.handleInboundMessage(req.body || {});
+
+    // Reply with TwiML so the provider sends the keyword response
+    res.set('Content-Type', 'text/xml');
+    return res.status(200).send(buildMessagingTwiml(reply));
+  } catch (error) {
+    const { ErrorTypes } = require('./utils/errorLogging');
+    if (error.type === ErrorTypes.AUTHENTICATION_ERROR) {
+      return res.status(403).json({ error: error.message });
+    }
+    console.error('Error handling inbound SMS:', error);
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Report LLM usage and cost from the usage ledger, grouped by tenant, feature and/or day
+ */
+exports.getLLMUsageReport = functions.https.onRequest((req, res) => {
+  cors(req, res, async () => {
+    try {
+      // Check if request method is GET
+      if (req.method !== 'GET') {
+        return res.status(405).json({ error: 'Method not allowed' });
+      }
+
+      // Get parameters from query
+      const { clientId, userId, feature, startDay, endDay, groupBy } = req.query;
+      const dayPattern = /^\d{4}-\d{2}-\d{2}$/;
+      const allowedGroups = ['clientId', 'userId', 'feature', 'day', 'provider', 'model', 'operation'];
+      const groups = groupBy ? String(groupBy).split(',').map(field => field.trim()).filter(Boolean) : ['clientId', 'feature', 'day'];
+
+      // Validate parameters
+      if ((startDay && !dayPattern.test(startDay)) || (endDay && !dayPattern.test(endDay))) {
+        return res.status(400).json({ error: 'startDay and endDay must be YYYY-MM-DD' });
+      }
+      if (groups.some(field => !allowedGroups.includes(field))) {
+        return res.status(400).json({ error: `groupBy must be a comma-separated list of: ${allowedGroups.join(', ')}` });
+      }
+
+      const report = await getUsageLedger().aggregateUsage({ clientId, userId, feature, startDay, endDay }, groups);
+
+      return res.status(200).json(report);
+    } catch (error) {
+      console.error('Error building LLM usage report:', error);
+      return res.status(500).json({ error: error.message });
+    }
+  });
+});
+
+/**
+ * One-click unsubscribe from a signed link (RFC 8058)
+ *
+ * Mail clients POST to the List-Unsubscribe URL; people following the link get a
+ * confirmation page first so that link scanners cannot unsubscribe them.
+ */
+exports.unsubscribe = functions.https.onRequest(async (req, res) => {
+  try {
+    const token = req.query.token || (req.body && req.body.token);
+    if (!token) {
+      return res.status(400).json({ error: 'Missing unsubscribe token' });
+    }
+
+    const { verifyUnsubscribeToken, unsubscribeWithToken } = require('./utils/consentLedger');
+
+    if (req.method === 'GET') {
+      verifyUnsubscribeToken(token);
+      res.set('Content-Type', 'text/html');
+      return res.status(200).send(
+        '<!DOCTYPE html><html><body><form method="POST">' +
+        '<input type="hidden" name="List-Unsubscribe" value="One-Click">' +
+        '<p>Unsubscribe from these messages?</p><button type="submit">Unsubscribe</button>' +
+        '</form></body></html>'
+      );
+    }
+
+    if (req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const entry = await unsubscribeWithToken(token, {
+      ipAddress: req.ip || null,
+      userAgent: req.get('user-agent') || null
+    });
+
+    return res.status(200).json({ unsubscribed: true, channel: entry.channel, purpose: entry.purpose });
+  } catch (error) {
+    const { ErrorTypes } = require('./utils/errorLogging');
+    if (error.type === ErrorTypes.VALIDATION_ERROR) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error processing unsubscribe:', error);
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Record a consent grant or withdrawal in the consent ledger
+ */
+exports.recordConsent = functions.https.onRequest((req, res) => {
+  cors(req, res, async () => {
+    try {
+      // Check if request method is POST
+      if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+      }
+
+      // Get parameters from request body
+      const { contactId, address, channel, purpose, status, legalBasis, source, timestamp, expiresAt, userId, evidence } = req.body;
+
+      // Validate parameters
+      if ((!contactId && !address) || !channel || !purpose || !status || !source) {
+        return res.status(400).json({ error: 'Missing required parameters' });
+      }
+
+      const { recordConsent } = require('./utils/consentLedger');
+      const entry = await recordConsent({ contactId, address, channel, purpose, status, legalBasis, source, timestamp, expiresAt, userId, evidence });
+
+      return res.status(200).json(entry);
+    } catch (error) {
+      const { ErrorTypes } = require('./utils/errorLogging');
+      if (error.type === ErrorTypes.VALIDATION_ERROR) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Error recording consent:', error);
+      return res.status(500).json({ error: error.message });
+    }
+  });
+});
+
+/**
+ * Add or lift a suppression list entry for a contact or address
+ */
+exports.updateSuppression = functions.https.onRequest((req, res) => {
+  cors(req, res, async () => {
+    try {
+      // Check if request method is POST
+      if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+      }
+
+      // Get parameters from request body
+      const { action, contactId, address, channel, purpose, reason, source } = req.body;
+
+      // Validate parameters
+      if (!['add', 'lift'].includes(action) || (!contactId && !address) || !source) {
+        return res.status(400).json({ error: 'Missing required parameters' });
+      }
+
+      const { addSuppression, liftSuppression } = require('./utils/consentLedger');
+      const params = { contactId, address, channel, purpose, reason, source };
+      const result = action === 'add'
+        ? await addSuppression(params)
+        : { lifted: await liftSuppression(params) };
+
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error('Error updating suppression list:', error);
+      return res.status(500).json({ error: error.message });
+    }
+  });
+});
+
+/**
+ * Export a contact's consent history, current consent and suppressions
+ */
+exports.exportConsentHistory = functions.https.onRequest((req, res) => {
+  cors(req, res, async () => {
+    try {
+      // Check if request method is GET
+      if (req.method !== 'GET') {
+        return res.status(405).json({ error: 'Method not allowed' });
+      }
+
+      // Get parameters from query
+      const { contactId, address, userId, requestedBy } = req.query;
+
+      // Validate parameters
+      if (!contactId) {
+        return res.status(400).json({ error: 'Missing required parameters' });
+      }
+
+      const { exportConsentHistory } = require('./utils/consentLedger');
+      const exportDoc = await exportConsentHistory(contactId, { address, userId, requestedBy });
+
+      return res.status(200).json(exportDoc);
+    } catch (error) {
+      console.error('Error exporting consent history:', error);
+      return res.status(500).json({ error: error.message });
+    }
+  });
+});
+
+/**
+ * Scheduled function to run workflow steps that quiet hours deferred
+ */
+exports.scheduledDeferredWorkflowSteps = functions.pubsub.schedule('every 15 minutes').onRun(async (context) => {
+  try {
+    const { processDeferredWorkflowSteps } = require('./utils/multiChannelWorkflows');
+    const results = await processDeferredWorkflowSteps();
+
+    console.log(`Ran ${results.processed} deferred workflow steps, ${results.failed} failed`);
+    return null;
+  } catch (error) {
+    console.error('Error in scheduled deferred workflow steps:', error);
+    return null;
+  }
+});
+
+/**
+ * Scheduled function to send SMS and calls that quiet hours held
+ */
+exports.scheduledDeferredDispatches = functions.pubsub.schedule('every 15 minutes').onRun(async (context) => {
+  try {
+    const { processDeferredDispatches } = require('./utils/smsVoiceDispatch');
+    const results = await processDeferredDispatches();
+
+    console.log(`Sent ${results.sent} deferred SMS and calls, ${results.rescheduled} rescheduled, ${results.failed} failed`);
+    return null;
+  } catch (error) {
+    console.error('Error in scheduled deferred dispatches:', error);
+    return null;
+  }
+});
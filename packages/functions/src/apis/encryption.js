@@ -1,83 +1,336 @@
 /**
- * Encryption API Integration
- * 
- * This module provides functions to interact with the Encryption API
- * from RapidAPI to encrypt and decrypt sensitive data.
+ * Encryption Integration
+ *
+ * This module encrypts and decrypts sensitive data in-process with AES-256-GCM.
+ * Plaintext and keys never leave the function instance.
+ *
+ * Ciphertexts are self-describing strings:
+ *   rs1.<keyId>.<iv>.<tag>.<ciphertext>   (base64url segments)
+ * The key ID is either a configured field key ID or, for caller-supplied keys,
+ * "fp-" followed by a fingerprint of the derived key.
+ *
+ * Field keys are configured as comma-separated "keyId:base64key" pairs:
+ *   firebase functions:config:set encryption.field_keys="k1:..." encryption.active_field_key_id="k1" encryption.index_key="..."
+ * or through the ENCRYPTION_FIELD_KEYS / ENCRYPTION_ACTIVE_FIELD_KEY_ID / ENCRYPTION_INDEX_KEY environment variables.
  */
 
-const axios = require('axios');
+const crypto = require('crypto');
 const functions = require('firebase-functions');
 const { logger } = require('firebase-functions');
+const { parseMasterKeys } = require('../utils/envelopeEncryption');
 
-// RapidAPI configuration
-const RAPIDAPI_KEY = functions.config().rapidapi?.key || "323a7718e9msh11cc344f3e02f21p13bdb6jsna618ef9f91a4";
-const RAPIDAPI_HOST = "encryption-api2.p.rapidapi.com";
+const FORMAT_VERSION = 'rs1';
+const ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+// Derived keys for caller-supplied passphrases, keyed by a hash of the passphrase
+const derivedKeyCache = new Map();
+
+/**
+ * Read field encryption configuration
+ *
+ * @returns {Object} - { keys, activeKeyId, indexKey }
+ */
+function getFieldKeyConfig() {
+    const config = functions.config().encryption || {};
+    const keys = parseMasterKeys(config.field_keys || process.env.ENCRYPTION_FIELD_KEYS);
+    const activeKeyId = config.active_field_key_id || process.env.ENCRYPTION_ACTIVE_FIELD_KEY_ID;
+    const indexKey = config.index_key || process.env.ENCRYPTION_INDEX_KEY;
+
+    Object.entries(keys).forEach(([keyId, key]) => {
+        if (key.length !== KEY_LENGTH || keyId.includes('.')) {
+            throw new Error(`Field key ${keyId} must be ${KEY_LENGTH} bytes and its ID must not contain "."`);
+        }
+    });
+
+    return { keys, activeKeyId, indexKey };
+}
+
+/**
+ * List the field encryption settings that are missing
+ *
+ * Lead storage encrypts PII with the active field key and hashes it with the index key,
+ * so both must be set before any lead is written.
+ *
+ * @returns {Array<string>} - Names of missing settings (empty when field encryption is usable)
+ */
+function getMissingFieldKeySettings() {
+    const { keys, activeKeyId, indexKey } = getFieldKeyConfig();
+    const missing = [];
+
+    if (Object.keys(keys).length === 0) {
+        missing.push('encryption.field_keys');
+    }
+    if (!activeKeyId || !keys[activeKeyId]) {
+        missing.push('encryption.active_field_key_id');
+    }
+    if (!indexKey) {
+        missing.push('encryption.index_key');
+    }
+    return missing;
+}
+
+/**
+ * Check that field encryption is configured
+ *
+ * @throws {Error} - Names the missing settings and how to set them (see DEPLOYMENT.md, "Field Encryption Keys")
+ */
+function assertFieldKeysConfigured() {
+    const missing = getMissingFieldKeySettings();
+    if (missing.length > 0) {
+        throw new Error(
+            `Field encryption is not configured; missing ${missing.join(', ')}. ` +
+            'Set them with `firebase functions:config:set encryption.field_keys="k1:<base64 32-byte key>" ' +
+            'encryption.active_field_key_id="k1" encryption.index_key="<base64 32-byte key>"` ' +
+            'or the ENCRYPTION_FIELD_KEYS / ENCRYPTION_ACTIVE_FIELD_KEY_ID / ENCRYPTION_INDEX_KEY environment variables'
+        );
+    }
+}
+
+/**
+ * Derive a 256-bit key from a caller-supplied encryption key
+ *
+ * @param {string} encryptionKey - Caller-supplied key or passphrase
+ * @returns {Object} - { key, keyId }
+ */
+function deriveKey(encryptionKey) {
+    const cacheKey = crypto.createHash('sha256').update(String(encryptionKey)).digest('hex');
+    if (!derivedKeyCache.has(cacheKey)) {
+        const key = crypto.scryptSync(String(encryptionKey), 'reachspark-encryption-v1', KEY_LENGTH);
+        const fingerprint = crypto.createHmac('sha256', key).update('key-id').digest('hex').slice(0, 16);
+        derivedKeyCache.set(cacheKey, { key, keyId: `fp-${fingerprint}` });
+    }
+    return derivedKeyCache.get(cacheKey);
+}
+
+/**
+ * Resolve the key used for encryption
+ *
+ * @param {string} encryptionKey - Optional caller-supplied key
+ * @returns {Object} - { key, keyId }
+ */
+function resolveEncryptionKey(encryptionKey) {
+    if (encryptionKey) {
+        return deriveKey(encryptionKey);
+    }
+
+    const { keys, activeKeyId } = getFieldKeyConfig();
+    if (!activeKeyId || !keys[activeKeyId]) {
+        throw new Error('No encryption key supplied and no active field key is configured (encryption.field_keys)');
+    }
+    return { key: keys[activeKeyId], keyId: activeKeyId };
+}
+
+/**
+ * Resolve the key used for decryption from the key ID embedded in the ciphertext
+ *
+ * @param {string} keyId - Key ID from the ciphertext
+ * @param {string} encryptionKey - Optional caller-supplied key
+ * @returns {Buffer} - Key
+ */
+function resolveDecryptionKey(keyId, encryptionKey) {
+    if (keyId.startsWith('fp-')) {
+        if (!encryptionKey) {
+            throw new Error('This value was encrypted with a caller-supplied key; encryption_key is required');
+        }
+        const derived = deriveKey(encryptionKey);
+        if (derived.keyId !== keyId) {
+            throw new Error('The supplied encryption_key does not match the key this value was encrypted with');
+        }
+        return derived.key;
+    }
+
+    const { keys } = getFieldKeyConfig();
+    if (!keys[keyId]) {
+        throw new Error(`Field key not available: ${keyId}`);
+    }
+    return keys[keyId];
+}
+
+/**
+ * Check whether a value is a ciphertext produced by this module
+ *
+ * @param {*} value - Value to check
+ * @returns {boolean} - Whether the value is a ciphertext
+ */
+function isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(`${FORMAT_VERSION}.`) && value.split('.').length === 5;
+}
+
+/**
+ * Encrypt a string synchronously
+ *
+ * @param {string} text - Text to encrypt
+ * @param {Object} options - Encryption options
+ * @param {string} options.encryptionKey - Caller-supplied key (defaults to the active field key)
+ * @param {string} options.context - Context bound to the ciphertext (e.g. "leads.email")
+ * @returns {string} - Ciphertext
+ */
+function encryptValue(text, options = {}) {
+    const { key, keyId } = resolveEncryptionKey(options.encryptionKey);
+    const header = `${FORMAT_VERSION}.${keyId}`;
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv, { authTagLength: TAG_LENGTH });
+    cipher.setAAD(Buffer.from(`${header}|${options.context || ''}`, 'utf8'));
+    const ciphertext = Buffer.concat([cipher.update(String(text), 'utf8'), cipher.final()]);
+
+    return [
+        header,
+        iv.toString('base64url'),
+        cipher.getAuthTag().toString('base64url'),
+        ciphertext.toString('base64url')
+    ].join('.');
+}
+
+/**
+ * Decrypt a string synchronously
+ *
+ * @param {string} value - Ciphertext
+ * @param {Object} options - Decryption options
+ * @param {string} options.encryptionKey - Caller-supplied key (required for "fp-" key IDs)
+ * @param {string} options.context - Context the value was encrypted with
+ * @returns {string} - Plaintext
+ */
+function decryptValue(value, options = {}) {
+    if (!isEncrypted(value)) {
+        throw new Error('Value is not in the rs1 ciphertext format');
+    }
+
+    const [version, keyId, iv, tag, ciphertext] = value.split('.');
+    const key = resolveDecryptionKey(keyId, options.encryptionKey);
+
+    try {
+        const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64url'), { authTagLength: TAG_LENGTH });
+        decipher.setAAD(Buffer.from(`${version}.${keyId}|${options.context || ''}`, 'utf8'));
+        decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+        return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64url')), decipher.final()]).toString('utf8');
+    } catch (error) {
+        throw new Error('Ciphertext failed authentication (wrong key, wrong context or tampered data)');
+    }
+}
 
 /**
- * Encrypt text using the Encryption API
- * 
+ * Encrypt text
+ *
  * @param {Object} params - Encryption parameters
  * @param {string} params.text - Text to encrypt
- * @param {string} params.encryption_key - Key to use for encryption
+ * @param {string} params.encryption_key - Key to use for encryption (defaults to the active field key)
  * @returns {Promise<Object>} - Encrypted data
  */
 async function encryptText(params) {
     try {
-        const options = {
-            method: 'POST',
-            url: 'https://encryption-api2.p.rapidapi.com/enc.php',
-            headers: {
-                'content-type': 'application/json',
-                'X-RapidAPI-Key': RAPIDAPI_KEY,
-                'X-RapidAPI-Host': RAPIDAPI_HOST
-            },
-            data: {
-                text: params.text,
-                encryption_key: params.encryption_key
-            }
+        const encryptedText = encryptValue(params.text, { encryptionKey: params.encryption_key });
+        return {
+            encryptedText,
+            keyId: encryptedText.split('.')[1]
         };
-
-        const response = await axios.request(options);
-        return response.data;
     } catch (error) {
-        logger.error('Error encrypting text:', error);
+        logger.error('Error encrypting text:', error.message);
         throw new Error(`Failed to encrypt text: ${error.message}`);
     }
 }
 
 /**
- * Decrypt text using the Encryption API
- * 
+ * Decrypt text
+ *
  * @param {Object} params - Decryption parameters
  * @param {string} params.text - Text to decrypt
- * @param {string} params.encryption_key - Key to use for decryption
+ * @param {string} params.encryption_key - Key to use for decryption (not needed for field-key ciphertexts)
  * @returns {Promise<Object>} - Decrypted data
  */
 async function decryptText(params) {
     try {
-        const options = {
-            method: 'POST',
-            url: 'https://encryption-api2.p.rapidapi.com/dec.php',
-            headers: {
-                'content-type': 'application/json',
-                'X-RapidAPI-Key': RAPIDAPI_KEY,
-                'X-RapidAPI-Host': RAPIDAPI_HOST
-            },
-            data: {
-                text: params.text,
-                encryption_key: params.encryption_key
-            }
+        return {
+            decryptedText: decryptValue(params.text, { encryptionKey: params.encryption_key }),
+            keyId: String(params.text).split('.')[1]
         };
-
-        const response = await axios.request(options);
-        return response.data;
     } catch (error) {
-        logger.error('Error decrypting text:', error);
+        logger.error('Error decrypting text:', error.message);
         throw new Error(`Failed to decrypt text: ${error.message}`);
     }
 }
 
+/**
+ * Compute a keyed hash of a value so encrypted fields can still be matched by equality
+ *
+ * @param {string} value - Normalized value
+ * @param {string} field - Field name (keeps hashes of different fields distinct)
+ * @returns {string} - Hex HMAC-SHA256
+ */
+function blindIndex(value, field) {
+    const { indexKey } = getFieldKeyConfig();
+    if (!indexKey) {
+        throw new Error('No blind index key is configured (encryption.index_key)');
+    }
+    return crypto.createHmac('sha256', Buffer.from(indexKey, 'base64'))
+        .update(`${field}:${value}`)
+        .digest('hex');
+}
+
+/**
+ * Encrypt selected fields of a record with the active field key
+ *
+ * @param {Object} record - Record to protect
+ * @param {Array<string>} fields - Field names to encrypt
+ * @param {Object} options - Options
+ * @param {string} options.collection - Collection name, bound to each ciphertext with the field name
+ * @param {Object} options.normalizers - Per-field functions that normalize values before hashing
+ * @returns {Object} - Copy of the record with encrypted fields and <field>Hash lookup values
+ */
+function encryptFields(record, fields, options = {}) {
+    const protectedRecord = { ...record };
+    const encryptedFields = [];
+
+    fields.forEach(field => {
+        const value = record[field];
+        if (value === undefined || value === null || value === '' || isEncrypted(value)) {
+            return;
+        }
+
+        const normalize = (options.normalizers && options.normalizers[field]) || (v => String(v).trim());
+        protectedRecord[field] = encryptValue(value, { context: `${options.collection || ''}.${field}` });
+        protectedRecord[`${field}Hash`] = blindIndex(normalize(value), field);
+        encryptedFields.push(field);
+    });
+
+    if (encryptedFields.length > 0) {
+        protectedRecord.encryptedFields = Array.from(new Set([...(record.encryptedFields || []), ...encryptedFields]));
+    }
+
+    return protectedRecord;
+}
+
+/**
+ * Decrypt selected fields of a record
+ *
+ * @param {Object} record - Record read from storage
+ * @param {Array<string>} fields - Field names to decrypt (values that are not ciphertexts are left as-is)
+ * @param {Object} options - Options
+ * @param {string} options.collection - Collection name used when encrypting
+ * @returns {Object} - Copy of the record with plaintext fields
+ */
+function decryptFields(record, fields, options = {}) {
+    const plainRecord = { ...record };
+
+    fields.forEach(field => {
+        if (isEncrypted(record[field])) {
+            plainRecord[field] = decryptValue(record[field], { context: `${options.collection || ''}.${field}` });
+        }
+    });
+
+    return plainRecord;
+}
+
 module.exports = {
     encryptText,
-    decryptText
+    decryptText,
+    encryptValue,
+    decryptValue,
+    isEncrypted,
+    blindIndex,
+    assertFieldKeysConfigured,
+    encryptFields,
+    decryptFields
 };
@@ -120,6 +120,147 @@ async function createSubscription(params) {
     }
 }
 
+/**
+ * Authorize a payment without capturing it (funds are held on the card)
+ * 
+ * @param {Object} params - Authorization parameters
+ * @param {number} params.amount - Amount in cents
+ * @param {string} params.currency - Currency code (default: usd)
+ * @param {string} params.customer_id - Stripe customer ID
+ * @param {string} params.payment_method_id - Payment method ID
+ * @param {string} params.description - Payment description
+ * @param {string} params.transfer_group - Groups the payment with its payouts
+ * @param {Object} params.metadata - Metadata to store on the payment intent
+ * @param {string} params.idempotency_key - Idempotency key
+ * @returns {Promise<Object>} - Payment intent with status requires_capture
+ */
+async function authorizePayment(params) {
+    try {
+        return await stripeClient.paymentIntents.create({
+            amount: params.amount,
+            currency: params.currency || 'usd',
+            customer: params.customer_id,
+            payment_method: params.payment_method_id,
+            description: params.description,
+            transfer_group: params.transfer_group,
+            metadata: params.metadata || {},
+            capture_method: 'manual',
+            confirm: true,
+            off_session: true
+        }, { idempotencyKey: params.idempotency_key });
+    } catch (error) {
+        logger.error('Error authorizing payment:', error);
+        throw new Error(`Failed to authorize payment: ${error.message}`);
+    }
+}
+
+/**
+ * Get a payment intent
+ * 
+ * @param {string} paymentIntentId - Payment intent ID
+ * @returns {Promise<Object>} - Payment intent
+ */
+async function retrievePayment(paymentIntentId) {
+    try {
+        return await stripeClient.paymentIntents.retrieve(paymentIntentId);
+    } catch (error) {
+        logger.error('Error retrieving payment:', error);
+        throw new Error(`Failed to retrieve payment: ${error.message}`);
+    }
+}
+
+/**
+ * Capture an authorized payment
+ * 
+ * @param {string} paymentIntentId - Payment intent ID
+ * @param {Object} params - Capture parameters
+ * @param {number} params.amount - Amount to capture in cents (default: full amount)
+ * @param {string} params.idempotency_key - Idempotency key
+ * @returns {Promise<Object>} - Captured payment intent
+ */
+async function capturePayment(paymentIntentId, params = {}) {
+    try {
+        return await stripeClient.paymentIntents.capture(
+            paymentIntentId,
+            params.amount ? { amount_to_capture: params.amount } : {},
+            { idempotencyKey: params.idempotency_key }
+        );
+    } catch (error) {
+        logger.error('Error capturing payment:', error);
+        throw new Error(`Failed to capture payment: ${error.message}`);
+    }
+}
+
+/**
+ * Cancel an authorized payment, releasing the hold on the card
+ * 
+ * @param {string} paymentIntentId - Payment intent ID
+ * @param {string} reason - Cancellation reason (default: requested_by_customer)
+ * @returns {Promise<Object>} - Cancelled payment intent
+ */
+async function cancelPayment(paymentIntentId, reason) {
+    try {
+        return await stripeClient.paymentIntents.cancel(paymentIntentId, {
+            cancellation_reason: reason || 'requested_by_customer'
+        });
+    } catch (error) {
+        logger.error('Error cancelling payment:', error);
+        throw new Error(`Failed to cancel payment: ${error.message}`);
+    }
+}
+
+/**
+ * Refund a captured payment
+ * 
+ * @param {Object} params - Refund parameters
+ * @param {string} params.payment_intent_id - Payment intent ID
+ * @param {number} params.amount - Amount to refund in cents (default: full amount)
+ * @param {string} params.reason - Refund reason (default: requested_by_customer)
+ * @param {string} params.idempotency_key - Idempotency key
+ * @returns {Promise<Object>} - Refund
+ */
+async function refundPayment(params) {
+    try {
+        return await stripeClient.refunds.create({
+            payment_intent: params.payment_intent_id,
+            amount: params.amount || undefined,
+            reason: params.reason || 'requested_by_customer'
+        }, { idempotencyKey: params.idempotency_key });
+    } catch (error) {
+        logger.error('Error refunding payment:', error);
+        throw new Error(`Failed to refund payment: ${error.message}`);
+    }
+}
+
+/**
+ * Transfer captured funds to a connected account
+ * 
+ * @param {Object} params - Transfer parameters
+ * @param {number} params.amount - Amount in cents
+ * @param {string} params.currency - Currency code (default: usd)
+ * @param {string} params.destination - Connected account ID
+ * @param {string} params.transfer_group - Transfer group of the original payment
+ * @param {string} params.source_transaction - Charge the funds come from
+ * @param {Object} params.metadata - Metadata to store on the transfer
+ * @param {string} params.idempotency_key - Idempotency key
+ * @returns {Promise<Object>} - Transfer
+ */
+async function createTransfer(params) {
+    try {
+        return await stripeClient.transfers.create({
+            amount: params.amount,
+            currency: params.currency || 'usd',
+            destination: params.destination,
+            transfer_group: params.transfer_group,
+            source_transaction: params.source_transaction || undefined,
+            metadata: params.metadata || {}
+        }, { idempotencyKey: params.idempotency_key });
+    } catch (error) {
+        logger.error('Error creating transfer:', error);
+        throw new Error(`Failed to create transfer: ${error.message}`);
+    }
+}
+
 /**
  * Get Stripe publishable key
  * 
@@ -133,5 +274,11 @@ module.exports = {
     createPaymentIntent,
     createOrUpdateCustomer,
     createSubscription,
+    authorizePayment,
+    retrievePayment,
+    capturePayment,
+    cancelPayment,
+    refundPayment,
+    createTransfer,
     getPublishableKey
 };
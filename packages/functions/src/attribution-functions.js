@@ -6,6 +6,8 @@ const functions = require('firebase-functions');
 const cors = require('cors')({ origin: true });
 const { revenueAttributionAI } = require('./features');
 const admin = require('firebase-admin');
+const { hasIdentifiers } = require('./utils/identityGraph');
+const { ErrorTypes } = require('./utils/errorLogging');
 
 // Initialize Firestore if not already initialized
 if (!admin.apps.length) {
@@ -27,7 +29,7 @@ exports.trackTouchpoint = functions.https.onRequest((req, res) => {
       const touchpointData = req.body;
 
       // Validate parameters
-      if (!touchpointData || !touchpointData.userId || !touchpointData.customerId || !touchpointData.channelType) {
+      if (!touchpointData || !touchpointData.userId || !hasIdentifiers(touchpointData) || !touchpointData.channelType) {
         return res.status(400).json({ error: 'Missing required parameters' });
       }
 
@@ -58,7 +60,7 @@ exports.trackConversion = functions.https.onRequest((req, res) => {
       const conversionData = req.body;
 
       // Validate parameters
-      if (!conversionData || !conversionData.userId || !conversionData.customerId || !conversionData.conversionType) {
+      if (!conversionData || !conversionData.userId || !hasIdentifiers(conversionData) || !conversionData.conversionType) {
         return res.status(400).json({ error: 'Missing required parameters' });
       }
 
@@ -74,6 +76,69 @@ exports.trackConversion = functions.https.onRequest((req, res) => {
   });
 });
 
+/**
+ * Link a customer's identifiers (anonymous ID, email, phone, device ID) into one customer
+ */
+exports.resolveCustomerIdentity = functions.https.onRequest((req, res) => {
+  cors(req, res, async () => {
+    try {
+      // Check if request method is POST
+      if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+      }
+
+      // Get parameters from request body
+      const { userId, identity } = req.body;
+
+      // Validate parameters
+      if (!userId || !hasIdentifiers(identity)) {
+        return res.status(400).json({ error: 'Missing required parameters' });
+      }
+
+      // Resolve identity
+      const resolved = await revenueAttributionAI.resolveCustomerIdentity(userId, identity);
+
+      // Return resolved customer
+      return res.status(200).json(resolved);
+    } catch (error) {
+      console.error('Error resolving customer identity:', error);
+      return res.status(500).json({ error: error.message });
+    }
+  });
+});
+
+/**
+ * Bulk import offline conversions from CSV text or JSON rows
+ */
+exports.importOfflineConversions = functions.https.onRequest((req, res) => {
+  cors(req, res, async () => {
+    try {
+      // Check if request method is POST
+      if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+      }
+
+      // Get parameters from request body
+      const { userId, format, data, conversionType } = req.body;
+
+      // Validate parameters
+      if (!userId || !data) {
+        return res.status(400).json({ error: 'Missing required parameters' });
+      }
+
+      // Import conversions
+      const summary = await revenueAttributionAI.importOfflineConversions(userId, data, { format, conversionType });
+
+      // Return import summary
+      return res.status(200).json(summary);
+    } catch (error) {
+      console.error('Error importing offline conversions:', error);
+      const status = error.type === ErrorTypes.VALIDATION_ERROR ? 400 : 500;
+      return res.status(status).json({ error: error.message });
+    }
+  });
+});
+
 /**
  * Attribute conversion
  */
@@ -139,6 +204,37 @@ exports.generateAttributionReport = functions.https.onRequest((req, res) => {
   });
 });
 
+/**
+ * Refit data-driven attribution models and re-attribute conversions in a date range
+ */
+exports.recomputeAttribution = functions.https.onRequest((req, res) => {
+  cors(req, res, async () => {
+    try {
+      // Check if request method is POST
+      if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+      }
+
+      // Get parameters from request body
+      const { userId, recomputeParams } = req.body;
+
+      // Validate parameters
+      if (!userId || !recomputeParams || !recomputeParams.startDate || !recomputeParams.endDate) {
+        return res.status(400).json({ error: 'Missing required parameters' });
+      }
+
+      // Recompute attribution
+      const summary = await revenueAttributionAI.recomputeAttribution(userId, recomputeParams);
+
+      // Return summary
+      return res.status(200).json(summary);
+    } catch (error) {
+      console.error('Error recomputing attribution:', error);
+      return res.status(500).json({ error: error.message });
+    }
+  });
+});
+
 /**
  * Generate budget recommendations
  */
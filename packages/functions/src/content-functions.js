@@ -254,7 +254,7 @@ exports.setupContentABTest = functions.https.onRequest((req, res) => {
       }
 
       // Get parameters from request body
-      const { originalContentId, variationIds } = req.body;
+      const { originalContentId, variationIds, plan } = req.body;
 
       // Validate parameters
       if (!originalContentId || !variationIds || !Array.isArray(variationIds)) {
@@ -264,7 +264,8 @@ exports.setupContentABTest = functions.https.onRequest((req, res) => {
       // Set up A/B test
       const test = await semanticContentIntelligence.setupContentABTest(
         originalContentId,
-        variationIds
+        variationIds,
+        plan || {}
       );
 
       // Return test
@@ -312,6 +313,39 @@ exports.updateABTestMetrics = functions.https.onRequest((req, res) => {
   });
 });
 
+/**
+ * Select A/B test variation for an impression
+ */
+exports.selectABTestVariation = functions.https.onRequest((req, res) => {
+  cors(req, res, async () => {
+    try {
+      // Check if request method is POST
+      if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+      }
+
+      // Get parameters from request body
+      const { testId, recordImpression } = req.body;
+
+      // Validate parameters
+      if (!testId) {
+        return res.status(400).json({ error: 'Missing required parameters' });
+      }
+
+      // Select variation
+      const selection = await semanticContentIntelligence.selectABTestVariation(testId, {
+        recordImpression: recordImpression !== false
+      });
+
+      // Return selection
+      return res.status(200).json(selection);
+    } catch (error) {
+      console.error('Error selecting A/B test variation:', error);
+      return res.status(500).json({ error: error.message });
+    }
+  });
+});
+
 /**
  * Complete A/B test
  */
@@ -324,15 +358,17 @@ exports.completeABTest = functions.https.onRequest((req, res) => {
       }
 
       // Get parameters from request body
-      const { testId } = req.body;
+      const { testId, force } = req.body;
 
       // Validate parameters
       if (!testId) {
         return res.status(400).json({ error: 'Missing required parameters' });
       }
 
-      // Complete test
-      const results = await semanticContentIntelligence.completeABTest(testId);
+      // Complete test (pass force: false to only end it once the result is decided)
+      const results = await semanticContentIntelligence.completeABTest(testId, {
+        force: force !== false
+      });
 
       // Return results
       return res.status(200).json(results);
@@ -558,13 +594,8 @@ exports.completeABTestsAfterDuration = functions.pubsub.schedule('every 24 hours
   try {
     console.log('Starting scheduled A/B test completion check');
     
-    // Get active tests that have been running for at least 14 days
-    const twoWeeksAgo = new Date();
-    twoWeeksAgo.setDate(twoWeeksAgo.getDate() - 14);
-    
     const testsQuery = await admin.firestore().collection('contentABTests')
       .where('status', '==', 'active')
-      .where('startDate', '<=', twoWeeksAgo)
       .get();
     
     if (testsQuery.empty) {
@@ -572,23 +603,42 @@ exports.completeABTestsAfterDuration = functions.pubsub.schedule('every 24 hours
       return null;
     }
     
+    const now = Date.now();
+    const dayMs = 24 * 60 * 60 * 1000;
     const completionPromises = [];
     
     testsQuery.forEach(doc => {
       const testId = doc.id;
+      const test = doc.data();
+      const plan = test.plan || {};
+      if (!test.startDate) {
+        return;
+      }
+      const startDate = test.startDate && test.startDate.toDate ? test.startDate.toDate() : new Date(test.startDate);
+      const daysRunning = (now - startDate.getTime()) / dayMs;
+      
+      // Give every test at least a full week of traffic before looking at it
+      if (!(daysRunning >= (plan.minDurationDays !== undefined ? plan.minDurationDays : 7))) {
+        return;
+      }
       
-      // Complete test
-      const promise = semanticContentIntelligence.completeABTest(testId)
+      // Daily looks are safe because the analysis uses a sequential boundary; tests past
+      // their maximum duration are ended, as inconclusive if nothing was detected
+      const promise = semanticContentIntelligence.completeABTest(testId, {
+        force: daysRunning >= (plan.maxDurationDays || 28)
+      })
+        .then(result => (result.status === 'active' ? 0 : 1))
         .catch(error => {
           console.error(`Error completing A/B test ${testId}:`, error);
+          return 0;
         });
       
       completionPromises.push(promise);
     });
     
-    await Promise.all(completionPromises);
+    const completed = (await Promise.all(completionPromises)).reduce((sum, count) => sum + count, 0);
     
-    console.log(`Completed ${completionPromises.length} A/B tests`);
+    console.log(`Analyzed ${completionPromises.length} A/B tests, completed ${completed}`);
     return null;
   } catch (error) {
     console.error('Error in scheduled A/B test completion:', error);
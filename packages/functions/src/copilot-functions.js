@@ -5,6 +5,8 @@
 const functions = require('firebase-functions');
 const cors = require('cors')({ origin: true });
 const { aiMarketingCopilot, aiMarketingCopilotAutonomous } = require('./features');
+const { LLMEngine, LLMProvider } = require('./utils/llm');
+const { ChunkType, writeSSEChunk } = require('./utils/llm/streaming');
 const admin = require('firebase-admin');
 
 // Initialize Firestore if not already initialized
@@ -12,6 +14,41 @@ if (!admin.apps.length) {
   admin.initializeApp();
 }
 
+// Output token budget for a streamed generation, whatever the client asks for
+const DEFAULT_STREAM_MAX_TOKENS = 1000;
+const MAX_STREAM_MAX_TOKENS = 2000;
+
+/**
+ * Get the signed-in user from the request's Firebase ID token
+ * @param {Object} req - HTTP request
+ * @returns {Promise<Object|null>} Decoded ID token, or null if it is missing or invalid
+ */
+const getRequestUser = async (req) => {
+  const match = (req.headers.authorization || '').match(/^Bearer (.+)$/);
+  if (!match) {
+    return null;
+  }
+  try {
+    return await admin.auth().verifyIdToken(match[1]);
+  } catch (error) {
+    console.warn('Rejected invalid ID token:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Clamp a requested output token budget for streaming
+ * @param {*} maxTokens - Requested maximum tokens
+ * @returns {number} Token budget between 1 and MAX_STREAM_MAX_TOKENS
+ */
+const clampStreamMaxTokens = (maxTokens) => {
+  const requested = Math.floor(Number(maxTokens));
+  if (!Number.isFinite(requested) || requested <= 0) {
+    return DEFAULT_STREAM_MAX_TOKENS;
+  }
+  return Math.min(requested, MAX_STREAM_MAX_TOKENS);
+};
+
 /**
  * Generate campaign improvement suggestions
  */
@@ -441,6 +478,75 @@ exports.getAutonomousActionLogs = functions.https.onRequest((req, res) => {
   });
 });
 
+/**
+ * Stream generated text as server-sent events (delta chunks, then a done chunk with token usage)
+ *
+ * The caller must send a Firebase ID token; usage is metered to that user.
+ */
+exports.streamCopilotGeneration = functions.https.onRequest((req, res) => {
+  cors(req, res, async () => {
+    // Check if request method is POST
+    if (req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const user = await getRequestUser(req);
+    if (!user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    // Get parameters from request body
+    const { prompt, systemPrompt, temperature, maxTokens, model, contextId } = req.body;
+
+    // Validate parameters
+    if (!prompt) {
+      return res.status(400).json({ error: 'Missing required parameters' });
+    }
+    if (model && !Object.values(LLMProvider).includes(model)) {
+      return res.status(400).json({ error: `Unknown model provider: ${model}` });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.status(200);
+    if (typeof res.flushHeaders === 'function') {
+      res.flushHeaders();
+    }
+
+    let clientClosed = false;
+    req.on('close', () => {
+      clientClosed = true;
+    });
+
+    const engine = new LLMEngine(contextId || `copilot_stream_${Date.now()}`, model || LLMProvider.OPENAI, true, {
+      userId: user.uid,
+      // Tenant from the user's custom claims, when the deployment sets one
+      clientId: user.clientId || null,
+      feature: 'copilot_stream'
+    });
+    try {
+      const options = { systemPrompt, temperature, maxTokens: clampStreamMaxTokens(maxTokens) };
+      for await (const chunk of engine.streamText(prompt, options)) {
+        // Stop pulling from the provider once the client has gone away
+        if (clientClosed) {
+          break;
+        }
+        writeSSEChunk(res, chunk);
+      }
+    } catch (error) {
+      console.error('Error streaming copilot generation:', error);
+      if (!clientClosed) {
+        writeSSEChunk(res, { type: ChunkType.ERROR, error: error.message });
+      }
+    }
+    return res.end();
+  });
+});
+
 /**
  * Scheduled function to run autonomous monitoring daily
  */
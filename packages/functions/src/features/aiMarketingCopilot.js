@@ -12,6 +12,8 @@
 const functions = require('firebase-functions');
 const { openai, gemini, claude } = require('../apis');
 const admin = require('firebase-admin');
+const { LLMEngine, LLMProvider, StructuredOutputError } = require('../utils/llm');
+const { CircuitOpenError } = require('../utils/circuitBreaker');
 const { logger } = functions;
 
 // Initialize Firestore if not already initialized
@@ -178,13 +180,72 @@ const selectBestModel = (preferredModel, taskType) => {
   return bestModel;
 };
 
+/**
+ * Map a Copilot model name to an LLM provider
+ * @param {string} model - Model name ('openai', 'gemini', or 'claude')
+ * @returns {string} LLM provider
+ */
+const toLLMProvider = (model) => {
+  switch (model) {
+    case 'gemini':
+      return LLMProvider.GEMINI;
+    case 'claude':
+      return LLMProvider.ANTHROPIC;
+    default:
+      return LLMProvider.OPENAI;
+  }
+};
+
+/**
+ * JSON Schema for campaign suggestions
+ */
+const CAMPAIGN_SUGGESTIONS_SCHEMA = {
+  type: 'object',
+  required: ['suggestions'],
+  properties: {
+    suggestions: {
+      type: 'array',
+      minItems: 1,
+      maxItems: 10,
+      items: {
+        type: 'object',
+        required: ['title', 'detail'],
+        properties: {
+          title: { type: 'string', minLength: 1 },
+          detail: { type: 'string', minLength: 1 }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Build the JSON Schema for a fixed number of content variations
+ * @param {number} count - Number of variations
+ * @returns {Object} JSON Schema
+ */
+const contentVariationsSchema = (count) => ({
+  type: 'object',
+  required: ['variations'],
+  properties: {
+    variations: {
+      type: 'array',
+      minItems: count,
+      maxItems: count,
+      items: { type: 'string', minLength: 1 }
+    }
+  }
+});
+
 /**
  * Generate campaign improvement suggestions based on performance data
  * @param {string} campaignId - ID of the campaign to analyze
  * @param {string} model - AI model to use ('openai', 'gemini', or 'claude')
+ * @param {Object} options - Options
+ * @param {boolean} options.bypassCache - Ask the model again even if an identical prompt was answered recently
  * @returns {Promise<Array>} List of improvement suggestions
  */
-const generateCampaignSuggestions = async (campaignId, model = 'openai') => {
+const generateCampaignSuggestions = async (campaignId, model = 'openai', options = {}) => {
   const functionName = 'generateCampaignSuggestions';
   const context = { campaignId, model };
   
@@ -284,33 +345,32 @@ const generateCampaignSuggestions = async (campaignId, model = 'openai') => {
       ${metrics.map(m => `- ${m.timestamp}: Opens: ${m.opens}, Clicks: ${m.clicks}, Conversions: ${m.conversions}`).join('\n')}
       
       Based on this data, provide 5 specific, actionable suggestions to improve this campaign's performance.
-      Format each suggestion as: [Suggestion Title]: [Detailed explanation with specific changes]
+      Return a JSON object with a "suggestions" array. Each suggestion has a short "title" and a "detail"
+      with a detailed explanation of the specific changes.
     `;
     
     // Get suggestions from selected AI model with retry
     const generateSuggestions = async () => {
       try {
-        let suggestions;
+        const engine = new LLMEngine(`campaign_suggestions_${campaignId}`, toLLMProvider(selectedModel), true, {
+          feature: 'campaign_suggestions'
+        });
         
-        switch (selectedModel) {
-          case 'gemini':
-            suggestions = await gemini.generateContent(prompt);
-            break;
-          case 'claude':
-            suggestions = await claude.generateContent(prompt, {
-              max_tokens: 1000,
-              temperature: 0.7
-            });
-            break;
-          default: // openai
-            suggestions = await openai.generateContent(prompt, {
-              max_tokens: 1000,
-              temperature: 0.7
-            });
+        return await engine.generateStructured(prompt, CAMPAIGN_SUGGESTIONS_SCHEMA, {
+          maxTokens: 1000,
+          temperature: 0.7,
+          cache: { feature: 'campaign_suggestions', bypass: options.bypassCache }
+        });
+      } catch (error) {
+        if (error instanceof StructuredOutputError) {
+          throw new MarketingCopilotError(
+            `Failed to parse suggestions: ${error.message}`,
+            ErrorTypes.PARSING_ERROR,
+            error,
+            { ...context, selectedModel, validationErrors: error.validationErrors }
+          );
         }
         
-        return suggestions;
-      } catch (error) {
         throw new MarketingCopilotError(
           `Failed to generate suggestions using ${selectedModel}: ${error.message}`,
           ErrorTypes.AI_SERVICE_ERROR,
@@ -324,21 +384,11 @@ const generateCampaignSuggestions = async (campaignId, model = 'openai') => {
       generateSuggestions,
       3,
       500,
-      (error) => error.type === ErrorTypes.AI_SERVICE_ERROR
+      (error) => error.type === ErrorTypes.AI_SERVICE_ERROR && !(error.originalError instanceof CircuitOpenError)
     );
     
-    // Parse suggestions into structured format
-    let parsedSuggestions;
-    try {
-      parsedSuggestions = parseSuggestions(suggestions);
-    } catch (error) {
-      throw new MarketingCopilotError(
-        `Failed to parse suggestions: ${error.message}`,
-        ErrorTypes.PARSING_ERROR,
-        error,
-        { ...context, suggestions }
-      );
-    }
+    // Convert the validated response into the stored format
+    const parsedSuggestions = parseSuggestions(suggestions);
     
     // Store suggestions in Firestore
     const storeSuggestions = async () => {
@@ -473,33 +523,31 @@ const generateContentVariations = async (contentId, variations = 3, model = 'ope
       - Call to action phrasing
       
       For each variation, keep a similar length to the original.
-      Format each variation as: "Variation #: [content]"
+      Return a JSON object with a "variations" array containing exactly ${variations} strings, one per variation.
     `;
     
     // Get variations from selected AI model with retry
     const generateVariations = async () => {
       try {
-        let generatedVariations;
+        const engine = new LLMEngine(`content_variations_${contentId}`, toLLMProvider(selectedModel), true, {
+          feature: 'content_variations'
+        });
         
-        switch (selectedModel) {
-          case 'gemini':
-            generatedVariations = await gemini.generateContent(prompt);
-            break;
-          case 'claude':
-            generatedVariations = await claude.generateContent(prompt, {
-              max_tokens: 1500,
-              temperature: 0.8
-            });
-            break;
-          default: // openai
-            generatedVariations = await openai.generateContent(prompt, {
-              max_tokens: 1500,
-              temperature: 0.8
-            });
+        return await engine.generateStructured(prompt, contentVariationsSchema(variations), {
+          maxTokens: 1500,
+          temperature: 0.8,
+          cache: false
+        });
+      } catch (error) {
+        if (error instanceof StructuredOutputError) {
+          throw new MarketingCopilotError(
+            `Failed to parse content variations: ${error.message}`,
+            ErrorTypes.PARSING_ERROR,
+            error,
+            { ...context, selectedModel, validationErrors: error.validationErrors }
+          );
         }
         
-        return generatedVariations;
-      } catch (error) {
         throw new MarketingCopilotError(
           `Failed to generate content variations using ${selectedModel}: ${error.message}`,
           ErrorTypes.AI_SERVICE_ERROR,
@@ -513,21 +561,11 @@ const generateContentVariations = async (contentId, variations = 3, model = 'ope
       generateVariations,
       3,
       500,
-      (error) => error.type === ErrorTypes.AI_SERVICE_ERROR
+      (error) => error.type === ErrorTypes.AI_SERVICE_ERROR && !(error.originalError instanceof CircuitOpenError)
     );
     
-    // Parse variations into structured format
-    let parsedVariations;
-    try {
-      parsedVariations = parseContentVariations(generatedVariations, variations);
-    } catch (error) {
-      throw new MarketingCopilotError(
-        `Failed to parse content variations: ${error.message}`,
-        ErrorTypes.PARSING_ERROR,
-        error,
-        { ...context, generatedVariations }
-      );
-    }
+    // Convert the validated response into the stored format
+    const parsedVariations = parseContentVariations(generatedVariations, variations);
     
     // Store variations in Firestore
     const storeVariations = async () => {
@@ -1892,149 +1930,25 @@ const optimizeAdBudgetAllocation = async (adCampaignId) => {
 // Helper functions
 
 /**
- * Parse suggestions from AI response
- * @param {string} suggestionsText - Raw suggestions text from AI
- * @returns {Array} Parsed suggestions
+ * Convert a validated suggestions response into suggestion objects
+ * @param {Object} suggestionsData - Response matching CAMPAIGN_SUGGESTIONS_SCHEMA
+ * @returns {Array} Suggestions ({ title, detail })
  */
-const parseSuggestions = (suggestionsText) => {
-  try {
-    // Try to parse as JSON first
-    if (typeof suggestionsText === 'object') {
-      if (Array.isArray(suggestionsText.suggestions)) {
-        return suggestionsText.suggestions;
-      } else if (suggestionsText.suggestion1 || suggestionsText.suggestion2) {
-        // Handle numbered suggestion keys
-        const suggestions = [];
-        for (let i = 1; i <= 10; i++) {
-          const key = `suggestion${i}`;
-          if (suggestionsText[key]) {
-            suggestions.push({
-              title: suggestionsText[key].title || `Suggestion ${i}`,
-              detail: suggestionsText[key].detail || suggestionsText[key]
-            });
-          }
-        }
-        if (suggestions.length > 0) {
-          return suggestions;
-        }
-      }
-    }
-    
-    // If not JSON or JSON parsing failed, parse as text
-    if (typeof suggestionsText !== 'string') {
-      suggestionsText = String(suggestionsText);
-    }
-    
-    const suggestions = [];
-    const lines = suggestionsText.split('\n');
-    
-    let currentSuggestion = null;
-    
-    for (const line of lines) {
-      const trimmedLine = line.trim();
-      if (!trimmedLine) continue;
-      
-      // Check if this is a new suggestion (starts with a number or has a colon)
-      const suggestionMatch = trimmedLine.match(/^(\d+\.\s*|[^:]+:)(.+)/);
-      
-      if (suggestionMatch) {
-        // Save previous suggestion if exists
-        if (currentSuggestion) {
-          suggestions.push(currentSuggestion);
-        }
-        
-        // Start new suggestion
-        const title = suggestionMatch[1].replace(/^\d+\.\s*/, '').replace(/:$/, '');
-        const detail = suggestionMatch[2].trim();
-        
-        currentSuggestion = {
-          title: title,
-          detail: detail
-        };
-      } else if (currentSuggestion) {
-        // Continue previous suggestion
-        currentSuggestion.detail += ' ' + trimmedLine;
-      }
-    }
-    
-    // Add the last suggestion
-    if (currentSuggestion) {
-      suggestions.push(currentSuggestion);
-    }
-    
-    return suggestions;
-  } catch (error) {
-    logger.error('Error parsing suggestions:', error);
-    
-    // Return simple array of suggestion objects as fallback
-    return [{ title: 'Error parsing suggestions', detail: 'Please try again with a different prompt or model.' }];
-  }
+const parseSuggestions = (suggestionsData) => {
+  return suggestionsData.suggestions.map(suggestion => ({
+    title: suggestion.title.trim(),
+    detail: suggestion.detail.trim()
+  }));
 };
 
 /**
- * Parse content variations from AI response
- * @param {string} variationsText - Raw variations text from AI
+ * Convert a validated variations response into variation texts
+ * @param {Object} variationsData - Response matching contentVariationsSchema(expectedCount)
  * @param {number} expectedCount - Expected number of variations
- * @returns {Array} Parsed variations
+ * @returns {Array<string>} Variations
  */
-const parseContentVariations = (variationsText, expectedCount) => {
-  try {
-    // Try to parse as JSON first
-    if (typeof variationsText === 'object') {
-      if (Array.isArray(variationsText.variations)) {
-        return variationsText.variations;
-      } else if (variationsText.variation1 || variationsText.variation2) {
-        // Handle numbered variation keys
-        const variations = [];
-        for (let i = 1; i <= expectedCount; i++) {
-          const key = `variation${i}`;
-          if (variationsText[key]) {
-            variations.push(variationsText[key]);
-          }
-        }
-        if (variations.length > 0) {
-          return variations;
-        }
-      }
-    }
-    
-    // If not JSON or JSON parsing failed, parse as text
-    if (typeof variationsText !== 'string') {
-      variationsText = String(variationsText);
-    }
-    
-    const variations = [];
-    const lines = variationsText.split('\n');
-    
-    let currentVariation = '';
-    
-    for (const line of lines) {
-      if (line.match(/^Variation\s*#?\s*\d+\s*:/i)) {
-        if (currentVariation) {
-          variations.push(currentVariation.trim());
-        }
-        currentVariation = line.replace(/^Variation\s*#?\s*\d+\s*:/i, '').trim();
-      } else if (currentVariation !== '') {
-        currentVariation += ' ' + line.trim();
-      }
-    }
-    
-    if (currentVariation) {
-      variations.push(currentVariation.trim());
-    }
-    
-    if (variations.length > 0) {
-      return variations;
-    }
-    
-    // Simple fallback: split by double newlines
-    return variationsText.split(/\n\s*\n/).filter(v => v.trim()).map(v => v.trim());
-  } catch (error) {
-    logger.error('Error parsing content variations:', error);
-    
-    // Return simple array of variations as fallback
-    return Array(expectedCount).fill('Error parsing variations. Please try again with a different prompt or model.');
-  }
+const parseContentVariations = (variationsData, expectedCount) => {
+  return variationsData.variations.slice(0, expectedCount).map(variation => variation.trim());
 };
 
 /**
@@ -17,6 +17,7 @@ const functions = require('firebase-functions');
 const { openai, gemini, facebook, tiktok, rapidapiTwitter } = require('../apis');
 const admin = require('firebase-admin');
 const aiMarketingCopilot = require('./aiMarketingCopilot');
+const { createAllocation, computePosteriors, selectVariation, withArmMetrics, recordArmMetric } = require('../utils/banditAllocation');
 
 // Initialize Firestore if not already initialized
 if (!admin.apps.length) {
@@ -640,12 +641,27 @@ const implementAbTest = async (userId, campaignId, opportunity) => {
       throw new Error(`Unsupported test type: ${opportunity.details.suggestedTestType}`);
     }
     
+    // Each variation is an arm the bandit allocates sends across (the first is the original)
+    const arms = variations.map((content, index) => ({
+      id: `variation_${index}`,
+      content,
+      isOriginal: index === 0,
+      metrics: {
+        views: 0,
+        clicks: 0,
+        conversions: 0
+      }
+    }));
+    
     // Create A/B test
     const testRef = await db.collection('abTests').add({
       campaignId,
       userId,
       testType: opportunity.details.suggestedTestType,
+      testField,
       variations,
+      arms,
+      allocation: createAllocation(opportunity.details.allocation),
       status: 'active',
       startDate: admin.firestore.FieldValue.serverTimestamp(),
       endDate: null,
@@ -688,6 +704,79 @@ const implementAbTest = async (userId, campaignId, opportunity) => {
   }
 };
 
+/**
+ * Choose the variation of a campaign A/B test to use for one send
+ * @param {string} testId - A/B test ID
+ * @param {Object} [options] - { recordImpression: count the send as a view (default true) }
+ * @returns {Promise<Object>} Selected variation
+ */
+const selectAbTestVariation = async (testId, options = {}) => {
+  try {
+    const testDoc = await db.collection('abTests').doc(testId).get();
+    
+    if (!testDoc.exists) {
+      throw new Error(`A/B test with ID ${testId} not found`);
+    }
+    
+    const test = testDoc.data();
+    
+    if (!test.arms) {
+      throw new Error(`A/B test ${testId} does not support traffic allocation`);
+    }
+    
+    const selection = selectVariation(withArmMetrics(test.arms, test.armMetrics), test.allocation);
+    const arm = test.arms.find(a => a.id === selection.variationId);
+    
+    if (options.recordImpression !== false) {
+      await recordArmMetric(testDoc.ref, test, 'arms', arm.id, 'views', 1);
+    }
+    
+    return {
+      testId,
+      testField: test.testField,
+      variationId: arm.id,
+      content: arm.content,
+      isOriginal: arm.isOriginal,
+      strategy: selection.strategy,
+      explored: selection.explored
+    };
+  } catch (error) {
+    console.error('Error selecting A/B test variation:', error);
+    throw new Error('Failed to select A/B test variation');
+  }
+};
+
+/**
+ * Record metrics for a campaign A/B test variation
+ * @param {string} testId - A/B test ID
+ * @param {string} variationId - Variation ID
+ * @param {string} metricType - Metric type (views, clicks, conversions)
+ * @param {number} [value=1] - Metric value to add
+ * @returns {Promise<Object>} Arms and bandit posteriors as of this update
+ */
+const updateAbTestMetrics = async (testId, variationId, metricType, value = 1) => {
+  try {
+    const testRef = db.collection('abTests').doc(testId);
+    const testDoc = await testRef.get();
+    
+    if (!testDoc.exists) {
+      throw new Error(`A/B test with ID ${testId} not found`);
+    }
+    
+    const arms = await recordArmMetric(testRef, testDoc.data(), 'arms', variationId, metricType, value);
+    const posteriors = computePosteriors(arms, undefined, (testDoc.data().allocation || {}).prior);
+    
+    return {
+      id: testId,
+      arms,
+      posteriors
+    };
+  } catch (error) {
+    console.error('Error updating A/B test metrics:', error);
+    throw new Error('Failed to update A/B test metrics');
+  }
+};
+
 /**
  * Generate subject line variations for A/B testing
  * @param {Object} campaign - Campaign data
@@ -1796,6 +1885,10 @@ module.exports = {
   implementTrendingTopics,
   manageCrossChannelCoordination,
   
+  // A/B test traffic allocation
+  selectAbTestVariation,
+  updateAbTestMetrics,
+  
   // Action logging and transparency
   logAutonomousAction
 };
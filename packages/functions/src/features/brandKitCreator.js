@@ -10,13 +10,13 @@ const admin = require('firebase-admin');
 const axios = require('axios');
 const cheerio = require('cheerio');
 const { JSDOM } = require('jsdom');
-const ColorThief = require('colorthief');
-const { createCanvas, Image } = require('canvas');
 const tinycolor = require('tinycolor2');
 const { OpenAI } = require('openai');
 const { Claude } = require('../apis/claude');
 const { Gemini } = require('../apis/gemini');
 const { getModelSelector } = require('../apis');
+const { getResponseCache } = require('../utils/llm/responseCache');
+const { extractImageColors } = require('../utils/imageColors');
 
 // Initialize OpenAI client
 const openai = new OpenAI({
@@ -95,7 +95,7 @@ exports.extractBrandElements = functions.https.onCall(async (data, context) => {
     const textContent = extractTextContent($);
     
     // Analyze brand voice using AI
-    const brandVoice = await analyzeBrandVoice(textContent, brandName);
+    const brandVoice = await analyzeBrandVoice(textContent, brandName, { bypassCache: data.refresh === true });
     
     // Return extracted brand elements
     return {
@@ -251,42 +251,6 @@ async function extractColors($, document) {
   return colorArray.slice(0, 8);
 }
 
-/**
- * Extract colors from an image URL
- * @param {string} imageUrl - The image URL
- * @returns {Promise<Array>} - Array of extracted colors
- */
-async function extractImageColors(imageUrl) {
-  try {
-    // Fetch image
-    const response = await axios.get(imageUrl, {
-      responseType: 'arraybuffer'
-    });
-    
-    // Create image from buffer
-    const img = new Image();
-    const buffer = Buffer.from(response.data, 'binary');
-    img.src = buffer;
-    
-    // Create canvas and draw image
-    const canvas = createCanvas(img.width, img.height);
-    const ctx = canvas.getContext('2d');
-    ctx.drawImage(img, 0, 0);
-    
-    // Extract dominant colors
-    const colorThief = new ColorThief();
-    const palette = colorThief.getPalette(img, 5);
-    
-    // Convert RGB to hex
-    return palette.map(rgb => {
-      return tinycolor({ r: rgb[0], g: rgb[1], b: rgb[2] }).toHexString();
-    });
-  } catch (error) {
-    console.error('Error extracting image colors:', error);
-    return [];
-  }
-}
-
 /**
  * Filter out similar colors
  * @param {Array} colors - Array of colors
@@ -500,9 +464,11 @@ function extractTextContent($) {
  * Analyze brand voice using AI
  * @param {string} textContent - Text content from website
  * @param {string} brandName - Brand name
+ * @param {Object} options - Options
+ * @param {boolean} options.bypassCache - Re-analyze even if this site was analyzed recently
  * @returns {Promise<Object>} - Brand voice analysis
  */
-async function analyzeBrandVoice(textContent, brandName) {
+async function analyzeBrandVoice(textContent, brandName, options = {}) {
   try {
     // Prepare prompt for AI
     const prompt = `
@@ -517,9 +483,11 @@ async function analyzeBrandVoice(textContent, brandName) {
       3. Tone: The personality of how the brand sounds and feels (e.g., professional, friendly, authoritative)
       4. Emotions: The feelings they aim to inspire (e.g., trust, excitement, confidence)
       5. Character: The role the brand takes on in interactions (e.g., guide, friend, expert)
+      6. BannedWords: Words and phrases the brand avoids and that would be off-brand in its content (e.g., competitor names, slang it never uses, claims it never makes)
       
-      Format your response as a JSON object with these fields.
+      Format your response as a JSON object with the fields purpose, audience, tone, emotions, character and bannedWords.
     `;
+    const systemPrompt = 'You are a brand voice analysis expert. Extract brand voice characteristics from website content and return them in JSON format.';
     
     // Select the best model for this task using the model selector
     const selectedModel = await modelSelector.selectModel({
@@ -528,58 +496,85 @@ async function analyzeBrandVoice(textContent, brandName) {
       priority: 'accuracy'
     });
     
-    let result;
-    
-    // Use the selected AI model
-    switch (selectedModel.provider) {
-      case 'openai':
-        result = await openai.chat.completions.create({
-          model: selectedModel.model,
-          messages: [
-            { role: 'system', content: 'You are a brand voice analysis expert. Extract brand voice characteristics from website content and return them in JSON format.' },
-            { role: 'user', content: prompt }
-          ],
-          temperature: 0.3,
-          response_format: { type: 'json_object' }
-        });
-        
-        return JSON.parse(result.choices[0].message.content);
-        
-      case 'anthropic':
-        result = await claude.messages.create({
-          model: selectedModel.model,
-          system: 'You are a brand voice analysis expert. Extract brand voice characteristics from website content and return them in JSON format.',
-          messages: [
-            { role: 'user', content: prompt }
-          ],
-          temperature: 0.3
-        });
-        
-        // Extract JSON from Claude's response
-        const claudeContent = result.content[0].text;
-        const jsonMatch = claudeContent.match(/\{[\s\S]*\}/);
-        return jsonMatch ? JSON.parse(jsonMatch[0]) : defaultBrandVoice(brandName);
+    // Use the selected AI model; only successful analyses are cached, and re-crawls of
+    // the same site with unchanged text reuse the earlier analysis
+    const brandVoice = await getResponseCache().getOrCompute(
+      {
+        prompt,
+        systemPrompt,
+        model: `${selectedModel.provider}:${selectedModel.model}`,
+        temperature: 0.3,
+        feature: 'brand_voice_analysis'
+      },
+      async () => {
+        let result;
         
-      case 'gemini':
-        result = await gemini.generateContent({
-          model: selectedModel.model,
-          contents: [
-            { role: 'user', parts: [{ text: prompt }] }
-          ],
-          generationConfig: {
-            temperature: 0.3
+        switch (selectedModel.provider) {
+          case 'openai':
+            result = await openai.chat.completions.create({
+              model: selectedModel.model,
+              messages: [
+                { role: 'system', content: systemPrompt },
+                { role: 'user', content: prompt }
+              ],
+              temperature: 0.3,
+              response_format: { type: 'json_object' }
+            });
+            
+            return JSON.parse(result.choices[0].message.content);
+            
+          case 'anthropic': {
+            result = await claude.messages.create({
+              model: selectedModel.model,
+              system: systemPrompt,
+              messages: [
+                { role: 'user', content: prompt }
+              ],
+              temperature: 0.3
+            });
+            
+            // Extract JSON from Claude's response
+            const claudeContent = result.content[0].text;
+            const jsonMatch = claudeContent.match(/\{[\s\S]*\}/);
+            return jsonMatch ? JSON.parse(jsonMatch[0]) : null;
           }
-        });
-        
-        // Extract JSON from Gemini's response
-        const geminiContent = result.response.candidates[0].content.parts[0].text;
-        const geminiJsonMatch = geminiContent.match(/\{[\s\S]*\}/);
-        return geminiJsonMatch ? JSON.parse(geminiJsonMatch[0]) : defaultBrandVoice(brandName);
-        
-      default:
-        // Fallback to default brand voice
-        return defaultBrandVoice(brandName);
+            
+          case 'gemini': {
+            result = await gemini.generateContent({
+              model: selectedModel.model,
+              contents: [
+                { role: 'user', parts: [{ text: prompt }] }
+              ],
+              generationConfig: {
+                temperature: 0.3
+              }
+            });
+            
+            // Extract JSON from Gemini's response
+            const geminiContent = result.response.candidates[0].content.parts[0].text;
+            const geminiJsonMatch = geminiContent.match(/\{[\s\S]*\}/);
+            return geminiJsonMatch ? JSON.parse(geminiJsonMatch[0]) : null;
+          }
+            
+          default:
+            return null;
+        }
+      },
+      { bypass: options.bypassCache }
+    );
+    
+    // Fallback to default brand voice
+    if (!brandVoice) {
+      return defaultBrandVoice(brandName);
     }
+    
+    // Influencer content is checked against the banned words, so keep only real words
+    return {
+      ...brandVoice,
+      bannedWords: (Array.isArray(brandVoice.bannedWords) ? brandVoice.bannedWords : [])
+        .filter(word => typeof word === 'string' && word.trim().length > 0)
+        .map(word => word.trim())
+    };
   } catch (error) {
     console.error('Error analyzing brand voice:', error);
     return defaultBrandVoice(brandName);
@@ -597,7 +592,8 @@ function defaultBrandVoice(brandName) {
     audience: 'General consumers interested in our offerings',
     tone: ['Professional', 'Informative', 'Helpful'],
     emotions: ['Trust', 'Confidence', 'Satisfaction'],
-    character: ['Expert', 'Guide', 'Provider']
+    character: ['Expert', 'Guide', 'Provider'],
+    bannedWords: []
   };
 }
 
@@ -12,6 +12,59 @@
 const functions = require('firebase-functions');
 const { openai } = require('../apis');
 const admin = require('firebase-admin');
+const { ReachSparkError, ErrorTypes, SeverityLevels } = require('../utils/errorLogging');
+const {
+  setupCollaborationPayments,
+  releaseApprovalMilestone,
+  releasePerformanceMilestones,
+  releaseHeldMilestones,
+  refundCampaignMilestones,
+  getCampaignPaymentLedger
+} = require('../utils/milestonePayments');
+const {
+  NegotiationState,
+  NegotiationAction,
+  NegotiationParty,
+  transitionNegotiation,
+  isOpenNegotiation,
+  buildOffer,
+  checkOfferResponse,
+  isOfferExpired,
+  createContractDocument,
+  getContractDocument
+} = require('../utils/collaborationContracts');
+const {
+  AudienceQualityDefaults,
+  getAuthenticityScore,
+  analyzeAudienceQuality
+} = require('../utils/audienceQuality');
+const {
+  CheckStatus,
+  ComplianceOutcome,
+  ComplianceCheck,
+  moderationCheck,
+  summarizeChecklist,
+  runRuleChecks
+} = require('../utils/contentCompliance');
+const {
+  TrackingSource,
+  generateShortCode,
+  promoPrefixFor,
+  validateDestinationUrl,
+  buildTrackedDestination,
+  isBotUserAgent,
+  createTrackedLink,
+  createPromoCode,
+  getTrackedLink,
+  getPromoCode,
+  logLinkClick,
+  creditInfluencers,
+  recordInfluencerCredits,
+  recordPromoRedemption,
+  getInfluencerTrackingAssets,
+  summarizeCampaignTracking
+} = require('../utils/influencerTracking');
+const revenueAttributionAI = require('./revenueAttributionAI');
 
 // Initialize Firestore if not already initialized
 if (!admin.apps.length) {
@@ -19,6 +72,15 @@ if (!admin.apps.length) {
 }
 const db = admin.firestore();
 
+// Created on first use; the safety boundaries module expects Firestore to be initialized
+let safetyBoundaries = null;
+
+// Loaded on first use; image decoding is only needed for compliance reviews
+let imageColors = null;
+
+// Most media items sampled for a submission's colors
+const MAX_COLOR_SAMPLES = 4;
+
 /**
  * Influencer categories
  */
@@ -148,6 +210,16 @@ const searchInfluencers = async (criteria) => {
         return;
       }
       
+      // Apply authenticity filter if provided; influencers that cannot be scored are left out
+      const authenticity = getAuthenticityScore(influencer);
+      influencer.authenticityScore = authenticity.score;
+      influencer.authenticityEstimated = authenticity.estimated;
+      
+      if (criteria.minAuthenticityScore && 
+          (authenticity.score === null || authenticity.score < criteria.minAuthenticityScore)) {
+        return;
+      }
+      
       influencers.push(influencer);
     });
     
@@ -156,6 +228,8 @@ const searchInfluencers = async (criteria) => {
       influencers.sort((a, b) => b.followerCount - a.followerCount);
     } else if (criteria.sortBy === 'engagementRate') {
       influencers.sort((a, b) => b.engagementRate - a.engagementRate);
+    } else if (criteria.sortBy === 'authenticityScore') {
+      influencers.sort((a, b) => (b.authenticityScore || 0) - (a.authenticityScore || 0));
     } else if (criteria.sortBy === 'relevanceScore') {
       // Calculate relevance score based on criteria match
       influencers.forEach(influencer => {
@@ -227,8 +301,13 @@ const calculateRelevanceScore = (influencer, criteria) => {
     }
   }
   
-  // Cap score at 100
-  return Math.min(100, score);
+  // Audience authenticity: reach and engagement from fake followers are worth nothing
+  if (influencer.authenticityScore !== null && influencer.authenticityScore !== undefined) {
+    score -= (100 - influencer.authenticityScore) * 0.3;
+  }
+  
+  // Keep score between 0 and 100
+  return Math.max(0, Math.min(100, score));
 };
 
 /**
@@ -349,11 +428,15 @@ const analyzeInfluencer = async (influencerId) => {
     // Analyze performance prediction
     const performancePrediction = await predictPerformance(profile, contentSamples);
     
+    // Check audience authenticity and store the score for search and recommendations
+    const audienceQuality = await analyzeAudienceQuality(influencerId, profile, contentSamples);
+    
     return {
       influencerId,
       influencerName: profile.name,
       contentAnalysis,
       engagementAnalysis,
+      audienceQuality,
       brandAlignmentAnalysis,
       performancePrediction,
       analyzedAt: admin.firestore.FieldValue.serverTimestamp()
@@ -839,8 +922,48 @@ const createInfluencerNotification = async (influencerId, title, message, data =
   }
 };
 
+/**
+ * Get the terms an accepted collaboration request pays out on
+ *
+ * Once the parties have negotiated, only the terms both of them agreed to count; an offer
+ * that is still open has to be accepted through respondToOffer.
+ * @param {string} requestId - Request ID
+ * @param {Object} request - Collaboration request data
+ * @returns {Object} Terms (see buildMilestonesFromTerms)
+ * @throws {ReachSparkError} When an offer is open or the negotiation ended without agreement
+ */
+const getAcceptedTerms = (requestId, request) => {
+  const negotiation = request.negotiation || { state: NegotiationState.NOT_STARTED };
+  if (isOpenNegotiation(negotiation.state)) {
+    throw new ReachSparkError(
+      'The current offer is still open; accept it with respondToOffer',
+      ErrorTypes.VALIDATION_ERROR,
+      SeverityLevels.WARNING,
+      null,
+      { requestId, state: negotiation.state, version: negotiation.version }
+    );
+  }
+  if (request.agreedTerms) {
+    return request.agreedTerms;
+  }
+  if (negotiation.state !== NegotiationState.NOT_STARTED) {
+    throw new ReachSparkError(
+      `The negotiation is ${negotiation.state} without agreed terms`,
+      ErrorTypes.VALIDATION_ERROR,
+      SeverityLevels.WARNING,
+      null,
+      { requestId, state: negotiation.state }
+    );
+  }
+  return { compensation: request.compensation };
+};
+
 /**
  * Update collaboration request status
+ *
+ * Accepting authorizes the payment milestones after the status is written. If setting them
+ * up fails the brand is notified, and accepting the request again retries it without
+ * authorizing any milestone twice.
  * @param {string} requestId - Request ID
  * @param {string} status - New status
  * @param {string} message - Optional message
@@ -857,6 +980,11 @@ const updateCollaborationRequestStatus = async (requestId, status, message = '')
     
     const request = requestDoc.data();
     
+    // Agreed terms become payment milestones, authorized against the brand's card on acceptance
+    let payments = null;
+    let tracking = null;
+    const terms = status === 'accepted' ? getAcceptedTerms(requestId, request) : null;
+    
     // Update status
     await db.collection('collaborationRequests').doc(requestId).update({
       status,
@@ -871,6 +999,21 @@ const updateCollaborationRequestStatus = async (requestId, status, message = '')
         updatedAt: admin.firestore.FieldValue.serverTimestamp()
       });
       
+      let paymentError = null;
+      try {
+        payments = await setupCollaborationPayments(requestId, request, terms);
+      } catch (error) {
+        console.error('Error setting up payments for accepted collaboration:', error);
+        paymentError = error.message;
+      }
+      
+      // A tracked link and promo code attribute the influencer's sales; acceptance stands without them
+      try {
+        tracking = await setupInfluencerTracking(request.campaignId, request.influencerId);
+      } catch (error) {
+        console.error('Error setting up tracking for accepted collaboration:', error);
+      }
+      
       // Create notification for brand
       await createBrandNotification(
         request.brandId,
@@ -883,6 +1026,31 @@ const updateCollaborationRequestStatus = async (requestId, status, message = '')
           influencerId: request.influencerId
         }
       );
+      
+      if (paymentError) {
+        await createBrandNotification(
+          request.brandId,
+          'Payment Setup Failed',
+          `Payments for influencer ID: ${request.influencerId} could not be set up; accept the request again to retry`,
+          {
+            type: 'payment_setup_failed',
+            requestId,
+            campaignId: request.campaignId,
+            error: paymentError
+          }
+        );
+      } else if (payments.failed > 0) {
+        await createBrandNotification(
+          request.brandId,
+          'Payment Authorization Failed',
+          `${payments.failed} payment milestone(s) for influencer ID: ${request.influencerId} could not be authorized`,
+          {
+            type: 'payment_authorization_failed',
+            requestId,
+            campaignId: request.campaignId
+          }
+        );
+      }
     } else if (status === 'declined') {
       // Create notification for brand
       await createBrandNotification(
@@ -902,10 +1070,15 @@ const updateCollaborationRequestStatus = async (requestId, status, message = '')
       id: requestId,
       ...request,
       status,
-      responseMessage: message
+      responseMessage: message,
+      payments,
+      tracking
     };
   } catch (error) {
     console.error('Error updating collaboration request status:', error);
+    if (error.type === ErrorTypes.VALIDATION_ERROR) {
+      throw error;
+    }
     throw new Error('Failed to update collaboration request status');
   }
 };
@@ -987,22 +1160,37 @@ const submitCampaignContent = async (campaignId, influencerId, contentData) => {
       updatedAt: admin.firestore.FieldValue.serverTimestamp()
     });
     
+    // Pre-review the submission; a failing check never blocks the submission itself
+    let complianceReview = null;
+    try {
+      complianceReview = await runComplianceReview(content, campaign);
+      await db.collection('campaignContent').doc(contentRef.id).update({ complianceReview });
+    } catch (error) {
+      console.error('Error running content compliance review:', error);
+    }
+    
+    const issues = complianceReview ?
+      complianceReview.counts[CheckStatus.FAIL] + complianceReview.counts[CheckStatus.WARNING] : 0;
+    
     // Create notification for brand
     await createBrandNotification(
       campaign.brandId,
       'New Content Submission',
-      `Influencer ID: ${influencerId} has submitted content for your campaign`,
+      `Influencer ID: ${influencerId} has submitted content for your campaign` +
+        (issues > 0 ? ` (compliance pre-review found ${issues} issue(s))` : ''),
       {
         type: 'content_submission',
         contentId: contentRef.id,
         campaignId,
-        influencerId
+        influencerId,
+        complianceOutcome: complianceReview ? complianceReview.outcome : null
       }
     );
     
     return {
       id: contentRef.id,
-      ...content
+      ...content,
+      complianceReview
     };
   } catch (error) {
     console.error('Error submitting campaign content:', error);
@@ -1010,14 +1198,191 @@ const submitCampaignContent = async (campaignId, influencerId, contentData) => {
   }
 };
 
+/**
+ * Get the brand kit to check a campaign's content against
+ * @param {Object} campaign - Campaign data
+ * @returns {Promise<Object|null>} Brand kit with its ID
+ */
+const getCampaignBrandKit = async (campaign) => {
+  if (campaign.brandKitId) {
+    const brandKitDoc = await db.collection('brandKits').doc(campaign.brandKitId).get();
+    return brandKitDoc.exists ? { id: brandKitDoc.id, ...brandKitDoc.data() } : null;
+  }
+  
+  // Fall back to the brand's own brand kit
+  const brandKitQuery = await db.collection('brandKits')
+    .where('userId', '==', campaign.brandId)
+    .limit(1)
+    .get();
+  
+  return brandKitQuery.empty ? null : { id: brandKitQuery.docs[0].id, ...brandKitQuery.docs[0].data() };
+};
+
+/**
+ * Check content against the brand's tone of voice
+ * @param {string} text - Caption and description
+ * @param {Array<string>} tone - Brand kit tone, e.g. ['Professional', 'Helpful']
+ * @returns {Promise<Object>} Checklist item
+ */
+const checkBrandTone = async (text, tone) => {
+  if (!text || tone.length === 0) {
+    return {
+      id: ComplianceCheck.BRAND_TONE,
+      status: CheckStatus.SKIPPED,
+      details: text ? 'The brand kit has no tone of voice' : 'No caption to check'
+    };
+  }
+  
+  try {
+    // Prepare prompt for AI
+    const prompt = `
+      As a brand reviewer, decide whether this influencer caption fits the brand's tone of voice.
+      
+      Brand tone: ${tone.join(', ')}
+      Caption: "${text}"
+      
+      Respond as JSON: { "matchesTone": true or false, "notes": "one sentence explaining why" }
+    `;
+    
+    const analysisResponse = await openai.generateContent(prompt, {
+      max_tokens: 200,
+      temperature: 0.2,
+      response_format: { type: "json_object" }
+    });
+    const analysis = JSON.parse(analysisResponse);
+    
+    // Tone is a judgment call, so a mismatch asks for a closer look rather than failing
+    return {
+      id: ComplianceCheck.BRAND_TONE,
+      status: analysis.matchesTone ? CheckStatus.PASS : CheckStatus.WARNING,
+      details: analysis.notes || (analysis.matchesTone ? 'Matches the brand tone' : 'Does not match the brand tone')
+    };
+  } catch (error) {
+    console.error('Error checking brand tone:', error);
+    return {
+      id: ComplianceCheck.BRAND_TONE,
+      status: CheckStatus.WARNING,
+      details: 'Tone could not be checked automatically'
+    };
+  }
+};
+
+/**
+ * Read the dominant colors of a submission's media
+ *
+ * Colors sent along with a submission are not trusted; only colors read from the media
+ * itself are checked against the brand palette.
+ * @param {Object} content - Content submission with mediaUrls or a contentUrl
+ * @returns {Promise<Array<string>>} Colors as hex (empty if no media could be read)
+ */
+const getContentColors = async (content) => {
+  const mediaUrls = Array.isArray(content.mediaUrls) && content.mediaUrls.length > 0 ?
+    content.mediaUrls : [content.contentUrl].filter(Boolean);
+  
+  try {
+    if (!imageColors) {
+      imageColors = require('../utils/imageColors');
+    }
+    const palettes = await Promise.all(
+      mediaUrls.slice(0, MAX_COLOR_SAMPLES).map(url => imageColors.extractImageColors(url))
+    );
+    
+    return [...new Set(palettes.flat())];
+  } catch (error) {
+    // Without colors the palette check is skipped rather than failing the whole review
+    console.error('Error reading content colors:', error);
+    return [];
+  }
+};
+
+/**
+ * Run the compliance pre-review for a content submission
+ * @param {Object} content - Content submission
+ * @param {Object} campaign - Campaign data
+ * @returns {Promise<Object>} Checklist { outcome, checks, counts, brandKitId, reviewedAt }
+ */
+const runComplianceReview = async (content, campaign) => {
+  const text = [content.caption, content.description].filter(Boolean).join('\n\n');
+  const brandKit = await getCampaignBrandKit(campaign) || {};
+  const voice = brandKit.voice || {};
+  const brief = campaign.brief && typeof campaign.brief === 'object' ? campaign.brief : {};
+  const requirements = campaign.requirements || {};
+  
+  const checks = runRuleChecks(
+    {
+      text,
+      colors: await getContentColors(content),
+      platformDisclosure: content.paidPartnershipLabel === true
+    },
+    {
+      bannedWords: brandKit.bannedWords || voice.bannedWords || [],
+      palette: brandKit.colors || [],
+      hashtags: brief.requiredHashtags || requirements.hashtags || [],
+      mentions: brief.requiredMentions || requirements.mentions || []
+    }
+  );
+  
+  checks.push(await checkBrandTone(text, voice.tone || []));
+  
+  if (!safetyBoundaries) {
+    const { SafetyBoundariesManager } = require('../utils/safetyBoundaries');
+    safetyBoundaries = new SafetyBoundariesManager();
+  }
+  checks.push(moderationCheck(await safetyBoundaries.performContentModeration(text)));
+  
+  return {
+    ...summarizeChecklist(checks),
+    brandKitId: brandKit.id || null,
+    reviewedAt: Date.now()
+  };
+};
+
+/**
+ * Re-run the compliance pre-review, e.g. after the influencer edits the caption
+ * @param {string} contentId - Content ID
+ * @returns {Promise<Object>} Updated checklist
+ */
+const reviewContentCompliance = async (contentId) => {
+  try {
+    // Get content
+    const contentDoc = await db.collection('campaignContent').doc(contentId).get();
+    
+    if (!contentDoc.exists) {
+      throw new Error(`Content with ID ${contentId} not found`);
+    }
+    
+    const content = contentDoc.data();
+    
+    // Get campaign
+    const campaignDoc = await db.collection('influencerCampaigns').doc(content.campaignId).get();
+    
+    if (!campaignDoc.exists) {
+      throw new Error(`Campaign with ID ${content.campaignId} not found`);
+    }
+    
+    const complianceReview = await runComplianceReview(content, campaignDoc.data());
+    await db.collection('campaignContent').doc(contentId).update({ complianceReview });
+    
+    return complianceReview;
+  } catch (error) {
+    console.error('Error reviewing content compliance:', error);
+    throw new Error('Failed to review content compliance');
+  }
+};
+
 /**
  * Review submitted content
+ *
+ * Content that failed the compliance pre-review can only be approved with an override.
+ * A payment that fails does not undo the approval: the error is returned as
+ * `paymentError`, saved on the content and sent to the brand.
  * @param {string} contentId - Content ID
  * @param {string} status - New status (approved/rejected)
  * @param {string} feedback - Feedback message
+ * @param {Object} options - { overrideCompliance }
  * @returns {Promise<Object>} Updated content
  */
-const reviewCampaignContent = async (contentId, status, feedback = '') => {
+const reviewCampaignContent = async (contentId, status, feedback = '', options = {}) => {
   try {
     // Get content
     const contentDoc = await db.collection('campaignContent').doc(contentId).get();
@@ -1028,10 +1393,27 @@ const reviewCampaignContent = async (contentId, status, feedback = '') => {
     
     const content = contentDoc.data();
     
+    const failedCompliance = content.complianceReview &&
+      content.complianceReview.outcome === ComplianceOutcome.FAILED;
+    
+    if (status === 'approved' && failedCompliance && !options.overrideCompliance) {
+      throw new ReachSparkError(
+        'Content failed the compliance review; approve with an override to publish it anyway',
+        ErrorTypes.VALIDATION_ERROR,
+        SeverityLevels.WARNING,
+        null,
+        {
+          contentId,
+          failedChecks: content.complianceReview.checks.filter(check => check.status === CheckStatus.FAIL)
+        }
+      );
+    }
+    
     // Update status
     await db.collection('campaignContent').doc(contentId).update({
       status,
       feedback,
+      complianceOverride: status === 'approved' && !!failedCompliance,
       reviewedAt: admin.firestore.FieldValue.serverTimestamp()
     });
     
@@ -1048,22 +1430,52 @@ const reviewCampaignContent = async (contentId, status, feedback = '') => {
       }
     );
     
-    // If approved, update campaign
+    // If approved, update campaign and pay out the next approval milestone
+    let payment = null;
+    let paymentError = null;
     if (status === 'approved') {
       await db.collection('influencerCampaigns').doc(content.campaignId).update({
         approvedContent: admin.firestore.FieldValue.arrayUnion(contentId),
         updatedAt: admin.firestore.FieldValue.serverTimestamp()
       });
+      
+      try {
+        payment = await releaseApprovalMilestone(content.campaignId, content.influencerId, contentId);
+      } catch (error) {
+        console.error('Error releasing approval milestone:', error);
+        paymentError = error.message;
+        
+        await db.collection('campaignContent').doc(contentId).update({ paymentError });
+        
+        const campaignDoc = await db.collection('influencerCampaigns').doc(content.campaignId).get();
+        if (campaignDoc.exists) {
+          await createBrandNotification(
+            campaignDoc.data().brandId,
+            'Milestone Payment Failed',
+            `The payment for approved content ID: ${contentId} could not be released: ${error.message}`,
+            {
+              type: 'payment_failed',
+              contentId,
+              campaignId: content.campaignId
+            }
+          );
+        }
+      }
     }
     
     return {
       id: contentId,
       ...content,
       status,
-      feedback
+      feedback,
+      payment,
+      paymentError
     };
   } catch (error) {
     console.error('Error reviewing campaign content:', error);
+    if (error.type === ErrorTypes.VALIDATION_ERROR) {
+      throw error;
+    }
     throw new Error('Failed to review campaign content');
   }
 };
@@ -1084,10 +1496,13 @@ const trackCampaignPerformance = async (campaignId) => {
     
     const campaign = campaignDoc.data();
     
+    // Clicks and sales measured through tracked links and promo codes
+    const tracking = await summarizeCampaignTracking(campaignId);
+    
     // Get approved content
     const approvedContentIds = campaign.approvedContent || [];
     
-    if (approvedContentIds.length === 0) {
+    if (approvedContentIds.length === 0 && tracking.totals.clicks === 0 && tracking.totals.conversions === 0) {
       return {
         campaignId,
         status: 'no_content',
@@ -1147,9 +1562,33 @@ const trackCampaignPerformance = async (campaignId) => {
       performanceByInfluencer[item.influencerId].conversions += metrics.conversions || 0;
     });
     
-    // Calculate ROI if budget is available
+    // Measured clicks and conversions replace the ones reported with the content
+    Object.entries(tracking.byInfluencer).forEach(([influencerId, tracked]) => {
+      const entry = performanceByInfluencer[influencerId] || {
+        reach: 0,
+        engagement: 0,
+        clicks: 0,
+        conversions: 0
+      };
+      
+      if (tracked.clicks > 0) {
+        totalClicks += tracked.clicks - entry.clicks;
+        entry.clicks = tracked.clicks;
+      }
+      if (tracked.conversions > 0) {
+        totalConversions += tracked.conversions - entry.conversions;
+        entry.conversions = tracked.conversions;
+      }
+      entry.revenue = tracked.revenue;
+      
+      performanceByInfluencer[influencerId] = entry;
+    });
+    
+    // Calculate ROI if budget is available, from attributed revenue once there is any
     let roi = 0;
-    if (campaign.budget && campaign.budget > 0 && campaign.conversionValue && campaign.conversionValue > 0) {
+    if (campaign.budget && campaign.budget > 0 && tracking.totals.revenue > 0) {
+      roi = (tracking.totals.revenue - campaign.budget) / campaign.budget;
+    } else if (campaign.budget && campaign.budget > 0 && campaign.conversionValue && campaign.conversionValue > 0) {
       const totalValue = totalConversions * campaign.conversionValue;
       roi = (totalValue - campaign.budget) / campaign.budget;
     }
@@ -1186,6 +1625,7 @@ const trackCampaignPerformance = async (campaignId) => {
       totalEngagement,
       totalClicks,
       totalConversions,
+      totalRevenue: tracking.totals.revenue,
       engagementRate: totalReach > 0 ? totalEngagement / totalReach : 0,
       clickThroughRate: totalEngagement > 0 ? totalClicks / totalEngagement : 0,
       conversionRate: totalClicks > 0 ? totalConversions / totalClicks : 0,
@@ -1198,6 +1638,9 @@ const trackCampaignPerformance = async (campaignId) => {
     // Save performance report
     await db.collection('campaignPerformance').add(performance);
     
+    // Pay out performance milestones whose targets have been reached
+    await releasePerformanceMilestones(campaignId, performanceByInfluencer);
+    
     // Update campaign with latest performance
     await db.collection('influencerCampaigns').doc(campaignId).update({
       performance,
@@ -1230,6 +1673,9 @@ const generateCampaignReport = async (campaignId) => {
     // Get performance data
     const performance = campaign.performance || await trackCampaignPerformance(campaignId);
     
+    // Tracked clicks and sales are read fresh; the stored performance may be a day old
+    const tracking = await summarizeCampaignTracking(campaignId);
+    
     // Get content items
     const approvedContentIds = campaign.approvedContent || [];
     
@@ -1243,8 +1689,11 @@ const generateCampaignReport = async (campaignId) => {
       ...doc.data()
     }));
     
-    // Get influencer data
-    const influencerIds = Object.keys(performance.performanceByInfluencer || {});
+    // Get influencer data, including influencers with tracked sales but no approved content
+    const influencerIds = [...new Set([
+      ...Object.keys(performance.performanceByInfluencer || {}),
+      ...Object.keys(tracking.byInfluencer)
+    ])];
     
     const influencerPromises = influencerIds.map(id => 
       db.collection('influencers').doc(id).get()
@@ -1259,6 +1708,20 @@ const generateCampaignReport = async (campaignId) => {
     // Generate insights
     const insights = await generateCampaignInsights(campaign, performance, contentItems, influencers);
     
+    // Revenue per creator, highest first
+    const revenueByInfluencer = influencers.map(influencer => {
+      const tracked = tracking.byInfluencer[influencer.id] || {};
+      return {
+        influencerId: influencer.id,
+        name: influencer.name,
+        clicks: tracked.clicks || 0,
+        redemptions: tracked.redemptions || 0,
+        conversions: tracked.conversions || 0,
+        revenue: tracked.revenue || 0,
+        promoCodeSales: tracked.promoCodeSales || 0
+      };
+    }).sort((a, b) => b.revenue - a.revenue);
+    
     // Create report
     const report = {
       campaignId,
@@ -1281,8 +1744,15 @@ const generateCampaignReport = async (campaignId) => {
         name: influencer.name,
         followerCount: influencer.followerCount,
         engagementRate: influencer.engagementRate,
-        performance: performance.performanceByInfluencer[influencer.id]
+        performance: (performance.performanceByInfluencer || {})[influencer.id],
+        tracking: tracking.byInfluencer[influencer.id] || null
       })),
+      revenue: {
+        attributed: tracking.totals.revenue,
+        promoCodeSales: tracking.totals.promoCodeSales,
+        conversions: tracking.totals.conversions,
+        byInfluencer: revenueByInfluencer
+      },
       insights,
       generatedAt: admin.firestore.FieldValue.serverTimestamp()
     };
@@ -1414,6 +1884,8 @@ const recommendInfluencers = async (campaignData, count = 10) => {
       audienceAgeRange: campaignData.targetAudience?.ageRange,
       audienceGender: campaignData.targetAudience?.gender,
       maxBudget: campaignData.budget,
+      minAuthenticityScore: campaignData.minAuthenticityScore !== undefined ?
+        campaignData.minAuthenticityScore : AudienceQualityDefaults.MIN_RECOMMENDED_SCORE,
       sortBy: 'relevanceScore'
     };
     
@@ -1451,7 +1923,12 @@ const recommendInfluencers = async (campaignData, count = 10) => {
         categories: influencer.categories,
         platforms: influencer.platforms,
         relevanceScore: influencer.relevanceScore,
-        estimatedReach: influencer.followerCount,
+        authenticityScore: influencer.authenticityScore,
+        authenticityEstimated: influencer.authenticityEstimated,
+        // Only the share of followers judged authentic counts towards reach
+        estimatedReach: influencer.authenticityScore === null ?
+          influencer.followerCount :
+          Math.round(influencer.followerCount * influencer.authenticityScore / 100),
         estimatedEngagement: Math.round(influencer.followerCount * influencer.engagementRate),
         rateCard: influencer.rateCard
       }));
@@ -1465,63 +1942,669 @@ const recommendInfluencers = async (campaignData, count = 10) => {
 
 /**
  * Negotiate collaboration terms
+ *
+ * The first offer proposes terms; every later offer counters the other party's latest one
+ * and must carry the version of the offer it counters.
  * @param {string} requestId - Collaboration request ID
- * @param {Object} counterOffer - Counter offer terms
- * @returns {Promise<Object>} Updated request
+ * @param {Object} counterOffer - { offeredBy, terms, message, expiresAt, version }
+ * @returns {Promise<Object>} Updated request with the new offer and its changes
  */
 const negotiateTerms = async (requestId, counterOffer) => {
   try {
-    // Get request
-    const requestDoc = await db.collection('collaborationRequests').doc(requestId).get();
-    
-    if (!requestDoc.exists) {
-      throw new Error(`Collaboration request with ID ${requestId} not found`);
-    }
+    const requestRef = db.collection('collaborationRequests').doc(requestId);
     
-    const request = requestDoc.data();
-    
-    // Update with counter offer
-    await db.collection('collaborationRequests').doc(requestId).update({
-      counterOffer,
-      negotiationHistory: admin.firestore.FieldValue.arrayUnion({
-        timestamp: admin.firestore.FieldValue.serverTimestamp(),
-        offeredBy: counterOffer.offeredBy,
-        terms: counterOffer.terms
-      }),
-      status: 'negotiating',
-      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    // Read the negotiation and record the new offer together, so offers cannot cross
+    const { request, offer, negotiation } = await db.runTransaction(async (transaction) => {
+      const requestDoc = await transaction.get(requestRef);
+      
+      if (!requestDoc.exists) {
+        throw new Error(`Collaboration request with ID ${requestId} not found`);
+      }
+      
+      const request = requestDoc.data();
+      
+      // Validate the terms and move the negotiation on
+      const { state, offer } = buildOffer(request.negotiation, counterOffer);
+      const negotiation = {
+        state,
+        version: offer.version,
+        currentOffer: offer,
+        expiresAt: offer.expiresAt
+      };
+      
+      // Update with counter offer
+      transaction.update(requestRef, {
+        counterOffer: { offeredBy: offer.offeredBy, terms: offer.terms },
+        negotiation,
+        negotiationHistory: admin.firestore.FieldValue.arrayUnion({
+          timestamp: offer.offeredAt,
+          action: offer.action,
+          version: offer.version,
+          offeredBy: offer.offeredBy,
+          terms: offer.terms,
+          changes: offer.changes
+        }),
+        status: 'negotiating',
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      
+      return { request, offer, negotiation };
     });
     
     // Create notification for recipient
-    const recipientId = counterOffer.offeredBy === 'brand' ? 
+    const recipientId = offer.offeredBy === NegotiationParty.BRAND ? 
       request.influencerId : request.brandId;
     
-    const notificationMethod = counterOffer.offeredBy === 'brand' ? 
+    const notificationMethod = offer.offeredBy === NegotiationParty.BRAND ? 
       createInfluencerNotification : createBrandNotification;
     
+    const changeSummary = offer.changes.length > 0 ?
+      ` Changed: ${offer.changes.map(change => change.path).join(', ')}.` : '';
+    
     await notificationMethod(
       recipientId,
-      'New Counter Offer',
-      `You have received a counter offer for collaboration request ID: ${requestId}`,
+      offer.action === NegotiationAction.PROPOSE ? 'New Offer' : 'New Counter Offer',
+      `You have received ${offer.action === NegotiationAction.PROPOSE ? 'an offer' : 'a counter offer'} for collaboration request ID: ${requestId}.${changeSummary}`,
       {
         type: 'counter_offer',
         requestId,
-        campaignId: request.campaignId
+        campaignId: request.campaignId,
+        version: offer.version,
+        expiresAt: offer.expiresAt
       }
     );
     
     return {
       id: requestId,
       ...request,
-      counterOffer,
+      counterOffer: { offeredBy: offer.offeredBy, terms: offer.terms },
+      negotiation,
       status: 'negotiating'
     };
   } catch (error) {
     console.error('Error negotiating terms:', error);
+    if (error.type === ErrorTypes.VALIDATION_ERROR) {
+      throw error;
+    }
     throw new Error('Failed to negotiate terms');
   }
 };
 
+/**
+ * Close a negotiation whose current offer was not answered in time
+ * @param {string} requestId - Collaboration request ID
+ * @param {Object} request - Collaboration request
+ * @returns {Promise<Object>} Expired negotiation
+ */
+const expireNegotiation = async (requestId, request) => {
+  const negotiation = {
+    ...request.negotiation,
+    state: transitionNegotiation(request.negotiation.state, NegotiationAction.EXPIRE)
+  };
+  
+  await db.collection('collaborationRequests').doc(requestId).update({
+    negotiation,
+    negotiationHistory: admin.firestore.FieldValue.arrayUnion({
+      timestamp: Date.now(),
+      action: NegotiationAction.EXPIRE,
+      version: negotiation.version
+    }),
+    status: 'expired',
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+  
+  const message = `The offer for collaboration request ID: ${requestId} expired without a response`;
+  const data = { type: 'offer_expired', requestId, campaignId: request.campaignId };
+  await createInfluencerNotification(request.influencerId, 'Offer Expired', message, data);
+  await createBrandNotification(request.brandId, 'Offer Expired', message, data);
+  
+  return negotiation;
+};
+
+/**
+ * Accept or reject the current offer
+ *
+ * The response must carry the version of the offer being answered, and the negotiation
+ * moves on in a transaction, so a counter offer that lands first is never accepted unseen.
+ * Accepting generates the contract document and accepts the collaboration request, which
+ * authorizes the payment milestones from the agreed terms.
+ * @param {string} requestId - Collaboration request ID
+ * @param {Object} response - { action: 'accept' | 'reject', respondedBy, version, message }
+ * @returns {Promise<Object>} Updated request, with the contract when accepted
+ */
+const respondToOffer = async (requestId, response) => {
+  try {
+    const requestRef = db.collection('collaborationRequests').doc(requestId);
+    const { action, respondedBy, message = '' } = response;
+    const now = Date.now();
+    
+    const { request, state, offer, negotiation, expired } = await db.runTransaction(async (transaction) => {
+      const requestDoc = await transaction.get(requestRef);
+      
+      if (!requestDoc.exists) {
+        throw new Error(`Collaboration request with ID ${requestId} not found`);
+      }
+      
+      const request = requestDoc.data();
+      const current = request.negotiation;
+      const state = checkOfferResponse(current, response);
+      
+      if (isOfferExpired(current, now)) {
+        return { request, expired: true };
+      }
+      
+      const offer = current.currentOffer;
+      const accepted = action === NegotiationAction.ACCEPT;
+      // The contract document is stored under the request ID once the transition commits
+      const negotiation = {
+        ...current,
+        state,
+        respondedBy,
+        respondedAt: now,
+        contractId: accepted ? requestId : null
+      };
+      
+      transaction.update(requestRef, {
+        negotiation,
+        negotiationHistory: admin.firestore.FieldValue.arrayUnion({
+          timestamp: now,
+          action,
+          version: offer.version,
+          respondedBy
+        }),
+        ...(accepted ? { agreedTerms: offer.terms, contractId: requestId } : {}),
+        ...(state === NegotiationState.REJECTED ? { status: 'declined', responseMessage: message } : {}),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      
+      return { request, state, offer, negotiation };
+    });
+    
+    if (expired) {
+      await expireNegotiation(requestId, request);
+      throw new ReachSparkError(
+        'This offer has expired',
+        ErrorTypes.VALIDATION_ERROR,
+        SeverityLevels.WARNING,
+        null,
+        { requestId, expiresAt: request.negotiation.expiresAt }
+      );
+    }
+    
+    if (state === NegotiationState.ACCEPTED) {
+      const contract = await createContractDocument(requestId, request, offer, now);
+      const accepted = await updateCollaborationRequestStatus(requestId, 'accepted', message);
+      
+      // The brand hears about acceptance from the status change; the influencer does not
+      if (respondedBy === NegotiationParty.BRAND) {
+        await createInfluencerNotification(
+          request.influencerId,
+          'Offer Accepted',
+          `Your offer for collaboration request ID: ${requestId} has been accepted`,
+          {
+            type: 'offer_accepted',
+            requestId,
+            campaignId: request.campaignId,
+            contractId: contract.id
+          }
+        );
+      }
+      
+      return { ...accepted, negotiation, contract };
+    }
+    
+    const notificationMethod = offer.offeredBy === NegotiationParty.BRAND ?
+      createBrandNotification : createInfluencerNotification;
+    
+    await notificationMethod(
+      offer.offeredBy === NegotiationParty.BRAND ? request.brandId : request.influencerId,
+      'Offer Rejected',
+      `Your offer for collaboration request ID: ${requestId} has been rejected`,
+      {
+        type: 'offer_rejected',
+        requestId,
+        campaignId: request.campaignId
+      }
+    );
+    
+    return {
+      id: requestId,
+      ...request,
+      negotiation,
+      status: 'declined',
+      responseMessage: message
+    };
+  } catch (error) {
+    console.error('Error responding to offer:', error);
+    if (error.type === ErrorTypes.VALIDATION_ERROR) {
+      throw error;
+    }
+    throw new Error('Failed to respond to offer');
+  }
+};
+
+/**
+ * Expire negotiations whose current offer is past its deadline
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<Array<string>>} IDs of the expired collaboration requests
+ */
+const expireNegotiations = async (now = Date.now()) => {
+  try {
+    const requestsQuery = await db.collection('collaborationRequests')
+      .where('status', '==', 'negotiating')
+      .get();
+    
+    const overdue = requestsQuery.docs.filter(doc => isOfferExpired(doc.data().negotiation, now));
+    
+    for (const doc of overdue) {
+      await expireNegotiation(doc.id, doc.data());
+    }
+    
+    return overdue.map(doc => doc.id);
+  } catch (error) {
+    console.error('Error expiring negotiations:', error);
+    throw new Error('Failed to expire negotiations');
+  }
+};
+
+/**
+ * Get the contract generated from a collaboration's accepted terms
+ * @param {string} requestId - Collaboration request ID
+ * @returns {Promise<Object>} Contract document
+ */
+const getCollaborationContract = async (requestId) => {
+  try {
+    const contract = await getContractDocument(requestId);
+    
+    if (!contract) {
+      throw new Error(`No contract found for collaboration request ID ${requestId}`);
+    }
+    
+    return contract;
+  } catch (error) {
+    console.error('Error getting collaboration contract:', error);
+    throw new Error('Failed to get collaboration contract');
+  }
+};
+
+/**
+ * Cancel an influencer campaign, voiding held payments and refunding unreleased funds
+ * @param {string} campaignId - Campaign ID
+ * @param {string} reason - Cancellation reason
+ * @returns {Promise<Object>} Cancelled campaign with refund summary
+ */
+const cancelInfluencerCampaign = async (campaignId, reason = '') => {
+  try {
+    // Get campaign
+    const campaignDoc = await db.collection('influencerCampaigns').doc(campaignId).get();
+    
+    if (!campaignDoc.exists) {
+      throw new Error(`Campaign with ID ${campaignId} not found`);
+    }
+    
+    const campaign = campaignDoc.data();
+    
+    // Release the money before the campaign is marked cancelled
+    const refunds = await refundCampaignMilestones(campaignId, reason || 'campaign_cancelled');
+    
+    await db.collection('influencerCampaigns').doc(campaignId).update({
+      status: CAMPAIGN_STATUS.CANCELLED,
+      cancellationReason: reason,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    
+    // Let accepted influencers know
+    await Promise.all((campaign.acceptedInfluencers || []).map(influencerId =>
+      createInfluencerNotification(
+        influencerId,
+        'Campaign Cancelled',
+        `Campaign ID: ${campaignId} has been cancelled`,
+        {
+          type: 'campaign_cancelled',
+          campaignId
+        }
+      )
+    ));
+    
+    return {
+      id: campaignId,
+      ...campaign,
+      status: CAMPAIGN_STATUS.CANCELLED,
+      refunds
+    };
+  } catch (error) {
+    console.error('Error cancelling influencer campaign:', error);
+    throw new Error('Failed to cancel influencer campaign');
+  }
+};
+
+/**
+ * Get a campaign's payment milestones and ledger
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<Object>} Milestones, ledger entries and totals
+ */
+const getCampaignPayments = async (campaignId) => {
+  try {
+    return await getCampaignPaymentLedger(campaignId);
+  } catch (error) {
+    console.error('Error getting campaign payments:', error);
+    throw new Error('Failed to get campaign payments');
+  }
+};
+
+/**
+ * Pay out approved milestones held on the platform to influencers who now have a payout account
+ * @param {string} [influencerId] - Only release this influencer's milestones
+ * @returns {Promise<Object>} { processed, released, failed }
+ */
+const releaseHeldPayments = async (influencerId) => {
+  try {
+    return await releaseHeldMilestones(influencerId ? { influencerId } : {});
+  } catch (error) {
+    console.error('Error releasing held payments:', error);
+    throw new Error('Failed to release held payments');
+  }
+};
+
+/**
+ * Give an influencer a tracked link and promo code for a campaign
+ *
+ * Links and codes the influencer already has are kept, so this is safe to call again. A
+ * link is only created when there is a destination, given here or set on the campaign as
+ * its landing page.
+ * @param {string} campaignId - Campaign ID
+ * @param {string} influencerId - Influencer ID
+ * @param {Object} options - { destinationUrl, discount, promoPrefix }
+ * @returns {Promise<Object>} The influencer's links and promo codes
+ */
+const setupInfluencerTracking = async (campaignId, influencerId, options = {}) => {
+  try {
+    const [campaignDoc, influencerDoc] = await Promise.all([
+      db.collection('influencerCampaigns').doc(campaignId).get(),
+      db.collection('influencers').doc(influencerId).get()
+    ]);
+    
+    if (!campaignDoc.exists) {
+      throw new Error(`Campaign with ID ${campaignId} not found`);
+    }
+    
+    const campaign = campaignDoc.data();
+    const influencer = influencerDoc.exists ? influencerDoc.data() : {};
+    const owner = { campaignId, influencerId, brandId: campaign.brandId };
+    const assets = await getInfluencerTrackingAssets(campaignId, influencerId);
+    
+    const destination = options.destinationUrl || campaign.landingPageUrl;
+    if (destination) {
+      const destinationUrl = validateDestinationUrl(destination);
+      if (!assets.links.some(link => link.destinationUrl === destinationUrl)) {
+        assets.links.push(await createTrackedLink({ ...owner, destinationUrl }));
+      }
+    }
+    
+    if (assets.promoCodes.length === 0) {
+      assets.promoCodes.push(await createPromoCode({
+        ...owner,
+        prefix: options.promoPrefix || promoPrefixFor(influencer),
+        discount: options.discount || campaign.promoDiscount || null
+      }));
+    }
+    
+    return {
+      campaignId,
+      influencerId,
+      ...assets
+    };
+  } catch (error) {
+    console.error('Error setting up influencer tracking:', error);
+    if (error.type === ErrorTypes.VALIDATION_ERROR) {
+      throw error;
+    }
+    throw new Error('Failed to set up influencer tracking');
+  }
+};
+
+/**
+ * Log a click on a tracked link and work out where to send the visitor
+ *
+ * Clicks from people become influencer touchpoints for the brand, keyed by an anonymous ID
+ * that is passed on to the landing page as rs_click.
+ * @param {string} code - Short code
+ * @param {Object} visitor - { anonymousId, userAgent, ipAddress, referrer }
+ * @returns {Promise<Object|null>} { destinationUrl, clickId, isBot }, or null for unknown links
+ */
+const handleTrackedLinkClick = async (code, visitor = {}) => {
+  try {
+    const link = await getTrackedLink(code);
+    
+    if (!link) {
+      return null;
+    }
+    
+    const clickId = visitor.anonymousId || generateShortCode(22);
+    const isBot = isBotUserAgent(visitor.userAgent);
+    
+    // Logging must not keep the visitor from reaching the brand's site
+    try {
+      let touchpointId = null;
+      if (!isBot) {
+        const touchpoint = await revenueAttributionAI.trackTouchpoint({
+          userId: link.brandId,
+          anonymousId: clickId,
+          channelType: revenueAttributionAI.CHANNEL_TYPES.INFLUENCER,
+          source: TrackingSource.TRACKED_LINK,
+          campaignId: link.campaignId,
+          influencerId: link.influencerId,
+          linkCode: link.code,
+          timestamp: new Date()
+        });
+        touchpointId = touchpoint.id;
+      }
+      
+      await logLinkClick(link, {
+        clickId,
+        touchpointId,
+        isBot,
+        userAgent: visitor.userAgent,
+        ipAddress: visitor.ipAddress,
+        referrer: visitor.referrer
+      });
+    } catch (error) {
+      console.error('Error logging tracked link click:', error);
+    }
+    
+    return {
+      destinationUrl: buildTrackedDestination(link.destinationUrl, {
+        campaignId: link.campaignId,
+        influencerId: link.influencerId,
+        clickId
+      }),
+      clickId,
+      isBot
+    };
+  } catch (error) {
+    console.error('Error handling tracked link click:', error);
+    throw new Error('Failed to handle tracked link click');
+  }
+};
+
+/**
+ * Record an order from a brand's checkout and credit the influencers behind it
+ *
+ * A promo code on the order is recorded as an influencer touchpoint just before the
+ * purchase; earlier link clicks are found through the customer's identifiers, including the
+ * rs_click value the landing page received. The purchase then goes through conversion
+ * attribution, and each influencer is credited with the value attributed to their
+ * touchpoints. Orders are recorded once per order ID: the order is claimed in a transaction
+ * before attribution, so concurrent webhook retries of the same order credit it only once.
+ *
+ * Only orders whose signature was checked against the brand's signing secret count as
+ * verified. Unverified orders are still attributed, but their credit is kept apart and
+ * never counts towards conversions, promo code redemptions or performance payments.
+ * @param {Object} order - { brandId, orderId, value, currency, promoCode, clickId, customer identifiers, timestamp }
+ * @param {Object} options - { verified }
+ * @returns {Promise<Object>} Recorded order with influencer credits
+ */
+const recordInfluencerOrder = async (order, options = {}) => {
+  let orderRef = null;
+  let credited = false;
+  try {
+    const value = Number(order.value);
+    if (!order.brandId || !order.orderId || !Number.isFinite(value) || value < 0) {
+      throw new ReachSparkError(
+        'Orders need a brandId, an orderId and a value',
+        ErrorTypes.VALIDATION_ERROR,
+        SeverityLevels.WARNING,
+        null,
+        { orderId: order.orderId || null }
+      );
+    }
+    
+    let promo = null;
+    if (order.promoCode) {
+      promo = await getPromoCode(order.promoCode);
+      if (!promo || promo.brandId !== order.brandId) {
+        throw new ReachSparkError(
+          `Unknown promo code: ${order.promoCode}`,
+          ErrorTypes.VALIDATION_ERROR,
+          SeverityLevels.WARNING,
+          null,
+          { promoCode: order.promoCode }
+        );
+      }
+    }
+    
+    const identifiers = ['customerId', 'email', 'hashedEmail', 'phone', 'hashedPhone', 'deviceId']
+      .filter(field => order[field])
+      .reduce((fields, field) => ({ ...fields, [field]: order[field] }), {});
+    if (order.anonymousId || order.clickId) {
+      identifiers.anonymousId = order.anonymousId || order.clickId;
+    }
+    
+    if (Object.keys(identifiers).length === 0) {
+      // Without customer details only the promo code can tie the order to anyone
+      if (!promo) {
+        throw new ReachSparkError(
+          'Orders need a promo code or customer identifiers',
+          ErrorTypes.VALIDATION_ERROR,
+          SeverityLevels.WARNING,
+          null,
+          { orderId: order.orderId }
+        );
+      }
+      identifiers.anonymousId = `order_${order.orderId}`;
+    }
+    
+    // Claim the order before attributing it; whoever finds it claimed reports a duplicate
+    const claimRef = db.collection('influencerOrders').doc(`${order.brandId}_${order.orderId}`);
+    const existing = await db.runTransaction(async transaction => {
+      const snapshot = await transaction.get(claimRef);
+      if (snapshot.exists) {
+        return snapshot.data();
+      }
+      transaction.set(claimRef, {
+        brandId: order.brandId,
+        orderId: order.orderId,
+        status: 'processing',
+        claimedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      return null;
+    });
+    
+    if (existing) {
+      return {
+        ...existing,
+        duplicate: true
+      };
+    }
+    orderRef = claimRef;
+    
+    const orderedAt = order.timestamp ? new Date(order.timestamp) : new Date();
+    const { CHANNEL_TYPES, CONVERSION_TYPES } = revenueAttributionAI;
+    
+    if (promo) {
+      await revenueAttributionAI.trackTouchpoint({
+        userId: order.brandId,
+        ...identifiers,
+        channelType: CHANNEL_TYPES.INFLUENCER,
+        source: TrackingSource.PROMO_CODE,
+        campaignId: promo.campaignId,
+        influencerId: promo.influencerId,
+        promoCode: promo.code,
+        timestamp: new Date(orderedAt.getTime() - 1)
+      });
+    }
+    
+    const conversion = await revenueAttributionAI.trackConversion({
+      userId: order.brandId,
+      ...identifiers,
+      conversionType: CONVERSION_TYPES.PURCHASE,
+      value,
+      currency: order.currency || null,
+      orderId: order.orderId,
+      promoCode: promo ? promo.code : null,
+      timestamp: orderedAt
+    });
+    
+    // Attribution only keeps touchpoint IDs; the stored touchpoints say which influencer they were
+    const attributed = (conversion.attribution && conversion.attribution.touchpoints) || [];
+    const touchpointDocs = await Promise.all(attributed
+      .filter(touchpoint => touchpoint.channelType === CHANNEL_TYPES.INFLUENCER)
+      .map(touchpoint => db.collection('customerTouchpoints').doc(touchpoint.touchpointId).get()));
+    const touchpointsById = touchpointDocs
+      .filter(doc => doc.exists)
+      .reduce((byId, doc) => ({ ...byId, [doc.id]: doc.data() }), {});
+    
+    credited = true;
+    const credits = await recordInfluencerCredits(
+      {
+        brandId: order.brandId,
+        orderId: order.orderId,
+        conversionId: conversion.id,
+        value,
+        currency: order.currency || null,
+        verified: !!options.verified
+      },
+      creditInfluencers(attributed, touchpointsById, CHANNEL_TYPES.INFLUENCER)
+    );
+    
+    if (promo && options.verified) {
+      await recordPromoRedemption(promo.code, value);
+    }
+    
+    const recorded = {
+      brandId: order.brandId,
+      orderId: order.orderId,
+      status: 'recorded',
+      conversionId: conversion.id,
+      value,
+      currency: order.currency || null,
+      promoCode: promo ? promo.code : null,
+      verified: !!options.verified,
+      credits: credits.map(credit => ({
+        campaignId: credit.campaignId,
+        influencerId: credit.influencerId,
+        credit: credit.credit,
+        revenue: credit.revenue
+      })),
+      recordedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+    
+    await orderRef.set(recorded);
+    
+    return recorded;
+  } catch (error) {
+    console.error('Error recording influencer order:', error);
+    // Release the claim when nothing was credited yet, so a retry can record the order
+    if (orderRef && !credited) {
+      await orderRef.delete().catch(deleteError => console.error('Error releasing influencer order claim:', deleteError));
+    }
+    if (error.type === ErrorTypes.VALIDATION_ERROR) {
+      throw error;
+    }
+    throw new Error('Failed to record influencer order');
+  }
+};
+
 /**
  * Get day name from day number
  * @param {number} day - Day number (0-6, where 0 is Sunday)
@@ -1561,9 +2644,23 @@ module.exports = {
   createCollaborationRequest,
   updateCollaborationRequestStatus,
   negotiateTerms,
+  respondToOffer,
+  expireNegotiations,
+  getCollaborationContract,
+  cancelInfluencerCampaign,
+  
+  // Payments
+  getCampaignPayments,
+  releaseHeldPayments,
+  
+  // Tracked links and promo codes
+  setupInfluencerTracking,
+  handleTrackedLinkClick,
+  recordInfluencerOrder,
   
   // Content management
   submitCampaignContent,
+  reviewContentCompliance,
   reviewCampaignContent,
   
   // Performance tracking and reporting
@@ -12,6 +12,9 @@ const functions = require('firebase-functions');
 const { openai, gemini } = require('../apis');
 const admin = require('firebase-admin');
 const { retryWithBackoff, ErrorTypes, ReachSparkError, logError } = require('../utils');
+const semanticContentIntelligence = require('./semanticContentIntelligence');
+const { executeCampaignAction } = require('./predictiveCustomerJourney');
+const { claimContactTask } = require('../utils/contactPolicy');
 
 // Initialize Firestore if not already initialized
 if (!admin.apps.length) {
@@ -405,6 +408,56 @@ const generatePersonalizedContent = async (customerId, channelType, personalizat
   }
 };
 
+/**
+ * Get content for a customer impression
+ *
+ * When the request is part of a content A/B test, the variation is chosen per impression by
+ * the test's bandit allocation; otherwise content is generated for the customer's profile.
+ * @param {string} customerId - Customer ID
+ * @param {Object} contentRequest - { channelType, contentType, abTestId, personalizationType, options }
+ * @returns {Promise<Object>} Personalized content
+ */
+const getPersonalizedContent = async (customerId, contentRequest) => {
+  const functionName = 'getPersonalizedContent';
+  const context = { customerId, contentRequest };
+  
+  if (!contentRequest.abTestId) {
+    return generatePersonalizedContent(
+      customerId,
+      contentRequest.channelType,
+      contentRequest.personalizationType || PERSONALIZATION_TYPES.CONTENT,
+      {
+        ...(contentRequest.options || {}),
+        contentType: contentRequest.contentType
+      }
+    );
+  }
+  
+  try {
+    const selection = await semanticContentIntelligence.selectABTestVariation(contentRequest.abTestId);
+    
+    return {
+      content: selection.content,
+      channelType: contentRequest.channelType,
+      contentType: contentRequest.contentType,
+      customerId,
+      abTest: {
+        testId: selection.testId,
+        variationId: selection.variationId,
+        isOriginal: selection.isOriginal,
+        strategy: selection.strategy,
+        explored: selection.explored
+      },
+      timestamp: new Date().toISOString()
+    };
+  } catch (error) {
+    await logError(error, functionName, context);
+    
+    // Rethrow with clean user-facing message
+    throw new Error(`Failed to get personalized content: ${error.message}`);
+  }
+};
+
 /**
  * Track customer interaction with personalized content
  * @param {string} customerId - Customer ID
@@ -543,11 +596,100 @@ const trackPersonalizationInteraction = async (customerId, resultId, interaction
   }
 };
 
+/**
+ * Deliver campaign messages whose delivery tasks are due
+ *
+ * Each task goes through the same path as journey campaign actions, so consent,
+ * suppressions, frequency caps and quiet hours are checked with the contact policy
+ * before the message is queued on its channel. Each task is claimed (pending to sending)
+ * first, so overlapping runs deliver it once.
+ * @param {number} limit - Maximum number of tasks to process
+ * @returns {Promise<Object>} { processed, success, suppressed, failed }
+ */
+const processCampaignDeliveryTasks = async (limit = 100) => {
+  const functionName = 'processCampaignDeliveryTasks';
+  const context = { limit };
+  
+  try {
+    const dueTasks = await db.collection('campaignDeliveryTasks')
+      .where('status', '==', 'pending')
+      .where('scheduledFor', '<=', new Date())
+      .limit(limit)
+      .get();
+    
+    const summary = { processed: 0, success: 0, suppressed: 0, failed: 0 };
+    
+    for (const taskDoc of dueTasks.docs) {
+      // An overlapping run may have taken the task since the query
+      const task = await claimContactTask(taskDoc.ref, 'pending');
+      if (!task) {
+        continue;
+      }
+      summary.processed++;
+      
+      let result;
+      try {
+        const customerDoc = await db.collection('customers').doc(task.customerId).get();
+        if (!customerDoc.exists) {
+          throw new Error(`Customer with ID ${task.customerId} not found`);
+        }
+        
+        result = await executeCampaignAction(
+          task.customerId,
+          customerDoc.data(),
+          { campaignId: task.campaignId, priority: task.priority },
+          task.journeyStage || null
+        );
+      } catch (error) {
+        result = { success: false, error: error.message };
+      }
+      
+      let status = 'failed';
+      if (result.success) {
+        status = 'queued';
+        summary.success++;
+      } else if (result.suppressed) {
+        status = 'suppressed';
+        summary.suppressed++;
+      } else {
+        summary.failed++;
+      }
+      
+      await taskDoc.ref.update({
+        status,
+        suppressionReason: result.suppressionReason || null,
+        error: result.success ? null : result.error || null,
+        result,
+        processedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    }
+    
+    return summary;
+  } catch (error) {
+    // Handle and log any errors
+    if (!(error instanceof ReachSparkError)) {
+      error = new ReachSparkError(
+        `Unexpected error in ${functionName}: ${error.message}`,
+        ErrorTypes.UNKNOWN_ERROR,
+        error,
+        context
+      );
+    }
+    
+    await logError(error, functionName, context);
+    
+    // Rethrow with clean user-facing message
+    throw new Error(`Failed to process campaign delivery tasks: ${error.message}`);
+  }
+};
+
 module.exports = {
   CHANNEL_TYPES,
   PERSONALIZATION_TYPES,
   PROFILE_FIELDS,
   updateCustomerProfile,
   generatePersonalizedContent,
-  trackPersonalizationInteraction
+  getPersonalizedContent,
+  trackPersonalizationInteraction,
+  processCampaignDeliveryTasks
 };
@@ -12,6 +12,35 @@
 const functions = require('firebase-functions');
 const { openai, gemini } = require('../apis');
 const admin = require('firebase-admin');
+const {
+  JourneyModelDefaults,
+  fitJourneyStageModel: fitStageModelFromHistory,
+  predictStageOutlook,
+  dwellDaysInStage
+} = require('../utils/journeyStageModel');
+const {
+  JourneyNodeTypes,
+  JourneyDefinitionStatus,
+  EnrollmentStatus,
+  validateJourneyDefinition,
+  findEntryTriggers,
+  createEnrollment,
+  advanceEnrollment,
+  summarizeJourneyMetrics
+} = require('../utils/journeyDefinitions');
+const { ReachSparkError, ErrorTypes, SeverityLevels } = require('../utils/errorLogging');
+const {
+  ContactPriority,
+  ContactDecision,
+  requestContact,
+  attachContactTask
+} = require('../utils/contactPolicy');
+const {
+  ConsentPurpose,
+  checkSendPermission,
+  buildUnsubscribeUrl,
+  buildUnsubscribeHeaders
+} = require('../utils/consentLedger');
 
 // Initialize Firestore if not already initialized
 if (!admin.apps.length) {
@@ -38,7 +67,8 @@ const TRANSITION_TYPES = {
   REGRESSION: 'regression',     // Moving backward in journey
   STAGNATION: 'stagnation',     // Stuck in current stage
   ACCELERATION: 'acceleration', // Moving quickly through stages
-  CHURN_RISK: 'churn_risk'      // At risk of abandoning journey
+  CHURN_RISK: 'churn_risk',     // At risk of abandoning journey
+  PREDICTED_REGRESSION: 'predicted_regression' // Stage model expects a move backward soon
 };
 
 /**
@@ -89,7 +119,11 @@ const analyzeCurrentJourneyStage = async (customerId) => {
     
     // If no interactions, use customer profile data to estimate stage
     if (interactions.length === 0) {
-      return estimateStageFromProfile(customer);
+      const estimate = estimateStageFromProfile(customer);
+      return {
+        ...estimate,
+        prediction: await predictJourneyStage(customerId, estimate.currentStage)
+      };
     }
     
     // Count interaction types
@@ -107,12 +141,16 @@ const analyzeCurrentJourneyStage = async (customerId) => {
     const totalScore = Object.values(stageScores).reduce((sum, score) => sum + score, 0);
     const confidence = totalScore > 0 ? stageScores[currentStage] / totalScore : 0.5;
     
+    // Learned transition and survival probabilities alongside the heuristic stage
+    const prediction = await predictJourneyStage(customerId, currentStage);
+    
     // Store journey stage analysis in Firestore
     await db.collection('customerJourneys').doc(customerId).set({
       customerId,
       currentStage,
       stageScores,
       confidence,
+      prediction,
       lastAnalyzedAt: admin.firestore.FieldValue.serverTimestamp(),
       interactionCounts
     }, { merge: true });
@@ -121,7 +159,8 @@ const analyzeCurrentJourneyStage = async (customerId) => {
       customerId,
       currentStage,
       confidence,
-      stageScores
+      stageScores,
+      prediction
     };
   } catch (error) {
     console.error('Error analyzing current journey stage:', error);
@@ -129,6 +168,89 @@ const analyzeCurrentJourneyStage = async (customerId) => {
   }
 };
 
+/**
+ * Fit the journey stage model from stage history
+ * @param {Object} [options] - { lookbackDays (default 180), historyLimit, horizonDays }
+ * @returns {Promise<Object>} Fitted model
+ */
+const fitJourneyStageModel = async (options = {}) => {
+  try {
+    const lookbackDays = options.lookbackDays || 180;
+    const since = new Date(Date.now() - lookbackDays * 24 * 60 * 60 * 1000);
+    
+    const historyQuery = await db.collection('customerJourneyHistory')
+      .where('timestamp', '>=', since)
+      .limit(options.historyLimit || 50000)
+      .get();
+    
+    const history = [];
+    historyQuery.forEach(doc => {
+      history.push(doc.data());
+    });
+    
+    const model = fitStageModelFromHistory(history, Object.values(JOURNEY_STAGES), {
+      horizonDays: options.horizonDays || JourneyModelDefaults.horizonDays
+    });
+    
+    const storedModel = {
+      ...model,
+      lookbackDays,
+      historyEntries: history.length,
+      fittedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+    
+    await db.collection('journeyStageModels').doc('default').set(storedModel);
+    
+    return {
+      id: 'default',
+      ...storedModel
+    };
+  } catch (error) {
+    console.error('Error fitting journey stage model:', error);
+    throw new Error('Failed to fit journey stage model');
+  }
+};
+
+/**
+ * Predict stage transitions, time to next stage and regression risk for a customer
+ * @param {string} customerId - Customer ID
+ * @param {string} currentStage - Current journey stage
+ * @returns {Promise<Object|null>} Prediction, or null without a fitted model
+ */
+const predictJourneyStage = async (customerId, currentStage) => {
+  try {
+    const modelDoc = await db.collection('journeyStageModels').doc('default').get();
+    
+    if (!modelDoc.exists) {
+      return null;
+    }
+    
+    const model = modelDoc.data();
+    
+    // Time already spent in the stage drives the survival estimates
+    const historyQuery = await db.collection('customerJourneyHistory')
+      .where('customerId', '==', customerId)
+      .orderBy('timestamp', 'desc')
+      .limit(90)
+      .get();
+    
+    const history = [];
+    historyQuery.forEach(doc => {
+      history.push(doc.data());
+    });
+    
+    const outlook = predictStageOutlook(model, currentStage, dwellDaysInStage(history, currentStage));
+    
+    return {
+      ...outlook,
+      regressionRisk: outlook.regressionProbability >= JourneyModelDefaults.regressionThreshold
+    };
+  } catch (error) {
+    console.error('Error predicting journey stage:', error);
+    return null;
+  }
+};
+
 /**
  * Estimate journey stage from customer profile when no interactions are available
  * @param {Object} customer - Customer profile data
@@ -650,11 +772,11 @@ const detectJourneyTransitions = async (customerId) => {
     const currentJourney = journeyDoc.data();
     const currentStage = currentJourney.currentStage;
     
-    // If no history or only one entry, can't detect transitions
+    // If no history or only one entry, only the stage model can flag anything
     if (journeyHistory.length < 2) {
       return {
         customerId,
-        transitions: []
+        transitions: getPredictedTransitions(currentJourney)
       };
     }
     
@@ -732,6 +854,9 @@ const detectJourneyTransitions = async (customerId) => {
       });
     }
     
+    // Check for regression the stage model expects before it happens
+    transitions.push(...getPredictedTransitions(currentJourney));
+    
     // Store detected transitions
     if (transitions.length > 0) {
       await db.collection('customerJourneyTransitions').add({
@@ -751,6 +876,27 @@ const detectJourneyTransitions = async (customerId) => {
   }
 };
 
+/**
+ * Transitions predicted by the stage model for a journey
+ * @param {Object} journey - Customer journey with the latest prediction
+ * @returns {Array} Predicted transitions
+ */
+const getPredictedTransitions = (journey) => {
+  const prediction = journey.prediction;
+  
+  if (!prediction || !prediction.regressionRisk) {
+    return [];
+  }
+  
+  return [{
+    type: TRANSITION_TYPES.PREDICTED_REGRESSION,
+    stage: journey.currentStage,
+    probability: prediction.regressionProbability,
+    horizonDays: prediction.horizonDays,
+    timestamp: admin.firestore.FieldValue.serverTimestamp()
+  }];
+};
+
 /**
  * Check for recent negative interactions that might indicate churn risk
  * @param {string} customerId - Customer ID
@@ -877,6 +1023,7 @@ const orchestrateCustomerJourney = async (customerId) => {
       customerId,
       journeyStage: journeyAnalysis.currentStage,
       confidence: journeyAnalysis.confidence,
+      prediction: journeyAnalysis.prediction || null,
       transitions: transitionDetection.transitions,
       recommendedActions: nextBestActions,
       executedActions
@@ -933,6 +1080,7 @@ const shouldTakeImmediateAction = async (customerId, journeyAnalysis, transition
     const criticalTransitions = transitionDetection.transitions.filter(t => 
       t.type === TRANSITION_TYPES.CHURN_RISK ||
       t.type === TRANSITION_TYPES.REGRESSION ||
+      t.type === TRANSITION_TYPES.PREDICTED_REGRESSION ||
       t.type === TRANSITION_TYPES.STAGNATION
     );
     
@@ -978,12 +1126,16 @@ const executeJourneyActions = async (customerId, nextBestActions, journeyAnalysi
     // Override for critical transitions
     const criticalTransitions = transitionDetection.transitions.filter(t => 
       t.type === TRANSITION_TYPES.CHURN_RISK ||
-      t.type === TRANSITION_TYPES.REGRESSION
+      t.type === TRANSITION_TYPES.REGRESSION ||
+      t.type === TRANSITION_TYPES.PREDICTED_REGRESSION
     );
     
     if (criticalTransitions.length > 0) {
-      // For churn risk, find retention-focused action
-      const churnRisk = criticalTransitions.find(t => t.type === TRANSITION_TYPES.CHURN_RISK);
+      // For churn risk or predicted regression, find retention-focused action
+      const churnRisk = criticalTransitions.find(t =>
+        t.type === TRANSITION_TYPES.CHURN_RISK ||
+        t.type === TRANSITION_TYPES.PREDICTED_REGRESSION
+      );
       
       if (churnRisk) {
         // Get retention campaigns
@@ -1004,7 +1156,10 @@ const executeJourneyActions = async (customerId, nextBestActions, journeyAnalysi
             recommendedAction: 'Send retention offer to prevent churn',
             expectedOutcome: 'Prevent customer churn and rebuild engagement',
             score: 95,
-            reasoning: 'Critical churn risk detected'
+            priority: ContactPriority.HIGH,
+            reasoning: churnRisk.type === TRANSITION_TYPES.PREDICTED_REGRESSION
+              ? `Stage regression predicted with probability ${Math.round(churnRisk.probability * 100)}% within ${churnRisk.horizonDays} days`
+              : 'Critical churn risk detected'
           };
         }
       }
@@ -1058,6 +1213,11 @@ const executeCampaignAction = async (customerId, customer, action, journeyStage)
     
     const campaign = campaignDoc.data();
     
+    // Journey actions can raise a campaign's priority under the contact policy
+    if (action.priority) {
+      campaign.priority = action.priority;
+    }
+    
     // Execute based on channel type
     switch (campaign.channelType) {
       case 'email':
@@ -1088,6 +1248,47 @@ const executeCampaignAction = async (customerId, customer, action, journeyStage)
   }
 };
 
+/**
+ * Check consent and the suppression list for a campaign message
+ * @param {string} customerId - Customer ID
+ * @param {Object} campaign - Campaign data
+ * @param {string} channel - Channel the message goes out on
+ * @param {string} [address] - Email address or phone number being contacted
+ * @returns {Promise<Object>} Send permission ({ allowed, reason, legalBasis })
+ */
+const checkCampaignConsent = async (customerId, campaign, channel, address) => {
+  return checkSendPermission(customerId, {
+    channel,
+    purpose: campaign.purpose || ConsentPurpose.MARKETING,
+    address,
+    userId: campaign.userId || null
+  });
+};
+
+/**
+ * Ask whether a campaign message may be sent: consent and suppressions first, then the contact policy
+ * @param {string} customerId - Customer ID
+ * @param {Object} customer - Customer data
+ * @param {Object} campaign - Campaign data
+ * @param {string} [address] - Email address or phone number being contacted
+ * @returns {Promise<Object>} Contact decision with the time to send
+ */
+const requestCampaignContact = async (customerId, customer, campaign, address) => {
+  const permission = await checkCampaignConsent(customerId, campaign, campaign.channelType, address);
+  if (!permission.allowed) {
+    return { contactId: null, status: ContactDecision.SUPPRESSED, reason: permission.reason, sendAt: null, preempted: [] };
+  }
+  
+  return requestContact(customerId, {
+    channel: campaign.channelType,
+    priority: campaign.priority || ContactPriority.NORMAL,
+    sendAt: Date.now() + 5 * 60 * 1000, // 5 minutes from now
+    source: 'predictive_journey',
+    campaignId: campaign.id || null,
+    userId: campaign.userId || customer.userId || null
+  });
+};
+
 /**
  * Execute an email campaign
  * @param {string} customerId - Customer ID
@@ -1106,6 +1307,17 @@ const executeEmailCampaign = async (customerId, customer, campaign, journeyStage
       };
     }
     
+    // Consent, frequency caps and quiet hours apply across every channel
+    const contact = await requestCampaignContact(customerId, customer, campaign, customer.email);
+    if (contact.status === ContactDecision.SUPPRESSED) {
+      return {
+        success: false,
+        suppressed: true,
+        suppressionReason: contact.reason,
+        error: `Contact suppressed: ${contact.reason}`
+      };
+    }
+    
     // Personalize content
     const personalizedContent = await personalizeContent(
       campaign.content,
@@ -1113,6 +1325,15 @@ const executeEmailCampaign = async (customerId, customer, campaign, journeyStage
       journeyStage
     );
     
+    // Marketing email carries a one-click unsubscribe link when links are configured
+    const unsubscribeUrl = buildUnsubscribeUrl({
+      contactId: customerId,
+      address: customer.email,
+      channel: 'email',
+      purpose: campaign.purpose || ConsentPurpose.MARKETING,
+      userId: campaign.userId || customer.userId
+    });
+    
     // Create email task
     const emailTask = {
       customerId,
@@ -1120,13 +1341,16 @@ const executeEmailCampaign = async (customerId, customer, campaign, journeyStage
       to: customer.email,
       subject: campaign.subject,
       content: personalizedContent,
-      scheduledFor: new Date(Date.now() + 5 * 60 * 1000), // 5 minutes from now
+      unsubscribeUrl,
+      headers: buildUnsubscribeHeaders(unsubscribeUrl),
+      scheduledFor: new Date(contact.sendAt),
       status: 'scheduled',
       createdAt: admin.firestore.FieldValue.serverTimestamp()
     };
     
     // Add to email queue
     const emailTaskRef = await db.collection('emailTasks').add(emailTask);
+    await attachContactTask(contact.contactId, 'emailTasks', emailTaskRef.id);
     
     // Record interaction
     await db.collection('customerInteractions').add({
@@ -1173,6 +1397,17 @@ const executeSMSCampaign = async (customerId, customer, campaign, journeyStage)
       };
     }
     
+    // Consent, frequency caps and quiet hours apply across every channel
+    const contact = await requestCampaignContact(customerId, customer, campaign, customer.phone);
+    if (contact.status === ContactDecision.SUPPRESSED) {
+      return {
+        success: false,
+        suppressed: true,
+        suppressionReason: contact.reason,
+        error: `Contact suppressed: ${contact.reason}`
+      };
+    }
+    
     // Personalize content
     const personalizedContent = await personalizeContent(
       campaign.content,
@@ -1186,13 +1421,14 @@ const executeSMSCampaign = async (customerId, customer, campaign, journeyStage)
       campaignId: campaign.id,
       to: customer.phone,
       content: personalizedContent,
-      scheduledFor: new Date(Date.now() + 5 * 60 * 1000), // 5 minutes from now
+      scheduledFor: new Date(contact.sendAt),
       status: 'scheduled',
       createdAt: admin.firestore.FieldValue.serverTimestamp()
     };
     
     // Add to SMS queue
     const smsTaskRef = await db.collection('smsTasks').add(smsTask);
+    await attachContactTask(contact.contactId, 'smsTasks', smsTaskRef.id);
     
     // Record interaction
     await db.collection('customerInteractions').add({
@@ -1238,6 +1474,17 @@ const executePushCampaign = async (customerId, customer, campaign, journeyStage)
       };
     }
     
+    // Consent, frequency caps and quiet hours apply across every channel
+    const contact = await requestCampaignContact(customerId, customer, campaign, customer.pushToken);
+    if (contact.status === ContactDecision.SUPPRESSED) {
+      return {
+        success: false,
+        suppressed: true,
+        suppressionReason: contact.reason,
+        error: `Contact suppressed: ${contact.reason}`
+      };
+    }
+    
     // Personalize content
     const personalizedTitle = await personalizeContent(
       campaign.title,
@@ -1259,13 +1506,14 @@ const executePushCampaign = async (customerId, customer, campaign, journeyStage)
       title: personalizedTitle,
       body: personalizedBody,
       data: campaign.data || {},
-      scheduledFor: new Date(Date.now() + 5 * 60 * 1000), // 5 minutes from now
+      scheduledFor: new Date(contact.sendAt),
       status: 'scheduled',
       createdAt: admin.firestore.FieldValue.serverTimestamp()
     };
     
     // Add to push queue
     const pushTaskRef = await db.collection('pushTasks').add(pushTask);
+    await attachContactTask(contact.contactId, 'pushTasks', pushTaskRef.id);
     
     // Record interaction
     await db.collection('customerInteractions').add({
@@ -1313,6 +1561,17 @@ const executeSocialCampaign = async (customerId, customer, campaign, journeyStag
       };
     }
     
+    // Audience targeting needs consent too, although ads are not frequency capped
+    const permission = await checkCampaignConsent(customerId, campaign, campaign.channelType);
+    if (!permission.allowed) {
+      return {
+        success: false,
+        suppressed: true,
+        suppressionReason: permission.reason,
+        error: `Contact suppressed: ${permission.reason}`
+      };
+    }
+    
     // Personalize content
     const personalizedContent = await personalizeContent(
       campaign.content,
@@ -1584,6 +1843,473 @@ const batchProcessCustomerJourneys = async (batchSize = 50) => {
   }
 };
 
+/**
+ * Load a published version of a journey definition
+ * @param {string} journeyId - Journey ID
+ * @param {number} version - Version number
+ * @returns {Promise<Object>} Version data with definition
+ */
+const getJourneyVersion = async (journeyId, version) => {
+  const versionDoc = await db.collection('journeyDefinitionVersions').doc(`${journeyId}_v${version}`).get();
+  
+  if (!versionDoc.exists) {
+    throw new Error(`Version ${version} of journey ${journeyId} not found`);
+  }
+  
+  return versionDoc.data();
+};
+
+/**
+ * Create or update the draft of a marketer-defined journey
+ * 
+ * Drafts are saved even when invalid so they can be edited over several sessions;
+ * the validation result is returned and stored alongside the draft.
+ * @param {string} userId - User ID
+ * @param {Object} definition - Journey definition
+ * @param {string} [journeyId] - Journey to update; a new journey is created when omitted
+ * @returns {Promise<Object>} Saved journey with validation result
+ */
+const saveJourneyDefinition = async (userId, definition, journeyId = null) => {
+  try {
+    const validation = validateJourneyDefinition(definition, {
+      eventTypes: Object.values(INTERACTION_TYPES)
+    });
+    
+    const draft = {
+      name: definition.name || '',
+      description: definition.description || '',
+      nodes: definition.nodes || [],
+      settings: definition.settings || {}
+    };
+    
+    if (!journeyId) {
+      const journeyRef = await db.collection('journeyDefinitions').add({
+        userId,
+        name: draft.name,
+        status: JourneyDefinitionStatus.DRAFT,
+        draft,
+        validation,
+        publishedVersion: null,
+        latestVersion: 0,
+        hasUnpublishedChanges: true,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      
+      return {
+        journeyId: journeyRef.id,
+        status: JourneyDefinitionStatus.DRAFT,
+        validation
+      };
+    }
+    
+    const journeyDoc = await db.collection('journeyDefinitions').doc(journeyId).get();
+    
+    if (!journeyDoc.exists || journeyDoc.data().userId !== userId) {
+      throw new Error(`Journey with ID ${journeyId} not found`);
+    }
+    
+    // Published versions are immutable; editing only changes the draft
+    await db.collection('journeyDefinitions').doc(journeyId).set({
+      name: draft.name,
+      draft,
+      validation,
+      hasUnpublishedChanges: true,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+    
+    return {
+      journeyId,
+      status: journeyDoc.data().status,
+      validation
+    };
+  } catch (error) {
+    console.error('Error saving journey definition:', error);
+    throw new Error('Failed to save journey definition');
+  }
+};
+
+/**
+ * Publish the current draft of a journey as a new immutable version
+ * 
+ * Customers already enrolled stay on the version they entered; new enrollments
+ * use the newly published version.
+ * @param {string} journeyId - Journey ID
+ * @returns {Promise<Object>} Published version
+ */
+const publishJourneyDefinition = async (journeyId) => {
+  try {
+    const journeyDoc = await db.collection('journeyDefinitions').doc(journeyId).get();
+    
+    if (!journeyDoc.exists) {
+      throw new Error(`Journey with ID ${journeyId} not found`);
+    }
+    
+    const journey = journeyDoc.data();
+    const validation = validateJourneyDefinition(journey.draft, {
+      eventTypes: Object.values(INTERACTION_TYPES)
+    });
+    
+    if (!validation.valid) {
+      throw new ReachSparkError(
+        'Journey definition is invalid',
+        ErrorTypes.VALIDATION_ERROR,
+        SeverityLevels.WARNING,
+        null,
+        { journeyId, errors: validation.errors }
+      );
+    }
+    
+    const version = (journey.latestVersion || 0) + 1;
+    
+    await db.collection('journeyDefinitionVersions').doc(`${journeyId}_v${version}`).set({
+      journeyId,
+      userId: journey.userId,
+      version,
+      definition: journey.draft,
+      publishedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    
+    await db.collection('journeyDefinitions').doc(journeyId).set({
+      status: JourneyDefinitionStatus.PUBLISHED,
+      publishedVersion: version,
+      latestVersion: version,
+      validation,
+      hasUnpublishedChanges: false,
+      publishedAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+    
+    return {
+      journeyId,
+      version,
+      status: JourneyDefinitionStatus.PUBLISHED
+    };
+  } catch (error) {
+    console.error('Error publishing journey definition:', error);
+    if (error.type === ErrorTypes.VALIDATION_ERROR) {
+      throw error;
+    }
+    throw new Error('Failed to publish journey definition');
+  }
+};
+
+/**
+ * Get a journey with its draft and published definition
+ * @param {string} journeyId - Journey ID
+ * @returns {Promise<Object>} Journey
+ */
+const getJourneyDefinition = async (journeyId) => {
+  try {
+    const journeyDoc = await db.collection('journeyDefinitions').doc(journeyId).get();
+    
+    if (!journeyDoc.exists) {
+      throw new Error(`Journey with ID ${journeyId} not found`);
+    }
+    
+    const journey = journeyDoc.data();
+    const published = journey.publishedVersion
+      ? (await getJourneyVersion(journeyId, journey.publishedVersion)).definition
+      : null;
+    
+    return {
+      journeyId,
+      ...journey,
+      published
+    };
+  } catch (error) {
+    console.error('Error getting journey definition:', error);
+    throw new Error('Failed to get journey definition');
+  }
+};
+
+/**
+ * Run the campaigns a journey reached for a customer
+ * @param {string} customerId - Customer ID
+ * @param {Object} enrollment - Enrollment the actions belong to
+ * @param {Array<Object>} actions - [{ nodeId, campaignId }]
+ * @returns {Promise<Array>} Execution results
+ */
+const executeJourneyNodeActions = async (customerId, enrollment, actions) => {
+  if (actions.length === 0) {
+    return [];
+  }
+  
+  const customerDoc = await db.collection('customers').doc(customerId).get();
+  const journeyDoc = await db.collection('customerJourneys').doc(customerId).get();
+  const journeyStage = journeyDoc.exists ? journeyDoc.data().currentStage : null;
+  
+  const results = [];
+  for (const action of actions) {
+    const result = customerDoc.exists
+      ? await executeCampaignAction(customerId, customerDoc.data(), { campaignId: action.campaignId }, journeyStage)
+      : { success: false, error: `Customer with ID ${customerId} not found` };
+    
+    await db.collection('journeyActionExecutions').add({
+      customerId,
+      journeyId: enrollment.journeyId,
+      version: enrollment.version,
+      nodeId: action.nodeId,
+      action: { campaignId: action.campaignId },
+      result,
+      journeyStage,
+      executedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    
+    results.push({ ...action, result });
+  }
+  
+  return results;
+};
+
+/**
+ * Advance a stored enrollment, run the actions it reaches and save it
+ * @param {string} enrollmentId - Enrollment ID
+ * @param {Object} enrollment - Stored enrollment
+ * @param {Object} definition - Definition of the enrollment's version
+ * @param {Object} [input] - { event, now }
+ * @returns {Promise<Object>} Advanced enrollment with action results
+ */
+const advanceStoredEnrollment = async (enrollmentId, enrollment, definition, input = {}) => {
+  const { enrollment: state, visited, actions } = advanceEnrollment(definition, enrollment, input);
+  const actionResults = await executeJourneyNodeActions(enrollment.customerId, enrollment, actions);
+  
+  await db.collection('journeyEnrollments').doc(enrollmentId).set({
+    ...state,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  }, { merge: true });
+  
+  return {
+    enrollmentId,
+    journeyId: enrollment.journeyId,
+    version: enrollment.version,
+    status: state.status,
+    currentNodeId: state.currentNodeId,
+    visited,
+    actionResults
+  };
+};
+
+/**
+ * Enroll a customer in the published version of a journey
+ * @param {string} journeyId - Journey ID
+ * @param {string} customerId - Customer ID
+ * @param {Object} [options] - { triggerId, event } for the entry that enrolled the customer
+ * @returns {Promise<Object>} Enrollment result
+ */
+const enrollCustomerInJourney = async (journeyId, customerId, options = {}) => {
+  try {
+    const journeyDoc = await db.collection('journeyDefinitions').doc(journeyId).get();
+    
+    if (!journeyDoc.exists) {
+      throw new Error(`Journey with ID ${journeyId} not found`);
+    }
+    
+    const journey = journeyDoc.data();
+    
+    if (journey.status !== JourneyDefinitionStatus.PUBLISHED || !journey.publishedVersion) {
+      return { journeyId, customerId, enrolled: false, reason: 'not_published' };
+    }
+    
+    const { definition } = await getJourneyVersion(journeyId, journey.publishedVersion);
+    
+    // One enrollment at a time; re-entering after finishing is opt-in
+    const existingQuery = await db.collection('journeyEnrollments')
+      .where('journeyId', '==', journeyId)
+      .where('customerId', '==', customerId)
+      .get();
+    const existing = existingQuery.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    const inProgress = existing.find(enrollment =>
+      enrollment.status === EnrollmentStatus.ACTIVE || enrollment.status === EnrollmentStatus.WAITING
+    );
+    
+    if (inProgress) {
+      return { journeyId, customerId, enrolled: false, reason: 'already_enrolled', enrollmentId: inProgress.id };
+    }
+    if (existing.length > 0 && !(definition.settings && definition.settings.allowReentry)) {
+      return { journeyId, customerId, enrolled: false, reason: 'reentry_not_allowed' };
+    }
+    
+    const trigger = options.triggerId
+      ? definition.nodes.find(node => node.id === options.triggerId)
+      : (options.event && findEntryTriggers(definition, options.event)[0]) ||
+        definition.nodes.find(node => node.type === JourneyNodeTypes.TRIGGER);
+    const now = (options.event && options.event.timestamp) || new Date();
+    
+    const enrollment = {
+      ...createEnrollment(definition, trigger && trigger.id, now),
+      journeyId,
+      version: journey.publishedVersion,
+      userId: journey.userId,
+      customerId
+    };
+    const enrollmentRef = await db.collection('journeyEnrollments').add({
+      ...enrollment,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    
+    const result = await advanceStoredEnrollment(enrollmentRef.id, enrollment, definition, { now });
+    
+    return {
+      ...result,
+      customerId,
+      enrolled: true
+    };
+  } catch (error) {
+    console.error('Error enrolling customer in journey:', error);
+    throw new Error('Failed to enroll customer in journey');
+  }
+};
+
+/**
+ * Advance a customer's journeys on an interaction and enroll them where it is an entry trigger
+ * @param {string} customerId - Customer ID
+ * @param {Object} event - { type, timestamp }
+ * @returns {Promise<Object>} Advanced and new enrollments
+ */
+const processJourneyEvent = async (customerId, event) => {
+  try {
+    const definitions = new Map();
+    const loadDefinition = async (journeyId, version) => {
+      const key = `${journeyId}_v${version}`;
+      if (!definitions.has(key)) {
+        definitions.set(key, (await getJourneyVersion(journeyId, version)).definition);
+      }
+      return definitions.get(key);
+    };
+    
+    // Advance existing enrollments first; a journey the event just advanced is not re-entered on it
+    const enrollmentsQuery = await db.collection('journeyEnrollments')
+      .where('customerId', '==', customerId)
+      .get();
+    
+    const advanced = [];
+    for (const doc of enrollmentsQuery.docs) {
+      const enrollment = doc.data();
+      if (enrollment.status === EnrollmentStatus.ACTIVE || enrollment.status === EnrollmentStatus.WAITING) {
+        const definition = await loadDefinition(enrollment.journeyId, enrollment.version);
+        advanced.push(await advanceStoredEnrollment(doc.id, enrollment, definition, { event }));
+      }
+    }
+    
+    // Journeys belong to the marketer who owns the customer
+    const customerDoc = await db.collection('customers').doc(customerId).get();
+    const ownerId = customerDoc.exists ? customerDoc.data().userId : null;
+    
+    const journeysQuery = await db.collection('journeyDefinitions')
+      .where('status', '==', JourneyDefinitionStatus.PUBLISHED)
+      .get();
+    
+    const enrolled = [];
+    for (const doc of journeysQuery.docs) {
+      const journey = doc.data();
+      if ((ownerId && journey.userId !== ownerId) || advanced.some(result => result.journeyId === doc.id)) {
+        continue;
+      }
+      
+      const definition = await loadDefinition(doc.id, journey.publishedVersion);
+      const [trigger] = findEntryTriggers(definition, event);
+      if (trigger) {
+        const result = await enrollCustomerInJourney(doc.id, customerId, { triggerId: trigger.id, event });
+        if (result.enrolled) {
+          enrolled.push(result);
+        }
+      }
+    }
+    
+    return {
+      customerId,
+      eventType: event.type,
+      advanced,
+      enrolled
+    };
+  } catch (error) {
+    console.error('Error processing journey event:', error);
+    throw new Error('Failed to process journey event');
+  }
+};
+
+/**
+ * Advance enrollments whose wait or branch timeout has elapsed
+ * @param {number} batchSize - Maximum enrollments to process
+ * @returns {Promise<Object>} Processing summary
+ */
+const advanceWaitingEnrollments = async (batchSize = 500) => {
+  try {
+    const now = Date.now();
+    const waitingQuery = await db.collection('journeyEnrollments')
+      .where('status', '==', EnrollmentStatus.WAITING)
+      .where('waitUntil', '<=', now)
+      .limit(batchSize)
+      .get();
+    
+    const definitions = new Map();
+    const results = [];
+    
+    for (const doc of waitingQuery.docs) {
+      const enrollment = doc.data();
+      const key = `${enrollment.journeyId}_v${enrollment.version}`;
+      
+      try {
+        if (!definitions.has(key)) {
+          definitions.set(key, (await getJourneyVersion(enrollment.journeyId, enrollment.version)).definition);
+        }
+        results.push(await advanceStoredEnrollment(doc.id, enrollment, definitions.get(key), { now }));
+      } catch (error) {
+        console.error(`Error advancing journey enrollment ${doc.id}:`, error);
+        results.push({ enrollmentId: doc.id, error: error.message });
+      }
+    }
+    
+    return {
+      success: true,
+      enrollmentsProcessed: results.length,
+      failedEnrollments: results.filter(result => result.error).length,
+      results
+    };
+  } catch (error) {
+    console.error('Error advancing waiting journey enrollments:', error);
+    throw new Error('Failed to advance waiting journey enrollments');
+  }
+};
+
+/**
+ * Get per-node metrics for a journey version
+ * @param {string} journeyId - Journey ID
+ * @param {number} [version] - Version; defaults to the published version
+ * @returns {Promise<Object>} Totals and per-node metrics
+ */
+const getJourneyMetrics = async (journeyId, version = null) => {
+  try {
+    const journeyDoc = await db.collection('journeyDefinitions').doc(journeyId).get();
+    
+    if (!journeyDoc.exists) {
+      throw new Error(`Journey with ID ${journeyId} not found`);
+    }
+    
+    const metricsVersion = version || journeyDoc.data().publishedVersion;
+    
+    if (!metricsVersion) {
+      throw new Error(`Journey ${journeyId} has not been published`);
+    }
+    
+    const { definition } = await getJourneyVersion(journeyId, metricsVersion);
+    const enrollmentsQuery = await db.collection('journeyEnrollments')
+      .where('journeyId', '==', journeyId)
+      .where('version', '==', metricsVersion)
+      .get();
+    
+    return {
+      journeyId,
+      version: metricsVersion,
+      ...summarizeJourneyMetrics(definition, enrollmentsQuery.docs.map(doc => doc.data()))
+    };
+  } catch (error) {
+    console.error('Error getting journey metrics:', error);
+    throw new Error('Failed to get journey metrics');
+  }
+};
+
 module.exports = {
   // Journey stage analysis
   JOURNEY_STAGES,
@@ -1592,12 +2318,24 @@ module.exports = {
   analyzeCurrentJourneyStage,
   
   // Prediction and detection
+  fitJourneyStageModel,
+  predictJourneyStage,
   predictNextBestActions,
   detectJourneyTransitions,
   
   // Journey orchestration
   orchestrateCustomerJourney,
   executeJourneyActions,
+  executeCampaignAction,
+  
+  // Marketer-defined journeys
+  saveJourneyDefinition,
+  publishJourneyDefinition,
+  getJourneyDefinition,
+  enrollCustomerInJourney,
+  processJourneyEvent,
+  advanceWaitingEnrollments,
+  getJourneyMetrics,
   
   // Insights and batch processing
   generateJourneyInsights,
@@ -13,6 +13,37 @@
 const functions = require('firebase-functions');
 const { openai, gemini } = require('../apis');
 const admin = require('firebase-admin');
+const {
+  DataDrivenModel,
+  AttributionModelDefaults,
+  buildJourneyPaths,
+  fitDataDrivenModel,
+  distributeCredit,
+  toMillis
+} = require('../utils/attributionModels');
+const {
+  MMMDefaults,
+  buildWeeklySeries,
+  fitMarketingMixModel,
+  weeklyResponse,
+  marginalResponse,
+  responseCurve,
+  allocateByMarginalReturn
+} = require('../utils/marketingMixModel');
+const {
+  curvesFromObservedReturns,
+  optimizeBudget,
+  efficientFrontier
+} = require('../utils/budgetOptimizer');
+const {
+  extractIdentifiers,
+  hasIdentifiers,
+  stripPersonalIdentifiers,
+  mergeJourneyRecords,
+  parseOfflineConversions,
+  sha256
+} = require('../utils/identityGraph');
+const { ErrorTypes } = require('../utils/errorLogging');
 
 // Initialize Firestore if not already initialized
 if (!admin.apps.length) {
@@ -30,6 +61,8 @@ const ATTRIBUTION_MODELS = {
   TIME_DECAY: 'time_decay',
   POSITION_BASED: 'position_based',
   ALGORITHMIC: 'algorithmic',
+  MARKOV_CHAIN: DataDrivenModel.MARKOV_CHAIN,
+  SHAPLEY: DataDrivenModel.SHAPLEY,
   CUSTOM: 'custom'
 };
 
@@ -68,19 +101,27 @@ const CONVERSION_TYPES = {
 
 /**
  * Track customer touchpoint
+ *
+ * The customer can be given as customerId or any identifier the identity graph knows
+ * (anonymousId, email, hashedEmail, phone, hashedPhone, deviceId).
  * @param {Object} touchpointData - Touchpoint data
  * @returns {Promise<Object>} Tracked touchpoint
  */
 const trackTouchpoint = async (touchpointData) => {
   try {
     // Validate required fields
-    if (!touchpointData.userId || !touchpointData.customerId || !touchpointData.channelType) {
+    if (!touchpointData.userId || !hasIdentifiers(touchpointData) || !touchpointData.channelType) {
       throw new Error('Missing required touchpoint fields');
     }
     
+    // Stitch anonymous and known identifiers into one customer
+    const identity = await resolveCustomerIdentity(touchpointData.userId, touchpointData);
+    
     // Create touchpoint
     const touchpoint = {
-      ...touchpointData,
+      ...stripPersonalIdentifiers(touchpointData),
+      customerId: identity.customerId,
+      identifiers: identity.identifiers,
       timestamp: touchpointData.timestamp || admin.firestore.FieldValue.serverTimestamp(),
       createdAt: admin.firestore.FieldValue.serverTimestamp()
     };
@@ -89,11 +130,16 @@ const trackTouchpoint = async (touchpointData) => {
     const touchpointRef = await db.collection('customerTouchpoints').add(touchpoint);
     
     // Update customer journey
-    await updateCustomerJourney(touchpointData.customerId, {
+    await updateCustomerJourney(identity.customerId, {
       touchpointId: touchpointRef.id,
       ...touchpoint
     });
     
+    // Touchpoints merged in from another identity can change the credit of earlier conversions
+    if (identity.mergedCustomerIds.length > 0) {
+      await reattributeCustomerConversions(identity.customerId);
+    }
+    
     return {
       id: touchpointRef.id,
       ...touchpoint
@@ -120,6 +166,7 @@ const updateCustomerJourney = async (customerId, touchpoint) => {
       // Create new journey if it doesn't exist
       await journeyRef.set({
         customerId,
+        userId: touchpoint.userId,
         touchpoints: [touchpoint],
         conversions: [],
         lastUpdated: admin.firestore.FieldValue.serverTimestamp(),
@@ -138,6 +185,7 @@ const updateCustomerJourney = async (customerId, touchpoint) => {
     
     await journeyRef.update({
       touchpoints: admin.firestore.FieldValue.arrayUnion(touchpoint),
+      ...(journey.userId ? {} : { userId: touchpoint.userId }),
       lastUpdated: admin.firestore.FieldValue.serverTimestamp()
     });
     
@@ -154,19 +202,26 @@ const updateCustomerJourney = async (customerId, touchpoint) => {
 
 /**
  * Track conversion
+ *
+ * Like touchpoints, the customer can be given as customerId or any known identifier.
  * @param {Object} conversionData - Conversion data
  * @returns {Promise<Object>} Tracked conversion with attribution
  */
 const trackConversion = async (conversionData) => {
   try {
     // Validate required fields
-    if (!conversionData.userId || !conversionData.customerId || !conversionData.conversionType) {
+    if (!conversionData.userId || !hasIdentifiers(conversionData) || !conversionData.conversionType) {
       throw new Error('Missing required conversion fields');
     }
     
+    // Stitch anonymous and known identifiers into one customer
+    const identity = await resolveCustomerIdentity(conversionData.userId, conversionData);
+    
     // Create conversion
     const conversion = {
-      ...conversionData,
+      ...stripPersonalIdentifiers(conversionData),
+      customerId: identity.customerId,
+      identifiers: identity.identifiers,
       timestamp: conversionData.timestamp || admin.firestore.FieldValue.serverTimestamp(),
       createdAt: admin.firestore.FieldValue.serverTimestamp()
     };
@@ -175,7 +230,7 @@ const trackConversion = async (conversionData) => {
     const conversionRef = await db.collection('customerConversions').add(conversion);
     
     // Update customer journey
-    await updateCustomerJourneyWithConversion(conversionData.customerId, {
+    await updateCustomerJourneyWithConversion(identity.customerId, {
       conversionId: conversionRef.id,
       ...conversion
     });
@@ -183,6 +238,11 @@ const trackConversion = async (conversionData) => {
     // Perform attribution
     const attribution = await attributeConversion(conversionRef.id);
     
+    // Earlier conversions may now have touchpoints merged in from another identity
+    if (identity.mergedCustomerIds.length > 0) {
+      await reattributeCustomerConversions(identity.customerId);
+    }
+    
     return {
       id: conversionRef.id,
       ...conversion,
@@ -210,6 +270,7 @@ const updateCustomerJourneyWithConversion = async (customerId, conversion) => {
       // Create new journey if it doesn't exist
       await journeyRef.set({
         customerId,
+        userId: conversion.userId,
         touchpoints: [],
         conversions: [conversion],
         lastUpdated: admin.firestore.FieldValue.serverTimestamp(),
@@ -228,6 +289,7 @@ const updateCustomerJourneyWithConversion = async (customerId, conversion) => {
     
     await journeyRef.update({
       conversions: admin.firestore.FieldValue.arrayUnion(conversion),
+      ...(journey.userId ? {} : { userId: conversion.userId }),
       lastUpdated: admin.firestore.FieldValue.serverTimestamp()
     });
     
@@ -242,6 +304,327 @@ const updateCustomerJourneyWithConversion = async (customerId, conversion) => {
   }
 };
 
+/**
+ * Resolve the customer behind a set of identifiers and link them in the identity graph
+ *
+ * When the identifiers are already linked to different customers, those customers are
+ * merged into one: the customer named by customerId if given, otherwise the customer
+ * found through the strongest identifier (email before phone, device and anonymous ID).
+ * Customer IDs are derived from the user ID as well as the identifier, and customers owned
+ * by another user are never followed or merged, so tenants sharing a visitor stay apart.
+ * @param {string} userId - User ID
+ * @param {Object} identityData - Any of customerId, email, hashedEmail, phone, hashedPhone, deviceId, anonymousId
+ * @returns {Promise<Object>} { customerId, identifiers, mergedCustomerIds, created }
+ */
+const resolveCustomerIdentity = async (userId, identityData) => {
+  try {
+    const identifiers = extractIdentifiers(identityData);
+    if (identifiers.length === 0) {
+      throw new Error('No customer identifiers provided');
+    }
+    
+    const linkRefs = identifiers.map(identifier =>
+      db.collection('identityLinks').doc(`${userId}_${identifier.type}_${identifier.hash}`)
+    );
+    const linkDocs = await Promise.all(linkRefs.map(ref => ref.get()));
+    
+    // Customers already known under these identifiers, strongest first
+    const candidates = identityData.customerId ? [String(identityData.customerId)] : [];
+    linkDocs.forEach(doc => {
+      if (doc.exists) {
+        candidates.push(doc.data().customerId);
+      }
+    });
+    
+    const customerIds = [];
+    for (const candidate of candidates) {
+      const customerId = await followMergedCustomer(userId, candidate);
+      if (customerId && !customerIds.includes(customerId)) {
+        customerIds.push(customerId);
+      }
+    }
+    
+    // New visitors get a stable ID derived from the user and their strongest identifier
+    const created = customerIds.length === 0;
+    const customerId = created ? `cust_${sha256(`${userId}:${identifiers[0].hash}`).slice(0, 24)}` : customerIds[0];
+    const mergedCustomerIds = customerIds.slice(1);
+    
+    for (const sourceCustomerId of mergedCustomerIds) {
+      await mergeCustomers(userId, customerId, sourceCustomerId);
+    }
+    
+    await Promise.all(linkRefs.map((ref, index) => ref.set({
+      userId,
+      type: identifiers[index].type,
+      hash: identifiers[index].hash,
+      customerId,
+      linkedAt: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true })));
+    
+    return {
+      customerId,
+      identifiers,
+      mergedCustomerIds,
+      created
+    };
+  } catch (error) {
+    console.error('Error resolving customer identity:', error);
+    throw new Error('Failed to resolve customer identity');
+  }
+};
+
+/**
+ * Follow merges to the customer that now owns a journey
+ * @param {string} userId - User ID the customer must belong to
+ * @param {string} customerId - Customer ID
+ * @returns {Promise<string|null>} Current customer ID, or null if the journey belongs to another user
+ */
+const followMergedCustomer = async (userId, customerId) => {
+  let current = customerId;
+  
+  // Merges always point at a surviving customer, so chains stay short
+  for (let hop = 0; hop < 10; hop++) {
+    const journeyDoc = await db.collection('customerJourneys').doc(current).get();
+    if (!journeyDoc.exists) {
+      return current;
+    }
+    const journey = journeyDoc.data();
+    // Journeys written before they recorded their owner are still followed
+    if (journey.userId && journey.userId !== userId) {
+      return null;
+    }
+    if (!journey.mergedInto) {
+      return current;
+    }
+    current = journey.mergedInto;
+  }
+  
+  return current;
+};
+
+/**
+ * Merge one customer's history into another
+ * @param {string} userId - User ID
+ * @param {string} targetCustomerId - Customer that is kept
+ * @param {string} sourceCustomerId - Customer that is merged away
+ * @returns {Promise<Object>} Merged journey
+ */
+const mergeCustomers = async (userId, targetCustomerId, sourceCustomerId) => {
+  try {
+    const targetRef = db.collection('customerJourneys').doc(targetCustomerId);
+    const sourceRef = db.collection('customerJourneys').doc(sourceCustomerId);
+    const [targetDoc, sourceDoc] = await Promise.all([targetRef.get(), sourceRef.get()]);
+    
+    if ([targetDoc, sourceDoc].some(doc => doc.exists && doc.data().userId && doc.data().userId !== userId)) {
+      throw new Error('Cannot merge customers that belong to another user');
+    }
+    
+    const merged = mergeJourneyRecords([
+      targetDoc.exists ? targetDoc.data() : {},
+      sourceDoc.exists ? sourceDoc.data() : {}
+    ]);
+    
+    await targetRef.set({
+      customerId: targetCustomerId,
+      userId,
+      touchpoints: merged.touchpoints,
+      conversions: merged.conversions,
+      lastUpdated: admin.firestore.FieldValue.serverTimestamp(),
+      ...(targetDoc.exists ? {} : { createdAt: admin.firestore.FieldValue.serverTimestamp() })
+    }, { merge: true });
+    
+    // Leave a pointer so events still sent under the old ID find the merged journey
+    await sourceRef.set({
+      customerId: sourceCustomerId,
+      userId,
+      mergedInto: targetCustomerId,
+      touchpoints: [],
+      conversions: [],
+      mergedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    
+    // Re-point identifiers and raw events at the surviving customer
+    const [links, touchpoints, conversions] = await Promise.all(
+      ['identityLinks', 'customerTouchpoints', 'customerConversions'].map(collection =>
+        db.collection(collection)
+          .where('userId', '==', userId)
+          .where('customerId', '==', sourceCustomerId)
+          .get()
+      )
+    );
+    
+    const updates = [];
+    [links, touchpoints, conversions].forEach(snapshot => {
+      snapshot.forEach(doc => {
+        updates.push(doc.ref.update({ customerId: targetCustomerId }));
+      });
+    });
+    await Promise.all(updates);
+    
+    await db.collection('identityMerges').add({
+      userId,
+      targetCustomerId,
+      sourceCustomerId,
+      touchpointCount: touchpoints.docs.length,
+      conversionCount: conversions.docs.length,
+      mergedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    
+    return {
+      customerId: targetCustomerId,
+      ...merged
+    };
+  } catch (error) {
+    console.error('Error merging customers:', error);
+    throw new Error('Failed to merge customers');
+  }
+};
+
+/**
+ * Re-attribute every conversion in a customer's journey with the models it was attributed with
+ * @param {string} customerId - Customer ID
+ * @returns {Promise<Object>} { attributed, failed }
+ */
+const reattributeCustomerConversions = async (customerId) => {
+  const journeyDoc = await db.collection('customerJourneys').doc(customerId).get();
+  if (!journeyDoc.exists) {
+    return { attributed: 0, failed: 0 };
+  }
+  
+  const conversionIds = [...new Set((journeyDoc.data().conversions || [])
+    .map(conversion => conversion.conversionId)
+    .filter(Boolean))];
+  
+  let attributed = 0;
+  let failed = 0;
+  const batchSize = 20;
+  
+  for (let i = 0; i < conversionIds.length; i += batchSize) {
+    const results = await Promise.all(conversionIds.slice(i, i + batchSize).map(async conversionId => {
+      try {
+        const attributionDoc = await db.collection('conversionAttributions').doc(conversionId).get();
+        const byModel = attributionDoc.exists ? attributionDoc.data().byModel : null;
+        const models = byModel && Object.keys(byModel).length > 0 ? Object.keys(byModel) : [ATTRIBUTION_MODELS.ALGORITHMIC];
+        
+        for (const model of models) {
+          await attributeConversion(conversionId, model);
+        }
+        return true;
+      } catch (error) {
+        console.error(`Error re-attributing conversion ${conversionId}:`, error);
+        return false;
+      }
+    }));
+    
+    results.forEach(success => (success ? attributed++ : failed++));
+  }
+  
+  return { attributed, failed };
+};
+
+/**
+ * Import offline (CRM, point-of-sale) conversions
+ *
+ * Rows are matched to customers through the identity graph and recorded as
+ * CHANNEL_TYPES.OFFLINE conversions; rows with an orderId that was already imported are
+ * skipped. Every affected customer's conversions are then re-attributed.
+ * @param {string} userId - User ID
+ * @param {string|Array<Object>} data - CSV text or JSON rows
+ * @param {Object} [options] - { format: 'csv' | 'json', conversionType }
+ * @returns {Promise<Object>} Import summary
+ */
+const importOfflineConversions = async (userId, data, options = {}) => {
+  try {
+    const { conversions, errors } = parseOfflineConversions(data, options);
+    const rowCount = conversions.length + errors.length;
+    
+    const affectedCustomers = new Set();
+    let imported = 0;
+    let duplicates = 0;
+    
+    // Rows are imported one at a time so rows for the same customer resolve consistently
+    for (const row of conversions) {
+      try {
+        const identity = await resolveCustomerIdentity(userId, row.identity);
+        
+        const conversion = {
+          userId,
+          customerId: identity.customerId,
+          identifiers: identity.identifiers,
+          conversionType: row.conversionType,
+          value: row.value,
+          currency: row.currency,
+          channelType: CHANNEL_TYPES.OFFLINE,
+          source: 'offline_import',
+          orderId: row.orderId,
+          timestamp: row.timestamp,
+          attribution: null,
+          createdAt: admin.firestore.FieldValue.serverTimestamp()
+        };
+        
+        let conversionId;
+        if (row.orderId) {
+          conversionId = `${userId}_offline_${sha256(row.orderId)}`;
+          const conversionRef = db.collection('customerConversions').doc(conversionId);
+          if ((await conversionRef.get()).exists) {
+            duplicates++;
+            continue;
+          }
+          await conversionRef.set(conversion);
+        } else {
+          conversionId = (await db.collection('customerConversions').add(conversion)).id;
+        }
+        
+        await updateCustomerJourneyWithConversion(identity.customerId, {
+          conversionId,
+          ...conversion
+        });
+        
+        affectedCustomers.add(identity.customerId);
+        imported++;
+      } catch (error) {
+        console.error(`Error importing offline conversion row ${row.row}:`, error);
+        errors.push({ row: row.row, message: error.message });
+      }
+    }
+    
+    // Offline sales can fall before or between known touchpoints, so re-attribute whole journeys
+    let attributed = 0;
+    let failedAttributions = 0;
+    for (const customerId of affectedCustomers) {
+      const result = await reattributeCustomerConversions(customerId);
+      attributed += result.attributed;
+      failedAttributions += result.failed;
+    }
+    
+    const summary = {
+      userId,
+      format: options.format || (typeof data === 'string' ? 'csv' : 'json'),
+      rowCount,
+      imported,
+      duplicates,
+      errors: errors.sort((a, b) => a.row - b.row),
+      affectedCustomers: affectedCustomers.size,
+      attributed,
+      failedAttributions,
+      importedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+    
+    const importRef = await db.collection('offlineConversionImports').add(summary);
+    
+    return {
+      id: importRef.id,
+      ...summary
+    };
+  } catch (error) {
+    console.error('Error importing offline conversions:', error);
+    if (error.type === ErrorTypes.VALIDATION_ERROR) {
+      throw error;
+    }
+    throw new Error('Failed to import offline conversions');
+  }
+};
+
 /**
  * Attribute conversion to touchpoints
  * @param {string} conversionId - Conversion ID
@@ -332,6 +715,11 @@ const attributeConversion = async (conversionId, model = ATTRIBUTION_MODELS.ALGO
         attributedTouchpoints = await attributeAlgorithmic(touchpointsBeforeConversion, conversion);
         break;
       
+      case ATTRIBUTION_MODELS.MARKOV_CHAIN:
+      case ATTRIBUTION_MODELS.SHAPLEY:
+        attributedTouchpoints = await attributeDataDriven(touchpointsBeforeConversion, conversion, model);
+        break;
+      
       default:
         attributedTouchpoints = attributeLinear(touchpointsBeforeConversion, conversion);
     }
@@ -347,8 +735,13 @@ const attributeConversion = async (conversionId, model = ATTRIBUTION_MODELS.ALGO
       createdAt: admin.firestore.FieldValue.serverTimestamp()
     };
     
-    // Save attribution
-    await db.collection('conversionAttributions').doc(conversionId).set(attribution);
+    // Save attribution, keeping each model's result so reports can compare models
+    await db.collection('conversionAttributions').doc(conversionId).set({
+      ...attribution,
+      byModel: {
+        [model]: attributedTouchpoints
+      }
+    }, { merge: true });
     
     // Update conversion with attribution
     await db.collection('customerConversions').doc(conversionId).update({
@@ -618,6 +1011,198 @@ const attributeAlgorithmic = async (touchpoints, conversion) => {
   }
 };
 
+/**
+ * Data-driven (Markov chain or Shapley) attribution model
+ * @param {Array} touchpoints - Touchpoints
+ * @param {Object} conversion - Conversion
+ * @param {string} model - ATTRIBUTION_MODELS.MARKOV_CHAIN or ATTRIBUTION_MODELS.SHAPLEY
+ * @returns {Promise<Array>} Attributed touchpoints
+ */
+const attributeDataDriven = async (touchpoints, conversion, model) => {
+  try {
+    const fittedModel = await getDataDrivenModel(conversion.userId, model);
+    const credits = distributeCredit(touchpoints, fittedModel.weights);
+    
+    return touchpoints.map((touchpoint, index) => ({
+      touchpointId: touchpoint.touchpointId,
+      channelType: touchpoint.channelType,
+      timestamp: touchpoint.timestamp,
+      attributionCredit: credits[index],
+      attributionValue: credits[index] * (conversion.value || 0)
+    }));
+  } catch (error) {
+    console.error(`Error in ${model} attribution:`, error);
+    // Fallback to linear attribution
+    return attributeLinear(touchpoints, conversion);
+  }
+};
+
+/**
+ * Get the fitted data-driven model for a user
+ *
+ * The model is fitted over the lookback window when none is stored, and refitted once it
+ * is older than its lookback window, since by then none of the journeys it learned from
+ * would count towards a new conversion.
+ * @param {string} userId - User ID
+ * @param {string} model - Data-driven attribution model
+ * @returns {Promise<Object>} Fitted model with channel weights
+ */
+const getDataDrivenModel = async (userId, model) => {
+  const modelDoc = await db.collection('attributionModels').doc(`${userId}_${model}`).get();
+  
+  if (modelDoc.exists) {
+    const stored = modelDoc.data();
+    const maxAge = (stored.lookbackDays || AttributionModelDefaults.lookbackDays) * 24 * 60 * 60 * 1000;
+    if (Date.now() - toMillis(stored.fittedAt) <= maxAge) {
+      return stored;
+    }
+  }
+  
+  const endDate = new Date();
+  const startDate = new Date(endDate.getTime() - AttributionModelDefaults.lookbackDays * 24 * 60 * 60 * 1000);
+  
+  return fitAttributionModel(userId, model, { startDate, endDate });
+};
+
+/**
+ * Fit a data-driven attribution model over all customer journeys in a date range
+ * @param {string} userId - User ID
+ * @param {string} model - ATTRIBUTION_MODELS.MARKOV_CHAIN or ATTRIBUTION_MODELS.SHAPLEY
+ * @param {Object} params - { startDate, endDate, lookbackDays }
+ * @returns {Promise<Object>} Fitted model
+ */
+const fitAttributionModel = async (userId, model, params) => {
+  try {
+    const startDate = new Date(params.startDate);
+    const endDate = new Date(params.endDate);
+    const lookbackDays = params.lookbackDays || AttributionModelDefaults.lookbackDays;
+    
+    // Touchpoints up to the lookback window before the range can still lead to conversions in it
+    const touchpointStart = new Date(startDate.getTime() - lookbackDays * 24 * 60 * 60 * 1000);
+    
+    const [touchpointsQuery, conversionsQuery] = await Promise.all([
+      db.collection('customerTouchpoints')
+        .where('userId', '==', userId)
+        .where('timestamp', '>=', touchpointStart)
+        .where('timestamp', '<=', endDate)
+        .get(),
+      db.collection('customerConversions')
+        .where('userId', '==', userId)
+        .where('timestamp', '>=', startDate)
+        .where('timestamp', '<=', endDate)
+        .get()
+    ]);
+    
+    const touchpoints = [];
+    touchpointsQuery.forEach(doc => touchpoints.push(doc.data()));
+    
+    const conversions = [];
+    conversionsQuery.forEach(doc => conversions.push(doc.data()));
+    
+    const paths = buildJourneyPaths(touchpoints, conversions, { lookbackDays });
+    
+    const fittedModel = {
+      userId,
+      ...fitDataDrivenModel(model, paths),
+      startDate: startDate.toISOString(),
+      endDate: endDate.toISOString(),
+      lookbackDays,
+      // Stored as a date (not a server timestamp) so the returned model can be aged too
+      fittedAt: new Date()
+    };
+    
+    await db.collection('attributionModels').doc(`${userId}_${model}`).set(fittedModel);
+    
+    return fittedModel;
+  } catch (error) {
+    console.error('Error fitting attribution model:', error);
+    throw new Error('Failed to fit attribution model');
+  }
+};
+
+/**
+ * Attribute conversions with a model in small batches to bound concurrent writes
+ * @param {Array<string>} conversionIds - Conversion IDs
+ * @param {string} model - Attribution model
+ * @returns {Promise<Array<Object|null>>} Attribution per conversion, or null where it failed
+ */
+const attributeConversionsInBatches = async (conversionIds, model) => {
+  const batchSize = 20;
+  const attributions = [];
+  
+  for (let i = 0; i < conversionIds.length; i += batchSize) {
+    const results = await Promise.all(conversionIds.slice(i, i + batchSize).map(conversionId =>
+      attributeConversion(conversionId, model).catch(error => {
+        console.error(`Error attributing conversion ${conversionId} with ${model}:`, error);
+        return null;
+      })
+    ));
+    attributions.push(...results);
+  }
+  
+  return attributions;
+};
+
+/**
+ * Refit data-driven models and re-attribute every conversion in a date range
+ * @param {string} userId - User ID
+ * @param {Object} params - { startDate, endDate, lookbackDays, models }
+ * @returns {Promise<Object>} Recomputation summary
+ */
+const recomputeAttribution = async (userId, params) => {
+  try {
+    // Validate required fields
+    if (!params.startDate || !params.endDate) {
+      throw new Error('Missing required recompute parameters');
+    }
+    
+    const models = params.models || [ATTRIBUTION_MODELS.MARKOV_CHAIN, ATTRIBUTION_MODELS.SHAPLEY];
+    
+    // Fit models first so every conversion is attributed with the same weights
+    const fittedModels = {};
+    for (const model of models) {
+      if (Object.values(DataDrivenModel).includes(model)) {
+        const fittedModel = await fitAttributionModel(userId, model, params);
+        fittedModels[model] = {
+          weights: fittedModel.weights,
+          pathCount: fittedModel.pathCount,
+          conversionCount: fittedModel.conversionCount
+        };
+      }
+    }
+    
+    const conversionsQuery = await db.collection('customerConversions')
+      .where('userId', '==', userId)
+      .where('timestamp', '>=', new Date(params.startDate))
+      .where('timestamp', '<=', new Date(params.endDate))
+      .get();
+    
+    const conversionIds = [];
+    conversionsQuery.forEach(doc => conversionIds.push(doc.id));
+    
+    let attributed = 0;
+    let failed = 0;
+    
+    for (const model of models) {
+      const results = await attributeConversionsInBatches(conversionIds, model);
+      results.forEach(attribution => (attribution ? attributed++ : failed++));
+    }
+    
+    return {
+      userId,
+      startDate: params.startDate,
+      endDate: params.endDate,
+      models: fittedModels,
+      conversionCount: conversionIds.length,
+      attributed,
+      failed
+    };
+  } catch (error) {
+    console.error('Error recomputing attribution:', error);
+    throw new Error('Failed to recompute attribution');
+  }
+};
+
 /**
  * Calculate machine learning attribution
  * @param {Array} touchpoints - Touchpoints
@@ -848,6 +1433,38 @@ const generateAttributionReport = async (userId, reportParams) => {
       }
     });
     
+    // Report on a specific model, attributing conversions that have no result for it yet
+    if (reportParams.model) {
+      const missingIds = conversionIds.filter(id => {
+        const attribution = attributions.find(a => a.id === id);
+        return !attribution || !(attribution.byModel && attribution.byModel[reportParams.model]);
+      });
+      
+      // Fit or refresh a data-driven model once, rather than in every concurrent attribution
+      if (missingIds.length > 0 && Object.values(DataDrivenModel).includes(reportParams.model)) {
+        await getDataDrivenModel(userId, reportParams.model);
+      }
+      
+      const modelAttributions = await attributeConversionsInBatches(missingIds, reportParams.model);
+      
+      modelAttributions.forEach((attribution, index) => {
+        if (!attribution || !attribution.touchpoints) {
+          return;
+        }
+        const existing = attributions.find(a => a.id === missingIds[index]);
+        if (existing) {
+          existing.byModel = { ...(existing.byModel || {}), [reportParams.model]: attribution.touchpoints };
+        } else {
+          attributions.push({ id: missingIds[index], ...attribution, byModel: { [reportParams.model]: attribution.touchpoints } });
+        }
+      });
+      
+      attributions.forEach(attribution => {
+        attribution.model = reportParams.model;
+        attribution.touchpoints = (attribution.byModel && attribution.byModel[reportParams.model]) || [];
+      });
+    }
+    
     // Calculate channel attribution
     const channelAttribution = calculateChannelAttribution(attributions);
     
@@ -874,6 +1491,7 @@ const generateAttributionReport = async (userId, reportParams) => {
       startDate: reportParams.startDate,
       endDate: reportParams.endDate,
       conversionType: reportParams.conversionType,
+      model: reportParams.model || null,
       totalConversions: conversions.length,
       totalValue: conversions.reduce((sum, conv) => sum + (conv.value || 0), 0),
       channelAttribution,
@@ -1327,12 +1945,22 @@ const generateBudgetRecommendations = async (userId, budgetParams) => {
       return allocation;
     }, {});
     
-    // Adjust allocation based on AI recommendations
-    budgetAllocation = await optimizeBudgetAllocation(
-      budgetAllocation,
-      report,
-      budgetParams
-    );
+    // Optimize the allocation against channel response curves
+    const responseModel = await loadBudgetResponseModel(userId, report, budgetParams, budgetAllocation);
+    let optimization;
+    try {
+      optimization = optimizeBudgetAllocation(budgetAllocation, budgetParams, responseModel);
+    } catch (error) {
+      if (error.type !== ErrorTypes.VALIDATION_ERROR) {
+        throw error;
+      }
+      return {
+        userId,
+        status: 'infeasible_constraints',
+        message: error.message
+      };
+    }
+    budgetAllocation = optimization.budgetAllocation;
     
     // Generate implementation plan
     const implementationPlan = await generateImplementationPlan(
@@ -1347,6 +1975,7 @@ const generateBudgetRecommendations = async (userId, budgetParams) => {
       startDate: budgetParams.startDate,
       endDate: budgetParams.endDate,
       budgetAllocation,
+      optimization: optimization.summary,
       implementationPlan,
       generatedAt: admin.firestore.FieldValue.serverTimestamp()
     };
@@ -1365,89 +1994,149 @@ const generateBudgetRecommendations = async (userId, budgetParams) => {
 };
 
 /**
- * Optimize budget allocation
- * @param {Object} initialAllocation - Initial budget allocation
+ * Load the channel response curves used to optimize a budget
+ *
+ * Uses the latest fitted marketing mix model when there is one, otherwise curves derived
+ * from the attribution report's value per channel and the current spend.
+ * @param {string} userId - User ID
  * @param {Object} attributionReport - Attribution report
  * @param {Object} budgetParams - Budget parameters
- * @returns {Promise<Object>} Optimized budget allocation
+ * @param {Object} initialAllocation - Attribution-share allocation
+ * @returns {Promise<Object>} { source, target, periods, curves, currentSpend }
  */
-const optimizeBudgetAllocation = async (initialAllocation, attributionReport, budgetParams) => {
-  try {
-    // Prepare data for AI analysis
-    const allocationData = {
-      initialAllocation,
-      channelAttribution: attributionReport.channelAttribution,
-      touchpointEffectiveness: attributionReport.touchpointEffectiveness,
-      multiTouchInsights: attributionReport.multiTouchInsights,
-      totalBudget: budgetParams.totalBudget,
-      businessObjectives: budgetParams.businessObjectives || 'Maximize ROI',
-      targetAudience: budgetParams.targetAudience || 'General audience',
-      seasonality: budgetParams.seasonality || 'None'
-    };
-    
-    // Prepare prompt for AI
-    const prompt = `
-      As a marketing budget optimization expert, optimize this budget allocation:
-      
-      Allocation Data: ${JSON.stringify(allocationData)}
-      
-      Optimize the budget allocation based on:
-      1. Channel attribution and performance
-      2. Touchpoint effectiveness
-      3. Multi-touch insights
-      4. Business objectives: ${budgetParams.businessObjectives || 'Maximize ROI'}
-      5. Target audience: ${budgetParams.targetAudience || 'General audience'}
-      6. Seasonality factors: ${budgetParams.seasonality || 'None'}
-      
-      Provide an optimized budget allocation that maintains or improves performance.
-      The total budget must remain exactly ${budgetParams.totalBudget}.
-      
-      Format your response as a JSON object with channel names as keys, and objects with 'percentage' and 'amount' as values.
-      For example: {"organic_search": {"percentage": 0.3, "amount": 3000}, "paid_search": {"percentage": 0.2, "amount": 2000}}
-    `;
+const loadBudgetResponseModel = async (userId, attributionReport, budgetParams, initialAllocation) => {
+  const weekMs = 7 * 24 * 60 * 60 * 1000;
+  const weeksBetween = (start, end) => Math.max(1, (new Date(end).getTime() - new Date(start).getTime()) / weekMs);
+  const periods = weeksBetween(budgetParams.startDate, budgetParams.endDate);
+  const objective = budgetParams.objective || 'revenue';
+  const averageValue = attributionReport.totalConversions > 0
+    ? (attributionReport.totalValue || 0) / attributionReport.totalConversions
+    : 0;
+  
+  const modelQuery = await db.collection('marketingMixModels')
+    .where('userId', '==', userId)
+    .orderBy('generatedAt', 'desc')
+    .limit(1)
+    .get();
+  const model = modelQuery.empty ? null : modelQuery.docs[0].data();
+  
+  if (model && model.modelType === 'adstock_saturation') {
+    // Convert the fitted target into the objective being optimized
+    let scale = 1;
+    if (model.target !== objective && objective === 'revenue') {
+      scale = averageValue;
+    } else if (model.target !== objective) {
+      scale = averageValue > 0 ? 1 / averageValue : 0;
+    }
     
-    // Get optimized allocation from AI
-    const optimizationResponse = await openai.generateContent(prompt, {
-      max_tokens: 800,
-      temperature: 0.3,
-      response_format: { type: "json_object" }
+    const curves = {};
+    const currentSpend = {};
+    Object.entries(model.diminishingReturns).forEach(([channel, fitted]) => {
+      curves[channel] = { ...fitted.model, coefficient: fitted.model.coefficient * scale };
+      currentSpend[channel] = (model.channelSpend[channel] || 0) / model.fitQuality.weeks * periods;
     });
     
-    // Parse optimized allocation
-    let optimizedAllocation;
-    try {
-      optimizedAllocation = JSON.parse(optimizationResponse);
-      
-      // Validate allocation
-      let totalPercentage = 0;
-      let totalAmount = 0;
-      
-      Object.values(optimizedAllocation).forEach(allocation => {
-        totalPercentage += allocation.percentage;
-        totalAmount += allocation.amount;
-      });
-      
-      // Ensure total is correct
-      if (Math.abs(totalPercentage - 1) > 0.01 || Math.abs(totalAmount - budgetParams.totalBudget) > 1) {
-        // Normalize if needed
-        const normalizationFactor = budgetParams.totalBudget / totalAmount;
-        
-        Object.keys(optimizedAllocation).forEach(channel => {
-          optimizedAllocation[channel].amount *= normalizationFactor;
-          optimizedAllocation[channel].percentage = optimizedAllocation[channel].amount / budgetParams.totalBudget;
-        });
-      }
-    } catch (e) {
-      console.error('Error parsing optimized budget allocation:', e);
-      // Fallback to initial allocation
-      optimizedAllocation = initialAllocation;
-    }
-    
-    return optimizedAllocation;
-  } catch (error) {
-    console.error('Error optimizing budget allocation:', error);
-    return initialAllocation;
+    return {
+      source: 'marketing_mix_model',
+      modelId: modelQuery.docs[0].id,
+      target: objective,
+      periods,
+      curves,
+      currentSpend: budgetParams.currentSpend || currentSpend
+    };
   }
+  
+  // Without a fitted model, assume each channel is at the midpoint of a saturating curve
+  const currentSpend = budgetParams.currentSpend || Object.entries(initialAllocation).reduce((result, [channel, allocation]) => ({
+    ...result,
+    [channel]: allocation.amount
+  }), {});
+  const reportWeeks = attributionReport.startDate && attributionReport.endDate
+    ? weeksBetween(attributionReport.startDate, attributionReport.endDate)
+    : periods;
+  
+  const observations = {};
+  Object.entries(attributionReport.channelAttribution).forEach(([channel, data]) => {
+    if (!initialAllocation[channel]) {
+      return;
+    }
+    const periodResponse = objective === 'revenue'
+      ? data.totalValue
+      : data.valuePercentage * (attributionReport.totalConversions || 0);
+    observations[channel] = {
+      weeklySpend: (currentSpend[channel] || 0) / periods,
+      weeklyResponse: periodResponse / reportWeeks
+    };
+  });
+  
+  return {
+    source: 'attribution',
+    target: objective,
+    periods,
+    curves: curvesFromObservedReturns(observations, {
+      defaultWeeklySpend: budgetParams.totalBudget / periods / Object.keys(observations).length
+    }),
+    currentSpend
+  };
+};
+
+/**
+ * Optimize budget allocation
+ *
+ * Maximizes the predicted response subject to budgetParams.constraints:
+ * minSpend and maxSpend per channel, minimumChange (the smallest amount moved between
+ * channels) and riskTolerance (the largest share by which a channel may move).
+ * @param {Object} initialAllocation - Initial budget allocation
+ * @param {Object} budgetParams - Budget parameters
+ * @param {Object} responseModel - Response curves from loadBudgetResponseModel
+ * @returns {Object} { budgetAllocation, summary } with the efficient frontier in the summary
+ */
+const optimizeBudgetAllocation = (initialAllocation, budgetParams, responseModel) => {
+  const constraints = budgetParams.constraints || {};
+  const totalBudget = budgetParams.totalBudget;
+  const options = {
+    currentSpend: responseModel.currentSpend,
+    minSpend: constraints.minSpend,
+    maxSpend: constraints.maxSpend,
+    step: constraints.minimumChange,
+    riskTolerance: constraints.riskTolerance,
+    periods: responseModel.periods
+  };
+  
+  const result = optimizeBudget(responseModel.curves, totalBudget, options);
+  const frontier = efficientFrontier(responseModel.curves, totalBudget, {
+    ...options,
+    budgetLevels: budgetParams.frontierLevels,
+    frontierStep: budgetParams.frontierStep
+  });
+  
+  const budgetAllocation = {};
+  Object.entries(result.allocation).forEach(([channel, amount]) => {
+    budgetAllocation[channel] = {
+      percentage: amount / totalBudget,
+      amount,
+      currentAmount: responseModel.currentSpend[channel] || 0,
+      change: result.changes[channel],
+      marginalReturn: result.marginalReturns[channel]
+    };
+  });
+  
+  return {
+    budgetAllocation,
+    summary: {
+      method: 'constrained_response_curves',
+      responseSource: responseModel.source,
+      modelId: responseModel.modelId || null,
+      objective: responseModel.target,
+      initialAllocation,
+      constraints,
+      currentResponse: result.currentResponse,
+      expectedResponse: result.response,
+      incrementalResponse: result.response - result.currentResponse,
+      bindingConstraints: result.binding,
+      frontier
+    }
+  };
 };
 
 /**
@@ -1801,8 +2490,14 @@ const generateMarketingMixModel = async (userId, modelParams) => {
     const startDate = new Date(modelParams.startDate);
     const endDate = new Date(modelParams.endDate);
     
-    // Get marketing spend data
-    const spendData = modelParams.channelSpend || {};
+    // Get marketing spend data, totalling the weekly series when only that is provided
+    const weeklySpend = modelParams.weeklySpend || [];
+    const spendData = modelParams.channelSpend || weeklySpend.reduce((totals, week) => {
+      Object.entries(week.spend || {}).forEach(([channel, amount]) => {
+        totals[channel] = (totals[channel] || 0) + amount;
+      });
+      return totals;
+    }, {});
     
     // Get conversions for the period
     const conversionsQuery = await db.collection('customerConversions')
@@ -1854,15 +2549,21 @@ const generateMarketingMixModel = async (userId, modelParams) => {
     // Calculate cross-channel effects
     const crossChannelEffects = calculateCrossChannelEffects(attributions);
     
+    // Fit adstock and saturation curves when there is a long enough weekly series
+    const responseModel = fitResponseModel(weeklySpend, conversions, modelParams);
+    
     // Calculate diminishing returns
-    const diminishingReturns = calculateDiminishingReturns(channelImpact, spendData);
+    const diminishingReturns = responseModel
+      ? responseModel.responseCurves
+      : calculateDiminishingReturns(channelImpact, spendData);
     
     // Generate optimal mix
     const optimalMix = await generateOptimalMix(
       channelImpact,
       crossChannelEffects,
       diminishingReturns,
-      modelParams
+      { ...modelParams, channelSpend: spendData },
+      responseModel
     );
     
     // Create model
@@ -1873,6 +2574,9 @@ const generateMarketingMixModel = async (userId, modelParams) => {
       channelSpend: spendData,
       channelImpact,
       crossChannelEffects,
+      modelType: responseModel ? 'adstock_saturation' : 'heuristic',
+      target: responseModel ? responseModel.target : null,
+      fitQuality: responseModel ? responseModel.fit : null,
       diminishingReturns,
       optimalMix,
       generatedAt: admin.firestore.FieldValue.serverTimestamp()
@@ -1891,6 +2595,47 @@ const generateMarketingMixModel = async (userId, modelParams) => {
   }
 };
 
+/**
+ * Fit the regression-based marketing mix model
+ * @param {Array} weeklySpend - Weekly spend series [{ weekStart, spend: { channel: amount } }]
+ * @param {Array} conversions - Conversions in the period
+ * @param {Object} modelParams - Model parameters ({ target: 'conversions' | 'revenue' })
+ * @returns {Object|null} Fitted model with response curves, or null without enough weeks
+ */
+const fitResponseModel = (weeklySpend, conversions, modelParams) => {
+  if (weeklySpend.length < MMMDefaults.minWeeks) {
+    return null;
+  }
+  
+  const target = modelParams.target || 'conversions';
+  const fitted = fitMarketingMixModel(buildWeeklySeries(weeklySpend, conversions, { target }));
+  
+  const responseCurves = {};
+  Object.entries(fitted.channels).forEach(([channel, curve]) => {
+    responseCurves[channel] = {
+      model: {
+        decay: curve.decay,
+        halfSaturation: curve.halfSaturation,
+        shape: curve.shape,
+        coefficient: curve.coefficient
+      },
+      contribution: curve.contribution,
+      contributionShare: curve.contributionShare,
+      responsePerDollar: curve.responsePerDollar,
+      marginalResponse: marginalResponse(curve, curve.averageWeeklySpend),
+      responseCurve: responseCurve(curve)
+    };
+  });
+  
+  return {
+    target,
+    intercept: fitted.intercept,
+    channels: fitted.channels,
+    fit: fitted.fit,
+    responseCurves
+  };
+};
+
 /**
  * Calculate channel impact
  * @param {Array} attributions - Attributions
@@ -2068,25 +2813,37 @@ const calculateDiminishingReturns = (channelImpact, spendData) => {
 
 /**
  * Generate optimal mix
+ *
+ * With a fitted response model the allocation is computed by funding the channel with the
+ * best marginal return until the budget is spent; the LLM only explains the result. Without
+ * one, the LLM proposes the allocation from the heuristic diminishing returns.
  * @param {Object} channelImpact - Channel impact
  * @param {Object} crossChannelEffects - Cross-channel effects
  * @param {Object} diminishingReturns - Diminishing returns
  * @param {Object} modelParams - Model parameters
+ * @param {Object} [responseModel] - Fitted marketing mix model
  * @returns {Promise<Object>} Optimal mix
  */
 const generateOptimalMix = async (
   channelImpact,
   crossChannelEffects,
   diminishingReturns,
-  modelParams
+  modelParams,
+  responseModel = null
 ) => {
+  const totalBudget = modelParams.totalBudget || Object.values(modelParams.channelSpend || {}).reduce((sum, spend) => sum + spend, 0);
+  
+  if (responseModel) {
+    return generateModelBasedMix(responseModel, totalBudget, crossChannelEffects, modelParams);
+  }
+  
   try {
     // Prepare data for AI analysis
     const mixData = {
       channelImpact,
       crossChannelEffects,
       diminishingReturns,
-      totalBudget: modelParams.totalBudget || Object.values(modelParams.channelSpend || {}).reduce((sum, spend) => sum + spend, 0),
+      totalBudget,
       businessObjectives: modelParams.businessObjectives || 'Maximize ROI',
       constraints: modelParams.constraints || {}
     };
@@ -2155,6 +2912,97 @@ const generateOptimalMix = async (
   }
 };
 
+/**
+ * Allocate budget from fitted response curves and have the LLM explain the result
+ * @param {Object} responseModel - Fitted marketing mix model
+ * @param {number} totalBudget - Budget for a period as long as the modeled one
+ * @param {Object} crossChannelEffects - Cross-channel effects
+ * @param {Object} modelParams - Model parameters
+ * @returns {Promise<Object>} Optimal mix
+ */
+const generateModelBasedMix = async (responseModel, totalBudget, crossChannelEffects, modelParams) => {
+  const weeks = responseModel.fit.weeks;
+  const constraints = modelParams.constraints || {};
+  const toWeekly = limits => Object.entries(limits || {}).reduce((result, [channel, amount]) => ({
+    ...result,
+    [channel]: amount / weeks
+  }), {});
+  
+  const current = Object.entries(responseModel.channels).reduce((result, [channel, curve]) => ({
+    ...result,
+    [channel]: curve.averageWeeklySpend
+  }), {});
+  const currentResponse = Object.entries(responseModel.channels).reduce(
+    (sum, [channel, curve]) => sum + weeklyResponse(curve, current[channel]), 0
+  );
+  
+  const { allocation, response } = allocateByMarginalReturn(responseModel.channels, totalBudget / weeks, {
+    minSpend: toWeekly(constraints.minSpend),
+    maxSpend: toWeekly(constraints.maxSpend)
+  });
+  
+  const budgetAllocation = {};
+  const marginalReturns = {};
+  Object.entries(allocation).forEach(([channel, weeklySpend]) => {
+    budgetAllocation[channel] = weeklySpend * weeks;
+    marginalReturns[channel] = {
+      current: marginalResponse(responseModel.channels[channel], current[channel]),
+      recommended: marginalResponse(responseModel.channels[channel], weeklySpend)
+    };
+  });
+  
+  const optimalMix = {
+    method: 'response_curves',
+    budgetAllocation,
+    marginalReturns,
+    expectedPerformance: {
+      target: responseModel.target,
+      currentResponse: (responseModel.intercept + currentResponse) * weeks,
+      expectedResponse: (responseModel.intercept + response) * weeks,
+      incrementalResponse: (response - currentResponse) * weeks
+    },
+    rationale: [],
+    implementationConsiderations: []
+  };
+  
+  try {
+    const prompt = `
+      As a marketing mix modeling expert, explain this budget reallocation, which was computed from fitted
+      adstock and saturation response curves by equalizing marginal returns across channels:
+      
+      Current Spend: ${JSON.stringify(modelParams.channelSpend || {})}
+      Recommended Allocation: ${JSON.stringify(budgetAllocation)}
+      Marginal Response per Dollar (current vs recommended): ${JSON.stringify(marginalReturns)}
+      Expected Performance: ${JSON.stringify(optimalMix.expectedPerformance)}
+      Model Fit: ${JSON.stringify(responseModel.fit)}
+      Cross-Channel Effects: ${JSON.stringify(crossChannelEffects)}
+      Business Objectives: ${modelParams.businessObjectives || 'Maximize ROI'}
+      
+      Do not change the allocation. Provide:
+      1. rationale: array of reasons for the main shifts
+      2. implementationConsiderations: array of considerations for rolling it out
+      
+      Format your response as JSON with these two keys.
+    `;
+    
+    const explanationResponse = await openai.generateContent(prompt, {
+      max_tokens: 800,
+      temperature: 0.3,
+      response_format: { type: "json_object" }
+    });
+    
+    const explanation = JSON.parse(explanationResponse);
+    optimalMix.rationale = explanation.rationale || [];
+    optimalMix.implementationConsiderations = explanation.implementationConsiderations || [];
+  } catch (error) {
+    console.error('Error explaining optimal mix:', error);
+    optimalMix.rationale = ["Unable to generate rationale"];
+    optimalMix.implementationConsiderations = ["Unable to generate implementation considerations"];
+  }
+  
+  return optimalMix;
+};
+
 module.exports = {
   // Constants
   ATTRIBUTION_MODELS,
@@ -2165,6 +3013,10 @@ module.exports = {
   trackTouchpoint,
   trackConversion,
   attributeConversion,
+  resolveCustomerIdentity,
+  importOfflineConversions,
+  fitAttributionModel,
+  recomputeAttribution,
   
   // Reporting and analysis
   generateAttributionReport,
@@ -12,6 +12,10 @@
 const functions = require('firebase-functions');
 const { openai, gemini } = require('../apis');
 const admin = require('firebase-admin');
+const { getResponseCache } = require('../utils/llm/responseCache');
+const { LLMEngine, LLMProvider } = require('../utils/llm');
+const { ExperimentOutcome, createExperimentPlan, analyzeExperiment } = require('../utils/experimentation');
+const { AllocationStrategy, createAllocation, computePosteriors, selectVariation, withArmMetrics, recordArmMetric } = require('../utils/banditAllocation');
 
 // Initialize Firestore if not already initialized
 if (!admin.apps.length) {
@@ -67,13 +71,33 @@ const PERFORMANCE_METRICS = {
   CONVERSION_RATE: 'conversion_rate'
 };
 
+/**
+ * Build the JSON Schema for a fixed number of content variations
+ * @param {number} count - Number of variations
+ * @returns {Object} JSON Schema
+ */
+const contentVariationsSchema = (count) => ({
+  type: 'object',
+  required: ['variations'],
+  properties: {
+    variations: {
+      type: 'array',
+      minItems: count,
+      maxItems: count,
+      items: { type: 'string', minLength: 1 }
+    }
+  }
+});
+
 /**
  * Analyze content semantics
  * @param {string} contentId - Content ID
  * @param {string} [model='openai'] - AI model to use ('openai' or 'gemini')
+ * @param {Object} [options={}] - Options
+ * @param {boolean} [options.bypassCache=false] - Re-analyze even if the same text was analyzed recently
  * @returns {Promise<Object>} Semantic analysis results
  */
-const analyzeContentSemantics = async (contentId, model = 'openai') => {
+const analyzeContentSemantics = async (contentId, model = 'openai', options = {}) => {
   try {
     // Get content
     const contentDoc = await db.collection('marketingContent').doc(contentId).get();
@@ -110,19 +134,23 @@ const analyzeContentSemantics = async (contentId, model = 'openai') => {
       Format your response as JSON with these categories.
     `;
     
-    // Get analysis from selected AI model
-    let semanticAnalysis;
-    if (model === 'gemini') {
-      semanticAnalysis = await gemini.generateContent(prompt, {
-        response_format: { type: "json_object" }
-      });
-    } else {
-      semanticAnalysis = await openai.generateContent(prompt, {
-        max_tokens: 1500,
-        temperature: 0.3,
-        response_format: { type: "json_object" }
-      });
-    }
+    // Get analysis from selected AI model (identical text reuses a recent analysis)
+    const semanticAnalysis = await getResponseCache().getOrCompute(
+      { prompt, model, temperature: 0.3, feature: 'content_semantics', tenant: content.userId },
+      () => {
+        if (model === 'gemini') {
+          return gemini.generateContent(prompt, {
+            response_format: { type: "json_object" }
+          });
+        }
+        return openai.generateContent(prompt, {
+          max_tokens: 1500,
+          temperature: 0.3,
+          response_format: { type: "json_object" }
+        });
+      },
+      { bypass: options.bypassCache }
+    );
     
     // Parse analysis
     let analysis;
@@ -1055,19 +1083,19 @@ const generateContentVariations = async (contentId, count = 3, model = 'openai')
       - Are optimized for better performance
       - Each have a unique angle or emphasis
       
-      Format each variation clearly with "Variation 1:", "Variation 2:", etc.
+      Return a JSON object with a "variations" array containing exactly ${count} strings, one per variation.
     `;
     
-    // Get variations from selected AI model
-    let generatedVariations;
-    if (model === 'gemini') {
-      generatedVariations = await gemini.generateContent(prompt);
-    } else {
-      generatedVariations = await openai.generateContent(prompt, {
-        max_tokens: 2500,
-        temperature: 0.8
-      });
-    }
+    // Get schema-validated variations from selected AI model
+    const engine = new LLMEngine(`content_variations_${contentId}`, model === 'gemini' ? LLMProvider.GEMINI : LLMProvider.OPENAI, true, {
+      userId: content.userId,
+      feature: 'content_variations'
+    });
+    const generatedVariations = await engine.generateStructured(prompt, contentVariationsSchema(count), {
+      maxTokens: 2500,
+      temperature: 0.8,
+      cache: false
+    });
     
     // Parse variations
     const variations = parseContentVariations(generatedVariations, count);
@@ -1105,48 +1133,24 @@ const generateContentVariations = async (contentId, count = 3, model = 'openai')
 };
 
 /**
- * Parse content variations from generated text
- * @param {string} generatedText - Generated variations text
+ * Convert a validated variations response into variation texts
+ * @param {Object} generatedVariations - Response matching contentVariationsSchema(expectedCount)
  * @param {number} expectedCount - Expected number of variations
  * @returns {Array} Parsed variations
  */
-const parseContentVariations = (generatedText, expectedCount) => {
-  // Split by variation markers
-  const variationRegex = /Variation\s+(\d+):/gi;
-  const parts = generatedText.split(variationRegex);
-  
-  // Extract variations
-  const variations = [];
-  
-  for (let i = 1; i < parts.length; i += 2) {
-    if (i + 1 < parts.length) {
-      variations.push(parts[i + 1].trim());
-    }
-  }
-  
-  // If regex didn't work, try simple splitting
-  if (variations.length === 0) {
-    // Try splitting by double newlines
-    const simpleParts = generatedText.split(/\n\s*\n/);
-    
-    if (simpleParts.length >= expectedCount) {
-      return simpleParts.slice(0, expectedCount);
-    }
-    
-    // If still no variations, return the whole text as one variation
-    return [generatedText];
-  }
-  
-  return variations;
+const parseContentVariations = (generatedVariations, expectedCount) => {
+  return generatedVariations.variations.slice(0, expectedCount).map(variation => variation.trim());
 };
 
 /**
  * A/B test content variations
  * @param {string} originalContentId - Original content ID
  * @param {Array} variationIds - Variation content IDs
+ * @param {Object} [planOptions] - Experiment plan overrides (primaryMetric, baselineRate, minimumDetectableEffect, alpha, power, minDurationDays, maxDurationDays)
+ *   and traffic allocation ({ strategy, epsilon }, Thompson sampling by default)
  * @returns {Promise<Object>} Test setup
  */
-const setupContentABTest = async (originalContentId, variationIds) => {
+const setupContentABTest = async (originalContentId, variationIds, planOptions = {}) => {
   try {
     // Get original content
     const originalDoc = await db.collection('marketingContent').doc(originalContentId).get();
@@ -1178,6 +1182,13 @@ const setupContentABTest = async (originalContentId, variationIds) => {
       throw new Error('No valid content variations found');
     }
     
+    // Size the test up front so it is only decided once it has enough traffic
+    const plan = createExperimentPlan({
+      ...planOptions,
+      variantCount: variations.length + 1
+    });
+    const allocation = createAllocation(planOptions.allocation);
+    
     // Create A/B test
     const test = {
       originalContentId,
@@ -1203,6 +1214,9 @@ const setupContentABTest = async (originalContentId, variationIds) => {
           }
         }))
       ],
+      plan,
+      allocation,
+      analysisCount: 0,
       status: 'active',
       startDate: admin.firestore.FieldValue.serverTimestamp(),
       endDate: null,
@@ -1231,12 +1245,13 @@ const setupContentABTest = async (originalContentId, variationIds) => {
  * @param {string} variationId - Variation ID
  * @param {string} metricType - Metric type (views, clicks, conversions)
  * @param {number} [value=1] - Metric value to add
- * @returns {Promise<Object>} Updated test
+ * @returns {Promise<Object>} Variations and bandit posteriors as of this update
  */
 const updateABTestMetrics = async (testId, variationId, metricType, value = 1) => {
   try {
     // Get test
-    const testDoc = await db.collection('contentABTests').doc(testId).get();
+    const testRef = db.collection('contentABTests').doc(testId);
+    const testDoc = await testRef.get();
     
     if (!testDoc.exists) {
       throw new Error(`A/B test with ID ${testId} not found`);
@@ -1244,46 +1259,98 @@ const updateABTestMetrics = async (testId, variationId, metricType, value = 1) =
     
     const test = testDoc.data();
     
-    // Find variation
-    const variationIndex = test.variations.findIndex(v => v.id === variationId);
+    // Count the metric on the variation's counter
+    const updatedVariations = await recordArmMetric(testRef, test, 'variations', variationId, metricType, value);
+    const posteriors = computePosteriors(
+      updatedVariations,
+      (test.plan || {}).primaryMetric,
+      (test.allocation || {}).prior
+    );
     
-    if (variationIndex === -1) {
-      throw new Error(`Variation with ID ${variationId} not found in test`);
+    return {
+      id: testId,
+      variations: updatedVariations,
+      posteriors
+    };
+  } catch (error) {
+    console.error('Error updating A/B test metrics:', error);
+    throw new Error('Failed to update A/B test metrics');
+  }
+};
+
+/**
+ * Choose the variation of an A/B test to serve for one impression
+ *
+ * Active tests allocate traffic with their bandit strategy, using posteriors computed from
+ * the current counters (tests created before allocation was stored keep the even split).
+ * Finished tests serve the winner, or the original when the test was inconclusive.
+ * @param {string} testId - Test ID
+ * @param {Object} [options] - { recordImpression: count the impression as a view (default true) }
+ * @returns {Promise<Object>} Selected variation
+ */
+const selectABTestVariation = async (testId, options = {}) => {
+  try {
+    const testDoc = await db.collection('contentABTests').doc(testId).get();
+    
+    if (!testDoc.exists) {
+      throw new Error(`A/B test with ID ${testId} not found`);
     }
     
-    // Update metrics
-    const updatedVariations = [...test.variations];
-    updatedVariations[variationIndex] = {
-      ...updatedVariations[variationIndex],
-      metrics: {
-        ...updatedVariations[variationIndex].metrics,
-        [metricType]: (updatedVariations[variationIndex].metrics[metricType] || 0) + value
-      }
-    };
+    const test = testDoc.data();
     
-    // Update test
-    await db.collection('contentABTests').doc(testId).update({
-      variations: updatedVariations,
-      updatedAt: admin.firestore.FieldValue.serverTimestamp()
-    });
+    if (test.status !== 'active') {
+      const served = test.variations.find(v => v.id === test.winnerId) || test.variations.find(v => v.isOriginal);
+      
+      return {
+        testId,
+        variationId: served.id,
+        content: served.content,
+        isOriginal: served.isOriginal,
+        strategy: test.winnerId ? 'winner' : 'original',
+        explored: false
+      };
+    }
+    
+    const selection = selectVariation(
+      withArmMetrics(test.variations, test.armMetrics),
+      test.allocation || { strategy: AllocationStrategy.STATIC },
+      { metricId: (test.plan || {}).primaryMetric }
+    );
+    const variation = test.variations.find(v => v.id === selection.variationId);
+    
+    if (options.recordImpression !== false) {
+      await recordArmMetric(testDoc.ref, test, 'variations', variation.id, 'views', 1);
+    }
     
     return {
-      id: testId,
-      variations: updatedVariations
+      testId,
+      variationId: variation.id,
+      content: variation.content,
+      isOriginal: variation.isOriginal,
+      strategy: selection.strategy,
+      explored: selection.explored
     };
   } catch (error) {
-    console.error('Error updating A/B test metrics:', error);
-    throw new Error('Failed to update A/B test metrics');
+    console.error('Error selecting A/B test variation:', error);
+    throw new Error('Failed to select A/B test variation');
   }
 };
 
 /**
- * Complete A/B test and determine winner
+ * Analyze an A/B test and complete it once the result is decided
+ *
+ * A winner is only declared when the primary metric difference is significant at the
+ * sequential (alpha spending) boundary for the traffic collected so far. Without a
+ * significant difference the test keeps running until it reaches its planned sample size,
+ * or ends as inconclusive when forced.
  * @param {string} testId - Test ID
+ * @param {Object} [options] - { force: end the test even if the planned sample is not reached (default true) }
  * @returns {Promise<Object>} Test results
  */
-const completeABTest = async (testId) => {
+const completeABTest = async (testId, options = {}) => {
   try {
+    const force = options.force !== undefined ? options.force : true;
+    
     // Get test
     const testDoc = await db.collection('contentABTests').doc(testId).get();
     
@@ -1292,66 +1359,96 @@ const completeABTest = async (testId) => {
     }
     
     const test = testDoc.data();
+    const variations = withArmMetrics(test.variations, test.armMetrics);
     
-    // Calculate performance metrics for each variation
-    const results = test.variations.map(variation => {
+    // Tests created before plans were stored are analyzed with the default plan
+    const plan = test.plan || createExperimentPlan({ variantCount: variations.length });
+    const analysis = analyzeExperiment(variations, plan, { force });
+    
+    // Combine raw metrics with the statistics for each variation
+    const results = variations.map(variation => {
       const views = variation.metrics.views || 0;
       const clicks = variation.metrics.clicks || 0;
       const conversions = variation.metrics.conversions || 0;
-      
-      const clickRate = views > 0 ? clicks / views : 0;
-      const conversionRate = clicks > 0 ? conversions / clicks : 0;
+      const { id, isOriginal, successes, trials, ...statistics } = analysis.variants.find(v => v.id === variation.id);
       
       return {
         id: variation.id,
         isOriginal: variation.isOriginal,
         metrics: variation.metrics,
-        clickRate,
-        conversionRate,
-        // Combined score weighted towards conversions
-        score: (clickRate * 0.3) + (conversionRate * 0.7)
+        clickRate: views > 0 ? clicks / views : 0,
+        conversionRate: clicks > 0 ? conversions / clicks : 0,
+        ...statistics
       };
     });
     
-    // Determine winner
-    results.sort((a, b) => b.score - a.score);
-    const winner = results[0];
+    const summary = {
+      outcome: analysis.outcome,
+      reason: analysis.reason,
+      primaryMetric: plan.primaryMetric,
+      informationFraction: analysis.informationFraction,
+      alphaBoundary: analysis.alphaBoundary
+    };
+    
+    // Not enough evidence yet; record the look and keep the test running
+    if (analysis.outcome === ExperimentOutcome.CONTINUE) {
+      await db.collection('contentABTests').doc(testId).update({
+        analysisCount: (test.analysisCount || 0) + 1,
+        lastAnalysis: {
+          ...summary,
+          results
+        },
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      
+      return {
+        id: testId,
+        status: 'active',
+        ...summary,
+        results,
+        winnerId: null
+      };
+    }
+    
+    const status = analysis.outcome === ExperimentOutcome.WINNER ? 'completed' : 'inconclusive';
+    const winner = results.find(r => r.id === analysis.winnerId) || null;
     
     // Update test
     await db.collection('contentABTests').doc(testId).update({
-      status: 'completed',
+      status,
       endDate: admin.firestore.FieldValue.serverTimestamp(),
+      analysisCount: (test.analysisCount || 0) + 1,
+      analysis: summary,
       results,
-      winnerId: winner.id,
+      winnerId: winner ? winner.id : null,
       updatedAt: admin.firestore.FieldValue.serverTimestamp()
     });
     
     // If winner is not original, update content performance analysis
-    if (!winner.isOriginal) {
-      // Get original content
-      const originalContentId = test.originalContentId;
+    if (winner && !winner.isOriginal) {
+      const original = results.find(r => r.isOriginal);
       
       // Add winning variation to content insights
       await db.collection('contentInsights').add({
-        contentId: originalContentId,
+        contentId: test.originalContentId,
         testId,
         winnerId: winner.id,
+        primaryMetric: plan.primaryMetric,
+        significance: {
+          pValue: winner.pValue,
+          confidenceInterval: winner.confidenceInterval,
+          probabilityToBeatControl: winner.probabilityToBeatControl
+        },
         improvement: {
           clickRate: {
-            original: results.find(r => r.isOriginal).clickRate,
+            original: original.clickRate,
             improved: winner.clickRate,
-            percentChange: calculatePercentChange(
-              results.find(r => r.isOriginal).clickRate,
-              winner.clickRate
-            )
+            percentChange: calculatePercentChange(original.clickRate, winner.clickRate)
           },
           conversionRate: {
-            original: results.find(r => r.isOriginal).conversionRate,
+            original: original.conversionRate,
             improved: winner.conversionRate,
-            percentChange: calculatePercentChange(
-              results.find(r => r.isOriginal).conversionRate,
-              winner.conversionRate
-            )
+            percentChange: calculatePercentChange(original.conversionRate, winner.conversionRate)
           }
         },
         createdAt: admin.firestore.FieldValue.serverTimestamp()
@@ -1360,8 +1457,10 @@ const completeABTest = async (testId) => {
     
     return {
       id: testId,
+      status,
+      ...summary,
       results,
-      winnerId: winner.id
+      winnerId: winner ? winner.id : null
     };
   } catch (error) {
     console.error('Error completing A/B test:', error);
@@ -1721,6 +1820,7 @@ module.exports = {
   // A/B testing
   setupContentABTest,
   updateABTestMetrics,
+  selectABTestVariation,
   completeABTest,
   
   // Insights and planning
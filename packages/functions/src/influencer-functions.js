@@ -6,6 +6,13 @@ const functions = require('firebase-functions');
 const cors = require('cors')({ origin: true });
 const { integratedInfluencerMarketplace } = require('./features');
 const admin = require('firebase-admin');
+const { ErrorTypes } = require('./utils/errorLogging');
+const { recordFollowerSnapshot } = require('./utils/audienceQuality');
+const {
+  ORDER_SIGNATURE_HEADER,
+  rotateOrderSigningSecret,
+  verifyOrderSignature
+} = require('./utils/influencerTracking');
 
 // Initialize Firestore if not already initialized
 if (!admin.apps.length) {
@@ -231,6 +238,9 @@ exports.updateCollaborationRequestStatus = functions.https.onRequest((req, res)
       return res.status(200).json(updatedRequest);
     } catch (error) {
       console.error('Error updating collaboration request status:', error);
+      if (error.type === ErrorTypes.VALIDATION_ERROR) {
+        return res.status(400).json({ error: error.message, details: error.context });
+      }
       return res.status(500).json({ error: error.message });
     }
   });
@@ -265,6 +275,84 @@ exports.negotiateTerms = functions.https.onRequest((req, res) => {
       return res.status(200).json(updatedRequest);
     } catch (error) {
       console.error('Error negotiating terms:', error);
+      if (error.type === ErrorTypes.VALIDATION_ERROR) {
+        return res.status(400).json({ error: error.message, details: error.context });
+      }
+      return res.status(500).json({ error: error.message });
+    }
+  });
+});
+
+/**
+ * Accept or reject the current offer in a negotiation
+ */
+exports.respondToOffer = functions.https.onRequest((req, res) => {
+  cors(req, res, async () => {
+    try {
+      // Check if request method is POST
+      if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+      }
+
+      // Get parameters from request body
+      const { requestId, action, respondedBy, version, message } = req.body;
+
+      // Validate parameters
+      if (!requestId || !action || !respondedBy || version === undefined) {
+        return res.status(400).json({ error: 'Missing required parameters' });
+      }
+
+      // Respond to offer
+      const updatedRequest = await integratedInfluencerMarketplace.respondToOffer(requestId, {
+        action,
+        respondedBy,
+        version,
+        message
+      });
+
+      // Return updated request
+      return res.status(200).json(updatedRequest);
+    } catch (error) {
+      console.error('Error responding to offer:', error);
+      if (error.type === ErrorTypes.VALIDATION_ERROR) {
+        return res.status(400).json({ error: error.message, details: error.context });
+      }
+      return res.status(500).json({ error: error.message });
+    }
+  });
+});
+
+/**
+ * Get the contract document for an accepted collaboration
+ */
+exports.getCollaborationContract = functions.https.onRequest((req, res) => {
+  cors(req, res, async () => {
+    try {
+      // Check if request method is GET
+      if (req.method !== 'GET') {
+        return res.status(405).json({ error: 'Method not allowed' });
+      }
+
+      // Get parameters from query
+      const { requestId, format } = req.query;
+
+      // Validate parameters
+      if (!requestId) {
+        return res.status(400).json({ error: 'Missing required parameters' });
+      }
+
+      const contract = await integratedInfluencerMarketplace.getCollaborationContract(requestId);
+
+      // Serve the document itself when asked for HTML
+      if (format === 'html') {
+        res.set('Content-Type', 'text/html');
+        return res.status(200).send(contract.html);
+      }
+
+      // Return contract
+      return res.status(200).json(contract);
+    } catch (error) {
+      console.error('Error getting collaboration contract:', error);
       return res.status(500).json({ error: error.message });
     }
   });
@@ -317,7 +405,7 @@ exports.reviewCampaignContent = functions.https.onRequest((req, res) => {
       }
 
       // Get parameters from request body
-      const { contentId, status, feedback } = req.body;
+      const { contentId, status, feedback, overrideCompliance } = req.body;
 
       // Validate parameters
       if (!contentId || !status) {
@@ -328,13 +416,47 @@ exports.reviewCampaignContent = functions.https.onRequest((req, res) => {
       const updatedContent = await integratedInfluencerMarketplace.reviewCampaignContent(
         contentId,
         status,
-        feedback || ''
+        feedback || '',
+        { overrideCompliance: overrideCompliance === true }
       );
 
       // Return updated content
       return res.status(200).json(updatedContent);
     } catch (error) {
       console.error('Error reviewing campaign content:', error);
+      if (error.type === ErrorTypes.VALIDATION_ERROR) {
+        return res.status(400).json({ error: error.message, details: error.context });
+      }
+      return res.status(500).json({ error: error.message });
+    }
+  });
+});
+
+/**
+ * Re-run the compliance pre-review for submitted content
+ */
+exports.reviewContentCompliance = functions.https.onRequest((req, res) => {
+  cors(req, res, async () => {
+    try {
+      // Check if request method is POST
+      if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+      }
+
+      // Get parameters from request body
+      const { contentId } = req.body;
+
+      // Validate parameters
+      if (!contentId) {
+        return res.status(400).json({ error: 'Missing required parameters' });
+      }
+
+      const complianceReview = await integratedInfluencerMarketplace.reviewContentCompliance(contentId);
+
+      // Return checklist
+      return res.status(200).json(complianceReview);
+    } catch (error) {
+      console.error('Error reviewing content compliance:', error);
       return res.status(500).json({ error: error.message });
     }
   });
@@ -402,6 +524,240 @@ exports.generateCampaignReport = functions.https.onRequest((req, res) => {
   });
 });
 
+/**
+ * Cancel an influencer campaign and refund held payments
+ */
+exports.cancelInfluencerCampaign = functions.https.onRequest((req, res) => {
+  cors(req, res, async () => {
+    try {
+      // Check if request method is POST
+      if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+      }
+
+      // Get parameters from request body
+      const { campaignId, reason } = req.body;
+
+      // Validate parameters
+      if (!campaignId) {
+        return res.status(400).json({ error: 'Missing required parameters' });
+      }
+
+      // Cancel campaign
+      const campaign = await integratedInfluencerMarketplace.cancelInfluencerCampaign(campaignId, reason || '');
+
+      // Return cancelled campaign
+      return res.status(200).json(campaign);
+    } catch (error) {
+      console.error('Error cancelling influencer campaign:', error);
+      return res.status(500).json({ error: error.message });
+    }
+  });
+});
+
+/**
+ * Get a campaign's payment milestones and ledger
+ */
+exports.getCampaignPayments = functions.https.onRequest((req, res) => {
+  cors(req, res, async () => {
+    try {
+      // Check if request method is GET
+      if (req.method !== 'GET') {
+        return res.status(405).json({ error: 'Method not allowed' });
+      }
+
+      // Get parameters from query
+      const { campaignId } = req.query;
+
+      // Validate parameters
+      if (!campaignId) {
+        return res.status(400).json({ error: 'Missing required parameters' });
+      }
+
+      // Get payments
+      const payments = await integratedInfluencerMarketplace.getCampaignPayments(campaignId);
+
+      // Return payments
+      return res.status(200).json(payments);
+    } catch (error) {
+      console.error('Error getting campaign payments:', error);
+      return res.status(500).json({ error: error.message });
+    }
+  });
+});
+
+/**
+ * Create an influencer's tracked link and promo code for a campaign
+ */
+exports.setupInfluencerTracking = functions.https.onRequest((req, res) => {
+  cors(req, res, async () => {
+    try {
+      // Check if request method is POST
+      if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+      }
+
+      // Get parameters from request body
+      const { campaignId, influencerId, destinationUrl, discount, promoPrefix } = req.body;
+
+      // Validate parameters
+      if (!campaignId || !influencerId) {
+        return res.status(400).json({ error: 'Missing required parameters' });
+      }
+
+      // Set up tracking
+      const tracking = await integratedInfluencerMarketplace.setupInfluencerTracking(campaignId, influencerId, {
+        destinationUrl,
+        discount,
+        promoPrefix
+      });
+
+      // Return links and promo codes
+      return res.status(200).json(tracking);
+    } catch (error) {
+      console.error('Error setting up influencer tracking:', error);
+      if (error.type === ErrorTypes.VALIDATION_ERROR) {
+        return res.status(400).json({ error: error.message, details: error.context });
+      }
+      return res.status(500).json({ error: error.message });
+    }
+  });
+});
+
+/**
+ * Redirect a tracked short link to the brand's landing page, logging the click
+ *
+ * Served at the short link domain as /<code>, or with ?code=<code>.
+ */
+exports.trackedLinkRedirect = functions.https.onRequest(async (req, res) => {
+  try {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const code = req.query.code || req.path.split('/').filter(Boolean).pop();
+    if (!code) {
+      return res.status(400).json({ error: 'Missing link code' });
+    }
+
+    const click = await integratedInfluencerMarketplace.handleTrackedLinkClick(code, {
+      anonymousId: req.query.aid || null,
+      userAgent: req.get('user-agent') || null,
+      ipAddress: req.ip || null,
+      referrer: req.get('referer') || null
+    });
+
+    if (!click) {
+      return res.status(404).json({ error: 'Link not found' });
+    }
+
+    // Every visit has to reach this function to be counted
+    res.set('Cache-Control', 'no-store');
+    return res.redirect(302, click.destinationUrl);
+  } catch (error) {
+    console.error('Error redirecting tracked link:', error);
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Create or replace the calling brand's order signing secret
+ */
+exports.rotateOrderSigningSecret = functions.https.onCall(async (data, context) => {
+  // Ensure user is authenticated
+  if (!context.auth) {
+    throw new functions.https.HttpsError(
+      'unauthenticated',
+      'The function must be called while authenticated.'
+    );
+  }
+
+  try {
+    const secret = await rotateOrderSigningSecret(context.auth.uid);
+    return { brandId: context.auth.uid, secret, header: ORDER_SIGNATURE_HEADER };
+  } catch (error) {
+    console.error('Error rotating order signing secret:', error);
+    throw new functions.https.HttpsError('internal', 'Failed to rotate order signing secret');
+  }
+});
+
+/**
+ * Record an order from a brand's checkout for influencer attribution
+ *
+ * Orders can release performance payments, so the request must be signed with the brand's
+ * order signing secret (see utils/influencerTracking).
+ */
+exports.recordInfluencerOrder = functions.https.onRequest((req, res) => {
+  cors(req, res, async () => {
+    try {
+      // Check if request method is POST
+      if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+      }
+
+      // Get order from request body
+      const order = req.body;
+
+      // Validate parameters
+      if (!order || !order.brandId || !order.orderId || order.value === undefined) {
+        return res.status(400).json({ error: 'Missing required parameters' });
+      }
+
+      // Check the brand signed this exact body
+      await verifyOrderSignature(order.brandId, req.rawBody, req.get(ORDER_SIGNATURE_HEADER));
+
+      // Record order
+      const recorded = await integratedInfluencerMarketplace.recordInfluencerOrder(order, { verified: true });
+
+      // Return recorded order
+      return res.status(200).json(recorded);
+    } catch (error) {
+      console.error('Error recording influencer order:', error);
+      if (error.type === ErrorTypes.AUTHENTICATION_ERROR) {
+        return res.status(401).json({ error: error.message });
+      }
+      if (error.type === ErrorTypes.VALIDATION_ERROR) {
+        return res.status(400).json({ error: error.message, details: error.context });
+      }
+      return res.status(500).json({ error: error.message });
+    }
+  });
+});
+
+/**
+ * Scheduled function to expire offers that were not answered in time
+ */
+exports.scheduledNegotiationExpiry = functions.pubsub.schedule('every 1 hours').onRun(async (context) => {
+  try {
+    console.log('Starting scheduled negotiation expiry');
+    
+    const expired = await integratedInfluencerMarketplace.expireNegotiations();
+    
+    console.log(`Scheduled negotiation expiry closed ${expired.length} negotiations`);
+    return null;
+  } catch (error) {
+    console.error('Error in scheduled negotiation expiry:', error);
+    return null;
+  }
+});
+
+/**
+ * Scheduled function to pay out held milestones once influencers connect a payout account
+ */
+exports.scheduledHeldPaymentRelease = functions.pubsub.schedule('every 6 hours').onRun(async (context) => {
+  try {
+    console.log('Starting scheduled held payment release');
+
+    const result = await integratedInfluencerMarketplace.releaseHeldPayments();
+
+    console.log(`Scheduled held payment release paid out ${result.released} of ${result.processed} milestones (${result.failed} failed)`);
+    return null;
+  } catch (error) {
+    console.error('Error in scheduled held payment release:', error);
+    return null;
+  }
+});
+
 /**
  * Scheduled function to update influencer metrics daily
  */
@@ -501,6 +857,9 @@ const updateInfluencerMetrics = async (influencerId) => {
       lastMetricsUpdate: admin.firestore.FieldValue.serverTimestamp()
     });
     
+    // Keep a daily follower count so growth anomalies can be detected
+    await recordFollowerSnapshot(influencerId, influencer.followerCount);
+    
     return {
       influencerId,
       engagementRate,
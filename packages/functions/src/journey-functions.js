@@ -6,6 +6,7 @@ const functions = require('firebase-functions');
 const cors = require('cors')({ origin: true });
 const { predictiveCustomerJourney } = require('./features');
 const admin = require('firebase-admin');
+const { ErrorTypes } = require('./utils/errorLogging');
 
 // Initialize Firestore if not already initialized
 if (!admin.apps.length) {
@@ -43,6 +44,32 @@ exports.analyzeCurrentJourneyStage = functions.https.onRequest((req, res) => {
   });
 });
 
+/**
+ * Fit the journey stage transition and survival model from stage history
+ */
+exports.fitJourneyStageModel = functions.https.onRequest((req, res) => {
+  cors(req, res, async () => {
+    try {
+      // Check if request method is POST
+      if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+      }
+
+      // Get parameters from request body
+      const { lookbackDays, horizonDays } = req.body || {};
+
+      // Fit model
+      const model = await predictiveCustomerJourney.fitJourneyStageModel({ lookbackDays, horizonDays });
+
+      // Return model
+      return res.status(200).json(model);
+    } catch (error) {
+      console.error('Error fitting journey stage model:', error);
+      return res.status(500).json({ error: error.message });
+    }
+  });
+});
+
 /**
  * Predict next best actions for customer journey
  */
@@ -199,6 +226,164 @@ exports.batchProcessCustomerJourneys = functions.https.onRequest((req, res) => {
   });
 });
 
+/**
+ * Save a marketer-defined journey as a draft
+ */
+exports.saveJourneyDefinition = functions.https.onRequest((req, res) => {
+  cors(req, res, async () => {
+    try {
+      // Check if request method is POST
+      if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+      }
+
+      // Get parameters from request body
+      const { userId, journeyId, definition } = req.body;
+
+      // Validate parameters
+      if (!userId || !definition) {
+        return res.status(400).json({ error: 'Missing required parameters' });
+      }
+
+      // Save draft
+      const journey = await predictiveCustomerJourney.saveJourneyDefinition(userId, definition, journeyId || null);
+
+      // Return saved journey and validation result
+      return res.status(200).json(journey);
+    } catch (error) {
+      console.error('Error saving journey definition:', error);
+      return res.status(500).json({ error: error.message });
+    }
+  });
+});
+
+/**
+ * Publish the draft of a journey as a new version
+ */
+exports.publishJourneyDefinition = functions.https.onRequest((req, res) => {
+  cors(req, res, async () => {
+    try {
+      // Check if request method is POST
+      if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+      }
+
+      // Get parameters from request body
+      const { journeyId } = req.body;
+
+      // Validate parameters
+      if (!journeyId) {
+        return res.status(400).json({ error: 'Missing required parameters' });
+      }
+
+      // Publish draft
+      const published = await predictiveCustomerJourney.publishJourneyDefinition(journeyId);
+
+      // Return published version
+      return res.status(200).json(published);
+    } catch (error) {
+      console.error('Error publishing journey definition:', error);
+      if (error.type === ErrorTypes.VALIDATION_ERROR) {
+        return res.status(400).json({ error: error.message, errors: error.context.errors || [] });
+      }
+      return res.status(500).json({ error: error.message });
+    }
+  });
+});
+
+/**
+ * Get a journey with its draft and published definition
+ */
+exports.getJourneyDefinition = functions.https.onRequest((req, res) => {
+  cors(req, res, async () => {
+    try {
+      // Check if request method is POST
+      if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+      }
+
+      // Get parameters from request body
+      const { journeyId } = req.body;
+
+      // Validate parameters
+      if (!journeyId) {
+        return res.status(400).json({ error: 'Missing required parameters' });
+      }
+
+      // Get journey
+      const journey = await predictiveCustomerJourney.getJourneyDefinition(journeyId);
+
+      // Return journey
+      return res.status(200).json(journey);
+    } catch (error) {
+      console.error('Error getting journey definition:', error);
+      return res.status(500).json({ error: error.message });
+    }
+  });
+});
+
+/**
+ * Enroll a customer in a published journey
+ */
+exports.enrollCustomerInJourney = functions.https.onRequest((req, res) => {
+  cors(req, res, async () => {
+    try {
+      // Check if request method is POST
+      if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+      }
+
+      // Get parameters from request body
+      const { journeyId, customerId, triggerId } = req.body;
+
+      // Validate parameters
+      if (!journeyId || !customerId) {
+        return res.status(400).json({ error: 'Missing required parameters' });
+      }
+
+      // Enroll customer
+      const enrollment = await predictiveCustomerJourney.enrollCustomerInJourney(journeyId, customerId, { triggerId });
+
+      // Return enrollment
+      return res.status(200).json(enrollment);
+    } catch (error) {
+      console.error('Error enrolling customer in journey:', error);
+      return res.status(500).json({ error: error.message });
+    }
+  });
+});
+
+/**
+ * Get per-node metrics for a journey
+ */
+exports.getJourneyMetrics = functions.https.onRequest((req, res) => {
+  cors(req, res, async () => {
+    try {
+      // Check if request method is POST
+      if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+      }
+
+      // Get parameters from request body
+      const { journeyId, version } = req.body;
+
+      // Validate parameters
+      if (!journeyId) {
+        return res.status(400).json({ error: 'Missing required parameters' });
+      }
+
+      // Get metrics
+      const metrics = await predictiveCustomerJourney.getJourneyMetrics(journeyId, version || null);
+
+      // Return metrics
+      return res.status(200).json(metrics);
+    } catch (error) {
+      console.error('Error getting journey metrics:', error);
+      return res.status(500).json({ error: error.message });
+    }
+  });
+});
+
 /**
  * Scheduled function to process customer journeys daily
  */
@@ -235,6 +420,21 @@ exports.scheduledJourneyProcessing = functions.pubsub.schedule('every 24 hours')
   }
 });
 
+/**
+ * Scheduled function to refit the journey stage model weekly
+ */
+exports.scheduledJourneyStageModelFit = functions.pubsub.schedule('every 168 hours').onRun(async (context) => {
+  try {
+    const model = await predictiveCustomerJourney.fitJourneyStageModel();
+    
+    console.log(`Fitted journey stage model from ${model.spellCount} stage spells`);
+    return null;
+  } catch (error) {
+    console.error('Error in scheduled journey stage model fit:', error);
+    return null;
+  }
+});
+
 /**
  * Process journey transitions on customer interaction
  */
@@ -269,7 +469,8 @@ exports.processJourneyOnInteraction = functions.firestore
         // If critical transitions detected, orchestrate journey
         const criticalTransitions = transitions.transitions.filter(t => 
           t.type === predictiveCustomerJourney.TRANSITION_TYPES.CHURN_RISK ||
-          t.type === predictiveCustomerJourney.TRANSITION_TYPES.REGRESSION
+          t.type === predictiveCustomerJourney.TRANSITION_TYPES.REGRESSION ||
+          t.type === predictiveCustomerJourney.TRANSITION_TYPES.PREDICTED_REGRESSION
         );
         
         if (criticalTransitions.length > 0) {
@@ -284,6 +485,48 @@ exports.processJourneyOnInteraction = functions.firestore
     }
   });
 
+/**
+ * Advance marketer-defined journeys on customer interaction
+ */
+exports.advanceJourneysOnInteraction = functions.firestore
+  .document('customerInteractions/{interactionId}')
+  .onCreate(async (snapshot, context) => {
+    try {
+      const interaction = snapshot.data();
+      
+      // Campaign sends are recorded as interactions too; only customer events drive journeys
+      if (!interaction.customerId ||
+        !Object.values(predictiveCustomerJourney.INTERACTION_TYPES).includes(interaction.type)) {
+        return null;
+      }
+      
+      await predictiveCustomerJourney.processJourneyEvent(interaction.customerId, {
+        type: interaction.type,
+        timestamp: interaction.timestamp
+      });
+      
+      return null;
+    } catch (error) {
+      console.error('Error advancing journeys on interaction:', error);
+      return null;
+    }
+  });
+
+/**
+ * Scheduled function to move customers past elapsed journey waits
+ */
+exports.scheduledJourneyWaitProcessing = functions.pubsub.schedule('every 15 minutes').onRun(async (context) => {
+  try {
+    const results = await predictiveCustomerJourney.advanceWaitingEnrollments();
+    
+    console.log(`Advanced ${results.enrollmentsProcessed} waiting journey enrollments`);
+    return null;
+  } catch (error) {
+    console.error('Error in scheduled journey wait processing:', error);
+    return null;
+  }
+});
+
 /**
  * Update journey stage history daily
  */
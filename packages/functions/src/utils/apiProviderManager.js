@@ -10,6 +10,7 @@ const admin = require('firebase-admin');
 const { logger, ReachSparkError, ErrorTypes, SeverityLevels } = require('./errorLogging');
 const { retryWithExponentialBackoff } = require('./retryLogic');
 const { AuditComplianceManager, AuditEventType } = require('./auditCompliance');
+const { getEnvelopeEncryption, ENVELOPE_SCHEME } = require('./envelopeEncryption');
 
 // Firestore reference
 const db = admin.firestore();
@@ -47,12 +48,81 @@ const LLMProviderSubtype = {
  * API Provider Manager class
  */
 class APIProviderManager {
-  constructor() {
+  /**
+   * @param {Object} options - Manager options
+   * @param {Object} options.encryption - Envelope encryption instance (defaults to the configured one)
+   */
+  constructor(options = {}) {
     this.initialized = false;
     this.providers = {};
     this.defaultProviders = {};
     this.auditManager = new AuditComplianceManager();
     this.providerListeners = {};
+    this.encryption = options.encryption || null;
+  }
+
+  /**
+   * Get envelope encryption instance (lazy initialization)
+   * @returns {Object} Envelope encryption instance
+   */
+  getEncryption() {
+    if (!this.encryption) {
+      this.encryption = getEnvelopeEncryption();
+    }
+    return this.encryption;
+  }
+
+  /**
+   * Get the context an API key envelope is bound to
+   * @param {string} providerId - Provider ID
+   * @returns {string} Encryption context
+   */
+  getKeyContext(providerId) {
+    return `apiCredentials/${providerId}`;
+  }
+
+  /**
+   * Encrypt an API key for storage
+   * @param {string} providerId - Provider ID
+   * @param {string} apiKey - Plaintext API key
+   * @returns {Object} Envelope
+   */
+  encryptAPIKey(providerId, apiKey) {
+    return this.getEncryption().encrypt(apiKey, this.getKeyContext(providerId));
+  }
+
+  /**
+   * Decrypt a stored API key
+   * @param {string} providerId - Provider ID
+   * @param {Object|string} storedKey - Envelope (or legacy plaintext key)
+   * @returns {string} Plaintext API key
+   */
+  decryptAPIKey(providerId, storedKey) {
+    const encryption = this.getEncryption();
+
+    if (!encryption.isEnvelope(storedKey)) {
+      // Keys written before envelope encryption; rewrapProviderKeys() migrates them
+      logger.warn('API key is stored unencrypted', { providerId });
+      return storedKey;
+    }
+
+    return encryption.decrypt(storedKey, this.getKeyContext(providerId));
+  }
+
+  /**
+   * Bring a stored key up to the active master key version
+   * @param {string} providerId - Provider ID
+   * @param {Object|string} storedKey - Envelope (or legacy plaintext key)
+   * @returns {Object} Envelope wrapped with the active master key
+   */
+  rewrapAPIKey(providerId, storedKey) {
+    const encryption = this.getEncryption();
+
+    if (!encryption.isEnvelope(storedKey)) {
+      return this.encryptAPIKey(providerId, storedKey);
+    }
+
+    return encryption.rewrap(storedKey, this.getKeyContext(providerId));
   }
 
   /**
@@ -390,9 +460,8 @@ class APIProviderManager {
         }
       }
       
-      // In a production environment, this would decrypt the API key
-      // For now, we'll assume the key is already decrypted
-      const apiKey = provider.key;
+      // Unwrap the data key with the master key version recorded on the envelope
+      const apiKey = this.decryptAPIKey(providerId, provider.key);
       
       // Log API key access (non-blocking)
       this.logAPIKeyAccess(providerId).catch(error => {
@@ -439,14 +508,16 @@ class APIProviderManager {
       // Validate provider data
       this.validateProviderData(providerData);
       
-      // In a production environment, this would encrypt the API key
-      // For now, we'll assume the key is already encrypted
-      const encryptedKey = providerData.key;
+      // Allocate the document ID first so the envelope can be bound to it
+      const docRef = db.collection('apiCredentials').doc();
+      const encryptedKey = this.encryptAPIKey(docRef.id, providerData.key);
       
       // Add metadata
       const providerWithMeta = {
         ...providerData,
         key: encryptedKey,
+        keyEncryption: ENVELOPE_SCHEME,
+        keyVersion: encryptedKey.keyVersion,
         createdBy,
         createdAt: admin.firestore.FieldValue.serverTimestamp(),
         updatedBy: createdBy,
@@ -455,7 +526,6 @@ class APIProviderManager {
       };
       
       // Save to Firestore
-      const docRef = db.collection('apiCredentials').doc();
       await docRef.set(providerWithMeta);
       
       // Add to local cache
@@ -486,7 +556,7 @@ class APIProviderManager {
       
       return newProvider;
     } catch (error) {
-      logger.error('Error creating API provider', { error, providerData });
+      logger.error('Error creating API provider', { error, providerData: { ...providerData, key: '[REDACTED]' } });
       
       // Log the failed creation
       await this.auditManager.logAuditEvent(
@@ -530,9 +600,9 @@ class APIProviderManager {
       
       // If key is being updated, encrypt it
       if (updates.key) {
-        // In a production environment, this would encrypt the API key
-        // For now, we'll assume the key is already encrypted
-        updatesWithMeta.key = updates.key;
+        updatesWithMeta.key = this.encryptAPIKey(providerId, updates.key);
+        updatesWithMeta.keyEncryption = ENVELOPE_SCHEME;
+        updatesWithMeta.keyVersion = updatesWithMeta.key.keyVersion;
       }
       
       // Update in Firestore
@@ -564,7 +634,11 @@ class APIProviderManager {
         message: `Provider ${providerId} updated successfully`
       };
     } catch (error) {
-      logger.error('Error updating API provider', { error, providerId, updates });
+      logger.error('Error updating API provider', {
+        error,
+        providerId,
+        updates: updates.key ? { ...updates, key: '[REDACTED]' } : updates
+      });
       
       // Log the failed update
       await this.auditManager.logAuditEvent(
@@ -599,14 +673,17 @@ class APIProviderManager {
       // Check if provider exists
       const provider = await this.getProvider(providerId);
       
-      // In a production environment, this would encrypt the API key
-      // For now, we'll assume the key is already encrypted
-      const encryptedKey = newKey;
+      // Encrypt the new key, and re-wrap the previous one so it stays decryptable
+      // after older master key versions are retired
+      const encryptedKey = this.encryptAPIKey(providerId, newKey);
+      const previousKey = provider.key ? this.rewrapAPIKey(providerId, provider.key) : null;
       
       // Update in Firestore
       await db.collection('apiCredentials').doc(providerId).update({
         key: encryptedKey,
-        previousKey: provider.key, // Store previous key for fallback
+        keyEncryption: ENVELOPE_SCHEME,
+        keyVersion: encryptedKey.keyVersion,
+        previousKey, // Store previous key for fallback
         keyRotatedAt: admin.firestore.FieldValue.serverTimestamp(),
         keyRotatedBy: rotatedBy,
         updatedBy: rotatedBy,
@@ -617,7 +694,9 @@ class APIProviderManager {
       this.providers[providerId] = {
         ...provider,
         key: encryptedKey,
-        previousKey: provider.key,
+        keyEncryption: ENVELOPE_SCHEME,
+        keyVersion: encryptedKey.keyVersion,
+        previousKey,
         keyRotatedAt: new Date(),
         keyRotatedBy: rotatedBy,
         updatedBy: rotatedBy,
@@ -660,6 +739,76 @@ class APIProviderManager {
     }
   }
 
+  /**
+   * Re-wrap every stored API key with the active master key version
+   * 
+   * Run after adding a new master key version and making it active. Envelopes keep their
+   * ciphertext; only the wrapped data keys change. Legacy plaintext keys are encrypted.
+   * @param {string} rotatedBy - User ID who started the re-wrap
+   * @returns {Promise<Object>} - Re-wrap summary
+   */
+  async rewrapProviderKeys(rotatedBy) {
+    try {
+      const encryption = this.getEncryption();
+      const snapshot = await db.collection('apiCredentials').get();
+      const summary = { checked: 0, rewrapped: 0, failed: [] };
+      
+      for (const doc of snapshot.docs) {
+        summary.checked++;
+        const provider = doc.data();
+        const updates = {};
+        
+        try {
+          ['key', 'previousKey'].forEach(field => {
+            const storedKey = provider[field];
+            if (storedKey && (!encryption.isEnvelope(storedKey) || encryption.needsRewrap(storedKey))) {
+              updates[field] = this.rewrapAPIKey(doc.id, storedKey);
+            }
+          });
+          
+          if (Object.keys(updates).length === 0) {
+            continue;
+          }
+          
+          if (updates.key) {
+            updates.keyEncryption = ENVELOPE_SCHEME;
+            updates.keyVersion = updates.key.keyVersion;
+          }
+          updates.updatedBy = rotatedBy;
+          updates.updatedAt = admin.firestore.FieldValue.serverTimestamp();
+          
+          await db.collection('apiCredentials').doc(doc.id).update(updates);
+          
+          if (this.providers[doc.id]) {
+            this.providers[doc.id] = { ...this.providers[doc.id], ...updates, updatedAt: new Date() };
+          }
+          summary.rewrapped++;
+        } catch (error) {
+          logger.error('Error re-wrapping API key', { error, providerId: doc.id });
+          summary.failed.push(doc.id);
+        }
+      }
+      
+      // Log the re-wrap
+      await this.auditManager.logAuditEvent(
+        AuditEventType.API_KEY_ROTATION,
+        rotatedBy,
+        {
+          action: 'rewrap',
+          keyVersion: encryption.activeVersion,
+          rewrapped: summary.rewrapped,
+          failed: summary.failed.length,
+          success: summary.failed.length === 0
+        }
+      );
+      
+      return summary;
+    } catch (error) {
+      logger.error('Error re-wrapping API keys', { error });
+      throw error;
+    }
+  }
+
   /**
    * Test an API key
    * @param {string} providerId - Provider ID
@@ -997,11 +1146,30 @@ class APIProviderManager {
    * @returns {Promise<Object>} - Test result
    */
   async testSMSProvider(provider, apiKey) {
-    // Implementation for SMS providers
-    return {
-      success: true,
-      message: `${provider.name} API key format is valid (simulated test)`
-    };
+    try {
+      // Verify the credentials against the provider's account endpoint
+      const { createTelephonyTransport } = require('./smsVoiceDispatch');
+      const transport = createTelephonyTransport(provider, apiKey);
+      const account = await transport.verify();
+      
+      if (account.status && account.status !== 'active') {
+        return {
+          success: false,
+          message: `${provider.name} account is ${account.status}`
+        };
+      }
+      
+      return {
+        success: true,
+        message: `${provider.name} credentials are valid`
+      };
+    } catch (error) {
+      logger.error('Error testing SMS provider', { error, providerId: provider.id });
+      return {
+        success: false,
+        message: `${provider.name} API key test failed: ${error.message}`
+      };
+    }
   }
 
   /**
@@ -0,0 +1,361 @@
+/**
+ * Data-driven attribution models for ReachSpark AMIA
+ *
+ * Both models are fitted over all customer journeys (converting and non-converting) and
+ * produce a weight per channel, which is then used to split each conversion's credit
+ * across the touchpoints in its path:
+ * - Markov chain: builds a first-order transition graph start -> channels -> conversion/null
+ *   and credits each channel with its removal effect, the share of conversions that would
+ *   be lost if the channel were removed from the graph
+ * - Shapley value: treats channels as players, values each channel coalition by the
+ *   conversion rate of journeys exposed to it and credits each channel with its average
+ *   marginal contribution over all coalitions
+ */
+
+const { ReachSparkError, ErrorTypes, SeverityLevels } = require('./errorLogging');
+
+/**
+ * Data-driven attribution model types
+ */
+const DataDrivenModel = {
+  MARKOV_CHAIN: 'markov_chain',
+  SHAPLEY: 'shapley'
+};
+
+/**
+ * Default settings for building and fitting journeys
+ */
+const AttributionModelDefaults = {
+  lookbackDays: 90,
+  maxIterations: 1000,
+  tolerance: 1e-10,
+  maxShapleyChannels: 16
+};
+
+const START = '(start)';
+const CONVERSION = '(conversion)';
+const NULL = '(null)';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Convert a Firestore Timestamp, Date, string or number to milliseconds
+ * @param {any} value - Timestamp-like value
+ * @returns {number} - Milliseconds since epoch
+ */
+function toMillis(value) {
+  if (value && typeof value.toMillis === 'function') {
+    return value.toMillis();
+  }
+  if (value && typeof value.toDate === 'function') {
+    return value.toDate().getTime();
+  }
+  return new Date(value).getTime();
+}
+
+/**
+ * Build channel paths from raw touchpoints and conversions
+ *
+ * Each conversion closes a path made of the customer's touchpoints since their previous
+ * conversion (within the lookback window); touchpoints after a customer's last conversion
+ * form a non-converting path.
+ * @param {Array<Object>} touchpoints - [{ customerId, channelType, timestamp }]
+ * @param {Array<Object>} conversions - [{ customerId, timestamp, value }]
+ * @param {Object} [options] - { lookbackDays }
+ * @returns {Array<Object>} - [{ customerId, channels, converted, value }]
+ */
+function buildJourneyPaths(touchpoints, conversions, options = {}) {
+  const lookbackMs = (options.lookbackDays || AttributionModelDefaults.lookbackDays) * DAY_MS;
+  const customers = new Map();
+  const customer = id => {
+    if (!customers.has(id)) {
+      customers.set(id, { touchpoints: [], conversions: [] });
+    }
+    return customers.get(id);
+  };
+
+  touchpoints.forEach(touchpoint => {
+    customer(touchpoint.customerId).touchpoints.push({ channel: touchpoint.channelType, time: toMillis(touchpoint.timestamp) });
+  });
+  conversions.forEach(conversion => {
+    customer(conversion.customerId).conversions.push({ time: toMillis(conversion.timestamp), value: conversion.value || 0 });
+  });
+
+  const paths = [];
+  customers.forEach((journey, customerId) => {
+    journey.touchpoints.sort((a, b) => a.time - b.time);
+    journey.conversions.sort((a, b) => a.time - b.time);
+
+    let cursor = 0;
+    journey.conversions.forEach(conversion => {
+      const channels = [];
+      while (cursor < journey.touchpoints.length && journey.touchpoints[cursor].time < conversion.time) {
+        if (conversion.time - journey.touchpoints[cursor].time <= lookbackMs) {
+          channels.push(journey.touchpoints[cursor].channel);
+        }
+        cursor++;
+      }
+      if (channels.length > 0) {
+        paths.push({ customerId, channels, converted: true, value: conversion.value });
+      }
+    });
+
+    const remaining = journey.touchpoints.slice(cursor).map(touchpoint => touchpoint.channel);
+    if (remaining.length > 0) {
+      paths.push({ customerId, channels: remaining, converted: false, value: 0 });
+    }
+  });
+
+  return paths;
+}
+
+/**
+ * Build first-order transition probabilities from paths
+ * @param {Array<Object>} paths - [{ channels, converted }]
+ * @returns {Map<string, Map<string, number>>} - State -> next state -> probability
+ */
+function buildTransitionMatrix(paths) {
+  const counts = new Map();
+  const add = (from, to) => {
+    if (!counts.has(from)) {
+      counts.set(from, new Map());
+    }
+    const row = counts.get(from);
+    row.set(to, (row.get(to) || 0) + 1);
+  };
+
+  paths.forEach(path => {
+    const states = [START, ...path.channels, path.converted ? CONVERSION : NULL];
+    for (let i = 0; i < states.length - 1; i++) {
+      add(states[i], states[i + 1]);
+    }
+  });
+
+  const transitions = new Map();
+  counts.forEach((row, from) => {
+    const total = [...row.values()].reduce((sum, count) => sum + count, 0);
+    transitions.set(from, new Map([...row].map(([to, count]) => [to, count / total])));
+  });
+  return transitions;
+}
+
+/**
+ * Probability of reaching conversion from the start state
+ * @param {Map<string, Map<string, number>>} transitions - Transition probabilities
+ * @param {string} [removedChannel] - Channel treated as a dead end (null state)
+ * @returns {number} - Conversion probability
+ */
+function conversionProbability(transitions, removedChannel = null) {
+  const probability = new Map([[CONVERSION, 1], [NULL, 0]]);
+  const states = [...transitions.keys()];
+
+  for (let iteration = 0; iteration < AttributionModelDefaults.maxIterations; iteration++) {
+    let delta = 0;
+    states.forEach(state => {
+      let value = 0;
+      if (state !== removedChannel) {
+        transitions.get(state).forEach((p, next) => {
+          value += p * (next === removedChannel ? 0 : (probability.get(next) || 0));
+        });
+      }
+      delta = Math.max(delta, Math.abs(value - (probability.get(state) || 0)));
+      probability.set(state, value);
+    });
+    if (delta < AttributionModelDefaults.tolerance) {
+      break;
+    }
+  }
+
+  return probability.get(START) || 0;
+}
+
+/**
+ * Normalize non-negative effects into weights that sum to 1
+ * @param {Object} effects - Channel -> effect
+ * @returns {Object} - Channel -> weight
+ */
+function normalizeEffects(effects) {
+  const total = Object.values(effects).reduce((sum, effect) => sum + Math.max(0, effect), 0);
+  return Object.keys(effects).reduce((weights, channel) => {
+    weights[channel] = total > 0 ? Math.max(0, effects[channel]) / total : 0;
+    return weights;
+  }, {});
+}
+
+/**
+ * Markov chain removal-effect attribution
+ * @param {Array<Object>} paths - [{ channels, converted }]
+ * @returns {Object} - { baseConversionProbability, removalEffects, weights }
+ */
+function markovRemovalEffects(paths) {
+  const transitions = buildTransitionMatrix(paths);
+  const baseConversionProbability = conversionProbability(transitions);
+  const channels = [...new Set(paths.flatMap(path => path.channels))];
+
+  const removalEffects = channels.reduce((effects, channel) => {
+    effects[channel] = baseConversionProbability > 0
+      ? 1 - conversionProbability(transitions, channel) / baseConversionProbability
+      : 0;
+    return effects;
+  }, {});
+
+  return { baseConversionProbability, removalEffects, weights: normalizeEffects(removalEffects) };
+}
+
+/**
+ * Shapley value attribution over channel coalitions
+ *
+ * The worth of a coalition is the conversion rate of journeys whose channel set is exactly
+ * that coalition, raised to the best worth of its subsets so that adding a channel never
+ * makes a coalition worth less (this also values coalitions that were never observed).
+ * @param {Array<Object>} paths - [{ channels, converted }]
+ * @returns {Object} - { coalitionCount, shapleyValues, weights }
+ */
+function shapleyValues(paths) {
+  const frequency = {};
+  paths.forEach(path => new Set(path.channels).forEach(channel => {
+    frequency[channel] = (frequency[channel] || 0) + 1;
+  }));
+  const channels = Object.keys(frequency).sort((a, b) => frequency[b] - frequency[a]);
+
+  if (channels.length > AttributionModelDefaults.maxShapleyChannels) {
+    throw new ReachSparkError(
+      `Shapley attribution supports at most ${AttributionModelDefaults.maxShapleyChannels} channels, got ${channels.length}`,
+      ErrorTypes.VALIDATION_ERROR,
+      SeverityLevels.WARNING,
+      null,
+      { channels }
+    );
+  }
+
+  const n = channels.length;
+  const size = 1 << n;
+  const index = channels.reduce((map, channel, i) => ({ ...map, [channel]: i }), {});
+
+  // Observed conversion rate per exact coalition
+  const journeys = new Array(size).fill(0);
+  const conversions = new Array(size).fill(0);
+  paths.forEach(path => {
+    const mask = [...new Set(path.channels)].reduce((bits, channel) => bits | (1 << index[channel]), 0);
+    journeys[mask]++;
+    if (path.converted) {
+      conversions[mask]++;
+    }
+  });
+
+  const worth = new Array(size).fill(0);
+  for (let mask = 1; mask < size; mask++) {
+    let best = journeys[mask] > 0 ? conversions[mask] / journeys[mask] : 0;
+    for (let i = 0; i < n; i++) {
+      if (mask & (1 << i)) {
+        best = Math.max(best, worth[mask ^ (1 << i)]);
+      }
+    }
+    worth[mask] = best;
+  }
+
+  // Weight for a coalition of size s not containing the player: s!(n-s-1)!/n!
+  const factorial = [1];
+  for (let i = 1; i <= n; i++) {
+    factorial[i] = factorial[i - 1] * i;
+  }
+  const popcount = mask => {
+    let count = 0;
+    for (let bits = mask; bits; bits &= bits - 1) {
+      count++;
+    }
+    return count;
+  };
+
+  const values = channels.reduce((result, channel) => ({ ...result, [channel]: 0 }), {});
+  for (let mask = 0; mask < size; mask++) {
+    const s = popcount(mask);
+    const weight = factorial[s] * factorial[n - s - 1] / factorial[n];
+    channels.forEach((channel, i) => {
+      if (!(mask & (1 << i))) {
+        values[channel] += weight * (worth[mask | (1 << i)] - worth[mask]);
+      }
+    });
+  }
+
+  return {
+    coalitionCount: journeys.filter(count => count > 0).length,
+    shapleyValues: values,
+    weights: normalizeEffects(values)
+  };
+}
+
+/**
+ * Fit a data-driven model over journey paths
+ * @param {string} model - Model from DataDrivenModel
+ * @param {Array<Object>} paths - Paths from buildJourneyPaths
+ * @returns {Object} - { model, weights, effects, pathCount, conversionCount }
+ */
+function fitDataDrivenModel(model, paths) {
+  let fitted;
+  switch (model) {
+    case DataDrivenModel.MARKOV_CHAIN: {
+      const result = markovRemovalEffects(paths);
+      fitted = { weights: result.weights, effects: result.removalEffects, baseConversionProbability: result.baseConversionProbability };
+      break;
+    }
+    case DataDrivenModel.SHAPLEY: {
+      const result = shapleyValues(paths);
+      fitted = { weights: result.weights, effects: result.shapleyValues, coalitionCount: result.coalitionCount };
+      break;
+    }
+    default:
+      throw new ReachSparkError(
+        `Unknown data-driven attribution model: ${model}`,
+        ErrorTypes.VALIDATION_ERROR,
+        SeverityLevels.WARNING,
+        null,
+        { model }
+      );
+  }
+
+  return {
+    model,
+    ...fitted,
+    pathCount: paths.length,
+    conversionCount: paths.filter(path => path.converted).length
+  };
+}
+
+/**
+ * Split a conversion's credit across its touchpoints using channel weights
+ *
+ * Channels in the path share the credit in proportion to their weights, and each channel's
+ * share is split evenly across its touchpoints. Paths whose channels all have zero weight
+ * fall back to an even split.
+ * @param {Array<Object>} touchpoints - [{ channelType }] in path order
+ * @param {Object} weights - Channel -> weight
+ * @returns {Array<number>} - Credit per touchpoint, summing to 1
+ */
+function distributeCredit(touchpoints, weights) {
+  const touchCounts = {};
+  touchpoints.forEach(touchpoint => {
+    touchCounts[touchpoint.channelType] = (touchCounts[touchpoint.channelType] || 0) + 1;
+  });
+
+  const totalWeight = Object.keys(touchCounts).reduce((sum, channel) => sum + (weights[channel] || 0), 0);
+  if (totalWeight <= 0) {
+    return touchpoints.map(() => 1 / touchpoints.length);
+  }
+
+  return touchpoints.map(touchpoint => (
+    (weights[touchpoint.channelType] || 0) / totalWeight / touchCounts[touchpoint.channelType]
+  ));
+}
+
+module.exports = {
+  DataDrivenModel,
+  AttributionModelDefaults,
+  toMillis,
+  buildJourneyPaths,
+  buildTransitionMatrix,
+  conversionProbability,
+  markovRemovalEffects,
+  shapleyValues,
+  fitDataDrivenModel,
+  distributeCredit
+};
@@ -0,0 +1,401 @@
+/**
+ * Audience quality and authenticity scoring for influencers
+ *
+ * Three independent signals are combined into a 0-100 authenticity score:
+ *
+ * - Follower growth: daily follower snapshots are checked for spikes far outside the
+ *   influencer's usual growth (bought followers) and sudden drops (platform purges).
+ * - Engagement rate: compared with the normal range for the influencer's tier. Very low
+ *   engagement suggests inactive or fake followers; very high engagement suggests bought
+ *   likes or engagement pods.
+ * - Comments: sampled comment text is checked for bot patterns such as emoji-only or
+ *   generic praise, self-promotion and the same text posted again and again.
+ *
+ * Signals without enough data are left out and the remaining weights are rescaled.
+ */
+
+const admin = require('firebase-admin');
+
+// Initialize Firestore if not already initialized
+if (!admin.apps.length) {
+  admin.initializeApp();
+}
+const db = admin.firestore();
+
+/**
+ * Overall authenticity ratings
+ */
+const AuthenticityRating = {
+  HIGH: 'high',
+  MEDIUM: 'medium',
+  LOW: 'low',
+  UNKNOWN: 'unknown'
+};
+
+/**
+ * Reasons an influencer's audience was flagged
+ */
+const AudienceQualityFlag = {
+  FOLLOWER_SPIKE: 'follower_spike',
+  FOLLOWER_DROP: 'follower_drop',
+  LOW_ENGAGEMENT: 'low_engagement',
+  HIGH_ENGAGEMENT: 'high_engagement',
+  BOT_COMMENTS: 'bot_comments'
+};
+
+/**
+ * Typical engagement rate range per influencer tier (keys match INFLUENCER_TIERS)
+ */
+const TIER_ENGAGEMENT_BENCHMARKS = {
+  nano: { min: 0.02, max: 0.1 },
+  micro: { min: 0.015, max: 0.07 },
+  mid_tier: { min: 0.01, max: 0.05 },
+  macro: { min: 0.008, max: 0.035 },
+  mega: { min: 0.005, max: 0.025 }
+};
+
+const AudienceQualityDefaults = {
+  MIN_GROWTH_SNAPSHOTS: 5,
+  MIN_COMMENTS: 10,
+  SPIKE_Z_SCORE: 3.5,
+  MIN_SPIKE_DAILY_RATE: 0.02,
+  DROP_DAILY_RATE: -0.03,
+  HISTORY_DAYS: 90,
+  MIN_RECOMMENDED_SCORE: 50,
+  WEIGHTS: { growth: 0.35, engagement: 0.35, comments: 0.3 }
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Comments that say nothing about the post
+const GENERIC_COMMENT_PATTERNS = [
+  /^(nice|great|cool|awesome|amazing|beautiful|lovely|wow|love it|love this|so cute|perfect)( (pic|post|photo|shot|content|one|feed))?[!. ]*$/i
+];
+
+// Comments that advertise someone else
+const PROMOTIONAL_COMMENT_PATTERNS = [
+  /\b(check|visit) (out )?my (profile|page|bio)\b/i,
+  /\bfollow (me|back|for follow)\b/i,
+  /\b(dm|message) (us|me) (to|for)\b/i,
+  /\b(promo|collab|ambassador)\b.*\b(dm|link)\b/i,
+  /https?:\/\//i
+];
+
+/**
+ * Work out an influencer's tier from their follower count
+ * @param {number} followerCount - Follower count
+ * @returns {string} Tier (an INFLUENCER_TIERS value)
+ */
+const tierForFollowerCount = (followerCount = 0) => {
+  if (followerCount >= 1000000) return 'mega';
+  if (followerCount >= 100000) return 'macro';
+  if (followerCount >= 50000) return 'mid_tier';
+  if (followerCount >= 10000) return 'micro';
+  return 'nano';
+};
+
+/**
+ * Median of a list of numbers
+ * @param {Array<number>} values - Values
+ * @returns {number} Median
+ */
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+};
+
+/**
+ * Find follower growth spikes and drops
+ *
+ * Growth between snapshots is converted to a daily rate and compared with the influencer's
+ * own typical rate using a robust z-score (median and median absolute deviation), so
+ * steadily fast-growing accounts are not penalized.
+ * @param {Array<Object>} history - Snapshots { followerCount, recordedAt }
+ * @returns {Object} { score, anomalies, spikeShare }; score is null without enough history
+ */
+const detectFollowerGrowthAnomalies = (history = []) => {
+  const snapshots = history
+    .filter(snapshot => snapshot.followerCount > 0 && snapshot.recordedAt)
+    .map(snapshot => ({ followerCount: snapshot.followerCount, recordedAt: new Date(snapshot.recordedAt).getTime() }))
+    .sort((a, b) => a.recordedAt - b.recordedAt);
+
+  if (snapshots.length < AudienceQualityDefaults.MIN_GROWTH_SNAPSHOTS) {
+    return { score: null, anomalies: [], spikeShare: 0 };
+  }
+
+  const periods = snapshots.slice(1).map((snapshot, index) => {
+    const previous = snapshots[index];
+    const days = Math.max((snapshot.recordedAt - previous.recordedAt) / DAY, 1 / 24);
+    const gain = snapshot.followerCount - previous.followerCount;
+    return {
+      from: previous.recordedAt,
+      to: snapshot.recordedAt,
+      gain,
+      dailyRate: gain / previous.followerCount / days
+    };
+  });
+
+  const rates = periods.map(period => period.dailyRate);
+  const typical = median(rates);
+  // Scale the MAD to a standard deviation; keep a floor so flat histories are not all outliers
+  const spread = Math.max(1.4826 * median(rates.map(rate => Math.abs(rate - typical))), 0.001);
+
+  const anomalies = periods
+    .map(period => ({ ...period, zScore: (period.dailyRate - typical) / spread }))
+    .filter(period =>
+      (period.zScore >= AudienceQualityDefaults.SPIKE_Z_SCORE && period.dailyRate >= AudienceQualityDefaults.MIN_SPIKE_DAILY_RATE) ||
+      period.dailyRate <= AudienceQualityDefaults.DROP_DAILY_RATE
+    )
+    .map(period => ({
+      type: period.dailyRate > 0 ? AudienceQualityFlag.FOLLOWER_SPIKE : AudienceQualityFlag.FOLLOWER_DROP,
+      from: period.from,
+      to: period.to,
+      gain: period.gain,
+      dailyRate: period.dailyRate,
+      zScore: period.zScore
+    }));
+
+  // Penalize by how much of the current audience arrived in spikes
+  const latest = snapshots[snapshots.length - 1].followerCount;
+  const spikeGain = anomalies
+    .filter(anomaly => anomaly.type === AudienceQualityFlag.FOLLOWER_SPIKE)
+    .reduce((sum, anomaly) => sum + anomaly.gain, 0);
+  const spikeShare = Math.min(1, spikeGain / latest);
+  const drops = anomalies.filter(anomaly => anomaly.type === AudienceQualityFlag.FOLLOWER_DROP).length;
+
+  return {
+    score: Math.max(0, Math.round(100 - spikeShare * 200 - drops * 15)),
+    anomalies,
+    spikeShare
+  };
+};
+
+/**
+ * Compare an engagement rate with the normal range for the influencer's tier
+ * @param {number} engagementRate - Engagement rate as a fraction of followers
+ * @param {number} followerCount - Follower count
+ * @returns {Object} { score, tier, benchmark, flag }; score is null without an engagement rate
+ */
+const assessEngagementRate = (engagementRate, followerCount) => {
+  const tier = tierForFollowerCount(followerCount);
+  const benchmark = TIER_ENGAGEMENT_BENCHMARKS[tier];
+
+  if (!(engagementRate > 0) || !(followerCount > 0)) {
+    return { score: null, tier, benchmark, flag: null };
+  }
+
+  if (engagementRate < benchmark.min) {
+    return {
+      score: engagementRate < benchmark.min / 2 ? 30 : 70,
+      tier,
+      benchmark,
+      flag: AudienceQualityFlag.LOW_ENGAGEMENT
+    };
+  }
+  if (engagementRate > benchmark.max) {
+    return {
+      score: engagementRate > benchmark.max * 2 ? 30 : 70,
+      tier,
+      benchmark,
+      flag: AudienceQualityFlag.HIGH_ENGAGEMENT
+    };
+  }
+  return { score: 100, tier, benchmark, flag: null };
+};
+
+/**
+ * Check why a single comment looks automated
+ * @param {string} text - Comment text
+ * @returns {string|null} Reason, or null if the comment looks genuine
+ */
+const classifyComment = (text) => {
+  const trimmed = String(text || '').trim();
+  if (!trimmed) {
+    return 'empty';
+  }
+  if (!/[\p{L}\p{N}]/u.test(trimmed)) {
+    return 'emoji_only';
+  }
+  if (PROMOTIONAL_COMMENT_PATTERNS.some(pattern => pattern.test(trimmed))) {
+    return 'promotional';
+  }
+  if (GENERIC_COMMENT_PATTERNS.some(pattern => pattern.test(trimmed))) {
+    return 'generic';
+  }
+  return null;
+};
+
+/**
+ * Estimate the share of comments posted by bots
+ * @param {Array<Object|string>} comments - Comments { text, authorId } or plain text
+ * @returns {Object} { score, sampleSize, botShare, reasons }; score is null with too few comments
+ */
+const analyzeCommentAuthenticity = (comments = []) => {
+  const normalized = comments
+    .map(comment => (typeof comment === 'string' ? { text: comment } : comment))
+    .filter(Boolean);
+
+  if (normalized.length < AudienceQualityDefaults.MIN_COMMENTS) {
+    return { score: null, sampleSize: normalized.length, botShare: 0, reasons: {} };
+  }
+
+  // The same text or the same author turning up again and again is a bot signature
+  const textCounts = {};
+  const authorCounts = {};
+  normalized.forEach(comment => {
+    const key = String(comment.text || '').trim().toLowerCase();
+    textCounts[key] = (textCounts[key] || 0) + 1;
+    if (comment.authorId) {
+      authorCounts[comment.authorId] = (authorCounts[comment.authorId] || 0) + 1;
+    }
+  });
+
+  const reasons = {};
+  let suspicious = 0;
+  normalized.forEach(comment => {
+    const key = String(comment.text || '').trim().toLowerCase();
+    const reason = classifyComment(comment.text) ||
+      (textCounts[key] >= 3 ? 'duplicate' : null) ||
+      (comment.authorId && authorCounts[comment.authorId] >= 5 ? 'repeat_author' : null);
+    if (reason) {
+      suspicious++;
+      reasons[reason] = (reasons[reason] || 0) + 1;
+    }
+  });
+
+  const botShare = suspicious / normalized.length;
+
+  // Some generic praise is normal; the score only drops once it dominates
+  return {
+    score: Math.max(0, Math.round(100 - Math.max(0, botShare - 0.2) * 125)),
+    sampleSize: normalized.length,
+    botShare,
+    reasons
+  };
+};
+
+/**
+ * Combine audience signals into an authenticity score
+ * @param {Object} signals - { followerCount, engagementRate, followerHistory, comments }
+ * @returns {Object} { score, rating, flags, signals, components }; signals lists the components that had enough data
+ */
+const assessAudienceQuality = (signals = {}) => {
+  const growth = detectFollowerGrowthAnomalies(signals.followerHistory);
+  const engagement = assessEngagementRate(signals.engagementRate, signals.followerCount);
+  const comments = analyzeCommentAuthenticity(signals.comments);
+
+  const components = { growth, engagement, comments };
+  const available = Object.keys(AudienceQualityDefaults.WEIGHTS).filter(name => components[name].score !== null);
+  const totalWeight = available.reduce((sum, name) => sum + AudienceQualityDefaults.WEIGHTS[name], 0);
+  const score = available.length > 0
+    ? Math.round(available.reduce((sum, name) => sum + components[name].score * AudienceQualityDefaults.WEIGHTS[name], 0) / totalWeight)
+    : null;
+
+  const flags = [...new Set([
+    ...growth.anomalies.map(anomaly => anomaly.type),
+    ...(engagement.flag ? [engagement.flag] : []),
+    ...(comments.score !== null && comments.score < 75 ? [AudienceQualityFlag.BOT_COMMENTS] : [])
+  ])];
+
+  let rating = AuthenticityRating.UNKNOWN;
+  if (score !== null) {
+    rating = score >= 75 ? AuthenticityRating.HIGH : score >= 50 ? AuthenticityRating.MEDIUM : AuthenticityRating.LOW;
+  }
+
+  return {
+    score,
+    rating,
+    flags,
+    signals: available,
+    components
+  };
+};
+
+/**
+ * Authenticity score to rank an influencer by
+ *
+ * Uses the stored audience quality analysis when there is one, and otherwise estimates the
+ * score from the engagement rate on the influencer's profile.
+ * @param {Object} influencer - Influencer document
+ * @returns {Object} { score, estimated }
+ */
+const getAuthenticityScore = (influencer) => {
+  if (influencer.audienceQuality && influencer.audienceQuality.score !== null &&
+      influencer.audienceQuality.score !== undefined) {
+    return { score: influencer.audienceQuality.score, estimated: false };
+  }
+  const engagement = assessEngagementRate(influencer.engagementRate, influencer.followerCount);
+  return { score: engagement.score, estimated: true };
+};
+
+/**
+ * Analyze an influencer's audience quality and store the result on their profile
+ * @param {string} influencerId - Influencer ID
+ * @param {Object} influencer - Influencer document
+ * @param {Array<Object>} contentSamples - Recent content, with sampled comments in `commentSamples`
+ * @returns {Promise<Object>} Audience quality analysis
+ */
+const analyzeAudienceQuality = async (influencerId, influencer, contentSamples = []) => {
+  const historyQuery = await db.collection('influencerFollowerHistory')
+    .where('influencerId', '==', influencerId)
+    .where('recordedAt', '>=', Date.now() - AudienceQualityDefaults.HISTORY_DAYS * DAY)
+    .get();
+
+  const followerHistory = historyQuery.docs.map(doc => doc.data());
+  const comments = contentSamples.reduce((all, sample) => all.concat(sample.commentSamples || []), []);
+
+  const analysis = assessAudienceQuality({
+    followerCount: influencer.followerCount,
+    engagementRate: influencer.engagementRate,
+    followerHistory,
+    comments
+  });
+
+  await db.collection('influencers').doc(influencerId).set({
+    audienceQuality: {
+      score: analysis.score,
+      rating: analysis.rating,
+      flags: analysis.flags,
+      analyzedAt: Date.now()
+    },
+    authenticityScore: analysis.score
+  }, { merge: true });
+
+  return analysis;
+};
+
+/**
+ * Record today's follower count for growth anomaly detection
+ * @param {string} influencerId - Influencer ID
+ * @param {number} followerCount - Follower count
+ * @returns {Promise<void>}
+ */
+const recordFollowerSnapshot = async (influencerId, followerCount) => {
+  if (!(followerCount > 0)) {
+    return;
+  }
+  const recordedAt = Date.now();
+  const day = new Date(recordedAt).toISOString().slice(0, 10);
+  await db.collection('influencerFollowerHistory').doc(`${influencerId}_${day}`).set({
+    influencerId,
+    followerCount,
+    recordedAt
+  });
+};
+
+module.exports = {
+  AuthenticityRating,
+  AudienceQualityFlag,
+  TIER_ENGAGEMENT_BENCHMARKS,
+  AudienceQualityDefaults,
+  tierForFollowerCount,
+  detectFollowerGrowthAnomalies,
+  assessEngagementRate,
+  classifyComment,
+  analyzeCommentAuthenticity,
+  assessAudienceQuality,
+  getAuthenticityScore,
+  analyzeAudienceQuality,
+  recordFollowerSnapshot
+};
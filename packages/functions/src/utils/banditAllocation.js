@@ -0,0 +1,257 @@
+/**
+ * Multi-armed bandit traffic allocation for ReachSpark AMIA A/B tests
+ *
+ * Instead of splitting traffic evenly until a test ends, each impression is routed to a
+ * variation chosen from the current evidence:
+ * - Thompson sampling draws a conversion rate from every variation's Beta posterior and
+ *   serves the highest draw, so traffic shifts to likely winners as evidence accumulates
+ * - Epsilon-greedy serves the variation with the best posterior mean, exploring a random
+ *   variation with probability epsilon
+ * - Static keeps the even split, for tests that need a clean fixed-allocation readout
+ *
+ * Posteriors are derived from the cumulative variation metrics when a variation is
+ * selected, so they are never stored. Metrics are recorded per arm as counters in a map
+ * on the test document and incremented in place: concurrent impressions do not overwrite
+ * each other, and the variations array is not rewritten on every impression.
+ */
+
+const admin = require('firebase-admin');
+const { ReachSparkError, ErrorTypes, SeverityLevels } = require('./errorLogging');
+const { ExperimentDefaults, getMetric, createRandom, sampleBeta } = require('./experimentation');
+
+/**
+ * Allocation strategies
+ */
+const AllocationStrategy = {
+  THOMPSON_SAMPLING: 'thompson_sampling',
+  EPSILON_GREEDY: 'epsilon_greedy',
+  STATIC: 'static'
+};
+
+/**
+ * Default allocation settings
+ */
+const BanditDefaults = {
+  strategy: AllocationStrategy.THOMPSON_SAMPLING,
+  epsilon: 0.1,
+  prior: { alpha: 1, beta: 1 },
+  shareSamples: 2000
+};
+
+/**
+ * Test document field holding per-arm counters ({ [variationId]: { views, clicks, conversions } })
+ */
+const ARM_METRICS_FIELD = 'armMetrics';
+
+/**
+ * Normalize allocation settings stored with a test
+ * @param {Object} [allocation] - { strategy, epsilon, prior }
+ * @returns {Object} - Complete allocation settings
+ */
+function createAllocation(allocation = {}) {
+  const strategy = allocation.strategy || BanditDefaults.strategy;
+  if (!Object.values(AllocationStrategy).includes(strategy)) {
+    throw new ReachSparkError(
+      `Unknown allocation strategy: ${strategy}`,
+      ErrorTypes.VALIDATION_ERROR,
+      SeverityLevels.WARNING,
+      null,
+      { strategy }
+    );
+  }
+
+  const epsilon = allocation.epsilon !== undefined ? allocation.epsilon : BanditDefaults.epsilon;
+  if (epsilon < 0 || epsilon > 1) {
+    throw new ReachSparkError(
+      `Epsilon must be between 0 and 1, got ${epsilon}`,
+      ErrorTypes.VALIDATION_ERROR,
+      SeverityLevels.WARNING,
+      null,
+      { epsilon }
+    );
+  }
+
+  return {
+    strategy,
+    epsilon,
+    prior: allocation.prior || BanditDefaults.prior
+  };
+}
+
+/**
+ * Compute each variation's Beta posterior from its metrics
+ * @param {Array<Object>} variations - [{ id, metrics }]
+ * @param {string} [metricId] - Metric from ExperimentMetrics
+ * @param {Object} [prior] - { alpha, beta }
+ * @returns {Object} - Map of variation ID to { alpha, beta, mean }
+ */
+function computePosteriors(variations, metricId = ExperimentDefaults.primaryMetric, prior = BanditDefaults.prior) {
+  const metric = getMetric(metricId);
+
+  return variations.reduce((posteriors, variation) => {
+    const metrics = variation.metrics || {};
+    const trials = metrics[metric.trials] || 0;
+    // Successes can be recorded before their trials (e.g. a click tracked ahead of its view)
+    const successes = Math.min(metrics[metric.successes] || 0, trials);
+    const alpha = prior.alpha + successes;
+    const beta = prior.beta + trials - successes;
+
+    posteriors[variation.id] = { alpha, beta, mean: alpha / (alpha + beta) };
+    return posteriors;
+  }, {});
+}
+
+/**
+ * Add a test's per-arm counters to its variations' metrics
+ *
+ * Metrics stored on the variations themselves (tests created before counters) are kept.
+ * @param {Array<Object>} variations - [{ id, metrics }]
+ * @param {Object} [armMetrics] - Counters by variation ID
+ * @returns {Array<Object>} - Variations with combined metrics
+ */
+function withArmMetrics(variations, armMetrics = {}) {
+  return variations.map(variation => {
+    const counters = armMetrics[variation.id] || {};
+    const metrics = { ...(variation.metrics || {}) };
+    Object.keys(counters).forEach(metricType => {
+      metrics[metricType] = (metrics[metricType] || 0) + counters[metricType];
+    });
+    return { ...variation, metrics };
+  });
+}
+
+/**
+ * Record a metric for one arm of a test
+ * @param {Object} testRef - Firestore reference of the test document
+ * @param {Object} test - Test data, used to check the variation exists
+ * @param {string} variationsField - Field that lists the test's variations (variations or arms)
+ * @param {string} variationId - Variation ID
+ * @param {string} metricType - Metric type (views, clicks, conversions)
+ * @param {number} [value=1] - Amount to add
+ * @returns {Promise<Array<Object>>} - Variations with this update applied to their metrics
+ */
+async function recordArmMetric(testRef, test, variationsField, variationId, metricType, value = 1) {
+  const variations = test[variationsField] || [];
+  if (!variations.some(variation => variation.id === variationId)) {
+    throw new ReachSparkError(
+      `Variation with ID ${variationId} not found in test`,
+      ErrorTypes.VALIDATION_ERROR,
+      SeverityLevels.WARNING,
+      null,
+      { variationId }
+    );
+  }
+
+  await testRef.update({
+    [`${ARM_METRICS_FIELD}.${variationId}.${metricType}`]: admin.firestore.FieldValue.increment(value),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  const counters = test[ARM_METRICS_FIELD] || {};
+  const current = counters[variationId] || {};
+  return withArmMetrics(variations, {
+    ...counters,
+    [variationId]: { ...current, [metricType]: (current[metricType] || 0) + value }
+  });
+}
+
+/**
+ * Choose the variation to serve for one impression
+ * @param {Array<Object>} variations - [{ id, metrics }]
+ * @param {Object} [allocation] - { strategy, epsilon, prior }
+ * @param {Object} [options] - { metricId, random }
+ * @returns {Object} - { variationId, strategy, explored }
+ */
+function selectVariation(variations, allocation = {}, options = {}) {
+  if (!variations || variations.length === 0) {
+    throw new ReachSparkError(
+      'Cannot allocate traffic without variations',
+      ErrorTypes.VALIDATION_ERROR,
+      SeverityLevels.WARNING
+    );
+  }
+
+  const settings = createAllocation(allocation);
+  const random = options.random || Math.random;
+  const pickRandom = () => variations[Math.floor(random() * variations.length)].id;
+
+  if (settings.strategy === AllocationStrategy.STATIC) {
+    return { variationId: pickRandom(), strategy: settings.strategy, explored: false };
+  }
+
+  const posteriors = computePosteriors(variations, options.metricId, settings.prior);
+
+  if (settings.strategy === AllocationStrategy.EPSILON_GREEDY) {
+    if (random() < settings.epsilon) {
+      return { variationId: pickRandom(), strategy: settings.strategy, explored: true };
+    }
+
+    const best = variations.reduce((leader, variation) => (
+      posteriors[variation.id].mean > posteriors[leader.id].mean ? variation : leader
+    ));
+    return { variationId: best.id, strategy: settings.strategy, explored: false };
+  }
+
+  let bestId = null;
+  let bestDraw = -1;
+  variations.forEach(variation => {
+    const draw = sampleBeta(posteriors[variation.id].alpha, posteriors[variation.id].beta, random);
+    if (draw > bestDraw) {
+      bestDraw = draw;
+      bestId = variation.id;
+    }
+  });
+
+  return { variationId: bestId, strategy: settings.strategy, explored: false };
+}
+
+/**
+ * Expected share of traffic each variation receives under the current evidence
+ * @param {Array<Object>} variations - [{ id, metrics }]
+ * @param {Object} [allocation] - { strategy, epsilon, prior }
+ * @param {Object} [options] - { metricId, samples, seed }
+ * @returns {Object} - Map of variation ID to traffic share (0-1)
+ */
+function allocationShares(variations, allocation = {}, options = {}) {
+  const settings = createAllocation(allocation);
+  const uniform = 1 / variations.length;
+  const shares = variations.reduce((result, variation) => ({ ...result, [variation.id]: 0 }), {});
+
+  if (settings.strategy === AllocationStrategy.STATIC) {
+    variations.forEach(variation => { shares[variation.id] = uniform; });
+    return shares;
+  }
+
+  const posteriors = computePosteriors(variations, options.metricId, settings.prior);
+
+  if (settings.strategy === AllocationStrategy.EPSILON_GREEDY) {
+    const best = variations.reduce((leader, variation) => (
+      posteriors[variation.id].mean > posteriors[leader.id].mean ? variation : leader
+    ));
+    variations.forEach(variation => {
+      shares[variation.id] = settings.epsilon * uniform + (variation.id === best.id ? 1 - settings.epsilon : 0);
+    });
+    return shares;
+  }
+
+  // Thompson sampling serves each variation with the probability that it is best
+  const samples = options.samples || BanditDefaults.shareSamples;
+  const random = createRandom(options.seed !== undefined ? options.seed : ExperimentDefaults.seed);
+  for (let i = 0; i < samples; i++) {
+    const result = selectVariation(variations, settings, { metricId: options.metricId, random });
+    shares[result.variationId] += 1 / samples;
+  }
+  return shares;
+}
+
+module.exports = {
+  AllocationStrategy,
+  BanditDefaults,
+  ARM_METRICS_FIELD,
+  createAllocation,
+  computePosteriors,
+  withArmMetrics,
+  recordArmMetric,
+  selectVariation,
+  allocationShares
+};
@@ -0,0 +1,299 @@
+/**
+ * Constrained budget optimization for ReachSpark AMIA
+ *
+ * Maximizes the predicted response (revenue or conversions) of a budget split across
+ * channels, given each channel's fitted response curve, subject to:
+ *
+ *   - the total budget being spent exactly
+ *   - per-channel minimum and maximum spend
+ *   - a minimum change step: spend only moves between channels in whole steps
+ *   - a risk tolerance: no channel moves further than a share of its current spend,
+ *     once the current mix is scaled to the budget
+ *
+ * The optimizer starts from the current mix scaled to the budget and repeatedly moves
+ * one step from the channel that loses least to the channel that gains most. For concave
+ * response curves this reaches the best allocation on the step grid.
+ */
+
+const { ReachSparkError, ErrorTypes, SeverityLevels } = require('./errorLogging');
+const { weeklyResponse, marginalResponse } = require('./marketingMixModel');
+
+/**
+ * Default optimizer settings
+ */
+const BudgetOptimizerDefaults = {
+  steps: 200,
+  maxIterations: 100000,
+  frontierMultipliers: [0.5, 0.75, 1, 1.25, 1.5],
+  frontierLevels: [-2, -1, 0, 1, 2, 3]
+};
+
+/**
+ * Create a validation error for an unsatisfiable optimization
+ * @param {string} message - Error message
+ * @param {Object} context - Error context
+ * @returns {ReachSparkError} - Error
+ */
+function infeasible(message, context) {
+  return new ReachSparkError(message, ErrorTypes.VALIDATION_ERROR, SeverityLevels.WARNING, null, context);
+}
+
+/**
+ * Response of a channel to spend spread evenly over several periods
+ * @param {Object} curve - Fitted channel { decay, halfSaturation, shape, coefficient }
+ * @param {number} spend - Spend over all periods
+ * @param {number} periods - Number of weekly periods
+ * @returns {number} - Total response
+ */
+function periodResponse(curve, spend, periods) {
+  return periods * weeklyResponse(curve, spend / periods);
+}
+
+/**
+ * Build response curves from observed spend and return when no model has been fitted
+ *
+ * Each channel gets a Hill curve of shape 1 whose half-saturation point is its current
+ * weekly spend, so the current spend earns the observed response and every extra dollar
+ * returns less than the last.
+ * @param {Object} observations - Channel -> { weeklySpend, weeklyResponse }
+ * @param {Object} [options] - { defaultWeeklySpend } used for channels without spend
+ * @returns {Object} - Channel -> curve
+ */
+function curvesFromObservedReturns(observations, options = {}) {
+  return Object.entries(observations).reduce((curves, [channel, observation]) => {
+    const halfSaturation = observation.weeklySpend > 0 ? observation.weeklySpend : options.defaultWeeklySpend;
+    if (!(halfSaturation > 0)) {
+      return curves;
+    }
+    curves[channel] = {
+      decay: 0,
+      halfSaturation,
+      shape: 1,
+      coefficient: 2 * Math.max(0, observation.weeklyResponse || 0)
+    };
+    return curves;
+  }, {});
+}
+
+/**
+ * Scale current spend to a budget, or split evenly without any current spend
+ * @param {Array<string>} channels - Channels
+ * @param {Object} currentSpend - Channel -> current spend
+ * @param {number} budget - Budget
+ * @returns {Object} - Channel -> baseline spend
+ */
+function scaleToBudget(channels, currentSpend, budget) {
+  const currentTotal = channels.reduce((sum, channel) => sum + (currentSpend[channel] || 0), 0);
+  return channels.reduce((baseline, channel) => ({
+    ...baseline,
+    [channel]: currentTotal > 0 ? (currentSpend[channel] || 0) * budget / currentTotal : budget / channels.length
+  }), {});
+}
+
+/**
+ * Combine min/max spend with the risk tolerance band around the baseline
+ * @param {Array<string>} channels - Channels
+ * @param {Object} baseline - Channel -> baseline spend
+ * @param {Object} options - { minSpend, maxSpend, riskTolerance }
+ * @returns {Object} - Channel -> { min, max }
+ */
+function channelBounds(channels, baseline, options) {
+  const minSpend = options.minSpend || {};
+  const maxSpend = options.maxSpend || {};
+  const risk = options.riskTolerance;
+
+  return channels.reduce((bounds, channel) => {
+    let min = minSpend[channel] || 0;
+    let max = maxSpend[channel] !== undefined ? maxSpend[channel] : Infinity;
+    if (risk !== undefined && risk !== null) {
+      min = Math.max(min, baseline[channel] * (1 - Math.min(risk, 1)));
+      max = Math.min(max, baseline[channel] * (1 + risk));
+    }
+    if (min > max + 1e-9) {
+      throw infeasible(`Spend limits for ${channel} cannot be met`, { channel, min, max });
+    }
+    bounds[channel] = { min, max };
+    return bounds;
+  }, {});
+}
+
+/**
+ * Move the baseline inside the bounds while keeping the total on budget
+ * @param {Array<string>} channels - Channels
+ * @param {Object} baseline - Channel -> baseline spend
+ * @param {Object} bounds - Channel -> { min, max }
+ * @param {number} budget - Budget
+ * @returns {Object} - Channel -> feasible spend
+ */
+function repairToBounds(channels, baseline, bounds, budget) {
+  const spend = channels.reduce((result, channel) => ({
+    ...result,
+    [channel]: Math.min(bounds[channel].max, Math.max(bounds[channel].min, baseline[channel]))
+  }), {});
+
+  // Spread any surplus or shortfall over the channels that still have room, in proportion to that room
+  for (let pass = 0; pass < channels.length; pass++) {
+    const gap = budget - channels.reduce((sum, channel) => sum + spend[channel], 0);
+    if (Math.abs(gap) <= 1e-9 * Math.max(1, budget)) {
+      break;
+    }
+    const room = channels.reduce((result, channel) => ({
+      ...result,
+      [channel]: gap > 0 ? bounds[channel].max - spend[channel] : spend[channel] - bounds[channel].min
+    }), {});
+    const withRoom = channels.filter(channel => room[channel] > 0);
+    if (withRoom.length === 0) {
+      break;
+    }
+    const unbounded = withRoom.filter(channel => room[channel] === Infinity);
+    const totalRoom = withRoom.reduce((sum, channel) => sum + room[channel], 0);
+    withRoom.forEach(channel => {
+      const share = unbounded.length > 0
+        ? (room[channel] === Infinity ? 1 / unbounded.length : 0)
+        : room[channel] / totalRoom;
+      spend[channel] += gap > 0
+        ? Math.min(room[channel], gap * share)
+        : -Math.min(room[channel], -gap * share);
+    });
+  }
+
+  return spend;
+}
+
+/**
+ * Find the budget split with the highest predicted response
+ * @param {Object} curves - Channel -> response curve
+ * @param {number} budget - Total budget to spend
+ * @param {Object} [options] - { currentSpend, minSpend, maxSpend, step, riskTolerance, periods, steps }
+ * @returns {Object} - { budget, allocation, response, currentResponse, changes, marginalReturns, binding }
+ */
+function optimizeBudget(curves, budget, options = {}) {
+  const channels = Object.keys(curves);
+  if (channels.length === 0) {
+    throw infeasible('Cannot optimize a budget without response curves', {});
+  }
+  if (!(budget > 0)) {
+    throw infeasible('Budget must be positive', { budget });
+  }
+
+  const periods = options.periods || 1;
+  const currentSpend = options.currentSpend || {};
+  const step = options.step || budget / (options.steps || BudgetOptimizerDefaults.steps);
+  const baseline = scaleToBudget(channels, currentSpend, budget);
+  const bounds = channelBounds(channels, baseline, options);
+
+  const minTotal = channels.reduce((sum, channel) => sum + bounds[channel].min, 0);
+  const maxTotal = channels.reduce((sum, channel) => sum + bounds[channel].max, 0);
+  const tolerance = 1e-9 * budget;
+  if (minTotal > budget + tolerance || maxTotal < budget - tolerance) {
+    throw infeasible('Budget cannot be split within the channel spend limits', { budget, minTotal, maxTotal });
+  }
+
+  const allocation = repairToBounds(channels, baseline, bounds, budget);
+  const response = channel => periodResponse(curves[channel], allocation[channel], periods);
+
+  // Pairwise exchange: move one step from the cheapest channel to give up to the best one to grow
+  for (let iteration = 0; iteration < BudgetOptimizerDefaults.maxIterations; iteration++) {
+    let best = null;
+    channels.forEach(to => {
+      if (allocation[to] + step > bounds[to].max + tolerance) {
+        return;
+      }
+      const gain = periodResponse(curves[to], allocation[to] + step, periods) - response(to);
+      channels.forEach(from => {
+        if (from === to || allocation[from] - step < bounds[from].min - tolerance) {
+          return;
+        }
+        const improvement = gain - (response(from) - periodResponse(curves[from], allocation[from] - step, periods));
+        if (improvement > 1e-12 * Math.max(1, Math.abs(gain)) && (!best || improvement > best.improvement)) {
+          best = { to, from, improvement };
+        }
+      });
+    });
+    if (!best) {
+      break;
+    }
+    allocation[best.to] += step;
+    allocation[best.from] -= step;
+  }
+
+  const current = channels.reduce((sum, channel) => sum + periodResponse(curves[channel], currentSpend[channel] || 0, periods), 0);
+
+  return {
+    budget,
+    allocation,
+    response: channels.reduce((sum, channel) => sum + response(channel), 0),
+    currentResponse: current,
+    changes: channels.reduce((result, channel) => ({
+      ...result,
+      [channel]: allocation[channel] - (currentSpend[channel] || 0)
+    }), {}),
+    marginalReturns: channels.reduce((result, channel) => ({
+      ...result,
+      [channel]: marginalResponse(curves[channel], allocation[channel] / periods)
+    }), {}),
+    binding: channels.reduce((result, channel) => {
+      if (allocation[channel] <= bounds[channel].min + step / 2) {
+        result[channel] = 'min';
+      } else if (allocation[channel] >= bounds[channel].max - step / 2) {
+        result[channel] = 'max';
+      }
+      return result;
+    }, {})
+  };
+}
+
+/**
+ * Optimize several budget levels to show what each extra dollar buys
+ *
+ * Levels default to multiples of the budget, or to budget + k * frontierStep when a step
+ * (e.g. 10000) is given. Levels that cannot meet the constraints are marked infeasible.
+ * @param {Object} curves - Channel -> response curve
+ * @param {number} budget - Reference budget
+ * @param {Object} [options] - optimizeBudget options plus { budgetLevels, frontierStep }
+ * @returns {Array<Object>} - [{ budget, feasible, allocation, response, incrementalBudget, incrementalResponse, incrementalReturnPerDollar }]
+ */
+function efficientFrontier(curves, budget, options = {}) {
+  let levels = options.budgetLevels;
+  if (!levels) {
+    levels = options.frontierStep
+      ? BudgetOptimizerDefaults.frontierLevels.map(k => budget + k * options.frontierStep)
+      : BudgetOptimizerDefaults.frontierMultipliers.map(multiplier => budget * multiplier);
+  }
+  levels = [...new Set(levels.filter(level => level > 0))].sort((a, b) => a - b);
+
+  let previous = null;
+  return levels.map(level => {
+    try {
+      // Keep the step size fixed in dollars so every level moves in the same increments
+      const result = optimizeBudget(curves, level, {
+        ...options,
+        step: options.step || budget / (options.steps || BudgetOptimizerDefaults.steps)
+      });
+      const point = {
+        budget: level,
+        feasible: true,
+        allocation: result.allocation,
+        response: result.response,
+        incrementalBudget: previous ? level - previous.budget : null,
+        incrementalResponse: previous ? result.response - previous.response : null,
+        incrementalReturnPerDollar: previous ? (result.response - previous.response) / (level - previous.budget) : null
+      };
+      previous = point;
+      return point;
+    } catch (error) {
+      if (error.type !== ErrorTypes.VALIDATION_ERROR) {
+        throw error;
+      }
+      return { budget: level, feasible: false, reason: error.message };
+    }
+  });
+}
+
+module.exports = {
+  BudgetOptimizerDefaults,
+  periodResponse,
+  curvesFromObservedReturns,
+  optimizeBudget,
+  efficientFrontier
+};
@@ -0,0 +1,482 @@
+/**
+ * Shared Circuit Breaker for External API Calls
+ *
+ * Tracks a rolling window of outcomes and latencies per circuit key (for LLMs,
+ * `<provider>:<model>`) and stops sending traffic to a dependency that keeps failing:
+ *
+ * - closed: requests flow; the circuit opens when the error rate over the window
+ *   reaches the threshold (after a minimum number of requests)
+ * - open: requests fail fast with a CircuitOpenError until the cool-down expires;
+ *   the cool-down doubles each time a probe fails, up to maxOpenDurationMs
+ * - half_open: a limited number of probe requests are let through; a success closes
+ *   the circuit, a failure opens it again
+ *
+ * State is kept per process. Snapshots are written to the `llmProviderHealth`
+ * collection (on every state change and at most every persistIntervalMs otherwise)
+ * so the admin API management page can show it, and state changes raise `apiAlerts`.
+ */
+
+const admin = require('firebase-admin');
+const errorLogging = require('./errorLogging');
+const logger = errorLogging.logger;
+
+const HEALTH_COLLECTION = 'llmProviderHealth';
+const ALERTS_COLLECTION = 'apiAlerts';
+
+/**
+ * Circuit states
+ */
+const CircuitState = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+/**
+ * Default circuit breaker configuration
+ */
+const CircuitBreakerDefaults = {
+  windowMs: 5 * 60 * 1000,        // Rolling window for error rate and latency
+  maxWindowSize: 200,             // Outcomes kept per circuit
+  minRequests: 5,                 // Requests in the window before the error rate is trusted
+  failureRateThreshold: 0.5,      // Error rate that opens the circuit
+  openDurationMs: 30 * 1000,      // First cool-down before a probe is allowed
+  maxOpenDurationMs: 10 * 60 * 1000,
+  halfOpenMaxProbes: 1,           // Concurrent probes while half open
+  persistIntervalMs: 30 * 1000
+};
+
+/**
+ * Error thrown when a request is rejected because its circuit is open
+ */
+class CircuitOpenError extends errorLogging.ReachSparkError {
+  constructor(key, retryAfterMs) {
+    super(
+      `Circuit for ${key} is open; retry after ${Math.ceil(retryAfterMs / 1000)}s`,
+      errorLogging.ErrorTypes.RESOURCE_ERROR,
+      errorLogging.SeverityLevels.WARNING,
+      null,
+      { circuitKey: key, retryAfterMs }
+    );
+    this.name = 'CircuitOpenError';
+    this.circuitKey = key;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/**
+ * Decide whether an error counts against a circuit. Client errors (other than
+ * timeouts and rate limits) mean the dependency is reachable, so they do not.
+ * @param {Error} error - The error
+ * @returns {boolean} Whether the error is a dependency failure
+ */
+const isCircuitFailure = (error) => {
+  if (!error || error.name === 'CircuitOpenError') {
+    return false;
+  }
+
+  const status = (error.response && error.response.status) || error.status || error.statusCode;
+  if (typeof status === 'number' && status >= 400 && status < 500) {
+    return status === 408 || status === 429;
+  }
+
+  return true;
+};
+
+/**
+ * Get a percentile from sorted values
+ * @param {Array<number>} sorted - Values in ascending order
+ * @param {number} p - Percentile between 0 and 1
+ * @returns {number|null} Percentile value
+ */
+const percentile = (sorted, p) => {
+  if (sorted.length === 0) {
+    return null;
+  }
+  return sorted[Math.min(sorted.length - 1, Math.ceil(p * sorted.length) - 1)];
+};
+
+/**
+ * Registry of circuit breakers keyed by dependency
+ */
+class CircuitBreakerRegistry {
+  /**
+   * @param {Object} options - Configuration (see CircuitBreakerDefaults) plus:
+   * @param {Object} options.db - Firestore instance (defaults to admin.firestore())
+   * @param {boolean} options.persist - Write snapshots and alerts to Firestore (default true)
+   * @param {Function} options.now - Clock returning epoch milliseconds
+   * @param {Function} options.isFailure - Classifies errors (defaults to isCircuitFailure)
+   */
+  constructor(options = {}) {
+    this.config = { ...CircuitBreakerDefaults };
+    Object.keys(CircuitBreakerDefaults).forEach(key => {
+      if (options[key] !== undefined) {
+        this.config[key] = options[key];
+      }
+    });
+    this.db = options.db || null;
+    this.persist = options.persist !== false;
+    this.now = options.now || (() => Date.now());
+    this.isFailure = options.isFailure || isCircuitFailure;
+    this.circuits = new Map();
+  }
+
+  /**
+   * Get the Firestore instance (lazy initialization)
+   * @returns {Object} Firestore
+   */
+  getDb() {
+    if (!this.db) {
+      this.db = admin.firestore();
+    }
+    return this.db;
+  }
+
+  /**
+   * Get or create the state of a circuit
+   * @param {string} key - Circuit key
+   * @returns {Object} Circuit state
+   */
+  getCircuit(key) {
+    if (!this.circuits.has(key)) {
+      this.circuits.set(key, {
+        key,
+        state: CircuitState.CLOSED,
+        outcomes: [],
+        openedAt: null,
+        openDurationMs: this.config.openDurationMs,
+        consecutiveOpens: 0,
+        probesInFlight: 0,
+        lastError: null,
+        lastPersistedAt: 0
+      });
+    }
+    return this.circuits.get(key);
+  }
+
+  /**
+   * Move an open circuit to half-open once its cool-down has expired
+   * @param {Object} circuit - Circuit state
+   */
+  refreshState(circuit) {
+    if (circuit.state === CircuitState.OPEN && this.now() >= circuit.openedAt + circuit.openDurationMs) {
+      this.transition(circuit, CircuitState.HALF_OPEN);
+    }
+  }
+
+  /**
+   * Check whether a request would currently be allowed, without reserving a probe
+   * @param {string} key - Circuit key
+   * @returns {boolean} Whether the circuit accepts requests
+   */
+  isAvailable(key) {
+    const circuit = this.getCircuit(key);
+    this.refreshState(circuit);
+
+    if (circuit.state === CircuitState.OPEN) {
+      return false;
+    }
+    if (circuit.state === CircuitState.HALF_OPEN) {
+      return circuit.probesInFlight < this.config.halfOpenMaxProbes;
+    }
+    return true;
+  }
+
+  /**
+   * Reserve a request slot, throwing if the circuit is open
+   * @param {string} key - Circuit key
+   * @returns {Object} Circuit state
+   * @throws {CircuitOpenError} When the circuit rejects the request
+   */
+  acquire(key) {
+    const circuit = this.getCircuit(key);
+    if (!this.isAvailable(key)) {
+      const retryAfterMs = circuit.state === CircuitState.OPEN
+        ? circuit.openedAt + circuit.openDurationMs - this.now()
+        : this.config.openDurationMs;
+      throw new CircuitOpenError(key, Math.max(0, retryAfterMs));
+    }
+    if (circuit.state === CircuitState.HALF_OPEN) {
+      circuit.probesInFlight++;
+    }
+    return circuit;
+  }
+
+  /**
+   * Execute a function through a circuit
+   * @param {string} key - Circuit key
+   * @param {Function} fn - Async function to execute
+   * @returns {Promise<any>} Result of the function
+   * @throws {CircuitOpenError} When the circuit is open
+   */
+  async execute(key, fn) {
+    this.acquire(key);
+    const startedAt = this.now();
+
+    try {
+      const result = await fn();
+      this.recordSuccess(key, this.now() - startedAt);
+      return result;
+    } catch (error) {
+      if (this.isFailure(error)) {
+        this.recordFailure(key, this.now() - startedAt, error);
+      } else {
+        this.recordSuccess(key, this.now() - startedAt);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Record a successful request
+   * @param {string} key - Circuit key
+   * @param {number} latencyMs - Request latency
+   */
+  recordSuccess(key, latencyMs) {
+    const circuit = this.getCircuit(key);
+    this.addOutcome(circuit, true, latencyMs);
+
+    if (circuit.state === CircuitState.HALF_OPEN) {
+      circuit.probesInFlight = Math.max(0, circuit.probesInFlight - 1);
+      circuit.outcomes = [circuit.outcomes[circuit.outcomes.length - 1]];
+      circuit.consecutiveOpens = 0;
+      circuit.openDurationMs = this.config.openDurationMs;
+      this.transition(circuit, CircuitState.CLOSED);
+    } else {
+      this.persistSnapshot(circuit);
+    }
+  }
+
+  /**
+   * Record a failed request
+   * @param {string} key - Circuit key
+   * @param {number} latencyMs - Request latency
+   * @param {Error} error - The failure
+   */
+  recordFailure(key, latencyMs, error) {
+    const circuit = this.getCircuit(key);
+    this.addOutcome(circuit, false, latencyMs);
+    circuit.lastError = error?.message || 'Unknown error';
+
+    if (circuit.state === CircuitState.HALF_OPEN) {
+      circuit.probesInFlight = Math.max(0, circuit.probesInFlight - 1);
+      circuit.openDurationMs = Math.min(circuit.openDurationMs * 2, this.config.maxOpenDurationMs);
+      this.open(circuit);
+      return;
+    }
+
+    if (circuit.state === CircuitState.CLOSED) {
+      const stats = this.getStats(circuit);
+      if (stats.requests >= this.config.minRequests && stats.errorRate >= this.config.failureRateThreshold) {
+        this.open(circuit);
+        return;
+      }
+    }
+
+    this.persistSnapshot(circuit);
+  }
+
+  /**
+   * Add an outcome to a circuit's rolling window
+   * @param {Object} circuit - Circuit state
+   * @param {boolean} success - Whether the request succeeded
+   * @param {number} latencyMs - Request latency
+   */
+  addOutcome(circuit, success, latencyMs) {
+    const now = this.now();
+    circuit.outcomes.push({ at: now, success, latencyMs: Math.max(0, latencyMs || 0) });
+
+    const cutoff = now - this.config.windowMs;
+    while (circuit.outcomes.length > 0 &&
+      (circuit.outcomes[0].at < cutoff || circuit.outcomes.length > this.config.maxWindowSize)) {
+      circuit.outcomes.shift();
+    }
+  }
+
+  /**
+   * Open a circuit
+   * @param {Object} circuit - Circuit state
+   */
+  open(circuit) {
+    circuit.openedAt = this.now();
+    circuit.consecutiveOpens++;
+    this.transition(circuit, CircuitState.OPEN);
+  }
+
+  /**
+   * Change a circuit's state, logging and persisting the change
+   * @param {Object} circuit - Circuit state
+   * @param {string} state - New state
+   */
+  transition(circuit, state) {
+    const previousState = circuit.state;
+    circuit.state = state;
+
+    logger.info(`Circuit ${circuit.key} changed from ${previousState} to ${state}`, {
+      circuitKey: circuit.key,
+      lastError: circuit.lastError
+    });
+
+    this.persistSnapshot(circuit, true);
+
+    if (state === CircuitState.OPEN || (state === CircuitState.CLOSED && previousState !== CircuitState.CLOSED)) {
+      this.raiseAlert(circuit, previousState);
+    }
+  }
+
+  /**
+   * Compute rolling stats for a circuit
+   * @param {Object} circuit - Circuit state
+   * @returns {Object} { requests, failures, errorRate, avgLatencyMs, p50LatencyMs, p95LatencyMs }
+   */
+  getStats(circuit) {
+    const cutoff = this.now() - this.config.windowMs;
+    const outcomes = circuit.outcomes.filter(outcome => outcome.at >= cutoff);
+    const failures = outcomes.filter(outcome => !outcome.success).length;
+    const latencies = outcomes.filter(outcome => outcome.success).map(outcome => outcome.latencyMs).sort((a, b) => a - b);
+
+    return {
+      requests: outcomes.length,
+      failures,
+      errorRate: outcomes.length > 0 ? failures / outcomes.length : 0,
+      avgLatencyMs: latencies.length > 0 ? Math.round(latencies.reduce((sum, value) => sum + value, 0) / latencies.length) : null,
+      p50LatencyMs: percentile(latencies, 0.5),
+      p95LatencyMs: percentile(latencies, 0.95)
+    };
+  }
+
+  /**
+   * Get the health of a circuit
+   * @param {string} key - Circuit key
+   * @returns {Object} Health snapshot
+   */
+  getHealth(key) {
+    const circuit = this.getCircuit(key);
+    this.refreshState(circuit);
+
+    return {
+      key,
+      state: circuit.state,
+      ...this.getStats(circuit),
+      lastError: circuit.lastError,
+      consecutiveOpens: circuit.consecutiveOpens,
+      openedAt: circuit.openedAt ? new Date(circuit.openedAt).toISOString() : null,
+      nextAttemptAt: circuit.state === CircuitState.OPEN
+        ? new Date(circuit.openedAt + circuit.openDurationMs).toISOString()
+        : null
+    };
+  }
+
+  /**
+   * Get the health of every known circuit
+   * @returns {Array<Object>} Health snapshots
+   */
+  getSnapshot() {
+    return Array.from(this.circuits.keys()).sort().map(key => this.getHealth(key));
+  }
+
+  /**
+   * Force a circuit back to closed and clear its history
+   * @param {string} key - Circuit key
+   * @returns {Object} Health snapshot
+   */
+  reset(key) {
+    const circuit = this.getCircuit(key);
+    circuit.outcomes = [];
+    circuit.consecutiveOpens = 0;
+    circuit.probesInFlight = 0;
+    circuit.openDurationMs = this.config.openDurationMs;
+    circuit.lastError = null;
+    if (circuit.state !== CircuitState.CLOSED) {
+      this.transition(circuit, CircuitState.CLOSED);
+    } else {
+      this.persistSnapshot(circuit, true);
+    }
+    return this.getHealth(key);
+  }
+
+  /**
+   * Write a circuit snapshot to Firestore (throttled unless forced). Never throws.
+   * @param {Object} circuit - Circuit state
+   * @param {boolean} force - Write even if the last write was recent
+   */
+  persistSnapshot(circuit, force = false) {
+    if (!this.persist) {
+      return;
+    }
+
+    const now = this.now();
+    if (!force && now - circuit.lastPersistedAt < this.config.persistIntervalMs) {
+      return;
+    }
+    circuit.lastPersistedAt = now;
+
+    try {
+      const [provider, ...modelParts] = circuit.key.split(':');
+      this.getDb().collection(HEALTH_COLLECTION).doc(circuit.key.replace(/\//g, '_')).set({
+        ...this.getHealth(circuit.key),
+        provider,
+        model: modelParts.join(':') || null,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      }, { merge: true }).catch(error => {
+        logger.warn('Failed to persist circuit breaker state', { circuitKey: circuit.key, error: error.message });
+      });
+    } catch (error) {
+      logger.warn('Failed to persist circuit breaker state', { circuitKey: circuit.key, error: error.message });
+    }
+  }
+
+  /**
+   * Raise an API alert for a circuit state change. Never throws.
+   * @param {Object} circuit - Circuit state
+   * @param {string} previousState - State before the change
+   */
+  raiseAlert(circuit, previousState) {
+    if (!this.persist) {
+      return;
+    }
+
+    const opened = circuit.state === CircuitState.OPEN;
+    const stats = this.getStats(circuit);
+
+    try {
+      this.getDb().collection(ALERTS_COLLECTION).add({
+        severity: opened ? 'error' : 'info',
+        title: opened ? `Circuit opened for ${circuit.key}` : `Circuit closed for ${circuit.key}`,
+        message: opened
+          ? `${Math.round(stats.errorRate * 100)}% of ${stats.requests} recent requests failed (last error: ${circuit.lastError || 'unknown'}). Traffic is routed to other providers until ${new Date(circuit.openedAt + circuit.openDurationMs).toISOString()}.`
+          : `Circuit recovered from ${previousState}; traffic resumed.`,
+        provider: circuit.key.split(':')[0],
+        circuitKey: circuit.key,
+        timestamp: admin.firestore.FieldValue.serverTimestamp()
+      }).catch(error => {
+        logger.warn('Failed to raise circuit breaker alert', { circuitKey: circuit.key, error: error.message });
+      });
+    } catch (error) {
+      logger.warn('Failed to raise circuit breaker alert', { circuitKey: circuit.key, error: error.message });
+    }
+  }
+}
+
+let defaultRegistry = null;
+
+/**
+ * Get the shared circuit breaker registry
+ * @returns {CircuitBreakerRegistry} Shared registry
+ */
+const getCircuitBreakerRegistry = () => {
+  if (!defaultRegistry) {
+    defaultRegistry = new CircuitBreakerRegistry();
+  }
+  return defaultRegistry;
+};
+
+module.exports = {
+  CircuitState,
+  CircuitBreakerDefaults,
+  CircuitBreakerRegistry,
+  CircuitOpenError,
+  HEALTH_COLLECTION,
+  isCircuitFailure,
+  getCircuitBreakerRegistry
+};
@@ -0,0 +1,558 @@
+/**
+ * Collaboration contract terms and negotiation
+ *
+ * Brands and influencers negotiate a collaboration by exchanging offers. Each offer carries
+ * a full set of typed contract terms (deliverables, deadlines, usage rights, exclusivity,
+ * fee and revision rounds), and the negotiation moves through a small state machine:
+ *
+ *   proposed → countered → ... → accepted | rejected | expired
+ *
+ * Only the party that did not make the current offer can counter, accept or reject it, and
+ * an offer that is not answered before it expires closes the negotiation. Accepted terms
+ * are rendered into a contract document that both parties can download.
+ */
+
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const { ReachSparkError, ErrorTypes, SeverityLevels } = require('./errorLogging');
+const { MilestoneType, buildMilestonesFromTerms } = require('./milestonePayments');
+
+// Initialize Firestore if not already initialized
+if (!admin.apps.length) {
+  admin.initializeApp();
+}
+const db = admin.firestore();
+
+/**
+ * Negotiation states
+ */
+const NegotiationState = {
+  NOT_STARTED: 'not_started',
+  PROPOSED: 'proposed',
+  COUNTERED: 'countered',
+  ACCEPTED: 'accepted',
+  REJECTED: 'rejected',
+  EXPIRED: 'expired'
+};
+
+/**
+ * Things that can happen to a negotiation
+ */
+const NegotiationAction = {
+  PROPOSE: 'propose',
+  COUNTER: 'counter',
+  ACCEPT: 'accept',
+  REJECT: 'reject',
+  EXPIRE: 'expire'
+};
+
+/**
+ * The two sides of a collaboration
+ */
+const NegotiationParty = {
+  BRAND: 'brand',
+  INFLUENCER: 'influencer'
+};
+
+/**
+ * Content formats a deliverable can take
+ */
+const ContentFormat = {
+  POST: 'post',
+  STORY: 'story',
+  REEL: 'reel',
+  VIDEO: 'video',
+  SHORT: 'short',
+  LIVE: 'live',
+  BLOG_POST: 'blog_post'
+};
+
+/**
+ * How the brand may reuse the influencer's content
+ */
+const UsageRightsScope = {
+  NONE: 'none',           // Content stays on the influencer's channels
+  ORGANIC: 'organic',     // Brand may repost on its own channels
+  PAID: 'paid',           // Brand may also run the content as paid ads
+  FULL: 'full'            // Any use, including edits and derivative works
+};
+
+const NegotiationDefaults = {
+  OFFER_TTL_HOURS: 72,
+  MAX_REVISIONS: 10
+};
+
+const HOUR = 60 * 60 * 1000;
+
+// Allowed transitions: state → action → next state
+const TRANSITIONS = {
+  [NegotiationState.NOT_STARTED]: {
+    [NegotiationAction.PROPOSE]: NegotiationState.PROPOSED
+  },
+  [NegotiationState.PROPOSED]: {
+    [NegotiationAction.COUNTER]: NegotiationState.COUNTERED,
+    [NegotiationAction.ACCEPT]: NegotiationState.ACCEPTED,
+    [NegotiationAction.REJECT]: NegotiationState.REJECTED,
+    [NegotiationAction.EXPIRE]: NegotiationState.EXPIRED
+  },
+  [NegotiationState.COUNTERED]: {
+    [NegotiationAction.COUNTER]: NegotiationState.COUNTERED,
+    [NegotiationAction.ACCEPT]: NegotiationState.ACCEPTED,
+    [NegotiationAction.REJECT]: NegotiationState.REJECTED,
+    [NegotiationAction.EXPIRE]: NegotiationState.EXPIRED
+  }
+};
+
+/**
+ * Build a validation error for negotiation input
+ * @param {string} message - Error message
+ * @param {Object} context - Error context
+ * @returns {ReachSparkError} Validation error
+ */
+const invalid = (message, context = {}) => new ReachSparkError(
+  message,
+  ErrorTypes.VALIDATION_ERROR,
+  SeverityLevels.ERROR,
+  null,
+  context
+);
+
+/**
+ * Work out the next negotiation state
+ * @param {string} state - Current state; missing means no offer has been made
+ * @param {string} action - NegotiationAction
+ * @returns {string} Next state
+ */
+const transitionNegotiation = (state, action) => {
+  const current = state || NegotiationState.NOT_STARTED;
+  const next = (TRANSITIONS[current] || {})[action];
+  if (!next) {
+    throw invalid(`Cannot ${action} a negotiation that is ${current}`, { state: current, action });
+  }
+  return next;
+};
+
+/**
+ * Check whether a negotiation is waiting on an answer
+ * @param {string} state - Negotiation state
+ * @returns {boolean} True while an offer is open
+ */
+const isOpenNegotiation = (state) => state === NegotiationState.PROPOSED || state === NegotiationState.COUNTERED;
+
+/**
+ * Normalize a date-like value to an ISO string
+ * @param {*} value - Date, timestamp or date string
+ * @returns {string|null} ISO string, or null if the value is not a date
+ */
+const toIsoDate = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+/**
+ * Validate contract terms and return them in normalized form
+ *
+ * All problems are collected so the caller can show them together.
+ * @param {Object} terms - { deliverables, deadlines, usageRights, exclusivity, fee, revisions, paymentSchedule }
+ * @returns {Object} Normalized terms
+ */
+const validateContractTerms = (terms = {}) => {
+  const errors = [];
+
+  const deliverables = Array.isArray(terms.deliverables) ? terms.deliverables : [];
+  if (deliverables.length === 0) {
+    errors.push('At least one deliverable is required');
+  }
+  const normalizedDeliverables = deliverables.map((deliverable, index) => {
+    if (!Object.values(ContentFormat).includes(deliverable.format)) {
+      errors.push(`Deliverable ${index + 1} has an unknown format: ${deliverable.format}`);
+    }
+    if (!deliverable.platform) {
+      errors.push(`Deliverable ${index + 1} needs a platform`);
+    }
+    const quantity = deliverable.quantity === undefined ? 1 : Number(deliverable.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      errors.push(`Deliverable ${index + 1} needs a whole, positive quantity`);
+    }
+    return {
+      format: deliverable.format,
+      platform: deliverable.platform ? String(deliverable.platform).toLowerCase() : null,
+      quantity,
+      description: deliverable.description || null
+    };
+  });
+
+  const deadlines = terms.deadlines || {};
+  const contentSubmission = toIsoDate(deadlines.contentSubmission);
+  const publication = toIsoDate(deadlines.publication);
+  if (!contentSubmission || !publication) {
+    errors.push('Content submission and publication deadlines are required');
+  } else if (publication < contentSubmission) {
+    errors.push('The publication deadline cannot be before the content submission deadline');
+  }
+
+  const usageRights = terms.usageRights || { scope: UsageRightsScope.NONE };
+  if (!Object.values(UsageRightsScope).includes(usageRights.scope)) {
+    errors.push(`Unknown usage rights scope: ${usageRights.scope}`);
+  }
+  const grantsUsage = usageRights.scope !== UsageRightsScope.NONE;
+  if (grantsUsage && !(Number.isInteger(usageRights.durationDays) && usageRights.durationDays > 0)) {
+    errors.push('Usage rights need a duration in whole days');
+  }
+
+  const exclusivity = terms.exclusivity || null;
+  if (exclusivity && !(Number.isInteger(exclusivity.windowDays) && exclusivity.windowDays > 0)) {
+    errors.push('An exclusivity window needs a length in whole days');
+  }
+
+  const fee = terms.fee || {};
+  const amount = Number(fee.amount);
+  const currency = String(fee.currency || 'usd').toLowerCase();
+  if (!(amount > 0)) {
+    errors.push('The fee must be a positive amount');
+  }
+  if (!/^[a-z]{3}$/.test(currency)) {
+    errors.push(`Unknown currency: ${fee.currency}`);
+  }
+
+  const revisions = terms.revisions === undefined ? 1 : Number(terms.revisions);
+  if (!Number.isInteger(revisions) || revisions < 0 || revisions > NegotiationDefaults.MAX_REVISIONS) {
+    errors.push(`Revisions must be a whole number from 0 to ${NegotiationDefaults.MAX_REVISIONS}`);
+  }
+
+  const normalized = {
+    deliverables: normalizedDeliverables,
+    deadlines: { contentSubmission, publication },
+    usageRights: {
+      scope: usageRights.scope,
+      durationDays: grantsUsage ? usageRights.durationDays : null,
+      territories: grantsUsage ? (usageRights.territories || ['worldwide']) : []
+    },
+    exclusivity: exclusivity
+      ? { windowDays: exclusivity.windowDays, categories: exclusivity.categories || [] }
+      : null,
+    fee: { amount, currency },
+    revisions,
+    paymentSchedule: terms.paymentSchedule || []
+  };
+
+  // The schedule has to turn into payable milestones once the terms are accepted
+  if (errors.length === 0) {
+    try {
+      buildMilestonesFromTerms(normalized);
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw invalid('Invalid contract terms', { errors });
+  }
+
+  return normalized;
+};
+
+/**
+ * Flatten nested terms into path → value pairs
+ * @param {*} value - Value to flatten
+ * @param {string} path - Path so far
+ * @param {Object} result - Accumulated pairs
+ * @returns {Object} Flattened values
+ */
+const flattenTerms = (value, path = '', result = {}) => {
+  if (Array.isArray(value)) {
+    value.forEach((item, index) => flattenTerms(item, `${path}[${index}]`, result));
+  } else if (value && typeof value === 'object') {
+    Object.keys(value).forEach(key => flattenTerms(value[key], path ? `${path}.${key}` : key, result));
+  } else {
+    result[path] = value;
+  }
+  return result;
+};
+
+/**
+ * List the differences between two offers
+ * @param {Object} previous - Terms of the previous offer
+ * @param {Object} next - Terms of the new offer
+ * @returns {Array<Object>} Changes { path, from, to }; empty for the first offer
+ */
+const diffTerms = (previous, next) => {
+  if (!previous) {
+    return [];
+  }
+
+  const before = flattenTerms(previous);
+  const after = flattenTerms(next);
+  const paths = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+
+  // A missing value and an explicit null mean the same thing in terms
+  const valueAt = (values, path) => (values[path] === undefined ? null : values[path]);
+
+  return paths
+    .filter(path => valueAt(before, path) !== valueAt(after, path))
+    .map(path => ({ path, from: valueAt(before, path), to: valueAt(after, path) }));
+};
+
+/**
+ * Check that a party is answering the offer version they were shown
+ * @param {Object} negotiation - Current negotiation
+ * @param {number} version - Offer version the party saw
+ */
+const checkOfferVersion = (negotiation, version) => {
+  if (version === undefined || version === null) {
+    throw invalid('The offer version being answered is required', { currentVersion: negotiation.version });
+  }
+  if (Number(version) !== negotiation.version) {
+    throw invalid('This offer has changed; review the latest version before responding', {
+      version,
+      currentVersion: negotiation.version
+    });
+  }
+};
+
+/**
+ * Build the next offer in a negotiation
+ *
+ * A counter offer must name the version it counters, so it cannot replace an offer its
+ * author has not seen.
+ * @param {Object} negotiation - Current negotiation, if any
+ * @param {Object} counterOffer - { offeredBy, terms, message, expiresAt, version }
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} { state, offer }
+ */
+const buildOffer = (negotiation, counterOffer, now = Date.now()) => {
+  const current = negotiation || { state: NegotiationState.NOT_STARTED, version: 0 };
+  const action = current.state === NegotiationState.NOT_STARTED ? NegotiationAction.PROPOSE : NegotiationAction.COUNTER;
+  const state = transitionNegotiation(current.state, action);
+
+  if (!Object.values(NegotiationParty).includes(counterOffer.offeredBy)) {
+    throw invalid(`Unknown party: ${counterOffer.offeredBy}`);
+  }
+  if (current.currentOffer && current.currentOffer.offeredBy === counterOffer.offeredBy) {
+    throw invalid('Wait for the other party to respond before making another offer');
+  }
+  if (current.currentOffer) {
+    checkOfferVersion(current, counterOffer.version);
+  }
+
+  const expiresAt = counterOffer.expiresAt
+    ? new Date(counterOffer.expiresAt).getTime()
+    : now + NegotiationDefaults.OFFER_TTL_HOURS * HOUR;
+  if (!(expiresAt > now)) {
+    throw invalid('An offer must expire in the future');
+  }
+
+  const terms = validateContractTerms(counterOffer.terms);
+
+  return {
+    state,
+    offer: {
+      version: current.version + 1,
+      action,
+      offeredBy: counterOffer.offeredBy,
+      terms,
+      changes: diffTerms(current.currentOffer && current.currentOffer.terms, terms),
+      message: counterOffer.message || '',
+      offeredAt: now,
+      expiresAt
+    }
+  };
+};
+
+/**
+ * Check a response to the current offer and work out the next state
+ * @param {Object} negotiation - Current negotiation
+ * @param {Object} response - { action: 'accept' | 'reject', respondedBy, version }
+ * @returns {string} Next state
+ */
+const checkOfferResponse = (negotiation, response) => {
+  const current = negotiation || {};
+  if (response.action !== NegotiationAction.ACCEPT && response.action !== NegotiationAction.REJECT) {
+    throw invalid(`Unknown response: ${response.action}`);
+  }
+  const state = transitionNegotiation(current.state, response.action);
+
+  if (!Object.values(NegotiationParty).includes(response.respondedBy)) {
+    throw invalid(`Unknown party: ${response.respondedBy}`);
+  }
+  if (response.respondedBy === current.currentOffer.offeredBy) {
+    throw invalid('Only the other party can respond to an offer');
+  }
+  checkOfferVersion(current, response.version);
+  return state;
+};
+
+/**
+ * Check whether the current offer has passed its deadline
+ * @param {Object} negotiation - Current negotiation
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean} True if the offer can no longer be answered
+ */
+const isOfferExpired = (negotiation, now = Date.now()) => {
+  return !!negotiation && isOpenNegotiation(negotiation.state) && negotiation.expiresAt <= now;
+};
+
+/**
+ * Escape text for HTML
+ * @param {*} text - Text
+ * @returns {string} HTML-escaped text
+ */
+const escapeHtml = (text) => {
+  return String(text === undefined || text === null ? '' : text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+};
+
+/**
+ * Format an amount in major units with its currency
+ * @param {number} amount - Amount
+ * @param {string} currency - ISO currency code
+ * @returns {string} Formatted amount
+ */
+const formatMoney = (amount, currency) => `${Number(amount).toFixed(2)} ${String(currency).toUpperCase()}`;
+
+/**
+ * Describe a payment schedule entry
+ * @param {Object} milestone - Milestone built from the terms
+ * @returns {string} Description
+ */
+const describeMilestone = (milestone) => {
+  const amount = formatMoney(milestone.amount / 100, milestone.currency);
+  if (milestone.type === MilestoneType.DEPOSIT) {
+    return `${amount} on signature`;
+  }
+  if (milestone.type === MilestoneType.ON_PERFORMANCE) {
+    return `${amount} once ${milestone.condition.metric} reach ${milestone.condition.target}`;
+  }
+  return `${amount} on approval of submitted content`;
+};
+
+/**
+ * Render accepted terms as an HTML contract document
+ * @param {Object} contract - { requestId, campaignName, brand: { id, name }, influencer: { id, name }, terms, offerVersion, acceptedAt }
+ * @returns {string} HTML document
+ */
+const renderContractHtml = (contract) => {
+  const { terms } = contract;
+  const day = (iso) => escapeHtml(String(iso).slice(0, 10));
+  const section = (title, body) => `<h2>${escapeHtml(title)}</h2>${body}`;
+
+  const deliverableRows = terms.deliverables.map(deliverable =>
+    `<tr><td>${escapeHtml(deliverable.quantity)}</td><td>${escapeHtml(deliverable.format)}</td>` +
+    `<td>${escapeHtml(deliverable.platform)}</td><td>${escapeHtml(deliverable.description || '')}</td></tr>`
+  ).join('');
+
+  const usage = terms.usageRights.scope === UsageRightsScope.NONE
+    ? '<p>The brand receives no rights to reuse the content outside the influencer\'s channels.</p>'
+    : `<p>The brand may use the content (${escapeHtml(terms.usageRights.scope)} use) for ${escapeHtml(terms.usageRights.durationDays)} days ` +
+      `after publication in: ${escapeHtml(terms.usageRights.territories.join(', '))}.</p>`;
+
+  const exclusivity = terms.exclusivity
+    ? `<p>The influencer will not promote competing brands${terms.exclusivity.categories.length > 0
+      ? ` in ${escapeHtml(terms.exclusivity.categories.join(', '))}`
+      : ''} for ${escapeHtml(terms.exclusivity.windowDays)} days after publication.</p>`
+    : '<p>None.</p>';
+
+  const milestones = buildMilestonesFromTerms(terms)
+    .map(milestone => `<li>${escapeHtml(describeMilestone(milestone))}</li>`)
+    .join('');
+
+  return '<!DOCTYPE html><html><head><meta charset="utf-8">' +
+    `<title>Collaboration Agreement ${escapeHtml(contract.requestId)}</title></head><body>` +
+    `<h1>Collaboration Agreement</h1>` +
+    `<p>Campaign: ${escapeHtml(contract.campaignName || contract.campaignId)}<br>` +
+    `Reference: ${escapeHtml(contract.requestId)} (offer version ${escapeHtml(contract.offerVersion)})</p>` +
+    section('Parties',
+      `<p>Brand: ${escapeHtml(contract.brand.name || contract.brand.id)}<br>` +
+      `Influencer: ${escapeHtml(contract.influencer.name || contract.influencer.id)}</p>`) +
+    section('Deliverables',
+      `<table><tr><th>Quantity</th><th>Format</th><th>Platform</th><th>Notes</th></tr>${deliverableRows}</table>`) +
+    section('Deadlines',
+      `<p>Content submitted for approval by ${day(terms.deadlines.contentSubmission)}; ` +
+      `published by ${day(terms.deadlines.publication)}.</p>`) +
+    section('Fee', `<p>${escapeHtml(formatMoney(terms.fee.amount, terms.fee.currency))}, paid as follows:</p><ul>${milestones}</ul>`) +
+    section('Revisions', `<p>Up to ${escapeHtml(terms.revisions)} revision round(s) per deliverable.</p>`) +
+    section('Usage Rights', usage) +
+    section('Exclusivity', exclusivity) +
+    section('Acceptance', `<p>Both parties accepted these terms on ${day(contract.acceptedAt)}.</p>`) +
+    '</body></html>';
+};
+
+/**
+ * Generate and store the contract document for accepted terms
+ * @param {string} requestId - Collaboration request ID
+ * @param {Object} request - Collaboration request
+ * @param {Object} offer - Accepted offer
+ * @param {number} acceptedAt - Acceptance time in milliseconds
+ * @returns {Promise<Object>} Stored contract
+ */
+const createContractDocument = async (requestId, request, offer, acceptedAt = Date.now()) => {
+  const [campaignDoc, brandDoc, influencerDoc] = await Promise.all([
+    db.collection('influencerCampaigns').doc(request.campaignId).get(),
+    db.collection('users').doc(request.brandId).get(),
+    db.collection('influencers').doc(request.influencerId).get()
+  ]);
+  const campaign = campaignDoc.exists ? campaignDoc.data() : {};
+  const brand = brandDoc.exists ? brandDoc.data() : {};
+  const influencer = influencerDoc.exists ? influencerDoc.data() : {};
+
+  const details = {
+    requestId,
+    campaignId: request.campaignId,
+    campaignName: campaign.name || null,
+    brand: { id: request.brandId, name: brand.companyName || brand.displayName || null },
+    influencer: { id: request.influencerId, name: influencer.name || influencer.displayName || null },
+    terms: offer.terms,
+    offerVersion: offer.version,
+    acceptedAt: new Date(acceptedAt).toISOString()
+  };
+  const html = renderContractHtml(details);
+
+  const contract = {
+    ...details,
+    brandId: request.brandId,
+    influencerId: request.influencerId,
+    format: 'html',
+    html,
+    contentHash: crypto.createHash('sha256').update(html).digest('hex'),
+    generatedAt: admin.firestore.FieldValue.serverTimestamp()
+  };
+  await db.collection('collaborationContracts').doc(requestId).set(contract);
+
+  return { id: requestId, ...contract };
+};
+
+/**
+ * Get the contract document for a collaboration request
+ * @param {string} requestId - Collaboration request ID
+ * @returns {Promise<Object|null>} Contract, or null before the terms are accepted
+ */
+const getContractDocument = async (requestId) => {
+  const contractDoc = await db.collection('collaborationContracts').doc(requestId).get();
+  return contractDoc.exists ? { id: contractDoc.id, ...contractDoc.data() } : null;
+};
+
+module.exports = {
+  NegotiationState,
+  NegotiationAction,
+  NegotiationParty,
+  ContentFormat,
+  UsageRightsScope,
+  NegotiationDefaults,
+  transitionNegotiation,
+  isOpenNegotiation,
+  validateContractTerms,
+  diffTerms,
+  buildOffer,
+  checkOfferVersion,
+  checkOfferResponse,
+  isOfferExpired,
+  renderContractHtml,
+  createContractDocument,
+  getContractDocument
+};
@@ -0,0 +1,562 @@
+/**
+ * Consent ledger and suppression list for ReachSpark AMIA
+ *
+ * Every grant and withdrawal of consent is appended to the consent ledger with the
+ * channel, purpose, source, timestamp and legal basis, so the history can be exported
+ * for a contact at any time. The latest entry for a channel and purpose decides
+ * whether marketing may be sent; an entry for all channels or all purposes ("*")
+ * covers every narrower scope until a later entry replaces it.
+ *
+ * The suppression list holds do-not-contact entries (spam complaints, SMS STOP,
+ * manual blocks) that win over consent until they are lifted. Entries are kept for a
+ * contact or for a bare address, since opt-outs often arrive with only an email
+ * address or phone number.
+ *
+ * Consent entries belong to the account (userId) that captured them and only decide
+ * sends for that account; in default mode the platform's own entries carry no userId.
+ * The suppression list is shared by every account, so a spam complaint or SMS STOP
+ * blocks the address platform-wide.
+ *
+ * Every channel executor calls checkSendPermission before sending. Contacts without
+ * a consent record may receive marketing only when no opt-in framework (GDPR, CASL)
+ * is active for the account.
+ */
+
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const functions = require('firebase-functions');
+const { ReachSparkError, ErrorTypes, SeverityLevels } = require('./errorLogging');
+const { normalizeChannel } = require('./contactPolicy');
+const { toE164 } = require('./phoneNumbers');
+
+// Initialize Firestore if not already initialized
+if (!admin.apps.length) {
+  admin.initializeApp();
+}
+const db = admin.firestore();
+
+/**
+ * Consent entry statuses
+ */
+const ConsentStatus = {
+  GRANTED: 'granted',
+  WITHDRAWN: 'withdrawn'
+};
+
+/**
+ * Why a contact is being messaged
+ */
+const ConsentPurpose = {
+  MARKETING: 'marketing',
+  PRODUCT_UPDATES: 'product_updates',
+  TRANSACTIONAL: 'transactional'
+};
+
+// Scope value covering every channel or every purpose
+const ALL = '*';
+
+/**
+ * Legal basis recorded with each consent entry
+ */
+const LegalBasis = {
+  CONSENT: 'consent',
+  IMPLIED_CONSENT: 'implied_consent',
+  LEGITIMATE_INTEREST: 'legitimate_interest',
+  CONTRACT: 'contract',
+  LEGAL_OBLIGATION: 'legal_obligation'
+};
+
+/**
+ * Why an address or contact is on the suppression list
+ */
+const SuppressionListReason = {
+  SPAM_COMPLAINT: 'spam_complaint',
+  HARD_BOUNCE: 'hard_bounce',
+  SMS_STOP: 'sms_stop',
+  MANUAL: 'manual'
+};
+
+/**
+ * Why a send was refused
+ */
+const ConsentDenialReason = {
+  SUPPRESSED: 'suppressed',
+  CONSENT_WITHDRAWN: 'consent_withdrawn',
+  NO_CONSENT: 'no_consent'
+};
+
+// Compliance frameworks (see auditCompliance.ComplianceFramework) that require opt-in before marketing
+const OPT_IN_FRAMEWORKS = ['gdpr', 'casl'];
+
+/**
+ * Normalize an email address or phone number for matching
+ *
+ * Phone numbers are stored in E.164, the form SMS opt-outs arrive in. Values that are not
+ * a valid phone number keep only their digits and "+".
+ * @param {string} address - Email address or phone number
+ * @returns {string|null} Normalized address
+ */
+const normalizeAddress = (address) => {
+  if (!address) {
+    return null;
+  }
+  const value = String(address).trim().toLowerCase();
+  if (value.includes('@')) {
+    return value;
+  }
+  return toE164(value) || value.replace(/[^\d+]/g, '');
+};
+
+/**
+ * Whether an entry's channel and purpose cover a send
+ * @param {Object} entry - Ledger or suppression entry
+ * @param {string} channel - Canonical channel
+ * @param {string} purpose - Purpose
+ * @returns {boolean} Whether the entry applies
+ */
+const coversScope = (entry, channel, purpose) => (
+  (entry.channel === ALL || normalizeChannel(entry.channel) === channel) &&
+  (entry.purpose === ALL || entry.purpose === purpose)
+);
+
+/**
+ * Find the consent entry in force for a channel and purpose
+ * @param {Array<Object>} entries - Ledger entries { channel, purpose, status, legalBasis, timestamp, expiresAt }
+ * @param {string} channel - Channel
+ * @param {string} purpose - Purpose
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {Object|null} Latest applicable entry, ignoring expired grants
+ */
+const resolveConsent = (entries, channel, purpose, now = Date.now()) => {
+  const canonical = normalizeChannel(channel);
+  return entries
+    .filter(entry => coversScope(entry, canonical, purpose))
+    .filter(entry => entry.status !== ConsentStatus.GRANTED || !entry.expiresAt || entry.expiresAt > now)
+    .reduce((latest, entry) => (!latest || entry.timestamp >= latest.timestamp ? entry : latest), null);
+};
+
+/**
+ * Decide whether a message may be sent under the contact's consent and suppressions
+ * @param {Object} request - { channel, purpose }
+ * @param {Object} records - { entries, suppressions, frameworks }
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {Object} { allowed, reason, legalBasis, suppression, consentId }
+ */
+const evaluateSendPermission = (request, records, now = Date.now()) => {
+  const channel = normalizeChannel(request.channel);
+  const purpose = request.purpose || ConsentPurpose.MARKETING;
+  const { entries = [], suppressions = [], frameworks = [] } = records;
+
+  const suppression = suppressions.find(entry => entry.active !== false && coversScope(entry, channel, purpose));
+  if (suppression) {
+    return { allowed: false, reason: ConsentDenialReason.SUPPRESSED, legalBasis: null, suppression, consentId: null };
+  }
+
+  // Messages the contact needs to use the service do not depend on marketing consent
+  if (purpose === ConsentPurpose.TRANSACTIONAL) {
+    return { allowed: true, reason: null, legalBasis: LegalBasis.CONTRACT, suppression: null, consentId: null };
+  }
+
+  const consent = resolveConsent(entries, channel, purpose, now);
+  if (consent && consent.status === ConsentStatus.WITHDRAWN) {
+    return { allowed: false, reason: ConsentDenialReason.CONSENT_WITHDRAWN, legalBasis: null, suppression: null, consentId: consent.id || null };
+  }
+  if (consent) {
+    return { allowed: true, reason: null, legalBasis: consent.legalBasis, suppression: null, consentId: consent.id || null };
+  }
+
+  if (frameworks.some(framework => OPT_IN_FRAMEWORKS.includes(framework))) {
+    return { allowed: false, reason: ConsentDenialReason.NO_CONSENT, legalBasis: null, suppression: null, consentId: null };
+  }
+  return { allowed: true, reason: null, legalBasis: LegalBasis.LEGITIMATE_INTEREST, suppression: null, consentId: null };
+};
+
+/**
+ * Load the compliance frameworks active for an account
+ *
+ * Frameworks enabled platform-wide apply to every account; an account adds its own
+ * through complianceFrameworks on its client configuration.
+ * @param {string} [userId] - Account ID (the platform itself when omitted)
+ * @returns {Promise<Array<string>>} Active frameworks
+ */
+const getActiveFrameworks = async (userId) => {
+  const [configDoc, clientDoc] = await Promise.all([
+    db.collection('settings').doc('complianceConfiguration').get(),
+    userId ? db.collection('client_configurations').doc(userId).get() : null
+  ]);
+  const platform = configDoc.exists && Array.isArray(configDoc.data().activeFrameworks) ? configDoc.data().activeFrameworks : [];
+  const account = clientDoc && clientDoc.exists && Array.isArray(clientDoc.data().complianceFrameworks)
+    ? clientDoc.data().complianceFrameworks
+    : [];
+  return [...new Set([...platform, ...account])];
+};
+
+/**
+ * Build the suppression list document ID for a subject and scope
+ * @param {Object} subject - { contactId, address }
+ * @param {string} channel - Channel or "*"
+ * @param {string} purpose - Purpose or "*"
+ * @returns {string} Document ID
+ */
+const suppressionId = (subject, channel, purpose) => {
+  const key = subject.contactId ? `contact:${subject.contactId}` : `address:${normalizeAddress(subject.address)}`;
+  const hash = crypto.createHash('sha256').update(`${key}|${channel}|${purpose}`).digest('hex');
+  return hash.substring(0, 40);
+};
+
+/**
+ * Validate the subject of a consent or suppression entry
+ * @param {Object} subject - { contactId, address }
+ */
+const assertSubject = (subject) => {
+  if (!subject.contactId && !normalizeAddress(subject.address)) {
+    throw new ReachSparkError(
+      'A contact ID or address is required',
+      ErrorTypes.VALIDATION_ERROR,
+      SeverityLevels.ERROR
+    );
+  }
+};
+
+/**
+ * Append a consent grant or withdrawal to the ledger
+ * @param {Object} params - Consent parameters
+ * @param {string} [params.contactId] - Contact ID
+ * @param {string} [params.address] - Email address or phone number, when the contact is unknown
+ * @param {string} params.channel - Channel or "*" for all channels
+ * @param {string} params.purpose - ConsentPurpose or "*" for all purposes
+ * @param {string} params.status - ConsentStatus
+ * @param {string} [params.legalBasis] - LegalBasis (default consent)
+ * @param {string} params.source - Where the consent was captured, e.g. "signup_form"
+ * @param {number|Date} [params.timestamp] - When the contact gave or withdrew consent (default now)
+ * @param {number|Date} [params.expiresAt] - When a grant lapses, e.g. CASL implied consent
+ * @param {string} [params.userId] - Account the contact belongs to
+ * @param {Object} [params.evidence] - Supporting details (form ID, IP address, keyword)
+ * @returns {Promise<Object>} Stored entry with its ID
+ */
+const recordConsent = async (params) => {
+  assertSubject(params);
+  const legalBasis = params.legalBasis || LegalBasis.CONSENT;
+
+  if (!Object.values(ConsentStatus).includes(params.status)) {
+    throw new ReachSparkError(
+      `Unknown consent status: ${params.status}`,
+      ErrorTypes.VALIDATION_ERROR,
+      SeverityLevels.ERROR
+    );
+  }
+  if (!Object.values(LegalBasis).includes(legalBasis)) {
+    throw new ReachSparkError(
+      `Unknown legal basis: ${legalBasis}`,
+      ErrorTypes.VALIDATION_ERROR,
+      SeverityLevels.ERROR
+    );
+  }
+  if (!params.channel || !params.purpose || !params.source) {
+    throw new ReachSparkError(
+      'Consent entries need a channel, purpose and source',
+      ErrorTypes.VALIDATION_ERROR,
+      SeverityLevels.ERROR
+    );
+  }
+
+  const entry = {
+    contactId: params.contactId || null,
+    address: normalizeAddress(params.address),
+    channel: params.channel === ALL ? ALL : normalizeChannel(params.channel),
+    purpose: params.purpose,
+    status: params.status,
+    legalBasis,
+    source: params.source,
+    timestamp: params.timestamp ? new Date(params.timestamp).getTime() : Date.now(),
+    expiresAt: params.expiresAt ? new Date(params.expiresAt).getTime() : null,
+    userId: params.userId || null,
+    evidence: params.evidence || {},
+    recordedAt: admin.firestore.FieldValue.serverTimestamp()
+  };
+
+  const entryRef = await db.collection('consentLedger').add(entry);
+  return { id: entryRef.id, ...entry };
+};
+
+/**
+ * Put a contact or address on the suppression list
+ * @param {Object} params - Suppression parameters
+ * @param {string} [params.contactId] - Contact ID
+ * @param {string} [params.address] - Email address or phone number
+ * @param {string} [params.channel] - Channel (default all channels)
+ * @param {string} [params.purpose] - Purpose (default all purposes)
+ * @param {string} params.reason - SuppressionListReason
+ * @param {string} params.source - Where the suppression came from
+ * @returns {Promise<Object>} Suppression entry with its ID
+ */
+const addSuppression = async (params) => {
+  assertSubject(params);
+  const channel = params.channel && params.channel !== ALL ? normalizeChannel(params.channel) : ALL;
+  const purpose = params.purpose || ALL;
+  const id = suppressionId(params, channel, purpose);
+
+  const entry = {
+    contactId: params.contactId || null,
+    address: normalizeAddress(params.address),
+    channel,
+    purpose,
+    reason: params.reason || SuppressionListReason.MANUAL,
+    source: params.source || null,
+    active: true,
+    createdAt: Date.now(),
+    liftedAt: null
+  };
+  await db.collection('suppressionList').doc(id).set(entry);
+  return { id, ...entry };
+};
+
+/**
+ * Lift a suppression; the entry is kept for the contact's history
+ * @param {Object} params - { contactId, address, channel, purpose, source }
+ * @returns {Promise<boolean>} Whether an active suppression was lifted
+ */
+const liftSuppression = async (params) => {
+  assertSubject(params);
+  const channel = params.channel && params.channel !== ALL ? normalizeChannel(params.channel) : ALL;
+  const id = suppressionId(params, channel, params.purpose || ALL);
+  const suppressionDoc = await db.collection('suppressionList').doc(id).get();
+
+  if (!suppressionDoc.exists || suppressionDoc.data().active === false) {
+    return false;
+  }
+  await db.collection('suppressionList').doc(id).set({
+    active: false,
+    liftedAt: Date.now(),
+    liftedBy: params.source || null
+  }, { merge: true });
+  return true;
+};
+
+/**
+ * Load an account's ledger entries and the suppression entries for a contact and its address
+ * @param {string} [contactId] - Contact ID
+ * @param {string} [address] - Email address or phone number
+ * @param {string} [userId] - Account whose consent entries apply (the platform itself when omitted)
+ * @returns {Promise<Object>} { entries, suppressions }
+ */
+const loadConsentRecords = async (contactId, address, userId) => {
+  const normalized = normalizeAddress(address);
+  const load = async (collection, scoped) => {
+    const query = (field, value) => {
+      const byField = db.collection(collection).where(field, '==', value);
+      return (scoped ? byField.where('userId', '==', userId || null) : byField).get();
+    };
+    const snapshots = await Promise.all([
+      contactId ? query('contactId', contactId) : null,
+      normalized ? query('address', normalized) : null
+    ]);
+    const byId = {};
+    snapshots.filter(Boolean).forEach(snapshot => snapshot.docs.forEach(doc => {
+      byId[doc.id] = { id: doc.id, ...doc.data() };
+    }));
+    return Object.values(byId);
+  };
+
+  const [entries, suppressions] = await Promise.all([load('consentLedger', true), load('suppressionList', false)]);
+  return { entries, suppressions };
+};
+
+/**
+ * Check whether a message may be sent to a contact
+ * @param {string} contactId - Contact or lead ID
+ * @param {Object} request - { channel, purpose, address, userId }
+ * @returns {Promise<Object>} { allowed, reason, legalBasis, suppression, consentId }
+ */
+const checkSendPermission = async (contactId, request) => {
+  const [records, frameworks] = await Promise.all([
+    loadConsentRecords(contactId, request.address, request.userId),
+    getActiveFrameworks(request.userId)
+  ]);
+  return evaluateSendPermission(request, { ...records, frameworks });
+};
+
+/**
+ * Read the unsubscribe link settings
+ * @returns {Object} { secret, baseUrl }
+ */
+const getUnsubscribeConfig = () => {
+  const config = functions.config().consent || {};
+  return {
+    secret: config.token_secret || process.env.CONSENT_TOKEN_SECRET || null,
+    baseUrl: config.unsubscribe_url || process.env.CONSENT_UNSUBSCRIBE_URL || null
+  };
+};
+
+/**
+ * Sign a token payload
+ * @param {string} payload - Encoded payload
+ * @param {string} secret - Signing secret
+ * @returns {string} Signature
+ */
+const signPayload = (payload, secret) => crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+
+/**
+ * Create a one-click unsubscribe token
+ *
+ * Tokens are signed rather than stored, so links in messages sent long ago keep working.
+ * The normalized address is signed with the contact, so messages sent to a bare address
+ * can be unsubscribed too.
+ * @param {Object} params - { contactId, address, channel, purpose, userId }
+ * @param {string} [secret] - Signing secret (default from config)
+ * @returns {string} Token
+ */
+const createUnsubscribeToken = (params, secret = getUnsubscribeConfig().secret) => {
+  if (!secret) {
+    throw new ReachSparkError(
+      'No unsubscribe token secret is configured (consent.token_secret)',
+      ErrorTypes.VALIDATION_ERROR,
+      SeverityLevels.CRITICAL
+    );
+  }
+  assertSubject(params);
+
+  const payload = Buffer.from(JSON.stringify({
+    c: params.contactId || null,
+    a: normalizeAddress(params.address),
+    ch: !params.channel || params.channel === ALL ? ALL : normalizeChannel(params.channel),
+    p: params.purpose || ConsentPurpose.MARKETING,
+    u: params.userId || null,
+    iat: Date.now()
+  })).toString('base64url');
+  return `${payload}.${signPayload(payload, secret)}`;
+};
+
+/**
+ * Verify a one-click unsubscribe token
+ * @param {string} token - Token
+ * @param {string} [secret] - Signing secret (default from config)
+ * @returns {Object} { contactId, address, channel, purpose, userId, issuedAt }
+ */
+const verifyUnsubscribeToken = (token, secret = getUnsubscribeConfig().secret) => {
+  const [payload, signature] = String(token || '').split('.');
+  const expected = payload && secret ? signPayload(payload, secret) : '';
+
+  if (!signature || signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    throw new ReachSparkError(
+      'Invalid unsubscribe token',
+      ErrorTypes.VALIDATION_ERROR,
+      SeverityLevels.WARNING
+    );
+  }
+
+  const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  return { contactId: data.c || null, address: data.a || null, channel: data.ch, purpose: data.p, userId: data.u, issuedAt: data.iat };
+};
+
+/**
+ * Build the unsubscribe URL for a message, if unsubscribe links are configured
+ *
+ * Transactional messages get no link, since their consent cannot be withdrawn.
+ * @param {Object} params - { contactId, address, channel, purpose, userId }
+ * @returns {string|null} Unsubscribe URL
+ */
+const buildUnsubscribeUrl = (params) => {
+  const { secret, baseUrl } = getUnsubscribeConfig();
+  if (!secret || !baseUrl || !(params.contactId || normalizeAddress(params.address)) || params.purpose === ConsentPurpose.TRANSACTIONAL) {
+    return null;
+  }
+  const separator = baseUrl.includes('?') ? '&' : '?';
+  return `${baseUrl}${separator}token=${encodeURIComponent(createUnsubscribeToken(params, secret))}`;
+};
+
+/**
+ * Email headers for one-click unsubscribe (RFC 8058)
+ * @param {string|null} url - Unsubscribe URL
+ * @returns {Object} Headers, empty when there is no URL
+ */
+const buildUnsubscribeHeaders = (url) => (url ? {
+  'List-Unsubscribe': `<${url}>`,
+  'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+} : {});
+
+/**
+ * Withdraw consent for the channel and purpose carried by an unsubscribe token
+ * @param {string} token - Token from the unsubscribe link
+ * @param {Object} [evidence] - Request details (IP address, user agent)
+ * @returns {Promise<Object>} Ledger entry
+ */
+const unsubscribeWithToken = async (token, evidence = {}) => {
+  const { contactId, address, channel, purpose, userId, issuedAt } = verifyUnsubscribeToken(token);
+  return recordConsent({
+    contactId,
+    address,
+    channel,
+    purpose,
+    status: ConsentStatus.WITHDRAWN,
+    legalBasis: LegalBasis.CONSENT,
+    source: 'one_click_unsubscribe',
+    userId,
+    evidence: { ...evidence, tokenIssuedAt: issuedAt }
+  });
+};
+
+/**
+ * Export a contact's consent history with an account, current consent state and suppressions
+ * @param {string} contactId - Contact ID
+ * @param {Object} [options] - { address, userId, requestedBy }
+ * @returns {Promise<Object>} Export document
+ */
+const exportConsentHistory = async (contactId, options = {}) => {
+  const { entries, suppressions } = await loadConsentRecords(contactId, options.address, options.userId);
+  const history = entries
+    .map(({ recordedAt, ...entry }) => entry)
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+  // Current state per scope that has ever been recorded
+  const current = {};
+  history.forEach(entry => {
+    const state = resolveConsent(history, entry.channel, entry.purpose);
+    current[`${entry.channel}:${entry.purpose}`] = state
+      ? { status: state.status, legalBasis: state.legalBasis, since: state.timestamp, source: state.source }
+      : { status: 'expired', legalBasis: null, since: null, source: null };
+  });
+
+  const exportDoc = {
+    contactId,
+    userId: options.userId || null,
+    exportedAt: new Date().toISOString(),
+    history,
+    current,
+    suppressions: suppressions.sort((a, b) => a.createdAt - b.createdAt)
+  };
+
+  // Exports of personal data are audited like other data exports
+  const { AuditComplianceManager, AuditEventType } = require('./auditCompliance');
+  await new AuditComplianceManager().logAuditEvent(AuditEventType.DATA_EXPORT, options.requestedBy || 'system', {
+    resourceId: contactId,
+    resourceType: 'consent_history',
+    entryCount: history.length
+  });
+
+  return exportDoc;
+};
+
+module.exports = {
+  ConsentStatus,
+  ConsentPurpose,
+  LegalBasis,
+  SuppressionListReason,
+  ConsentDenialReason,
+  ALL_SCOPES: ALL,
+  normalizeAddress,
+  resolveConsent,
+  evaluateSendPermission,
+  getActiveFrameworks,
+  recordConsent,
+  addSuppression,
+  liftSuppression,
+  checkSendPermission,
+  createUnsubscribeToken,
+  verifyUnsubscribeToken,
+  buildUnsubscribeUrl,
+  buildUnsubscribeHeaders,
+  unsubscribeWithToken,
+  exportConsentHistory
+};
@@ -0,0 +1,436 @@
+/**
+ * Contact policy for ReachSpark AMIA
+ *
+ * Every direct message to a customer (email, SMS, push, phone and in-app) asks this
+ * module for permission first, whichever feature sends it. Each request is checked
+ * against the customer's contact history and:
+ *
+ * - global caps across all channels (e.g. 3 messages per week)
+ * - per-channel caps (e.g. 1 SMS per week)
+ * - per-customer caps from the customer's contact preferences, applied on top of both
+ * - quiet hours in the customer's time zone, which defer the send instead of skipping it
+ *
+ * When a cap is full, a higher-priority message may take the place of a lower-priority
+ * one that is scheduled but not yet sent; the displaced message is cancelled. Critical
+ * (transactional) messages bypass caps and quiet hours. Every request is written to the
+ * contact ledger, and skipped sends carry the suppression reason.
+ *
+ * Requests for the same customer are decided one at a time: each runs in a transaction
+ * that bumps the customer's counter document in contactCounters, so two sends racing
+ * for the last slot under a cap cannot both be allowed.
+ */
+
+const admin = require('firebase-admin');
+
+// Initialize Firestore if not already initialized
+if (!admin.apps.length) {
+  admin.initializeApp();
+}
+const db = admin.firestore();
+
+/**
+ * Message priorities, lowest first
+ */
+const ContactPriority = {
+  LOW: 'low',
+  NORMAL: 'normal',
+  HIGH: 'high',
+  CRITICAL: 'critical'
+};
+
+const PRIORITY_RANK = {
+  [ContactPriority.LOW]: 0,
+  [ContactPriority.NORMAL]: 1,
+  [ContactPriority.HIGH]: 2,
+  [ContactPriority.CRITICAL]: 3
+};
+
+/**
+ * Outcome of a contact request, also the status of its ledger entry
+ */
+const ContactDecision = {
+  ALLOWED: 'allowed',
+  DEFERRED: 'deferred',
+  SUPPRESSED: 'suppressed',
+  PREEMPTED: 'preempted'
+};
+
+/**
+ * Why a send was skipped
+ */
+const SuppressionReason = {
+  GLOBAL_CAP: 'global_cap',
+  CHANNEL_CAP: 'channel_cap',
+  CUSTOMER_CAP: 'customer_cap',
+  PREEMPTED: 'preempted_by_higher_priority'
+};
+
+const DEFAULT_QUIET_HOURS = { start: '21:00', end: '08:00' };
+
+/**
+ * Default policy; stored policies in contactPolicies/{userId} override these fields
+ */
+const ContactPolicyDefaults = {
+  globalCaps: [
+    { limit: 1, windowHours: 24 },
+    { limit: 3, windowHours: 168 }
+  ],
+  channelCaps: {},
+  quietHours: DEFAULT_QUIET_HOURS,
+  timezone: 'UTC'
+};
+
+// Channel names differ between features; caps and history use the canonical name
+const CHANNEL_ALIASES = {
+  push: 'push_notification'
+};
+
+// Decisions that use up room under a cap
+const COUNTED_DECISIONS = [ContactDecision.ALLOWED, ContactDecision.DEFERRED];
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Convert "HH:MM" to minutes after midnight
+ * @param {string} value - Time of day
+ * @returns {number} Minutes after midnight
+ */
+const toMinutes = (value) => {
+  const [hours, minutes] = String(value).split(':').map(Number);
+  return (hours || 0) * 60 + (minutes || 0);
+};
+
+/**
+ * Get minutes after midnight in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone (falls back to UTC if invalid)
+ * @returns {number} Local minutes after midnight
+ */
+const getLocalMinutes = (date, timeZone) => {
+  let parts;
+  try {
+    parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: timeZone || 'UTC',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(date);
+  } catch (error) {
+    return date.getUTCHours() * 60 + date.getUTCMinutes();
+  }
+  const hour = Number(parts.find(p => p.type === 'hour').value);
+  const minute = Number(parts.find(p => p.type === 'minute').value);
+  return hour * 60 + minute;
+};
+
+/**
+ * Check a recipient's quiet hours
+ * @param {Object} quietHours - Quiet hours ({ start: "21:00", end: "08:00" })
+ * @param {string} timeZone - Recipient time zone
+ * @param {Date} now - Current time
+ * @returns {Object} { quiet, resumeAt } where resumeAt is when sending is allowed again
+ */
+const checkQuietHours = (quietHours, timeZone, now = new Date()) => {
+  if (!quietHours || !quietHours.start || !quietHours.end) {
+    return { quiet: false, resumeAt: null };
+  }
+
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  const local = getLocalMinutes(now, timeZone);
+
+  // Windows that wrap past midnight (e.g. 21:00-08:00) are split across two days
+  const quiet = start <= end
+    ? local >= start && local < end
+    : local >= start || local < end;
+
+  if (!quiet) {
+    return { quiet: false, resumeAt: null };
+  }
+
+  const minutesUntilEnd = (end - local + 1440) % 1440;
+  const resumeAt = new Date(now.getTime() + minutesUntilEnd * 60000);
+  resumeAt.setSeconds(0, 0);
+  return { quiet: true, resumeAt };
+};
+
+/**
+ * Canonical channel name
+ * @param {string} channel - Channel as named by the sending feature
+ * @returns {string} Channel used for caps and history
+ */
+const normalizeChannel = (channel) => CHANNEL_ALIASES[channel] || channel;
+
+/**
+ * Rank of a priority; unknown priorities count as normal
+ * @param {string} priority - Priority
+ * @returns {number} Rank
+ */
+const priorityRank = (priority) => (
+  PRIORITY_RANK[priority] !== undefined ? PRIORITY_RANK[priority] : PRIORITY_RANK[ContactPriority.NORMAL]
+);
+
+/**
+ * Combine the account policy with a customer's own contact preferences
+ *
+ * Customer caps are added to the account caps, so a customer can ask for fewer
+ * messages but never more. Customer quiet hours and time zone replace the account's.
+ * @param {Object} policy - Account policy (missing fields use the defaults)
+ * @param {Object} [preferences] - { caps: { global, channels }, quietHours, timezone }
+ * @returns {Object} Resolved policy
+ */
+const resolveContactPolicy = (policy = {}, preferences = {}) => {
+  const base = { ...ContactPolicyDefaults, ...policy };
+  const caps = preferences.caps || {};
+  const channelCaps = Object.entries(base.channelCaps || {}).reduce((result, [channel, list]) => ({
+    ...result,
+    [normalizeChannel(channel)]: list
+  }), {});
+  const customerChannelCaps = Object.entries(caps.channels || {}).reduce((result, [channel, list]) => ({
+    ...result,
+    [normalizeChannel(channel)]: list.map(cap => ({ ...cap, customer: true }))
+  }), {});
+
+  return {
+    globalCaps: [
+      ...(base.globalCaps || []),
+      ...(caps.global || []).map(cap => ({ ...cap, customer: true }))
+    ],
+    channelCaps,
+    customerChannelCaps,
+    quietHours: preferences.quietHours || base.quietHours,
+    timezone: preferences.timezone || base.timezone
+  };
+};
+
+/**
+ * Decide whether a message may be sent
+ *
+ * A contact counts against a cap when it is within windowHours of the requested send
+ * time, before or after, so scheduled messages also hold their place.
+ * @param {Object} request - { channel, priority, sendAt }
+ * @param {Array<Object>} history - Ledger entries { id, channel, priority, status, sendAt }
+ * @param {Object} policy - Resolved policy (see resolveContactPolicy)
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {Object} { status, reason, sendAt, preemptIds, cap }
+ */
+const evaluateContactRequest = (request, history, policy, now = Date.now()) => {
+  const channel = normalizeChannel(request.channel);
+  const rank = priorityRank(request.priority);
+  let sendAt = Math.max(request.sendAt || now, now);
+
+  if (rank === PRIORITY_RANK[ContactPriority.CRITICAL]) {
+    return { status: ContactDecision.ALLOWED, reason: null, sendAt, preemptIds: [], cap: null };
+  }
+
+  let status = ContactDecision.ALLOWED;
+  const { quiet, resumeAt } = checkQuietHours(policy.quietHours, policy.timezone, new Date(sendAt));
+  if (quiet) {
+    status = ContactDecision.DEFERRED;
+    sendAt = resumeAt.getTime();
+  }
+
+  const caps = [
+    ...(policy.globalCaps || []).map(cap => ({ ...cap, scope: 'global' })),
+    ...((policy.channelCaps || {})[channel] || []).map(cap => ({ ...cap, scope: 'channel', channel })),
+    ...((policy.customerChannelCaps || {})[channel] || []).map(cap => ({ ...cap, scope: 'channel', channel }))
+  ];
+  const counted = history.filter(entry => COUNTED_DECISIONS.includes(entry.status));
+  const preemptIds = [];
+
+  for (const cap of caps) {
+    const windowMs = cap.windowHours * HOUR;
+    const inWindow = counted.filter(entry =>
+      !preemptIds.includes(entry.id) &&
+      (cap.scope === 'global' || normalizeChannel(entry.channel) === cap.channel) &&
+      Math.abs(entry.sendAt - sendAt) < windowMs
+    );
+    const excess = inWindow.length + 1 - cap.limit;
+    if (excess <= 0) {
+      continue;
+    }
+
+    // Only messages that have not gone out yet can give up their place, lowest priority and latest first
+    const displaceable = inWindow
+      .filter(entry => entry.sendAt > now && priorityRank(entry.priority) < rank)
+      .sort((a, b) => priorityRank(a.priority) - priorityRank(b.priority) || b.sendAt - a.sendAt);
+
+    if (displaceable.length < excess) {
+      const reason = cap.customer
+        ? SuppressionReason.CUSTOMER_CAP
+        : (cap.scope === 'global' ? SuppressionReason.GLOBAL_CAP : SuppressionReason.CHANNEL_CAP);
+      return {
+        status: ContactDecision.SUPPRESSED,
+        reason,
+        sendAt,
+        preemptIds: [],
+        cap: { scope: cap.scope, channel: cap.channel || null, limit: cap.limit, windowHours: cap.windowHours }
+      };
+    }
+    preemptIds.push(...displaceable.slice(0, excess).map(entry => entry.id));
+  }
+
+  return { status, reason: null, sendAt, preemptIds, cap: null };
+};
+
+/**
+ * Load an account's contact policy
+ * @param {string} [userId] - Account that owns the customer
+ * @returns {Promise<Object>} Stored policy fields, or an empty object for the defaults
+ */
+const getContactPolicy = async (userId) => {
+  const policyDoc = await db.collection('contactPolicies').doc(userId || 'default').get();
+  return policyDoc.exists ? policyDoc.data() : {};
+};
+
+/**
+ * Ask permission to contact a customer and record the decision in the contact ledger
+ * @param {string} customerId - Customer or lead ID
+ * @param {Object} request - Contact request
+ * @param {string} request.channel - Channel
+ * @param {string} [request.priority] - ContactPriority (default normal)
+ * @param {number|Date} [request.sendAt] - Intended send time (default now)
+ * @param {string} [request.source] - Sending feature, e.g. "predictive_journey"
+ * @param {string} [request.campaignId] - Campaign or template being sent
+ * @param {string} [request.userId] - Account whose policy applies
+ * @param {Object} [request.recipient] - Preferences to use instead of the customer's stored ones
+ * @returns {Promise<Object>} { contactId, status, reason, sendAt, preempted }
+ */
+const requestContact = async (customerId, request) => {
+  const now = Date.now();
+  const requestedAt = request.sendAt ? new Date(request.sendAt).getTime() : now;
+
+  let preferences = request.recipient;
+  if (!preferences) {
+    const customerDoc = await db.collection('customers').doc(customerId).get();
+    const customer = customerDoc.exists ? customerDoc.data() : {};
+    preferences = { ...(customer.contactPreferences || {}), timezone: customer.timezone || (customer.contactPreferences || {}).timezone };
+  }
+  const policy = resolveContactPolicy(await getContactPolicy(request.userId), preferences);
+
+  // The widest cap window bounds the history that can matter, on both sides of the send time
+  const windowMs = Math.max(
+    0,
+    ...[...policy.globalCaps, ...Object.values(policy.channelCaps).flat(), ...Object.values(policy.customerChannelCaps).flat()]
+      .map(cap => cap.windowHours * HOUR)
+  );
+  const historyQuery = db.collection('contactLedger')
+    .where('customerId', '==', customerId)
+    .where('sendAt', '>=', Math.min(requestedAt, now) - windowMs);
+  const counterRef = db.collection('contactCounters').doc(customerId);
+  const entryRef = db.collection('contactLedger').doc();
+
+  // Every request writes the counter, so a concurrent request for this customer retries with the new history
+  const decision = await db.runTransaction(async (transaction) => {
+    const counterDoc = await transaction.get(counterRef);
+    const historySnapshot = await transaction.get(historyQuery);
+    const history = historySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    const counter = counterDoc.exists ? counterDoc.data() : {};
+
+    const result = evaluateContactRequest({ ...request, sendAt: requestedAt }, history, policy, now);
+    const counted = COUNTED_DECISIONS.includes(result.status);
+
+    transaction.set(counterRef, {
+      customerId,
+      requests: (counter.requests || 0) + 1,
+      reserved: (counter.reserved || 0) + (counted ? 1 : 0),
+      lastContactId: entryRef.id,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+
+    transaction.set(entryRef, {
+      customerId,
+      userId: request.userId || null,
+      channel: normalizeChannel(request.channel),
+      priority: request.priority || ContactPriority.NORMAL,
+      source: request.source || null,
+      campaignId: request.campaignId || null,
+      status: result.status,
+      suppressionReason: result.reason,
+      cap: result.cap,
+      requestedAt,
+      sendAt: result.sendAt,
+      task: null,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    // Displaced messages are cancelled where they wait to be sent
+    for (const id of result.preemptIds) {
+      const displaced = history.find(entry => entry.id === id);
+      transaction.set(db.collection('contactLedger').doc(id), {
+        status: ContactDecision.PREEMPTED,
+        suppressionReason: SuppressionReason.PREEMPTED,
+        preemptedBy: entryRef.id
+      }, { merge: true });
+      if (displaced.task) {
+        transaction.set(db.collection(displaced.task.collection).doc(displaced.task.id), {
+          status: 'cancelled',
+          suppressionReason: SuppressionReason.PREEMPTED
+        }, { merge: true });
+      }
+    }
+
+    return result;
+  });
+
+  return {
+    contactId: entryRef.id,
+    status: decision.status,
+    reason: decision.reason,
+    sendAt: decision.sendAt,
+    preempted: decision.preemptIds
+  };
+};
+
+/**
+ * Link a ledger entry to the queued task that will send it, so it can be cancelled if displaced
+ * @param {string} contactId - Ledger entry ID
+ * @param {string} collection - Task collection
+ * @param {string} taskId - Task ID
+ * @returns {Promise<void>}
+ */
+const attachContactTask = async (contactId, collection, taskId) => {
+  await db.collection('contactLedger').doc(contactId).set({
+    task: { collection, id: taskId }
+  }, { merge: true });
+};
+
+/**
+ * Claim a queued task for sending, so an overlapping run or a retried invocation skips it
+ *
+ * The task moves from its waiting status to "sending" in a transaction; only the run that
+ * made the move may send it. A task that was cancelled, preempted or already claimed is
+ * left alone.
+ * @param {Object} taskRef - Task document reference
+ * @param {string} [waitingStatus] - Status of a task waiting to be sent (default "scheduled")
+ * @returns {Promise<Object|null>} Task data as claimed, or null if another run has it
+ */
+const claimContactTask = async (taskRef, waitingStatus = 'scheduled') => {
+  return db.runTransaction(async (transaction) => {
+    const taskDoc = await transaction.get(taskRef);
+    if (!taskDoc.exists || taskDoc.data().status !== waitingStatus) {
+      return null;
+    }
+    transaction.update(taskRef, {
+      status: 'sending',
+      claimedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return taskDoc.data();
+  });
+};
+
+module.exports = {
+  ContactPriority,
+  ContactDecision,
+  SuppressionReason,
+  ContactPolicyDefaults,
+  DEFAULT_QUIET_HOURS,
+  checkQuietHours,
+  normalizeChannel,
+  resolveContactPolicy,
+  evaluateContactRequest,
+  getContactPolicy,
+  requestContact,
+  attachContactTask,
+  claimContactTask
+};
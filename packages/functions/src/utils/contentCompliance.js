@@ -0,0 +1,281 @@
+/**
+ * Compliance checks for influencer content submissions
+ *
+ * Submitted content gets a checklist before a brand reviews it:
+ *
+ * - FTC disclosure: the caption must clearly say the post is paid, and say it where people
+ *   see it without expanding the caption
+ * - Banned words from the brand kit
+ * - Brand colors: the content's dominant colors should come from the brand kit palette
+ * - Brand tone: judged separately (by a language model) and passed in as a check
+ * - Hashtags and mentions the campaign brief requires
+ * - Content moderation
+ *
+ * A failed check blocks approval until a reviewer overrides it; warnings only ask for a
+ * closer look.
+ */
+
+/**
+ * Checklist item statuses
+ */
+const CheckStatus = {
+  PASS: 'pass',
+  WARNING: 'warning',
+  FAIL: 'fail',
+  SKIPPED: 'skipped'
+};
+
+/**
+ * Overall checklist outcomes
+ */
+const ComplianceOutcome = {
+  PASSED: 'passed',
+  NEEDS_ATTENTION: 'needs_attention',
+  FAILED: 'failed'
+};
+
+/**
+ * Checklist items
+ */
+const ComplianceCheck = {
+  FTC_DISCLOSURE: 'ftc_disclosure',
+  BANNED_WORDS: 'banned_words',
+  BRAND_COLORS: 'brand_colors',
+  BRAND_TONE: 'brand_tone',
+  REQUIRED_HASHTAGS: 'required_hashtags',
+  REQUIRED_MENTIONS: 'required_mentions',
+  CONTENT_MODERATION: 'content_moderation'
+};
+
+const ComplianceDefaults = {
+  // Roughly what Instagram and TikTok show before "more"
+  VISIBLE_CAPTION_LENGTH: 125,
+  // RGB distance under which two colors count as the same brand color
+  COLOR_TOLERANCE: 60
+};
+
+// Disclosures the FTC considers clear
+const CLEAR_DISCLOSURE_PATTERNS = [
+  /#(ad|advertisement|sponsored|paidpartnership|paidpartner)\b/i,
+  /#\w+(partner|ambassador)\b/i,
+  /\b(paid partnership|sponsored by|in partnership with|advertisement)\b/i,
+  /^\s*ad\s*[:|-]/i
+];
+
+// Tags people use that the FTC says are too vague on their own
+const AMBIGUOUS_DISCLOSURE_PATTERNS = [
+  /#(sp|spon|collab|partner|thanks|ambassador)\b/i
+];
+
+/**
+ * Build a checklist item
+ * @param {string} id - ComplianceCheck
+ * @param {string} status - CheckStatus
+ * @param {string} details - What was found
+ * @param {Object} data - Extra data for the reviewer
+ * @returns {Object} Checklist item
+ */
+const checkResult = (id, status, details, data = {}) => ({ id, status, details, ...data });
+
+/**
+ * Check that paid content is disclosed clearly and early
+ * @param {string} text - Caption and description
+ * @param {Object} options - { platformDisclosure } for the platform's own paid-partnership label
+ * @returns {Object} Checklist item
+ */
+const checkDisclosure = (text = '', options = {}) => {
+  if (options.platformDisclosure) {
+    return checkResult(ComplianceCheck.FTC_DISCLOSURE, CheckStatus.PASS, 'Uses the platform\'s paid partnership label');
+  }
+
+  const matches = CLEAR_DISCLOSURE_PATTERNS
+    .map(pattern => pattern.exec(text))
+    .filter(Boolean)
+    .sort((a, b) => a.index - b.index);
+
+  if (matches.length === 0) {
+    const ambiguous = AMBIGUOUS_DISCLOSURE_PATTERNS.map(pattern => pattern.exec(text)).find(Boolean);
+    return checkResult(
+      ComplianceCheck.FTC_DISCLOSURE,
+      CheckStatus.FAIL,
+      ambiguous
+        ? `"${ambiguous[0]}" is not a clear disclosure; use #ad, #sponsored or "Paid partnership"`
+        : 'No disclosure found; add #ad, #sponsored or "Paid partnership"'
+    );
+  }
+
+  const [first] = matches;
+  if (first.index >= ComplianceDefaults.VISIBLE_CAPTION_LENGTH) {
+    return checkResult(
+      ComplianceCheck.FTC_DISCLOSURE,
+      CheckStatus.WARNING,
+      `"${first[0].trim()}" is only visible after expanding the caption; move it to the start`,
+      { found: first[0].trim() }
+    );
+  }
+
+  return checkResult(ComplianceCheck.FTC_DISCLOSURE, CheckStatus.PASS, `Disclosed with "${first[0].trim()}"`, { found: first[0].trim() });
+};
+
+/**
+ * Check for words the brand never wants used
+ * @param {string} text - Caption and description
+ * @param {Array<string>} bannedWords - Banned words and phrases
+ * @returns {Object} Checklist item
+ */
+const checkBannedWords = (text = '', bannedWords = []) => {
+  if (bannedWords.length === 0) {
+    return checkResult(ComplianceCheck.BANNED_WORDS, CheckStatus.SKIPPED, 'The brand kit has no banned words');
+  }
+
+  const escape = (word) => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const found = bannedWords.filter(word => new RegExp(`(^|[^\\p{L}\\p{N}])${escape(word)}($|[^\\p{L}\\p{N}])`, 'iu').test(text));
+
+  return found.length > 0
+    ? checkResult(ComplianceCheck.BANNED_WORDS, CheckStatus.FAIL, `Uses banned words: ${found.join(', ')}`, { found })
+    : checkResult(ComplianceCheck.BANNED_WORDS, CheckStatus.PASS, 'No banned words');
+};
+
+/**
+ * Collect the hashtags or mentions in a text
+ * @param {string} text - Text
+ * @param {string} prefix - '#' or '@'
+ * @returns {Set<string>} Lowercase tags without the prefix
+ */
+const extractTags = (text, prefix) => {
+  const pattern = new RegExp(`${prefix}([\\p{L}\\p{N}_.]+)`, 'gu');
+  return new Set([...String(text).matchAll(pattern)].map(match => match[1].replace(/\.+$/, '').toLowerCase()));
+};
+
+/**
+ * Check that the hashtags or mentions the brief requires are present
+ * @param {string} text - Caption and description
+ * @param {Array<string>} required - Required tags, with or without the prefix
+ * @param {string} prefix - '#' for hashtags, '@' for mentions
+ * @returns {Object} Checklist item
+ */
+const checkRequiredTags = (text = '', required = [], prefix = '#') => {
+  const id = prefix === '@' ? ComplianceCheck.REQUIRED_MENTIONS : ComplianceCheck.REQUIRED_HASHTAGS;
+  const kind = prefix === '@' ? 'mentions' : 'hashtags';
+
+  if (required.length === 0) {
+    return checkResult(id, CheckStatus.SKIPPED, `The brief requires no ${kind}`);
+  }
+
+  const present = extractTags(text, prefix);
+  const missing = required
+    .map(tag => tag.replace(/^[#@]/, ''))
+    .filter(tag => !present.has(tag.toLowerCase()))
+    .map(tag => `${prefix}${tag}`);
+
+  return missing.length > 0
+    ? checkResult(id, CheckStatus.FAIL, `Missing required ${kind}: ${missing.join(', ')}`, { missing })
+    : checkResult(id, CheckStatus.PASS, `All required ${kind} present`);
+};
+
+/**
+ * Parse a hex color
+ * @param {string} hex - #rgb or #rrggbb
+ * @returns {Array<number>|null} [r, g, b], or null if the color is not hex
+ */
+const parseHex = (hex) => {
+  const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(hex).trim());
+  if (!match) {
+    return null;
+  }
+  const digits = match[1].length === 3 ? match[1].split('').map(digit => digit + digit).join('') : match[1];
+  return [0, 2, 4].map(offset => parseInt(digits.slice(offset, offset + 2), 16));
+};
+
+/**
+ * Check that the content's dominant colors come from the brand palette
+ * @param {Array<string>} contentColors - Dominant colors of the content, as hex
+ * @param {Array<string>} palette - Brand kit colors, as hex
+ * @returns {Object} Checklist item
+ */
+const checkBrandColors = (contentColors = [], palette = []) => {
+  const content = contentColors.map(parseHex).filter(Boolean);
+  const brand = palette.map(parseHex).filter(Boolean);
+
+  if (content.length === 0 || brand.length === 0) {
+    return checkResult(ComplianceCheck.BRAND_COLORS, CheckStatus.SKIPPED,
+      content.length === 0 ? 'No colors could be read from the content\'s media' : 'The brand kit has no colors');
+  }
+
+  const distance = (a, b) => Math.sqrt(a.reduce((sum, value, index) => sum + (value - b[index]) ** 2, 0));
+  const matched = contentColors.filter((color, index) => {
+    const rgb = parseHex(color);
+    return rgb && brand.some(brandColor => distance(rgb, brandColor) <= ComplianceDefaults.COLOR_TOLERANCE);
+  });
+
+  // Off-palette content is a style question, not a legal one
+  return matched.length > 0
+    ? checkResult(ComplianceCheck.BRAND_COLORS, CheckStatus.PASS, `Uses brand colors: ${matched.join(', ')}`, { matched })
+    : checkResult(ComplianceCheck.BRAND_COLORS, CheckStatus.WARNING, 'None of the content\'s main colors are brand colors', { matched });
+};
+
+/**
+ * Turn a content moderation result into a checklist item
+ *
+ * Moderation results without a confidence come from the moderation service being
+ * unavailable rather than from the content, so they only ask for a manual look.
+ * @param {Object} moderation - { approved, reason, confidence }
+ * @returns {Object} Checklist item
+ */
+const moderationCheck = (moderation) => {
+  if (moderation.approved) {
+    return checkResult(ComplianceCheck.CONTENT_MODERATION, CheckStatus.PASS, 'No moderation issues');
+  }
+  return moderation.confidence !== undefined
+    ? checkResult(ComplianceCheck.CONTENT_MODERATION, CheckStatus.FAIL, moderation.reason, { confidence: moderation.confidence })
+    : checkResult(ComplianceCheck.CONTENT_MODERATION, CheckStatus.WARNING, `Moderation could not run: ${moderation.reason}`);
+};
+
+/**
+ * Collect checklist items into a checklist
+ * @param {Array<Object>} checks - Checklist items
+ * @returns {Object} { outcome, checks, counts }
+ */
+const summarizeChecklist = (checks) => {
+  const counts = Object.values(CheckStatus).reduce((all, status) => ({
+    ...all,
+    [status]: checks.filter(check => check.status === status).length
+  }), {});
+
+  let outcome = ComplianceOutcome.PASSED;
+  if (counts[CheckStatus.FAIL] > 0) {
+    outcome = ComplianceOutcome.FAILED;
+  } else if (counts[CheckStatus.WARNING] > 0) {
+    outcome = ComplianceOutcome.NEEDS_ATTENTION;
+  }
+
+  return { outcome, checks, counts };
+};
+
+/**
+ * Run the rule-based checks on a submission
+ * @param {Object} submission - { text, colors, platformDisclosure }
+ * @param {Object} requirements - { bannedWords, palette, hashtags, mentions }
+ * @returns {Array<Object>} Checklist items
+ */
+const runRuleChecks = (submission, requirements = {}) => [
+  checkDisclosure(submission.text, { platformDisclosure: submission.platformDisclosure }),
+  checkBannedWords(submission.text, requirements.bannedWords),
+  checkBrandColors(submission.colors, requirements.palette),
+  checkRequiredTags(submission.text, requirements.hashtags, '#'),
+  checkRequiredTags(submission.text, requirements.mentions, '@')
+];
+
+module.exports = {
+  CheckStatus,
+  ComplianceOutcome,
+  ComplianceCheck,
+  ComplianceDefaults,
+  checkDisclosure,
+  checkBannedWords,
+  checkRequiredTags,
+  checkBrandColors,
+  moderationCheck,
+  summarizeChecklist,
+  runRuleChecks
+};
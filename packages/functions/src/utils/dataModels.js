@@ -19,6 +19,8 @@ const { logger, ReachSparkError, ErrorTypes, SeverityLevels } = require("./error
 const { OperationMode } = require("./decisionFramework");
 const { QualificationStatus } = require("./leadQualification");
 const { ChannelType, ContactStatus, ConversionType } = require("./multiChannelWorkflows");
+const { encryptFields, decryptFields, blindIndex, assertFieldKeysConfigured } = require("../apis/encryption");
+const { toE164 } = require("./phoneNumbers");
 
 // Initialize Firestore if not already initialized
 if (!admin.apps.length) {
@@ -26,6 +28,15 @@ if (!admin.apps.length) {
 }
 const db = admin.firestore();
 
+/**
+ * Lead fields encrypted at rest, with the normalization applied before computing their lookup hashes
+ */
+const LEAD_PII_NORMALIZERS = {
+  email: value => String(value).trim().toLowerCase(),
+  phone: value => toE164(value) || String(value).replace(/\D/g, "")
+};
+const LEAD_PII_FIELDS = Object.keys(LEAD_PII_NORMALIZERS);
+
 /**
  * Lead source types
  */
@@ -158,8 +169,8 @@ class DataModels {
         lastConversion: null
       };
 
-      // Create lead document
-      const leadRef = await db.collection("leads").add(enrichedLeadData);
+      // Create lead document with PII fields encrypted
+      const leadRef = await db.collection("leads").add(this.protectLeadFields(enrichedLeadData));
 
       // Log lead creation
       await this.logDataEvent("lead_created", {
@@ -172,9 +183,13 @@ class DataModels {
         ...enrichedLeadData
       };
     } catch (error) {
+      if (error.type === ErrorTypes.CONFIGURATION_ERROR) {
+        throw error;
+      }
+
       logger.error("Error creating lead", {
         error,
-        leadData,
+        leadData: this.redactLeadFields(leadData),
         contextId: this.contextId
       });
 
@@ -183,7 +198,7 @@ class DataModels {
         ErrorTypes.DATABASE_ERROR,
         SeverityLevels.ERROR,
         error,
-        { leadData, contextId: this.contextId }
+        { leadData: this.redactLeadFields(leadData), contextId: this.contextId }
       );
     }
   }
@@ -231,7 +246,7 @@ class DataModels {
     }
 
     // Validate phone format if provided
-    if (leadData.phone && !this.isValidPhone(leadData.phone)) {
+    if (leadData.phone && !DataModels.isValidPhone(leadData.phone)) {
       throw new ReachSparkError(
         "Invalid phone format",
         ErrorTypes.VALIDATION_ERROR,
@@ -312,12 +327,85 @@ class DataModels {
    * @param {string} phone - Phone to validate
    * @returns {boolean} Whether phone is valid
    */
-  isValidPhone(phone) {
+  static isValidPhone(phone) {
     // Basic phone validation (allows various formats)
     const phoneRegex = /^[+]?[(]?[0-9]{3}[)]?[-\s.]?[0-9]{3}[-\s.]?[0-9]{4,6}$/;
     return phoneRegex.test(phone);
   }
 
+  /**
+   * Check that field encryption keys are configured before touching lead PII
+   *
+   * Only lead reads and writes need the keys, so engagement and delivery receipt
+   * handling keep working on deployments that have not set them (see DEPLOYMENT.md).
+   * @throws {ReachSparkError} Configuration error naming the missing settings
+   */
+  requireFieldEncryption() {
+    try {
+      assertFieldKeysConfigured();
+    } catch (error) {
+      throw new ReachSparkError(
+        error.message,
+        ErrorTypes.CONFIGURATION_ERROR,
+        SeverityLevels.CRITICAL,
+        error,
+        { contextId: this.contextId, mode: this.mode }
+      );
+    }
+  }
+
+  /**
+   * Encrypt lead PII fields and add their lookup hashes
+   * @param {Object} leadData - Lead data in plaintext
+   * @returns {Object} Lead data safe to store
+   */
+  protectLeadFields(leadData) {
+    this.requireFieldEncryption();
+    return encryptFields(leadData, LEAD_PII_FIELDS, {
+      collection: "leads",
+      normalizers: LEAD_PII_NORMALIZERS
+    });
+  }
+
+  /**
+   * Decrypt lead PII fields
+   * @param {Object} leadData - Lead data as stored
+   * @returns {Object} Lead data in plaintext
+   */
+  revealLeadFields(leadData) {
+    this.requireFieldEncryption();
+    return decryptFields(leadData, LEAD_PII_FIELDS, { collection: "leads" });
+  }
+
+  /**
+   * Compute the lookup hash for a lead PII field value
+   * @param {string} field - Field name (email or phone)
+   * @param {string} value - Plaintext value
+   * @returns {string} Lookup hash stored as <field>Hash
+   */
+  hashLeadField(field, value) {
+    this.requireFieldEncryption();
+    return blindIndex(LEAD_PII_NORMALIZERS[field](value), field);
+  }
+
+  /**
+   * Remove PII fields from lead data before logging it
+   * @param {Object} leadData - Lead data
+   * @returns {Object} Lead data with PII fields redacted
+   */
+  redactLeadFields(leadData) {
+    if (!leadData || typeof leadData !== "object") {
+      return leadData;
+    }
+    const redacted = { ...leadData };
+    LEAD_PII_FIELDS.forEach(field => {
+      if (redacted[field]) {
+        redacted[field] = "[redacted]";
+      }
+    });
+    return redacted;
+  }
+
   /**
    * Get a lead by ID
    * @param {string} leadId - ID of the lead
@@ -332,9 +420,13 @@ class DataModels {
 
       return {
         id: leadDoc.id,
-        ...leadDoc.data()
+        ...this.revealLeadFields(leadDoc.data())
       };
     } catch (error) {
+      if (error.type === ErrorTypes.CONFIGURATION_ERROR) {
+        throw error;
+      }
+
       logger.error("Error getting lead", {
         error,
         leadId,
@@ -371,10 +463,10 @@ class DataModels {
         );
       }
 
-      const currentLead = leadDoc.data();
+      const currentLead = this.revealLeadFields(leadDoc.data());
 
       // Prevent updating certain fields
-      const protectedFields = ["createdAt", "mode", "clientId", "schemaVersion"];
+      const protectedFields = ["createdAt", "mode", "clientId", "schemaVersion", "encryptedFields", "emailHash", "phoneHash"];
       for (const field of protectedFields) {
         if (updateData[field] !== undefined) {
           delete updateData[field];
@@ -384,8 +476,20 @@ class DataModels {
       // Add updatedAt timestamp
       updateData.updatedAt = admin.firestore.FieldValue.serverTimestamp();
 
-      // Update lead document
-      await db.collection("leads").doc(leadId).update(updateData);
+      // Update lead document with PII fields encrypted
+      const storedUpdate = this.protectLeadFields(updateData);
+      LEAD_PII_FIELDS.forEach(field => {
+        if (field in updateData && !updateData[field]) {
+          storedUpdate[`${field}Hash`] = null;
+        }
+      });
+      if (storedUpdate.encryptedFields) {
+        storedUpdate.encryptedFields = Array.from(new Set([
+          ...(currentLead.encryptedFields || []),
+          ...storedUpdate.encryptedFields
+        ]));
+      }
+      await db.collection("leads").doc(leadId).update(storedUpdate);
 
       // Log lead update
       await this.logDataEvent("lead_updated", {
@@ -400,10 +504,14 @@ class DataModels {
         ...updateData
       };
     } catch (error) {
+      if (error.type === ErrorTypes.CONFIGURATION_ERROR) {
+        throw error;
+      }
+
       logger.error("Error updating lead", {
         error,
         leadId,
-        updateData,
+        updateData: this.redactLeadFields(updateData),
         contextId: this.contextId
       });
 
@@ -412,7 +520,7 @@ class DataModels {
         ErrorTypes.DATABASE_ERROR,
         SeverityLevels.ERROR,
         error,
-        { leadId, updateData, contextId: this.contextId }
+        { leadId, updateData: this.redactLeadFields(updateData), contextId: this.contextId }
       );
     }
   }
@@ -456,6 +564,13 @@ class DataModels {
         leadsQuery = leadsQuery.where("source", "==", query.source);
       }
 
+      // Encrypted fields are matched through their lookup hashes
+      LEAD_PII_FIELDS.forEach(field => {
+        if (query[field]) {
+          leadsQuery = leadsQuery.where(`${field}Hash`, "==", this.hashLeadField(field, query[field]));
+        }
+      });
+
       // Apply limit
       leadsQuery = leadsQuery.limit(limit);
 
@@ -467,15 +582,19 @@ class DataModels {
       snapshot.forEach(doc => {
         leads.push({
           id: doc.id,
-          ...doc.data()
+          ...this.revealLeadFields(doc.data())
         });
       });
 
       return leads;
     } catch (error) {
+      if (error.type === ErrorTypes.CONFIGURATION_ERROR) {
+        throw error;
+      }
+
       logger.error("Error finding leads", {
         error,
-        query,
+        query: this.redactLeadFields(query),
         contextId: this.contextId
       });
 
@@ -484,7 +603,7 @@ class DataModels {
         ErrorTypes.DATABASE_ERROR,
         SeverityLevels.ERROR,
         error,
-        { query, contextId: this.contextId }
+        { query: this.redactLeadFields(query), contextId: this.contextId }
       );
     }
   }
@@ -982,6 +1101,53 @@ class DataModels {
     }
   }
 
+  /**
+   * Find an engagement by the message ID assigned at send time
+   * @param {string} messageId - ReachSpark message ID
+   * @param {string} providerMessageId - Provider message ID (used if messageId is not given or not found)
+   * @returns {Promise<Object|null>} Engagement record or null if not found
+   */
+  async findEngagementByMessageId(messageId, providerMessageId = null) {
+    try {
+      const lookups = [
+        ["messageId", messageId],
+        ["providerMessageId", providerMessageId]
+      ].filter(([, value]) => value);
+
+      for (const [field, value] of lookups) {
+        const snapshot = await db.collection("lead_engagements")
+          .where(field, "==", value)
+          .limit(1)
+          .get();
+
+        if (!snapshot.empty) {
+          const doc = snapshot.docs[0];
+          return {
+            id: doc.id,
+            ...doc.data()
+          };
+        }
+      }
+
+      return null;
+    } catch (error) {
+      logger.error("Error finding engagement by message ID", {
+        error,
+        messageId,
+        providerMessageId,
+        contextId: this.contextId
+      });
+
+      throw new ReachSparkError(
+        "Error finding engagement by message ID",
+        ErrorTypes.DATABASE_ERROR,
+        SeverityLevels.ERROR,
+        error,
+        { messageId, providerMessageId, contextId: this.contextId }
+      );
+    }
+  }
+
   /**
    * Create a new conversion record
    * @param {Object} conversionData - Conversion data
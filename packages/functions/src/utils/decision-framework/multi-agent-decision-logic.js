@@ -16,6 +16,7 @@
 const { v4: uuidv4 } = require('uuid');
 const admin = require('firebase-admin');
 const { logger, ReachSparkError, ErrorTypes, SeverityLevels } = require('./errorLogging');
+const { parseStructuredOutput, buildRepairPrompt } = require('../llm/structuredOutput');
 
 // Lazy load dependencies to avoid circular references
 let LLMEngine;
@@ -143,6 +144,21 @@ const DecisionTypeToAgentMap = {
   ]
 };
 
+/**
+ * JSON Schema for an agent contribution
+ */
+const AGENT_CONTRIBUTION_SCHEMA = {
+  type: 'object',
+  required: ['action', 'confidence', 'reasoning', 'alternativeActions'],
+  properties: {
+    action: { type: 'string', minLength: 1 },
+    confidence: { type: 'number', minimum: 0, maximum: 1 },
+    reasoning: { type: 'string', minLength: 1 },
+    alternativeActions: { type: 'array', items: { type: 'string' } },
+    considerations: { type: 'object' }
+  }
+};
+
 /**
  * Agent collaboration modes
  */
@@ -537,16 +553,27 @@ class MultiAgentEnsemble {
     const memory = this.getAgentMemory(agentType);
     
     // Generate agent response using LLM
-    const response = await this.llmEngine.generateWithAgentRAG({
-      prompt,
+    const generate = agentPrompt => this.llmEngine.generateWithAgentRAG({
+      prompt: agentPrompt,
       agentType,
       memory,
       maxTokens: 1000
     });
+    const response = await generate(prompt);
     
     // Parse and validate agent response
     const contribution = this.parseAgentResponse(response, agentType);
     
+    // Ask once for a corrected response if it did not match the schema
+    if (contribution.isErrorResponse && contribution.parseError) {
+      const repairedResponse = await generate(buildRepairPrompt(prompt, response, contribution.parseError));
+      const repairedContribution = this.parseAgentResponse(repairedResponse, agentType);
+      
+      if (!repairedContribution.isErrorResponse) {
+        return repairedContribution;
+      }
+    }
+    
     return contribution;
   }
   
@@ -666,29 +693,8 @@ Please reconsider your contribution in light of these resolutions.
    */
   parseAgentResponse(response, agentType) {
     try {
-      // Extract JSON from response (in case LLM includes additional text)
-      const jsonMatch = response.match(/\{[\s\S]*\}/);
-      const jsonString = jsonMatch ? jsonMatch[0] : response;
-      
-      // Parse JSON
-      const parsedResponse = JSON.parse(jsonString);
-      
-      // Validate required fields
-      if (!parsedResponse.action) {
-        throw new Error('Missing required field: action');
-      }
-      
-      if (typeof parsedResponse.confidence !== 'number' || parsedResponse.confidence < 0 || parsedResponse.confidence > 1) {
-        throw new Error('Invalid confidence value: must be a number between 0 and 1');
-      }
-      
-      if (!parsedResponse.reasoning) {
-        throw new Error('Missing required field: reasoning');
-      }
-      
-      if (!Array.isArray(parsedResponse.alternativeActions)) {
-        throw new Error('Invalid alternativeActions: must be an array');
-      }
+      // Extract JSON from response (in case LLM includes additional text) and validate it
+      const parsedResponse = parseStructuredOutput(response, AGENT_CONTRIBUTION_SCHEMA);
       
       // Add agent type to response
       parsedResponse.agentType = agentType;
@@ -708,7 +714,12 @@ Please reconsider your contribution in light of these resolutions.
         reasoning: `Failed to parse response: ${error.message}. Original response: ${response}`,
         alternativeActions: ['review_manually'],
         agentType,
-        isErrorResponse: true
+        isErrorResponse: true,
+        parseError: {
+          type: error.type || ErrorTypes.PARSING_ERROR,
+          message: error.message,
+          validationErrors: error.validationErrors || []
+        }
       };
     }
   }
@@ -0,0 +1,1015 @@
+/**
+ * Email Delivery Adapters for ReachSpark AMIA
+ *
+ * This module provides the transport layer behind email workflow steps. The transport is
+ * chosen from the default email provider configured in the API Provider Manager, so
+ * switching between an SMTP relay and an HTTP email API requires no code changes.
+ *
+ * The capabilities include:
+ * - SMTP transport (implicit TLS or STARTTLS, AUTH PLAIN)
+ * - SendGrid-style HTTP API transport
+ * - Local in-memory transport for tests and emulators
+ * - Engagement records with message IDs, bounce and failure statuses
+ * - Delivery receipt processing for provider webhooks, verified with SendGrid's signed
+ *   event webhook (ECDSA) or, for providers that cannot sign, a shared token
+ */
+
+const net = require("net");
+const tls = require("tls");
+const crypto = require("crypto");
+const axios = require("axios");
+const admin = require("firebase-admin");
+const errorLogging = require("./errorLogging");
+const logger = errorLogging.logger;
+const { ReachSparkError, ErrorTypes, SeverityLevels } = errorLogging;
+const { executeWithRetry } = require("./retryLogic");
+const { ChannelType, ContactStatus } = require("./multiChannelWorkflows");
+const { OperationMode } = require("./decisionFramework");
+const {
+  ConsentStatus,
+  ConsentPurpose,
+  LegalBasis,
+  SuppressionListReason,
+  recordConsent,
+  addSuppression
+} = require("./consentLedger");
+
+/**
+ * Email transport types (matches the provider subtype in apiCredentials)
+ */
+const EmailTransportType = {
+  SMTP: "smtp",
+  SENDGRID: "sendgrid",
+  LOCAL: "local"
+};
+
+/**
+ * Delivery receipt events mapped to contact statuses
+ */
+const ReceiptEventStatus = {
+  processed: ContactStatus.SENT,
+  deferred: ContactStatus.SENT,
+  delivered: ContactStatus.DELIVERED,
+  open: ContactStatus.OPENED,
+  click: ContactStatus.CLICKED,
+  bounce: ContactStatus.BOUNCED,
+  dropped: ContactStatus.BOUNCED,
+  spamreport: ContactStatus.BLOCKED,
+  unsubscribe: ContactStatus.BLOCKED
+};
+
+// Statuses that only move forward; failures may replace any of them
+const STATUS_PROGRESSION = [
+  ContactStatus.PENDING,
+  ContactStatus.SENT,
+  ContactStatus.DELIVERED,
+  ContactStatus.OPENED,
+  ContactStatus.CLICKED,
+  ContactStatus.RESPONDED
+];
+
+const FAILURE_STATUSES = [ContactStatus.BOUNCED, ContactStatus.FAILED, ContactStatus.BLOCKED];
+
+/**
+ * Decide an engagement's status after a delivery receipt or status callback
+ * @param {string} currentStatus - Current engagement status
+ * @param {string} receiptStatus - Status implied by the receipt
+ * @returns {string} Resulting status
+ */
+const resolveContactStatus = (currentStatus, receiptStatus) => {
+  if (FAILURE_STATUSES.includes(receiptStatus)) {
+    return receiptStatus;
+  }
+  if (FAILURE_STATUSES.includes(currentStatus)) {
+    return currentStatus;
+  }
+  const currentRank = STATUS_PROGRESSION.indexOf(currentStatus);
+  const receiptRank = STATUS_PROGRESSION.indexOf(receiptStatus);
+  return receiptRank > currentRank ? receiptStatus : currentStatus;
+};
+
+/**
+ * Create a delivery error with SMTP/HTTP details attached
+ * @param {string} message - Error message
+ * @param {Object} details - Error details
+ * @param {boolean} details.permanent - Whether the recipient permanently rejected the message
+ * @param {boolean} details.transient - Whether the failure may succeed on retry
+ * @param {Error} originalError - Original error
+ * @returns {ReachSparkError} Delivery error
+ */
+const createDeliveryError = (message, details = {}, originalError = null) => {
+  const error = new ReachSparkError(
+    message,
+    details.transient ? ErrorTypes.NETWORK_ERROR : ErrorTypes.API_ERROR,
+    SeverityLevels.ERROR,
+    originalError,
+    details
+  );
+  error.permanent = !!details.permanent;
+  return error;
+};
+
+/**
+ * Generate an RFC 5322 message ID
+ * @param {string} fromAddress - Sender address (used for the domain part)
+ * @returns {string} Message ID including angle brackets
+ */
+const generateMessageId = (fromAddress) => {
+  const domain = (fromAddress && fromAddress.split("@")[1]) || "reachspark.local";
+  return `<${Date.now()}.${crypto.randomBytes(8).toString("hex")}@${domain}>`;
+};
+
+/**
+ * Encode a header value as an RFC 2047 encoded-word when it is not plain ASCII
+ * @param {string} value - Header value
+ * @returns {string} Encoded header value
+ */
+const encodeHeader = (value) => {
+  if (/^[\x20-\x7e]*$/.test(value)) {
+    return value;
+  }
+  return `=?UTF-8?B?${Buffer.from(value, "utf8").toString("base64")}?=`;
+};
+
+/**
+ * Format an address with an optional display name
+ * @param {string} email - Email address
+ * @param {string} name - Display name
+ * @returns {string} Formatted address
+ */
+const formatAddress = (email, name) => {
+  return name ? `${encodeHeader(name)} <${email}>` : `<${email}>`;
+};
+
+/**
+ * Base64 encode a body part, wrapped at 76 characters
+ * @param {string} content - Body content
+ * @returns {string} Encoded body
+ */
+const encodeBody = (content) => {
+  return Buffer.from(content, "utf8").toString("base64").replace(/.{76}/g, "$&\r\n");
+};
+
+/**
+ * Build a MIME message for SMTP submission
+ * @param {Object} message - Email message
+ * @returns {string} MIME message (CRLF line endings)
+ */
+const buildMimeMessage = (message) => {
+  const headers = [
+    `From: ${formatAddress(message.from, message.fromName)}`,
+    `To: ${formatAddress(message.to, message.toName)}`,
+    `Subject: ${encodeHeader(message.subject || "")}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: ${message.messageId}`,
+    "MIME-Version: 1.0"
+  ];
+
+  if (message.replyTo) {
+    headers.push(`Reply-To: <${message.replyTo}>`);
+  }
+
+  Object.entries(message.headers || {}).forEach(([name, value]) => {
+    headers.push(`${name}: ${value}`);
+  });
+
+  const parts = [];
+  if (message.text) {
+    parts.push({ type: "text/plain", content: message.text });
+  }
+  if (message.html) {
+    parts.push({ type: "text/html", content: message.html });
+  }
+
+  if (parts.length <= 1) {
+    const part = parts[0] || { type: "text/plain", content: "" };
+    headers.push(`Content-Type: ${part.type}; charset=UTF-8`);
+    headers.push("Content-Transfer-Encoding: base64");
+    return `${headers.join("\r\n")}\r\n\r\n${encodeBody(part.content)}`;
+  }
+
+  const boundary = `rs_${crypto.randomBytes(12).toString("hex")}`;
+  headers.push(`Content-Type: multipart/alternative; boundary="${boundary}"`);
+
+  const body = parts.map(part => [
+    `--${boundary}`,
+    `Content-Type: ${part.type}; charset=UTF-8`,
+    "Content-Transfer-Encoding: base64",
+    "",
+    encodeBody(part.content)
+  ].join("\r\n")).join("\r\n");
+
+  return `${headers.join("\r\n")}\r\n\r\n${body}\r\n--${boundary}--`;
+};
+
+/**
+ * Minimal SMTP client connection (one command in flight at a time)
+ */
+class SMTPConnection {
+  /**
+   * @param {net.Socket} socket - Connected socket
+   * @param {number} timeoutMs - Idle timeout in milliseconds
+   */
+  constructor(socket, timeoutMs) {
+    this.timeoutMs = timeoutMs;
+    this.buffer = "";
+    this.lines = [];
+    this.responses = [];
+    this.waiting = null;
+    this.error = null;
+    this.attach(socket);
+  }
+
+  /**
+   * Attach data and error handlers to a socket
+   * @param {net.Socket} socket - Socket to read from
+   */
+  attach(socket) {
+    this.socket = socket;
+    socket.setEncoding("utf8");
+    socket.setTimeout(this.timeoutMs, () => {
+      const error = new Error(`SMTP connection timed out after ${this.timeoutMs}ms`);
+      error.code = "ETIMEDOUT";
+      socket.destroy(error);
+    });
+    socket.on("data", chunk => this.onData(chunk));
+    socket.on("error", error => this.onError(error));
+    socket.on("close", () => this.onError(new Error("SMTP connection closed unexpectedly")));
+  }
+
+  /**
+   * Detach from the current socket (used before a STARTTLS upgrade)
+   * @returns {net.Socket} Detached socket
+   */
+  detach() {
+    const socket = this.socket;
+    socket.removeAllListeners("data");
+    socket.removeAllListeners("error");
+    socket.removeAllListeners("close");
+    socket.setTimeout(0);
+    return socket;
+  }
+
+  onData(chunk) {
+    this.buffer += chunk;
+    let index;
+    while ((index = this.buffer.indexOf("\n")) !== -1) {
+      const line = this.buffer.slice(0, index).replace(/\r$/, "");
+      this.buffer = this.buffer.slice(index + 1);
+      this.lines.push(line);
+
+      // A space (or nothing) after the code marks the last line of a reply
+      if (line.length < 4 || line[3] === " ") {
+        const code = parseInt(line.slice(0, 3), 10);
+        const message = this.lines.map(l => l.slice(4)).join("\n");
+        this.lines = [];
+        this.responses.push({ code, message });
+      }
+    }
+    this.flush();
+  }
+
+  onError(error) {
+    if (!this.error) {
+      this.error = error;
+    }
+    this.flush();
+  }
+
+  flush() {
+    if (!this.waiting) {
+      return;
+    }
+    const { resolve, reject } = this.waiting;
+    if (this.responses.length > 0) {
+      this.waiting = null;
+      resolve(this.responses.shift());
+    } else if (this.error) {
+      this.waiting = null;
+      reject(this.error);
+    }
+  }
+
+  /**
+   * Read the next server reply
+   * @returns {Promise<Object>} Reply with code and message
+   */
+  read() {
+    return new Promise((resolve, reject) => {
+      this.waiting = { resolve, reject };
+      this.flush();
+    });
+  }
+
+  /**
+   * Send a command and check the reply code
+   * @param {string|null} line - Command line (null to only read a reply)
+   * @param {Array<number>} expectedCodes - Accepted reply codes
+   * @param {string} stage - Protocol stage, for error messages
+   * @returns {Promise<Object>} Reply with code and message
+   */
+  async command(line, expectedCodes, stage) {
+    if (line !== null) {
+      this.socket.write(`${line}\r\n`);
+    }
+    const reply = await this.read();
+    if (!expectedCodes.includes(reply.code)) {
+      throw createDeliveryError(`SMTP ${stage} rejected: ${reply.code} ${reply.message}`, {
+        smtpCode: reply.code,
+        stage,
+        permanent: reply.code >= 500 && stage === "RCPT",
+        transient: reply.code >= 400 && reply.code < 500
+      });
+    }
+    return reply;
+  }
+
+  close() {
+    this.error = this.error || new Error("SMTP connection closed");
+    this.socket.end();
+  }
+}
+
+/**
+ * SMTP transport
+ */
+class SMTPTransport {
+  /**
+   * @param {Object} options - SMTP options
+   * @param {string} options.host - SMTP host
+   * @param {number} options.port - SMTP port (default 587)
+   * @param {boolean} options.secure - Use implicit TLS (default true for port 465)
+   * @param {boolean} options.requireTLS - Fail if STARTTLS is unavailable
+   * @param {string} options.username - AUTH username
+   * @param {string} options.password - AUTH password
+   * @param {string} options.clientName - Name sent with EHLO
+   * @param {number} options.timeoutMs - Idle timeout in milliseconds
+   * @param {Object} options.tlsOptions - Extra options passed to tls.connect
+   */
+  constructor(options = {}) {
+    if (!options.host) {
+      throw new ReachSparkError(
+        "SMTP host is required",
+        ErrorTypes.VALIDATION_ERROR,
+        SeverityLevels.ERROR
+      );
+    }
+
+    this.name = EmailTransportType.SMTP;
+    this.host = options.host;
+    this.port = options.port || 587;
+    this.secure = options.secure !== undefined ? options.secure : this.port === 465;
+    this.requireTLS = !!options.requireTLS;
+    this.username = options.username || null;
+    this.password = options.password || null;
+    this.clientName = options.clientName || "reachspark.local";
+    this.timeoutMs = options.timeoutMs || 30000;
+    this.tlsOptions = options.tlsOptions || {};
+  }
+
+  /**
+   * Open a connection and wait for the server greeting
+   * @returns {Promise<SMTPConnection>} Connection
+   */
+  async connect() {
+    const socket = await new Promise((resolve, reject) => {
+      const onError = error => reject(error);
+      const sock = this.secure
+        ? tls.connect({ host: this.host, port: this.port, servername: this.host, ...this.tlsOptions }, () => {
+          sock.removeListener("error", onError);
+          resolve(sock);
+        })
+        : net.connect({ host: this.host, port: this.port }, () => {
+          sock.removeListener("error", onError);
+          resolve(sock);
+        });
+      sock.once("error", onError);
+    });
+
+    const connection = new SMTPConnection(socket, this.timeoutMs);
+    await connection.command(null, [220], "GREETING");
+    return connection;
+  }
+
+  /**
+   * Upgrade a plain connection with STARTTLS
+   * @param {SMTPConnection} connection - Connection to upgrade
+   * @returns {Promise<void>}
+   */
+  async upgrade(connection) {
+    await connection.command("STARTTLS", [220], "STARTTLS");
+    const plainSocket = connection.detach();
+    const secureSocket = await new Promise((resolve, reject) => {
+      const sock = tls.connect({ socket: plainSocket, servername: this.host, ...this.tlsOptions }, () => {
+        sock.removeListener("error", reject);
+        resolve(sock);
+      });
+      sock.once("error", reject);
+    });
+    connection.attach(secureSocket);
+  }
+
+  /**
+   * Send an email message
+   * @param {Object} message - Email message
+   * @returns {Promise<Object>} Send result with providerMessageId
+   */
+  async send(message) {
+    const connection = await this.connect();
+
+    try {
+      let ehlo = await connection.command(`EHLO ${this.clientName}`, [250], "EHLO");
+
+      if (!this.secure) {
+        if (/^STARTTLS$/im.test(ehlo.message)) {
+          await this.upgrade(connection);
+          ehlo = await connection.command(`EHLO ${this.clientName}`, [250], "EHLO");
+        } else if (this.requireTLS) {
+          throw createDeliveryError("SMTP server does not support STARTTLS", { stage: "STARTTLS" });
+        }
+      }
+
+      if (this.username) {
+        const credentials = Buffer.from(`\0${this.username}\0${this.password || ""}`, "utf8").toString("base64");
+        await connection.command(`AUTH PLAIN ${credentials}`, [235], "AUTH");
+      }
+
+      await connection.command(`MAIL FROM:<${message.from}>`, [250], "MAIL");
+      await connection.command(`RCPT TO:<${message.to}>`, [250, 251], "RCPT");
+      await connection.command("DATA", [354], "DATA");
+
+      // Dot-stuff lines that begin with a period
+      const data = buildMimeMessage(message).replace(/\r\n\./g, "\r\n..");
+      const reply = await connection.command(`${data}\r\n.`, [250], "DATA");
+
+      await connection.command("QUIT", [221], "QUIT").catch(() => {});
+
+      return {
+        providerMessageId: message.messageId,
+        accepted: [message.to],
+        rejected: [],
+        response: `${reply.code} ${reply.message}`
+      };
+    } finally {
+      connection.close();
+    }
+  }
+}
+
+/**
+ * SendGrid-style HTTP API transport
+ */
+class SendGridTransport {
+  /**
+   * @param {Object} options - HTTP transport options
+   * @param {string} options.apiKey - API key
+   * @param {string} options.baseUrl - API base URL (default https://api.sendgrid.com)
+   * @param {number} options.timeoutMs - Request timeout in milliseconds
+   */
+  constructor(options = {}) {
+    if (!options.apiKey) {
+      throw new ReachSparkError(
+        "API key is required for the HTTP email transport",
+        ErrorTypes.VALIDATION_ERROR,
+        SeverityLevels.ERROR
+      );
+    }
+
+    this.name = EmailTransportType.SENDGRID;
+    this.apiKey = options.apiKey;
+    this.baseUrl = (options.baseUrl || "https://api.sendgrid.com").replace(/\/$/, "");
+    this.timeoutMs = options.timeoutMs || 20000;
+  }
+
+  /**
+   * Send an email message
+   * @param {Object} message - Email message
+   * @returns {Promise<Object>} Send result with providerMessageId
+   */
+  async send(message) {
+    const content = [];
+    if (message.text) {
+      content.push({ type: "text/plain", value: message.text });
+    }
+    if (message.html) {
+      content.push({ type: "text/html", value: message.html });
+    }
+
+    const payload = {
+      personalizations: [{
+        to: [{ email: message.to, name: message.toName || undefined }],
+        // Echoed back on every webhook event so receipts can be matched
+        custom_args: { reachsparkMessageId: message.messageId }
+      }],
+      from: { email: message.from, name: message.fromName || undefined },
+      subject: message.subject || "",
+      content: content.length > 0 ? content : [{ type: "text/plain", value: " " }],
+      headers: message.headers && Object.keys(message.headers).length > 0 ? message.headers : undefined
+    };
+
+    if (message.replyTo) {
+      payload.reply_to = { email: message.replyTo };
+    }
+
+    try {
+      const response = await axios.post(`${this.baseUrl}/v3/mail/send`, payload, {
+        headers: {
+          Authorization: `Bearer ${this.apiKey}`,
+          "Content-Type": "application/json"
+        },
+        timeout: this.timeoutMs
+      });
+
+      return {
+        providerMessageId: response.headers?.["x-message-id"] || message.messageId,
+        accepted: [message.to],
+        rejected: [],
+        response: `${response.status}`
+      };
+    } catch (error) {
+      const status = error.response?.status;
+      const details = error.response?.data?.errors?.map(e => e.message).join("; ") || error.message;
+      const deliveryError = createDeliveryError(`Email API request failed: ${status || "no response"} ${details}`, {
+        httpStatus: status || null,
+        transient: !status || status === 429 || status >= 500
+      }, error);
+      deliveryError.response = error.response;
+      throw deliveryError;
+    }
+  }
+}
+
+/**
+ * In-memory transport for tests and local emulators
+ */
+class LocalEmailTransport {
+  /**
+   * @param {Object} options - Local transport options
+   * @param {RegExp} options.bouncePattern - Recipients matching this pattern are rejected
+   */
+  constructor(options = {}) {
+    this.name = EmailTransportType.LOCAL;
+    this.bouncePattern = options.bouncePattern || /@bounce\.(test|invalid)$/i;
+    this.mailbox = [];
+    this.pendingReceipts = [];
+  }
+
+  /**
+   * Accept an email message into the mailbox
+   * @param {Object} message - Email message
+   * @returns {Promise<Object>} Send result with providerMessageId
+   */
+  async send(message) {
+    if (this.bouncePattern.test(message.to)) {
+      throw createDeliveryError(`SMTP RCPT rejected: 550 Mailbox unavailable <${message.to}>`, {
+        smtpCode: 550,
+        stage: "RCPT",
+        permanent: true
+      });
+    }
+
+    this.mailbox.push({ ...message, raw: buildMimeMessage(message), acceptedAt: new Date().toISOString() });
+    this.pendingReceipts.push({
+      event: "delivered",
+      email: message.to,
+      reachsparkMessageId: message.messageId,
+      timestamp: Math.floor(Date.now() / 1000)
+    });
+
+    return {
+      providerMessageId: message.messageId,
+      accepted: [message.to],
+      rejected: [],
+      response: "250 Queued"
+    };
+  }
+
+  /**
+   * Return and clear the delivery receipts generated since the last call
+   * @returns {Array<Object>} Receipts in webhook event format
+   */
+  drainReceipts() {
+    const receipts = this.pendingReceipts;
+    this.pendingReceipts = [];
+    return receipts;
+  }
+
+  clear() {
+    this.mailbox = [];
+    this.pendingReceipts = [];
+  }
+}
+
+/**
+ * Create a transport for an email provider record
+ * @param {Object} provider - Provider from the API Provider Manager
+ * @param {string} apiKey - Decrypted API key (SMTP password for SMTP providers)
+ * @returns {Object} Email transport
+ */
+const createEmailTransport = (provider, apiKey) => {
+  const config = provider.config || {};
+
+  switch (provider.subtype) {
+    case EmailTransportType.SMTP:
+      return new SMTPTransport({
+        host: config.host,
+        port: config.port,
+        secure: config.secure,
+        requireTLS: config.requireTLS,
+        username: config.username,
+        password: apiKey,
+        clientName: config.clientName
+      });
+    case EmailTransportType.LOCAL:
+      return new LocalEmailTransport();
+    case EmailTransportType.SENDGRID:
+    default:
+      return new SendGridTransport({ apiKey, baseUrl: config.baseUrl });
+  }
+};
+
+/**
+ * Split generated email content into subject and body
+ * @param {string} content - Generated content, optionally starting with "Subject: ..."
+ * @param {string} fallbackSubject - Subject to use when none is present
+ * @returns {Object} Subject and body
+ */
+const parseEmailContent = (content, fallbackSubject) => {
+  const text = String(content || "");
+  const match = text.match(/^\s*subject:\s*(.+)\r?\n/i);
+  if (match) {
+    return { subject: match[1].trim(), body: text.slice(match[0].length).trim() };
+  }
+  return { subject: fallbackSubject, body: text.trim() };
+};
+
+/**
+ * Headers of a SendGrid signed event webhook request (lower case, as Express exposes them)
+ */
+const EVENT_WEBHOOK_SIGNATURE_HEADER = "x-twilio-email-event-webhook-signature";
+const EVENT_WEBHOOK_TIMESTAMP_HEADER = "x-twilio-email-event-webhook-timestamp";
+
+/**
+ * Verify a SendGrid signed event webhook request
+ *
+ * SendGrid signs the timestamp header followed by the raw request body with ECDSA (P-256,
+ * SHA-256). The verification key is the base64 public key shown when signing is enabled.
+ * @param {string} publicKey - Base64 DER public key, or a PEM public key
+ * @param {Buffer|string} rawBody - Raw request body, exactly as received
+ * @param {string} signature - Base64 signature header
+ * @param {string} timestamp - Timestamp header
+ * @returns {boolean} Whether the signature is valid
+ */
+const verifyEventWebhookSignature = (publicKey, rawBody, signature, timestamp) => {
+  if (!publicKey || !rawBody || !signature || !timestamp) {
+    return false;
+  }
+
+  try {
+    const key = publicKey.includes("BEGIN PUBLIC KEY")
+      ? crypto.createPublicKey(publicKey)
+      : crypto.createPublicKey({ key: Buffer.from(publicKey, "base64"), format: "der", type: "spki" });
+    const payload = Buffer.concat([Buffer.from(String(timestamp)), Buffer.from(rawBody)]);
+    return crypto.verify("sha256", payload, key, Buffer.from(signature, "base64"));
+  } catch (error) {
+    // Malformed keys and signatures are treated as a failed verification
+    return false;
+  }
+};
+
+/**
+ * Compare a webhook token in constant time
+ * @param {string} expected - Configured token
+ * @param {string} received - Token sent with the request
+ * @returns {boolean} Whether the tokens match
+ */
+const verifyWebhookToken = (expected, received) => {
+  if (!expected || !received) {
+    return false;
+  }
+  const expectedHash = crypto.createHash("sha256").update(String(expected)).digest();
+  const receivedHash = crypto.createHash("sha256").update(String(received)).digest();
+  return crypto.timingSafeEqual(expectedHash, receivedHash);
+};
+
+/**
+ * Email Delivery class for AMIA
+ */
+class EmailDelivery {
+  /**
+   * Create a new Email Delivery instance
+   * @param {string} contextId - Unique identifier for this delivery context
+   * @param {string} mode - Operation mode (default or client)
+   * @param {string} clientId - Client ID (required for client mode)
+   * @param {Object} options - Delivery options
+   * @param {boolean} options.testMode - Fall back to the local transport when no provider is configured
+   * @param {Object} options.transport - Transport to use instead of the default provider
+   * @param {Object} options.providerManager - API Provider Manager instance
+   * @param {Object} options.dataModels - Data Models instance
+   */
+  constructor(contextId, mode = OperationMode.DEFAULT, clientId = null, options = {}) {
+    this.contextId = contextId;
+    this.mode = mode;
+    this.clientId = clientId;
+    this.testMode = !!options.testMode;
+    this.transport = options.transport || null;
+    this.provider = options.transport ? { id: options.transport.name, config: {} } : null;
+    this.providerManager = options.providerManager || null;
+    this.dataModels = options.dataModels || null;
+  }
+
+  /**
+   * Get API provider manager instance (lazy initialization)
+   * @returns {Object} API provider manager instance
+   */
+  getProviderManager() {
+    if (!this.providerManager) {
+      const { APIProviderManager } = require("./apiProviderManager");
+      this.providerManager = new APIProviderManager();
+    }
+    return this.providerManager;
+  }
+
+  /**
+   * Get data models instance (lazy initialization)
+   * @returns {Object} Data models instance
+   */
+  getDataModels() {
+    if (!this.dataModels) {
+      const { DataModels } = require("./dataModels");
+      this.dataModels = new DataModels(this.contextId, this.mode, this.clientId);
+    }
+    return this.dataModels;
+  }
+
+  /**
+   * Resolve the transport from the default email provider
+   * @returns {Promise<Object>} Transport
+   */
+  async getTransport() {
+    if (this.transport) {
+      return this.transport;
+    }
+
+    try {
+      const { ProviderType } = require("./apiProviderManager");
+      const providerManager = this.getProviderManager();
+      const provider = await providerManager.getDefaultProvider(ProviderType.EMAIL);
+      const apiKey = provider.subtype === EmailTransportType.LOCAL ? null : await providerManager.getAPIKey(provider.id);
+
+      this.transport = createEmailTransport(provider, apiKey);
+      this.provider = provider;
+    } catch (error) {
+      if (!this.testMode) {
+        throw error;
+      }
+
+      logger.warn("No email provider available, using local transport in test mode", {
+        error: error?.message || "Unknown error",
+        contextId: this.contextId
+      });
+      this.transport = new LocalEmailTransport();
+      this.provider = { id: EmailTransportType.LOCAL, config: {} };
+    }
+
+    return this.transport;
+  }
+
+  /**
+   * Send an email and record the engagement
+   * @param {Object} params - Email parameters
+   * @param {string} params.leadId - Lead ID for the engagement record
+   * @param {string} params.to - Recipient address
+   * @param {string} params.toName - Recipient name
+   * @param {string} params.subject - Subject line
+   * @param {string} params.text - Plain text body
+   * @param {string} params.html - HTML body
+   * @param {string} params.from - Sender address (defaults to the provider configuration)
+   * @param {string} params.template - Template name
+   * @param {string} params.workflowId - Workflow ID
+   * @param {string} params.stepId - Workflow step ID
+   * @returns {Promise<Object>} Delivery result
+   */
+  async sendEmail(params) {
+    const { leadId, to, subject, text, html, template = null, workflowId = null, stepId = null } = params;
+
+    if (!to) {
+      throw new ReachSparkError(
+        "Recipient email is required",
+        ErrorTypes.VALIDATION_ERROR,
+        SeverityLevels.ERROR,
+        null,
+        { leadId, contextId: this.contextId }
+      );
+    }
+
+    const transport = await this.getTransport();
+    const providerConfig = this.provider.config || {};
+    const from = params.from || providerConfig.fromAddress || "no-reply@reachspark.local";
+
+    const message = {
+      messageId: generateMessageId(from),
+      from,
+      fromName: params.fromName || providerConfig.fromName || null,
+      replyTo: params.replyTo || providerConfig.replyTo || null,
+      to,
+      toName: params.toName || null,
+      subject,
+      text,
+      html,
+      headers: params.headers || {}
+    };
+
+    let status;
+    let sendResult = null;
+    let failureReason = null;
+
+    try {
+      sendResult = await executeWithRetry(() => transport.send(message), {
+        apiType: "MESSAGING_API",
+        source: "emailDelivery",
+        functionName: "sendEmail",
+        context: { contextId: this.contextId, leadId, transport: transport.name }
+      });
+      status = ContactStatus.SENT;
+    } catch (error) {
+      failureReason = error?.message || "Unknown error";
+      status = error.permanent ? ContactStatus.BOUNCED : ContactStatus.FAILED;
+
+      logger.warn("Email delivery failed", {
+        error: failureReason,
+        status,
+        to,
+        transport: transport.name,
+        contextId: this.contextId
+      });
+    }
+
+    const result = {
+      status,
+      messageId: message.messageId,
+      providerMessageId: sendResult?.providerMessageId || null,
+      provider: this.provider.id,
+      transport: transport.name,
+      recipient: to,
+      engagementId: null,
+      failureReason
+    };
+
+    if (leadId) {
+      try {
+        const engagement = await this.getDataModels().createEngagement({
+          leadId,
+          channelType: ChannelType.EMAIL,
+          status,
+          messageId: result.messageId,
+          providerMessageId: result.providerMessageId,
+          provider: result.provider,
+          transport: result.transport,
+          recipient: to,
+          subject: subject || null,
+          template,
+          workflowId,
+          stepId,
+          failureReason,
+          deliveryReceipts: []
+        });
+        result.engagementId = engagement.id;
+      } catch (error) {
+        // The message has already been handed to the transport, so don't fail the send
+        logger.error("Failed to record email engagement", {
+          error: error?.message || "Unknown error",
+          leadId,
+          messageId: result.messageId,
+          contextId: this.contextId
+        });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Normalize a provider webhook event into a delivery receipt
+   * @param {Object} event - Webhook event
+   * @returns {Object|null} Normalized receipt, or null if the event is not recognized
+   */
+  normalizeReceipt(event) {
+    if (!event || !event.event) {
+      return null;
+    }
+
+    const type = String(event.event).toLowerCase();
+    const status = ReceiptEventStatus[type];
+    if (!status) {
+      return null;
+    }
+
+    return {
+      event: type,
+      status,
+      messageId: event.reachsparkMessageId || null,
+      // SendGrid appends a filter suffix to its message ID in webhook events
+      providerMessageId: event.sg_message_id ? String(event.sg_message_id).split(".")[0] : null,
+      recipient: event.email || null,
+      reason: event.reason || event.response || null,
+      timestamp: event.timestamp ? new Date(event.timestamp * 1000).toISOString() : new Date().toISOString()
+    };
+  }
+
+  /**
+   * Record unsubscribes and spam complaints from delivery receipts in the consent ledger
+   * @param {Object} receipt - Normalized receipt
+   * @returns {Promise<void>}
+   */
+  async recordReceiptOptOut(receipt) {
+    if (!receipt.recipient) {
+      return;
+    }
+
+    const scope = { address: receipt.recipient, channel: ChannelType.EMAIL, purpose: ConsentPurpose.MARKETING, source: "email_provider" };
+    if (receipt.event === "unsubscribe") {
+      await recordConsent({
+        ...scope,
+        status: ConsentStatus.WITHDRAWN,
+        legalBasis: LegalBasis.CONSENT,
+        timestamp: receipt.timestamp,
+        userId: this.clientId,
+        evidence: { messageId: receipt.messageId, providerMessageId: receipt.providerMessageId }
+      });
+    } else if (receipt.event === "spamreport") {
+      await addSuppression({ ...scope, reason: SuppressionListReason.SPAM_COMPLAINT });
+    }
+  }
+
+  /**
+   * Apply delivery receipts from a provider webhook to engagement records
+   * @param {Array<Object>|Object} events - Webhook event(s)
+   * @returns {Promise<Object>} Processing summary
+   */
+  async processDeliveryReceipts(events) {
+    const eventList = Array.isArray(events) ? events : [events];
+    const summary = { received: eventList.length, applied: 0, ignored: 0, unmatched: 0 };
+    const dataModels = this.getDataModels();
+
+    for (const event of eventList) {
+      const receipt = this.normalizeReceipt(event);
+      if (!receipt) {
+        summary.ignored++;
+        continue;
+      }
+
+      try {
+        // Opt-outs apply to the address even when the message is not ours to match
+        await this.recordReceiptOptOut(receipt);
+
+        const engagement = await dataModels.findEngagementByMessageId(receipt.messageId, receipt.providerMessageId);
+        if (!engagement) {
+          summary.unmatched++;
+          continue;
+        }
+
+        const updateData = {
+          status: resolveContactStatus(engagement.status, receipt.status),
+          deliveryReceipts: admin.firestore.FieldValue.arrayUnion(receipt),
+          lastReceiptAt: receipt.timestamp
+        };
+        if (receipt.status === ContactStatus.DELIVERED) {
+          updateData.deliveredAt = receipt.timestamp;
+        }
+        if (FAILURE_STATUSES.includes(receipt.status)) {
+          updateData.failureReason = receipt.reason || receipt.event;
+        }
+
+        await dataModels.updateEngagement(engagement.id, updateData);
+        summary.applied++;
+      } catch (error) {
+        summary.ignored++;
+        logger.error("Failed to apply email delivery receipt", {
+          error: error?.message || "Unknown error",
+          receipt,
+          contextId: this.contextId
+        });
+      }
+    }
+
+    return summary;
+  }
+}
+
+module.exports = {
+  EmailDelivery,
+  EmailTransportType,
+  SMTPTransport,
+  SendGridTransport,
+  LocalEmailTransport,
+  createEmailTransport,
+  createDeliveryError,
+  resolveContactStatus,
+  EVENT_WEBHOOK_SIGNATURE_HEADER,
+  EVENT_WEBHOOK_TIMESTAMP_HEADER,
+  verifyEventWebhookSignature,
+  verifyWebhookToken,
+  buildMimeMessage,
+  parseEmailContent
+};
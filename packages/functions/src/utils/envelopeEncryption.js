@@ -0,0 +1,324 @@
+/**
+ * Envelope Encryption Service for ReachSpark AMIA
+ *
+ * This module encrypts secrets (such as provider API keys) with a fresh AES-256-GCM data
+ * key per secret, and wraps that data key with a versioned master key from configuration.
+ * Only the wrapped data key is stored next to the ciphertext, so rotating the master key
+ * means re-wrapping data keys without touching the encrypted secrets themselves.
+ *
+ * Master keys are configured as comma-separated "version:base64key" pairs:
+ *   firebase functions:config:set encryption.master_keys="v1:...,v2:..." encryption.active_key_version="v2"
+ * or through the ENCRYPTION_MASTER_KEYS / ENCRYPTION_ACTIVE_KEY_VERSION environment variables.
+ * Retired versions stay in the list until every envelope has been re-wrapped.
+ */
+
+const crypto = require("crypto");
+const functions = require("firebase-functions");
+const { ReachSparkError, ErrorTypes, SeverityLevels } = require("./errorLogging");
+
+const ENVELOPE_SCHEME = "envelope-aes-256-gcm";
+const ALGORITHM = "aes-256-gcm";
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+/**
+ * Parse "version:base64key" pairs into a key map
+ * @param {string} value - Configured master keys
+ * @returns {Object} Map of version to key buffer
+ */
+const parseMasterKeys = (value) => {
+  const keys = {};
+  String(value || "").split(",").map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const separator = entry.indexOf(":");
+    if (separator <= 0) {
+      throw new ReachSparkError(
+        "Master keys must be configured as version:base64key pairs",
+        ErrorTypes.VALIDATION_ERROR,
+        SeverityLevels.CRITICAL
+      );
+    }
+    keys[entry.slice(0, separator)] = Buffer.from(entry.slice(separator + 1), "base64");
+  });
+  return keys;
+};
+
+/**
+ * Encrypt a buffer with AES-256-GCM
+ * @param {Buffer} key - 32-byte key
+ * @param {Buffer} plaintext - Data to encrypt
+ * @param {Buffer} aad - Additional authenticated data
+ * @returns {Object} { iv, tag, ciphertext }
+ */
+const seal = (key, plaintext, aad) => {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv, { authTagLength: TAG_LENGTH });
+  if (aad) {
+    cipher.setAAD(aad);
+  }
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { iv, tag: cipher.getAuthTag(), ciphertext };
+};
+
+/**
+ * Decrypt a buffer with AES-256-GCM
+ * @param {Buffer} key - 32-byte key
+ * @param {Object} sealed - { iv, tag, ciphertext }
+ * @param {Buffer} aad - Additional authenticated data
+ * @returns {Buffer} Plaintext
+ */
+const open = (key, sealed, aad) => {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, sealed.iv, { authTagLength: TAG_LENGTH });
+  if (aad) {
+    decipher.setAAD(aad);
+  }
+  decipher.setAuthTag(sealed.tag);
+  return Buffer.concat([decipher.update(sealed.ciphertext), decipher.final()]);
+};
+
+/**
+ * Envelope Encryption class
+ */
+class EnvelopeEncryption {
+  /**
+   * Create a new Envelope Encryption instance
+   * @param {Object} options - Key configuration
+   * @param {Object} options.masterKeys - Map of version to 32-byte key (Buffer or base64 string)
+   * @param {string} options.activeVersion - Version used to wrap new data keys
+   */
+  constructor({ masterKeys, activeVersion }) {
+    this.masterKeys = {};
+    Object.entries(masterKeys || {}).forEach(([version, key]) => {
+      const buffer = Buffer.isBuffer(key) ? key : Buffer.from(String(key), "base64");
+      if (buffer.length !== KEY_LENGTH) {
+        throw new ReachSparkError(
+          `Master key ${version} must be ${KEY_LENGTH} bytes`,
+          ErrorTypes.VALIDATION_ERROR,
+          SeverityLevels.CRITICAL
+        );
+      }
+      this.masterKeys[version] = buffer;
+    });
+
+    if (!activeVersion || !this.masterKeys[activeVersion]) {
+      throw new ReachSparkError(
+        `Active master key version is not configured: ${activeVersion}`,
+        ErrorTypes.VALIDATION_ERROR,
+        SeverityLevels.CRITICAL
+      );
+    }
+
+    this.activeVersion = activeVersion;
+  }
+
+  /**
+   * Create an instance from functions config or environment variables
+   * @returns {EnvelopeEncryption} Envelope encryption instance
+   */
+  static fromConfig() {
+    const config = functions.config().encryption || {};
+    const masterKeys = parseMasterKeys(config.master_keys || process.env.ENCRYPTION_MASTER_KEYS);
+    const activeVersion = config.active_key_version || process.env.ENCRYPTION_ACTIVE_KEY_VERSION;
+
+    if (Object.keys(masterKeys).length === 0) {
+      throw new ReachSparkError(
+        "No encryption master keys are configured (encryption.master_keys)",
+        ErrorTypes.VALIDATION_ERROR,
+        SeverityLevels.CRITICAL
+      );
+    }
+
+    return new EnvelopeEncryption({ masterKeys, activeVersion });
+  }
+
+  /**
+   * Get a master key by version
+   * @param {string} version - Key version
+   * @returns {Buffer} Master key
+   */
+  getMasterKey(version) {
+    const key = this.masterKeys[version];
+    if (!key) {
+      throw new ReachSparkError(
+        `Master key version not available: ${version}`,
+        ErrorTypes.NOT_FOUND_ERROR,
+        SeverityLevels.CRITICAL,
+        null,
+        { keyVersion: version }
+      );
+    }
+    return key;
+  }
+
+  /**
+   * Check whether a value is an envelope produced by this service
+   * @param {*} value - Value to check
+   * @returns {boolean} Whether the value is an envelope
+   */
+  isEnvelope(value) {
+    return !!value && typeof value === "object" && value.scheme === ENVELOPE_SCHEME;
+  }
+
+  /**
+   * Wrap a data key with a master key
+   * @param {Buffer} dataKey - Data key
+   * @param {string} version - Master key version
+   * @param {Buffer} aad - Additional authenticated data
+   * @returns {string} Wrapped key (base64 of iv | tag | encrypted key)
+   */
+  wrapDataKey(dataKey, version, aad) {
+    const sealed = seal(this.getMasterKey(version), dataKey, aad);
+    return Buffer.concat([sealed.iv, sealed.tag, sealed.ciphertext]).toString("base64");
+  }
+
+  /**
+   * Unwrap a data key
+   * @param {Object} envelope - Envelope
+   * @param {Buffer} aad - Additional authenticated data
+   * @returns {Buffer} Data key
+   */
+  unwrapDataKey(envelope, aad) {
+    const wrapped = Buffer.from(envelope.wrappedKey, "base64");
+    return open(this.getMasterKey(envelope.keyVersion), {
+      iv: wrapped.subarray(0, IV_LENGTH),
+      tag: wrapped.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH),
+      ciphertext: wrapped.subarray(IV_LENGTH + TAG_LENGTH)
+    }, aad);
+  }
+
+  /**
+   * Encrypt a secret
+   * @param {string} plaintext - Secret to encrypt
+   * @param {string} context - Context bound to the ciphertext (e.g. "apiCredentials/<id>")
+   * @returns {Object} Envelope
+   */
+  encrypt(plaintext, context = "") {
+    const aad = Buffer.from(context, "utf8");
+    const dataKey = crypto.randomBytes(KEY_LENGTH);
+
+    try {
+      const sealed = seal(dataKey, Buffer.from(String(plaintext), "utf8"), aad);
+      return {
+        scheme: ENVELOPE_SCHEME,
+        keyVersion: this.activeVersion,
+        wrappedKey: this.wrapDataKey(dataKey, this.activeVersion, aad),
+        iv: sealed.iv.toString("base64"),
+        tag: sealed.tag.toString("base64"),
+        ciphertext: sealed.ciphertext.toString("base64"),
+        encryptedAt: new Date().toISOString()
+      };
+    } finally {
+      dataKey.fill(0);
+    }
+  }
+
+  /**
+   * Decrypt an envelope
+   * @param {Object} envelope - Envelope
+   * @param {string} context - Context the envelope was encrypted with
+   * @returns {string} Plaintext secret
+   */
+  decrypt(envelope, context = "") {
+    if (!this.isEnvelope(envelope)) {
+      throw new ReachSparkError(
+        "Value is not an encrypted envelope",
+        ErrorTypes.VALIDATION_ERROR,
+        SeverityLevels.ERROR
+      );
+    }
+
+    const aad = Buffer.from(context, "utf8");
+    let dataKey;
+    try {
+      dataKey = this.unwrapDataKey(envelope, aad);
+      return open(dataKey, {
+        iv: Buffer.from(envelope.iv, "base64"),
+        tag: Buffer.from(envelope.tag, "base64"),
+        ciphertext: Buffer.from(envelope.ciphertext, "base64")
+      }, aad).toString("utf8");
+    } catch (error) {
+      if (error instanceof ReachSparkError) {
+        throw error;
+      }
+      throw new ReachSparkError(
+        "Failed to decrypt envelope (wrong key or tampered data)",
+        ErrorTypes.AUTHENTICATION_ERROR,
+        SeverityLevels.CRITICAL,
+        error,
+        { keyVersion: envelope.keyVersion }
+      );
+    } finally {
+      if (dataKey) {
+        dataKey.fill(0);
+      }
+    }
+  }
+
+  /**
+   * Re-wrap an envelope's data key with the active master key
+   * @param {Object} envelope - Envelope
+   * @param {string} context - Context the envelope was encrypted with
+   * @returns {Object} Envelope wrapped with the active version (unchanged if already current)
+   */
+  rewrap(envelope, context = "") {
+    if (envelope.keyVersion === this.activeVersion) {
+      return envelope;
+    }
+
+    const aad = Buffer.from(context, "utf8");
+    let dataKey;
+    try {
+      dataKey = this.unwrapDataKey(envelope, aad);
+      return {
+        ...envelope,
+        keyVersion: this.activeVersion,
+        wrappedKey: this.wrapDataKey(dataKey, this.activeVersion, aad),
+        rewrappedAt: new Date().toISOString()
+      };
+    } catch (error) {
+      if (error instanceof ReachSparkError) {
+        throw error;
+      }
+      throw new ReachSparkError(
+        "Failed to re-wrap envelope (wrong key or tampered data)",
+        ErrorTypes.AUTHENTICATION_ERROR,
+        SeverityLevels.CRITICAL,
+        error,
+        { keyVersion: envelope.keyVersion }
+      );
+    } finally {
+      if (dataKey) {
+        dataKey.fill(0);
+      }
+    }
+  }
+
+  /**
+   * Check whether an envelope needs re-wrapping
+   * @param {Object} envelope - Envelope
+   * @returns {boolean} Whether the envelope uses a non-active master key
+   */
+  needsRewrap(envelope) {
+    return this.isEnvelope(envelope) && envelope.keyVersion !== this.activeVersion;
+  }
+}
+
+let defaultInstance = null;
+
+/**
+ * Get the shared instance configured from functions config (lazy initialization)
+ * @returns {EnvelopeEncryption} Envelope encryption instance
+ */
+const getEnvelopeEncryption = () => {
+  if (!defaultInstance) {
+    defaultInstance = EnvelopeEncryption.fromConfig();
+  }
+  return defaultInstance;
+};
+
+module.exports = {
+  EnvelopeEncryption,
+  ENVELOPE_SCHEME,
+  getEnvelopeEncryption,
+  parseMasterKeys
+};
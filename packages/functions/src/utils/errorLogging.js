@@ -94,6 +94,7 @@ const ErrorTypes = {
   // System errors
   MEMORY_ERROR: 'MEMORY_ERROR',
   RESOURCE_ERROR: 'RESOURCE_ERROR',
+  CONFIGURATION_ERROR: 'CONFIGURATION_ERROR',
   
   // Ethical violations
   ETHICAL_VIOLATION: 'ETHICAL_VIOLATION',
@@ -0,0 +1,426 @@
+/**
+ * Experimentation statistics for ReachSpark AMIA A/B tests
+ *
+ * Provides the analysis behind content A/B tests:
+ * - Frequentist: two-proportion z-test with a confidence interval on the difference
+ * - Bayesian: Beta-Binomial probability-to-beat-control and probability-to-be-best
+ * - Planning: minimum sample size per variant for a given baseline, effect and power
+ * - Sequential guards: O'Brien-Fleming-type alpha spending so that looking at a test
+ *   every day does not inflate the false positive rate
+ *
+ * A test only produces a winner when the evidence crosses the spending boundary for the
+ * information collected so far; otherwise it either keeps running or ends inconclusive.
+ */
+
+const { ReachSparkError, ErrorTypes, SeverityLevels } = require('./errorLogging');
+
+/**
+ * Metrics a test can be decided on, as successes over trials
+ */
+const ExperimentMetrics = {
+  CLICK_RATE: { id: 'click_rate', successes: 'clicks', trials: 'views' },
+  CONVERSION_RATE: { id: 'conversion_rate', successes: 'conversions', trials: 'clicks' }
+};
+
+/**
+ * Outcomes of an experiment analysis
+ */
+const ExperimentOutcome = {
+  WINNER: 'winner',
+  INCONCLUSIVE: 'inconclusive',
+  CONTINUE: 'continue'
+};
+
+/**
+ * Default experiment plan settings
+ */
+const ExperimentDefaults = {
+  primaryMetric: ExperimentMetrics.CLICK_RATE.id,
+  baselineRate: 0.05,
+  minimumDetectableEffect: 0.2,
+  alpha: 0.05,
+  power: 0.8,
+  minDurationDays: 7,
+  maxDurationDays: 28,
+  posteriorSamples: 20000,
+  seed: 42
+};
+
+/**
+ * Get a metric definition by ID
+ * @param {string} metricId - Metric ID
+ * @returns {Object} - Metric definition
+ */
+function getMetric(metricId) {
+  const metric = Object.values(ExperimentMetrics).find(candidate => candidate.id === metricId);
+  if (!metric) {
+    throw new ReachSparkError(
+      `Unknown experiment metric: ${metricId}`,
+      ErrorTypes.VALIDATION_ERROR,
+      SeverityLevels.WARNING,
+      null,
+      { metricId }
+    );
+  }
+  return metric;
+}
+
+/**
+ * Standard normal cumulative distribution function
+ * @param {number} z - Z score
+ * @returns {number} - P(Z <= z)
+ */
+function normalCdf(z) {
+  // Abramowitz & Stegun 7.1.26, accurate to ~1e-7
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Inverse of the standard normal CDF
+ * @param {number} p - Probability in (0, 1)
+ * @returns {number} - Z score with P(Z <= z) = p
+ */
+function normalQuantile(p) {
+  if (p <= 0 || p >= 1) {
+    throw new ReachSparkError(
+      `Probability must be between 0 and 1, got ${p}`,
+      ErrorTypes.VALIDATION_ERROR,
+      SeverityLevels.WARNING
+    );
+  }
+
+  // Acklam's rational approximation, relative error ~1e-9
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const low = 0.02425;
+
+  if (p < low) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - low) {
+    return -normalQuantile(1 - p);
+  }
+
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+/**
+ * Two-sided two-proportion z-test of treatment against control
+ * @param {Object} control - { successes, trials }
+ * @param {Object} treatment - { successes, trials }
+ * @param {number} [alpha=0.05] - Significance level, also sets the confidence interval width
+ * @returns {Object} - { controlRate, treatmentRate, difference, relativeLift, zScore, pValue, confidenceInterval }
+ */
+function twoProportionZTest(control, treatment, alpha = ExperimentDefaults.alpha) {
+  const controlRate = control.trials > 0 ? control.successes / control.trials : 0;
+  const treatmentRate = treatment.trials > 0 ? treatment.successes / treatment.trials : 0;
+  const difference = treatmentRate - controlRate;
+  const relativeLift = controlRate > 0 ? difference / controlRate : null;
+
+  if (control.trials === 0 || treatment.trials === 0) {
+    return { controlRate, treatmentRate, difference, relativeLift, zScore: 0, pValue: 1, confidenceInterval: null };
+  }
+
+  // Pooled standard error under H0 for the test, unpooled for the interval
+  const pooledRate = (control.successes + treatment.successes) / (control.trials + treatment.trials);
+  const pooledSe = Math.sqrt(pooledRate * (1 - pooledRate) * (1 / control.trials + 1 / treatment.trials));
+  const se = Math.sqrt(controlRate * (1 - controlRate) / control.trials + treatmentRate * (1 - treatmentRate) / treatment.trials);
+
+  const zScore = pooledSe > 0 ? difference / pooledSe : 0;
+  const pValue = pooledSe > 0 ? 2 * (1 - normalCdf(Math.abs(zScore))) : 1;
+  const margin = normalQuantile(1 - alpha / 2) * se;
+
+  return {
+    controlRate,
+    treatmentRate,
+    difference,
+    relativeLift,
+    zScore,
+    pValue,
+    confidenceInterval: { lower: difference - margin, upper: difference + margin, level: 1 - alpha }
+  };
+}
+
+/**
+ * Seeded pseudo-random generator (mulberry32) so posterior estimates are reproducible
+ * @param {number} seed - Seed
+ * @returns {Function} - Generator returning numbers in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Sample a standard normal variate (Box-Muller)
+ * @param {Function} random - Uniform generator
+ * @returns {number} - Normal sample
+ */
+function sampleNormal(random) {
+  const u = 1 - random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * Sample a Gamma(shape, 1) variate (Marsaglia-Tsang)
+ * @param {number} shape - Shape parameter
+ * @param {Function} random - Uniform generator
+ * @returns {number} - Gamma sample
+ */
+function sampleGamma(shape, random) {
+  if (shape < 1) {
+    return sampleGamma(shape + 1, random) * Math.pow(random(), 1 / shape);
+  }
+
+  const d = shape - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+  for (;;) {
+    let x;
+    let v;
+    do {
+      x = sampleNormal(random);
+      v = 1 + c * x;
+    } while (v <= 0);
+    v = v * v * v;
+    const u = random();
+    if (Math.log(u) < 0.5 * x * x + d - d * v + d * Math.log(v)) {
+      return d * v;
+    }
+  }
+}
+
+/**
+ * Sample a Beta(a, b) variate
+ * @param {number} a - Alpha
+ * @param {number} b - Beta
+ * @param {Function} random - Uniform generator
+ * @returns {number} - Beta sample
+ */
+function sampleBeta(a, b, random) {
+  const x = sampleGamma(a, random);
+  const y = sampleGamma(b, random);
+  return x / (x + y);
+}
+
+/**
+ * Beta-Binomial posterior comparison of every arm against the control
+ * @param {Array<Object>} arms - [{ id, successes, trials }], the first arm is the control
+ * @param {Object} [options] - { prior: { alpha, beta }, samples, seed }
+ * @returns {Object} - Map of arm ID to { probabilityToBeatControl, probabilityBest, expectedLoss, posteriorMean }
+ */
+function bayesianComparison(arms, options = {}) {
+  const prior = options.prior || { alpha: 1, beta: 1 };
+  const samples = options.samples || ExperimentDefaults.posteriorSamples;
+  const random = createRandom(options.seed !== undefined ? options.seed : ExperimentDefaults.seed);
+
+  const posteriors = arms.map(arm => ({
+    alpha: prior.alpha + arm.successes,
+    beta: prior.beta + Math.max(0, arm.trials - arm.successes)
+  }));
+  const beatsControl = arms.map(() => 0);
+  const best = arms.map(() => 0);
+  const loss = arms.map(() => 0);
+
+  for (let i = 0; i < samples; i++) {
+    const draws = posteriors.map(posterior => sampleBeta(posterior.alpha, posterior.beta, random));
+    const max = Math.max(...draws);
+    draws.forEach((draw, index) => {
+      if (draw > draws[0]) {
+        beatsControl[index]++;
+      }
+      if (draw === max) {
+        best[index]++;
+      }
+      loss[index] += max - draw;
+    });
+  }
+
+  return arms.reduce((result, arm, index) => {
+    result[arm.id] = {
+      probabilityToBeatControl: index === 0 ? null : beatsControl[index] / samples,
+      probabilityBest: best[index] / samples,
+      expectedLoss: loss[index] / samples,
+      posteriorMean: posteriors[index].alpha / (posteriors[index].alpha + posteriors[index].beta)
+    };
+    return result;
+  }, {});
+}
+
+/**
+ * Minimum sample size per variant to detect a relative lift with the given power
+ * @param {Object} options - { baselineRate, minimumDetectableEffect, alpha, power, comparisons }
+ * @returns {number} - Trials needed in each variant
+ */
+function requiredSampleSize(options = {}) {
+  const baselineRate = options.baselineRate !== undefined ? options.baselineRate : ExperimentDefaults.baselineRate;
+  const mde = options.minimumDetectableEffect !== undefined ? options.minimumDetectableEffect : ExperimentDefaults.minimumDetectableEffect;
+  const alpha = options.alpha || ExperimentDefaults.alpha;
+  const power = options.power || ExperimentDefaults.power;
+  const comparisons = Math.max(1, options.comparisons || 1);
+
+  const targetRate = baselineRate * (1 + mde);
+  if (baselineRate <= 0 || baselineRate >= 1 || mde <= 0 || targetRate >= 1) {
+    throw new ReachSparkError(
+      'Baseline rate must be in (0, 1) and the detectable effect must keep the target rate below 1',
+      ErrorTypes.VALIDATION_ERROR,
+      SeverityLevels.WARNING,
+      null,
+      { baselineRate, minimumDetectableEffect: mde }
+    );
+  }
+
+  // Bonferroni-adjust alpha when several variants are compared to the control
+  const zAlpha = normalQuantile(1 - alpha / (2 * comparisons));
+  const zBeta = normalQuantile(power);
+  const averageRate = (baselineRate + targetRate) / 2;
+
+  const numerator = zAlpha * Math.sqrt(2 * averageRate * (1 - averageRate))
+    + zBeta * Math.sqrt(baselineRate * (1 - baselineRate) + targetRate * (1 - targetRate));
+
+  return Math.ceil(Math.pow(numerator, 2) / Math.pow(targetRate - baselineRate, 2));
+}
+
+/**
+ * Build the plan stored with a test when it is set up
+ * @param {Object} options - Plan overrides and variantCount (including the control)
+ * @returns {Object} - Experiment plan
+ */
+function createExperimentPlan(options = {}) {
+  const plan = {
+    primaryMetric: options.primaryMetric || ExperimentDefaults.primaryMetric,
+    baselineRate: options.baselineRate !== undefined ? options.baselineRate : ExperimentDefaults.baselineRate,
+    minimumDetectableEffect: options.minimumDetectableEffect !== undefined ? options.minimumDetectableEffect : ExperimentDefaults.minimumDetectableEffect,
+    alpha: options.alpha || ExperimentDefaults.alpha,
+    power: options.power || ExperimentDefaults.power,
+    minDurationDays: options.minDurationDays !== undefined ? options.minDurationDays : ExperimentDefaults.minDurationDays,
+    maxDurationDays: options.maxDurationDays || ExperimentDefaults.maxDurationDays,
+    comparisons: Math.max(1, (options.variantCount || 2) - 1)
+  };
+
+  getMetric(plan.primaryMetric);
+  plan.minSampleSizePerVariant = requiredSampleSize(plan);
+
+  return plan;
+}
+
+/**
+ * Alpha spent by an information fraction (Lan-DeMets O'Brien-Fleming spending function)
+ * @param {number} alpha - Overall two-sided significance level
+ * @param {number} informationFraction - Share of the planned sample collected (0-1)
+ * @returns {number} - Cumulative alpha available at this look
+ */
+function alphaSpent(alpha, informationFraction) {
+  if (informationFraction <= 0) {
+    return 0;
+  }
+  if (informationFraction >= 1) {
+    return alpha;
+  }
+  return 2 * (1 - normalCdf(normalQuantile(1 - alpha / 2) / Math.sqrt(informationFraction)));
+}
+
+/**
+ * Analyze a test's variations against its plan
+ * @param {Array<Object>} variations - Test variations with { id, isOriginal, metrics }
+ * @param {Object} plan - Experiment plan from createExperimentPlan
+ * @param {Object} [options] - { force: end the test even if the planned sample is not reached, samples, seed }
+ * @returns {Object} - { outcome, winnerId, reason, informationFraction, alphaBoundary, variants }
+ */
+function analyzeExperiment(variations, plan, options = {}) {
+  const metric = getMetric(plan.primaryMetric);
+  const control = variations.find(variation => variation.isOriginal) || variations[0];
+  const ordered = [control, ...variations.filter(variation => variation !== control)];
+  const arms = ordered.map(variation => ({
+    id: variation.id,
+    successes: (variation.metrics && variation.metrics[metric.successes]) || 0,
+    trials: (variation.metrics && variation.metrics[metric.trials]) || 0
+  }));
+
+  const comparisonAlpha = plan.alpha / Math.max(1, arms.length - 1);
+  const minTrials = Math.min(...arms.map(arm => arm.trials));
+  const informationFraction = Math.min(1, minTrials / plan.minSampleSizePerVariant);
+  const alphaBoundary = alphaSpent(comparisonAlpha, informationFraction);
+  const bayesian = bayesianComparison(arms, { samples: options.samples, seed: options.seed });
+
+  const variants = arms.map((arm, index) => {
+    const base = {
+      id: arm.id,
+      isOriginal: index === 0,
+      successes: arm.successes,
+      trials: arm.trials,
+      rate: arm.trials > 0 ? arm.successes / arm.trials : 0,
+      ...bayesian[arm.id]
+    };
+    if (index === 0) {
+      return base;
+    }
+
+    const test = twoProportionZTest(arms[0], arm, comparisonAlpha);
+    return {
+      ...base,
+      difference: test.difference,
+      relativeLift: test.relativeLift,
+      zScore: test.zScore,
+      pValue: test.pValue,
+      confidenceInterval: test.confidenceInterval,
+      significant: test.pValue < alphaBoundary
+    };
+  });
+
+  const treatments = variants.slice(1);
+  const betterTreatments = treatments.filter(variant => variant.significant && variant.difference > 0);
+  const result = { outcome: null, winnerId: null, reason: null, informationFraction, alphaBoundary, variants };
+
+  if (betterTreatments.length > 0) {
+    const winner = betterTreatments.reduce((best, variant) => (variant.rate > best.rate ? variant : best));
+    return { ...result, outcome: ExperimentOutcome.WINNER, winnerId: winner.id, reason: 'Variation significantly outperformed the original' };
+  }
+
+  if (treatments.length > 0 && treatments.every(variant => variant.significant && variant.difference < 0)) {
+    return { ...result, outcome: ExperimentOutcome.WINNER, winnerId: variants[0].id, reason: 'Original significantly outperformed every variation' };
+  }
+
+  if (informationFraction >= 1 || options.force) {
+    return {
+      ...result,
+      outcome: ExperimentOutcome.INCONCLUSIVE,
+      reason: informationFraction >= 1
+        ? 'Planned sample size reached without a significant difference'
+        : 'Test ended before reaching the planned sample size without a significant difference'
+    };
+  }
+
+  return { ...result, outcome: ExperimentOutcome.CONTINUE, reason: 'Planned sample size not reached' };
+}
+
+module.exports = {
+  ExperimentMetrics,
+  ExperimentOutcome,
+  ExperimentDefaults,
+  getMetric,
+  normalCdf,
+  normalQuantile,
+  twoProportionZTest,
+  createRandom,
+  sampleBeta,
+  bayesianComparison,
+  requiredSampleSize,
+  createExperimentPlan,
+  alphaSpent,
+  analyzeExperiment
+};
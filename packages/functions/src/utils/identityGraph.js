@@ -0,0 +1,321 @@
+/**
+ * Identity graph helpers for ReachSpark AMIA
+ *
+ * Customers are recognized by several identifiers over time: an anonymous web ID before
+ * they sign up, an email or phone number from a form or CRM, and the IDs of the devices
+ * they use. Each identifier is normalized and hashed into a key; the graph maps every key
+ * to one customer so touchpoints and conversions recorded under any of them join a single
+ * journey. Emails and phone numbers are only ever stored as SHA-256 hashes.
+ *
+ * This module also parses offline (CRM / point-of-sale) conversion uploads in CSV or JSON.
+ */
+
+const crypto = require('crypto');
+const { ReachSparkError, ErrorTypes, SeverityLevels } = require('./errorLogging');
+const { toMillis } = require('./attributionModels');
+const { toE164 } = require('./phoneNumbers');
+
+/**
+ * Identifier types, in the order used to pick the customer when identifiers disagree
+ */
+const IdentifierTypes = {
+  CUSTOMER_ID: 'customer_id',
+  EMAIL: 'email',
+  PHONE: 'phone',
+  DEVICE_ID: 'device_id',
+  ANONYMOUS_ID: 'anonymous_id'
+};
+
+/**
+ * Request fields that carry each identifier type; hashed fields take pre-hashed values
+ */
+const IdentifierFields = {
+  customerId: IdentifierTypes.CUSTOMER_ID,
+  email: IdentifierTypes.EMAIL,
+  hashedEmail: IdentifierTypes.EMAIL,
+  phone: IdentifierTypes.PHONE,
+  hashedPhone: IdentifierTypes.PHONE,
+  deviceId: IdentifierTypes.DEVICE_ID,
+  anonymousId: IdentifierTypes.ANONYMOUS_ID
+};
+
+/**
+ * Default offline import settings
+ */
+const OfflineImportDefaults = {
+  maxRows: 5000,
+  conversionType: 'purchase',
+  defaultCountryCode: '1'
+};
+
+const SHA256_PATTERN = /^[a-f0-9]{64}$/;
+
+/**
+ * Create a validation error
+ * @param {string} message - Error message
+ * @param {Object} context - Error context
+ * @returns {ReachSparkError} - Error
+ */
+function validationError(message, context = {}) {
+  return new ReachSparkError(message, ErrorTypes.VALIDATION_ERROR, SeverityLevels.WARNING, null, context);
+}
+
+/**
+ * Normalize an identifier so the same person always produces the same key
+ * @param {string} type - Identifier type
+ * @param {string} value - Raw value
+ * @param {Object} [options] - { defaultCountryCode } for phone numbers without one
+ * @returns {string|null} - Normalized value, or null if nothing usable remains
+ */
+function normalizeIdentifier(type, value, options = {}) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const text = String(value).trim();
+  if (!text) {
+    return null;
+  }
+
+  switch (type) {
+    case IdentifierTypes.EMAIL:
+      return text.includes('@') ? text.toLowerCase() : null;
+
+    case IdentifierTypes.PHONE:
+      // The same E.164 form SMS dispatch and the consent ledger use
+      return toE164(text, { defaultCountryCode: options.defaultCountryCode || OfflineImportDefaults.defaultCountryCode });
+
+    default:
+      return text;
+  }
+}
+
+/**
+ * Hash a normalized identifier
+ * @param {string} normalized - Normalized value
+ * @returns {string} - SHA-256 hex digest
+ */
+function sha256(normalized) {
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * Collect the identifiers present on a touchpoint, conversion or import row
+ * @param {Object} data - Record with any of customerId, email, hashedEmail, phone, hashedPhone, deviceId, anonymousId
+ * @param {Object} [options] - Normalization options
+ * @returns {Array<Object>} - [{ type, hash }] de-duplicated, in IdentifierTypes order
+ */
+function extractIdentifiers(data, options = {}) {
+  const seen = new Set();
+  const identifiers = [];
+
+  Object.entries(IdentifierFields).forEach(([field, type]) => {
+    const value = data[field];
+    if (value === undefined || value === null || value === '') {
+      return;
+    }
+
+    let hash;
+    if (field === 'hashedEmail' || field === 'hashedPhone') {
+      hash = String(value).trim().toLowerCase();
+      if (!SHA256_PATTERN.test(hash)) {
+        throw validationError(`${field} must be a SHA-256 hex digest`, { field });
+      }
+    } else {
+      const normalized = normalizeIdentifier(type, value, options);
+      if (!normalized) {
+        return;
+      }
+      hash = sha256(normalized);
+    }
+
+    const key = `${type}_${hash}`;
+    if (!seen.has(key)) {
+      seen.add(key);
+      identifiers.push({ type, hash });
+    }
+  });
+
+  const order = Object.values(IdentifierTypes);
+  return identifiers.sort((a, b) => order.indexOf(a.type) - order.indexOf(b.type));
+}
+
+/**
+ * Check whether a record carries anything that identifies a customer
+ * @param {Object} data - Record
+ * @returns {boolean} - True if a customer ID or another identifier is present
+ */
+function hasIdentifiers(data) {
+  return !!data && Object.keys(IdentifierFields).some(field => data[field] !== undefined && data[field] !== null && data[field] !== '');
+}
+
+/**
+ * Remove raw emails and phone numbers from a record before it is stored
+ * @param {Object} data - Record
+ * @returns {Object} - Copy without email and phone
+ */
+function stripPersonalIdentifiers(data) {
+  const { email, phone, ...rest } = data;
+  return rest;
+}
+
+/**
+ * Merge journeys that turned out to belong to the same customer
+ * @param {Array<Object>} journeys - Journeys with touchpoints and conversions
+ * @returns {Object} - { touchpoints, conversions } de-duplicated and in time order
+ */
+function mergeJourneyRecords(journeys) {
+  const collect = (field, idField) => {
+    const byId = new Map();
+    journeys.forEach(journey => {
+      (journey[field] || []).forEach(record => {
+        const id = record[idField] || `${record.channelType || record.conversionType}_${toMillis(record.timestamp)}`;
+        if (!byId.has(id)) {
+          byId.set(id, record);
+        }
+      });
+    });
+    return [...byId.values()].sort((a, b) => toMillis(a.timestamp) - toMillis(b.timestamp));
+  };
+
+  return {
+    touchpoints: collect('touchpoints', 'touchpointId'),
+    conversions: collect('conversions', 'conversionId')
+  };
+}
+
+/**
+ * Parse CSV text with a header row (RFC 4180 quoting)
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} - Rows keyed by header
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) {
+    throw validationError('CSV has an unterminated quoted field');
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header, ...body] = rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+  if (!header) {
+    return [];
+  }
+  const columns = header.map(column => column.trim());
+  return body.map(cells => columns.reduce((record, column, index) => ({
+    ...record,
+    [column]: cells[index] !== undefined ? cells[index].trim() : ''
+  }), {}));
+}
+
+/**
+ * Parse and validate an offline conversion upload
+ *
+ * Each row needs a timestamp and at least one identifier; value defaults to 0 and
+ * conversionType to a purchase. orderId, when given, makes re-imports idempotent.
+ * @param {string|Array<Object>} input - CSV text or an array of rows
+ * @param {Object} [options] - { format: 'csv' | 'json', conversionType, maxRows }
+ * @returns {Object} - { conversions, errors: [{ row, message }] }
+ */
+function parseOfflineConversions(input, options = {}) {
+  const format = options.format || (typeof input === 'string' ? 'csv' : 'json');
+  let rows;
+  if (format === 'csv') {
+    rows = parseCsv(String(input));
+  } else if (format === 'json') {
+    rows = typeof input === 'string' ? JSON.parse(input) : input;
+  } else {
+    throw validationError(`Unsupported import format: ${format}`, { format });
+  }
+
+  if (!Array.isArray(rows)) {
+    throw validationError('Offline conversions must be a list of rows');
+  }
+  const maxRows = options.maxRows || OfflineImportDefaults.maxRows;
+  if (rows.length > maxRows) {
+    throw validationError(`Offline imports are limited to ${maxRows} rows`, { rows: rows.length });
+  }
+
+  const conversions = [];
+  const errors = [];
+  rows.forEach((row, index) => {
+    // Report row numbers as the uploader sees them (CSV line 1 is the header)
+    const rowNumber = format === 'csv' ? index + 2 : index + 1;
+    try {
+      if (!hasIdentifiers(row)) {
+        throw validationError('Row has no customer identifier');
+      }
+      const timestamp = new Date(row.timestamp);
+      if (!row.timestamp || Number.isNaN(timestamp.getTime())) {
+        throw validationError('Row has no valid timestamp');
+      }
+      const value = row.value === undefined || row.value === '' ? 0 : Number(row.value);
+      if (!Number.isFinite(value)) {
+        throw validationError('Row value is not a number');
+      }
+
+      conversions.push({
+        row: rowNumber,
+        identity: Object.keys(IdentifierFields).reduce((identity, field) => (
+          row[field] !== undefined && row[field] !== '' ? { ...identity, [field]: row[field] } : identity
+        ), {}),
+        identifiers: extractIdentifiers(row, options),
+        conversionType: row.conversionType || options.conversionType || OfflineImportDefaults.conversionType,
+        value,
+        currency: row.currency || null,
+        orderId: row.orderId ? String(row.orderId) : null,
+        timestamp
+      });
+    } catch (error) {
+      errors.push({ row: rowNumber, message: error.message });
+    }
+  });
+
+  return { conversions, errors };
+}
+
+module.exports = {
+  IdentifierTypes,
+  OfflineImportDefaults,
+  normalizeIdentifier,
+  sha256,
+  extractIdentifiers,
+  hasIdentifiers,
+  stripPersonalIdentifiers,
+  mergeJourneyRecords,
+  parseCsv,
+  parseOfflineConversions
+};
@@ -0,0 +1,50 @@
+/**
+ * Image color extraction for ReachSpark
+ *
+ * Reads the dominant colors of an image: the brand kit creator uses them for a site's logo
+ * and hero image, and the influencer marketplace checks submitted content against the
+ * brand palette with them.
+ */
+
+const axios = require('axios');
+const ColorThief = require('colorthief');
+const tinycolor = require('tinycolor2');
+
+// Images can come from influencer-supplied URLs, so fetches are bounded
+const IMAGE_FETCH_TIMEOUT_MS = 10000;
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+
+/**
+ * Extract the dominant colors of an image
+ * @param {string} imageUrl - The image URL
+ * @param {number} [count] - Number of colors (default 5)
+ * @returns {Promise<Array<string>>} - Colors as hex, most dominant first (empty if the image could not be read)
+ */
+async function extractImageColors(imageUrl, count = 5) {
+  try {
+    // Fetch image
+    const response = await axios.get(imageUrl, {
+      responseType: 'arraybuffer',
+      timeout: IMAGE_FETCH_TIMEOUT_MS,
+      maxContentLength: MAX_IMAGE_BYTES,
+      maxRedirects: 3
+    });
+
+    // Extract dominant colors; the palette size must be between 2 and 20
+    const palette = await ColorThief.getPalette(Buffer.from(response.data), Math.min(20, Math.max(2, count)));
+
+    // Convert RGB to hex
+    return (palette || []).slice(0, count).map(rgb => {
+      return tinycolor({ r: rgb[0], g: rgb[1], b: rgb[2] }).toHexString();
+    });
+  } catch (error) {
+    console.error('Error extracting image colors:', error);
+    return [];
+  }
+}
+
+module.exports = {
+  IMAGE_FETCH_TIMEOUT_MS,
+  MAX_IMAGE_BYTES,
+  extractImageColors
+};
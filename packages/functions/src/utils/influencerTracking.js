@@ -0,0 +1,564 @@
+/**
+ * Tracked links and promo codes for influencer campaigns
+ *
+ * Each influencer in a campaign gets a short link and a promo code of their own:
+ *
+ * - Short links redirect to the brand's landing page. Every click is logged, and the
+ *   destination carries UTM parameters and an rs_click parameter holding the visitor's
+ *   anonymous ID, which the brand's checkout sends back with the order so the sale can be
+ *   tied to the click.
+ * - Promo codes tie a sale to an influencer even when the customer never clicked a link.
+ *
+ * Clicks and orders are recorded as attribution touchpoints and conversions by the
+ * marketplace; this module keeps the links, codes and per-influencer credit that campaign
+ * reports are built from.
+ *
+ * Orders can release performance payments, so brands sign them: each brand has a signing
+ * secret, and its checkout sends `t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">`
+ * in the X-ReachSpark-Signature header. Only credit from verified orders counts towards
+ * conversions and revenue.
+ */
+
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const functions = require('firebase-functions');
+const { ReachSparkError, ErrorTypes, SeverityLevels } = require('./errorLogging');
+
+// Initialize Firestore if not already initialized
+if (!admin.apps.length) {
+  admin.initializeApp();
+}
+const db = admin.firestore();
+
+/**
+ * How a sale reached an influencer
+ */
+const TrackingSource = {
+  TRACKED_LINK: 'tracked_link',
+  PROMO_CODE: 'promo_code'
+};
+
+const TrackingDefaults = {
+  SHORT_CODE_LENGTH: 7,
+  PROMO_SUFFIX_LENGTH: 4,
+  PROMO_PREFIX_MAX_LENGTH: 8,
+  PROMO_PREFIX_FALLBACK: 'CREATOR',
+  // Attempts at finding an unused code before giving up
+  MAX_CODE_ATTEMPTS: 5,
+  // How old a signed order may be, against replays
+  SIGNATURE_TOLERANCE_SECONDS: 300
+};
+
+/**
+ * Header carrying the order signature
+ */
+const ORDER_SIGNATURE_HEADER = 'x-reachspark-signature';
+
+const BASE62 = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+// No 0/O or 1/I, which people mistype when reading a code off a video
+const PROMO_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// Link previews and crawlers fetch links without a person behind them
+const BOT_USER_AGENT = /bot|crawl|spider|slurp|preview|facebookexternalhit|embedly|headless|curl|wget|python-requests/i;
+
+/**
+ * Random string from an alphabet
+ * @param {string} alphabet - Characters to use
+ * @param {number} length - Length
+ * @returns {string} Random string
+ */
+const randomString = (alphabet, length) => {
+  // Rejection sampling keeps every character equally likely
+  const limit = 256 - (256 % alphabet.length);
+  let result = '';
+  while (result.length < length) {
+    for (const byte of crypto.randomBytes(length)) {
+      if (byte < limit && result.length < length) {
+        result += alphabet[byte % alphabet.length];
+      }
+    }
+  }
+  return result;
+};
+
+/**
+ * Generate a short link code
+ * @param {number} length - Code length
+ * @returns {string} Base62 code
+ */
+const generateShortCode = (length = TrackingDefaults.SHORT_CODE_LENGTH) => randomString(BASE62, length);
+
+/**
+ * Normalize a promo code as customers type it
+ * @param {string} code - Promo code
+ * @returns {string} Uppercase code without spaces
+ */
+const normalizePromoCode = (code) => String(code || '').replace(/\s+/g, '').toUpperCase();
+
+/**
+ * Promo code prefix for an influencer, from their handle or name
+ * @param {Object} influencer - Influencer profile
+ * @returns {string} Uppercase letters and digits
+ */
+const promoPrefixFor = (influencer = {}) => {
+  const source = influencer.handle || influencer.username || influencer.name || influencer.displayName || '';
+  const prefix = normalizePromoCode(source)
+    .normalize('NFKD')
+    .replace(/[^A-Z0-9]/g, '')
+    .slice(0, TrackingDefaults.PROMO_PREFIX_MAX_LENGTH);
+  return prefix || TrackingDefaults.PROMO_PREFIX_FALLBACK;
+};
+
+/**
+ * Generate a promo code
+ * @param {string} prefix - Prefix, usually from promoPrefixFor
+ * @param {number} suffixLength - Random suffix length
+ * @returns {string} Promo code
+ */
+const generatePromoCode = (prefix, suffixLength = TrackingDefaults.PROMO_SUFFIX_LENGTH) =>
+  `${normalizePromoCode(prefix)}${randomString(PROMO_ALPHABET, suffixLength)}`;
+
+/**
+ * Check a landing page URL
+ * @param {string} url - Destination URL
+ * @returns {string} Normalized URL
+ * @throws {ReachSparkError} If the URL is not an absolute http(s) URL
+ */
+const validateDestinationUrl = (url) => {
+  let parsed = null;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    parsed = null;
+  }
+  if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+    throw new ReachSparkError(
+      'Destination must be an http or https URL',
+      ErrorTypes.VALIDATION_ERROR,
+      SeverityLevels.WARNING,
+      null,
+      { destinationUrl: url }
+    );
+  }
+  return parsed.toString();
+};
+
+/**
+ * Add campaign parameters to a landing page URL
+ *
+ * UTM parameters the brand already set on the destination are kept.
+ * @param {string} destinationUrl - Landing page URL
+ * @param {Object} params - { campaignId, influencerId, clickId }
+ * @returns {string} URL to redirect to
+ */
+const buildTrackedDestination = (destinationUrl, params) => {
+  const url = new URL(destinationUrl);
+  const defaults = {
+    utm_source: 'influencer',
+    utm_medium: 'influencer',
+    utm_campaign: params.campaignId,
+    utm_content: params.influencerId
+  };
+  Object.entries(defaults).forEach(([key, value]) => {
+    if (value && !url.searchParams.has(key)) {
+      url.searchParams.set(key, value);
+    }
+  });
+  if (params.clickId) {
+    url.searchParams.set('rs_click', params.clickId);
+  }
+  return url.toString();
+};
+
+/**
+ * Public URL of a short link
+ * @param {string} code - Short code
+ * @returns {string|null} URL, or null when no short link domain is configured
+ */
+const buildShortUrl = (code) => {
+  const config = functions.config().tracking || {};
+  const baseUrl = config.short_link_base_url || process.env.TRACKING_SHORT_LINK_BASE_URL || null;
+  return baseUrl ? `${baseUrl.replace(/\/+$/, '')}/${code}` : null;
+};
+
+/**
+ * Whether a click came from a crawler or link preview
+ * @param {string} userAgent - User-Agent header
+ * @returns {boolean} True for bots
+ */
+const isBotUserAgent = (userAgent) => !userAgent || BOT_USER_AGENT.test(userAgent);
+
+/**
+ * Write a document under the first unused generated ID
+ * @param {string} collection - Collection name
+ * @param {Function} makeId - Returns a candidate ID
+ * @param {Function} makeData - Builds the document from its ID
+ * @returns {Promise<Object>} Stored document with its ID
+ */
+const createWithUniqueId = async (collection, makeId, makeData) => {
+  for (let attempt = 0; attempt < TrackingDefaults.MAX_CODE_ATTEMPTS; attempt++) {
+    const id = makeId();
+    const ref = db.collection(collection).doc(id);
+    const existing = await ref.get();
+    if (!existing.exists) {
+      const data = makeData(id);
+      await ref.set(data);
+      return { id, ...data };
+    }
+  }
+  throw new ReachSparkError(
+    `Could not find an unused code in ${collection}`,
+    ErrorTypes.DATABASE_ERROR,
+    SeverityLevels.ERROR
+  );
+};
+
+/**
+ * Create a tracked short link for an influencer
+ * @param {Object} params - { campaignId, influencerId, brandId, destinationUrl }
+ * @returns {Promise<Object>} Link with its short URL
+ */
+const createTrackedLink = async (params) => {
+  const destinationUrl = validateDestinationUrl(params.destinationUrl);
+  const link = await createWithUniqueId('trackedLinks', () => generateShortCode(), code => ({
+    code,
+    campaignId: params.campaignId,
+    influencerId: params.influencerId,
+    brandId: params.brandId,
+    destinationUrl,
+    clicks: 0,
+    botClicks: 0,
+    active: true,
+    createdAt: admin.firestore.FieldValue.serverTimestamp()
+  }));
+  return { ...link, shortUrl: buildShortUrl(link.code) };
+};
+
+/**
+ * Create a unique promo code for an influencer
+ * @param {Object} params - { campaignId, influencerId, brandId, prefix, discount }
+ * @returns {Promise<Object>} Promo code
+ */
+const createPromoCode = async (params) => createWithUniqueId('promoCodes', () => generatePromoCode(params.prefix), code => ({
+  code,
+  campaignId: params.campaignId,
+  influencerId: params.influencerId,
+  brandId: params.brandId,
+  discount: params.discount || null,
+  redemptions: 0,
+  revenue: 0,
+  active: true,
+  createdAt: admin.firestore.FieldValue.serverTimestamp()
+}));
+
+/**
+ * Get an active tracked link
+ * @param {string} code - Short code
+ * @returns {Promise<Object|null>} Link, or null if it does not exist or was deactivated
+ */
+const getTrackedLink = async (code) => {
+  if (!code) {
+    return null;
+  }
+  const doc = await db.collection('trackedLinks').doc(String(code)).get();
+  return doc.exists && doc.data().active !== false ? { id: doc.id, ...doc.data() } : null;
+};
+
+/**
+ * Get an active promo code
+ * @param {string} code - Promo code as the customer typed it
+ * @returns {Promise<Object|null>} Promo code, or null if it does not exist or was deactivated
+ */
+const getPromoCode = async (code) => {
+  const normalized = normalizePromoCode(code);
+  if (!normalized) {
+    return null;
+  }
+  const doc = await db.collection('promoCodes').doc(normalized).get();
+  return doc.exists && doc.data().active !== false ? { id: doc.id, ...doc.data() } : null;
+};
+
+/**
+ * Log a click on a tracked link
+ *
+ * IP addresses are stored hashed. Bot clicks are logged but not counted as clicks.
+ * @param {Object} link - Tracked link
+ * @param {Object} click - { clickId, touchpointId, isBot, userAgent, ipAddress, referrer }
+ * @returns {Promise<Object>} Logged click
+ */
+const logLinkClick = async (link, click) => {
+  const entry = {
+    code: link.code,
+    campaignId: link.campaignId,
+    influencerId: link.influencerId,
+    brandId: link.brandId,
+    clickId: click.clickId,
+    touchpointId: click.touchpointId || null,
+    isBot: !!click.isBot,
+    userAgent: click.userAgent || null,
+    ipHash: click.ipAddress ? crypto.createHash('sha256').update(String(click.ipAddress)).digest('hex') : null,
+    referrer: click.referrer || null,
+    clickedAt: admin.firestore.FieldValue.serverTimestamp()
+  };
+  const ref = await db.collection('trackedLinkClicks').add(entry);
+  await db.collection('trackedLinks').doc(link.code).update({
+    [click.isBot ? 'botClicks' : 'clicks']: admin.firestore.FieldValue.increment(1),
+    lastClickedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+  return { id: ref.id, ...entry };
+};
+
+/**
+ * Split a conversion's attributed value between influencers
+ * @param {Array<Object>} attributedTouchpoints - Attribution touchpoints { touchpointId, channelType, attributionCredit, attributionValue }
+ * @param {Object} touchpointsById - Stored touchpoints by ID, carrying campaignId and influencerId
+ * @param {string} influencerChannel - Channel type of influencer touchpoints
+ * @returns {Array<Object>} [{ campaignId, influencerId, credit, revenue, touchpointIds }]
+ */
+const creditInfluencers = (attributedTouchpoints = [], touchpointsById = {}, influencerChannel = 'influencer') => {
+  const byInfluencer = new Map();
+  attributedTouchpoints.forEach(attributed => {
+    const touchpoint = touchpointsById[attributed.touchpointId];
+    if (attributed.channelType !== influencerChannel || !touchpoint || !touchpoint.influencerId) {
+      return;
+    }
+    const key = `${touchpoint.campaignId}|${touchpoint.influencerId}`;
+    const entry = byInfluencer.get(key) || {
+      campaignId: touchpoint.campaignId,
+      influencerId: touchpoint.influencerId,
+      credit: 0,
+      revenue: 0,
+      touchpointIds: []
+    };
+    entry.credit += attributed.attributionCredit || 0;
+    entry.revenue += attributed.attributionValue || 0;
+    entry.touchpointIds.push(attributed.touchpointId);
+    byInfluencer.set(key, entry);
+  });
+  return [...byInfluencer.values()].filter(entry => entry.credit > 0);
+};
+
+/**
+ * Store the credit influencers earned for an order
+ * @param {Object} order - { brandId, orderId, conversionId, value, currency, verified }
+ * @param {Array<Object>} credits - From creditInfluencers
+ * @returns {Promise<Array<Object>>} Stored credit records
+ */
+const recordInfluencerCredits = async (order, credits) => Promise.all(credits.map(async (credit) => {
+  const record = {
+    campaignId: credit.campaignId,
+    influencerId: credit.influencerId,
+    brandId: order.brandId,
+    orderId: order.orderId,
+    conversionId: order.conversionId,
+    orderValue: order.value,
+    currency: order.currency || null,
+    credit: credit.credit,
+    revenue: credit.revenue,
+    touchpointIds: credit.touchpointIds,
+    verified: !!order.verified,
+    createdAt: admin.firestore.FieldValue.serverTimestamp()
+  };
+  await db.collection('influencerConversions').doc(`${order.conversionId}_${credit.influencerId}`).set(record);
+  return record;
+}));
+
+/**
+ * Count a promo code redemption
+ * @param {string} code - Promo code
+ * @param {number} value - Order value
+ * @returns {Promise<void>}
+ */
+const recordPromoRedemption = async (code, value) => {
+  await db.collection('promoCodes').doc(code).update({
+    redemptions: admin.firestore.FieldValue.increment(1),
+    revenue: admin.firestore.FieldValue.increment(value || 0),
+    lastRedeemedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+};
+
+/**
+ * Sign an order payload
+ * @param {string} secret - Brand signing secret
+ * @param {string|Buffer} rawBody - Request body exactly as sent
+ * @param {number} timestamp - Unix time in seconds
+ * @returns {string} Signature header value
+ */
+const signOrderPayload = (secret, rawBody, timestamp) => {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+};
+
+/**
+ * Create or replace a brand's order signing secret
+ *
+ * The secret is only returned here; the previous one stops working immediately.
+ * @param {string} brandId - Brand ID
+ * @returns {Promise<string>} New secret
+ */
+const rotateOrderSigningSecret = async (brandId) => {
+  const secret = `whsec_${crypto.randomBytes(32).toString('hex')}`;
+  await db.collection('influencerOrderSecrets').doc(brandId).set({
+    brandId,
+    secret,
+    rotatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+  return secret;
+};
+
+/**
+ * Check that an order request was signed by the brand it claims to come from
+ * @param {string} brandId - Brand the order is for
+ * @param {string|Buffer} rawBody - Request body exactly as received
+ * @param {string} header - X-ReachSpark-Signature header
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<void>}
+ * @throws {ReachSparkError} AUTHENTICATION_ERROR if the signature is missing, stale or wrong,
+ *   or the brand has no signing secret
+ */
+const verifyOrderSignature = async (brandId, rawBody, header, now = Date.now()) => {
+  const reject = (message) => new ReachSparkError(
+    message,
+    ErrorTypes.AUTHENTICATION_ERROR,
+    SeverityLevels.WARNING,
+    null,
+    { brandId }
+  );
+
+  const parts = String(header || '').split(',').reduce((fields, part) => {
+    const [key, value] = part.split('=');
+    return { ...fields, [key.trim()]: (value || '').trim() };
+  }, {});
+  const timestamp = Number(parts.t);
+  if (!brandId || rawBody === undefined || rawBody === null || !Number.isFinite(timestamp) || !/^[a-f0-9]{64}$/.test(parts.v1 || '')) {
+    throw reject('Missing or malformed order signature');
+  }
+  if (Math.abs(now / 1000 - timestamp) > TrackingDefaults.SIGNATURE_TOLERANCE_SECONDS) {
+    throw reject('Order signature has expired');
+  }
+
+  const secretDoc = await db.collection('influencerOrderSecrets').doc(brandId).get();
+  if (!secretDoc.exists || !secretDoc.data().secret) {
+    throw reject('No order signing secret is set up for this brand');
+  }
+
+  const expected = Buffer.from(signOrderPayload(secretDoc.data().secret, rawBody, parts.t).split('v1=')[1], 'hex');
+  if (!crypto.timingSafeEqual(expected, Buffer.from(parts.v1, 'hex'))) {
+    throw reject('Order signature does not match');
+  }
+};
+
+/**
+ * Get the links and promo codes an influencer already has for a campaign
+ * @param {string} campaignId - Campaign ID
+ * @param {string} influencerId - Influencer ID
+ * @returns {Promise<Object>} { links, promoCodes }
+ */
+const getInfluencerTrackingAssets = async (campaignId, influencerId) => {
+  const [links, promoCodes] = await Promise.all(['trackedLinks', 'promoCodes'].map(async (collection) => {
+    const snapshot = await db.collection(collection)
+      .where('campaignId', '==', campaignId)
+      .where('influencerId', '==', influencerId)
+      .get();
+    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+  }));
+  return {
+    links: links.map(link => ({ ...link, shortUrl: buildShortUrl(link.code) })),
+    promoCodes
+  };
+};
+
+/**
+ * Clicks, redemptions and attributed revenue per influencer for a campaign
+ *
+ * Conversions and revenue only count verified orders; unverified ones are reported
+ * separately and never feed performance payments.
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<Object>} { byInfluencer, totals }
+ */
+const summarizeCampaignTracking = async (campaignId) => {
+  const [links, promoCodes, conversions] = await Promise.all(
+    ['trackedLinks', 'promoCodes', 'influencerConversions'].map(collection =>
+      db.collection(collection).where('campaignId', '==', campaignId).get())
+  );
+
+  const byInfluencer = {};
+  const entryFor = (influencerId) => {
+    byInfluencer[influencerId] = byInfluencer[influencerId] || {
+      clicks: 0,
+      redemptions: 0,
+      promoCodeSales: 0,
+      conversions: 0,
+      revenue: 0,
+      unverifiedConversions: 0,
+      unverifiedRevenue: 0,
+      links: [],
+      promoCodes: []
+    };
+    return byInfluencer[influencerId];
+  };
+
+  links.docs.forEach(doc => {
+    const link = doc.data();
+    const entry = entryFor(link.influencerId);
+    entry.clicks += link.clicks || 0;
+    entry.links.push(link.code);
+  });
+  promoCodes.docs.forEach(doc => {
+    const promo = doc.data();
+    const entry = entryFor(promo.influencerId);
+    entry.redemptions += promo.redemptions || 0;
+    entry.promoCodeSales += promo.revenue || 0;
+    entry.promoCodes.push(promo.code);
+  });
+  conversions.docs.forEach(doc => {
+    const conversion = doc.data();
+    const entry = entryFor(conversion.influencerId);
+    if (conversion.verified === true) {
+      entry.conversions += 1;
+      entry.revenue += conversion.revenue || 0;
+    } else {
+      entry.unverifiedConversions += 1;
+      entry.unverifiedRevenue += conversion.revenue || 0;
+    }
+  });
+
+  const totals = Object.values(byInfluencer).reduce((sum, entry) => ({
+    clicks: sum.clicks + entry.clicks,
+    redemptions: sum.redemptions + entry.redemptions,
+    promoCodeSales: sum.promoCodeSales + entry.promoCodeSales,
+    conversions: sum.conversions + entry.conversions,
+    revenue: sum.revenue + entry.revenue,
+    unverifiedConversions: sum.unverifiedConversions + entry.unverifiedConversions,
+    unverifiedRevenue: sum.unverifiedRevenue + entry.unverifiedRevenue
+  }), { clicks: 0, redemptions: 0, promoCodeSales: 0, conversions: 0, revenue: 0, unverifiedConversions: 0, unverifiedRevenue: 0 });
+
+  return { byInfluencer, totals };
+};
+
+module.exports = {
+  TrackingSource,
+  TrackingDefaults,
+  ORDER_SIGNATURE_HEADER,
+  generateShortCode,
+  normalizePromoCode,
+  promoPrefixFor,
+  generatePromoCode,
+  validateDestinationUrl,
+  buildTrackedDestination,
+  buildShortUrl,
+  isBotUserAgent,
+  createTrackedLink,
+  createPromoCode,
+  getTrackedLink,
+  getPromoCode,
+  logLinkClick,
+  creditInfluencers,
+  recordInfluencerCredits,
+  recordPromoRedemption,
+  signOrderPayload,
+  rotateOrderSigningSecret,
+  verifyOrderSignature,
+  getInfluencerTrackingAssets,
+  summarizeCampaignTracking
+};
@@ -0,0 +1,481 @@
+/**
+ * Journey definition helpers for ReachSpark AMIA
+ *
+ * Marketers describe a journey as a JSON graph of nodes:
+ *
+ *   trigger - entry point, fires on an interaction event         { event, next }
+ *   wait    - pauses the customer for a fixed duration           { hours | days, next }
+ *   branch  - routes on interaction events seen since entry      { conditions: [{ event, next }], otherwise, timeoutHours }
+ *   action  - runs a campaign for the customer                   { campaignId, next }
+ *   exit    - ends the journey; with an event, at any time       { event? }
+ *   goal    - marks the journey converted when its event occurs  { event }
+ *
+ * This module validates definitions, advances a customer's enrollment through a
+ * definition one event or clock tick at a time, and summarizes per-node metrics.
+ * It has no Firestore dependency; storage and action execution live in the
+ * predictive customer journey feature.
+ */
+
+const { ReachSparkError, ErrorTypes, SeverityLevels } = require('./errorLogging');
+const { toMillis } = require('./attributionModels');
+
+/**
+ * Node types
+ */
+const JourneyNodeTypes = {
+  TRIGGER: 'trigger',
+  WAIT: 'wait',
+  BRANCH: 'branch',
+  ACTION: 'action',
+  EXIT: 'exit',
+  GOAL: 'goal'
+};
+
+/**
+ * Lifecycle of a stored journey definition
+ */
+const JourneyDefinitionStatus = {
+  DRAFT: 'draft',
+  PUBLISHED: 'published'
+};
+
+/**
+ * Lifecycle of a customer's enrollment in a journey
+ */
+const EnrollmentStatus = {
+  ACTIVE: 'active',
+  WAITING: 'waiting',
+  COMPLETED: 'completed',
+  EXITED: 'exited'
+};
+
+/**
+ * Runtime defaults
+ */
+const JourneyRuntimeDefaults = {
+  maxStepsPerAdvance: 50,
+  maxNodes: 100
+};
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Create a validation error
+ * @param {string} message - Error message
+ * @param {Object} context - Error context
+ * @returns {ReachSparkError} - Error
+ */
+function validationError(message, context = {}) {
+  return new ReachSparkError(message, ErrorTypes.VALIDATION_ERROR, SeverityLevels.WARNING, null, context);
+}
+
+/**
+ * Convert an optional time value to milliseconds
+ * @param {*} value - Date, Firestore timestamp, ISO string or number
+ * @param {number} fallback - Value used when the time is missing or invalid
+ * @returns {number} - Milliseconds
+ */
+function millisOr(value, fallback) {
+  const millis = value === undefined || value === null ? NaN : toMillis(value);
+  return Number.isFinite(millis) ? millis : fallback;
+}
+
+/**
+ * Duration of a wait node in milliseconds
+ * @param {Object} node - Wait node
+ * @returns {number} - Duration
+ */
+function waitDuration(node) {
+  return ((Number(node.days) || 0) * 24 + (Number(node.hours) || 0)) * HOUR;
+}
+
+/**
+ * Whether a node fires on an event at any point of the journey rather than in sequence
+ * @param {Object} node - Node
+ * @returns {boolean} - True for goals and exits with an event
+ */
+function isListenerNode(node) {
+  return (node.type === JourneyNodeTypes.GOAL || node.type === JourneyNodeTypes.EXIT) && !!node.event;
+}
+
+/**
+ * Node IDs a node can move a customer to
+ * @param {Object} node - Node
+ * @returns {Array<string>} - Successor IDs
+ */
+function successors(node) {
+  if (node.type === JourneyNodeTypes.BRANCH) {
+    return [...(node.conditions || []).map(condition => condition.next), node.otherwise].filter(Boolean);
+  }
+  return node.next ? [node.next] : [];
+}
+
+/**
+ * Validate a journey definition
+ *
+ * Drafts may be saved while invalid; only valid definitions can be published.
+ * @param {Object} definition - { name, nodes: [...] }
+ * @param {Object} [options] - { eventTypes: allowed interaction types, maxNodes }
+ * @returns {Object} - { valid, errors: [{ nodeId, message }] }
+ */
+function validateJourneyDefinition(definition, options = {}) {
+  const errors = [];
+  const report = (nodeId, message) => errors.push({ nodeId, message });
+  const eventTypes = options.eventTypes ? new Set(options.eventTypes) : null;
+  const maxNodes = options.maxNodes || JourneyRuntimeDefaults.maxNodes;
+
+  if (!definition || !Array.isArray(definition.nodes) || definition.nodes.length === 0) {
+    report(null, 'Journey must have at least one node');
+    return { valid: false, errors };
+  }
+  if (!definition.name || !String(definition.name).trim()) {
+    report(null, 'Journey must have a name');
+  }
+  if (definition.nodes.length > maxNodes) {
+    report(null, `Journeys are limited to ${maxNodes} nodes`);
+  }
+
+  const nodes = new Map();
+  definition.nodes.forEach((node, index) => {
+    if (!node || !node.id) {
+      report(null, `Node ${index + 1} has no id`);
+    } else if (nodes.has(node.id)) {
+      report(node.id, 'Node id is used more than once');
+    } else {
+      nodes.set(node.id, node);
+    }
+  });
+
+  const checkEvent = (node, event, field = 'event') => {
+    if (!event) {
+      report(node.id, `${node.type} node needs ${field}`);
+    } else if (eventTypes && !eventTypes.has(event)) {
+      report(node.id, `Unknown interaction type: ${event}`);
+    }
+  };
+  const checkNext = (node, next, field = 'next') => {
+    if (!next) {
+      report(node.id, `${node.type} node needs ${field}`);
+    } else if (!nodes.has(next)) {
+      report(node.id, `${field} points to missing node ${next}`);
+    } else if (nodes.get(next).type === JourneyNodeTypes.TRIGGER) {
+      report(node.id, `${field} cannot point to trigger ${next}`);
+    }
+  };
+
+  nodes.forEach(node => {
+    switch (node.type) {
+      case JourneyNodeTypes.TRIGGER:
+        checkEvent(node, node.event);
+        checkNext(node, node.next);
+        break;
+
+      case JourneyNodeTypes.WAIT:
+        if (!(waitDuration(node) > 0)) {
+          report(node.id, 'wait node needs a positive duration in hours or days');
+        }
+        checkNext(node, node.next);
+        break;
+
+      case JourneyNodeTypes.BRANCH:
+        if (!Array.isArray(node.conditions) || node.conditions.length === 0) {
+          report(node.id, 'branch node needs at least one condition');
+        } else {
+          node.conditions.forEach((condition, index) => {
+            checkEvent(node, condition.event, `conditions[${index}].event`);
+            checkNext(node, condition.next, `conditions[${index}].next`);
+          });
+        }
+        checkNext(node, node.otherwise, 'otherwise');
+        if (node.timeoutHours !== undefined && !(Number(node.timeoutHours) >= 0)) {
+          report(node.id, 'timeoutHours must be zero or more');
+        }
+        break;
+
+      case JourneyNodeTypes.ACTION:
+        if (!node.campaignId) {
+          report(node.id, 'action node needs campaignId');
+        }
+        checkNext(node, node.next);
+        break;
+
+      case JourneyNodeTypes.GOAL:
+        checkEvent(node, node.event);
+        break;
+
+      case JourneyNodeTypes.EXIT:
+        if (node.event) {
+          checkEvent(node, node.event);
+        }
+        break;
+
+      default:
+        report(node.id, `Unknown node type: ${node.type}`);
+    }
+
+    if ((node.type === JourneyNodeTypes.GOAL || node.type === JourneyNodeTypes.EXIT) && node.next) {
+      report(node.id, `${node.type} node ends the journey and cannot have next`);
+    }
+  });
+
+  const triggers = [...nodes.values()].filter(node => node.type === JourneyNodeTypes.TRIGGER);
+  if (triggers.length === 0) {
+    report(null, 'Journey needs at least one trigger');
+  }
+
+  // Every node must be reachable from a trigger, except goals and exits that listen for events
+  const reachable = new Set();
+  const pending = triggers.map(node => node.id);
+  while (pending.length > 0) {
+    const id = pending.pop();
+    if (!reachable.has(id) && nodes.has(id)) {
+      reachable.add(id);
+      pending.push(...successors(nodes.get(id)));
+    }
+  }
+  nodes.forEach(node => {
+    if (!reachable.has(node.id) && !isListenerNode(node)) {
+      report(node.id, 'Node cannot be reached from any trigger');
+    }
+  });
+
+  // A loop must pass through something that waits, or a customer would spin forever
+  const pauses = node => node.type === JourneyNodeTypes.WAIT ||
+    (node.type === JourneyNodeTypes.BRANCH && Number(node.timeoutHours) > 0);
+  const visiting = new Set();
+  const done = new Set();
+  const findLoop = id => {
+    if (visiting.has(id)) {
+      return id;
+    }
+    if (done.has(id) || !nodes.has(id) || pauses(nodes.get(id))) {
+      return null;
+    }
+    visiting.add(id);
+    const loop = successors(nodes.get(id)).map(findLoop).find(Boolean) || null;
+    visiting.delete(id);
+    done.add(id);
+    return loop;
+  };
+  nodes.forEach(node => {
+    const loop = findLoop(node.id);
+    if (loop && !errors.some(error => error.nodeId === loop && error.message.startsWith('Loop'))) {
+      report(loop, 'Loop has no wait node');
+    }
+  });
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Find the triggers that enroll a customer for an event
+ * @param {Object} definition - Journey definition
+ * @param {Object} event - { type }
+ * @returns {Array<Object>} - Matching trigger nodes
+ */
+function findEntryTriggers(definition, event) {
+  return definition.nodes.filter(node => node.type === JourneyNodeTypes.TRIGGER && node.event === event.type);
+}
+
+/**
+ * Start an enrollment at a trigger
+ * @param {Object} definition - Journey definition
+ * @param {string} triggerId - Trigger node ID
+ * @param {*} now - Enrollment time
+ * @returns {Object} - Enrollment state, not yet advanced past the trigger
+ */
+function createEnrollment(definition, triggerId, now) {
+  const trigger = definition.nodes.find(node => node.id === triggerId && node.type === JourneyNodeTypes.TRIGGER);
+  if (!trigger) {
+    throw validationError(`Journey has no trigger ${triggerId}`, { triggerId });
+  }
+  const at = millisOr(now, Date.now());
+
+  return {
+    status: EnrollmentStatus.ACTIVE,
+    triggerId,
+    currentNodeId: triggerId,
+    enteredAt: at,
+    nodeEnteredAt: at,
+    waitUntil: null,
+    path: [triggerId],
+    events: [],
+    goalId: null,
+    exitNodeId: null,
+    completedAt: null
+  };
+}
+
+/**
+ * Advance an enrollment as far as it can go
+ *
+ * Call with an event when the customer interacts, or without one when a wait may
+ * have elapsed. Goals and exits that listen for the event end the enrollment
+ * wherever the customer is. Action nodes are not executed here; they are returned
+ * for the caller to run.
+ * @param {Object} definition - Journey definition the enrollment was started on
+ * @param {Object} enrollment - Current enrollment state
+ * @param {Object} [input] - { event: { type, timestamp }, now (defaults to the event time), maxSteps }
+ * @returns {Object} - { enrollment, visited: [nodeId], actions: [{ nodeId, campaignId }] }
+ */
+function advanceEnrollment(definition, enrollment, input = {}) {
+  const nodes = new Map(definition.nodes.map(node => [node.id, node]));
+  const now = millisOr(input.now, millisOr(input.event && input.event.timestamp, Date.now()));
+  const maxSteps = input.maxSteps || JourneyRuntimeDefaults.maxStepsPerAdvance;
+  const state = { ...enrollment, path: [...enrollment.path], events: [...enrollment.events] };
+  const visited = [];
+  const actions = [];
+  const result = () => ({ enrollment: state, visited, actions });
+
+  if (state.status === EnrollmentStatus.COMPLETED || state.status === EnrollmentStatus.EXITED) {
+    return result();
+  }
+
+  const finish = (status, node) => {
+    state.status = status;
+    state.completedAt = now;
+    state.waitUntil = null;
+    if (status === EnrollmentStatus.COMPLETED) {
+      state.goalId = node.id;
+    } else {
+      state.exitNodeId = node.id;
+    }
+  };
+  const moveTo = id => {
+    state.currentNodeId = id;
+    state.nodeEnteredAt = now;
+    state.waitUntil = null;
+    state.status = EnrollmentStatus.ACTIVE;
+    state.path.push(id);
+    visited.push(id);
+  };
+
+  if (input.event) {
+    const event = { type: input.event.type, at: millisOr(input.event.timestamp, now) };
+    state.events.push(event);
+
+    // Reaching a goal wins over an exit on the same event
+    const listener = definition.nodes.find(node => node.type === JourneyNodeTypes.GOAL && node.event === event.type) ||
+      definition.nodes.find(node => node.type === JourneyNodeTypes.EXIT && node.event === event.type);
+    if (listener) {
+      state.path.push(listener.id);
+      visited.push(listener.id);
+      finish(listener.type === JourneyNodeTypes.GOAL ? EnrollmentStatus.COMPLETED : EnrollmentStatus.EXITED, listener);
+      return result();
+    }
+  }
+
+  for (let step = 0; step < maxSteps; step++) {
+    const node = nodes.get(state.currentNodeId);
+    if (!node) {
+      throw validationError(`Enrollment is at missing node ${state.currentNodeId}`, { nodeId: state.currentNodeId });
+    }
+
+    switch (node.type) {
+      case JourneyNodeTypes.TRIGGER:
+        moveTo(node.next);
+        break;
+
+      case JourneyNodeTypes.WAIT: {
+        const until = state.nodeEnteredAt + waitDuration(node);
+        if (now < until) {
+          state.status = EnrollmentStatus.WAITING;
+          state.waitUntil = until;
+          return result();
+        }
+        moveTo(node.next);
+        break;
+      }
+
+      case JourneyNodeTypes.BRANCH: {
+        const match = node.conditions.find(condition =>
+          state.events.some(event => event.type === condition.event && event.at >= state.enteredAt)
+        );
+        if (match) {
+          moveTo(match.next);
+          break;
+        }
+        const until = state.nodeEnteredAt + (Number(node.timeoutHours) || 0) * HOUR;
+        if (now < until) {
+          state.status = EnrollmentStatus.WAITING;
+          state.waitUntil = until;
+          return result();
+        }
+        moveTo(node.otherwise);
+        break;
+      }
+
+      case JourneyNodeTypes.ACTION:
+        actions.push({ nodeId: node.id, campaignId: node.campaignId });
+        moveTo(node.next);
+        break;
+
+      case JourneyNodeTypes.GOAL:
+        finish(EnrollmentStatus.COMPLETED, node);
+        return result();
+
+      case JourneyNodeTypes.EXIT:
+        finish(EnrollmentStatus.EXITED, node);
+        return result();
+
+      default:
+        throw validationError(`Unknown node type: ${node.type}`, { nodeId: node.id });
+    }
+  }
+
+  return result();
+}
+
+/**
+ * Summarize how customers moved through each node
+ * @param {Object} definition - Journey definition
+ * @param {Array<Object>} enrollments - Enrollments on that definition
+ * @returns {Object} - { totals, nodes: { nodeId: { entered, current, exited, goalsReached, conversionRate } } }
+ */
+function summarizeJourneyMetrics(definition, enrollments) {
+  const nodes = definition.nodes.reduce((result, node) => ({
+    ...result,
+    [node.id]: { type: node.type, entered: 0, current: 0, exited: 0, goalsReached: 0, conversionRate: 0 }
+  }), {});
+  const totals = { enrolled: enrollments.length, active: 0, waiting: 0, completed: 0, exited: 0, goalRate: 0 };
+
+  enrollments.forEach(enrollment => {
+    totals[enrollment.status] = (totals[enrollment.status] || 0) + 1;
+    const completed = enrollment.status === EnrollmentStatus.COMPLETED;
+
+    new Set(enrollment.path || []).forEach(id => {
+      if (nodes[id]) {
+        nodes[id].entered += 1;
+        if (completed) {
+          nodes[id].goalsReached += 1;
+        }
+      }
+    });
+
+    if ((enrollment.status === EnrollmentStatus.ACTIVE || enrollment.status === EnrollmentStatus.WAITING) && nodes[enrollment.currentNodeId]) {
+      nodes[enrollment.currentNodeId].current += 1;
+    }
+    if (enrollment.status === EnrollmentStatus.EXITED && nodes[enrollment.exitNodeId]) {
+      nodes[enrollment.exitNodeId].exited += 1;
+    }
+  });
+
+  Object.values(nodes).forEach(metrics => {
+    metrics.conversionRate = metrics.entered > 0 ? metrics.goalsReached / metrics.entered : 0;
+  });
+  totals.goalRate = totals.enrolled > 0 ? totals.completed / totals.enrolled : 0;
+
+  return { totals, nodes };
+}
+
+module.exports = {
+  JourneyNodeTypes,
+  JourneyDefinitionStatus,
+  EnrollmentStatus,
+  JourneyRuntimeDefaults,
+  validateJourneyDefinition,
+  findEntryTriggers,
+  createEnrollment,
+  advanceEnrollment,
+  summarizeJourneyMetrics
+};
@@ -0,0 +1,514 @@
+/**
+ * Learned journey stage model for ReachSpark AMIA
+ *
+ * Fitted from the daily stage snapshots in customerJourneyHistory:
+ * - Snapshots are collapsed into stage spells (time spent in a stage before moving on)
+ * - A Markov transition matrix gives where customers go when they leave each stage
+ * - A piecewise-exponential competing-risks survival model gives how fast they leave,
+ *   forwards (progression) or backwards (regression), as a function of time already
+ *   spent in the stage
+ *
+ * Rates are smoothed towards the pooled rate of all stages so stages with little history
+ * still produce usable probabilities. Regression probabilities are calibrated: the model
+ * is refitted with each fold of customers held out, and an isotonic mapping from the
+ * held-out predictions to what actually happened is applied to every prediction. The fit
+ * also reports how well the uncalibrated held-out predictions matched (Brier score and
+ * reliability bins).
+ */
+
+const { ReachSparkError, ErrorTypes, SeverityLevels } = require('./errorLogging');
+const { toMillis } = require('./attributionModels');
+
+/**
+ * Default model settings
+ */
+const JourneyModelDefaults = {
+  durationBuckets: [0, 7, 30, 90],
+  horizonDays: 30,
+  transitionSmoothing: 1,
+  priorExposureDays: 14,
+  regressionThreshold: 0.4,
+  calibrationBins: 5,
+  calibrationFolds: 5,
+  calibrationMinSamples: 100
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Collapse stage snapshots into spells
+ * @param {Array<Object>} history - Snapshots [{ customerId, currentStage, timestamp }]
+ * @param {Object} [options] - { asOf } time at which open spells are censored (default: their last snapshot)
+ * @returns {Array<Object>} - [{ customerId, stage, startedAt, durationDays, nextStage, censored }]
+ */
+function buildStageSpells(history, options = {}) {
+  const byCustomer = new Map();
+  history.forEach(entry => {
+    if (!entry.customerId || !entry.currentStage) {
+      return;
+    }
+    if (!byCustomer.has(entry.customerId)) {
+      byCustomer.set(entry.customerId, []);
+    }
+    byCustomer.get(entry.customerId).push({ stage: entry.currentStage, time: toMillis(entry.timestamp) });
+  });
+
+  const spells = [];
+  byCustomer.forEach((snapshots, customerId) => {
+    snapshots.sort((a, b) => a.time - b.time);
+
+    let spell = null;
+    let lastSeen = null;
+    snapshots.forEach(snapshot => {
+      if (spell && snapshot.stage !== spell.stage) {
+        spells.push({
+          customerId,
+          stage: spell.stage,
+          startedAt: spell.start,
+          durationDays: (snapshot.time - spell.start) / DAY_MS,
+          nextStage: snapshot.stage,
+          censored: false
+        });
+        spell = null;
+      }
+      if (!spell) {
+        spell = { stage: snapshot.stage, start: snapshot.time };
+      }
+      lastSeen = snapshot.time;
+    });
+
+    const end = options.asOf !== undefined ? Math.max(toMillis(options.asOf), lastSeen) : lastSeen;
+    spells.push({
+      customerId,
+      stage: spell.stage,
+      startedAt: spell.start,
+      durationDays: (end - spell.start) / DAY_MS,
+      nextStage: null,
+      censored: true
+    });
+  });
+
+  return spells;
+}
+
+/**
+ * Index of the duration bucket containing a dwell time
+ * @param {Array<number>} buckets - Bucket start days
+ * @param {number} days - Days in stage
+ * @returns {number} - Bucket index
+ */
+function bucketIndex(buckets, days) {
+  let index = 0;
+  while (index + 1 < buckets.length && days >= buckets[index + 1]) {
+    index++;
+  }
+  return index;
+}
+
+/**
+ * Estimate where customers go when they leave each stage
+ * @param {Array<Object>} spells - Stage spells
+ * @param {Array<string>} stages - Stages in journey order
+ * @param {number} smoothing - Dirichlet pseudo-count per destination
+ * @returns {Object} - { stage: { nextStage: probability } }, plus counts
+ */
+function estimateTransitions(spells, stages, smoothing) {
+  const counts = stages.reduce((result, stage) => ({
+    ...result,
+    [stage]: stages.reduce((row, next) => (next === stage ? row : { ...row, [next]: 0 }), {})
+  }), {});
+
+  spells.forEach(spell => {
+    if (!spell.censored && counts[spell.stage] && counts[spell.stage][spell.nextStage] !== undefined) {
+      counts[spell.stage][spell.nextStage]++;
+    }
+  });
+
+  const probabilities = {};
+  stages.forEach(stage => {
+    const row = counts[stage];
+    const total = Object.values(row).reduce((sum, count) => sum + count, 0) + smoothing * Object.keys(row).length;
+    probabilities[stage] = Object.keys(row).reduce((result, next) => ({
+      ...result,
+      [next]: total > 0 ? (row[next] + smoothing) / total : 0
+    }), {});
+  });
+
+  return { probabilities, counts };
+}
+
+/**
+ * Estimate progression and regression hazards per stage and time-in-stage bucket
+ * @param {Array<Object>} spells - Stage spells
+ * @param {Array<string>} stages - Stages in journey order
+ * @param {Object} options - { durationBuckets, priorExposureDays }
+ * @returns {Object} - { stage: [{ fromDay, toDay, exposureDays, progressions, regressions, progressionHazard, regressionHazard }] }
+ */
+function estimateHazards(spells, stages, options) {
+  const buckets = options.durationBuckets;
+  const empty = () => buckets.map(() => ({ exposureDays: 0, progressions: 0, regressions: 0 }));
+  const tallies = stages.reduce((result, stage) => ({ ...result, [stage]: empty() }), {});
+  const pooled = empty();
+
+  spells.forEach(spell => {
+    const stageTally = tallies[spell.stage];
+    if (!stageTally) {
+      return;
+    }
+
+    buckets.forEach((fromDay, index) => {
+      const toDay = index + 1 < buckets.length ? buckets[index + 1] : Infinity;
+      const exposure = Math.max(0, Math.min(spell.durationDays, toDay) - fromDay);
+      stageTally[index].exposureDays += exposure;
+      pooled[index].exposureDays += exposure;
+    });
+
+    if (!spell.censored && stages.includes(spell.nextStage)) {
+      const field = stages.indexOf(spell.nextStage) > stages.indexOf(spell.stage) ? 'progressions' : 'regressions';
+      const index = bucketIndex(buckets, spell.durationDays);
+      stageTally[index][field]++;
+      pooled[index][field]++;
+    }
+  });
+
+  const prior = options.priorExposureDays;
+  const rate = (events, exposure, pooledRate) => (events + prior * pooledRate) / (exposure + prior);
+
+  return stages.reduce((result, stage, stageIndex) => {
+    result[stage] = tallies[stage].map((tally, index) => {
+      const pooledExposure = pooled[index].exposureDays;
+      const pooledProgression = pooledExposure > 0 ? pooled[index].progressions / pooledExposure : 0;
+      const pooledRegression = pooledExposure > 0 ? pooled[index].regressions / pooledExposure : 0;
+      return {
+        fromDay: buckets[index],
+        toDay: index + 1 < buckets.length ? buckets[index + 1] : null,
+        ...tally,
+        // The first stage cannot regress and the last cannot progress
+        progressionHazard: stageIndex === stages.length - 1 ? 0 : rate(tally.progressions, tally.exposureDays, pooledProgression),
+        regressionHazard: stageIndex === 0 ? 0 : rate(tally.regressions, tally.exposureDays, pooledRegression)
+      };
+    });
+    return result;
+  }, {});
+}
+
+/**
+ * Integrate competing hazards from one dwell time to another
+ * @param {Array<Object>} hazards - Hazard buckets for a stage
+ * @param {number} fromDay - Current days in stage
+ * @param {number} days - Horizon in days
+ * @returns {Object} - { stay, progression, regression }
+ */
+function integrateHazards(hazards, fromDay, days) {
+  let survival = 1;
+  let progression = 0;
+  let regression = 0;
+  let day = fromDay;
+  const end = fromDay + days;
+
+  while (day < end - 1e-9) {
+    const bucket = hazards[bucketIndex(hazards.map(h => h.fromDay), day)];
+    const segmentEnd = Math.min(end, bucket.toDay === null ? Infinity : bucket.toDay);
+    const total = bucket.progressionHazard + bucket.regressionHazard;
+    const leave = survival * (1 - Math.exp(-total * (segmentEnd - day)));
+    if (total > 0) {
+      progression += leave * bucket.progressionHazard / total;
+      regression += leave * bucket.regressionHazard / total;
+    }
+    survival -= leave;
+    day = segmentEnd;
+  }
+
+  return { stay: survival, progression, regression };
+}
+
+/**
+ * Median remaining days before a customer leaves their stage
+ * @param {Array<Object>} hazards - Hazard buckets for a stage
+ * @param {number} fromDay - Current days in stage
+ * @returns {number|null} - Days, or null if the stage is never left
+ */
+function medianDaysToExit(hazards, fromDay) {
+  // Cumulative hazard to reach survival 0.5
+  let remaining = Math.log(2);
+  let day = fromDay;
+
+  for (let index = bucketIndex(hazards.map(h => h.fromDay), fromDay); index < hazards.length; index++) {
+    const bucket = hazards[index];
+    const total = bucket.progressionHazard + bucket.regressionHazard;
+    const length = bucket.toDay === null ? Infinity : bucket.toDay - day;
+    if (total * length >= remaining) {
+      return day + remaining / total - fromDay;
+    }
+    remaining -= total * length;
+    day = bucket.toDay;
+  }
+
+  return null;
+}
+
+/**
+ * Map a raw regression probability through an isotonic calibration mapping
+ * @param {Array<Object>|null} mapping - Blocks [{ predicted, observed }] in increasing order
+ * @param {number} probability - Raw probability
+ * @returns {number} - Calibrated probability (the raw one without a mapping)
+ */
+function applyCalibration(mapping, probability) {
+  // A stage that cannot regress stays at zero
+  if (!mapping || mapping.length === 0 || probability <= 0) {
+    return probability;
+  }
+  if (probability <= mapping[0].predicted) {
+    return mapping[0].observed;
+  }
+  for (let index = 1; index < mapping.length; index++) {
+    const upper = mapping[index];
+    if (probability <= upper.predicted) {
+      const lower = mapping[index - 1];
+      const position = (probability - lower.predicted) / (upper.predicted - lower.predicted);
+      return lower.observed + position * (upper.observed - lower.observed);
+    }
+  }
+  return mapping[mapping.length - 1].observed;
+}
+
+/**
+ * Predict a customer's stage outlook from the fitted model
+ *
+ * The regression probability is calibrated when the model has a mapping for the requested
+ * horizon; staying and progressing keep their ratio and share what is left.
+ * @param {Object} model - Fitted model from fitJourneyStageModel
+ * @param {string} stage - Current stage
+ * @param {number} dwellDays - Days already spent in the stage
+ * @param {Object} [options] - { horizonDays }
+ * @returns {Object} - Probabilities of staying, progressing, regressing and of each next stage
+ */
+function predictStageOutlook(model, stage, dwellDays, options = {}) {
+  const hazards = model.hazards[stage];
+  if (!hazards) {
+    throw new ReachSparkError(`Unknown journey stage: ${stage}`, ErrorTypes.VALIDATION_ERROR, SeverityLevels.WARNING, null, { stage });
+  }
+
+  const horizonDays = options.horizonDays || model.horizonDays || JourneyModelDefaults.horizonDays;
+  const dwell = Math.max(0, dwellDays || 0);
+  const raw = integrateHazards(hazards, dwell, horizonDays);
+  const calibration = model.calibration || {};
+  const regression = calibration.horizonDays === horizonDays ?
+    applyCalibration(calibration.mapping, raw.regression) : raw.regression;
+  const remaining = 1 - raw.regression;
+  const outlook = {
+    stay: remaining > 0 ? raw.stay * (1 - regression) / remaining : 1 - regression,
+    progression: remaining > 0 ? raw.progression * (1 - regression) / remaining : 0,
+    regression
+  };
+  const stageIndex = model.stages.indexOf(stage);
+  const transitions = model.transitions[stage];
+
+  // Split each direction's probability across its destinations by the transition matrix
+  const forward = model.stages.filter((_, index) => index > stageIndex);
+  const backward = model.stages.filter((_, index) => index < stageIndex);
+  const share = (targets, probability) => {
+    const total = targets.reduce((sum, target) => sum + transitions[target], 0);
+    return targets.reduce((result, target) => ({
+      ...result,
+      [target]: total > 0 ? probability * transitions[target] / total : 0
+    }), {});
+  };
+
+  const current = hazards[bucketIndex(hazards.map(h => h.fromDay), dwell)];
+
+  return {
+    stage,
+    dwellDays: dwell,
+    horizonDays,
+    stayProbability: outlook.stay,
+    progressionProbability: outlook.progression,
+    regressionProbability: outlook.regression,
+    rawRegressionProbability: raw.regression,
+    nextStageProbabilities: {
+      ...share(forward, outlook.progression),
+      ...share(backward, outlook.regression),
+      [stage]: outlook.stay
+    },
+    expectedDaysToNextStage: medianDaysToExit(hazards, dwell),
+    churnHazard: current.regressionHazard
+  };
+}
+
+/**
+ * Assign a customer to a calibration fold
+ * @param {string} customerId - Customer ID
+ * @param {number} folds - Number of folds
+ * @returns {number} - Fold index
+ */
+function foldOf(customerId, folds) {
+  let hash = 0;
+  for (let i = 0; i < customerId.length; i++) {
+    hash = (Math.imul(hash, 31) + customerId.charCodeAt(i)) >>> 0;
+  }
+  return hash % folds;
+}
+
+/**
+ * Raw regression predictions at the start of each spell, with what happened next
+ * @param {Object} model - Model with stages, horizonDays and hazards
+ * @param {Array<Object>} spells - Stage spells
+ * @returns {Array<Object>} - [{ predicted, observed }]
+ */
+function calibrationPoints(model, spells) {
+  const horizon = model.horizonDays;
+  const points = [];
+
+  spells.forEach(spell => {
+    // Spells cut off before the horizon without leaving have no known outcome
+    if (!model.hazards[spell.stage] || (spell.censored && spell.durationDays < horizon)) {
+      return;
+    }
+    const regressed = !spell.censored && spell.durationDays <= horizon &&
+      model.stages.indexOf(spell.nextStage) < model.stages.indexOf(spell.stage);
+    points.push({
+      predicted: integrateHazards(model.hazards[spell.stage], 0, horizon).regression,
+      observed: regressed ? 1 : 0
+    });
+  });
+
+  return points;
+}
+
+/**
+ * Fit a monotone mapping from predicted to observed probabilities (pool adjacent violators)
+ * @param {Array<Object>} points - [{ predicted, observed }]
+ * @returns {Array<Object>} - Blocks [{ predicted, observed, count }] in increasing order
+ */
+function fitIsotonic(points) {
+  const blocks = [];
+  const merge = (target, block) => {
+    const count = target.count + block.count;
+    target.predicted = (target.predicted * target.count + block.predicted * block.count) / count;
+    target.observed = (target.observed * target.count + block.observed * block.count) / count;
+    target.count = count;
+  };
+
+  [...points].sort((a, b) => a.predicted - b.predicted).forEach(point => {
+    const block = { predicted: point.predicted, observed: point.observed, count: 1 };
+    const last = blocks[blocks.length - 1];
+    if (last && last.predicted === block.predicted) {
+      merge(last, block);
+    } else {
+      blocks.push(block);
+    }
+    while (blocks.length > 1 && blocks[blocks.length - 2].observed >= blocks[blocks.length - 1].observed) {
+      merge(blocks[blocks.length - 2], blocks.pop());
+    }
+  });
+
+  return blocks;
+}
+
+/**
+ * Calibrate regression probabilities on held-out customers
+ *
+ * Each fold of customers is predicted by a model fitted without them, and the isotonic
+ * mapping is fitted on those held-out predictions.
+ * @param {Array<Object>} spells - Stage spells
+ * @param {Array<string>} stages - Stages in journey order
+ * @param {Object} settings - Model settings
+ * @returns {Object} - { horizonDays, folds, samples, brierScore, bins: [{ predicted, observed, count }], mapping }
+ */
+function calibrate(spells, stages, settings) {
+  const horizon = settings.horizonDays;
+  const folds = settings.calibrationFolds;
+  const points = [];
+
+  for (let fold = 0; fold < folds; fold++) {
+    const heldOut = spells.filter(spell => foldOf(spell.customerId, folds) === fold);
+    const training = spells.filter(spell => foldOf(spell.customerId, folds) !== fold);
+    if (heldOut.length === 0 || training.length === 0) {
+      continue;
+    }
+    const foldModel = { stages, horizonDays: horizon, hazards: estimateHazards(training, stages, settings) };
+    points.push(...calibrationPoints(foldModel, heldOut));
+  }
+
+  if (points.length === 0) {
+    return { horizonDays: horizon, folds, samples: 0, brierScore: null, bins: [], mapping: null };
+  }
+
+  const bins = settings.calibrationBins;
+  const reliability = Array.from({ length: bins }, () => ({ predicted: 0, observed: 0, count: 0 }));
+  points.forEach(point => {
+    const bin = reliability[Math.min(bins - 1, Math.floor(point.predicted * bins))];
+    bin.predicted += point.predicted;
+    bin.observed += point.observed;
+    bin.count++;
+  });
+
+  return {
+    horizonDays: horizon,
+    folds,
+    samples: points.length,
+    brierScore: points.reduce((sum, point) => sum + Math.pow(point.predicted - point.observed, 2), 0) / points.length,
+    bins: reliability
+      .filter(bin => bin.count > 0)
+      .map(bin => ({ predicted: bin.predicted / bin.count, observed: bin.observed / bin.count, count: bin.count })),
+    // Too few held-out outcomes would make the mapping noisier than the raw probabilities
+    mapping: points.length >= settings.calibrationMinSamples ? fitIsotonic(points) : null
+  };
+}
+
+/**
+ * Fit the journey stage model
+ * @param {Array<Object>} history - Stage snapshots [{ customerId, currentStage, timestamp }]
+ * @param {Array<string>} stages - Stages in journey order
+ * @param {Object} [options] - Overrides for JourneyModelDefaults, plus asOf
+ * @returns {Object} - { stages, horizonDays, transitions, transitionCounts, hazards, spellCount, customerCount, calibration }
+ */
+function fitJourneyStageModel(history, stages, options = {}) {
+  const settings = { ...JourneyModelDefaults, ...options };
+  const spells = buildStageSpells(history, { asOf: options.asOf });
+  const { probabilities, counts } = estimateTransitions(spells, stages, settings.transitionSmoothing);
+
+  const model = {
+    stages,
+    horizonDays: settings.horizonDays,
+    transitions: probabilities,
+    transitionCounts: counts,
+    hazards: estimateHazards(spells, stages, settings),
+    spellCount: spells.length,
+    customerCount: new Set(spells.map(spell => spell.customerId)).size
+  };
+  model.calibration = calibrate(spells, stages, settings);
+
+  return model;
+}
+
+/**
+ * Days a customer has spent in their current stage
+ * @param {Array<Object>} history - The customer's snapshots
+ * @param {string} currentStage - Stage the customer is in now
+ * @param {any} [asOf] - Current time (default now)
+ * @returns {number} - Days in stage (0 if the stage has just changed)
+ */
+function dwellDaysInStage(history, currentStage, asOf = Date.now()) {
+  const snapshots = history
+    .map(entry => ({ stage: entry.currentStage, time: toMillis(entry.timestamp) }))
+    .sort((a, b) => b.time - a.time);
+
+  let enteredAt = null;
+  for (const snapshot of snapshots) {
+    if (snapshot.stage !== currentStage) {
+      break;
+    }
+    enteredAt = snapshot.time;
+  }
+
+  return enteredAt === null ? 0 : Math.max(0, (toMillis(asOf) - enteredAt) / DAY_MS);
+}
+
+module.exports = {
+  JourneyModelDefaults,
+  buildStageSpells,
+  fitJourneyStageModel,
+  predictStageOutlook,
+  dwellDaysInStage
+};
@@ -14,6 +14,25 @@ const Anthropic = require('@anthropic-ai/sdk');
 const errorLogging = require('../errorLogging');
 const logger = errorLogging.logger;
 const { retryWithExponentialBackoff } = require('../retryLogic');
+const { VectorMemoryStore, LOCAL_EMBEDDING_MODEL, localEmbed, extractiveSummary, messageText } = require('./vectorMemory');
+const {
+  ChunkType,
+  estimateTokens,
+  normalizeOpenAIStream,
+  normalizeAnthropicStream,
+  normalizeGeminiStream,
+  streamWithFailover
+} = require('./streaming');
+const { getUsageLedger } = require('./usageLedger');
+const { getResponseCache } = require('./responseCache');
+const {
+  ResponseFormat,
+  StructuredOutputError,
+  buildSchemaInstructions,
+  mockFromSchema,
+  generateStructuredOutput
+} = require('./structuredOutput');
+const { TaskType, circuitKeyFor, getProviderRouter } = require('./providerRouter');
 const admin = require('firebase-admin');
 
 // Initialize Firestore with fallback for testing environments
@@ -258,12 +277,62 @@ const agentModelConfig = {
  * Memory store for maintaining context across agent interactions
  */
 class AgentMemory {
-  constructor(agentType, contextId) {
+  /**
+   * Create a new agent memory
+   * @param {string} agentType - The agent type
+   * @param {string} contextId - Unique identifier for this memory
+   * @param {Object} options - Vector memory options (see VectorMemoryStore), plus engine
+   */
+  constructor(agentType, contextId, options = {}) {
     this.agentType = agentType;
     this.contextId = contextId;
     this.memoryRef = db.collection('agent_memory').doc(contextId);
     this.shortTermMemory = [];
     this.maxShortTermMemoryItems = 10;
+    this.engine = options.engine || null;
+    this.vectorStore = new VectorMemoryStore(this.memoryRef.collection('messages'), {
+      embed: options.embed || ((text, model) => this.getEngine().generateEmbedding(text, { model })),
+      summarize: options.summarize || (messages => this.summarizeMessages(messages)),
+      ...options
+    });
+  }
+
+  /**
+   * Get the LLM engine used for embeddings and summaries (lazy initialization)
+   * @returns {LLMEngine} - LLM engine
+   */
+  getEngine() {
+    if (!this.engine) {
+      this.engine = new LLMEngine(`${this.contextId}_memory`);
+    }
+    return this.engine;
+  }
+
+  /**
+   * Summarize old messages so they stay searchable after being folded together
+   * @param {Array<Object>} messages - Messages to summarize, oldest first
+   * @returns {Promise<string>} - Summary text
+   */
+  async summarizeMessages(messages) {
+    const engine = this.getEngine();
+    if (engine.testMode) {
+      return extractiveSummary(messages);
+    }
+
+    try {
+      const transcript = messages.map(message => `${message.role || 'note'}: ${messageText(message)}`).join('\n');
+      return await engine.generateText(
+        `Summarize the key facts, decisions, preferences and open questions from this conversation history so they can be recalled later:\n\n${transcript}`,
+        { systemPrompt: 'You write concise, factual memory summaries.', temperature: 0.2, maxTokens: 600 }
+      );
+    } catch (error) {
+      logger.warn('LLM memory summarization failed, using extractive summary', {
+        error: error?.message || 'Unknown error',
+        agentType: this.agentType,
+        contextId: this.contextId
+      });
+      return extractiveSummary(messages);
+    }
   }
 
   /**
@@ -279,22 +348,13 @@ class AgentMemory {
         this.shortTermMemory.shift();
       }
 
-      // Add to long-term memory in Firestore
-      try {
-        await this.memoryRef.collection('messages').add({
-          ...message,
-          timestamp: admin.firestore.FieldValue.serverTimestamp(),
-          agentType: this.agentType
-        });
-      } catch (dbError) {
-        // Log but don't fail if Firestore storage fails
-        logger.warn('Failed to store message in Firestore, continuing with short-term memory only', {
-          error: dbError?.message || 'Unknown error',
-          agentType: this.agentType,
-          contextId: this.contextId
-        });
-      }
-      
+      // Add to long-term vector memory (kept in-process if Firestore storage fails)
+      await this.vectorStore.addEntry({
+        ...message,
+        timestamp: admin.firestore.FieldValue.serverTimestamp(),
+        agentType: this.agentType
+      });
+
       return true;
     } catch (error) {
       logger.error('Error adding message to agent memory', {
@@ -347,75 +407,14 @@ class AgentMemory {
   }
 
   /**
-   * Search for relevant information in the agent's memory
+   * Search for relevant information in the agent's full memory history
    * @param {string} query - The search query
    * @param {number} limit - Maximum number of results to return
-   * @returns {Promise<Array>} - Array of relevant memory items
+   * @returns {Promise<Array>} - Array of relevant memory items, most relevant first, with similarity and score
    */
   async searchMemory(query, limit = 5) {
     try {
-      // First try short-term memory
-      if (this.shortTermMemory.length > 0) {
-        // Simple relevance scoring based on text matching
-        const scoredMessages = this.shortTermMemory.map(message => {
-          const content = JSON.stringify(message).toLowerCase();
-          const queryTerms = query.toLowerCase().split(' ');
-          let score = 0;
-          
-          queryTerms.forEach(term => {
-            if (content.includes(term)) {
-              score += 1;
-            }
-          });
-          
-          return { message, score };
-        });
-        
-        // Sort by score and return top results
-        return scoredMessages
-          .sort((a, b) => b.score - a.score)
-          .slice(0, limit)
-          .map(item => item.message);
-      }
-
-      // Fall back to long-term memory if short-term is empty
-      try {
-        const messagesSnapshot = await this.memoryRef.collection('messages')
-          .orderBy('timestamp', 'desc')
-          .limit(50)
-          .get();
-
-        const messages = messagesSnapshot.docs.map(doc => doc.data());
-        
-        // Simple relevance scoring based on text matching
-        const scoredMessages = messages.map(message => {
-          const content = JSON.stringify(message).toLowerCase();
-          const queryTerms = query.toLowerCase().split(' ');
-          let score = 0;
-          
-          queryTerms.forEach(term => {
-            if (content.includes(term)) {
-              score += 1;
-            }
-          });
-          
-          return { message, score };
-        });
-        
-        // Sort by score and return top results
-        return scoredMessages
-          .sort((a, b) => b.score - a.score)
-          .slice(0, limit)
-          .map(item => item.message);
-      } catch (dbError) {
-        logger.warn('Failed to search messages in Firestore, returning empty array', {
-          error: dbError?.message || 'Unknown error',
-          agentType: this.agentType,
-          contextId: this.contextId,
-          query
-        });
-        return [];
-      }
+      return await this.vectorStore.search(query, limit);
     } catch (error) {
       logger.error('Error searching agent memory', {
         error: error?.message || 'Unknown error',
@@ -438,14 +437,59 @@ class LLMEngine {
    * @param {string} contextId - Unique identifier for this context
    * @param {string} primaryProvider - Primary LLM provider to use
    * @param {boolean} enableFailover - Whether to enable failover to backup providers
+   * @param {Object} options - Metering options
+   * @param {string} options.clientId - Tenant charged for usage
+   * @param {string} options.userId - User whose credits are debited
+   * @param {string} options.feature - Feature name recorded in the usage ledger
+   * @param {string} options.debitTarget - Where usage is debited (see usageLedger DebitTarget)
+   * @param {Object} options.usageLedger - Usage ledger (defaults to the shared ledger)
+   * @param {Object} options.responseCache - Response cache (defaults to the shared cache)
+   * @param {Object} options.providerRouter - Health-aware provider router (defaults to the shared router)
    */
-  constructor(contextId, primaryProvider = LLMProvider.OPENAI, enableFailover = true) {
+  constructor(contextId, primaryProvider = LLMProvider.OPENAI, enableFailover = true, options = {}) {
     this.contextId = contextId;
     this.primaryProvider = primaryProvider;
     this.enableFailover = enableFailover;
     this.context = [];
     this.forceProviderFailure = false; // For testing failover
     this.testMode = TESTING_MODE || process.env.NODE_ENV === 'test';
+    this.meteringOptions = {
+      clientId: options.clientId || null,
+      userId: options.userId || null,
+      feature: options.feature || null,
+      debitTarget: options.debitTarget || null
+    };
+    this.usageLedger = options.usageLedger || null;
+    this.responseCache = options.responseCache || null;
+    this.providerRouter = options.providerRouter || null;
+  }
+
+  /**
+   * Get the usage ledger (lazy initialization)
+   * @returns {UsageLedger} - Usage ledger
+   */
+  getUsageLedger() {
+    if (!this.usageLedger) {
+      this.usageLedger = getUsageLedger();
+    }
+    return this.usageLedger;
+  }
+
+  /**
+   * Record a provider call in the usage ledger
+   * @param {Object} usage - Provider, model, operation, tokens, latency and outcome
+   * @param {Object} options - Request options that may override clientId, userId, feature and debitTarget
+   * @returns {Promise<Object|null>} - Ledger entry
+   */
+  async recordUsage(usage, options = {}) {
+    return this.getUsageLedger().recordUsage({
+      ...usage,
+      contextId: this.contextId,
+      clientId: options.clientId || this.meteringOptions.clientId,
+      userId: options.userId || this.meteringOptions.userId,
+      feature: options.feature || this.meteringOptions.feature || this.contextId,
+      debitTarget: options.debitTarget || this.meteringOptions.debitTarget
+    });
   }
 
   /**
@@ -467,10 +511,32 @@ class LLMEngine {
     this.context = [];
   }
 
+  /**
+   * Build the messages array with system prompt, context, and user prompt
+   * @param {string} prompt - The prompt to send to the LLM
+   * @param {Object} options - Request options (systemPrompt)
+   * @returns {Array} - Messages
+   */
+  buildMessages(prompt, options = {}) {
+    const messages = [
+      { role: 'system', content: options.systemPrompt || 'You are a helpful assistant.' }
+    ];
+
+    // Add context if available
+    if (this.context.length > 0) {
+      messages.push({ role: 'system', content: `Additional context: ${this.context.join('\n\n')}` });
+    }
+
+    messages.push({ role: 'user', content: prompt });
+    return messages;
+  }
+
   /**
    * Generate text using the configured LLM provider
    * @param {string} prompt - The prompt to send to the LLM
    * @param {Object} options - Additional options for the request
+   * @param {Object} options.cache - Cache options ({ feature, bypass, refresh, semantic, semanticText, ttlMs });
+   *   answers are only cached when the caller passes them
    * @returns {Promise<string>} - The generated text
    */
   async generateText(prompt, options = {}) {
@@ -480,64 +546,32 @@ class LLMEngine {
         return `[TEST MODE] Response to: ${prompt.substring(0, 50)}...\n\nThis is a mock response for testing purposes. The system prompt was: ${options.systemPrompt || 'None provided'}.`;
       }
       
-      const systemPrompt = options.systemPrompt || 'You are a helpful assistant.';
       const temperature = options.temperature || 0.7;
       const maxTokens = options.maxTokens || 1000;
+      const messages = this.buildMessages(prompt, options);
+      const cacheOptions = options.cache;
       
-      // Build messages array with system prompt, context, and user prompt
-      const messages = [
-        { role: 'system', content: systemPrompt }
-      ];
-      
-      // Add context if available
-      if (this.context.length > 0) {
-        messages.push({ role: 'system', content: `Additional context: ${this.context.join('\n\n')}` });
-      }
-      
-      // Add user prompt
-      messages.push({ role: 'user', content: prompt });
-      
-      // Try primary provider first
-      if (!this.forceProviderFailure) {
-        try {
-          const response = await this.callProvider(this.primaryProvider, messages, temperature, maxTokens);
-          return response;
-        } catch (primaryError) {
-          logger.warn(`Primary provider ${this.primaryProvider} failed`, {
-            error: primaryError?.message || 'Unknown error',
-            contextId: this.contextId
-          });
-          
-          if (!this.enableFailover) {
-            throw primaryError;
-          }
-        }
-      }
-      
-      // If primary provider failed and failover is enabled, try backup providers
-      if (this.enableFailover || this.forceProviderFailure) {
-        const backupProviders = Object.values(LLMProvider).filter(provider => provider !== this.primaryProvider);
-        
-        for (const provider of backupProviders) {
-          try {
-            logger.info(`Attempting failover to ${provider}`, {
-              contextId: this.contextId
-            });
-            
-            const response = await this.callProvider(provider, messages, temperature, maxTokens);
-            return response;
-          } catch (backupError) {
-            logger.warn(`Backup provider ${provider} failed`, {
-              error: backupError?.message || 'Unknown error',
-              contextId: this.contextId
-            });
-            // Continue to next backup provider
-          }
-        }
+      // Caching is opt-in: most generation is creative and should differ between calls
+      if (!cacheOptions) {
+        return await this.generateWithFailover(messages, temperature, maxTokens, options);
       }
       
-      // If all providers failed, throw error
-      throw new Error('All LLM providers failed');
+      return await this.getResponseCache().getOrCompute({
+        prompt,
+        systemPrompt: messages.filter(msg => msg.role === 'system').map(msg => msg.content).join('\n\n'),
+        model: `${this.primaryProvider}:${this.getStreamingModel(this.primaryProvider)}`,
+        temperature,
+        maxTokens,
+        responseFormat: options.responseFormat,
+        feature: cacheOptions.feature || options.feature || this.meteringOptions.feature || 'default',
+        tenant: this.getCacheTenant(options),
+        semanticText: cacheOptions.semanticText
+      }, () => this.generateWithFailover(messages, temperature, maxTokens, options), {
+        bypass: options.bypassCache || cacheOptions.bypass,
+        refresh: cacheOptions.refresh,
+        semantic: cacheOptions.semantic,
+        ttlMs: cacheOptions.ttlMs
+      });
     } catch (error) {
       logger.error('Failed to generate text with any provider', {
         error: error?.message || 'Unknown error',
@@ -553,34 +587,444 @@ class LLMEngine {
     }
   }
 
+  /**
+   * Generate a JSON response that conforms to a JSON Schema. Uses the provider's native
+   * JSON mode where available and retries with a repair prompt when validation fails.
+   * Only validated responses are cached, and only when the caller passes cache options.
+   * @param {string} prompt - The prompt to send to the LLM
+   * @param {Object} jsonSchema - JSON Schema the response must match
+   * @param {Object} options - generateText options plus maxRepairAttempts (default 1)
+   * @returns {Promise<*>} - The validated value
+   * @throws {StructuredOutputError} - When the response cannot be parsed or validated
+   */
+  async generateStructured(prompt, jsonSchema, options = {}) {
+    // In test mode, return a minimal value that satisfies the schema
+    if (this.testMode) {
+      return mockFromSchema(jsonSchema);
+    }
+
+    const systemPrompt = `${options.systemPrompt || 'You are a helpful assistant.'}\n\n${buildSchemaInstructions(jsonSchema)}`;
+    const temperature = options.temperature || 0.7;
+    const cacheOptions = options.cache;
+    const requestOptions = {
+      ...options,
+      systemPrompt,
+      responseFormat: ResponseFormat.JSON,
+      taskType: options.taskType || TaskType.STRUCTURED_OUTPUT,
+      cache: false
+    };
+    const generate = () => generateStructuredOutput(
+      text => this.generateText(text, requestOptions),
+      prompt,
+      jsonSchema,
+      { maxRepairAttempts: options.maxRepairAttempts, contextId: this.contextId }
+    );
+
+    if (!cacheOptions) {
+      return generate();
+    }
+
+    const serialized = await this.getResponseCache().getOrCompute({
+      prompt,
+      systemPrompt,
+      model: `${this.primaryProvider}:${this.getStreamingModel(this.primaryProvider)}`,
+      temperature,
+      maxTokens: options.maxTokens || 1000,
+      responseFormat: ResponseFormat.JSON,
+      feature: cacheOptions.feature || options.feature || this.meteringOptions.feature || 'default',
+      tenant: this.getCacheTenant(options)
+    }, async () => JSON.stringify(await generate()), {
+      bypass: options.bypassCache || cacheOptions.bypass,
+      refresh: cacheOptions.refresh,
+      ttlMs: cacheOptions.ttlMs
+    });
+
+    return JSON.parse(serialized);
+  }
+
+  /**
+   * Get the tenant cached answers belong to, so they are never served to another client
+   * @param {Object} options - Request options (clientId, userId)
+   * @returns {string|null} - Client ID, else user ID
+   */
+  getCacheTenant(options = {}) {
+    return options.clientId || this.meteringOptions.clientId || options.userId || this.meteringOptions.userId || null;
+  }
+
+  /**
+   * Get the response cache (lazy initialization)
+   * @returns {LLMResponseCache} - Response cache
+   */
+  getResponseCache() {
+    if (!this.responseCache) {
+      this.responseCache = getResponseCache();
+    }
+    return this.responseCache;
+  }
+
+  /**
+   * Get the provider router (lazy initialization)
+   * @returns {ProviderRouter} - Provider router
+   */
+  getProviderRouter() {
+    if (!this.providerRouter) {
+      this.providerRouter = getProviderRouter();
+    }
+    return this.providerRouter;
+  }
+
+  /**
+   * Order the providers to try for a request. Only the primary provider is used when
+   * failover is disabled; otherwise healthy providers are ranked for the task type with
+   * a preference for the primary provider, and providers with an open circuit are skipped.
+   * @param {Object} options - Request options (taskType)
+   * @returns {Array<Object>} - Routes ({ provider, model, circuitKey, score, health }), best first
+   * @throws {CircuitOpenError} - When every candidate provider's circuit is open
+   */
+  routeProviders(options = {}) {
+    let providers = this.enableFailover || this.forceProviderFailure
+      ? Object.values(LLMProvider)
+      : [this.primaryProvider];
+    if (this.forceProviderFailure) {
+      providers = providers.filter(provider => provider !== this.primaryProvider);
+    }
+
+    return this.getProviderRouter().route(
+      providers.map(provider => ({ provider, model: this.getStreamingModel(provider) })),
+      { taskType: options.taskType, preferredProvider: this.primaryProvider }
+    );
+  }
+
+  /**
+   * Call providers in routed order until one succeeds
+   * @param {Array} messages - The messages to send
+   * @param {number} temperature - The temperature parameter
+   * @param {number} maxTokens - The maximum tokens to generate
+   * @param {Object} options - Request options
+   * @returns {Promise<string>} - The generated text
+   */
+  async generateWithFailover(messages, temperature, maxTokens, options = {}) {
+    const routes = this.routeProviders(options);
+    const failures = [];
+    
+    for (const [index, route] of routes.entries()) {
+      try {
+        if (index > 0) {
+          logger.info(`Attempting failover to ${route.provider}`, {
+            contextId: this.contextId,
+            score: route.score
+          });
+        }
+        
+        return await this.callProvider(route.provider, messages, temperature, maxTokens, options);
+      } catch (error) {
+        logger.warn(`Provider ${route.provider} failed`, {
+          error: error?.message || 'Unknown error',
+          circuitState: this.getProviderRouter().getRegistry().getHealth(route.circuitKey).state,
+          contextId: this.contextId
+        });
+        
+        if (!this.enableFailover && !this.forceProviderFailure) {
+          throw error;
+        }
+        failures.push(`${route.provider} (${error?.message || 'Unknown error'})`);
+        // Continue to next provider
+      }
+    }
+    
+    // If all providers failed, throw error
+    throw new Error(`All LLM providers failed: ${failures.join('; ')}`);
+  }
+
+
+  /**
+   * Stream text from the configured LLM provider, failing over to backup providers
+   * until one of them produces its first token
+   *
+   * If the caller stops iterating early (e.g. the client disconnected), the provider
+   * request is aborted and the tokens generated so far are still metered.
+   * @param {string} prompt - The prompt to send to the LLM
+   * @param {Object} options - Additional options for the request
+   * @returns {AsyncGenerator<Object>} - Normalized chunks (see utils/llm/streaming)
+   */
+  async *streamText(prompt, options = {}) {
+    const temperature = options.temperature || 0.7;
+    const maxTokens = options.maxTokens || 1000;
+    const messages = this.buildMessages(prompt, options);
+    const controller = new AbortController();
+
+    let attempts;
+    if (this.testMode) {
+      const response = `[TEST MODE] Response to: ${prompt.substring(0, 50)}...`;
+      attempts = [{
+        provider: this.primaryProvider,
+        model: 'test',
+        open: async () => (async function* () {
+          for (const piece of response.match(/\S+\s*/g) || []) {
+            yield { text: piece };
+          }
+        })()
+      }];
+    } else {
+      const registry = this.getProviderRouter().getRegistry();
+      attempts = this.routeProviders(options).map(route => ({
+        provider: route.provider,
+        model: route.model,
+        open: () => registry.execute(route.circuitKey, () => this.openProviderStream(route.provider, messages, temperature, maxTokens, controller.signal))
+      }));
+      if (this.forceProviderFailure) {
+        attempts.unshift({
+          provider: this.primaryProvider,
+          model: this.getStreamingModel(this.primaryProvider),
+          open: async () => { throw new Error('Forced provider failure'); }
+        });
+      }
+    }
+
+    const startedAt = Date.now();
+    // Output delivered so far, metered in `finally` if the stream ends without DONE or ERROR
+    let partial = null;
+    let metered = false;
+    try {
+      for await (const chunk of streamWithFailover(attempts, { contextId: this.contextId, promptText: messages.map(m => m.content).join('\n') })) {
+        if (chunk.type === ChunkType.DELTA) {
+          partial = { provider: chunk.provider, model: chunk.model, text: `${partial ? partial.text : ''}${chunk.text}` };
+        } else {
+          metered = true;
+        }
+        if (chunk.type === ChunkType.DONE && !this.testMode) {
+          await this.recordUsage({
+            provider: chunk.provider,
+            model: chunk.model,
+            operation: 'stream',
+            promptTokens: chunk.usage.promptTokens,
+            completionTokens: chunk.usage.completionTokens,
+            estimated: chunk.usage.estimated,
+            latencyMs: Date.now() - startedAt,
+            success: true
+          }, options);
+        } else if (chunk.type === ChunkType.ERROR && !this.testMode) {
+          // Output was produced before the failure, so the partial generation is still billable
+          await this.recordUsage({
+            provider: chunk.provider,
+            model: chunk.model,
+            operation: 'stream',
+            promptTokens: estimateTokens(messages.map(m => m.content).join('\n')),
+            completionTokens: estimateTokens(chunk.text),
+            estimated: true,
+            latencyMs: Date.now() - startedAt,
+            success: true,
+            error: chunk.error
+          }, options);
+        }
+        yield chunk;
+      }
+    } finally {
+      if (!metered) {
+        controller.abort();
+        if (partial && !this.testMode) {
+          await this.recordUsage({
+            provider: partial.provider,
+            model: partial.model,
+            operation: 'stream',
+            promptTokens: estimateTokens(messages.map(m => m.content).join('\n')),
+            completionTokens: estimateTokens(partial.text),
+            estimated: true,
+            latencyMs: Date.now() - startedAt,
+            success: true,
+            error: 'Stream closed before completion'
+          }, options);
+        }
+      }
+    }
+  }
+
+  /**
+   * Get the model used for streaming requests to a provider
+   * @param {string} provider - The provider
+   * @returns {string} - Model name
+   */
+  getStreamingModel(provider) {
+    switch (provider) {
+      case LLMProvider.GEMINI:
+        return 'gemini-pro';
+      case LLMProvider.ANTHROPIC:
+        return 'claude-3-opus-20240229';
+      default:
+        return 'gpt-4-turbo';
+    }
+  }
+
+  /**
+   * Open a streaming request to a provider
+   * @param {string} provider - The provider to use
+   * @param {Array} messages - The messages to send
+   * @param {number} temperature - The temperature parameter
+   * @param {number} maxTokens - The maximum tokens to generate
+   * @param {AbortSignal} signal - Aborts the provider request
+   * @returns {Promise<AsyncIterable<Object>>} - Normalized stream events
+   */
+  async openProviderStream(provider, messages, temperature, maxTokens, signal) {
+    const model = this.getStreamingModel(provider);
+
+    switch (provider) {
+      case LLMProvider.OPENAI: {
+        const response = await openai.createChatCompletion({
+          model,
+          messages,
+          temperature,
+          max_tokens: maxTokens,
+          stream: true,
+          stream_options: { include_usage: true }
+        }, { responseType: 'stream', signal });
+        return normalizeOpenAIStream(response.data);
+      }
+      case LLMProvider.GEMINI: {
+        const result = await gemini.getGenerativeModel({ model }).generateContentStream({
+          contents: [{ role: 'user', parts: [{ text: this.toGeminiPrompt(messages) }] }],
+          generationConfig: {
+            temperature,
+            maxOutputTokens: maxTokens
+          }
+        }, { signal });
+        return normalizeGeminiStream(result);
+      }
+      case LLMProvider.ANTHROPIC: {
+        const stream = await anthropic.messages.create({
+          model,
+          ...this.toAnthropicRequest(messages),
+          temperature,
+          max_tokens: maxTokens,
+          stream: true
+        }, { signal });
+        return normalizeAnthropicStream(stream);
+      }
+      default:
+        throw new Error(`Unknown provider: ${provider}`);
+    }
+  }
+
+  /**
+   * Generate an embedding vector for text
+   * @param {string} text - Text to embed
+   * @param {Object} options - Additional options for the request
+   * @param {string} options.model - Preferred model, as returned in `model` (e.g. 'openai:text-embedding-3-small')
+   * @returns {Promise<Object>} - { vector, model }
+   */
+  async generateEmbedding(text, options = {}) {
+    // In test mode, use the deterministic local embedding
+    if (this.testMode || options.model === LOCAL_EMBEDDING_MODEL) {
+      return localEmbed(text);
+    }
+
+    // A preferred model's provider is tried first; the others remain fallbacks
+    const [requestedProvider, requestedModel] = String(options.model || '').split(':');
+    const firstProvider = Object.values(LLMProvider).includes(requestedProvider) ? requestedProvider : this.primaryProvider;
+    const providers = [firstProvider, ...Object.values(LLMProvider).filter(p => p !== firstProvider)];
+    for (const provider of providers) {
+      try {
+        switch (provider) {
+          case LLMProvider.OPENAI: {
+            const model = options.openaiModel ||
+              (requestedProvider === provider && requestedModel) || 'text-embedding-3-small';
+            const startedAt = Date.now();
+            const response = await openai.createEmbedding({ model, input: text });
+            await this.recordUsage({
+              provider,
+              model,
+              operation: 'embedding',
+              promptTokens: response.data.usage ? response.data.usage.prompt_tokens : estimateTokens(text),
+              completionTokens: 0,
+              estimated: !response.data.usage,
+              latencyMs: Date.now() - startedAt
+            }, options);
+            return { vector: response.data.data[0].embedding, model: `openai:${model}` };
+          }
+          case LLMProvider.GEMINI: {
+            const model = options.geminiModel ||
+              (requestedProvider === provider && requestedModel) || 'text-embedding-004';
+            const result = await gemini.getGenerativeModel({ model }).embedContent(text);
+            return { vector: result.embedding.values, model: `gemini:${model}` };
+          }
+          default:
+            // Anthropic has no embeddings endpoint
+            break;
+        }
+      } catch (error) {
+        logger.warn(`Embedding provider ${provider} failed`, {
+          error: error?.message || 'Unknown error',
+          contextId: this.contextId
+        });
+      }
+    }
+
+    logger.warn('No embedding provider available, using local embedding', {
+      contextId: this.contextId
+    });
+    return localEmbed(text);
+  }
+
   /**
    * Call a specific LLM provider
    * @param {string} provider - The provider to use
    * @param {Array} messages - The messages to send
    * @param {number} temperature - The temperature parameter
    * @param {number} maxTokens - The maximum tokens to generate
+   * @param {Object} options - Request options (responseFormat, metering overrides: clientId, userId, feature, debitTarget)
    * @returns {Promise<string>} - The generated text
    */
-  async callProvider(provider, messages, temperature, maxTokens) {
+  async callProvider(provider, messages, temperature, maxTokens, options = {}) {
+    const startedAt = Date.now();
+    const meta = {};
     try {
-      // Use retry logic for API calls
-      return await retryWithExponentialBackoff(async () => {
+      // Use retry logic for API calls; every attempt is recorded by the provider's circuit breaker,
+      // and retries stop as soon as the circuit opens
+      const text = await retryWithExponentialBackoff(async () => {
         switch (provider) {
           case LLMProvider.OPENAI:
-            return await this.callOpenAI(messages, temperature, maxTokens);
+            return await this.callOpenAI(messages, temperature, maxTokens, meta, options);
           case LLMProvider.GEMINI:
-            return await this.callGemini(messages, temperature, maxTokens);
+            return await this.callGemini(messages, temperature, maxTokens, meta, options);
           case LLMProvider.ANTHROPIC:
-            return await this.callAnthropic(messages, temperature, maxTokens);
+            return await this.callAnthropic(messages, temperature, maxTokens, meta, options);
           default:
             throw new Error(`Unknown provider: ${provider}`);
         }
-      }, 3, 1000);
+      }, {
+        maxRetries: 3,
+        initialDelayMs: 1000,
+        source: 'llm',
+        functionName: `call_${provider}`,
+        circuitKey: circuitKeyFor(provider, this.getStreamingModel(provider)),
+        circuitBreaker: this.getProviderRouter().getRegistry()
+      });
+
+      const promptText = messages.map(msg => msg.content).join('\n');
+      await this.recordUsage({
+        provider,
+        model: meta.model,
+        operation: 'chat',
+        promptTokens: meta.usage ? meta.usage.promptTokens : estimateTokens(promptText),
+        completionTokens: meta.usage ? meta.usage.completionTokens : estimateTokens(text),
+        estimated: !meta.usage,
+        latencyMs: Date.now() - startedAt,
+        success: true
+      }, options);
+
+      return text;
     } catch (error) {
       logger.error(`Error calling provider ${provider}`, {
         error: error?.message || 'Unknown error',
         contextId: this.contextId
       });
+      await this.recordUsage({
+        provider,
+        model: meta.model || this.getStreamingModel(provider),
+        operation: 'chat',
+        latencyMs: Date.now() - startedAt,
+        success: false,
+        error: error?.message || 'Unknown error'
+      }, options);
       throw error;
     }
   }
@@ -590,17 +1034,28 @@ class LLMEngine {
    * @param {Array} messages - The messages to send
    * @param {number} temperature - The temperature parameter
    * @param {number} maxTokens - The maximum tokens to generate
+   * @param {Object} meta - Filled with the model and token usage of the call
+   * @param {Object} options - Request options (responseFormat)
    * @returns {Promise<string>} - The generated text
    */
-  async callOpenAI(messages, temperature, maxTokens) {
+  async callOpenAI(messages, temperature, maxTokens, meta = {}, options = {}) {
     try {
+      meta.model = 'gpt-4-turbo';
       const response = await openai.createChatCompletion({
-        model: 'gpt-4-turbo',
+        model: meta.model,
         messages,
         temperature,
-        max_tokens: maxTokens
+        max_tokens: maxTokens,
+        ...(options.responseFormat === ResponseFormat.JSON ? { response_format: { type: 'json_object' } } : {})
       });
       
+      if (response.data.usage) {
+        meta.usage = {
+          promptTokens: response.data.usage.prompt_tokens,
+          completionTokens: response.data.usage.completion_tokens
+        };
+      }
+      
       return response.data.choices[0].message.content;
     } catch (error) {
       logger.error('OpenAI API error', {
@@ -611,38 +1066,71 @@ class LLMEngine {
     }
   }
 
+  /**
+   * Convert a messages array to a single Gemini prompt
+   * @param {Array} messages - The messages to convert
+   * @returns {string} - Prompt with the system instruction first
+   */
+  toGeminiPrompt(messages) {
+    // Combine system messages into a single instruction
+    const systemInstruction = messages.filter(msg => msg.role === 'system').map(msg => msg.content).join('\n\n');
+
+    // Combine user messages
+    const userPrompt = messages.filter(msg => msg.role === 'user').map(msg => msg.content).join('\n\n');
+
+    return `${systemInstruction}\n\n${userPrompt}`;
+  }
+
+  /**
+   * Convert a messages array to Anthropic's system and messages parameters
+   * @param {Array} messages - The messages to convert
+   * @returns {Object} - { system, messages }
+   */
+  toAnthropicRequest(messages) {
+    return {
+      // Combine system messages into a single instruction
+      system: messages.filter(msg => msg.role === 'system').map(msg => msg.content).join('\n\n'),
+      messages: [
+        {
+          role: 'user',
+          content: messages.filter(msg => msg.role === 'user').map(msg => msg.content).join('\n\n')
+        }
+      ]
+    };
+  }
+
   /**
    * Call Gemini API
    * @param {Array} messages - The messages to send
    * @param {number} temperature - The temperature parameter
    * @param {number} maxTokens - The maximum tokens to generate
+   * @param {Object} meta - Filled with the model and token usage of the call
+   * @param {Object} options - Request options (responseFormat)
    * @returns {Promise<string>} - The generated text
    */
-  async callGemini(messages, temperature, maxTokens) {
+  async callGemini(messages, temperature, maxTokens, meta = {}, options = {}) {
     try {
-      // Convert messages array to Gemini format
-      const systemMessages = messages.filter(msg => msg.role === 'system');
-      const userMessages = messages.filter(msg => msg.role === 'user');
-      
-      // Combine system messages into a single instruction
-      const systemInstruction = systemMessages.map(msg => msg.content).join('\n\n');
-      
-      // Combine user messages
-      const userPrompt = userMessages.map(msg => msg.content).join('\n\n');
+      const finalPrompt = this.toGeminiPrompt(messages);
       
-      // Create final prompt with system instruction
-      const finalPrompt = `${systemInstruction}\n\n${userPrompt}`;
-      
-      const model = gemini.getGenerativeModel({ model: 'gemini-pro' });
+      meta.model = 'gemini-pro';
+      const model = gemini.getGenerativeModel({ model: meta.model });
       
       const result = await model.generateContent({
         contents: [{ role: 'user', parts: [{ text: finalPrompt }] }],
         generationConfig: {
           temperature,
-          maxOutputTokens: maxTokens
+          maxOutputTokens: maxTokens,
+          ...(options.responseFormat === ResponseFormat.JSON ? { responseMimeType: 'application/json' } : {})
         }
       });
       
+      if (result.response.usageMetadata) {
+        meta.usage = {
+          promptTokens: result.response.usageMetadata.promptTokenCount,
+          completionTokens: result.response.usageMetadata.candidatesTokenCount
+        };
+      }
+      
       return result.response.text();
     } catch (error) {
       logger.error('Gemini API error', {
@@ -658,33 +1146,28 @@ class LLMEngine {
    * @param {Array} messages - The messages to send
    * @param {number} temperature - The temperature parameter
    * @param {number} maxTokens - The maximum tokens to generate
+   * @param {Object} meta - Filled with the model and token usage of the call
+   * @param {Object} options - Request options (responseFormat)
    * @returns {Promise<string>} - The generated text
    */
-  async callAnthropic(messages, temperature, maxTokens) {
+  async callAnthropic(messages, temperature, maxTokens, meta = {}, options = {}) {
     try {
-      // Convert messages array to Anthropic format
-      const systemMessages = messages.filter(msg => msg.role === 'system');
-      const userMessages = messages.filter(msg => msg.role === 'user');
-      
-      // Combine system messages into a single instruction
-      const systemInstruction = systemMessages.map(msg => msg.content).join('\n\n');
-      
-      // Create Anthropic messages array
-      const anthropicMessages = [
-        {
-          role: 'user',
-          content: userMessages.map(msg => msg.content).join('\n\n')
-        }
-      ];
-      
+      meta.model = 'claude-3-opus-20240229';
+      // Anthropic has no JSON mode; structured requests rely on the schema instructions and validation
       const response = await anthropic.messages.create({
-        model: 'claude-3-opus-20240229',
-        system: systemInstruction,
-        messages: anthropicMessages,
+        model: meta.model,
+        ...this.toAnthropicRequest(messages),
         temperature,
         max_tokens: maxTokens
       });
       
+      if (response.usage) {
+        meta.usage = {
+          promptTokens: response.usage.input_tokens,
+          completionTokens: response.usage.output_tokens
+        };
+      }
+      
       return response.content[0].text;
     } catch (error) {
       logger.error('Anthropic API error', {
@@ -747,9 +1230,19 @@ class MultiAgentEnsemble {
       if (options.includeMemory !== false) {
         try {
           const recentMessages = await memory.getRecentMessages(5);
+          const recentContents = new Set(recentMessages.map(msg => msg.content));
+          const relevantMessages = (await memory.searchMemory(prompt, options.memoryResults || 5))
+            .filter(msg => msg.similarity > 0 && !recentContents.has(msg.content));
+
+          const sections = [];
+          if (relevantMessages.length > 0) {
+            sections.push(`Relevant earlier context:\n${relevantMessages.map(msg => `${msg.role}: ${msg.content}`).join('\n\n')}`);
+          }
           if (recentMessages.length > 0) {
-            const memoryContext = recentMessages.map(msg => `${msg.role}: ${msg.content}`).join('\n\n');
-            contextualPrompt = `Previous conversation:\n${memoryContext}\n\nNew request: ${prompt}`;
+            sections.push(`Previous conversation:\n${recentMessages.map(msg => `${msg.role}: ${msg.content}`).join('\n\n')}`);
+          }
+          if (sections.length > 0) {
+            contextualPrompt = `${sections.join('\n\n')}\n\nNew request: ${prompt}`;
           }
         } catch (memoryError) {
           logger.warn('Failed to retrieve agent memory, continuing without it', {
@@ -937,6 +1430,9 @@ module.exports = {
   AgentType,
   LLMProvider,
   AgentMemory,
+  TaskType,
+  ResponseFormat,
+  StructuredOutputError,
   llmEngine, // Export the singleton instance for the test harness
   multiAgentEnsemble // Export the singleton instance for the test harness
 };
@@ -0,0 +1,172 @@
+/**
+ * Health-aware provider routing for ReachSpark AMIA LLM calls
+ *
+ * Orders the candidate provider/model pairs for a request instead of using a fixed
+ * failover order. Candidates whose circuit is open are skipped; the rest are ranked by
+ *
+ *   score = quality(taskType, provider) + preferredBonus
+ *         - costWeight * (blended price / most expensive candidate price)
+ *         - errorWeight * rolling error rate
+ *         - latencyWeight * min(1, p95 latency / latencyBudgetMs)
+ *
+ * so a healthy, cheaper provider that is good enough for the task is tried first, and a
+ * degraded provider drifts to the back of the list before its circuit opens.
+ */
+
+const { CircuitOpenError, getCircuitBreakerRegistry } = require('../circuitBreaker');
+const { getModelPrice } = require('./usageLedger');
+
+/**
+ * Task types used to pick providers
+ */
+const TaskType = {
+  GENERAL: 'general',
+  CONTENT_GENERATION: 'content_generation',
+  ANALYSIS: 'analysis',
+  STRUCTURED_OUTPUT: 'structured_output',
+  CONVERSATION: 'conversation'
+};
+
+/**
+ * Relative quality of each provider per task type (0-1)
+ */
+const TaskQuality = {
+  [TaskType.GENERAL]: { openai: 0.9, anthropic: 0.9, gemini: 0.8 },
+  [TaskType.CONTENT_GENERATION]: { openai: 0.9, anthropic: 0.95, gemini: 0.8 },
+  [TaskType.ANALYSIS]: { openai: 0.9, anthropic: 0.95, gemini: 0.8 },
+  [TaskType.STRUCTURED_OUTPUT]: { openai: 0.95, anthropic: 0.85, gemini: 0.8 },
+  [TaskType.CONVERSATION]: { openai: 0.9, anthropic: 0.9, gemini: 0.85 }
+};
+
+/**
+ * Default routing weights
+ */
+const RoutingWeights = {
+  preferredBonus: 0.15,
+  costWeight: 0.2,
+  errorWeight: 1,
+  latencyWeight: 0.2,
+  latencyBudgetMs: 20000
+};
+
+/**
+ * Get the circuit breaker key for a provider and model
+ * @param {string} provider - Provider
+ * @param {string} model - Model
+ * @returns {string} - Circuit key
+ */
+function circuitKeyFor(provider, model) {
+  return `${provider}:${model}`;
+}
+
+/**
+ * Blended price per million tokens, assuming output is a third of the traffic
+ * @param {string} provider - Provider
+ * @param {string} model - Model
+ * @returns {number} - USD per million tokens
+ */
+function blendedPrice(provider, model) {
+  const price = getModelPrice(provider, model);
+  return (2 * price.input + price.output) / 3;
+}
+
+/**
+ * Ranks providers by task fit, price and live health
+ */
+class ProviderRouter {
+  /**
+   * @param {Object} options - { registry, weights, taskQuality }
+   */
+  constructor(options = {}) {
+    this.registry = options.registry || null;
+    this.weights = { ...RoutingWeights, ...(options.weights || {}) };
+    this.taskQuality = options.taskQuality || TaskQuality;
+  }
+
+  /**
+   * Get the circuit breaker registry (lazy initialization)
+   * @returns {CircuitBreakerRegistry} - Registry
+   */
+  getRegistry() {
+    if (!this.registry) {
+      this.registry = getCircuitBreakerRegistry();
+    }
+    return this.registry;
+  }
+
+  /**
+   * Score a candidate
+   * @param {Object} candidate - { provider, model }
+   * @param {Object} context - { taskType, preferredProvider, maxPrice }
+   * @returns {Object} - { score, health }
+   */
+  score(candidate, context) {
+    const { provider, model } = candidate;
+    const health = this.getRegistry().getHealth(circuitKeyFor(provider, model));
+    const quality = (this.taskQuality[context.taskType] || this.taskQuality[TaskType.GENERAL])[provider] || 0.5;
+    const cost = context.maxPrice > 0 ? blendedPrice(provider, model) / context.maxPrice : 0;
+    const latency = health.p95LatencyMs ? Math.min(1, health.p95LatencyMs / this.weights.latencyBudgetMs) : 0;
+
+    const score = quality
+      + (provider === context.preferredProvider ? this.weights.preferredBonus : 0)
+      - this.weights.costWeight * cost
+      - this.weights.errorWeight * health.errorRate
+      - this.weights.latencyWeight * latency;
+
+    return { score: Math.round(score * 1000) / 1000, health };
+  }
+
+  /**
+   * Order candidates for a request, skipping those whose circuit is open
+   * @param {Array<Object>} candidates - [{ provider, model }]
+   * @param {Object} options - { taskType, preferredProvider }
+   * @returns {Array<Object>} - Candidates with circuitKey, score and health, best first
+   * @throws {CircuitOpenError} - When every candidate's circuit is open
+   */
+  route(candidates, options = {}) {
+    const registry = this.getRegistry();
+    const context = {
+      taskType: options.taskType || TaskType.GENERAL,
+      preferredProvider: options.preferredProvider,
+      maxPrice: Math.max(0, ...candidates.map(({ provider, model }) => blendedPrice(provider, model)))
+    };
+
+    const available = candidates
+      .map(candidate => ({ ...candidate, circuitKey: circuitKeyFor(candidate.provider, candidate.model) }))
+      .filter(candidate => registry.isAvailable(candidate.circuitKey));
+
+    if (available.length === 0 && candidates.length > 0) {
+      const retryAfterMs = Math.min(...candidates.map(({ provider, model }) => {
+        const nextAttemptAt = registry.getHealth(circuitKeyFor(provider, model)).nextAttemptAt;
+        return nextAttemptAt ? new Date(nextAttemptAt).getTime() - registry.now() : 0;
+      }));
+      throw new CircuitOpenError(candidates.map(({ provider, model }) => circuitKeyFor(provider, model)).join(', '), Math.max(0, retryAfterMs));
+    }
+
+    return available
+      .map(candidate => ({ ...candidate, ...this.score(candidate, context) }))
+      .sort((a, b) => b.score - a.score);
+  }
+}
+
+let defaultRouter = null;
+
+/**
+ * Get the shared provider router
+ * @returns {ProviderRouter} - Shared router
+ */
+function getProviderRouter() {
+  if (!defaultRouter) {
+    defaultRouter = new ProviderRouter();
+  }
+  return defaultRouter;
+}
+
+module.exports = {
+  TaskType,
+  TaskQuality,
+  RoutingWeights,
+  ProviderRouter,
+  circuitKeyFor,
+  getProviderRouter
+};
@@ -0,0 +1,463 @@
+/**
+ * LLM Response Cache for ReachSpark AMIA
+ *
+ * Caches LLM responses keyed by tenant + normalized prompt + system prompt + model + temperature
+ * + max tokens + response format.
+ * Entries live in an in-process LRU and in Firestore, expire after a per-feature TTL,
+ * and can optionally be matched semantically so near-identical inputs reuse an earlier
+ * answer. Semantic matching compares embeddings of the request's variable content
+ * (`semanticText`), never the prompt template around it, and only within one tenant,
+ * feature and model setting. It needs a real embedding model: the local hashing
+ * embedder scores unrelated short texts as near-identical, so with it (or with no
+ * embedder configured) lookups are exact only. Concurrent identical requests share one
+ * provider call.
+ *
+ * Callers can bypass the cache ({ bypass: true }) or force a fresh answer that replaces
+ * the cached one ({ refresh: true }). Hit/miss counters are kept per feature in-process
+ * and as daily totals in Firestore.
+ */
+
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const errorLogging = require('../errorLogging');
+const logger = errorLogging.logger;
+const { LOCAL_EMBEDDING_MODEL, cosineSimilarity } = require('./vectorMemory');
+
+const CACHE_COLLECTION = 'llm_response_cache';
+const METRICS_COLLECTION = 'llm_cache_metrics';
+
+const HOUR_MS = 3600000;
+
+/**
+ * Default time-to-live per feature
+ */
+const CacheTTL = {
+  default: HOUR_MS,
+  brand_voice_analysis: 7 * 24 * HOUR_MS,
+  content_semantics: 24 * HOUR_MS,
+  campaign_suggestions: 6 * HOUR_MS
+};
+
+/**
+ * Cache lookup outcomes
+ */
+const CacheOutcome = {
+  HIT: 'hit',
+  SEMANTIC_HIT: 'semantic_hit',
+  MISS: 'miss',
+  BYPASS: 'bypass'
+};
+
+/**
+ * Normalize prompt text so formatting differences do not change the cache key
+ * @param {string} text - Prompt text
+ * @returns {string} - Text with whitespace collapsed
+ */
+function normalizePrompt(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Compute the cache key of a request
+ * @param {Object} request - { prompt, systemPrompt, model, temperature, maxTokens, responseFormat, tenant }
+ * @returns {string} - Hex SHA-256 key
+ */
+function buildCacheKey({ prompt, systemPrompt, model, temperature, maxTokens, responseFormat, tenant }) {
+  return crypto.createHash('sha256').update(JSON.stringify([
+    tenant || '',
+    normalizePrompt(prompt),
+    normalizePrompt(systemPrompt),
+    model || 'default',
+    temperature !== undefined && temperature !== null ? Number(temperature).toFixed(2) : 'default',
+    maxTokens || 'default',
+    responseFormat || 'default'
+  ])).digest('hex');
+}
+
+/**
+ * LLM Response Cache class
+ */
+class LLMResponseCache {
+  /**
+   * Create a new response cache
+   * @param {Object} options - Cache options
+   * @param {Object} options.db - Firestore instance (defaults to admin.firestore())
+   * @param {Object} options.ttlByFeature - TTL overrides in milliseconds, keyed by feature
+   * @param {number} options.maxMemoryEntries - Size of the in-process LRU
+   * @param {number} options.similarityThreshold - Minimum cosine similarity for semantic hits
+   * @param {Function} options.embed - async (text) => { vector, model }; semantic mode is off without it
+   * @param {boolean} options.persist - Whether to store entries and metrics in Firestore
+   * @param {Function} options.now - Clock (for tests)
+   */
+  constructor(options = {}) {
+    this.db = options.db || null;
+    this.ttlByFeature = { ...CacheTTL, ...(options.ttlByFeature || {}) };
+    this.maxMemoryEntries = options.maxMemoryEntries || 500;
+    this.similarityThreshold = options.similarityThreshold || 0.97;
+    this.embed = options.embed || null;
+    this.persist = options.persist !== false;
+    this.now = options.now || (() => Date.now());
+
+    this.memory = new Map();
+    this.inFlight = new Map();
+    this.metrics = {};
+  }
+
+  /**
+   * Get the Firestore instance (lazy initialization)
+   * @returns {Object} - Firestore
+   */
+  getDb() {
+    if (!this.db) {
+      this.db = admin.firestore();
+    }
+    return this.db;
+  }
+
+  /**
+   * Get the TTL of a feature
+   * @param {string} feature - Feature
+   * @returns {number} - TTL in milliseconds
+   */
+  getTTL(feature) {
+    return this.ttlByFeature[feature] || this.ttlByFeature.default;
+  }
+
+  /**
+   * Return a cached response or compute and cache it
+   * @param {Object} request - Request identity
+   * @param {string} request.prompt - Prompt
+   * @param {string} request.systemPrompt - System prompt
+   * @param {string} request.model - Provider/model identifier
+   * @param {number} request.temperature - Temperature
+   * @param {number} request.maxTokens - Output token limit
+   * @param {*} request.responseFormat - Requested response format
+   * @param {string} request.feature - Feature (selects the TTL and metrics bucket)
+   * @param {string} request.semanticText - Variable content compared in semantic mode
+   * @param {string} request.tenant - Client or user the answer belongs to; answers are never shared across tenants
+   * @param {Function} compute - async () => response (string or JSON-serializable value)
+   * @param {Object} options - Lookup options
+   * @param {boolean} options.bypass - Skip the cache entirely
+   * @param {boolean} options.refresh - Skip the lookup but store the new response
+   * @param {boolean} options.semantic - Also accept cached answers for similar `semanticText`
+   * @param {number} options.ttlMs - TTL override for this entry
+   * @returns {Promise<*>} - Response
+   */
+  async getOrCompute(request, compute, options = {}) {
+    const feature = request.feature || 'default';
+
+    if (options.bypass) {
+      this.recordMetric(feature, CacheOutcome.BYPASS);
+      return compute();
+    }
+
+    const key = buildCacheKey(request);
+
+    if (!options.refresh) {
+      const cached = await this.lookup(key, request, options);
+      if (cached) {
+        this.recordMetric(feature, cached.outcome);
+        return cached.entry.response;
+      }
+
+      // Share one provider call between concurrent identical requests
+      if (this.inFlight.has(key)) {
+        this.recordMetric(feature, CacheOutcome.HIT);
+        return this.inFlight.get(key);
+      }
+    }
+
+    this.recordMetric(feature, CacheOutcome.MISS);
+    const pending = (async () => {
+      const response = await compute();
+      await this.store(key, request, response, options);
+      return response;
+    })();
+
+    this.inFlight.set(key, pending);
+    try {
+      return await pending;
+    } finally {
+      this.inFlight.delete(key);
+    }
+  }
+
+  /**
+   * Look up a request by exact key, then semantically if requested
+   * @param {string} key - Cache key
+   * @param {Object} request - Request identity
+   * @param {Object} options - Lookup options
+   * @returns {Promise<Object|null>} - { entry, outcome } or null
+   */
+  async lookup(key, request, options) {
+    try {
+      const exact = await this.getEntry(key);
+      if (exact) {
+        return { entry: exact, outcome: CacheOutcome.HIT };
+      }
+
+      if (options.semantic && this.canMatchSemantically(request)) {
+        const similar = await this.findSimilar(request);
+        if (similar) {
+          return { entry: similar, outcome: CacheOutcome.SEMANTIC_HIT };
+        }
+      }
+    } catch (error) {
+      logger.warn('LLM cache lookup failed, calling the provider', {
+        error: error?.message || 'Unknown error',
+        feature: request.feature
+      });
+    }
+    return null;
+  }
+
+  /**
+   * Get an unexpired entry by key from memory or Firestore
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} - Entry
+   */
+  async getEntry(key) {
+    let entry = this.memory.get(key);
+    if (!entry && this.persist) {
+      const doc = await this.getDb().collection(CACHE_COLLECTION).doc(key).get();
+      if (doc.exists) {
+        entry = doc.data();
+      }
+    }
+
+    if (!entry || entry.expiresAtMs <= this.now()) {
+      this.memory.delete(key);
+      return null;
+    }
+
+    this.remember(key, entry);
+    return entry;
+  }
+
+  /**
+   * Whether a request can be matched semantically
+   * @param {Object} request - Request identity
+   * @returns {boolean} - True when an embedder is configured and there is content to compare
+   */
+  canMatchSemantically(request) {
+    return !!this.embed && !!normalizePrompt(request.semanticText);
+  }
+
+  /**
+   * Embed a request's variable content
+   * @param {Object} request - Request identity
+   * @returns {Promise<Object|null>} - { vector, model }, or null when the model is not fit for matching
+   */
+  async embedContent(request) {
+    const embedding = await this.embed(normalizePrompt(request.semanticText));
+    return embedding && embedding.model !== LOCAL_EMBEDDING_MODEL ? embedding : null;
+  }
+
+  /**
+   * Find a cached entry for semantically similar content in the same scope
+   * @param {Object} request - Request identity
+   * @returns {Promise<Object|null>} - Most similar unexpired entry above the threshold
+   */
+  async findSimilar(request) {
+    const embedding = await this.embedContent(request);
+    if (!embedding) {
+      return null;
+    }
+    const { vector, model: embeddingModel } = embedding;
+    const scope = LLMResponseCache.scopeOf(request);
+    const candidates = new Map();
+
+    this.memory.forEach((entry, key) => {
+      if (entry.scope === scope) {
+        candidates.set(key, entry);
+      }
+    });
+
+    if (this.persist) {
+      const snapshot = await this.getDb().collection(CACHE_COLLECTION)
+        .where('scope', '==', scope)
+        .where('expiresAtMs', '>', this.now())
+        .limit(200)
+        .get();
+      snapshot.docs.forEach(doc => {
+        if (!candidates.has(doc.id)) {
+          candidates.set(doc.id, doc.data());
+        }
+      });
+    }
+
+    let best = null;
+    candidates.forEach((entry, key) => {
+      if (entry.expiresAtMs <= this.now() || entry.embeddingModel !== embeddingModel) {
+        return;
+      }
+      const similarity = cosineSimilarity(vector, entry.embedding);
+      if (similarity >= this.similarityThreshold && (!best || similarity > best.similarity)) {
+        best = { key, entry, similarity };
+      }
+    });
+
+    if (best) {
+      this.remember(best.key, best.entry);
+      return best.entry;
+    }
+    return null;
+  }
+
+  /**
+   * Store a response
+   * @param {string} key - Cache key
+   * @param {Object} request - Request identity
+   * @param {*} response - Response
+   * @param {Object} options - Store options (ttlMs, semantic)
+   * @returns {Promise<void>}
+   */
+  async store(key, request, response, options = {}) {
+    if (response === undefined || response === null) {
+      return;
+    }
+
+    const now = this.now();
+    const entry = {
+      response,
+      scope: LLMResponseCache.scopeOf(request),
+      feature: request.feature || 'default',
+      model: request.model || null,
+      temperature: request.temperature !== undefined ? request.temperature : null,
+      promptPreview: normalizePrompt(request.prompt).slice(0, 200),
+      createdAtMs: now,
+      expiresAtMs: now + (options.ttlMs || this.getTTL(request.feature))
+    };
+
+    try {
+      if (options.semantic && this.canMatchSemantically(request)) {
+        const embedding = await this.embedContent(request);
+        if (embedding) {
+          entry.embedding = embedding.vector;
+          entry.embeddingModel = embedding.model;
+        }
+      }
+
+      this.remember(key, entry);
+      if (this.persist) {
+        await this.getDb().collection(CACHE_COLLECTION).doc(key).set(entry);
+      }
+    } catch (error) {
+      logger.warn('Failed to store LLM response in cache', {
+        error: error?.message || 'Unknown error',
+        feature: entry.feature
+      });
+    }
+  }
+
+  /**
+   * Put an entry in the in-process LRU
+   * @param {string} key - Cache key
+   * @param {Object} entry - Entry
+   */
+  remember(key, entry) {
+    this.memory.delete(key);
+    this.memory.set(key, entry);
+    while (this.memory.size > this.maxMemoryEntries) {
+      this.memory.delete(this.memory.keys().next().value);
+    }
+  }
+
+  /**
+   * Remove a request's cached response
+   * @param {Object} request - Request identity
+   * @returns {Promise<void>}
+   */
+  async invalidate(request) {
+    const key = buildCacheKey(request);
+    this.memory.delete(key);
+    if (this.persist) {
+      await this.getDb().collection(CACHE_COLLECTION).doc(key).delete();
+    }
+  }
+
+  /**
+   * Count a lookup outcome
+   * @param {string} feature - Feature
+   * @param {string} outcome - CacheOutcome
+   */
+  recordMetric(feature, outcome) {
+    this.metrics[feature] = this.metrics[feature] || { hit: 0, semantic_hit: 0, miss: 0, bypass: 0 };
+    this.metrics[feature][outcome] += 1;
+
+    if (this.persist) {
+      const day = new Date(this.now()).toISOString().slice(0, 10);
+      this.getDb().collection(METRICS_COLLECTION).doc(day).set({
+        [feature]: { [outcome]: admin.firestore.FieldValue.increment(1) }
+      }, { merge: true }).catch(error => {
+        logger.warn('Failed to record LLM cache metric', {
+          error: error?.message || 'Unknown error',
+          feature
+        });
+      });
+    }
+  }
+
+  /**
+   * Get in-process hit/miss metrics
+   * @returns {Object} - Counters and hit rate per feature, plus totals
+   */
+  getMetrics() {
+    const withRate = counters => {
+      const hits = counters.hit + counters.semantic_hit;
+      const lookups = hits + counters.miss;
+      return { ...counters, hitRate: lookups > 0 ? hits / lookups : 0 };
+    };
+
+    const totals = { hit: 0, semantic_hit: 0, miss: 0, bypass: 0 };
+    const byFeature = {};
+    Object.entries(this.metrics).forEach(([feature, counters]) => {
+      byFeature[feature] = withRate(counters);
+      Object.keys(totals).forEach(outcome => {
+        totals[outcome] += counters[outcome];
+      });
+    });
+
+    return { byFeature, totals: withRate(totals) };
+  }
+
+  /**
+   * Scope within which semantic matches are allowed (same tenant, feature, system prompt, model and temperature)
+   * @param {Object} request - Request identity
+   * @returns {string} - Scope hash
+   */
+  static scopeOf(request) {
+    return buildCacheKey({
+      tenant: request.tenant,
+      prompt: request.feature || 'default',
+      systemPrompt: request.systemPrompt,
+      model: request.model,
+      temperature: request.temperature,
+      maxTokens: request.maxTokens,
+      responseFormat: request.responseFormat
+    });
+  }
+}
+
+let defaultCache = null;
+
+/**
+ * Get the shared response cache (lazy initialization)
+ * @returns {LLMResponseCache} - Response cache
+ */
+function getResponseCache() {
+  if (!defaultCache) {
+    defaultCache = new LLMResponseCache();
+  }
+  return defaultCache;
+}
+
+module.exports = {
+  LLMResponseCache,
+  CacheTTL,
+  CacheOutcome,
+  CACHE_COLLECTION,
+  normalizePrompt,
+  buildCacheKey,
+  getResponseCache
+};
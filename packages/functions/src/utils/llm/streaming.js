@@ -0,0 +1,274 @@
+/**
+ * Streaming support for ReachSpark AMIA LLM providers
+ *
+ * Normalizes the OpenAI, Anthropic and Gemini streaming formats into one chunk schema:
+ *   { type: 'delta', provider, model, index, text }
+ *   { type: 'done', provider, model, index, text, usage, finishReason, failedProviders }
+ *   { type: 'error', provider, model, index, error, text }
+ * where `usage` is { promptTokens, completionTokens, totalTokens, estimated }.
+ *
+ * Providers are tried in order until one produces its first token. Once output has
+ * started, a provider error ends the stream with an error chunk instead of failing over,
+ * because the consumer has already rendered partial output.
+ */
+
+const errorLogging = require('../errorLogging');
+const logger = errorLogging.logger;
+
+/**
+ * Stream chunk types
+ */
+const ChunkType = {
+  DELTA: 'delta',
+  DONE: 'done',
+  ERROR: 'error'
+};
+
+/**
+ * Parse a server-sent-events byte stream into events
+ * @param {AsyncIterable<Buffer|string>} stream - Readable stream of SSE bytes
+ * @returns {AsyncGenerator<Object>} - { event, data } per SSE event
+ */
+async function* parseSSEStream(stream) {
+  let buffer = '';
+  let event = null;
+  let data = [];
+
+  const flush = function* () {
+    if (data.length > 0) {
+      yield { event: event || 'message', data: data.join('\n') };
+    }
+    event = null;
+    data = [];
+  };
+
+  for await (const chunk of stream) {
+    buffer += typeof chunk === 'string' ? chunk : chunk.toString('utf8');
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newline).replace(/\r$/, '');
+      buffer = buffer.slice(newline + 1);
+
+      if (line === '') {
+        yield* flush();
+      } else if (line.startsWith('event:')) {
+        event = line.slice(6).trim();
+      } else if (line.startsWith('data:')) {
+        data.push(line.slice(5).replace(/^ /, ''));
+      }
+    }
+  }
+
+  if (buffer.startsWith('data:')) {
+    data.push(buffer.slice(5).replace(/^ /, ''));
+  }
+  yield* flush();
+}
+
+/**
+ * Normalize an OpenAI chat completion stream
+ * @param {AsyncIterable<Buffer|string>} stream - Raw SSE stream (axios responseType 'stream')
+ * @returns {AsyncGenerator<Object>} - { text } deltas and { usage, finishReason } metadata
+ */
+async function* normalizeOpenAIStream(stream) {
+  try {
+    for await (const { data } of parseSSEStream(stream)) {
+      if (data === '[DONE]') {
+        return;
+      }
+
+      const payload = JSON.parse(data);
+      if (payload.error) {
+        throw new Error(payload.error.message || 'OpenAI stream error');
+      }
+
+      const choice = (payload.choices || [])[0];
+      if (choice && choice.delta && choice.delta.content) {
+        yield { text: choice.delta.content };
+      }
+      if (choice && choice.finish_reason) {
+        yield { finishReason: choice.finish_reason };
+      }
+      if (payload.usage) {
+        yield {
+          usage: {
+            promptTokens: payload.usage.prompt_tokens,
+            completionTokens: payload.usage.completion_tokens
+          }
+        };
+      }
+    }
+  } finally {
+    if (typeof stream.destroy === 'function') {
+      stream.destroy();
+    }
+  }
+}
+
+/**
+ * Normalize an Anthropic messages stream
+ * @param {AsyncIterable<Object>} events - Stream returned by messages.create({ stream: true })
+ * @returns {AsyncGenerator<Object>} - { text } deltas and { usage, finishReason } metadata
+ */
+async function* normalizeAnthropicStream(events) {
+  for await (const event of events) {
+    switch (event.type) {
+      case 'message_start':
+        if (event.message && event.message.usage) {
+          yield { usage: { promptTokens: event.message.usage.input_tokens } };
+        }
+        break;
+      case 'content_block_delta':
+        if (event.delta && event.delta.type === 'text_delta' && event.delta.text) {
+          yield { text: event.delta.text };
+        }
+        break;
+      case 'message_delta':
+        if (event.usage) {
+          yield { usage: { completionTokens: event.usage.output_tokens } };
+        }
+        if (event.delta && event.delta.stop_reason) {
+          yield { finishReason: event.delta.stop_reason };
+        }
+        break;
+      case 'error':
+        throw new Error((event.error && event.error.message) || 'Anthropic stream error');
+      default:
+        break;
+    }
+  }
+}
+
+/**
+ * Normalize a Gemini generateContentStream result
+ * @param {Object} result - Result of model.generateContentStream()
+ * @returns {AsyncGenerator<Object>} - { text } deltas and { usage, finishReason } metadata
+ */
+async function* normalizeGeminiStream(result) {
+  for await (const chunk of result.stream) {
+    const text = typeof chunk.text === 'function' ? chunk.text() : '';
+    if (text) {
+      yield { text };
+    }
+
+    const candidate = (chunk.candidates || [])[0];
+    if (candidate && candidate.finishReason) {
+      yield { finishReason: String(candidate.finishReason).toLowerCase() };
+    }
+    if (chunk.usageMetadata) {
+      yield {
+        usage: {
+          promptTokens: chunk.usageMetadata.promptTokenCount,
+          completionTokens: chunk.usageMetadata.candidatesTokenCount
+        }
+      };
+    }
+  }
+}
+
+/**
+ * Estimate a token count from text length when a provider does not report usage
+ * @param {string} text - Text
+ * @returns {number} - Approximate token count
+ */
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+/**
+ * Stream from the first provider that produces output
+ * @param {Array<Object>} attempts - [{ provider, model, open: async () => AsyncIterable of normalized events }]
+ * @param {Object} options - Stream options
+ * @param {string} options.contextId - Context ID for logging
+ * @param {string} options.promptText - Prompt text, used to estimate prompt tokens if not reported
+ * @returns {AsyncGenerator<Object>} - Normalized chunks
+ */
+async function* streamWithFailover(attempts, options = {}) {
+  const failedProviders = [];
+
+  for (const attempt of attempts) {
+    const { provider, model } = attempt;
+    let index = 0;
+    let text = '';
+    let finishReason = null;
+    const usage = {};
+
+    try {
+      const events = await attempt.open();
+      for await (const event of events) {
+        if (event.usage) {
+          Object.entries(event.usage).forEach(([key, value]) => {
+            if (value !== undefined && value !== null) {
+              usage[key] = value;
+            }
+          });
+        }
+        if (event.finishReason) {
+          finishReason = event.finishReason;
+        }
+        if (event.text) {
+          text += event.text;
+          yield { type: ChunkType.DELTA, provider, model, index: index++, text: event.text };
+        }
+      }
+    } catch (error) {
+      if (index === 0) {
+        // Nothing has been sent yet, so the next provider can take over transparently
+        logger.warn(`Streaming provider ${provider} failed before the first token`, {
+          error: error?.message || 'Unknown error',
+          contextId: options.contextId
+        });
+        failedProviders.push({ provider, error: error?.message || 'Unknown error' });
+        continue;
+      }
+
+      logger.error(`Streaming provider ${provider} failed mid-stream`, {
+        error: error?.message || 'Unknown error',
+        contextId: options.contextId
+      });
+      yield { type: ChunkType.ERROR, provider, model, index, error: error?.message || 'Unknown error', text };
+      return;
+    }
+
+    const estimated = usage.promptTokens === undefined || usage.completionTokens === undefined;
+    const promptTokens = usage.promptTokens !== undefined ? usage.promptTokens : estimateTokens(options.promptText);
+    const completionTokens = usage.completionTokens !== undefined ? usage.completionTokens : estimateTokens(text);
+
+    yield {
+      type: ChunkType.DONE,
+      provider,
+      model,
+      index,
+      text,
+      finishReason: finishReason || 'stop',
+      usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens, estimated },
+      failedProviders
+    };
+    return;
+  }
+
+  throw new Error(`All LLM providers failed to stream: ${failedProviders.map(f => `${f.provider} (${f.error})`).join(', ')}`);
+}
+
+/**
+ * Write a chunk to an HTTP response as a server-sent event
+ * @param {Object} res - HTTP response
+ * @param {Object} chunk - Normalized chunk
+ */
+function writeSSEChunk(res, chunk) {
+  res.write(`event: ${chunk.type}\ndata: ${JSON.stringify(chunk)}\n\n`);
+  if (typeof res.flush === 'function') {
+    res.flush();
+  }
+}
+
+module.exports = {
+  ChunkType,
+  parseSSEStream,
+  normalizeOpenAIStream,
+  normalizeAnthropicStream,
+  normalizeGeminiStream,
+  streamWithFailover,
+  estimateTokens,
+  writeSSEChunk
+};
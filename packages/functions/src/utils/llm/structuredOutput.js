@@ -0,0 +1,379 @@
+/**
+ * Structured JSON output for ReachSpark AMIA LLM providers
+ *
+ * Responses are requested in the provider's native JSON mode where one exists, extracted
+ * from any surrounding prose or code fences, and validated against a JSON Schema. When
+ * validation fails, the model is asked once more with the validation errors (a "repair"
+ * prompt) before a StructuredOutputError is thrown.
+ *
+ * The validator covers the JSON Schema subset used by our prompts: type (including type
+ * arrays), enum, const, properties, required, additionalProperties, items, minItems,
+ * maxItems, minLength, maxLength, minimum, maximum, pattern and anyOf.
+ */
+
+const { logger, ReachSparkError, ErrorTypes, SeverityLevels } = require('../errorLogging');
+
+/**
+ * Response formats understood by LLMEngine provider calls
+ */
+const ResponseFormat = {
+  TEXT: 'text',
+  JSON: 'json'
+};
+
+/**
+ * Error raised when a model does not produce valid structured output.
+ * `type` is ErrorTypes.PARSING_ERROR when no JSON could be read and
+ * ErrorTypes.VALIDATION_ERROR when the JSON did not match the schema.
+ */
+class StructuredOutputError extends ReachSparkError {
+  constructor(message, type, details = {}) {
+    super(message, type, SeverityLevels.WARNING, details.originalError || null, details.context || {});
+    this.name = 'StructuredOutputError';
+    this.validationErrors = details.validationErrors || [];
+    this.rawOutput = details.rawOutput;
+    this.attempts = details.attempts || 1;
+  }
+}
+
+/**
+ * Get the JSON Schema type name of a value
+ * @param {*} value - Value to inspect
+ * @returns {string} - Type name
+ */
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+/**
+ * Check whether a value matches a JSON Schema type
+ * @param {*} value - Value to check
+ * @param {string} type - Schema type
+ * @returns {boolean} - Whether the value matches
+ */
+const matchesType = (value, type) => {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'object':
+      return typeOf(value) === 'object';
+    default:
+      return typeOf(value) === type;
+  }
+};
+
+/**
+ * Validate a value against a JSON Schema
+ * @param {*} value - Value to validate
+ * @param {Object} schema - JSON Schema
+ * @param {string} path - JSON path of the value, used in error messages
+ * @returns {Array<string>} - Validation errors (empty when valid)
+ */
+const validateSchema = (value, schema, path = '$') => {
+  if (!schema || typeof schema !== 'object') {
+    return [];
+  }
+
+  if (schema.anyOf) {
+    const branches = schema.anyOf.map(branch => validateSchema(value, branch, path));
+    if (!branches.some(branchErrors => branchErrors.length === 0)) {
+      return [`${path} does not match any allowed schema`];
+    }
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      return [`${path} should be ${types.join(' or ')} but was ${typeOf(value)}`];
+    }
+  }
+
+  const errors = [];
+
+  if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    errors.push(`${path} should be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+
+  if (schema.const !== undefined && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    errors.push(`${path} should equal ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path} should have at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path} should have at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${path} should match pattern ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path} should be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path} should be <= ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path} should have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path} should have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key} is required`);
+      }
+    });
+    Object.keys(value).forEach(key => {
+      if (properties[key]) {
+        errors.push(...validateSchema(value[key], properties[key], `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} is not allowed`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(value[key], schema.additionalProperties, `${path}.${key}`));
+      }
+    });
+  }
+
+  return errors;
+};
+
+/**
+ * Find the end of the balanced JSON value starting at an index
+ * @param {string} text - Text to scan
+ * @param {number} start - Index of the opening brace or bracket
+ * @returns {number} - Index of the matching closing character, or -1
+ */
+const findJsonEnd = (text, start) => {
+  const stack = [];
+  let inString = false;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (char === '\\') {
+        i++;
+      } else if (char === '"') {
+        inString = false;
+      }
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{' || char === '[') {
+      stack.push(char === '{' ? '}' : ']');
+    } else if (char === '}' || char === ']') {
+      if (stack.pop() !== char) {
+        return -1;
+      }
+      if (stack.length === 0) {
+        return i;
+      }
+    }
+  }
+
+  return -1;
+};
+
+/**
+ * Extract and parse the JSON value from a model response, ignoring code fences
+ * and any prose before or after it
+ * @param {string} text - Model response
+ * @returns {*} - Parsed value
+ * @throws {StructuredOutputError} - When no JSON value can be parsed
+ */
+const extractJson = (text) => {
+  if (typeof text !== 'string') {
+    if (text && typeof text === 'object') {
+      return text;
+    }
+    throw new StructuredOutputError('Model response is empty', ErrorTypes.PARSING_ERROR, { rawOutput: text });
+  }
+
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const candidates = [fenced ? fenced[1] : null, text].filter(Boolean);
+
+  let lastError = null;
+  for (const candidate of candidates) {
+    try {
+      return JSON.parse(candidate.trim());
+    } catch (error) {
+      lastError = error;
+    }
+
+    // Try each balanced object or array in turn
+    for (let start = 0; start < candidate.length; start++) {
+      if (candidate[start] !== '{' && candidate[start] !== '[') {
+        continue;
+      }
+      const end = findJsonEnd(candidate, start);
+      if (end === -1) {
+        continue;
+      }
+      try {
+        return JSON.parse(candidate.slice(start, end + 1));
+      } catch (error) {
+        lastError = error;
+      }
+    }
+  }
+
+  throw new StructuredOutputError(
+    `Model response is not valid JSON: ${lastError ? lastError.message : 'no JSON value found'}`,
+    ErrorTypes.PARSING_ERROR,
+    { rawOutput: text, originalError: lastError }
+  );
+};
+
+/**
+ * Parse a model response and validate it against a schema
+ * @param {string} text - Model response
+ * @param {Object} schema - JSON Schema
+ * @returns {*} - Validated value
+ * @throws {StructuredOutputError} - When the response is not JSON or does not match the schema
+ */
+const parseStructuredOutput = (text, schema) => {
+  const value = extractJson(text);
+  const validationErrors = validateSchema(value, schema);
+
+  if (validationErrors.length > 0) {
+    throw new StructuredOutputError(
+      `Model response does not match the schema: ${validationErrors.slice(0, 5).join('; ')}`,
+      ErrorTypes.VALIDATION_ERROR,
+      { rawOutput: text, validationErrors }
+    );
+  }
+
+  return value;
+};
+
+/**
+ * Build the system prompt instructions describing the expected output
+ * @param {Object} schema - JSON Schema
+ * @returns {string} - Instructions
+ */
+const buildSchemaInstructions = (schema) => {
+  return `Respond only with a JSON value that conforms to this JSON Schema. Do not include explanations or code fences.\n\nJSON Schema:\n${JSON.stringify(schema, null, 2)}`;
+};
+
+/**
+ * Build the prompt asking the model to fix an invalid response
+ * @param {string} prompt - Original prompt
+ * @param {string} rawOutput - The invalid response
+ * @param {StructuredOutputError} error - Why the response was rejected
+ * @returns {string} - Repair prompt
+ */
+const buildRepairPrompt = (prompt, rawOutput, error) => {
+  const problems = error.validationErrors.length > 0
+    ? error.validationErrors.map(problem => `- ${problem}`).join('\n')
+    : `- ${error.message}`;
+
+  return `${prompt}\n\nYour previous response was rejected:\n${String(rawOutput).substring(0, 4000)}\n\nProblems:\n${problems}\n\nReturn the corrected JSON only.`;
+};
+
+/**
+ * Build a minimal value that satisfies a schema (used for mock responses in test mode)
+ * @param {Object} schema - JSON Schema
+ * @returns {*} - Example value
+ */
+const mockFromSchema = (schema = {}) => {
+  if (schema.const !== undefined) return schema.const;
+  if (schema.enum) return schema.enum[0];
+  if (schema.anyOf) return mockFromSchema(schema.anyOf[0]);
+
+  const type = Array.isArray(schema.type) ? schema.type[0] : schema.type;
+  switch (type) {
+    case 'object': {
+      const value = {};
+      (schema.required || Object.keys(schema.properties || {})).forEach(key => {
+        value[key] = mockFromSchema((schema.properties || {})[key]);
+      });
+      return value;
+    }
+    case 'array':
+      return Array.from({ length: schema.minItems || 1 }, () => mockFromSchema(schema.items));
+    case 'integer':
+    case 'number':
+      return schema.minimum !== undefined ? schema.minimum : 0;
+    case 'boolean':
+      return false;
+    case 'null':
+      return null;
+    default: {
+      const text = '[TEST MODE] value';
+      return schema.minLength && text.length < schema.minLength ? text.padEnd(schema.minLength, '.') : text;
+    }
+  }
+};
+
+/**
+ * Generate, validate and if needed repair a structured response
+ * @param {Function} generate - async (prompt) => raw model response
+ * @param {string} prompt - The prompt
+ * @param {Object} schema - JSON Schema the response must match
+ * @param {Object} options - { maxRepairAttempts = 1, contextId }
+ * @returns {Promise<*>} - Validated value
+ * @throws {StructuredOutputError} - When every attempt is rejected
+ */
+const generateStructuredOutput = async (generate, prompt, schema, options = {}) => {
+  const maxRepairAttempts = options.maxRepairAttempts !== undefined ? options.maxRepairAttempts : 1;
+  let currentPrompt = prompt;
+
+  for (let attempt = 1; ; attempt++) {
+    const rawOutput = await generate(currentPrompt, { attempt });
+    try {
+      return parseStructuredOutput(rawOutput, schema);
+    } catch (error) {
+      if (!(error instanceof StructuredOutputError)) {
+        throw error;
+      }
+      error.attempts = attempt;
+
+      if (attempt > maxRepairAttempts) {
+        logger.warn('Structured output rejected after repair attempts', {
+          error: error.message,
+          attempts: attempt,
+          contextId: options.contextId
+        });
+        throw error;
+      }
+
+      logger.info('Structured output rejected, retrying with repair prompt', {
+        error: error.message,
+        attempt,
+        contextId: options.contextId
+      });
+      currentPrompt = buildRepairPrompt(prompt, rawOutput, error);
+    }
+  }
+};
+
+module.exports = {
+  ResponseFormat,
+  StructuredOutputError,
+  validateSchema,
+  extractJson,
+  parseStructuredOutput,
+  buildSchemaInstructions,
+  buildRepairPrompt,
+  mockFromSchema,
+  generateStructuredOutput
+};
@@ -0,0 +1,413 @@
+/**
+ * LLM Usage Ledger for ReachSpark AMIA
+ *
+ * Records one ledger entry per provider call (provider, model, prompt/completion tokens,
+ * latency, cost from the price table, tenant and feature), debits the tenant's credits or
+ * token balance, and aggregates usage by tenant, feature and day.
+ *
+ * Metering never fails the LLM call it describes: ledger and debit errors are logged and
+ * recorded on the entry instead of being thrown.
+ */
+
+const admin = require('firebase-admin');
+const functions = require('firebase-functions');
+const errorLogging = require('../errorLogging');
+const logger = errorLogging.logger;
+
+const LEDGER_COLLECTION = 'llm_usage_ledger';
+
+/**
+ * USD prices per million tokens, keyed by provider and model ('*' is the provider default)
+ */
+const ModelPricing = {
+  openai: {
+    'gpt-4-turbo': { input: 10, output: 30 },
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+    'text-embedding-3-small': { input: 0.02, output: 0 },
+    'text-embedding-3-large': { input: 0.13, output: 0 },
+    '*': { input: 10, output: 30 }
+  },
+  anthropic: {
+    'claude-3-opus-20240229': { input: 15, output: 75 },
+    'claude-3-sonnet-20240229': { input: 3, output: 15 },
+    'claude-3-haiku-20240307': { input: 0.25, output: 1.25 },
+    '*': { input: 15, output: 75 }
+  },
+  gemini: {
+    'gemini-pro': { input: 0.5, output: 1.5 },
+    'text-embedding-004': { input: 0, output: 0 },
+    '*': { input: 0.5, output: 1.5 }
+  }
+};
+
+/**
+ * Where usage is debited
+ */
+const DebitTarget = {
+  AUTO: 'auto',                 // Trial/subscription credits if the user has a trial, otherwise the token balance
+  CREDITS: 'credits',           // TrialPeriodManager.recordCreditUsage
+  TOKEN_BALANCE: 'token_balance', // users/{uid}.tokens, as the useTokens function does
+  NONE: 'none'
+};
+
+/**
+ * Debit outcomes recorded on ledger entries
+ */
+const DebitStatus = {
+  DEBITED: 'debited',
+  SKIPPED: 'skipped',
+  FAILED: 'failed'
+};
+
+/**
+ * Round a number to a fixed number of decimals
+ * @param {number} value - Value
+ * @param {number} decimals - Decimals
+ * @returns {number} - Rounded value
+ */
+function round(value, decimals = 6) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Look up the price of a model
+ * @param {string} provider - Provider
+ * @param {string} model - Model
+ * @param {Object} priceTable - Price table (defaults to ModelPricing)
+ * @returns {Object} - { input, output } USD per million tokens
+ */
+function getModelPrice(provider, model, priceTable = ModelPricing) {
+  const providerPrices = priceTable[provider] || {};
+  return providerPrices[model] || providerPrices['*'] || { input: 0, output: 0 };
+}
+
+/**
+ * Compute the cost of a call
+ * @param {Object} usage - { provider, model, promptTokens, completionTokens }
+ * @param {Object} priceTable - Price table (defaults to ModelPricing)
+ * @returns {number} - Cost in USD
+ */
+function computeCost({ provider, model, promptTokens = 0, completionTokens = 0 }, priceTable = ModelPricing) {
+  const price = getModelPrice(provider, model, priceTable);
+  return round((promptTokens * price.input + completionTokens * price.output) / 1000000);
+}
+
+/**
+ * Format a date as a UTC day key
+ * @param {Date} date - Date
+ * @returns {string} - YYYY-MM-DD
+ */
+function dayKey(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * LLM Usage Ledger class
+ */
+class UsageLedger {
+  /**
+   * Create a new usage ledger
+   * @param {Object} options - Ledger options
+   * @param {Object} options.db - Firestore instance (defaults to admin.firestore())
+   * @param {Object} options.priceTable - Price table (defaults to ModelPricing)
+   * @param {number} options.creditsPerUsd - Credits charged per USD of provider cost
+   * @param {Object} options.trialManager - TrialPeriodManager instance (lazy-loaded if omitted)
+   * @param {Function} options.now - Clock (for tests)
+   */
+  constructor(options = {}) {
+    const config = functions.config().llm || {};
+    this.db = options.db || null;
+    this.priceTable = options.priceTable || ModelPricing;
+    this.creditsPerUsd = options.creditsPerUsd || Number(config.credits_per_usd) || 100;
+    this.trialManager = options.trialManager || null;
+    this.now = options.now || (() => new Date());
+  }
+
+  /**
+   * Get the Firestore instance (lazy initialization)
+   * @returns {Object} - Firestore
+   */
+  getDb() {
+    if (!this.db) {
+      this.db = admin.firestore();
+    }
+    return this.db;
+  }
+
+  /**
+   * Get the trial period manager (lazy initialization)
+   * @returns {Object} - TrialPeriodManager
+   */
+  getTrialManager() {
+    if (!this.trialManager) {
+      const { TrialPeriodManager } = require('../trialPeriodManager');
+      this.trialManager = new TrialPeriodManager();
+    }
+    return this.trialManager;
+  }
+
+  /**
+   * Convert a cost to credits
+   * @param {number} costUsd - Cost in USD
+   * @returns {number} - Credits (fractional, rounded to 4 decimals)
+   */
+  toCredits(costUsd) {
+    return round(costUsd * this.creditsPerUsd, 4);
+  }
+
+  /**
+   * Record a provider call and debit its cost
+   * @param {Object} usage - Call details
+   * @param {string} usage.provider - Provider
+   * @param {string} usage.model - Model
+   * @param {string} usage.operation - 'chat', 'stream' or 'embedding'
+   * @param {number} usage.promptTokens - Prompt tokens
+   * @param {number} usage.completionTokens - Completion tokens
+   * @param {boolean} usage.estimated - Whether token counts were estimated
+   * @param {number} usage.latencyMs - Call latency
+   * @param {boolean} usage.success - Whether the call succeeded
+   * @param {string} usage.error - Error message for failed calls
+   * @param {string} usage.contextId - LLM engine context ID
+   * @param {string} usage.clientId - Tenant (client) ID
+   * @param {string} usage.userId - User whose credits are debited
+   * @param {string} usage.feature - Feature that made the call
+   * @param {string} usage.debitTarget - DebitTarget (defaults to AUTO when a userId is known)
+   * @returns {Promise<Object|null>} - Ledger entry, or null if it could not be recorded
+   */
+  async recordUsage(usage) {
+    try {
+      const now = this.now();
+      const promptTokens = Math.max(0, Math.round(usage.promptTokens || 0));
+      const completionTokens = Math.max(0, Math.round(usage.completionTokens || 0));
+      const success = usage.success !== false;
+      const costUsd = success ? computeCost({ ...usage, promptTokens, completionTokens }, this.priceTable) : 0;
+
+      const entry = {
+        provider: usage.provider,
+        model: usage.model || null,
+        operation: usage.operation || 'chat',
+        promptTokens,
+        completionTokens,
+        totalTokens: promptTokens + completionTokens,
+        estimated: !!usage.estimated,
+        latencyMs: usage.latencyMs !== undefined ? Math.round(usage.latencyMs) : null,
+        success,
+        error: usage.error || null,
+        costUsd,
+        credits: this.toCredits(costUsd),
+        contextId: usage.contextId || null,
+        clientId: usage.clientId || null,
+        userId: usage.userId || null,
+        feature: usage.feature || 'unspecified',
+        day: dayKey(now),
+        createdAtMs: now.getTime(),
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      };
+
+      entry.debit = await this.debit(entry, usage.debitTarget);
+
+      const ref = await this.getDb().collection(LEDGER_COLLECTION).add(entry);
+      return { id: ref.id, ...entry };
+    } catch (error) {
+      logger.error('Failed to record LLM usage', {
+        error: error?.message || 'Unknown error',
+        provider: usage.provider,
+        contextId: usage.contextId
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Debit a ledger entry's credits
+   * @param {Object} entry - Ledger entry
+   * @param {string} target - DebitTarget
+   * @returns {Promise<Object>} - { target, amount, status, error }
+   */
+  async debit(entry, target) {
+    const debitTarget = target || (entry.userId ? DebitTarget.AUTO : DebitTarget.NONE);
+    if (debitTarget === DebitTarget.NONE || !entry.userId || entry.credits <= 0) {
+      return { target: debitTarget, amount: 0, status: DebitStatus.SKIPPED };
+    }
+
+    try {
+      if (debitTarget === DebitTarget.CREDITS) {
+        await this.getTrialManager().recordCreditUsage(entry.userId, entry.credits);
+        return { target: DebitTarget.CREDITS, amount: entry.credits, status: DebitStatus.DEBITED };
+      }
+
+      if (debitTarget === DebitTarget.AUTO) {
+        const trialStatus = await this.getTrialManager().checkAndUpdateTrialStatus(entry.userId);
+        if (trialStatus && trialStatus.hasTrial) {
+          await this.getTrialManager().recordCreditUsage(entry.userId, entry.credits);
+          return { target: DebitTarget.CREDITS, amount: entry.credits, status: DebitStatus.DEBITED };
+        }
+      }
+
+      await this.debitTokenBalance(entry);
+      return { target: DebitTarget.TOKEN_BALANCE, amount: entry.credits, status: DebitStatus.DEBITED };
+    } catch (error) {
+      logger.warn('Failed to debit LLM usage', {
+        error: error?.message || 'Unknown error',
+        userId: entry.userId,
+        credits: entry.credits
+      });
+      return { target: debitTarget, amount: entry.credits, status: DebitStatus.FAILED, error: error?.message || 'Unknown error' };
+    }
+  }
+
+  /**
+   * Debit a user's token balance and record it in tokenUsage, as the useTokens function does
+   * @param {Object} entry - Ledger entry
+   * @returns {Promise<void>}
+   */
+  async debitTokenBalance(entry) {
+    const db = this.getDb();
+    const userRef = db.collection('users').doc(entry.userId);
+    const userDoc = await userRef.get();
+    if (!userDoc.exists) {
+      throw new Error('User record not found');
+    }
+
+    // LLM usage is debited even past zero: the call has already been made
+    await userRef.update({
+      tokens: admin.firestore.FieldValue.increment(-entry.credits)
+    });
+
+    await db.collection('tokenUsage').add({
+      userId: entry.userId,
+      amount: entry.credits,
+      feature: `llm:${entry.feature}`,
+      metadata: {
+        provider: entry.provider,
+        model: entry.model,
+        promptTokens: entry.promptTokens,
+        completionTokens: entry.completionTokens,
+        costUsd: entry.costUsd
+      },
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  }
+
+  /**
+   * Aggregate usage from the ledger
+   * @param {Object} filters - Query filters
+   * @param {string} filters.clientId - Tenant ID
+   * @param {string} filters.userId - User ID
+   * @param {string} filters.feature - Feature
+   * @param {string} filters.startDay - First day (YYYY-MM-DD, inclusive)
+   * @param {string} filters.endDay - Last day (YYYY-MM-DD, inclusive)
+   * @param {Array<string>} groupBy - Fields to group by (e.g. ['clientId', 'feature', 'day'])
+   * @returns {Promise<Object>} - { groups, totals }
+   */
+  async aggregateUsage(filters = {}, groupBy = ['clientId', 'feature', 'day']) {
+    let query = this.getDb().collection(LEDGER_COLLECTION);
+    ['clientId', 'userId', 'feature'].forEach(field => {
+      if (filters[field]) {
+        query = query.where(field, '==', filters[field]);
+      }
+    });
+    if (filters.startDay) {
+      query = query.where('day', '>=', filters.startDay);
+    }
+    if (filters.endDay) {
+      query = query.where('day', '<=', filters.endDay);
+    }
+
+    const snapshot = await query.get();
+    const groups = new Map();
+    const totals = UsageLedger.emptyBucket();
+
+    snapshot.docs.forEach(doc => {
+      const entry = doc.data();
+      const key = {};
+      groupBy.forEach(field => {
+        key[field] = entry[field] !== undefined && entry[field] !== null ? entry[field] : 'unattributed';
+      });
+      const keyString = JSON.stringify(key);
+      if (!groups.has(keyString)) {
+        groups.set(keyString, { key, ...UsageLedger.emptyBucket() });
+      }
+      UsageLedger.addToBucket(groups.get(keyString), entry);
+      UsageLedger.addToBucket(totals, entry);
+    });
+
+    const finalize = bucket => {
+      bucket.costUsd = round(bucket.costUsd);
+      bucket.credits = round(bucket.credits, 4);
+      bucket.avgLatencyMs = bucket.latencyCount > 0 ? Math.round(bucket.latencyTotal / bucket.latencyCount) : null;
+      delete bucket.latencyTotal;
+      delete bucket.latencyCount;
+      return bucket;
+    };
+
+    return {
+      groups: Array.from(groups.values()).map(finalize).sort((a, b) => b.costUsd - a.costUsd),
+      totals: finalize(totals)
+    };
+  }
+
+  /**
+   * Create an empty aggregation bucket
+   * @returns {Object} - Bucket
+   */
+  static emptyBucket() {
+    return {
+      calls: 0,
+      failures: 0,
+      promptTokens: 0,
+      completionTokens: 0,
+      totalTokens: 0,
+      costUsd: 0,
+      credits: 0,
+      latencyTotal: 0,
+      latencyCount: 0
+    };
+  }
+
+  /**
+   * Add a ledger entry to a bucket
+   * @param {Object} bucket - Bucket
+   * @param {Object} entry - Ledger entry
+   */
+  static addToBucket(bucket, entry) {
+    bucket.calls += 1;
+    bucket.failures += entry.success === false ? 1 : 0;
+    bucket.promptTokens += entry.promptTokens || 0;
+    bucket.completionTokens += entry.completionTokens || 0;
+    bucket.totalTokens += entry.totalTokens || 0;
+    bucket.costUsd += entry.costUsd || 0;
+    bucket.credits += entry.credits || 0;
+    if (typeof entry.latencyMs === 'number') {
+      bucket.latencyTotal += entry.latencyMs;
+      bucket.latencyCount += 1;
+    }
+  }
+}
+
+let defaultLedger = null;
+
+/**
+ * Get the shared usage ledger (lazy initialization)
+ * @returns {UsageLedger} - Usage ledger
+ */
+function getUsageLedger() {
+  if (!defaultLedger) {
+    defaultLedger = new UsageLedger();
+  }
+  return defaultLedger;
+}
+
+module.exports = {
+  UsageLedger,
+  ModelPricing,
+  DebitTarget,
+  DebitStatus,
+  LEDGER_COLLECTION,
+  getModelPrice,
+  computeCost,
+  getUsageLedger
+};
@@ -0,0 +1,438 @@
+/**
+ * Vector Memory Store for ReachSpark AMIA agents
+ *
+ * Stores agent messages with embeddings and retrieves them by cosine similarity over the
+ * full history, weighted by recency. When the store grows past a threshold the oldest
+ * entries are condensed into summary entries so the history stays searchable and bounded.
+ *
+ * Embeddings come from a caller-supplied function (normally LLMEngine.generateEmbedding).
+ * A deterministic local embedding is provided for tests and as a fallback when no
+ * embedding provider is available. Vectors are only compared with vectors from the same
+ * model: a search embeds the query once per model found in the history, so a provider
+ * fallback never forces stored entries to be re-embedded.
+ */
+
+const errorLogging = require('../errorLogging');
+const logger = errorLogging.logger;
+
+const LOCAL_EMBEDDING_MODEL = 'local-hash-v1';
+const LOCAL_EMBEDDING_DIMENSIONS = 256;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'in', 'is', 'it',
+  'its', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'we', 'were', 'will', 'with', 'you', 'our'
+]);
+
+/**
+ * 32-bit FNV-1a hash
+ * @param {string} value - Value to hash
+ * @returns {number} - Unsigned hash
+ */
+function fnv1a(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Split text into lowercase word tokens without stop words
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} - Tokens
+ */
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(token => token.length > 1 && !STOP_WORDS.has(token));
+}
+
+/**
+ * Compute a deterministic embedding by feature-hashing words and character trigrams
+ * @param {string} text - Text to embed
+ * @param {number} dimensions - Vector size
+ * @returns {Array<number>} - Unit-length vector
+ */
+function localEmbedding(text, dimensions = LOCAL_EMBEDDING_DIMENSIONS) {
+  const vector = new Array(dimensions).fill(0);
+  const addFeature = (feature, weight) => {
+    const hash = fnv1a(feature);
+    // The top bit picks the sign so unrelated features cancel out rather than accumulate
+    vector[hash % dimensions] += (hash & 0x80000000) ? -weight : weight;
+  };
+
+  tokenize(text).forEach(token => {
+    addFeature(`w:${token}`, 1);
+    const padded = `#${token}#`;
+    for (let i = 0; i + 3 <= padded.length; i++) {
+      addFeature(`t:${padded.slice(i, i + 3)}`, 0.5);
+    }
+  });
+
+  return normalizeVector(vector);
+}
+
+/**
+ * Scale a vector to unit length
+ * @param {Array<number>} vector - Vector
+ * @returns {Array<number>} - Unit-length vector (zero vector unchanged)
+ */
+function normalizeVector(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm === 0 ? vector : vector.map(value => value / norm);
+}
+
+/**
+ * Cosine similarity between two vectors
+ * @param {Array<number>} a - First vector
+ * @param {Array<number>} b - Second vector
+ * @returns {number} - Similarity in [-1, 1] (0 for mismatched or empty vectors)
+ */
+function cosineSimilarity(a, b) {
+  if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length || a.length === 0) {
+    return 0;
+  }
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA === 0 || normB === 0 ? 0 : dot / Math.sqrt(normA * normB);
+}
+
+/**
+ * Get the searchable text of a memory message
+ * @param {Object|string} message - Message
+ * @returns {string} - Text
+ */
+function messageText(message) {
+  if (typeof message === 'string') {
+    return message;
+  }
+  if (message && typeof message.content === 'string') {
+    return message.content;
+  }
+  return JSON.stringify(message && message.content !== undefined ? message.content : message);
+}
+
+/**
+ * Get the creation time of an entry, including entries stored before createdAtMs existed
+ * @param {Object} entry - Entry
+ * @returns {number} - Milliseconds since epoch (0 if unknown)
+ */
+function entryTime(entry) {
+  if (entry.createdAtMs) {
+    return entry.createdAtMs;
+  }
+  if (entry.timestamp && typeof entry.timestamp.toMillis === 'function') {
+    return entry.timestamp.toMillis();
+  }
+  const parsed = Date.parse(entry.timestamp);
+  return Number.isNaN(parsed) ? 0 : parsed;
+}
+
+/**
+ * Embed text with the local model
+ * @param {string} text - Text to embed
+ * @returns {Promise<Object>} - { vector, model }
+ */
+async function localEmbed(text) {
+  return { vector: localEmbedding(text), model: LOCAL_EMBEDDING_MODEL };
+}
+
+/**
+ * Condense messages by keeping the sentences closest to their centroid
+ * @param {Array<Object>} messages - Messages to summarize
+ * @param {number} maxSentences - Number of sentences to keep
+ * @returns {Promise<string>} - Summary text
+ */
+async function extractiveSummary(messages, maxSentences = 5) {
+  const sentences = [];
+  messages.forEach(message => {
+    messageText(message).split(/(?<=[.!?])\s+|\n+/).map(s => s.trim()).filter(s => s.length > 0).forEach(sentence => {
+      sentences.push(message.role ? `${message.role}: ${sentence}` : sentence);
+    });
+  });
+  if (sentences.length <= maxSentences) {
+    return sentences.join('\n');
+  }
+
+  const vectors = sentences.map(sentence => localEmbedding(sentence));
+  const centroid = normalizeVector(vectors.reduce(
+    (sum, vector) => sum.map((value, i) => value + vector[i]),
+    new Array(LOCAL_EMBEDDING_DIMENSIONS).fill(0)
+  ));
+
+  return vectors
+    .map((vector, index) => ({ index, score: cosineSimilarity(vector, centroid) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, maxSentences)
+    .sort((a, b) => a.index - b.index)
+    .map(item => sentences[item.index])
+    .join('\n');
+}
+
+/**
+ * Vector memory store backed by a Firestore collection
+ */
+class VectorMemoryStore {
+  /**
+   * Create a new vector memory store
+   * @param {Object} collectionRef - Firestore collection holding the entries
+   * @param {Object} options - Store options
+   * @param {Function} options.embed - async (text, model) => { vector, model }; model is a preferred embedding model
+   * @param {Function} options.summarize - async (messages) => summary text
+   * @param {number} options.recencyHalfLifeHours - Age at which the recency factor halves
+   * @param {number} options.recencyWeight - Share of the score that depends on recency (0-1)
+   * @param {number} options.summarizeThreshold - Entry count that triggers summarization
+   * @param {number} options.summarizeBatchSize - Number of oldest entries folded into one summary
+   * @param {Function} options.now - Clock (for tests)
+   */
+  constructor(collectionRef, options = {}) {
+    this.collectionRef = collectionRef;
+    this.embed = options.embed || localEmbed;
+    this.summarize = options.summarize || extractiveSummary;
+    this.recencyHalfLifeHours = options.recencyHalfLifeHours || 24 * 7;
+    this.recencyWeight = options.recencyWeight !== undefined ? options.recencyWeight : 0.2;
+    this.summarizeThreshold = options.summarizeThreshold || 200;
+    this.summarizeBatchSize = options.summarizeBatchSize || 100;
+    this.now = options.now || (() => Date.now());
+
+    this.entries = new Map();
+    this.loaded = false;
+    this.localCounter = 0;
+  }
+
+  /**
+   * Load the full history from Firestore (once per instance)
+   * @returns {Promise<void>}
+   */
+  async load() {
+    if (this.loaded) {
+      return;
+    }
+    try {
+      const snapshot = await this.collectionRef.get();
+      snapshot.docs.forEach(doc => {
+        if (!this.entries.has(doc.id)) {
+          this.entries.set(doc.id, { id: doc.id, ...doc.data() });
+        }
+      });
+    } catch (error) {
+      logger.warn('Failed to load vector memory from Firestore, searching in-process entries only', {
+        error: error?.message || 'Unknown error'
+      });
+    }
+    this.loaded = true;
+  }
+
+  /**
+   * Add a message with its embedding
+   * @param {Object} message - Message to store
+   * @returns {Promise<Object>} - Stored entry
+   */
+  async addEntry(message) {
+    const { vector, model } = await this.embed(messageText(message));
+    const entry = {
+      ...message,
+      embedding: vector,
+      embeddingModel: model,
+      createdAtMs: message.createdAtMs || this.now()
+    };
+
+    let id;
+    try {
+      const docRef = await this.collectionRef.add(entry);
+      id = docRef.id;
+    } catch (error) {
+      logger.warn('Failed to persist vector memory entry, keeping it in-process only', {
+        error: error?.message || 'Unknown error'
+      });
+    }
+    id = id || `local-${++this.localCounter}`;
+
+    const stored = { id, ...entry };
+    this.entries.set(id, stored);
+
+    await this.maybeSummarize();
+    return stored;
+  }
+
+  /**
+   * Make sure an entry has an embedding, computing and storing one for entries saved
+   * without it. Entries that already have an embedding keep it, whatever its model.
+   * @param {Object} entry - Entry
+   * @returns {Promise<Object>} - { vector, model } of the entry
+   */
+  async ensureEmbedding(entry) {
+    if (Array.isArray(entry.embedding)) {
+      return { vector: entry.embedding, model: entry.embeddingModel };
+    }
+
+    const { vector, model: newModel } = await this.embed(messageText(entry));
+    entry.embedding = vector;
+    entry.embeddingModel = newModel;
+
+    if (!entry.id.startsWith('local-')) {
+      try {
+        await this.collectionRef.doc(entry.id).update({ embedding: vector, embeddingModel: newModel });
+      } catch (error) {
+        logger.warn('Failed to store computed embedding', {
+          error: error?.message || 'Unknown error',
+          entryId: entry.id
+        });
+      }
+    }
+    return { vector, model: newModel };
+  }
+
+  /**
+   * Get the query vector in a given model, embedding the query at most once per model
+   * @param {string} query - Search query
+   * @param {Map<string, Array<number>|null>} queryVectors - Query vectors by model for this search
+   * @param {string} model - Embedding model of the entry being compared
+   * @returns {Promise<Array<number>|null>} - Query vector, or null if the model is unavailable
+   */
+  async queryVector(query, queryVectors, model) {
+    if (!queryVectors.has(model)) {
+      if (model === LOCAL_EMBEDDING_MODEL) {
+        queryVectors.set(model, localEmbedding(query));
+      } else {
+        const embedded = await this.embed(query, model);
+        if (!queryVectors.has(embedded.model)) {
+          queryVectors.set(embedded.model, embedded.vector);
+        }
+        if (embedded.model !== model) {
+          queryVectors.set(model, null);
+        }
+      }
+    }
+    return queryVectors.get(model);
+  }
+
+  /**
+   * Similarity between a query and an entry, on vectors from the entry's model
+   *
+   * When that model can no longer be reached, both texts are compared on local
+   * embeddings computed in memory; the stored embedding is left as it is.
+   * @param {string} query - Search query
+   * @param {Map<string, Array<number>|null>} queryVectors - Query vectors by model for this search
+   * @param {Object} entry - Entry
+   * @returns {Promise<number>} - Cosine similarity
+   */
+  async entrySimilarity(query, queryVectors, entry) {
+    const { vector, model } = await this.ensureEmbedding(entry);
+    const queryVector = await this.queryVector(query, queryVectors, model);
+    if (queryVector) {
+      return cosineSimilarity(queryVector, vector);
+    }
+    return cosineSimilarity(
+      await this.queryVector(query, queryVectors, LOCAL_EMBEDDING_MODEL),
+      localEmbedding(messageText(entry))
+    );
+  }
+
+  /**
+   * Recency factor for an entry
+   * @param {Object} entry - Entry
+   * @returns {number} - 1 for new entries, halving every half-life
+   */
+  recencyFactor(entry) {
+    const ageHours = Math.max(0, this.now() - entryTime(entry)) / 3600000;
+    return Math.pow(0.5, ageHours / this.recencyHalfLifeHours);
+  }
+
+  /**
+   * Search the full history for the entries most relevant to a query
+   * @param {string} query - Search query
+   * @param {number} limit - Maximum number of results
+   * @returns {Promise<Array<Object>>} - Entries (without embeddings) with similarity and score
+   */
+  async search(query, limit = 5) {
+    await this.load();
+    if (this.entries.size === 0) {
+      return [];
+    }
+
+    const text = String(query || '');
+    const { vector: queryVector, model } = await this.embed(text);
+    const queryVectors = new Map([[model, queryVector]]);
+    const scored = [];
+    for (const entry of this.entries.values()) {
+      const similarity = await this.entrySimilarity(text, queryVectors, entry);
+      const score = similarity * ((1 - this.recencyWeight) + this.recencyWeight * this.recencyFactor(entry));
+      scored.push({ entry, similarity, score });
+    }
+
+    return scored
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ entry, similarity, score }) => {
+        const result = { ...entry, similarity, score };
+        delete result.embedding;
+        return result;
+      });
+  }
+
+  /**
+   * Fold the oldest entries into a summary entry when the store is too large
+   * @returns {Promise<Object|null>} - Summary entry, or null if no summarization was needed
+   */
+  async maybeSummarize() {
+    await this.load();
+    if (this.entries.size <= this.summarizeThreshold) {
+      return null;
+    }
+
+    const oldest = Array.from(this.entries.values())
+      .sort((a, b) => entryTime(a) - entryTime(b))
+      .slice(0, this.summarizeBatchSize);
+
+    try {
+      const content = await this.summarize(oldest);
+      const summarizedCount = oldest.reduce((sum, entry) => sum + (entry.summarizedCount || 1), 0);
+
+      // Remove the originals first so the summary does not trigger another pass
+      oldest.forEach(entry => this.entries.delete(entry.id));
+      await Promise.all(oldest.filter(entry => !entry.id.startsWith('local-')).map(entry =>
+        this.collectionRef.doc(entry.id).delete().catch(error => {
+          logger.warn('Failed to delete summarized memory entry', {
+            error: error?.message || 'Unknown error',
+            entryId: entry.id
+          });
+        })
+      ));
+
+      return await this.addEntry({
+        role: 'summary',
+        content,
+        summarizedCount,
+        coveredFromMs: oldest[0].coveredFromMs || entryTime(oldest[0]) || null,
+        coveredToMs: entryTime(oldest[oldest.length - 1]) || null,
+        // Keep the summary in the time slot of what it covers
+        createdAtMs: entryTime(oldest[oldest.length - 1]) || this.now()
+      });
+    } catch (error) {
+      logger.warn('Failed to summarize vector memory', {
+        error: error?.message || 'Unknown error',
+        entryCount: this.entries.size
+      });
+      return null;
+    }
+  }
+}
+
+module.exports = {
+  VectorMemoryStore,
+  LOCAL_EMBEDDING_MODEL,
+  localEmbedding,
+  localEmbed,
+  cosineSimilarity,
+  extractiveSummary,
+  messageText
+};
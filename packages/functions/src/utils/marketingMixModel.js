@@ -0,0 +1,378 @@
+/**
+ * Marketing mix modeling for ReachSpark AMIA
+ *
+ * Fits weekly conversions (or revenue) as
+ *
+ *   y_t = intercept + sum_c beta_c * hill(adstock_c(t))
+ *
+ * where adstock_c(t) = spend_c(t) + decay_c * adstock_c(t - 1) carries spend over into
+ * later weeks and hill(a) = a^shape / (a^shape + halfSaturation^shape) flattens the
+ * response as spend grows. Decay, half-saturation and shape are chosen per channel by
+ * coordinate-descent grid search; coefficients are fitted by non-negative least squares.
+ *
+ * The fitted curves give each channel's steady-state weekly response to a constant spend,
+ * and its marginal return, which is what budget reallocation should be based on.
+ */
+
+const { ReachSparkError, ErrorTypes, SeverityLevels } = require('./errorLogging');
+
+/**
+ * Default fitting settings
+ */
+const MMMDefaults = {
+  decayGrid: [0, 0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8],
+  saturationMultipliers: [0.25, 0.5, 1, 2, 4],
+  shapeGrid: [0.5, 1, 1.5, 2.5],
+  sweeps: 3,
+  minWeeks: 8,
+  ridge: 1e-6,
+  curvePoints: 11,
+  allocationSteps: 200
+};
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Apply geometric adstock to a spend series
+ * @param {Array<number>} series - Weekly spend
+ * @param {number} decay - Share of last week's adstock carried over (0-1)
+ * @returns {Array<number>} - Adstocked spend
+ */
+function geometricAdstock(series, decay) {
+  let carry = 0;
+  return series.map(spend => {
+    carry = spend + decay * carry;
+    return carry;
+  });
+}
+
+/**
+ * Hill saturation curve
+ * @param {number} x - Input (adstocked spend)
+ * @param {number} halfSaturation - Input at which the curve reaches half its maximum
+ * @param {number} shape - Steepness
+ * @returns {number} - Saturation (0-1)
+ */
+function hillSaturation(x, halfSaturation, shape) {
+  if (x <= 0) {
+    return 0;
+  }
+  const xs = Math.pow(x, shape);
+  return xs / (xs + Math.pow(halfSaturation, shape));
+}
+
+/**
+ * Solve (X'X + ridge*I) b = X'y by Gaussian elimination with partial pivoting
+ * @param {Array<Array<number>>} X - Design matrix (rows are observations)
+ * @param {Array<number>} y - Target
+ * @param {number} ridge - Ridge penalty (not applied to the first column)
+ * @returns {Array<number>} - Coefficients
+ */
+function solveLeastSquares(X, y, ridge) {
+  const p = X[0].length;
+  const A = Array.from({ length: p }, (_, i) => Array.from({ length: p + 1 }, (__, j) => {
+    if (j === p) {
+      return X.reduce((sum, row, t) => sum + row[i] * y[t], 0);
+    }
+    return X.reduce((sum, row) => sum + row[i] * row[j], 0) + (i === j && i > 0 ? ridge : 0);
+  }));
+
+  for (let col = 0; col < p; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < p; row++) {
+      if (Math.abs(A[row][col]) > Math.abs(A[pivot][col])) {
+        pivot = row;
+      }
+    }
+    [A[col], A[pivot]] = [A[pivot], A[col]];
+    if (Math.abs(A[col][col]) < 1e-12) {
+      continue;
+    }
+    for (let row = 0; row < p; row++) {
+      if (row !== col) {
+        const factor = A[row][col] / A[col][col];
+        for (let k = col; k <= p; k++) {
+          A[row][k] -= factor * A[col][k];
+        }
+      }
+    }
+  }
+
+  return A.map((row, i) => (Math.abs(row[i]) < 1e-12 ? 0 : row[p] / row[i]));
+}
+
+/**
+ * Least squares with a free intercept and non-negative channel coefficients
+ * @param {Array<Array<number>>} features - Per-channel feature columns
+ * @param {Array<number>} y - Target
+ * @param {number} ridge - Ridge penalty
+ * @returns {Object} - { intercept, coefficients, predictions, sse }
+ */
+function fitNonNegative(features, y, ridge) {
+  const active = features.map(() => true);
+  let solution;
+
+  // Drop channels with negative coefficients until all remaining are non-negative
+  for (;;) {
+    const columns = features.filter((_, c) => active[c]);
+    const X = y.map((_, t) => [1, ...columns.map(column => column[t])]);
+    solution = solveLeastSquares(X, y, ridge);
+
+    const negative = [];
+    let position = 1;
+    features.forEach((_, c) => {
+      if (active[c]) {
+        if (solution[position] < 0) {
+          negative.push({ c, value: solution[position] });
+        }
+        position++;
+      }
+    });
+    if (negative.length === 0) {
+      break;
+    }
+    active[negative.reduce((worst, item) => (item.value < worst.value ? item : worst)).c] = false;
+  }
+
+  let position = 1;
+  const coefficients = features.map((_, c) => (active[c] ? solution[position++] : 0));
+  const intercept = solution[0];
+  const predictions = y.map((_, t) => intercept + features.reduce((sum, column, c) => sum + coefficients[c] * column[t], 0));
+  const sse = y.reduce((sum, value, t) => sum + Math.pow(value - predictions[t], 2), 0);
+
+  return { intercept, coefficients, predictions, sse };
+}
+
+/**
+ * Transform a spend series into a model feature
+ * @param {Array<number>} series - Weekly spend
+ * @param {Object} params - { decay, halfSaturation, shape }
+ * @returns {Array<number>} - Feature column
+ */
+function channelFeature(series, params) {
+  return geometricAdstock(series, params.decay).map(value => hillSaturation(value, params.halfSaturation, params.shape));
+}
+
+/**
+ * Bucket conversions into the weeks of a spend series
+ * @param {Array<Object>} weeklySpend - [{ weekStart, spend: { channel: amount } }]
+ * @param {Array<Object>} conversions - [{ timestamp, value }] with millisecond, Date or Timestamp times
+ * @param {Object} [options] - { target: 'conversions' | 'revenue' }
+ * @returns {Array<Object>} - [{ weekStart, spend, target }]
+ */
+function buildWeeklySeries(weeklySpend, conversions, options = {}) {
+  const weeks = [...weeklySpend]
+    .map(week => ({ weekStart: new Date(week.weekStart).getTime(), spend: week.spend || {}, target: 0 }))
+    .sort((a, b) => a.weekStart - b.weekStart);
+
+  conversions.forEach(conversion => {
+    const time = conversion.timestamp && typeof conversion.timestamp.toDate === 'function'
+      ? conversion.timestamp.toDate().getTime()
+      : new Date(conversion.timestamp).getTime();
+    const week = weeks.find(candidate => time >= candidate.weekStart && time < candidate.weekStart + WEEK_MS);
+    if (week) {
+      week.target += options.target === 'revenue' ? (conversion.value || 0) : 1;
+    }
+  });
+
+  return weeks.map(week => ({ ...week, weekStart: new Date(week.weekStart).toISOString() }));
+}
+
+/**
+ * Fit the marketing mix model
+ * @param {Array<Object>} weeks - [{ spend: { channel: amount }, target }] in time order
+ * @param {Object} [options] - Overrides for MMMDefaults
+ * @returns {Object} - { intercept, channels, fit, predictions }
+ */
+function fitMarketingMixModel(weeks, options = {}) {
+  const settings = { ...MMMDefaults, ...options };
+
+  if (weeks.length < settings.minWeeks) {
+    throw new ReachSparkError(
+      `Marketing mix model needs at least ${settings.minWeeks} weeks of data, got ${weeks.length}`,
+      ErrorTypes.VALIDATION_ERROR,
+      SeverityLevels.WARNING,
+      null,
+      { weeks: weeks.length }
+    );
+  }
+
+  const channels = [...new Set(weeks.flatMap(week => Object.keys(week.spend || {})))]
+    .filter(channel => weeks.some(week => (week.spend[channel] || 0) > 0));
+  const y = weeks.map(week => week.target || 0);
+  const spend = channels.map(channel => weeks.map(week => week.spend[channel] || 0));
+  const meanSpend = spend.map(series => series.reduce((sum, value) => sum + value, 0) / series.length);
+
+  // Start every channel at a moderate carry-over and half-saturation at its mean adstock
+  const params = channels.map((_, c) => ({ decay: 0.3, halfSaturation: meanSpend[c] / 0.7, shape: 1 }));
+  let features = spend.map((series, c) => channelFeature(series, params[c]));
+  let best = fitNonNegative(features, y, settings.ridge);
+
+  for (let sweep = 0; sweep < settings.sweeps; sweep++) {
+    let improved = false;
+    channels.forEach((_, c) => {
+      settings.decayGrid.forEach(decay => {
+        const steadyMean = meanSpend[c] / (1 - decay);
+        settings.saturationMultipliers.forEach(multiplier => {
+          settings.shapeGrid.forEach(shape => {
+            const candidate = { decay, halfSaturation: steadyMean * multiplier, shape };
+            const candidateFeatures = features.map((feature, k) => (k === c ? channelFeature(spend[c], candidate) : feature));
+            const fit = fitNonNegative(candidateFeatures, y, settings.ridge);
+            if (fit.sse < best.sse - 1e-9) {
+              best = fit;
+              params[c] = candidate;
+              features = candidateFeatures;
+              improved = true;
+            }
+          });
+        });
+      });
+    });
+    if (!improved) {
+      break;
+    }
+  }
+
+  const meanY = y.reduce((sum, value) => sum + value, 0) / y.length;
+  const sst = y.reduce((sum, value) => sum + Math.pow(value - meanY, 2), 0);
+  const r2 = sst > 0 ? 1 - best.sse / sst : 0;
+  const predictors = best.coefficients.filter(coefficient => coefficient > 0).length;
+  const nonZero = y.map((value, t) => ({ value, prediction: best.predictions[t] })).filter(point => point.value !== 0);
+  const mape = nonZero.length > 0
+    ? nonZero.reduce((sum, point) => sum + Math.abs((point.value - point.prediction) / point.value), 0) / nonZero.length
+    : null;
+
+  const contributions = channels.map((_, c) => features[c].reduce((sum, value) => sum + best.coefficients[c] * value, 0));
+  const totalContribution = contributions.reduce((sum, value) => sum + value, 0);
+
+  return {
+    intercept: best.intercept,
+    channels: channels.reduce((result, channel, c) => {
+      const totalSpend = spend[c].reduce((sum, value) => sum + value, 0);
+      result[channel] = {
+        ...params[c],
+        coefficient: best.coefficients[c],
+        totalSpend,
+        averageWeeklySpend: meanSpend[c],
+        contribution: contributions[c],
+        contributionShare: totalContribution > 0 ? contributions[c] / totalContribution : 0,
+        responsePerDollar: totalSpend > 0 ? contributions[c] / totalSpend : 0
+      };
+      return result;
+    }, {}),
+    fit: {
+      r2,
+      adjustedR2: y.length - predictors - 1 > 0 ? 1 - (1 - r2) * (y.length - 1) / (y.length - predictors - 1) : r2,
+      mape,
+      weeks: y.length
+    },
+    predictions: best.predictions
+  };
+}
+
+/**
+ * Steady-state weekly response to a constant weekly spend
+ * @param {Object} curve - Fitted channel { decay, halfSaturation, shape, coefficient }
+ * @param {number} weeklySpend - Constant weekly spend
+ * @returns {number} - Weekly response
+ */
+function weeklyResponse(curve, weeklySpend) {
+  return curve.coefficient * hillSaturation(weeklySpend / (1 - curve.decay), curve.halfSaturation, curve.shape);
+}
+
+/**
+ * Marginal weekly response per extra dollar of weekly spend
+ * @param {Object} curve - Fitted channel { decay, halfSaturation, shape, coefficient }
+ * @param {number} weeklySpend - Constant weekly spend
+ * @returns {number} - d(response)/d(spend)
+ */
+function marginalResponse(curve, weeklySpend) {
+  const scale = 1 / (1 - curve.decay);
+  const a = weeklySpend * scale;
+  if (a <= 0) {
+    // Hill curves with shape < 1 have an unbounded slope at zero; > 1 a zero slope
+    if (curve.shape < 1) {
+      return Infinity;
+    }
+    return curve.shape === 1 ? curve.coefficient * scale / curve.halfSaturation : 0;
+  }
+  const ks = Math.pow(curve.halfSaturation, curve.shape);
+  const as = Math.pow(a, curve.shape);
+  return curve.coefficient * scale * curve.shape * ks * as / (a * Math.pow(as + ks, 2));
+}
+
+/**
+ * Response curve points for a channel
+ * @param {Object} curve - Fitted channel
+ * @param {Object} [options] - { maxSpend (default 2x average weekly spend), points }
+ * @returns {Array<Object>} - [{ weeklySpend, response, marginalResponse }]
+ */
+function responseCurve(curve, options = {}) {
+  const maxSpend = options.maxSpend || 2 * curve.averageWeeklySpend;
+  const points = options.points || MMMDefaults.curvePoints;
+
+  return Array.from({ length: points }, (_, i) => {
+    const weeklySpend = maxSpend * i / (points - 1);
+    return {
+      weeklySpend,
+      response: weeklyResponse(curve, weeklySpend),
+      marginalResponse: marginalResponse(curve, weeklySpend)
+    };
+  });
+}
+
+/**
+ * Allocate a weekly budget by repeatedly funding the channel with the best marginal return
+ * @param {Object} curves - Channel -> fitted curve
+ * @param {number} weeklyBudget - Weekly budget to allocate
+ * @param {Object} [options] - { steps, minSpend: { channel }, maxSpend: { channel } }
+ * @returns {Object} - { allocation, response }
+ */
+function allocateByMarginalReturn(curves, weeklyBudget, options = {}) {
+  const channels = Object.keys(curves);
+  const minSpend = options.minSpend || {};
+  const maxSpend = options.maxSpend || {};
+  const allocation = channels.reduce((result, channel) => ({ ...result, [channel]: minSpend[channel] || 0 }), {});
+  let remaining = weeklyBudget - Object.values(allocation).reduce((sum, value) => sum + value, 0);
+  const step = weeklyBudget / (options.steps || MMMDefaults.allocationSteps);
+
+  while (remaining > 1e-9 && step > 0) {
+    const amount = Math.min(step, remaining);
+    let bestChannel = null;
+    let bestGain = 0;
+    channels.forEach(channel => {
+      const cap = maxSpend[channel] !== undefined ? maxSpend[channel] : Infinity;
+      if (allocation[channel] + amount > cap + 1e-9) {
+        return;
+      }
+      const gain = weeklyResponse(curves[channel], allocation[channel] + amount) - weeklyResponse(curves[channel], allocation[channel]);
+      if (gain > bestGain) {
+        bestGain = gain;
+        bestChannel = channel;
+      }
+    });
+    if (!bestChannel) {
+      break;
+    }
+    allocation[bestChannel] += amount;
+    remaining -= amount;
+  }
+
+  return {
+    allocation,
+    response: channels.reduce((sum, channel) => sum + weeklyResponse(curves[channel], allocation[channel]), 0),
+    unallocated: Math.max(0, remaining)
+  };
+}
+
+module.exports = {
+  MMMDefaults,
+  geometricAdstock,
+  hillSaturation,
+  buildWeeklySeries,
+  fitMarketingMixModel,
+  weeklyResponse,
+  marginalResponse,
+  responseCurve,
+  allocateByMarginalReturn
+};
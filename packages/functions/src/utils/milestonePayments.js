@@ -0,0 +1,810 @@
+/**
+ * Milestone payments for influencer collaborations
+ *
+ * The terms agreed in a collaboration request become payment milestones:
+ *
+ * - deposit: paid out as soon as the influencer accepts
+ * - on_approval: paid out when the brand approves submitted content, one milestone per approval
+ * - on_performance: paid out when the influencer's tracked metric reaches its target
+ *
+ * Every milestone is authorized against the brand's card when the request is accepted, so
+ * the money is held before work starts. A milestone is captured when its condition is met
+ * and transferred to the influencer's connected account; without a connected account the
+ * captured funds stay on the platform until they can be paid out. Cancelling the campaign
+ * voids outstanding authorizations and refunds funds that were captured but not paid out.
+ *
+ * Card authorizations lapse after about seven days at most card networks. A milestone
+ * authorized longer ago than AUTHORIZATION_VALIDITY_MS is re-authorized before it is
+ * captured; if the card can no longer be charged the milestone is marked expired.
+ *
+ * A capture or payout the processor rejects is recorded as a failure in the ledger and the
+ * milestone keeps its status, so it is retried on the next release. Captured milestones
+ * wait on the platform until the influencer connects a payout account; releaseHeldMilestones
+ * pays them out once one is there.
+ *
+ * Cancellation handles each milestone on its own: a hold that has already been cancelled
+ * counts as voided, and a processor error is recorded as a failure in the ledger without
+ * stopping the rest of the cancellation.
+ *
+ * Every processor call is recorded in the campaign's payment ledger.
+ */
+
+const admin = require('firebase-admin');
+const functions = require('firebase-functions');
+const { ReachSparkError, ErrorTypes, SeverityLevels } = require('./errorLogging');
+
+// Initialize Firestore if not already initialized
+if (!admin.apps.length) {
+  admin.initializeApp();
+}
+const db = admin.firestore();
+
+/**
+ * When a milestone becomes payable
+ */
+const MilestoneType = {
+  DEPOSIT: 'deposit',
+  ON_APPROVAL: 'on_approval',
+  ON_PERFORMANCE: 'on_performance'
+};
+
+/**
+ * Milestone lifecycle
+ */
+const MilestoneStatus = {
+  PENDING: 'pending',
+  AUTHORIZED: 'authorized',
+  CAPTURED: 'captured',
+  RELEASED: 'released',
+  VOIDED: 'voided',
+  REFUNDED: 'refunded',
+  EXPIRED: 'expired',
+  FAILED: 'failed'
+};
+
+/**
+ * Payment ledger entry types, one per processor call
+ */
+const PaymentLedgerEntryType = {
+  AUTHORIZATION: 'authorization',
+  CAPTURE: 'capture',
+  TRANSFER: 'transfer',
+  VOID: 'void',
+  REFUND: 'refund',
+  FAILURE: 'failure'
+};
+
+// Performance metrics tracked per influencer by trackCampaignPerformance
+const PERFORMANCE_METRICS = ['reach', 'engagement', 'clicks', 'conversions'];
+
+// Holds are renewed a day before card networks usually let them lapse
+const AUTHORIZATION_VALIDITY_MS = 6 * 24 * 60 * 60 * 1000;
+
+/**
+ * Turn agreed collaboration terms into milestones
+ *
+ * Each schedule entry gives either a percent of the compensation or a fixed amount. Amounts
+ * are converted to cents, and any rounding difference goes to the last milestone so the
+ * milestones always add up to the compensation.
+ * @param {Object} terms - { compensation, currency, paymentSchedule: [{ type, percent, amount, metric, target, description }] };
+ *   contract terms give the compensation as `fee`
+ * @returns {Array<Object>} Milestones { index, type, amount, currency, condition, description }
+ */
+const buildMilestonesFromTerms = (terms = {}) => {
+  const agreed = terms.fee !== undefined ? terms.fee : terms.compensation;
+  const compensation = typeof agreed === 'object' && agreed !== null
+    ? agreed
+    : { amount: agreed, currency: terms.currency };
+  const total = Math.round(Number(compensation.amount || 0) * 100);
+  const currency = (compensation.currency || 'usd').toLowerCase();
+
+  if (!(total > 0)) {
+    return [];
+  }
+
+  const schedule = terms.paymentSchedule && terms.paymentSchedule.length > 0
+    ? terms.paymentSchedule
+    : [{ type: MilestoneType.ON_APPROVAL, percent: 100 }];
+
+  const invalid = (message) => new ReachSparkError(
+    message,
+    ErrorTypes.VALIDATION_ERROR,
+    SeverityLevels.ERROR,
+    null,
+    { paymentSchedule: schedule }
+  );
+
+  const milestones = schedule.map((entry, index) => {
+    if (!Object.values(MilestoneType).includes(entry.type)) {
+      throw invalid(`Unknown milestone type: ${entry.type}`);
+    }
+    if (entry.type === MilestoneType.ON_PERFORMANCE && (!PERFORMANCE_METRICS.includes(entry.metric) || !(entry.target > 0))) {
+      throw invalid(`Performance milestones need a metric (${PERFORMANCE_METRICS.join(', ')}) and a positive target`);
+    }
+
+    const amount = entry.amount !== undefined
+      ? Math.round(Number(entry.amount) * 100)
+      : Math.round(total * Number(entry.percent || 0) / 100);
+    if (!(amount > 0)) {
+      throw invalid(`Milestone ${index + 1} needs a positive amount or percent`);
+    }
+
+    return {
+      index,
+      type: entry.type,
+      amount,
+      currency,
+      condition: entry.type === MilestoneType.ON_PERFORMANCE ? { metric: entry.metric, target: entry.target } : null,
+      description: entry.description || null
+    };
+  });
+
+  // Rounding can leave a few cents either way; anything more means the schedule is wrong
+  const difference = total - milestones.reduce((sum, milestone) => sum + milestone.amount, 0);
+  if (Math.abs(difference) > milestones.length) {
+    throw invalid('Payment schedule does not add up to the compensation');
+  }
+  milestones[milestones.length - 1].amount += difference;
+
+  return milestones;
+};
+
+/**
+ * Summarize a campaign's milestones by status, in cents
+ * @param {Array<Object>} milestones - Milestones
+ * @returns {Object} { total, authorized, held, released, voided, refunded, expired, failed }
+ */
+const summarizeMilestones = (milestones) => {
+  const sumWhere = (statuses) => milestones
+    .filter(milestone => statuses.includes(milestone.status))
+    .reduce((sum, milestone) => sum + milestone.amount, 0);
+
+  return {
+    total: milestones.reduce((sum, milestone) => sum + milestone.amount, 0),
+    authorized: sumWhere([MilestoneStatus.AUTHORIZED]),
+    held: sumWhere([MilestoneStatus.CAPTURED]),
+    released: sumWhere([MilestoneStatus.RELEASED]),
+    voided: sumWhere([MilestoneStatus.VOIDED]),
+    refunded: sumWhere([MilestoneStatus.REFUNDED]),
+    expired: sumWhere([MilestoneStatus.EXPIRED]),
+    failed: sumWhere([MilestoneStatus.FAILED])
+  };
+};
+
+/**
+ * In-memory, Stripe-compatible payment processor for tests and local emulators
+ *
+ * Implements the same calls as apis/stripe.js and returns objects shaped like Stripe's.
+ * Payment methods containing "declined" fail authorization like Stripe's test cards.
+ */
+class LocalPaymentProcessor {
+  constructor() {
+    this.paymentIntents = {};
+    this.refunds = [];
+    this.transfers = [];
+    this.idempotent = {};
+    this.nextId = 0;
+  }
+
+  /**
+   * Return the stored result for an idempotency key, or store a new one
+   * @param {string} key - Idempotency key
+   * @param {Function} create - Creates the result
+   * @returns {Object} Result
+   */
+  once(key, create) {
+    if (key && this.idempotent[key]) {
+      return this.idempotent[key];
+    }
+    const result = create();
+    if (key) {
+      this.idempotent[key] = result;
+    }
+    return result;
+  }
+
+  /**
+   * Get a payment intent or throw like Stripe does
+   * @param {string} id - Payment intent ID
+   * @param {string} action - Action being attempted
+   * @param {string} status - Status the intent must have
+   * @returns {Object} Payment intent
+   */
+  requireIntent(id, action, status) {
+    const intent = this.paymentIntents[id];
+    if (!intent) {
+      throw new Error(`Failed to ${action} payment: No such payment_intent: '${id}'`);
+    }
+    if (intent.status !== status) {
+      throw new Error(`Failed to ${action} payment: This PaymentIntent's status is ${intent.status}`);
+    }
+    return intent;
+  }
+
+  /**
+   * Get a payment intent
+   * @param {string} paymentIntentId - Payment intent ID
+   * @returns {Promise<Object>} Payment intent
+   */
+  async retrievePayment(paymentIntentId) {
+    const intent = this.paymentIntents[paymentIntentId];
+    if (!intent) {
+      throw new Error(`Failed to retrieve payment: No such payment_intent: '${paymentIntentId}'`);
+    }
+    return { ...intent };
+  }
+
+  /**
+   * Let an authorization lapse, as the card network does after about seven days
+   * @param {string} paymentIntentId - Payment intent ID
+   * @returns {Object} Payment intent with status canceled
+   */
+  expireAuthorization(paymentIntentId) {
+    const intent = this.requireIntent(paymentIntentId, 'expire', 'requires_capture');
+    intent.amount_capturable = 0;
+    intent.cancellation_reason = 'automatic';
+    intent.status = 'canceled';
+    return { ...intent };
+  }
+
+  /**
+   * Hold funds on the brand's card
+   * @param {Object} params - Same parameters as apis/stripe.js authorizePayment
+   * @returns {Promise<Object>} Payment intent with status requires_capture
+   */
+  async authorizePayment(params) {
+    return this.once(params.idempotency_key, () => {
+      if (!params.payment_method_id || /declined/i.test(params.payment_method_id)) {
+        const error = new Error('Failed to authorize payment: Your card was declined.');
+        error.code = 'card_declined';
+        throw error;
+      }
+
+      const id = `pi_local_${++this.nextId}`;
+      this.paymentIntents[id] = {
+        id,
+        object: 'payment_intent',
+        amount: params.amount,
+        amount_capturable: params.amount,
+        amount_received: 0,
+        amount_refunded: 0,
+        currency: params.currency || 'usd',
+        capture_method: 'manual',
+        customer: params.customer_id || null,
+        payment_method: params.payment_method_id,
+        description: params.description || null,
+        transfer_group: params.transfer_group || null,
+        metadata: params.metadata || {},
+        latest_charge: `ch_local_${this.nextId}`,
+        status: 'requires_capture'
+      };
+      return { ...this.paymentIntents[id] };
+    });
+  }
+
+  /**
+   * Capture held funds
+   * @param {string} paymentIntentId - Payment intent ID
+   * @param {Object} params - { amount, idempotency_key }
+   * @returns {Promise<Object>} Payment intent with status succeeded
+   */
+  async capturePayment(paymentIntentId, params = {}) {
+    return this.once(params.idempotency_key, () => {
+      const intent = this.requireIntent(paymentIntentId, 'capture', 'requires_capture');
+      intent.amount_received = params.amount || intent.amount_capturable;
+      intent.amount_capturable = 0;
+      intent.status = 'succeeded';
+      return { ...intent };
+    });
+  }
+
+  /**
+   * Release the hold on the card
+   * @param {string} paymentIntentId - Payment intent ID
+   * @param {string} reason - Cancellation reason
+   * @returns {Promise<Object>} Payment intent with status canceled
+   */
+  async cancelPayment(paymentIntentId, reason) {
+    const intent = this.requireIntent(paymentIntentId, 'cancel', 'requires_capture');
+    intent.amount_capturable = 0;
+    intent.cancellation_reason = reason || 'requested_by_customer';
+    intent.status = 'canceled';
+    return { ...intent };
+  }
+
+  /**
+   * Refund captured funds
+   * @param {Object} params - { payment_intent_id, amount, reason, idempotency_key }
+   * @returns {Promise<Object>} Refund
+   */
+  async refundPayment(params) {
+    return this.once(params.idempotency_key, () => {
+      const intent = this.requireIntent(params.payment_intent_id, 'refund', 'succeeded');
+      const amount = params.amount || intent.amount_received - intent.amount_refunded;
+      intent.amount_refunded += amount;
+
+      const refund = {
+        id: `re_local_${++this.nextId}`,
+        object: 'refund',
+        amount,
+        currency: intent.currency,
+        payment_intent: intent.id,
+        reason: params.reason || 'requested_by_customer',
+        status: 'succeeded'
+      };
+      this.refunds.push(refund);
+      return refund;
+    });
+  }
+
+  /**
+   * Pay funds out to a connected account
+   * @param {Object} params - { amount, currency, destination, transfer_group, source_transaction, metadata, idempotency_key }
+   * @returns {Promise<Object>} Transfer
+   */
+  async createTransfer(params) {
+    return this.once(params.idempotency_key, () => {
+      const transfer = {
+        id: `tr_local_${++this.nextId}`,
+        object: 'transfer',
+        amount: params.amount,
+        currency: params.currency || 'usd',
+        destination: params.destination,
+        transfer_group: params.transfer_group || null,
+        source_transaction: params.source_transaction || null,
+        metadata: params.metadata || {}
+      };
+      this.transfers.push(transfer);
+      return transfer;
+    });
+  }
+}
+
+let localProcessor = null;
+
+/**
+ * Get the payment processor: Stripe, or the local processor when payments.processor is "local"
+ * @returns {Object} Payment processor
+ */
+const getPaymentProcessor = () => {
+  const config = functions.config().payments || {};
+  if ((config.processor || process.env.PAYMENTS_PROCESSOR) === 'local') {
+    localProcessor = localProcessor || new LocalPaymentProcessor();
+    return localProcessor;
+  }
+  return require('../apis/stripe');
+};
+
+/**
+ * Append an entry to a campaign's payment ledger
+ * @param {Object} milestone - Milestone the entry belongs to
+ * @param {string} type - PaymentLedgerEntryType
+ * @param {Object} details - { amount, processorId, reason }
+ * @returns {Promise<void>}
+ */
+const appendLedgerEntry = async (milestone, type, details = {}) => {
+  await db.collection('campaignPaymentLedger').add({
+    campaignId: milestone.campaignId,
+    requestId: milestone.requestId,
+    milestoneId: milestone.id,
+    milestoneType: milestone.type,
+    type,
+    amount: details.amount !== undefined ? details.amount : milestone.amount,
+    currency: milestone.currency,
+    processorId: details.processorId || null,
+    reason: details.reason || null,
+    createdAt: Date.now(),
+    recordedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+};
+
+/**
+ * Save a milestone's new state
+ * @param {Object} milestone - Milestone
+ * @param {Object} changes - Fields to update
+ * @returns {Promise<Object>} Updated milestone
+ */
+const updateMilestone = async (milestone, changes) => {
+  const updated = { ...milestone, ...changes, updatedAt: Date.now() };
+  const { id, ...data } = updated;
+  await db.collection('paymentMilestones').doc(id).set(data);
+  return updated;
+};
+
+/**
+ * Load milestones for a campaign, optionally for one influencer and status
+ * @param {string} campaignId - Campaign ID
+ * @param {Object} [filters] - { influencerId, status, type }
+ * @returns {Promise<Array<Object>>} Milestones in schedule order
+ */
+const getCampaignMilestones = async (campaignId, filters = {}) => {
+  let query = db.collection('paymentMilestones').where('campaignId', '==', campaignId);
+  if (filters.influencerId) {
+    query = query.where('influencerId', '==', filters.influencerId);
+  }
+  if (filters.status) {
+    query = query.where('status', '==', filters.status);
+  }
+  if (filters.type) {
+    query = query.where('type', '==', filters.type);
+  }
+
+  const snapshot = await query.get();
+  return snapshot.docs
+    .map(doc => ({ id: doc.id, ...doc.data() }))
+    .sort((a, b) => (a.requestId === b.requestId ? a.index - b.index : String(a.requestId).localeCompare(b.requestId)));
+};
+
+/**
+ * Hold funds for a milestone on the brand's card
+ * @param {Object} processor - Payment processor
+ * @param {Object} milestone - Milestone
+ * @param {Object} brand - Brand user data
+ * @param {number} attempt - Authorization attempt, part of the idempotency key
+ * @returns {Promise<Object>} Payment intent
+ */
+const authorizeMilestone = (processor, milestone, brand, attempt) => processor.authorizePayment({
+  amount: milestone.amount,
+  currency: milestone.currency,
+  customer_id: brand.stripeCustomerId,
+  payment_method_id: milestone.paymentMethodId || brand.defaultPaymentMethodId,
+  description: `Influencer collaboration ${milestone.requestId} (${milestone.type})`,
+  transfer_group: milestone.requestId,
+  metadata: { campaignId: milestone.campaignId, requestId: milestone.requestId, milestoneId: milestone.id },
+  idempotency_key: attempt > 1 ? `${milestone.id}_authorize_${attempt}` : `${milestone.id}_authorize`
+});
+
+/**
+ * Renew a milestone's hold when it is too old to capture safely
+ *
+ * The old hold is released first. If the card cannot be authorized again, the milestone is
+ * marked expired and the failure recorded, so the brand can be asked to pay another way.
+ * @param {Object} processor - Payment processor
+ * @param {Object} milestone - Authorized milestone
+ * @returns {Promise<Object>} Milestone, authorized again or expired
+ */
+const renewAuthorization = async (processor, milestone) => {
+  await voidAuthorization(processor, milestone, 'abandoned');
+
+  const attempt = (milestone.authorizationCount || 1) + 1;
+  try {
+    const brandDoc = await db.collection('users').doc(milestone.brandId).get();
+    const intent = await authorizeMilestone(processor, milestone, brandDoc.exists ? brandDoc.data() : {}, attempt);
+    const renewed = await updateMilestone(milestone, {
+      paymentIntentId: intent.id,
+      authorizedAt: Date.now(),
+      authorizationCount: attempt
+    });
+    await appendLedgerEntry(renewed, PaymentLedgerEntryType.AUTHORIZATION, { processorId: intent.id, reason: 'authorization_renewed' });
+    return renewed;
+  } catch (error) {
+    const expired = await updateMilestone(milestone, {
+      status: MilestoneStatus.EXPIRED,
+      failureReason: error.message,
+      expiredAt: Date.now()
+    });
+    await appendLedgerEntry(expired, PaymentLedgerEntryType.FAILURE, { reason: `Authorization expired: ${error.message}` });
+    return expired;
+  }
+};
+
+/**
+ * Release a milestone's hold, treating a hold that is already gone as released
+ * @param {Object} processor - Payment processor
+ * @param {Object} milestone - Authorized milestone
+ * @param {string} reason - Cancellation reason
+ * @returns {Promise<Object>} Payment intent
+ */
+const voidAuthorization = async (processor, milestone, reason) => {
+  const intent = await processor.retrievePayment(milestone.paymentIntentId);
+  if (intent.status === 'canceled') {
+    return intent;
+  }
+  return processor.cancelPayment(milestone.paymentIntentId, reason);
+};
+
+/**
+ * Capture a milestone and pay it out to the influencer
+ * @param {Object} milestone - Authorized or captured milestone
+ * @param {Object} [trigger] - What made the milestone payable (e.g. { contentId })
+ * @returns {Promise<Object>} Updated milestone; expired if its hold could not be renewed
+ * @throws {Error} When the processor rejects the capture or payout, after recording the failure
+ */
+const releaseMilestone = async (milestone, trigger = {}) => {
+  const processor = getPaymentProcessor();
+  let current = milestone;
+
+  if (current.status === MilestoneStatus.AUTHORIZED && Date.now() - (current.authorizedAt || 0) > AUTHORIZATION_VALIDITY_MS) {
+    current = await renewAuthorization(processor, current);
+  }
+
+  try {
+    if (current.status === MilestoneStatus.AUTHORIZED) {
+      const intent = await processor.capturePayment(current.paymentIntentId, {
+        amount: current.amount,
+        idempotency_key: `${current.id}_capture`
+      });
+      current = await updateMilestone(current, {
+        status: MilestoneStatus.CAPTURED,
+        chargeId: intent.latest_charge || null,
+        capturedAt: Date.now(),
+        trigger
+      });
+      await appendLedgerEntry(current, PaymentLedgerEntryType.CAPTURE, { processorId: intent.id });
+    }
+
+    // Funds stay on the platform until the influencer has a payout account
+    const influencerDoc = await db.collection('influencers').doc(current.influencerId).get();
+    const destination = influencerDoc.exists ? influencerDoc.data().stripeAccountId : null;
+    if (current.status !== MilestoneStatus.CAPTURED || !destination) {
+      return current;
+    }
+
+    const transfer = await processor.createTransfer({
+      amount: current.amount,
+      currency: current.currency,
+      destination,
+      transfer_group: current.requestId,
+      source_transaction: current.chargeId || undefined,
+      metadata: { campaignId: current.campaignId, milestoneId: current.id },
+      idempotency_key: `${current.id}_transfer`
+    });
+    current = await updateMilestone(current, {
+      status: MilestoneStatus.RELEASED,
+      transferId: transfer.id,
+      releasedAt: Date.now()
+    });
+    await appendLedgerEntry(current, PaymentLedgerEntryType.TRANSFER, { processorId: transfer.id });
+    return current;
+  } catch (error) {
+    await updateMilestone(current, { releaseError: error.message });
+    await appendLedgerEntry(current, PaymentLedgerEntryType.FAILURE, { reason: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Create and authorize the milestones for an accepted collaboration request
+ *
+ * Milestones are keyed by request, so calling this again for the same request does not
+ * charge twice. Deposits are paid out straight away; a deposit the processor rejects is
+ * recorded in the ledger and paid out when this runs again.
+ * @param {string} requestId - Collaboration request ID
+ * @param {Object} request - Collaboration request data
+ * @param {Object} terms - Agreed terms (see buildMilestonesFromTerms)
+ * @returns {Promise<Object>} { milestones, summary, failed }
+ */
+const setupCollaborationPayments = async (requestId, request, terms) => {
+  const planned = buildMilestonesFromTerms(terms);
+  if (planned.length === 0) {
+    return { milestones: [], summary: summarizeMilestones([]), failed: 0 };
+  }
+
+  const brandDoc = await db.collection('users').doc(request.brandId).get();
+  const brand = brandDoc.exists ? brandDoc.data() : {};
+  const processor = getPaymentProcessor();
+  const milestones = [];
+
+  for (const plan of planned) {
+    const id = `${requestId}_m${plan.index}`;
+    const existingDoc = await db.collection('paymentMilestones').doc(id).get();
+    let milestone = existingDoc.exists ? { id, ...existingDoc.data() } : await updateMilestone({
+      id,
+      ...plan,
+      requestId,
+      campaignId: request.campaignId,
+      brandId: request.brandId,
+      influencerId: request.influencerId,
+      status: MilestoneStatus.PENDING,
+      paymentMethodId: request.paymentMethodId || null,
+      paymentIntentId: null,
+      transferId: null,
+      createdAt: Date.now()
+    }, {});
+
+    if (milestone.status === MilestoneStatus.PENDING) {
+      try {
+        const intent = await authorizeMilestone(processor, milestone, brand, 1);
+        milestone = await updateMilestone(milestone, {
+          status: MilestoneStatus.AUTHORIZED,
+          paymentIntentId: intent.id,
+          authorizedAt: Date.now(),
+          authorizationCount: 1
+        });
+        await appendLedgerEntry(milestone, PaymentLedgerEntryType.AUTHORIZATION, { processorId: intent.id });
+      } catch (error) {
+        milestone = await updateMilestone(milestone, { status: MilestoneStatus.FAILED, failureReason: error.message });
+        await appendLedgerEntry(milestone, PaymentLedgerEntryType.FAILURE, { reason: error.message });
+      }
+    }
+
+    const unpaidDeposit = milestone.type === MilestoneType.DEPOSIT &&
+      [MilestoneStatus.AUTHORIZED, MilestoneStatus.CAPTURED].includes(milestone.status);
+    if (unpaidDeposit) {
+      try {
+        milestone = await releaseMilestone(milestone, { acceptedRequestId: requestId });
+      } catch (error) {
+        console.error(`Error releasing deposit milestone ${id}:`, error);
+        const releasedDoc = await db.collection('paymentMilestones').doc(id).get();
+        milestone = { id, ...releasedDoc.data() };
+      }
+    }
+    milestones.push(milestone);
+  }
+
+  return {
+    milestones,
+    summary: summarizeMilestones(milestones),
+    failed: milestones.filter(milestone => milestone.status === MilestoneStatus.FAILED).length
+  };
+};
+
+/**
+ * Pay out the next approval milestone when an influencer's content is approved
+ * @param {string} campaignId - Campaign ID
+ * @param {string} influencerId - Influencer ID
+ * @param {string} contentId - Approved content ID
+ * @returns {Promise<Object|null>} Released milestone, or null when none is due
+ */
+const releaseApprovalMilestone = async (campaignId, influencerId, contentId) => {
+  const milestones = await getCampaignMilestones(campaignId, { influencerId, type: MilestoneType.ON_APPROVAL });
+
+  // Approving the same content twice pays once
+  if (milestones.some(milestone => milestone.trigger && milestone.trigger.contentId === contentId)) {
+    return null;
+  }
+
+  const next = milestones.find(milestone => milestone.status === MilestoneStatus.AUTHORIZED);
+  return next ? releaseMilestone(next, { contentId }) : null;
+};
+
+/**
+ * Pay out performance milestones whose targets have been reached
+ * @param {string} campaignId - Campaign ID
+ * @param {Object} performanceByInfluencer - Metrics by influencer ID ({ reach, engagement, clicks, conversions })
+ * @returns {Promise<Array<Object>>} Released milestones
+ */
+const releasePerformanceMilestones = async (campaignId, performanceByInfluencer = {}) => {
+  const milestones = await getCampaignMilestones(campaignId, {
+    type: MilestoneType.ON_PERFORMANCE,
+    status: MilestoneStatus.AUTHORIZED
+  });
+
+  const released = [];
+  for (const milestone of milestones) {
+    const metrics = performanceByInfluencer[milestone.influencerId] || {};
+    const value = metrics[milestone.condition.metric] || 0;
+    if (value >= milestone.condition.target) {
+      try {
+        released.push(await releaseMilestone(milestone, { metric: milestone.condition.metric, value }));
+      } catch (error) {
+        // Recorded in the ledger; the milestone is retried on the next performance update
+        console.error(`Error releasing performance milestone ${milestone.id}:`, error);
+      }
+    }
+  }
+  return released;
+};
+
+/**
+ * Pay out captured milestones that were waiting for the influencer's payout account
+ * @param {Object} [filters] - Optional { influencerId } to limit the pass to one influencer
+ * @returns {Promise<Object>} { processed, released, failed }
+ */
+const releaseHeldMilestones = async (filters = {}) => {
+  let query = db.collection('paymentMilestones').where('status', '==', MilestoneStatus.CAPTURED);
+  if (filters.influencerId) {
+    query = query.where('influencerId', '==', filters.influencerId);
+  }
+  const snapshot = await query.get();
+
+  const result = { processed: 0, released: 0, failed: 0 };
+  for (const doc of snapshot.docs) {
+    result.processed++;
+    try {
+      const milestone = await releaseMilestone({ id: doc.id, ...doc.data() }, doc.data().trigger || {});
+      if (milestone.status === MilestoneStatus.RELEASED) {
+        result.released++;
+      }
+    } catch (error) {
+      result.failed++;
+    }
+  }
+  return result;
+};
+
+/**
+ * Void authorizations and refund unreleased funds when a campaign is cancelled
+ *
+ * Money already paid out to influencers is not clawed back. A milestone the processor
+ * could not void or refund keeps its status, gets a failure entry in the ledger and is
+ * counted in `failed`, so it can be settled by hand.
+ * @param {string} campaignId - Campaign ID
+ * @param {string} [reason] - Cancellation reason
+ * @returns {Promise<Object>} { voided, refunded, kept, failed } amounts in cents
+ */
+const refundCampaignMilestones = async (campaignId, reason = 'campaign_cancelled') => {
+  const processor = getPaymentProcessor();
+  const milestones = await getCampaignMilestones(campaignId);
+  const result = { voided: 0, refunded: 0, kept: 0, failed: 0 };
+
+  for (const milestone of milestones) {
+    try {
+      switch (milestone.status) {
+        case MilestoneStatus.AUTHORIZED: {
+          const intent = await voidAuthorization(processor, milestone, 'abandoned');
+          const updated = await updateMilestone(milestone, { status: MilestoneStatus.VOIDED, cancelledAt: Date.now(), cancellationReason: reason });
+          await appendLedgerEntry(updated, PaymentLedgerEntryType.VOID, { processorId: intent.id, reason });
+          result.voided += milestone.amount;
+          break;
+        }
+        case MilestoneStatus.CAPTURED: {
+          const refund = await processor.refundPayment({
+            payment_intent_id: milestone.paymentIntentId,
+            amount: milestone.amount,
+            idempotency_key: `${milestone.id}_refund`
+          });
+          const updated = await updateMilestone(milestone, { status: MilestoneStatus.REFUNDED, refundId: refund.id, cancelledAt: Date.now(), cancellationReason: reason });
+          await appendLedgerEntry(updated, PaymentLedgerEntryType.REFUND, { processorId: refund.id, reason });
+          result.refunded += milestone.amount;
+          break;
+        }
+        case MilestoneStatus.PENDING:
+        case MilestoneStatus.EXPIRED:
+        case MilestoneStatus.FAILED:
+          await updateMilestone(milestone, { status: MilestoneStatus.VOIDED, cancelledAt: Date.now(), cancellationReason: reason });
+          break;
+        case MilestoneStatus.RELEASED:
+          result.kept += milestone.amount;
+          break;
+        default:
+          break;
+      }
+    } catch (error) {
+      await updateMilestone(milestone, { cancellationReason: reason, cancellationError: error.message });
+      await appendLedgerEntry(milestone, PaymentLedgerEntryType.FAILURE, { reason: `Cancellation failed: ${error.message}` });
+      result.failed += milestone.amount;
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Get a campaign's milestones and payment ledger
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<Object>} { campaignId, milestones, entries, summary }
+ */
+const getCampaignPaymentLedger = async (campaignId) => {
+  const [milestones, ledgerSnapshot] = await Promise.all([
+    getCampaignMilestones(campaignId),
+    db.collection('campaignPaymentLedger').where('campaignId', '==', campaignId).get()
+  ]);
+
+  const entries = ledgerSnapshot.docs
+    .map(doc => {
+      const { recordedAt, ...entry } = doc.data();
+      return { id: doc.id, ...entry };
+    })
+    .sort((a, b) => a.createdAt - b.createdAt);
+
+  return { campaignId, milestones, entries, summary: summarizeMilestones(milestones) };
+};
+
+module.exports = {
+  MilestoneType,
+  MilestoneStatus,
+  PaymentLedgerEntryType,
+  AUTHORIZATION_VALIDITY_MS,
+  LocalPaymentProcessor,
+  buildMilestonesFromTerms,
+  summarizeMilestones,
+  getPaymentProcessor,
+  getCampaignMilestones,
+  setupCollaborationPayments,
+  releaseApprovalMilestone,
+  releasePerformanceMilestones,
+  releaseHeldMilestones,
+  refundCampaignMilestones,
+  getCampaignPaymentLedger
+};
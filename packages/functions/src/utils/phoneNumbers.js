@@ -0,0 +1,55 @@
+/**
+ * Phone number normalization for ReachSpark AMIA
+ *
+ * Every module that dials, matches or hashes phone numbers normalizes them here, so a
+ * number stored as "(555) 123-4567" on a lead, "+1 555 123 4567" in a CRM import and
+ * "+15551234567" on an inbound SMS all resolve to the same E.164 value. Suppressions,
+ * consent entries and identity keys only match when they share this form.
+ */
+
+// Country calling code for national numbers that carry none
+const DEFAULT_COUNTRY_CODE = '1';
+
+/**
+ * Normalize a phone number to E.164
+ * @param {string} phone - Phone number in any common format
+ * @param {Object} [options] - Options
+ * @param {string} [options.defaultCountryCode] - Country calling code for national numbers (default '1')
+ * @param {Function} [options.isValid] - Format validator; the number is rejected unless the raw or E.164 form passes
+ * @returns {string|null} E.164 number, or null if the number is not valid
+ */
+const toE164 = (phone, options = {}) => {
+  if (!phone) {
+    return null;
+  }
+
+  const defaultCountryCode = options.defaultCountryCode || DEFAULT_COUNTRY_CODE;
+  const raw = String(phone).trim();
+  let digits = raw.replace(/\D/g, '');
+
+  // Numbers without a leading "+" are either 00-prefixed international or national numbers
+  if (!raw.startsWith('+')) {
+    if (digits.startsWith('00')) {
+      digits = digits.slice(2);
+    } else if (digits.length === 10 || (defaultCountryCode !== '1' && !digits.startsWith(defaultCountryCode))) {
+      digits = `${defaultCountryCode}${digits.replace(/^0/, '')}`;
+    }
+  }
+
+  const e164 = `+${digits}`;
+
+  // E.164 allows at most 15 digits; very short numbers are short codes, not recipients
+  if (digits.length < 8 || digits.length > 15) {
+    return null;
+  }
+  if (options.isValid && !options.isValid(raw) && !options.isValid(e164)) {
+    return null;
+  }
+
+  return e164;
+};
+
+module.exports = {
+  DEFAULT_COUNTRY_CODE,
+  toE164
+};
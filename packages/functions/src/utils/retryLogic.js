@@ -46,6 +46,15 @@ const RetryConfigs = {
     retryableStatusCodes: [429, 500, 502, 503, 504]
   },
   
+  // Email and SMS delivery providers
+  MESSAGING_API: {
+    maxRetries: 2,
+    baseDelay: 1000,
+    maxDelay: 8000,
+    timeoutMs: 30000,
+    retryableStatusCodes: [429, 500, 502, 503, 504]
+  },
+  
   // Default configuration for other APIs
   DEFAULT: {
     maxRetries: 3,
@@ -68,6 +77,11 @@ const isRetryableError = (error, retryableStatusCodes = []) => {
     return false;
   }
   
+  // Never retry into an open circuit; the breaker decides when to probe again
+  if (error.name === 'CircuitOpenError') {
+    return false;
+  }
+  
   // Check for network connectivity issues
   if (error.code === 'ECONNRESET' || 
       error.code === 'ETIMEDOUT' || 
@@ -124,6 +138,22 @@ const calculateBackoffDelay = (attempt, baseDelay, maxDelay) => {
   return Math.min(exponentialDelay + jitter, maxDelay);
 };
 
+/**
+ * Run a function, rejecting if it does not settle within the timeout
+ * @param {Function} fn - Async function to execute
+ * @param {number} timeoutMs - Timeout in milliseconds
+ * @returns {Promise<any>} Result of the function
+ */
+const withTimeout = (fn, timeoutMs) => {
+  let timeoutHandle;
+  return Promise.race([
+    fn(),
+    new Promise((_, reject) => {
+      timeoutHandle = setTimeout(() => reject(new Error(`Operation timed out after ${timeoutMs}ms`)), timeoutMs);
+    })
+  ]).finally(() => clearTimeout(timeoutHandle));
+};
+
 /**
  * Execute a function with retry logic for API calls
  * @param {Function} fn - Function to execute
@@ -138,6 +168,8 @@ const calculateBackoffDelay = (attempt, baseDelay, maxDelay) => {
  * @param {Array<number>} options.retryableStatusCodes - HTTP status codes to retry
  * @param {Function} options.onRetry - Function to call before each retry
  * @param {Object} options.context - Additional context for error logging
+ * @param {string} options.circuitKey - Circuit breaker key; each attempt is recorded and an open circuit stops retries
+ * @param {Object} options.circuitBreaker - Circuit breaker registry (defaults to the shared registry when circuitKey is set)
  * @returns {Promise<any>} Result of the function
  */
 const executeWithRetry = async (fn, options = {}) => {
@@ -155,27 +187,36 @@ const executeWithRetry = async (fn, options = {}) => {
     timeoutMs = config.timeoutMs,
     retryableStatusCodes = config.retryableStatusCodes,
     onRetry = null,
-    context = {}
+    context = {},
+    circuitKey = null
   } = options;
   
+  // Route attempts through the circuit breaker when a key is given. The timeout applies
+  // inside the breaker so a hung call counts as a failure and releases a half-open probe.
+  let attemptFn = () => withTimeout(fn, timeoutMs);
+  if (circuitKey) {
+    const breaker = options.circuitBreaker || require('./circuitBreaker').getCircuitBreakerRegistry();
+    attemptFn = () => breaker.execute(circuitKey, () => withTimeout(fn, timeoutMs));
+  }
+  
   let lastError;
   let attempt = 0;
   
   while (attempt <= maxRetries) {
     try {
       // Execute the function with timeout
-      const result = await Promise.race([
-        fn(),
-        new Promise((_, reject) => 
-          setTimeout(() => reject(new Error(`Operation timed out after ${timeoutMs}ms`)), timeoutMs)
-        )
-      ]);
+      const result = await attemptFn();
       
       // If successful, return the result
       return result;
     } catch (error) {
       lastError = error;
       
+      // An open circuit is expected behaviour, not an error worth logging per call
+      if (error.name === 'CircuitOpenError') {
+        throw error;
+      }
+      
       // Check if we've reached the maximum number of retries
       if (attempt >= maxRetries) {
         break;
@@ -262,14 +303,18 @@ const retryWithExponentialBackoff = async (fn, options = {}) => {
     maxRetries = 3,
     initialDelayMs = 1000,
     source = 'unknown',
-    functionName = 'unknown'
+    functionName = 'unknown',
+    circuitKey = null,
+    circuitBreaker = null
   } = options;
   
   return executeWithRetry(fn, {
     maxRetries,
     baseDelay: initialDelayMs,
     source,
-    functionName
+    functionName,
+    circuitKey,
+    circuitBreaker
   });
 };
 
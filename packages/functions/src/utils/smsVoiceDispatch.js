@@ -0,0 +1,1008 @@
+/**
+ * SMS and Voice Dispatch for ReachSpark AMIA
+ *
+ * This module provides provider-agnostic SMS and voice delivery for phone-based workflow
+ * steps. Providers follow the Twilio REST shape (Messages.json / Calls.json with form-encoded
+ * bodies and status callbacks), so any compatible provider or the local fake server can be
+ * selected through the default SMS provider in the API Provider Manager.
+ *
+ * The capabilities include:
+ * - E.164 phone number normalization
+ * - Opt-out keyword handling (STOP/START/HELP) for inbound messages
+ * - Per-recipient quiet hours with deferred delivery: held messages are queued in
+ *   smsDispatchTasks and sent by processDeferredDispatches when quiet hours end
+ * - Delivery and call status callbacks written back to engagement records, accepted only
+ *   with a valid X-Twilio-Signature from the provider's auth token
+ * - A local Twilio-compatible fake server for tests and emulators
+ */
+
+const http = require("http");
+const crypto = require("crypto");
+const querystring = require("querystring");
+const axios = require("axios");
+const admin = require("firebase-admin");
+const errorLogging = require("./errorLogging");
+const logger = errorLogging.logger;
+const { ReachSparkError, ErrorTypes, SeverityLevels } = errorLogging;
+const { executeWithRetry } = require("./retryLogic");
+const { ChannelType, ContactStatus } = require("./multiChannelWorkflows");
+const { OperationMode } = require("./decisionFramework");
+const { createDeliveryError, resolveContactStatus } = require("./emailDelivery");
+const { toE164 } = require("./phoneNumbers");
+const { DEFAULT_QUIET_HOURS, checkQuietHours, claimContactTask } = require("./contactPolicy");
+const {
+  ConsentStatus,
+  ConsentPurpose,
+  LegalBasis,
+  SuppressionListReason,
+  ALL_SCOPES,
+  recordConsent,
+  addSuppression,
+  liftSuppression,
+  checkSendPermission
+} = require("./consentLedger");
+
+// Initialize Firestore with fallback for testing environments
+let db;
+try {
+  if (!admin.apps.length) {
+    admin.initializeApp();
+  }
+  db = admin.firestore();
+} catch (error) {
+  console.warn('Failed to initialize Firestore, using mock implementation for testing');
+  // Mock Firestore for testing environments
+  db = {
+    collection: () => ({
+      doc: () => ({
+        get: async () => ({ exists: false, data: () => ({}) }),
+        set: async () => ({}),
+        update: async () => ({})
+      }),
+      add: async () => ({ id: `mock_${Date.now()}` }),
+      where: () => ({ where: () => ({ limit: () => ({ get: async () => ({ empty: true, docs: [], forEach: () => {} }) }) }) })
+    })
+  };
+}
+
+// Messages held by quiet hours, waiting for processDeferredDispatches
+const DEFERRED_DISPATCH_TASKS = "smsDispatchTasks";
+
+/**
+ * Telephony transport types (matches the provider subtype in apiCredentials)
+ */
+const TelephonyTransportType = {
+  TWILIO: "twilio",
+  LOCAL: "local"
+};
+
+/**
+ * Inbound keyword categories
+ */
+const KeywordAction = {
+  OPT_OUT: "opt_out",
+  OPT_IN: "opt_in",
+  HELP: "help"
+};
+
+const OPT_OUT_KEYWORDS = ["STOP", "STOPALL", "UNSUBSCRIBE", "CANCEL", "END", "QUIT"];
+const OPT_IN_KEYWORDS = ["START", "YES", "UNSTOP"];
+const HELP_KEYWORDS = ["HELP", "INFO"];
+
+/**
+ * Message and call statuses from status callbacks mapped to contact statuses
+ */
+const CallbackStatus = {
+  accepted: ContactStatus.PENDING,
+  queued: ContactStatus.PENDING,
+  sending: ContactStatus.PENDING,
+  sent: ContactStatus.SENT,
+  delivered: ContactStatus.DELIVERED,
+  read: ContactStatus.OPENED,
+  undelivered: ContactStatus.BOUNCED,
+  failed: ContactStatus.FAILED,
+  initiated: ContactStatus.PENDING,
+  ringing: ContactStatus.SENT,
+  "in-progress": ContactStatus.DELIVERED,
+  completed: ContactStatus.DELIVERED,
+  busy: ContactStatus.FAILED,
+  "no-answer": ContactStatus.FAILED,
+  canceled: ContactStatus.FAILED
+};
+
+const DEFAULT_HELP_REPLY = "Reply STOP to unsubscribe. Msg&data rates may apply.";
+const DEFAULT_OPT_OUT_REPLY = "You have been unsubscribed and will not receive further messages. Reply START to resubscribe.";
+const DEFAULT_OPT_IN_REPLY = "You have been resubscribed. Reply STOP to unsubscribe.";
+
+/**
+ * Normalize a phone number to E.164
+ * @param {string} phone - Phone number in any common format
+ * @param {Function} isValidPhone - Format validator (DataModels.isValidPhone)
+ * @param {string} defaultCountryCode - Country calling code for national numbers
+ * @returns {string|null} E.164 number, or null if the number is not valid
+ */
+const normalizePhoneNumber = (phone, isValidPhone, defaultCountryCode = "1") => (
+  toE164(phone, { isValid: isValidPhone, defaultCountryCode })
+);
+
+/**
+ * Classify an inbound message body as an opt-out, opt-in or help keyword
+ * @param {string} body - Inbound message body
+ * @returns {string|null} Keyword action or null
+ */
+const classifyKeyword = (body) => {
+  const keyword = String(body || "").trim().toUpperCase().replace(/[^A-Z]/g, "");
+  if (OPT_OUT_KEYWORDS.includes(keyword)) {
+    return KeywordAction.OPT_OUT;
+  }
+  if (OPT_IN_KEYWORDS.includes(keyword)) {
+    return KeywordAction.OPT_IN;
+  }
+  if (HELP_KEYWORDS.includes(keyword)) {
+    return KeywordAction.HELP;
+  }
+  return null;
+};
+
+/**
+ * Escape text for TwiML
+ * @param {string} text - Text
+ * @returns {string} XML-escaped text
+ */
+const escapeXml = (text) => {
+  return String(text || "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+};
+
+/**
+ * Build a TwiML document that reads a call script
+ * @param {string} script - Call script
+ * @param {string} voice - Voice name
+ * @returns {string} TwiML
+ */
+const buildCallTwiml = (script, voice = "alice") => {
+  return `<?xml version="1.0" encoding="UTF-8"?><Response><Say voice="${escapeXml(voice)}">${escapeXml(script)}</Say></Response>`;
+};
+
+/**
+ * Build a TwiML messaging reply
+ * @param {string|null} message - Reply text (null for an empty response)
+ * @returns {string} TwiML
+ */
+const buildMessagingTwiml = (message) => {
+  return message
+    ? `<?xml version="1.0" encoding="UTF-8"?><Response><Message>${escapeXml(message)}</Message></Response>`
+    : '<?xml version="1.0" encoding="UTF-8"?><Response></Response>';
+};
+
+/**
+ * Compute the X-Twilio-Signature of a webhook request
+ *
+ * The signature is an HMAC-SHA1 over the full request URL followed by every POST
+ * parameter name and value, sorted by name, keyed with the account auth token.
+ * @param {string} authToken - Account auth token
+ * @param {string} url - Full URL the provider posted to, including the query string
+ * @param {Object} params - POST parameters
+ * @returns {string} Base64 signature
+ */
+const computeTwilioSignature = (authToken, url, params = {}) => {
+  const payload = Object.keys(params).sort().reduce((result, key) => {
+    const values = Array.isArray(params[key]) ? params[key] : [params[key]];
+    return result + values.map(value => `${key}${value}`).join("");
+  }, url);
+  return crypto.createHmac("sha1", authToken).update(Buffer.from(payload, "utf-8")).digest("base64");
+};
+
+/**
+ * Twilio-compatible REST transport
+ */
+class TwilioTransport {
+  /**
+   * @param {Object} options - Transport options
+   * @param {string} options.accountSid - Account SID
+   * @param {string} options.authToken - Auth token
+   * @param {string} options.baseUrl - API base URL (default https://api.twilio.com)
+   * @param {number} options.timeoutMs - Request timeout in milliseconds
+   */
+  constructor(options = {}) {
+    if (!options.accountSid || !options.authToken) {
+      throw new ReachSparkError(
+        "Account SID and auth token are required for the SMS transport",
+        ErrorTypes.VALIDATION_ERROR,
+        SeverityLevels.ERROR
+      );
+    }
+
+    this.name = TelephonyTransportType.TWILIO;
+    this.accountSid = options.accountSid;
+    this.authToken = options.authToken;
+    this.baseUrl = (options.baseUrl || "https://api.twilio.com").replace(/\/$/, "");
+    this.timeoutMs = options.timeoutMs || 20000;
+  }
+
+  /**
+   * Send a request to the account API
+   * @param {string} method - HTTP method
+   * @param {string} resource - Resource path below the account (e.g. "/Messages.json")
+   * @param {Object} params - Form parameters
+   * @returns {Promise<Object>} Response body
+   */
+  async request(method, resource, params = null) {
+    try {
+      const response = await axios({
+        method,
+        url: `${this.baseUrl}/2010-04-01/Accounts/${this.accountSid}${resource}`,
+        auth: { username: this.accountSid, password: this.authToken },
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        data: params ? querystring.stringify(params) : undefined,
+        timeout: this.timeoutMs
+      });
+      return response.data;
+    } catch (error) {
+      const status = error.response?.status;
+      const data = error.response?.data || {};
+      const deliveryError = createDeliveryError(
+        `Telephony API request failed: ${status || "no response"} ${data.message || error.message}`,
+        {
+          httpStatus: status || null,
+          providerCode: data.code || null,
+          // 21211 (invalid number) and 21610 (recipient unsubscribed) will never succeed
+          permanent: [21211, 21610, 21614].includes(data.code),
+          transient: !status || status === 429 || status >= 500
+        },
+        error
+      );
+      deliveryError.response = error.response;
+      throw deliveryError;
+    }
+  }
+
+  /**
+   * Send an SMS
+   * @param {Object} message - { to, from, body, statusCallback }
+   * @returns {Promise<Object>} { providerMessageId, status }
+   */
+  async sendMessage(message) {
+    const data = await this.request("post", "/Messages.json", {
+      To: message.to,
+      From: message.from,
+      Body: message.body,
+      ...(message.statusCallback ? { StatusCallback: message.statusCallback } : {})
+    });
+    return { providerMessageId: data.sid, status: data.status };
+  }
+
+  /**
+   * Place a voice call
+   * @param {Object} call - { to, from, twiml, statusCallback }
+   * @returns {Promise<Object>} { providerMessageId, status }
+   */
+  async placeCall(call) {
+    const data = await this.request("post", "/Calls.json", {
+      To: call.to,
+      From: call.from,
+      Twiml: call.twiml,
+      ...(call.statusCallback ? {
+        StatusCallback: call.statusCallback,
+        StatusCallbackEvent: "initiated ringing answered completed"
+      } : {})
+    });
+    return { providerMessageId: data.sid, status: data.status };
+  }
+
+  /**
+   * Verify credentials by fetching the account resource
+   * @returns {Promise<Object>} Account details
+   */
+  async verify() {
+    return this.request("get", ".json");
+  }
+}
+
+/**
+ * In-memory transport used in test mode when no SMS provider is configured
+ */
+class LocalTelephonyTransport {
+  constructor() {
+    this.name = TelephonyTransportType.LOCAL;
+    this.messages = [];
+    this.calls = [];
+  }
+
+  async sendMessage(message) {
+    const sid = `SM${crypto.randomBytes(16).toString("hex")}`;
+    this.messages.push({ sid, ...message, status: "queued" });
+    return { providerMessageId: sid, status: "queued" };
+  }
+
+  async placeCall(call) {
+    const sid = `CA${crypto.randomBytes(16).toString("hex")}`;
+    this.calls.push({ sid, ...call, status: "queued" });
+    return { providerMessageId: sid, status: "queued" };
+  }
+
+  async verify() {
+    return { status: "active" };
+  }
+}
+
+/**
+ * Local Twilio-compatible HTTP server for tests and emulators
+ */
+class LocalTelephonyServer {
+  /**
+   * @param {Object} options - Server options
+   * @param {string} options.accountSid - Account SID accepted by the server
+   * @param {string} options.authToken - Auth token accepted by the server
+   */
+  constructor(options = {}) {
+    this.accountSid = options.accountSid || "AClocal";
+    this.authToken = options.authToken || "local_token";
+    this.messages = [];
+    this.calls = [];
+    this.server = null;
+  }
+
+  /**
+   * Start listening on a local port
+   * @param {number} port - Port (0 for a random free port)
+   * @returns {Promise<string>} Base URL for TwilioTransport
+   */
+  start(port = 0) {
+    this.server = http.createServer((req, res) => this.handle(req, res));
+    return new Promise(resolve => {
+      this.server.listen(port, "127.0.0.1", () => {
+        resolve(`http://127.0.0.1:${this.server.address().port}`);
+      });
+    });
+  }
+
+  stop() {
+    return new Promise(resolve => (this.server ? this.server.close(() => resolve()) : resolve()));
+  }
+
+  reply(res, status, body) {
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body));
+  }
+
+  handle(req, res) {
+    let raw = "";
+    req.on("data", chunk => { raw += chunk; });
+    req.on("end", () => {
+      const expectedAuth = `Basic ${Buffer.from(`${this.accountSid}:${this.authToken}`).toString("base64")}`;
+      if (req.headers.authorization !== expectedAuth) {
+        return this.reply(res, 401, { code: 20003, message: "Authenticate", status: 401 });
+      }
+
+      const prefix = `/2010-04-01/Accounts/${this.accountSid}`;
+      const params = querystring.parse(raw);
+
+      if (req.method === "GET" && req.url === `${prefix}.json`) {
+        return this.reply(res, 200, { sid: this.accountSid, status: "active" });
+      }
+
+      if (req.method === "POST" && (req.url === `${prefix}/Messages.json` || req.url === `${prefix}/Calls.json`)) {
+        if (!/^\+[1-9]\d{7,14}$/.test(params.To || "")) {
+          return this.reply(res, 400, {
+            code: 21211,
+            message: `The 'To' number ${params.To} is not a valid phone number.`,
+            status: 400
+          });
+        }
+
+        const isMessage = req.url.endsWith("/Messages.json");
+        const record = {
+          sid: `${isMessage ? "SM" : "CA"}${crypto.randomBytes(16).toString("hex")}`,
+          account_sid: this.accountSid,
+          to: params.To,
+          from: params.From,
+          status: "queued",
+          ...(isMessage ? { body: params.Body } : { twiml: params.Twiml }),
+          statusCallback: params.StatusCallback || null,
+          date_created: new Date().toUTCString()
+        };
+        (isMessage ? this.messages : this.calls).push(record);
+        return this.reply(res, 201, record);
+      }
+
+      return this.reply(res, 404, { code: 20404, message: "The requested resource was not found", status: 404 });
+    });
+  }
+
+  /**
+   * Move a message or call to a new status and build the callback the provider would post
+   * @param {string} sid - Message or call SID
+   * @param {string} status - New status (e.g. delivered, undelivered, completed, no-answer)
+   * @returns {Object|null} Status callback parameters
+   */
+  completeDelivery(sid, status) {
+    const message = this.messages.find(m => m.sid === sid);
+    const call = this.calls.find(c => c.sid === sid);
+    const record = message || call;
+    if (!record) {
+      return null;
+    }
+    record.status = status;
+    return message
+      ? { MessageSid: sid, MessageStatus: status, To: record.to, From: record.from, AccountSid: this.accountSid }
+      : { CallSid: sid, CallStatus: status, To: record.to, From: record.from, AccountSid: this.accountSid };
+  }
+}
+
+/**
+ * Create a transport for an SMS provider record
+ * @param {Object} provider - Provider from the API Provider Manager
+ * @param {string} apiKey - Decrypted auth token
+ * @returns {Object} Telephony transport
+ */
+const createTelephonyTransport = (provider, apiKey) => {
+  const config = provider.config || {};
+
+  if (provider.subtype === TelephonyTransportType.LOCAL && !config.baseUrl) {
+    return new LocalTelephonyTransport();
+  }
+
+  return new TwilioTransport({
+    accountSid: config.accountSid,
+    authToken: apiKey,
+    baseUrl: config.baseUrl
+  });
+};
+
+/**
+ * SMS and Voice Dispatch class for AMIA
+ */
+class SMSVoiceDispatch {
+  /**
+   * Create a new SMS and Voice Dispatch instance
+   * @param {string} contextId - Unique identifier for this dispatch context
+   * @param {string} mode - Operation mode (default or client)
+   * @param {string} clientId - Client ID (required for client mode)
+   * @param {Object} options - Dispatch options
+   * @param {boolean} options.testMode - Fall back to the local transport when no provider is configured
+   * @param {Object} options.transport - Transport to use instead of the default provider
+   * @param {Object} options.provider - Provider settings used with options.transport
+   * @param {Object} options.providerManager - API Provider Manager instance
+   * @param {Object} options.dataModels - Data Models instance
+   */
+  constructor(contextId, mode = OperationMode.DEFAULT, clientId = null, options = {}) {
+    this.contextId = contextId;
+    this.mode = mode;
+    this.clientId = clientId;
+    this.testMode = !!options.testMode;
+    this.transport = options.transport || null;
+    this.provider = options.transport ? (options.provider || { id: options.transport.name, config: {} }) : null;
+    this.providerManager = options.providerManager || null;
+    this.dataModels = options.dataModels || null;
+  }
+
+  /**
+   * Get API provider manager instance (lazy initialization)
+   * @returns {Object} API provider manager instance
+   */
+  getProviderManager() {
+    if (!this.providerManager) {
+      const { APIProviderManager } = require("./apiProviderManager");
+      this.providerManager = new APIProviderManager();
+    }
+    return this.providerManager;
+  }
+
+  /**
+   * Get data models instance (lazy initialization)
+   * @returns {Object} Data models instance
+   */
+  getDataModels() {
+    if (!this.dataModels) {
+      const { DataModels } = require("./dataModels");
+      this.dataModels = new DataModels(this.contextId, this.mode, this.clientId);
+    }
+    return this.dataModels;
+  }
+
+  /**
+   * Resolve the transport from the default SMS provider
+   * @returns {Promise<Object>} Transport
+   */
+  async getTransport() {
+    if (this.transport) {
+      return this.transport;
+    }
+
+    try {
+      const { ProviderType } = require("./apiProviderManager");
+      const providerManager = this.getProviderManager();
+      const provider = await providerManager.getDefaultProvider(ProviderType.SMS);
+      const apiKey = await providerManager.getAPIKey(provider.id);
+
+      this.transport = createTelephonyTransport(provider, apiKey);
+      this.provider = provider;
+    } catch (error) {
+      if (!this.testMode) {
+        throw error;
+      }
+
+      logger.warn("No SMS provider available, using local transport in test mode", {
+        error: error?.message || "Unknown error",
+        contextId: this.contextId
+      });
+      this.transport = new LocalTelephonyTransport();
+      this.provider = { id: TelephonyTransportType.LOCAL, config: {} };
+    }
+
+    return this.transport;
+  }
+
+  /**
+   * Normalize a recipient number to E.164
+   * @param {string} phone - Phone number
+   * @returns {string|null} E.164 number or null if invalid
+   */
+  normalizeRecipient(phone) {
+    const { DataModels } = require("./dataModels");
+    const countryCode = (this.provider && this.provider.config && this.provider.config.defaultCountryCode) || "1";
+    return normalizePhoneNumber(phone, DataModels.isValidPhone, countryCode);
+  }
+
+  /**
+   * Check whether a number has opted out of messages
+   * @param {string} phoneNumber - E.164 number
+   * @returns {Promise<boolean>} Whether the number has opted out
+   */
+  async isOptedOut(phoneNumber) {
+    const doc = await db.collection("sms_opt_outs").doc(phoneNumber).get();
+    return doc.exists && doc.data().optedOut === true;
+  }
+
+  /**
+   * Record an opt-out or opt-in for a number
+   * @param {string} phoneNumber - E.164 number
+   * @param {boolean} optedOut - Whether the number is opted out
+   * @param {string} keyword - Keyword that triggered the change
+   * @returns {Promise<void>}
+   */
+  async setOptOut(phoneNumber, optedOut, keyword) {
+    await db.collection("sms_opt_outs").doc(phoneNumber).set({
+      phoneNumber,
+      optedOut,
+      keyword,
+      clientId: this.clientId,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+
+    // Keywords are also recorded in the consent ledger and suppression list used by every channel
+    const scope = { address: phoneNumber, channel: ChannelType.SMS, purpose: ALL_SCOPES, source: "sms_keyword" };
+    await recordConsent({
+      ...scope,
+      status: optedOut ? ConsentStatus.WITHDRAWN : ConsentStatus.GRANTED,
+      legalBasis: LegalBasis.CONSENT,
+      userId: this.clientId,
+      evidence: { keyword }
+    });
+    if (optedOut) {
+      await addSuppression({ ...scope, reason: SuppressionListReason.SMS_STOP });
+    } else {
+      await liftSuppression(scope);
+    }
+  }
+
+  /**
+   * Check opt-out, consent, the suppression list and quiet hours before dispatching
+   * @param {string} to - E.164 number
+   * @param {Object} recipient - Recipient preferences ({ timezone, quietHours })
+   * @param {boolean} respectQuietHours - Whether quiet hours apply
+   * @param {Object} [consent] - { leadId, channel, purpose } checked against the consent ledger
+   * @returns {Promise<Object|null>} Blocking outcome, or null if dispatch may proceed
+   */
+  async checkDispatchPolicy(to, recipient, respectQuietHours = true, consent = {}) {
+    if (await this.isOptedOut(to)) {
+      return { status: ContactStatus.BLOCKED, reason: "opted_out" };
+    }
+
+    const permission = await checkSendPermission(consent.leadId || null, {
+      channel: consent.channel || ChannelType.SMS,
+      purpose: consent.purpose || ConsentPurpose.MARKETING,
+      address: to,
+      userId: this.clientId
+    });
+    if (!permission.allowed) {
+      return { status: ContactStatus.BLOCKED, reason: permission.reason };
+    }
+
+    if (respectQuietHours) {
+      const providerConfig = (this.provider && this.provider.config) || {};
+      const quietHours = recipient.quietHours || providerConfig.quietHours || DEFAULT_QUIET_HOURS;
+      const { quiet, resumeAt } = checkQuietHours(quietHours, recipient.timezone);
+      if (quiet) {
+        return { status: ContactStatus.PENDING, reason: "quiet_hours", scheduledFor: resumeAt.toISOString() };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Dispatch an SMS or call and record the engagement
+   *
+   * A message held by quiet hours comes back PENDING with scheduledFor and the ID of the
+   * deferred dispatch task (taskId) that will send it.
+   * @param {string} kind - "sms" or "call"
+   * @param {Object} params - Dispatch parameters
+   * @param {string} params.engagementId - Engagement recorded when a deferred message was held
+   * @returns {Promise<Object>} Dispatch result
+   */
+  async dispatch(kind, params) {
+    const { leadId, template = null, workflowId = null, stepId = null } = params;
+    const channelType = kind === "sms" ? ChannelType.SMS : ChannelType.PHONE;
+
+    const transport = await this.getTransport();
+    const providerConfig = this.provider.config || {};
+    const to = this.normalizeRecipient(params.to);
+
+    const result = {
+      status: null,
+      channel: channelType,
+      recipient: to || params.to,
+      messageId: `${kind}_${Date.now()}_${crypto.randomBytes(4).toString("hex")}`,
+      providerMessageId: null,
+      provider: this.provider.id,
+      engagementId: null,
+      failureReason: null,
+      scheduledFor: null,
+      taskId: null
+    };
+
+    if (!to) {
+      result.status = ContactStatus.FAILED;
+      result.failureReason = "invalid_phone_number";
+    } else {
+      const blocked = await this.checkDispatchPolicy(to, params.recipient || {}, params.respectQuietHours !== false, {
+        leadId,
+        channel: channelType,
+        purpose: params.purpose
+      });
+      if (blocked) {
+        result.status = blocked.status;
+        result.failureReason = blocked.reason;
+        result.scheduledFor = blocked.scheduledFor || null;
+      }
+    }
+
+    if (!result.status) {
+      const from = params.from || providerConfig.fromNumber;
+      const statusCallback = providerConfig.statusCallbackUrl || null;
+
+      try {
+        const sendResult = await executeWithRetry(() => (kind === "sms"
+          ? transport.sendMessage({ to, from, body: params.body, statusCallback })
+          : transport.placeCall({ to, from, twiml: buildCallTwiml(params.script, providerConfig.voice), statusCallback })
+        ), {
+          apiType: "MESSAGING_API",
+          source: "smsVoiceDispatch",
+          functionName: kind === "sms" ? "sendSMS" : "placeCall",
+          context: { contextId: this.contextId, leadId, transport: transport.name }
+        });
+
+        result.providerMessageId = sendResult.providerMessageId;
+        result.status = CallbackStatus[sendResult.status] || ContactStatus.PENDING;
+      } catch (error) {
+        result.failureReason = error?.message || "Unknown error";
+        result.status = error.permanent ? ContactStatus.BOUNCED : ContactStatus.FAILED;
+
+        logger.warn(`${kind === "sms" ? "SMS" : "Call"} dispatch failed`, {
+          error: result.failureReason,
+          status: result.status,
+          to,
+          transport: transport.name,
+          contextId: this.contextId
+        });
+      }
+    }
+
+    if (params.engagementId) {
+      // A deferred message updates the engagement recorded when it was held
+      try {
+        await this.getDataModels().updateEngagement(params.engagementId, {
+          status: result.status,
+          providerMessageId: result.providerMessageId,
+          provider: result.provider,
+          transport: transport.name,
+          failureReason: result.failureReason,
+          scheduledFor: result.scheduledFor
+        });
+        result.engagementId = params.engagementId;
+      } catch (error) {
+        logger.error("Failed to update deferred SMS/voice engagement", {
+          error: error?.message || "Unknown error",
+          engagementId: params.engagementId,
+          contextId: this.contextId
+        });
+      }
+    } else if (leadId) {
+      try {
+        const engagement = await this.getDataModels().createEngagement({
+          leadId,
+          channelType,
+          status: result.status,
+          messageId: result.messageId,
+          providerMessageId: result.providerMessageId,
+          provider: result.provider,
+          transport: transport.name,
+          recipient: result.recipient,
+          template,
+          workflowId,
+          stepId,
+          failureReason: result.failureReason,
+          scheduledFor: result.scheduledFor,
+          deliveryReceipts: []
+        });
+        result.engagementId = engagement.id;
+      } catch (error) {
+        logger.error("Failed to record SMS/voice engagement", {
+          error: error?.message || "Unknown error",
+          leadId,
+          messageId: result.messageId,
+          contextId: this.contextId
+        });
+      }
+    }
+
+    if (result.status === ContactStatus.PENDING && result.scheduledFor) {
+      const taskRef = await db.collection(DEFERRED_DISPATCH_TASKS).add({
+        kind,
+        contextId: this.contextId,
+        mode: this.mode,
+        clientId: this.clientId,
+        params: {
+          leadId: leadId || null,
+          to,
+          from: params.from || null,
+          body: params.body || null,
+          script: params.script || null,
+          recipient: params.recipient || {},
+          purpose: params.purpose || null,
+          template,
+          workflowId,
+          stepId
+        },
+        engagementId: result.engagementId,
+        messageId: result.messageId,
+        runAt: new Date(result.scheduledFor).getTime(),
+        status: "scheduled",
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      result.taskId = taskRef.id;
+    }
+
+    return result;
+  }
+
+  /**
+   * Send an SMS
+   * @param {Object} params - SMS parameters
+   * @param {string} params.leadId - Lead ID for the engagement record
+   * @param {string} params.to - Recipient phone number (any format)
+   * @param {string} params.body - Message body
+   * @param {Object} params.recipient - Recipient preferences ({ timezone, quietHours })
+   * @param {boolean} params.respectQuietHours - Whether quiet hours apply (default true)
+   * @param {string} params.purpose - Consent purpose (default marketing)
+   * @param {string} params.template - Template name
+   * @param {string} params.stepId - Workflow step ID
+   * @returns {Promise<Object>} Dispatch result
+   */
+  async sendSMS(params) {
+    return this.dispatch("sms", params);
+  }
+
+  /**
+   * Place a voice call that reads a script
+   * @param {Object} params - Call parameters
+   * @param {string} params.leadId - Lead ID for the engagement record
+   * @param {string} params.to - Recipient phone number (any format)
+   * @param {string} params.script - Script read to the recipient
+   * @param {Object} params.recipient - Recipient preferences ({ timezone, quietHours })
+   * @param {boolean} params.respectQuietHours - Whether quiet hours apply (default true)
+   * @param {string} params.purpose - Consent purpose (default marketing)
+   * @param {string} params.template - Template name
+   * @param {string} params.stepId - Workflow step ID
+   * @returns {Promise<Object>} Dispatch result
+   */
+  async placeCall(params) {
+    return this.dispatch("call", params);
+  }
+
+  /**
+   * Check that a webhook request was signed by the SMS provider
+   *
+   * Fails closed: without an auth token for the provider no request is accepted.
+   * @param {string} url - Full URL the provider posted to
+   * @param {Object} params - POST parameters
+   * @param {string} signature - X-Twilio-Signature header
+   * @returns {Promise<void>}
+   * @throws {ReachSparkError} AUTHENTICATION_ERROR when the signature is missing or wrong
+   */
+  async verifyWebhookSignature(url, params, signature) {
+    const transport = await this.getTransport();
+    if (!transport.authToken) {
+      throw new ReachSparkError(
+        "No auth token is configured to verify SMS webhooks",
+        ErrorTypes.AUTHENTICATION_ERROR,
+        SeverityLevels.WARNING,
+        null,
+        { contextId: this.contextId }
+      );
+    }
+
+    const expected = Buffer.from(computeTwilioSignature(transport.authToken, url, params || {}));
+    const received = Buffer.from(String(signature || ""));
+    if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+      throw new ReachSparkError(
+        "Invalid webhook signature",
+        ErrorTypes.AUTHENTICATION_ERROR,
+        SeverityLevels.WARNING,
+        null,
+        { contextId: this.contextId, url }
+      );
+    }
+  }
+
+  /**
+   * Apply a message or call status callback to the engagement record
+   * @param {Object} payload - Callback parameters (MessageSid/MessageStatus or CallSid/CallStatus)
+   * @returns {Promise<Object>} Processing outcome
+   */
+  async processStatusCallback(payload) {
+    const sid = payload.MessageSid || payload.SmsSid || payload.CallSid;
+    const providerStatus = String(payload.MessageStatus || payload.SmsStatus || payload.CallStatus || "").toLowerCase();
+    const status = CallbackStatus[providerStatus];
+
+    if (!sid || !status) {
+      return { applied: false, reason: "unrecognized_callback" };
+    }
+
+    const dataModels = this.getDataModels();
+    const engagement = await dataModels.findEngagementByMessageId(null, sid);
+    if (!engagement) {
+      return { applied: false, reason: "engagement_not_found" };
+    }
+
+    const receipt = {
+      event: providerStatus,
+      status,
+      providerMessageId: sid,
+      errorCode: payload.ErrorCode || null,
+      timestamp: new Date().toISOString()
+    };
+
+    const updateData = {
+      status: resolveContactStatus(engagement.status, status),
+      deliveryReceipts: admin.firestore.FieldValue.arrayUnion(receipt),
+      lastReceiptAt: receipt.timestamp
+    };
+    if (status === ContactStatus.DELIVERED) {
+      updateData.deliveredAt = receipt.timestamp;
+    }
+    if (payload.CallDuration) {
+      updateData.callDurationSeconds = Number(payload.CallDuration);
+    }
+    if ([ContactStatus.BOUNCED, ContactStatus.FAILED].includes(status)) {
+      updateData.failureReason = payload.ErrorCode ? `${providerStatus} (${payload.ErrorCode})` : providerStatus;
+    }
+
+    await dataModels.updateEngagement(engagement.id, updateData);
+    return { applied: true, engagementId: engagement.id, status: updateData.status };
+  }
+
+  /**
+   * Handle an inbound SMS, applying opt-out, opt-in and help keywords
+   * @param {Object} payload - Inbound message parameters (From, To, Body)
+   * @returns {Promise<Object>} { action, reply } where reply is the text to send back (or null)
+   */
+  async handleInboundMessage(payload) {
+    const from = this.normalizeRecipient(payload.From) || payload.From;
+    const action = classifyKeyword(payload.Body);
+    const providerConfig = (this.provider && this.provider.config) || {};
+
+    switch (action) {
+      case KeywordAction.OPT_OUT:
+        await this.setOptOut(from, true, String(payload.Body).trim().toUpperCase());
+        return { action, reply: providerConfig.optOutReply || DEFAULT_OPT_OUT_REPLY };
+      case KeywordAction.OPT_IN:
+        await this.setOptOut(from, false, String(payload.Body).trim().toUpperCase());
+        return { action, reply: providerConfig.optInReply || DEFAULT_OPT_IN_REPLY };
+      case KeywordAction.HELP:
+        return { action, reply: providerConfig.helpReply || DEFAULT_HELP_REPLY };
+      default:
+        // Regular replies are stored so the conversation can be picked up by a human or agent
+        await db.collection("sms_inbound_messages").add({
+          from,
+          to: payload.To || null,
+          body: payload.Body || "",
+          providerMessageId: payload.MessageSid || null,
+          clientId: this.clientId,
+          receivedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        return { action: null, reply: null };
+    }
+  }
+}
+
+/**
+ * Send messages and calls that quiet hours held, once their scheduled time has come
+ *
+ * Each task is claimed (scheduled to sending) before the provider is called, so overlapping
+ * runs send it once. Opt-outs, consent and suppressions are checked again at send time.
+ * @param {number} [now] - Current time in milliseconds
+ * @param {Object} [options] - SMSVoiceDispatch options used for every task
+ * @returns {Promise<Object>} { processed, sent, rescheduled, failed }
+ */
+const processDeferredDispatches = async (now = Date.now(), options = {}) => {
+  const due = await db.collection(DEFERRED_DISPATCH_TASKS)
+    .where("status", "==", "scheduled")
+    .where("runAt", "<=", now)
+    .get();
+
+  const summary = { processed: 0, sent: 0, rescheduled: 0, failed: 0 };
+  for (const taskDoc of due.docs) {
+    // An overlapping run may have taken the task since the query
+    const task = await claimContactTask(taskDoc.ref);
+    if (!task) {
+      continue;
+    }
+    summary.processed++;
+
+    try {
+      const dispatcher = new SMSVoiceDispatch(task.contextId, task.mode, task.clientId, options);
+      const result = await dispatcher.dispatch(task.kind, {
+        ...task.params,
+        engagementId: task.engagementId
+      });
+
+      // Quiet hours can still apply if the recipient's preferences changed; the new task takes over
+      const status = result.taskId ? "rescheduled" : "dispatched";
+      summary[status === "rescheduled" ? "rescheduled" : "sent"]++;
+      await taskDoc.ref.update({
+        status,
+        dispatchStatus: result.status,
+        providerMessageId: result.providerMessageId,
+        failureReason: result.failureReason,
+        nextTaskId: result.taskId,
+        processedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    } catch (error) {
+      summary.failed++;
+      logger.error("Failed to send deferred SMS/voice dispatch", {
+        error: error?.message || "Unknown error",
+        taskId: taskDoc.id
+      });
+      await taskDoc.ref.update({
+        status: "failed",
+        failureReason: error?.message || "Unknown error",
+        processedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  SMSVoiceDispatch,
+  processDeferredDispatches,
+  TelephonyTransportType,
+  KeywordAction,
+  TwilioTransport,
+  LocalTelephonyTransport,
+  LocalTelephonyServer,
+  createTelephonyTransport,
+  computeTwilioSignature,
+  normalizePhoneNumber,
+  classifyKeyword,
+  checkQuietHours,
+  buildCallTwiml,
+  buildMessagingTwiml
+};